@@ -107,6 +107,15 @@ const DEFAULTS = {
   STARTING_PO_NUMBER: 7765
 };
 
+// QuickBooks accounts invoices post to — also how the sales tax report splits a sale
+const QB_CONFIG = {
+  arAccount: 'ACCOUNTS RECEIVABLE',
+  taxableIncomeAccount: 'SALES - TAXABLE',
+  nontaxableIncomeAccount: 'SALES-NONTAXABLE',
+  freightAccount: 'FREIGHT',
+  taxAccount: 'SALES TAX PAYABLE'
+};
+
 // Helper function to clean numeric fields
 function cleanNumericFields(data, fields = NUMERIC_FIELDS) {
   const cleaned = { ...data };
@@ -154,6 +163,7 @@ module.exports = {
   ROLL_TYPES,
   NUMERIC_FIELDS,
   DEFAULTS,
+  QB_CONFIG,
   cleanNumericFields,
   generateEstimateNumber,
   generateWorkOrderNumber
@@ -119,6 +119,10 @@ app.get('/health', (req, res) => {
 app.use('/api', generalLimiter);
 app.use('/api/auth/login', loginLimiter);
 app.use('/api/auth', authRoutes);
+// Customer estimate acceptance links — no login, the token in the URL is the credential
+app.use('/api/accept', require('./routes/estimate-acceptance').publicRouter);
+// QuickBooks Online sign-in callback — Intuit redirects the browser here; the one-time state is the check
+app.use('/api/quickbooks-online', require('./routes/quickbooks-online').publicRouter);
 
 // Email Scanner - OAuth callback MUST be before authenticate middleware (Google redirects browser here)
 const { getOAuth2Client } = require('./services/emailScanner');
@@ -356,6 +360,25 @@ app.post('/api/settings/pricing-worksheet', authenticate, async (req, res) => {
   } catch (e) { res.status(500).json({ error: { message: e.message } }); }
 });
 
+// Quoted vs clocked labor per part type (completed parts with time-clock segments)
+app.get('/api/settings/labor-calibration', authenticate, async (req, res) => {
+  try {
+    const { WorkOrderPart, LaborSegment } = require('./models');
+    const { Op } = require('sequelize');
+    const { laborFromActuals } = require('./services/pricingCalibration');
+    const since = new Date();
+    since.setDate(since.getDate() - (parseInt(req.query.days) || 365));
+    // Only parts that were actually clocked — hand-entered actualRunTimeMin isn't measured
+    const clocked = await LaborSegment.findAll({ attributes: ['workOrderPartId'], group: ['workOrderPartId'], raw: true });
+    const parts = await WorkOrderPart.findAll({
+      where: { id: { [Op.in]: clocked.map(c => c.workOrderPartId) }, status: 'completed', completedAt: { [Op.gte]: since } },
+      attributes: ['partType', 'laborHours', 'actualRunTimeMin'],
+      raw: true
+    });
+    res.json({ data: laborFromActuals(parts.map(p => ({ ...p, actualMinutes: p.actualRunTimeMin }))) });
+  } catch (e) { res.status(500).json({ error: { message: e.message } }); }
+});
+
 // === Device tokens for push notifications (estimator phone) ===
 app.post('/api/devices/register', authenticate, async (req, res) => {
   try {
@@ -558,6 +581,23 @@ const businessRoutes = require('./routes/business');
 app.use('/api/business', authenticate, blockPortalKeys, businessRoutes);
 app.use('/api/inspections', authenticate, blockPortalKeys, require('./routes/inspection'));
 app.use('/api/ginger', authenticate, blockPortalKeys, require('./routes/ginger'));
+app.use('/api/work-centers', authenticate, blockPortalKeys, require('./routes/work-centers'));
+app.use('/api/job-costing', authenticate, blockPortalKeys, require('./routes/job-costing'));
+app.use('/api/material-stock', authenticate, blockPortalKeys, require('./routes/material-stock'));
+app.use('/api/mtrs', authenticate, blockPortalKeys, require('./routes/mtrs'));
+app.use('/api/heat-trace', authenticate, blockPortalKeys, require('./routes/heat-trace'));
+app.use('/api/ncrs', authenticate, blockPortalKeys, require('./routes/ncrs'));
+app.use('/api/geometry', authenticate, blockPortalKeys, require('./routes/geometry'));
+app.use('/api/price-books', authenticate, blockPortalKeys, require('./routes/price-books'));
+app.use('/api/material-prices', authenticate, blockPortalKeys, require('./routes/material-prices'));
+app.use('/api/client-parts', authenticate, blockPortalKeys, require('./routes/client-parts'));
+app.use('/api/currencies', authenticate, blockPortalKeys, require('./routes/currencies'));
+app.use('/api/sales-tax', authenticate, blockPortalKeys, require('./routes/sales-tax'));
+app.use('/api/quickbooks-online', authenticate, blockPortalKeys, require('./routes/quickbooks-online'));
+app.use('/api/ledger', authenticate, blockPortalKeys, require('./routes/ledger'));
+app.use('/api/receivables', authenticate, blockPortalKeys, require('./routes/receivables'));
+app.use('/api/payables', authenticate, blockPortalKeys, require('./routes/payables'));
+app.use('/api/estimate-acceptance', authenticate, blockPortalKeys, require('./routes/estimate-acceptance'));
 app.use('/api/dr-numbers', authenticate, drNumbersRoutes);
 app.use('/api/po-numbers', authenticate, poNumbersRoutes);
 app.use('/api/email', authenticate, emailRoutes);
@@ -789,7 +829,7 @@ app.patch('/api/com-center/bills/:id/status', authenticate, async (req, res) =>
           // Already in AP (e.g. from the older scanner) — just mark it ready to pay.
           if (existing.status === 'pending_review' || existing.status === 'rejected') await existing.update({ status: 'unpaid' });
         } else {
-          await Liability.create({
+          const bill = await Liability.create({
             name: d.summary || (d.vendorName ? `Invoice from ${d.vendorName}` : (email.subject || 'Vendor bill')),
             category: VALID_CATS.includes(d.category) ? d.category : 'other',
             amount: d.amount || 0,
@@ -797,11 +837,16 @@ app.patch('/api/com-center/bills/:id/status', authenticate, async (req, res) =>
             vendor: d.vendorName || email.fromName || email.fromEmail || null,
             vendorInvoiceNumber: d.invoiceNumber || null,
             poNumber: d.poNumber || null,
+            billDate: d.invoiceDate || null,
+            lineItems: Array.isArray(d.lineItems) && d.lineItems.length ? d.lineItems : null,
             status: 'unpaid',
+            approvalStatus: 'pending',
             createdBy: 'com_center',
             scannedEmailId: email.id,
             notes: `Approved from Com Center bill: "${email.subject || ''}"`,
           });
+          // Three-way match against the PO and receipts; over the auto-approve limit it waits in AP approvals
+          await require('./services/payables').autoMatch(bill.id);
         }
       } catch (e) { console.error('[Bills] approve->AP failed:', e.message); }
     }
@@ -822,7 +867,7 @@ app.post('/api/com-center/bills/scan', authenticate, async (req, res) => {
 // Operations — parts completed in a given week, attributed to whoever's tablet marked them done
 app.get('/api/operations/production', authenticate, async (req, res) => {
   try {
-    const { WorkOrderPart, WorkOrder } = require('./models');
+    const { WorkOrderPart, WorkOrder, LaborSegment } = require('./models');
     const { Op } = require('sequelize');
     let start;
     if (req.query.start) {
@@ -848,6 +893,8 @@ app.get('/api/operations/production', authenticate, async (req, res) => {
       include: [{ model: WorkOrder, as: 'workOrder', attributes: ['drNumber', 'orderNumber', 'clientName'] }],
       order: [['completedAt', 'ASC']],
     });
+    // Clocked time per part (see services/laborTracking) — hand-entered actualRunTimeMin otherwise
+    const actualMin = (p) => (p.actualRunTimeMin != null ? parseFloat(p.actualRunTimeMin) : null);
     const parts = rows.map(p => ({
       id: p.id,
       completedBy: normalizeOperator(p.completedBy),
@@ -856,10 +903,24 @@ app.get('/api/operations/production', authenticate, async (req, res) => {
       partType: p.partType || null,
       quantity: p.quantity != null ? p.quantity : null,
       laborHours: p.laborHours != null ? parseFloat(p.laborHours) : null,
+      actualHours: actualMin(p) != null ? Math.round((actualMin(p) / 60) * 100) / 100 : null,
       dr: p.workOrder ? (p.workOrder.drNumber || p.workOrder.orderNumber) : null,
       clientName: p.workOrder ? p.workOrder.clientName : null,
     }));
-    res.json({ data: { weekStart: start.toISOString(), weekEnd: end.toISOString(), parts } });
+
+    // Hours on the clock this week per operator, whether or not the part finished
+    const segments = await LaborSegment.findAll({
+      where: { startedAt: { [Op.gte]: start, [Op.lt]: end } },
+      attributes: ['operatorName', 'startedAt', 'endedAt', 'minutes'],
+    });
+    const { summarizeSegments } = require('./services/laborTracking');
+    const clocked = summarizeSegments(segments).byOperator;
+    const clockedHours = {};
+    for (const [op, mins] of Object.entries(clocked)) {
+      const name = normalizeOperator(op);
+      clockedHours[name] = Math.round(((clockedHours[name] || 0) + mins / 60) * 100) / 100;
+    }
+    res.json({ data: { weekStart: start.toISOString(), weekEnd: end.toISOString(), parts, clockedHours } });
   } catch (e) { res.status(500).json({ error: { message: e.message } }); }
 });
 
@@ -924,7 +985,16 @@ app.get('/api/operations/assignments', authenticate, async (req, res) => {
     const where = { assignedOperator: { [Op.ne]: null }, status: { [Op.notIn]: ASSIGN_DONE }, isVoided: { [Op.not]: true } };
     if (req.query.operator) where.assignedOperator = req.query.operator;
     const rows = await WorkOrder.findAll({ where, attributes: ['id', 'drNumber', 'orderNumber', 'clientName', 'status', 'promisedDate', 'assignedOperator', 'assignedSequence'], order: [['assignedOperator', 'ASC'], ['assignedSequence', 'ASC']] });
-    res.json({ data: rows.map(w => ({ id: w.id, dr: w.drNumber || w.orderNumber, clientName: w.clientName, status: w.status, promisedDate: w.promisedDate, assignedOperator: w.assignedOperator, assignedSequence: w.assignedSequence })) });
+    // Planned start/finish from the accepted schedule, if one has been accepted
+    const { getSchedule } = require('./services/productionScheduler');
+    const plan = await getSchedule();
+    const planned = {};
+    if (plan && plan.acceptedAt) (plan.workOrders || []).forEach(o => { planned[o.workOrderId] = o; });
+    res.json({ data: rows.map(w => {
+      const p = planned[w.id] && planned[w.id].operator === w.assignedOperator ? planned[w.id] : null;
+      return { id: w.id, dr: w.drNumber || w.orderNumber, clientName: w.clientName, status: w.status, promisedDate: w.promisedDate, assignedOperator: w.assignedOperator, assignedSequence: w.assignedSequence,
+        scheduledStart: p ? p.start : null, scheduledFinish: p ? p.finish : null, late: p ? p.late : null };
+    }) });
   } catch (e) { res.status(500).json({ error: { message: e.message } }); }
 });
 
@@ -1052,6 +1122,10 @@ app.delete('/api/operations/tasks/:id', authenticate, async (req, res) => {
   } catch (e) { res.status(500).json({ error: { message: e.message } }); }
 });
 
+// Production scheduler, calendars, machine load and the labor clock (routes/operations.js). Mounted
+// after the /api/operations handlers above, which answer first, so every route in it is authenticated.
+app.use('/api/operations', authenticate, blockPortalKeys, require('./routes/operations'));
+
 app.get('/api/com-center/logs', authenticate, (req, res) => {
   res.set('Cache-Control', 'no-store, no-cache, must-revalidate');
   res.set('Pragma', 'no-cache');
@@ -1343,6 +1417,7 @@ portalRouter.get('/estimate/:estimateNumber/files/:fileId/download', async (req,
   } catch (error) { next(error); }
 });
 
+app.use('/api/portal', authenticate, require('./routes/client-portal'));
 app.use('/api/portal', authenticate, portalRouter);
 
 
@@ -1983,6 +2058,9 @@ async function startServer() {
       await sequelize.query(`ALTER TABLE work_orders ADD COLUMN IF NOT EXISTS "assignedOperator" VARCHAR(255)`);
       await sequelize.query(`ALTER TABLE work_orders ADD COLUMN IF NOT EXISTS "assignedSequence" INTEGER`);
       await sequelize.query(`ALTER TABLE work_orders ADD COLUMN IF NOT EXISTS "assignedAt" TIMESTAMP WITH TIME ZONE`);
+      // Planned start/finish written when a production schedule is accepted
+      await sequelize.query(`ALTER TABLE work_order_parts ADD COLUMN IF NOT EXISTS "scheduledStart" TIMESTAMP WITH TIME ZONE`);
+      await sequelize.query(`ALTER TABLE work_order_parts ADD COLUMN IF NOT EXISTS "scheduledFinish" TIMESTAMP WITH TIME ZONE`);
       console.log('Job assignment columns ready');
       // Internal notes on work orders (carried over from the estimate on conversion).
       await sequelize.query(`ALTER TABLE work_orders ADD COLUMN IF NOT EXISTS "internalNotes" TEXT`);
@@ -2015,6 +2093,612 @@ async function startServer() {
       console.log('operator_signatures table ready');
     } catch(e) { console.log('operator_signatures table error:', e.message); }
 
+    // Work centers (machines) + maintenance windows, and the per-part routing that points at them
+    try {
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS work_centers (
+        id UUID PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        kind VARCHAR(50),
+        "partTypes" JSONB DEFAULT '[]',
+        "maxThickness" DECIMAL(10,4),
+        "maxWidth" DECIMAL(10,2),
+        "maxLength" DECIMAL(10,2),
+        "minDiameter" DECIMAL(10,2),
+        "maxWeightLbs" DECIMAL(10,2),
+        "hoursPerDay" DECIMAL(5,2),
+        "sortOrder" INTEGER DEFAULT 0,
+        "isActive" BOOLEAN DEFAULT true,
+        notes TEXT,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      )`);
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS work_center_downtime (
+        id UUID PRIMARY KEY,
+        "workCenterId" UUID NOT NULL REFERENCES work_centers(id) ON DELETE CASCADE,
+        "startAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+        "endAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+        reason VARCHAR(255),
+        "createdBy" VARCHAR(255),
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      )`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS idx_work_center_downtime_wc ON work_center_downtime ("workCenterId", "startAt")`);
+      await sequelize.query(`ALTER TABLE work_order_parts ADD COLUMN IF NOT EXISTS routing JSONB DEFAULT '[]'`);
+      console.log('work_centers tables ready');
+    } catch(e) { console.log('work_centers tables error:', e.message); }
+
+    // Operator time clock — start/pause/stop segments per part; actualRunTimeMin is their total
+    try {
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS labor_segments (
+        id UUID PRIMARY KEY,
+        "workOrderPartId" UUID NOT NULL REFERENCES work_order_parts(id) ON DELETE CASCADE,
+        "workOrderId" UUID NOT NULL,
+        "operatorName" VARCHAR(255) NOT NULL,
+        "deviceName" VARCHAR(255),
+        "startedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+        "endedAt" TIMESTAMP WITH TIME ZONE,
+        minutes DECIMAL(10,2),
+        "endReason" VARCHAR(20),
+        notes TEXT,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      )`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS idx_labor_segments_part ON labor_segments ("workOrderPartId")`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS idx_labor_segments_open ON labor_segments ("operatorName") WHERE "endedAt" IS NULL`);
+      console.log('labor_segments table ready');
+    } catch(e) { console.log('labor_segments table error:', e.message); }
+
+    // Material inventory — plate/bar stock and remnants on the rack, with a movement log
+    try {
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS material_stock (
+        id UUID PRIMARY KEY,
+        "qrCode" VARCHAR(255) NOT NULL UNIQUE,
+        form VARCHAR(20) DEFAULT 'plate',
+        grade VARCHAR(255) NOT NULL,
+        thickness DECIMAL(8,4),
+        width DECIMAL(10,3),
+        length DECIMAL(10,3),
+        "sectionSize" VARCHAR(255),
+        quantity INTEGER DEFAULT 1,
+        "heatNumber" VARCHAR(255),
+        "heatCountry" VARCHAR(10),
+        location VARCHAR(255),
+        status VARCHAR(20) DEFAULT 'available',
+        "isRemnant" BOOLEAN DEFAULT false,
+        "parentStockId" UUID REFERENCES material_stock(id) ON DELETE SET NULL,
+        "workOrderPartId" UUID REFERENCES work_order_parts(id) ON DELETE SET NULL,
+        "allocatedAt" TIMESTAMP WITH TIME ZONE,
+        "consumedAt" TIMESTAMP WITH TIME ZONE,
+        "vendorId" UUID,
+        "supplierName" VARCHAR(255),
+        "poNumber" VARCHAR(255),
+        "unitCost" DECIMAL(10,2),
+        "receivedAt" TIMESTAMP WITH TIME ZONE,
+        "receivedBy" VARCHAR(255),
+        notes TEXT,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      )`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS idx_material_stock_status ON material_stock (status, grade)`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS idx_material_stock_part ON material_stock ("workOrderPartId")`);
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS material_stock_log (
+        id UUID PRIMARY KEY,
+        "materialStockId" UUID NOT NULL REFERENCES material_stock(id) ON DELETE CASCADE,
+        action VARCHAR(20) NOT NULL,
+        "quantityChange" INTEGER DEFAULT 0,
+        "workOrderPartId" UUID,
+        "performedBy" VARCHAR(255),
+        "deviceName" VARCHAR(255),
+        notes TEXT,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      )`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS idx_material_stock_log_stock ON material_stock_log ("materialStockId")`);
+      console.log('material_stock tables ready');
+    } catch(e) { console.log('material_stock table error:', e.message); }
+
+    // Mill test reports — supplier MTR files and the heats read off them
+    try {
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS mill_test_reports (
+        id UUID PRIMARY KEY,
+        "inboundOrderId" UUID REFERENCES inbound_orders(id) ON DELETE SET NULL,
+        "poNumber" VARCHAR(255),
+        "vendorId" UUID,
+        "supplierName" VARCHAR(255),
+        "millName" VARCHAR(255),
+        "certNumber" VARCHAR(255),
+        "certDate" DATE,
+        "originalName" VARCHAR(255),
+        "mimeType" VARCHAR(255),
+        size INTEGER,
+        url VARCHAR(1000) NOT NULL,
+        "storageId" VARCHAR(255),
+        status VARCHAR(20) DEFAULT 'needs_review',
+        confidence VARCHAR(20),
+        "extractError" VARCHAR(255),
+        extracted JSONB,
+        "uploadedBy" VARCHAR(255),
+        "verifiedBy" VARCHAR(255),
+        "verifiedAt" TIMESTAMP WITH TIME ZONE,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      )`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS idx_mill_test_reports_inbound ON mill_test_reports ("inboundOrderId")`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS idx_mill_test_reports_po ON mill_test_reports ("poNumber")`);
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS mtr_heats (
+        id UUID PRIMARY KEY,
+        "millTestReportId" UUID NOT NULL REFERENCES mill_test_reports(id) ON DELETE CASCADE,
+        "heatNumber" VARCHAR(255) NOT NULL,
+        "heatKey" VARCHAR(255) NOT NULL,
+        grade VARCHAR(255),
+        specification VARCHAR(255),
+        size VARCHAR(255),
+        "meltCountry" VARCHAR(10),
+        chemistry JSONB DEFAULT '{}',
+        mechanicals JSONB DEFAULT '{}',
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      )`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS idx_mtr_heats_key ON mtr_heats ("heatKey")`);
+      console.log('mill_test_reports tables ready');
+    } catch(e) { console.log('mill_test_reports table error:', e.message); }
+
+    // Nonconformance reports (NCR) with disposition, customer approval and corrective action
+    try {
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS ncrs (
+        id UUID PRIMARY KEY,
+        "ncrNumber" SERIAL UNIQUE,
+        status VARCHAR(20) DEFAULT 'open',
+        source VARCHAR(20) DEFAULT 'shop',
+        "workOrderId" UUID REFERENCES work_orders(id) ON DELETE SET NULL,
+        "workOrderPartId" UUID REFERENCES work_order_parts(id) ON DELETE SET NULL,
+        "inspectionUnitId" UUID REFERENCES inspection_units(id) ON DELETE SET NULL,
+        "vendorId" UUID,
+        "vendorName" VARCHAR(255),
+        "heatNumber" VARCHAR(255),
+        "clientName" VARCHAR(255),
+        title VARCHAR(255) NOT NULL,
+        requirement TEXT,
+        finding TEXT,
+        "quantityAffected" INTEGER DEFAULT 1,
+        "costImpact" DECIMAL(10,2),
+        "reportedBy" VARCHAR(255),
+        disposition VARCHAR(30),
+        "dispositionNotes" TEXT,
+        "dispositionBy" VARCHAR(255),
+        "dispositionAt" TIMESTAMP WITH TIME ZONE,
+        "customerApprovalRequired" BOOLEAN DEFAULT false,
+        "customerApprovalStatus" VARCHAR(20),
+        "customerApprovedBy" VARCHAR(255),
+        "customerApprovalNotes" TEXT,
+        "customerApprovalAt" TIMESTAMP WITH TIME ZONE,
+        "customerApprovalRecordedBy" VARCHAR(255),
+        "rootCauseCategory" VARCHAR(30),
+        "rootCause" TEXT,
+        "correctiveAction" TEXT,
+        "correctiveActionOwner" VARCHAR(255),
+        "correctiveActionDue" DATE,
+        "correctiveActionDoneAt" TIMESTAMP WITH TIME ZONE,
+        verification TEXT,
+        "closedBy" VARCHAR(255),
+        "closedAt" TIMESTAMP WITH TIME ZONE,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      )`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS idx_ncrs_status ON ncrs (status)`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS idx_ncrs_work_order ON ncrs ("workOrderId")`);
+      console.log('ncrs table ready');
+    } catch(e) { console.log('ncrs table error:', e.message); }
+
+    // Tokenized estimate acceptance links with signature and audit trail
+    try {
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS estimate_acceptances (
+        id UUID PRIMARY KEY,
+        "estimateId" UUID NOT NULL REFERENCES estimates(id) ON DELETE CASCADE,
+        token VARCHAR(255) NOT NULL UNIQUE,
+        status VARCHAR(20) DEFAULT 'pending',
+        "expiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+        "autoConvert" BOOLEAN DEFAULT false,
+        "quotedTotal" DECIMAL(12,2),
+        "sentTo" VARCHAR(255),
+        "createdBy" VARCHAR(255),
+        "revokedBy" VARCHAR(255),
+        "revokedAt" TIMESTAMP WITH TIME ZONE,
+        "viewCount" INTEGER DEFAULT 0,
+        "firstViewedAt" TIMESTAMP WITH TIME ZONE,
+        "lastViewedAt" TIMESTAMP WITH TIME ZONE,
+        "signerName" VARCHAR(255),
+        "signerTitle" VARCHAR(255),
+        "signerEmail" VARCHAR(255),
+        "purchaseOrderNumber" VARCHAR(255),
+        "requestedDueDate" DATE,
+        signature TEXT,
+        "signedAt" TIMESTAMP WITH TIME ZONE,
+        "signerIp" VARCHAR(255),
+        "signerUserAgent" TEXT,
+        "declineReason" TEXT,
+        "estimateSnapshot" JSONB,
+        "workOrderId" UUID,
+        "conversionError" TEXT,
+        events JSONB DEFAULT '[]',
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      )`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS idx_estimate_acceptances_estimate ON estimate_acceptances ("estimateId")`);
+      console.log('estimate_acceptances table ready');
+    } catch(e) { console.log('estimate_acceptances table error:', e.message); }
+
+    // Estimate revisions — frozen copy each time an estimate goes out, plus the letters on the estimate
+    try {
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS estimate_revisions (
+        id UUID PRIMARY KEY,
+        "estimateId" UUID NOT NULL REFERENCES estimates(id) ON DELETE CASCADE,
+        sequence INTEGER NOT NULL,
+        revision VARCHAR(4) NOT NULL,
+        reason VARCHAR(20) DEFAULT 'sent',
+        "contentHash" VARCHAR(64) NOT NULL,
+        snapshot JSONB NOT NULL,
+        "grandTotal" DECIMAL(12,2),
+        "createdBy" VARCHAR(255),
+        note TEXT,
+        sends JSONB DEFAULT '[]',
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        UNIQUE ("estimateId", sequence)
+      )`);
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS "currentRevision" VARCHAR(4)`);
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS "acceptedRevision" VARCHAR(4)`);
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS "convertedRevision" VARCHAR(4)`);
+      console.log('estimate_revisions table ready');
+    } catch(e) { console.log('estimate_revisions table error:', e.message); }
+
+    // Create price_books table
+    try {
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS price_books (
+        id UUID PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        "clientId" UUID REFERENCES clients(id) ON DELETE CASCADE,
+        "clientName" VARCHAR(255),
+        priority INTEGER DEFAULT 0,
+        "isActive" BOOLEAN DEFAULT true,
+        "effectiveFrom" DATE,
+        "effectiveTo" DATE,
+        rules JSONB DEFAULT '[]',
+        notes TEXT,
+        "createdBy" VARCHAR(255),
+        "updatedBy" VARCHAR(255),
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      )`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS price_books_client_idx ON price_books ("clientId")`);
+      console.log('price_books table ready');
+    } catch(e) { console.log('price_books table error:', e.message); }
+
+    // Quote pipeline fields on estimates
+    try {
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS estimator VARCHAR(255)`);
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS "expectedCloseDate" DATE`);
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS "winProbability" INTEGER`);
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS "followUps" JSONB DEFAULT '[]'`);
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS "declinedAt" TIMESTAMP WITH TIME ZONE`);
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS "lossReason" VARCHAR(50)`);
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS "lossDetail" TEXT`);
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS competitor VARCHAR(255)`);
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS "competitorPrice" DECIMAL(12,2)`);
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS "lossRecordedBy" VARCHAR(255)`);
+      console.log('estimate pipeline fields ready');
+    } catch(e) { console.log('estimate pipeline fields error:', e.message); }
+
+    // Create material_prices table (material price index) and the stale-cost fields it feeds
+    try {
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS material_prices (
+        id UUID PRIMARY KEY,
+        key VARCHAR(255) NOT NULL,
+        grade VARCHAR(255) NOT NULL,
+        shape VARCHAR(20) NOT NULL,
+        thickness DECIMAL(8,4),
+        size VARCHAR(255),
+        description VARCHAR(255),
+        unit VARCHAR(8) DEFAULT 'lb',
+        "unitPrice" DECIMAL(12,4) NOT NULL,
+        quantity DECIMAL(12,2),
+        "vendorId" UUID REFERENCES vendors(id) ON DELETE SET NULL,
+        "vendorName" VARCHAR(255),
+        source VARCHAR(20) DEFAULT 'manual',
+        "sourceEmailId" UUID,
+        "quotedAt" DATE NOT NULL,
+        notes TEXT,
+        "createdBy" VARCHAR(255),
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      )`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS material_prices_key_idx ON material_prices (key, "quotedAt")`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS material_prices_email_idx ON material_prices ("sourceEmailId")`);
+      await sequelize.query(`ALTER TABLE estimate_parts ADD COLUMN IF NOT EXISTS "materialCostAt" TIMESTAMP WITH TIME ZONE`);
+      await sequelize.query(`ALTER TABLE scanned_emails ADD COLUMN IF NOT EXISTS "materialPricesIngestedAt" TIMESTAMP WITH TIME ZONE`);
+      console.log('material_prices table ready');
+    } catch(e) { console.log('material_prices table error:', e.message); }
+
+    // Create client_parts table (repeat-part catalog per client)
+    try {
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS client_parts (
+        id UUID PRIMARY KEY,
+        "clientId" UUID REFERENCES clients(id) ON DELETE SET NULL,
+        "clientName" VARCHAR(255) NOT NULL,
+        "clientKey" VARCHAR(255) NOT NULL,
+        "clientPartNumber" VARCHAR(255) NOT NULL,
+        "partKey" VARCHAR(255) NOT NULL,
+        rev VARCHAR(255) DEFAULT '',
+        "matchKey" VARCHAR(255) NOT NULL UNIQUE,
+        "partType" VARCHAR(255) NOT NULL,
+        description VARCHAR(255),
+        part JSONB DEFAULT '{}',
+        "formData" JSONB DEFAULT '{}',
+        files JSONB DEFAULT '[]',
+        quantity INTEGER DEFAULT 1,
+        "lastPrice" DECIMAL(12,2),
+        "lastPricedAt" TIMESTAMP WITH TIME ZONE,
+        "lastMaterialCostAt" TIMESTAMP WITH TIME ZONE,
+        "lastEstimateId" UUID,
+        "lastEstimateNumber" VARCHAR(255),
+        "lastWorkOrderId" UUID,
+        "lastDrNumber" INTEGER,
+        "lastOrderedAt" TIMESTAMP WITH TIME ZONE,
+        "timesQuoted" INTEGER DEFAULT 0,
+        "timesOrdered" INTEGER DEFAULT 0,
+        notes TEXT,
+        "createdBy" VARCHAR(255),
+        "updatedBy" VARCHAR(255),
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+      )`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS client_parts_client_idx ON client_parts ("clientKey", "partKey")`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS client_parts_client_id_idx ON client_parts ("clientId")`);
+      console.log('client_parts table ready');
+    } catch(e) { console.log('client_parts table error:', e.message); }
+
+    // Add currency fields (see services/currency.js) — client currency, quote and invoice rates
+    try {
+      await sequelize.query(`ALTER TABLE clients ADD COLUMN IF NOT EXISTS "currency" VARCHAR(3) DEFAULT 'USD'`);
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS "currency" VARCHAR(3) DEFAULT 'USD'`);
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS "exchangeRate" DECIMAL(12,6)`);
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS "exchangeRateAt" TIMESTAMP WITH TIME ZONE`);
+      await sequelize.query(`ALTER TABLE work_orders ADD COLUMN IF NOT EXISTS "currency" VARCHAR(3) DEFAULT 'USD'`);
+      await sequelize.query(`ALTER TABLE work_orders ADD COLUMN IF NOT EXISTS "exchangeRate" DECIMAL(12,6)`);
+      await sequelize.query(`ALTER TABLE work_orders ADD COLUMN IF NOT EXISTS "exchangeRateAt" TIMESTAMP WITH TIME ZONE`);
+      await sequelize.query(`ALTER TABLE work_orders ADD COLUMN IF NOT EXISTS "invoiceExchangeRate" DECIMAL(12,6)`);
+      await sequelize.query(`ALTER TABLE work_orders ADD COLUMN IF NOT EXISTS "invoiceExchangeRateAt" TIMESTAMP WITH TIME ZONE`);
+      console.log('currency fields ready');
+    } catch(e) { console.log('currency fields error:', e.message); }
+
+    // Create tax_rates and tax_exempt_certificates tables, and the ship-to fields tax is looked up by
+    try {
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS tax_rates (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        code VARCHAR(50) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        state VARCHAR(2) NOT NULL,
+        city VARCHAR(255),
+        zips JSONB DEFAULT '[]',
+        rate DECIMAL(7,4) NOT NULL,
+        components JSONB DEFAULT '{}',
+        taxability JSONB DEFAULT '{}',
+        "effectiveFrom" DATE NOT NULL,
+        "effectiveTo" DATE,
+        notes TEXT,
+        "createdBy" VARCHAR(255),
+        "updatedBy" VARCHAR(255),
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS tax_rates_code_idx ON tax_rates (code, "effectiveFrom")`);
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS tax_exempt_certificates (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "clientId" UUID REFERENCES clients(id) ON DELETE SET NULL,
+        "clientName" VARCHAR(255) NOT NULL,
+        kind VARCHAR(20) DEFAULT 'resale',
+        "certificateNumber" VARCHAR(255),
+        state VARCHAR(2) DEFAULT 'CA',
+        "issuedAt" DATE,
+        "expiresAt" DATE,
+        status VARCHAR(20) DEFAULT 'active',
+        "originalName" VARCHAR(255),
+        "mimeType" VARCHAR(255),
+        size INTEGER,
+        url TEXT,
+        "storageId" VARCHAR(255),
+        "reminderSentAt" TIMESTAMP WITH TIME ZONE,
+        notes TEXT,
+        "uploadedBy" VARCHAR(255),
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS tax_exempt_certificates_client_idx ON tax_exempt_certificates ("clientId")`);
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS "shipToAddress" TEXT`);
+      await sequelize.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS "taxJurisdiction" VARCHAR(50)`);
+      await sequelize.query(`ALTER TABLE work_orders ADD COLUMN IF NOT EXISTS "shipToAddress" TEXT`);
+      await sequelize.query(`ALTER TABLE work_orders ADD COLUMN IF NOT EXISTS "taxJurisdiction" VARCHAR(50)`);
+      console.log('sales tax tables ready');
+    } catch(e) { console.log('sales tax tables error:', e.message); }
+
+    // Create qbo_connections and qbo_sync_links tables (QuickBooks Online sync)
+    try {
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS qbo_connections (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "realmId" VARCHAR(255) NOT NULL UNIQUE,
+        "companyName" VARCHAR(255),
+        environment VARCHAR(20) DEFAULT 'sandbox',
+        "accessToken" TEXT,
+        "refreshToken" TEXT,
+        "tokenExpiry" TIMESTAMP WITH TIME ZONE,
+        "refreshTokenExpiry" TIMESTAMP WITH TIME ZONE,
+        "isActive" BOOLEAN DEFAULT true,
+        "lastSyncedAt" TIMESTAMP WITH TIME ZONE,
+        "lastPulledAt" TIMESTAMP WITH TIME ZONE,
+        "lastError" TEXT,
+        "connectedBy" VARCHAR(255),
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )`);
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS qbo_sync_links (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "realmId" VARCHAR(255) NOT NULL,
+        "entityType" VARCHAR(20) NOT NULL,
+        "localId" UUID NOT NULL,
+        "remoteId" VARCHAR(255),
+        "syncToken" VARCHAR(255),
+        "payloadHash" VARCHAR(40),
+        status VARCHAR(20) DEFAULT 'synced',
+        "lastError" TEXT,
+        "syncedAt" TIMESTAMP WITH TIME ZONE,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )`);
+      await sequelize.query(`CREATE UNIQUE INDEX IF NOT EXISTS qbo_sync_links_local_idx ON qbo_sync_links ("realmId", "entityType", "localId")`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS qbo_sync_links_remote_idx ON qbo_sync_links ("realmId", "entityType", "remoteId")`);
+      console.log('qbo sync tables ready');
+    } catch(e) { console.log('qbo sync tables error:', e.message); }
+
+    // Create ledger_accounts, journal_entries, journal_lines, accounting_periods and ledger_post_failures tables (double-entry ledger)
+    try {
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS ledger_accounts (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        code VARCHAR(20) NOT NULL UNIQUE,
+        name VARCHAR(255) NOT NULL,
+        type VARCHAR(20) NOT NULL,
+        "systemKey" VARCHAR(40) UNIQUE,
+        description TEXT,
+        "isActive" BOOLEAN DEFAULT true,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )`);
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS journal_entries (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "entryNumber" SERIAL,
+        date DATE NOT NULL,
+        memo TEXT,
+        "sourceType" VARCHAR(30) NOT NULL,
+        "sourceId" VARCHAR(255),
+        "clientId" UUID,
+        "linesHash" VARCHAR(40),
+        "reversesEntryId" UUID,
+        "reversedByEntryId" UUID,
+        "reversedAt" TIMESTAMP WITH TIME ZONE,
+        "postedBy" VARCHAR(255),
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )`);
+      // One live posting per source record — a second sync racing the first can't double-post
+      await sequelize.query(`CREATE UNIQUE INDEX IF NOT EXISTS journal_entries_live_source_idx ON journal_entries ("sourceType", "sourceId") WHERE "reversedAt" IS NULL AND "reversesEntryId" IS NULL AND "sourceType" <> 'manual'`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS journal_entries_date_idx ON journal_entries (date)`);
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS journal_lines (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "journalEntryId" UUID NOT NULL REFERENCES journal_entries(id),
+        "accountId" UUID NOT NULL REFERENCES ledger_accounts(id),
+        debit DECIMAL(12,2) DEFAULT 0,
+        credit DECIMAL(12,2) DEFAULT 0,
+        memo VARCHAR(255),
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS journal_lines_entry_idx ON journal_lines ("journalEntryId")`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS journal_lines_account_idx ON journal_lines ("accountId")`);
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS accounting_periods (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "closedThrough" DATE NOT NULL,
+        "closedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+        "closedBy" VARCHAR(255),
+        "reopenedAt" TIMESTAMP WITH TIME ZONE,
+        "reopenedBy" VARCHAR(255),
+        notes TEXT,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )`);
+      // Postings that failed, kept until they go through (see services/ledger.js post and retryFailures)
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS ledger_post_failures (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "sourceType" VARCHAR(30) NOT NULL,
+        "sourceId" VARCHAR(255) NOT NULL,
+        error TEXT,
+        attempts INTEGER DEFAULT 1,
+        "failedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+        "failedBy" VARCHAR(255),
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        UNIQUE ("sourceType", "sourceId")
+      )`);
+      console.log('ledger tables ready');
+    } catch(e) { console.log('ledger tables error:', e.message); }
+
+    // Receivables — client credit hold and the log of AR reminders (see services/receivables.js)
+    try {
+      await sequelize.query(`ALTER TABLE clients ADD COLUMN IF NOT EXISTS "creditHold" BOOLEAN DEFAULT false`);
+      await sequelize.query(`ALTER TABLE clients ADD COLUMN IF NOT EXISTS "creditHoldReason" TEXT`);
+      await sequelize.query(`ALTER TABLE clients ADD COLUMN IF NOT EXISTS "creditHoldAt" TIMESTAMP WITH TIME ZONE`);
+      await sequelize.query(`ALTER TABLE clients ADD COLUMN IF NOT EXISTS "creditHoldBy" VARCHAR(255)`);
+      await sequelize.query(`ALTER TABLE clients ADD COLUMN IF NOT EXISTS "dunningPaused" BOOLEAN DEFAULT false`);
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS dunning_notices (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "clientId" UUID,
+        "clientName" VARCHAR(255) NOT NULL,
+        "stepKey" VARCHAR(40) NOT NULL,
+        "stepName" VARCHAR(255),
+        "sentTo" VARCHAR(255),
+        subject VARCHAR(255),
+        body TEXT,
+        channel VARCHAR(20),
+        invoices JSONB DEFAULT '[]',
+        "overdueTotal" DECIMAL(12,2) DEFAULT 0,
+        balance DECIMAL(12,2) DEFAULT 0,
+        status VARCHAR(20) DEFAULT 'sent',
+        error TEXT,
+        "placedOnHold" BOOLEAN DEFAULT false,
+        "sentBy" VARCHAR(255),
+        "sentAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS dunning_notices_client_idx ON dunning_notices ("clientId")`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS dunning_notices_sent_idx ON dunning_notices ("sentAt")`);
+      console.log('receivables columns and dunning_notices table ready');
+    } catch(e) { console.log('receivables migration error:', e.message); }
+
+    // Payables — three-way match, approvals and check payment runs on bills (see services/payables.js)
+    try {
+      await sequelize.query(`ALTER TABLE vendors ADD COLUMN IF NOT EXISTS "paymentTerms" VARCHAR(255)`);
+      await sequelize.query(`ALTER TABLE liabilities ADD COLUMN IF NOT EXISTS "billDate" DATE`);
+      await sequelize.query(`ALTER TABLE liabilities ADD COLUMN IF NOT EXISTS "paymentTerms" VARCHAR(255)`);
+      await sequelize.query(`ALTER TABLE liabilities ADD COLUMN IF NOT EXISTS "matchStatus" VARCHAR(20)`);
+      await sequelize.query(`ALTER TABLE liabilities ADD COLUMN IF NOT EXISTS "matchResult" JSONB`);
+      await sequelize.query(`ALTER TABLE liabilities ADD COLUMN IF NOT EXISTS "matchedAt" TIMESTAMP WITH TIME ZONE`);
+      await sequelize.query(`ALTER TABLE liabilities ADD COLUMN IF NOT EXISTS "approvalStatus" VARCHAR(20)`);
+      await sequelize.query(`ALTER TABLE liabilities ADD COLUMN IF NOT EXISTS "approvedBy" VARCHAR(255)`);
+      await sequelize.query(`ALTER TABLE liabilities ADD COLUMN IF NOT EXISTS "approvedAt" TIMESTAMP WITH TIME ZONE`);
+      await sequelize.query(`ALTER TABLE liabilities ADD COLUMN IF NOT EXISTS "approvedAmount" DECIMAL(10,2)`);
+      await sequelize.query(`ALTER TABLE liabilities ADD COLUMN IF NOT EXISTS "approvalNote" TEXT`);
+      await sequelize.query(`ALTER TABLE liabilities ADD COLUMN IF NOT EXISTS "paymentRunId" UUID`);
+      await sequelize.query(`ALTER TABLE liabilities ADD COLUMN IF NOT EXISTS "checkNumber" VARCHAR(20)`);
+      await sequelize.query(`ALTER TABLE liabilities ADD COLUMN IF NOT EXISTS "discountTaken" DECIMAL(10,2)`);
+      await sequelize.query(`CREATE TABLE IF NOT EXISTS ap_payment_runs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "payDate" DATE NOT NULL,
+        "throughDate" DATE NOT NULL,
+        status VARCHAR(20) DEFAULT 'draft',
+        "bankAccountNumber" VARCHAR(40),
+        checks JSONB DEFAULT '[]',
+        total DECIMAL(12,2) DEFAULT 0,
+        "discountTotal" DECIMAL(12,2) DEFAULT 0,
+        "createdBy" VARCHAR(255),
+        "issuedBy" VARCHAR(255),
+        "issuedAt" TIMESTAMP WITH TIME ZONE,
+        notes TEXT,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS ap_payment_runs_paydate_idx ON ap_payment_runs ("payDate")`);
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS idx_liabilities_paymentrunid ON liabilities ("paymentRunId")`);
+      console.log('payables columns and ap_payment_runs table ready');
+    } catch(e) { console.log('payables migration error:', e.message); }
+
     // Add USMCA per-order fields to work_orders table
     try {
       await sequelize.query(`ALTER TABLE work_orders ADD COLUMN IF NOT EXISTS "usmcaImporterName" VARCHAR(255)`);
@@ -2643,14 +3327,18 @@ async function startServer() {
         const allDrafts = await estimatesRouter.getUnsentDrafts();
         // Stale drafts (presumed dead) stay on the list but stop nagging
         const drafts = allDrafts.filter(d => !d.isStale);
-        if (!drafts.length) {
-          console.log('[quote-reminder] no unsent quotes — all caught up');
+        let followUps = [];
+        try {
+          followUps = (await require('./services/quotePipeline').openPipeline({ dueOnly: true })).quotes;
+        } catch (e) { console.error('[quote-reminder] follow-up check failed:', e.message); }
+        if (!drafts.length && !followUps.length) {
+          console.log('[quote-reminder] no unsent quotes or follow-ups due — all caught up');
           return;
         }
 
         const { sendPush, isPushConfigured } = require('./services/push');
         const { DeviceToken } = require('./models');
-        const { title, body } = estimatesRouter.buildQuoteDigest(drafts);
+        const { title, body } = estimatesRouter.buildQuoteDigest(drafts, followUps);
 
         if (!isPushConfigured()) {
           console.log(`[quote-reminder] ${title}: ${body} (push not configured — set FIREBASE_SERVICE_ACCOUNT)`);
@@ -2660,7 +3348,7 @@ async function startServer() {
         const devices = await getEstimatorDevices();
         for (const d of devices) {
           try {
-            await sendPush(d.token, title, body, { type: 'quote_reminder', drafts: drafts.length });
+            await sendPush(d.token, title, body, { type: 'quote_reminder', drafts: drafts.length, followUps: followUps.length });
           } catch (e) {
             console.error('[quote-reminder] push failed:', e.message);
             // Token no longer valid — deactivate so we stop trying
@@ -2779,6 +3467,92 @@ async function startServer() {
     });
     console.log('Annual CDTFA permit verification configured for January 2nd at 3:00 AM Pacific');
 
+    // Daily tax certificate expiry reminders — 6:30 AM Pacific, a to-do 30 days ahead of each expiry
+    cron.schedule('30 6 * * *', async () => {
+      try {
+        const { sendExpiryReminders } = require('./services/salesTax');
+        const sent = await sendExpiryReminders();
+        if (sent) console.log(`[CRON] Tax certificate reminders: ${sent} expiring`);
+      } catch (err) {
+        console.error('[CRON] Tax certificate reminders failed:', err.message);
+      }
+    }, {
+      timezone: 'America/Los_Angeles'
+    });
+    console.log('Tax certificate expiry reminders configured for 6:30 AM Pacific daily');
+
+    // QuickBooks Online payment status — hourly, 7 AM to 7 PM Pacific, when a company is connected
+    cron.schedule('20 7-19 * * *', async () => {
+      try {
+        const qbo = require('./services/quickbooksOnline');
+        const conn = await qbo.getConnection();
+        if (!conn) return;
+        const result = await qbo.pullPayments(conn);
+        if (result.imported || result.paid.length) console.log(`[CRON] QuickBooks Online: ${result.imported} payment(s) pulled, paid: ${result.paid.join(', ') || 'none'}`);
+      } catch (err) {
+        console.error('[CRON] QuickBooks Online payment pull failed:', err.message);
+      }
+    }, {
+      timezone: 'America/Los_Angeles'
+    });
+    console.log('QuickBooks Online payment pull configured hourly 7 AM - 7 PM Pacific');
+
+    // Ledger catch-up — post anything a route missed and back-fill history, nightly at 1:45 AM Pacific
+    cron.schedule('45 1 * * *', async () => {
+      try {
+        const { counts, errors } = await require('./services/ledger').syncAll({ by: 'system' });
+        const changed = Object.values(counts).reduce((s, c) => s + c.posted + c.reposted + c.reversed, 0);
+        if (changed || errors.length) console.log(`[CRON] Ledger sync: ${changed} posting(s), ${errors.length} failed`);
+      } catch (err) {
+        console.error('[CRON] Ledger sync failed:', err.message);
+      }
+    }, {
+      timezone: 'America/Los_Angeles'
+    });
+    console.log('Ledger sync configured for 1:45 AM Pacific daily');
+
+    // AR reminders — weekdays at 8 AM Pacific, when switched on in AR settings
+    cron.schedule('0 8 * * 1-5', async () => {
+      try {
+        const { runDunning } = require('./services/receivables');
+        const result = await runDunning({ scheduled: true, by: 'system' });
+        if (result.notices.length) console.log(`[CRON] AR reminders: ${result.notices.filter(n => n.status === 'sent').length} sent of ${result.notices.length}`);
+      } catch (err) {
+        console.error('[CRON] AR reminders failed:', err.message);
+      }
+    }, {
+      timezone: 'America/Los_Angeles'
+    });
+    console.log('AR reminders configured for 8:00 AM Pacific on weekdays');
+
+    // Monthly statements — the 1st at 9 AM Pacific, when switched on in AR settings
+    cron.schedule('0 9 1 * *', async () => {
+      try {
+        const { sendStatements } = require('./services/receivables');
+        const result = await sendStatements({ scheduled: true, by: 'system' });
+        if (result.notices.length) console.log(`[CRON] Statements: ${result.notices.filter(n => n.status === 'sent').length} sent of ${result.notices.length}`);
+      } catch (err) {
+        console.error('[CRON] Monthly statements failed:', err.message);
+      }
+    }, {
+      timezone: 'America/Los_Angeles'
+    });
+    console.log('Monthly statements configured for the 1st at 9:00 AM Pacific');
+
+    // AP re-match — weekdays 7 AM Pacific, so bills waiting on a receipt clear once the material is in
+    cron.schedule('0 7 * * 1-5', async () => {
+      try {
+        const { rematchOpenBills } = require('./services/payables');
+        const result = await rematchOpenBills();
+        if (result.changed) console.log(`[CRON] AP re-match: ${result.changed} of ${result.checked} bill(s) changed`);
+      } catch (err) {
+        console.error('[CRON] AP re-match failed:', err.message);
+      }
+    }, {
+      timezone: 'America/Los_Angeles'
+    });
+    console.log('AP re-match configured for 7:00 AM Pacific on weekdays');
+
     // Auto-backup to Cloudinary every Saturday at 11 PM Pacific
     const { runAutoBackup } = require('./routes/backup');
     cron.schedule('0 23 * * 6', async () => {
@@ -3055,6 +3829,14 @@ Please confirm with the operator and mark the order complete if ready.`,
         } catch (billErr) {
           console.error('[CommCenter] bill scan error:', billErr.message);
         }
+
+        // Read supplier quotes and materials bills into the material price index
+        try {
+          const { ingestPending } = require('./services/materialPrices');
+          await ingestPending();
+        } catch (mpErr) {
+          console.error('[MaterialPrices] ingest error:', mpErr.message);
+        }
       } catch (e) {
         console.error('[CommScanner] Fatal error:', e.message);
       }
@@ -3076,6 +3858,18 @@ Please confirm with the operator and mark the order complete if ready.`,
     }, { timezone: 'America/Los_Angeles' });
     console.log('Auto-archive configured for daily at 1:00 AM Pacific');
 
+    // Time clock — close any clock left running at end of day (capped, see laborTracking)
+    cron.schedule('30 23 * * *', async () => {
+      try {
+        const { closeForgottenSegments } = require('./services/laborTracking');
+        const closed = await closeForgottenSegments();
+        if (closed > 0) console.log(`[TimeClock] Closed ${closed} forgotten clock(s)`);
+      } catch (err) {
+        console.error('[TimeClock] Nightly close failed:', err.message);
+      }
+    }, { timezone: 'America/Los_Angeles' });
+    console.log('Time clock nightly close configured for 11:30 PM Pacific');
+
     // Email Scanner — every 5 minutes during business hours
     cron.schedule('*/5 * * * *', async () => {
       try {
@@ -779,6 +779,38 @@ const WorkOrder = sequelize.define('WorkOrder', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  // --- Sales tax (see services/salesTax.js) ---
+  shipToAddress: {
+    type: DataTypes.TEXT,
+    allowNull: true // where the goods go, for the tax jurisdiction; blank = delivery drop-off or pick-up at the shop
+  },
+  taxJurisdiction: {
+    type: DataTypes.STRING(50),
+    allowNull: true // TaxRate code the rate was taken from
+  },
+  // --- Currency (see services/currency.js) — amounts stay USD; these convert them for the customer ---
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'USD'
+  },
+  exchangeRate: {
+    type: DataTypes.DECIMAL(12, 6),
+    allowNull: true
+    // Quote rate carried over from the estimate (units of currency per 1 USD)
+  },
+  exchangeRateAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  invoiceExchangeRate: {
+    type: DataTypes.DECIMAL(12, 6),
+    allowNull: true
+    // Locked the first time the invoice PDF or IIF is produced
+  },
+  invoiceExchangeRateAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   // --- Job assignment (push to a specific operator/tablet) ---
   assignedOperator: {
     type: DataTypes.STRING,
@@ -794,7 +826,17 @@ const WorkOrder = sequelize.define('WorkOrder', {
   }
 }, {
   tableName: 'work_orders',
-  timestamps: true
+  timestamps: true,
+  hooks: {
+    // A new order is in its client's currency unless the caller (estimate conversion) set one
+    beforeCreate: async (wo) => {
+      try {
+        if (wo.changed('currency') || !wo.clientId) return;
+        const c = await module.exports.Client.findByPk(wo.clientId, { attributes: ['currency'] });
+        if (c && c.currency) wo.currency = c.currency;
+      } catch (e) { console.error('[work-order] currency default failed (non-fatal):', e.message); }
+    }
+  }
 });
 
 // WorkOrderPart Model - individual parts within a work order
@@ -857,6 +899,10 @@ const WorkOrderPart = sequelize.define('WorkOrderPart', {
   handlingClass: { type: DataTypes.STRING, allowNull: true }, // 'one-hand' | 'two-hand' | 'two-person'
   recommendedLabor: { type: DataTypes.DECIMAL(10, 2), allowNull: true }, // the suggested labor at save time
   actualRunTimeMin: { type: DataTypes.DECIMAL(10, 2), allowNull: true }, // entered post-completion, for calibration
+  scheduledStart: { type: DataTypes.DATE, allowNull: true }, // from the accepted production schedule
+  scheduledFinish: { type: DataTypes.DATE, allowNull: true },
+  // Routing — ordered machine steps: [{ seq, workCenterId, workCenterName, operation, hours }]
+  routing: { type: DataTypes.JSONB, defaultValue: [] },
   // Rows are { heat, qty, country } — country is the ISO-2 origin for THAT heat, since a
   // split part can legitimately come from two different mills in two different countries.
   heatBreakdown: {
@@ -1407,6 +1453,28 @@ const Estimate = sequelize.define('Estimate', {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: true
   },
+  // Sales tax (see services/salesTax.js)
+  shipToAddress: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  taxJurisdiction: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  // Currency (see services/currency.js) — the quote rate locks when the estimate goes out
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'USD'
+  },
+  exchangeRate: {
+    type: DataTypes.DECIMAL(12, 6),
+    allowNull: true
+  },
+  exchangeRateAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   discountReason: {
     type: DataTypes.STRING,
     allowNull: true
@@ -1460,6 +1528,60 @@ const Estimate = sequelize.define('Estimate', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  // Revision letters (see services/estimateRevisions.js)
+  currentRevision: {
+    type: DataTypes.STRING(4),
+    allowNull: true // latest revision sent
+  },
+  acceptedRevision: {
+    type: DataTypes.STRING(4),
+    allowNull: true // the revision the customer accepted
+  },
+  convertedRevision: {
+    type: DataTypes.STRING(4),
+    allowNull: true // the revision convert-to-workorder built the DR from
+  },
+  // Quote pipeline (see services/quotePipeline.js)
+  estimator: {
+    type: DataTypes.STRING,
+    allowNull: true // who owns the quote — hit rate by estimator
+  },
+  expectedCloseDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  winProbability: {
+    type: DataTypes.INTEGER,
+    allowNull: true // 0-100; null = the default for the status
+  },
+  followUps: {
+    type: DataTypes.JSONB,
+    defaultValue: [] // follow-ups made after sending: [{ at, by, outcome, note }]
+  },
+  declinedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lossReason: {
+    type: DataTypes.STRING,
+    allowNull: true // price | lead_time | went_with_competitor | no_longer_needed | specs_changed | capability | quality_concern | other
+  },
+  lossDetail: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  competitor: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  competitorPrice: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true // their total, when the customer tells us
+  },
+  lossRecordedBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
   // Quote-reminder controls (nags for sent quotes awaiting reply)
   reminderDismissedAt: {
     type: DataTypes.DATE,
@@ -1533,6 +1655,17 @@ const Estimate = sequelize.define('Estimate', {
   tableName: 'estimates',
   timestamps: true,
   hooks: {
+    // A new estimate is in its client's currency unless the caller set one
+    beforeCreate: async (estimate) => {
+      try {
+        if (estimate.changed('currency')) return;
+        const { Client } = module.exports;
+        const c = estimate.clientId
+          ? await Client.findByPk(estimate.clientId, { attributes: ['currency'] })
+          : estimate.clientName ? await Client.findOne({ where: { name: estimate.clientName }, attributes: ['currency'] }) : null;
+        if (c && c.currency) estimate.currency = c.currency;
+      } catch (e) { console.error('[new-estimate] currency default failed (non-fatal):', e.message); }
+    },
     // Catch-all: ping the estimator's phone whenever a NEW estimate arrives from email,
     // no matter which code path created it (background scanner, review center, AI parse...).
     // Only fires for email-sourced estimates — not ones the owner types up himself.
@@ -1655,6 +1788,11 @@ const EstimatePart = sequelize.define('EstimatePart', {
     type: DataTypes.DECIMAL(10, 2),
     defaultValue: 0
   },
+  // When the material cost above was last entered — drives the stale-material check
+  materialCostAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   // Service costs
   laborTotal: {
     type: DataTypes.DECIMAL(10, 2),
@@ -2463,10 +2601,35 @@ const Client = sequelize.define('Client', {
     type: DataTypes.STRING,
     defaultValue: 'A' // 'A' = wholly obtained/produced in US
   },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: 'USD' // USD, CAD or MXN — what their quotes, invoices and statements are shown in
+  },
   quickbooksName: {
     type: DataTypes.STRING,
     allowNull: true
   },
+  // Receivables — a client on credit hold gets a warning on every new work order (see services/receivables.js)
+  creditHold: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  creditHoldReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  creditHoldAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  creditHoldBy: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  dunningPaused: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false // true = no automatic reminders or statements (a payment plan, a dispute)
+  },
   // Email scanning
   emailScanEnabled: {
     type: DataTypes.BOOLEAN,
@@ -2680,6 +2843,11 @@ const ScannedEmail = sequelize.define('ScannedEmail', {
   billStatus: {
     type: DataTypes.STRING,
     allowNull: true   // null = not extracted yet; 'pending' | 'approved' | 'rejected'
+  },
+  // When supplier-quote / bill lines were read into the material price index (null = not yet)
+  materialPricesIngestedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'scanned_emails',
@@ -2846,6 +3014,11 @@ const Vendor = sequelize.define('Vendor', {
     type: DataTypes.JSONB,
     defaultValue: [],
     allowNull: true
+  },
+  // Default terms for this vendor's bills, e.g. "2% 10 Net 30"
+  paymentTerms: {
+    type: DataTypes.STRING,
+    allowNull: true
   }
 }, {
   tableName: 'vendors',
@@ -3350,6 +3523,59 @@ const Liability = sequelize.define('Liability', {
     type: DataTypes.JSONB,
     defaultValue: null,
     allowNull: true
+  },
+  // Accounts payable (see services/payables.js)
+  billDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true // the vendor's invoice date — an early-pay discount window starts here
+  },
+  paymentTerms: {
+    type: DataTypes.STRING,
+    allowNull: true // e.g. "2% 10 Net 30"; falls back to the vendor's terms
+  },
+  matchStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true // matched, exception, no_po — null until checked
+  },
+  matchResult: {
+    type: DataTypes.JSONB,
+    allowNull: true // { poNumber, lines, unbilled, exceptions, billedTotal, expectedTotal }
+  },
+  matchedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  approvalStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true // pending, approved, rejected — null: not approved yet (the daily re-match picks it up)
+  },
+  approvedBy: {
+    type: DataTypes.STRING,
+    allowNull: true // 'auto' when a clean match under the threshold approved itself
+  },
+  approvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  approvedAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  approvalNote: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  paymentRunId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  checkNumber: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  discountTaken: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
   }
 }, {
   tableName: 'liabilities',
@@ -3847,6 +4073,495 @@ const OperatorSignature = sequelize.define('OperatorSignature', {
   timestamps: true
 });
 
+// ── WorkCenter — a machine (or station) the floor runs parts on: rolls, press brake, saw ──
+const WorkCenter = sequelize.define('WorkCenter', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  name: { type: DataTypes.STRING, allowNull: false }, // e.g. "10' Plate Roll"
+  kind: { type: DataTypes.STRING, allowNull: true }, // plate_roll, angle_roll, press_brake, saw, other
+  partTypes: { type: DataTypes.JSONB, defaultValue: [] }, // WorkOrderPart.partType values this machine runs
+  maxThickness: { type: DataTypes.DECIMAL(10, 4), allowNull: true }, // inches
+  maxWidth: { type: DataTypes.DECIMAL(10, 2), allowNull: true }, // inches (plate width / brake length)
+  maxLength: { type: DataTypes.DECIMAL(10, 2), allowNull: true }, // inches
+  minDiameter: { type: DataTypes.DECIMAL(10, 2), allowNull: true }, // tightest roll the machine can make
+  maxWeightLbs: { type: DataTypes.DECIMAL(10, 2), allowNull: true },
+  hoursPerDay: { type: DataTypes.DECIMAL(5, 2), allowNull: true }, // null = shop calendar hours
+  sortOrder: { type: DataTypes.INTEGER, defaultValue: 0 },
+  isActive: { type: DataTypes.BOOLEAN, defaultValue: true },
+  notes: { type: DataTypes.TEXT, allowNull: true },
+}, { tableName: 'work_centers', timestamps: true });
+
+// ── WorkCenterDowntime — a maintenance window or breakdown during which the machine is unavailable ──
+const WorkCenterDowntime = sequelize.define('WorkCenterDowntime', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  workCenterId: { type: DataTypes.UUID, allowNull: false },
+  startAt: { type: DataTypes.DATE, allowNull: false },
+  endAt: { type: DataTypes.DATE, allowNull: false },
+  reason: { type: DataTypes.STRING, allowNull: true }, // "roll bearing replacement", "annual PM"
+  createdBy: { type: DataTypes.STRING, allowNull: true },
+}, { tableName: 'work_center_downtime', timestamps: true });
+
+WorkCenter.hasMany(WorkCenterDowntime, { foreignKey: 'workCenterId', as: 'downtime', onDelete: 'CASCADE' });
+WorkCenterDowntime.belongsTo(WorkCenter, { foreignKey: 'workCenterId', as: 'workCenter' });
+
+// ── LaborSegment — one stretch of an operator's clocked time on a part (start → pause/stop) ──
+const LaborSegment = sequelize.define('LaborSegment', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  workOrderPartId: { type: DataTypes.UUID, allowNull: false },
+  workOrderId: { type: DataTypes.UUID, allowNull: false },
+  operatorName: { type: DataTypes.STRING, allowNull: false },
+  deviceName: { type: DataTypes.STRING, allowNull: true },
+  startedAt: { type: DataTypes.DATE, allowNull: false },
+  endedAt: { type: DataTypes.DATE, allowNull: true }, // null = clock still running
+  minutes: { type: DataTypes.DECIMAL(10, 2), allowNull: true }, // set when the segment closes
+  endReason: { type: DataTypes.STRING, allowNull: true }, // pause | stop | switch | auto | edit
+  notes: { type: DataTypes.TEXT, allowNull: true },
+}, { tableName: 'labor_segments', timestamps: true });
+
+WorkOrderPart.hasMany(LaborSegment, { foreignKey: 'workOrderPartId', as: 'laborSegments', onDelete: 'CASCADE' });
+LaborSegment.belongsTo(WorkOrderPart, { foreignKey: 'workOrderPartId', as: 'part' });
+LaborSegment.belongsTo(WorkOrder, { foreignKey: 'workOrderId', as: 'workOrder' });
+
+// ── MaterialStock — a stack of identical plate/bar/remnant pieces on the rack, one QR label per row ──
+const MaterialStock = sequelize.define('MaterialStock', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  qrCode: { type: DataTypes.STRING, unique: true, allowNull: false },
+  form: { type: DataTypes.STRING, defaultValue: 'plate' }, // plate | sheet | bar | angle | pipe | tube | other
+  grade: { type: DataTypes.STRING, allowNull: false }, // "A36", "304 S/S" — same vocabulary as WorkOrderPart.material
+  thickness: { type: DataTypes.DECIMAL(8, 4), allowNull: true }, // inches, decimal
+  width: { type: DataTypes.DECIMAL(10, 3), allowNull: true },
+  length: { type: DataTypes.DECIMAL(10, 3), allowNull: true },
+  sectionSize: { type: DataTypes.STRING, allowNull: true }, // bar/angle/pipe: "2 x 2 x 1/4", "4 SCH 40"
+  quantity: { type: DataTypes.INTEGER, defaultValue: 1 }, // pieces in this stack
+  heatNumber: { type: DataTypes.STRING, allowNull: true },
+  heatCountry: { type: DataTypes.STRING, allowNull: true }, // ISO-2, where the heat was melted (see materialOrigin)
+  location: { type: DataTypes.STRING, allowNull: true }, // id from the warehouse_locations setting
+  status: { type: DataTypes.STRING, defaultValue: 'available' }, // available | allocated | consumed | scrapped
+  isRemnant: { type: DataTypes.BOOLEAN, defaultValue: false },
+  parentStockId: { type: DataTypes.UUID, allowNull: true }, // the piece a remnant was cut from
+  workOrderPartId: { type: DataTypes.UUID, allowNull: true }, // set while allocated / once consumed
+  allocatedAt: { type: DataTypes.DATE, allowNull: true },
+  consumedAt: { type: DataTypes.DATE, allowNull: true },
+  vendorId: { type: DataTypes.UUID, allowNull: true },
+  supplierName: { type: DataTypes.STRING, allowNull: true },
+  poNumber: { type: DataTypes.STRING, allowNull: true },
+  unitCost: { type: DataTypes.DECIMAL(10, 2), allowNull: true }, // per piece
+  receivedAt: { type: DataTypes.DATE, allowNull: true },
+  receivedBy: { type: DataTypes.STRING, allowNull: true },
+  notes: { type: DataTypes.TEXT, allowNull: true },
+}, { tableName: 'material_stock', timestamps: true });
+
+// ── MaterialStockLog — every receive / allocate / consume / remnant / move, like ShopSupplyLog ──
+const MaterialStockLog = sequelize.define('MaterialStockLog', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  materialStockId: { type: DataTypes.UUID, allowNull: false },
+  action: { type: DataTypes.STRING, allowNull: false }, // receive | allocate | release | consume | remnant | move | adjust | scrap
+  quantityChange: { type: DataTypes.INTEGER, defaultValue: 0 },
+  workOrderPartId: { type: DataTypes.UUID, allowNull: true },
+  performedBy: { type: DataTypes.STRING, allowNull: true },
+  deviceName: { type: DataTypes.STRING, allowNull: true },
+  notes: { type: DataTypes.TEXT, allowNull: true },
+}, { tableName: 'material_stock_log', timestamps: true, updatedAt: false });
+
+MaterialStock.hasMany(MaterialStockLog, { foreignKey: 'materialStockId', as: 'logs', onDelete: 'CASCADE' });
+MaterialStockLog.belongsTo(MaterialStock, { foreignKey: 'materialStockId', as: 'stock' });
+MaterialStock.belongsTo(WorkOrderPart, { foreignKey: 'workOrderPartId', as: 'part' });
+WorkOrderPart.hasMany(MaterialStock, { foreignKey: 'workOrderPartId', as: 'stockPieces' });
+MaterialStock.belongsTo(MaterialStock, { foreignKey: 'parentStockId', as: 'parent' });
+
+// ── MillTestReport — a supplier MTR file, uploaded against an inbound order or PO and read by the vision model ──
+const MillTestReport = sequelize.define('MillTestReport', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  inboundOrderId: { type: DataTypes.UUID, allowNull: true },
+  poNumber: { type: DataTypes.STRING, allowNull: true }, // our material PO as printed, e.g. "PO1500"
+  vendorId: { type: DataTypes.UUID, allowNull: true },
+  supplierName: { type: DataTypes.STRING, allowNull: true },
+  millName: { type: DataTypes.STRING, allowNull: true },
+  certNumber: { type: DataTypes.STRING, allowNull: true },
+  certDate: { type: DataTypes.DATEONLY, allowNull: true },
+  originalName: { type: DataTypes.STRING, allowNull: true },
+  mimeType: { type: DataTypes.STRING, allowNull: true },
+  size: { type: DataTypes.INTEGER, allowNull: true },
+  url: { type: DataTypes.STRING(1000), allowNull: false },
+  storageId: { type: DataTypes.STRING, allowNull: true },
+  status: { type: DataTypes.STRING, defaultValue: 'needs_review' }, // needs_review | verified | failed
+  confidence: { type: DataTypes.STRING, allowNull: true }, // high | medium | low, from the read
+  extractError: { type: DataTypes.STRING, allowNull: true },
+  extracted: { type: DataTypes.JSONB, allowNull: true }, // the raw read, kept for comparison after edits
+  uploadedBy: { type: DataTypes.STRING, allowNull: true },
+  verifiedBy: { type: DataTypes.STRING, allowNull: true },
+  verifiedAt: { type: DataTypes.DATE, allowNull: true },
+}, { tableName: 'mill_test_reports', timestamps: true });
+
+// ── MtrHeat — one heat on an MTR: grade, chemistry, mechanicals and where it was melted ──
+const MtrHeat = sequelize.define('MtrHeat', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  millTestReportId: { type: DataTypes.UUID, allowNull: false },
+  heatNumber: { type: DataTypes.STRING, allowNull: false }, // as printed
+  heatKey: { type: DataTypes.STRING, allowNull: false }, // normalized for lookup (see millTestReports.normalizeHeat)
+  grade: { type: DataTypes.STRING, allowNull: true },
+  specification: { type: DataTypes.STRING, allowNull: true }, // "ASTM A36/A36M-19"
+  size: { type: DataTypes.STRING, allowNull: true },
+  meltCountry: { type: DataTypes.STRING, allowNull: true }, // ISO-2, same codes as WorkOrderPart.heatCountry
+  chemistry: { type: DataTypes.JSONB, defaultValue: {} }, // { C: 0.18, Mn: 0.82, ... } weight %
+  mechanicals: { type: DataTypes.JSONB, defaultValue: {} }, // { yieldKsi, tensileKsi, elongationPct }
+}, { tableName: 'mtr_heats', timestamps: true });
+
+MillTestReport.hasMany(MtrHeat, { foreignKey: 'millTestReportId', as: 'heats', onDelete: 'CASCADE' });
+MtrHeat.belongsTo(MillTestReport, { foreignKey: 'millTestReportId', as: 'report' });
+MillTestReport.belongsTo(InboundOrder, { foreignKey: 'inboundOrderId', as: 'inboundOrder' });
+
+// ── Ncr — internal nonconformance report: what was wrong, what we did with it, why, and how we stop it recurring ──
+const Ncr = sequelize.define('Ncr', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  ncrNumber: { type: DataTypes.INTEGER, allowNull: true }, // SERIAL in the table — printed as NCR-0001
+  status: { type: DataTypes.STRING, defaultValue: 'open' }, // open | dispositioned | closed
+  source: { type: DataTypes.STRING, defaultValue: 'shop' }, // shop | inspection | receiving | customer | vendor
+  workOrderId: { type: DataTypes.UUID, allowNull: true },
+  workOrderPartId: { type: DataTypes.UUID, allowNull: true },
+  inspectionUnitId: { type: DataTypes.UUID, allowNull: true },
+  vendorId: { type: DataTypes.UUID, allowNull: true },
+  vendorName: { type: DataTypes.STRING, allowNull: true },
+  heatNumber: { type: DataTypes.STRING, allowNull: true },
+  clientName: { type: DataTypes.STRING, allowNull: true }, // snapshot from the work order
+  title: { type: DataTypes.STRING, allowNull: false },
+  requirement: { type: DataTypes.TEXT, allowNull: true }, // what the drawing/spec called for
+  finding: { type: DataTypes.TEXT, allowNull: true }, // what was actually found
+  quantityAffected: { type: DataTypes.INTEGER, defaultValue: 1 },
+  costImpact: { type: DataTypes.DECIMAL(10, 2), allowNull: true }, // scrap / rework / freight, for the rollup
+  reportedBy: { type: DataTypes.STRING, allowNull: true },
+  // Disposition
+  disposition: { type: DataTypes.STRING, allowNull: true }, // use_as_is | rework | scrap | return_to_vendor
+  dispositionNotes: { type: DataTypes.TEXT, allowNull: true },
+  dispositionBy: { type: DataTypes.STRING, allowNull: true },
+  dispositionAt: { type: DataTypes.DATE, allowNull: true },
+  // Customer approval — required for use-as-is, optional otherwise
+  customerApprovalRequired: { type: DataTypes.BOOLEAN, defaultValue: false },
+  customerApprovalStatus: { type: DataTypes.STRING, allowNull: true }, // pending | approved | rejected
+  customerApprovedBy: { type: DataTypes.STRING, allowNull: true }, // the customer's person, as told to us
+  customerApprovalNotes: { type: DataTypes.TEXT, allowNull: true },
+  customerApprovalAt: { type: DataTypes.DATE, allowNull: true },
+  customerApprovalRecordedBy: { type: DataTypes.STRING, allowNull: true },
+  // Root cause and corrective action
+  rootCauseCategory: { type: DataTypes.STRING, allowNull: true }, // see services/ncr.js CAUSES
+  rootCause: { type: DataTypes.TEXT, allowNull: true },
+  correctiveAction: { type: DataTypes.TEXT, allowNull: true },
+  correctiveActionOwner: { type: DataTypes.STRING, allowNull: true },
+  correctiveActionDue: { type: DataTypes.DATEONLY, allowNull: true },
+  correctiveActionDoneAt: { type: DataTypes.DATE, allowNull: true },
+  verification: { type: DataTypes.TEXT, allowNull: true }, // how we checked the action worked
+  closedBy: { type: DataTypes.STRING, allowNull: true },
+  closedAt: { type: DataTypes.DATE, allowNull: true },
+}, { tableName: 'ncrs', timestamps: true });
+
+Ncr.belongsTo(WorkOrder, { foreignKey: 'workOrderId', as: 'workOrder' });
+Ncr.belongsTo(WorkOrderPart, { foreignKey: 'workOrderPartId', as: 'part' });
+Ncr.belongsTo(InspectionUnit, { foreignKey: 'inspectionUnitId', as: 'inspectionUnit' });
+Ncr.belongsTo(Vendor, { foreignKey: 'vendorId', as: 'vendor' });
+WorkOrder.hasMany(Ncr, { foreignKey: 'workOrderId', as: 'ncrs' });
+
+// ── EstimateAcceptance — tokenized link a customer opens to review, sign and accept an estimate; keeps the audit trail ──
+const EstimateAcceptance = sequelize.define('EstimateAcceptance', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  estimateId: { type: DataTypes.UUID, allowNull: false },
+  token: { type: DataTypes.STRING, allowNull: false, unique: true },
+  status: { type: DataTypes.STRING, defaultValue: 'pending' }, // pending | accepted | declined | revoked
+  expiresAt: { type: DataTypes.DATE, allowNull: false },
+  autoConvert: { type: DataTypes.BOOLEAN, defaultValue: false }, // run convert-to-workorder on acceptance
+  quotedTotal: { type: DataTypes.DECIMAL(12, 2), allowNull: true }, // grandTotal when the link was made — a changed estimate needs a new link
+  sentTo: { type: DataTypes.STRING, allowNull: true },
+  createdBy: { type: DataTypes.STRING, allowNull: true },
+  revokedBy: { type: DataTypes.STRING, allowNull: true },
+  revokedAt: { type: DataTypes.DATE, allowNull: true },
+  viewCount: { type: DataTypes.INTEGER, defaultValue: 0 },
+  firstViewedAt: { type: DataTypes.DATE, allowNull: true },
+  lastViewedAt: { type: DataTypes.DATE, allowNull: true },
+  // What the customer entered
+  signerName: { type: DataTypes.STRING, allowNull: true },
+  signerTitle: { type: DataTypes.STRING, allowNull: true },
+  signerEmail: { type: DataTypes.STRING, allowNull: true },
+  purchaseOrderNumber: { type: DataTypes.STRING, allowNull: true },
+  requestedDueDate: { type: DataTypes.DATEONLY, allowNull: true },
+  signature: { type: DataTypes.TEXT, allowNull: true }, // base64 PNG data URL, same as pickup signatures
+  signedAt: { type: DataTypes.DATE, allowNull: true },
+  signerIp: { type: DataTypes.STRING, allowNull: true },
+  signerUserAgent: { type: DataTypes.TEXT, allowNull: true },
+  declineReason: { type: DataTypes.TEXT, allowNull: true },
+  estimateSnapshot: { type: DataTypes.JSONB, allowNull: true }, // totals and parts exactly as accepted
+  workOrderId: { type: DataTypes.UUID, allowNull: true },
+  conversionError: { type: DataTypes.TEXT, allowNull: true },
+  events: { type: DataTypes.JSONB, defaultValue: [] }, // audit trail: [{ at, event, by?, ip?, userAgent?, detail? }]
+}, { tableName: 'estimate_acceptances', timestamps: true });
+
+EstimateAcceptance.belongsTo(Estimate, { foreignKey: 'estimateId', as: 'estimate' });
+Estimate.hasMany(EstimateAcceptance, { foreignKey: 'estimateId', as: 'acceptances' });
+
+// ── EstimateRevision — frozen copy of an estimate each time it goes out (A, B, C…); never edited after creation ──
+const EstimateRevision = sequelize.define('EstimateRevision', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  estimateId: { type: DataTypes.UUID, allowNull: false },
+  sequence: { type: DataTypes.INTEGER, allowNull: false }, // 1, 2, 3…
+  revision: { type: DataTypes.STRING(4), allowNull: false }, // A, B, C…
+  reason: { type: DataTypes.STRING, defaultValue: 'sent' }, // sent | accepted | converted — what first recorded it
+  contentHash: { type: DataTypes.STRING, allowNull: false }, // same content = same revision
+  snapshot: { type: DataTypes.JSONB, allowNull: false }, // { header, parts, charges }
+  grandTotal: { type: DataTypes.DECIMAL(12, 2), allowNull: true },
+  createdBy: { type: DataTypes.STRING, allowNull: true },
+  note: { type: DataTypes.TEXT, allowNull: true },
+  sends: { type: DataTypes.JSONB, defaultValue: [] }, // every time this revision went out: [{ at, by, to, via }]
+}, { tableName: 'estimate_revisions', timestamps: true, indexes: [{ unique: true, fields: ['estimateId', 'sequence'] }] });
+
+EstimateRevision.belongsTo(Estimate, { foreignKey: 'estimateId', as: 'estimate' });
+Estimate.hasMany(EstimateRevision, { foreignKey: 'estimateId', as: 'revisions' });
+
+// ── PriceBook — dated set of pricing rules; no client = the shop's standard prices, a client's book is consulted first ──
+const PriceBook = sequelize.define('PriceBook', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  name: { type: DataTypes.STRING, allowNull: false },
+  clientId: { type: DataTypes.UUID, allowNull: true },
+  clientName: { type: DataTypes.STRING, allowNull: true }, // copied from the client for lookups by name
+  priority: { type: DataTypes.INTEGER, defaultValue: 0 }, // higher wins when two books of the same kind overlap
+  isActive: { type: DataTypes.BOOLEAN, defaultValue: true },
+  effectiveFrom: { type: DataTypes.DATEONLY, allowNull: true },
+  effectiveTo: { type: DataTypes.DATEONLY, allowNull: true },
+  rules: { type: DataTypes.JSONB, defaultValue: [] }, // see services/priceBooks.js for the rule shapes
+  notes: { type: DataTypes.TEXT, allowNull: true },
+  createdBy: { type: DataTypes.STRING, allowNull: true },
+  updatedBy: { type: DataTypes.STRING, allowNull: true },
+}, { tableName: 'price_books', timestamps: true });
+
+PriceBook.belongsTo(Client, { foreignKey: 'clientId', as: 'client' });
+Client.hasMany(PriceBook, { foreignKey: 'clientId', as: 'priceBooks' });
+
+// ── MaterialPrice — one supplier price for a grade/shape/size; newest per key is current, older rows are history ──
+const MaterialPrice = sequelize.define('MaterialPrice', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  key: { type: DataTypes.STRING, allowNull: false }, // grade|shape|size, see services/materialPrices.js
+  grade: { type: DataTypes.STRING, allowNull: false },
+  shape: { type: DataTypes.STRING(20), allowNull: false }, // plate | angle | channel | beam | tee | flat_bar | round_bar | square_bar | pipe | tube
+  thickness: { type: DataTypes.DECIMAL(8, 4), allowNull: true }, // plate only, inches
+  size: { type: DataTypes.STRING, allowNull: true }, // sections: "2x2x1/4", "w8x31", "4sch40"
+  description: { type: DataTypes.STRING, allowNull: true }, // the line as the supplier wrote it
+  unit: { type: DataTypes.STRING(8), defaultValue: 'lb' }, // lb | cwt | ft | sqft | each
+  unitPrice: { type: DataTypes.DECIMAL(12, 4), allowNull: false },
+  quantity: { type: DataTypes.DECIMAL(12, 2), allowNull: true },
+  vendorId: { type: DataTypes.UUID, allowNull: true },
+  vendorName: { type: DataTypes.STRING, allowNull: true },
+  source: { type: DataTypes.STRING(20), defaultValue: 'manual' }, // manual | supplier_quote | bill
+  sourceEmailId: { type: DataTypes.UUID, allowNull: true }, // ScannedEmail the line was read from
+  quotedAt: { type: DataTypes.DATEONLY, allowNull: false },
+  notes: { type: DataTypes.TEXT, allowNull: true },
+  createdBy: { type: DataTypes.STRING, allowNull: true },
+}, { tableName: 'material_prices', timestamps: true });
+
+MaterialPrice.belongsTo(Vendor, { foreignKey: 'vendorId', as: 'vendor' });
+
+// ── ClientPart — a repeat part saved by the client's part number and rev, with its last price (see services/clientPartCatalog.js) ──
+const ClientPart = sequelize.define('ClientPart', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  clientId: { type: DataTypes.UUID, allowNull: true },
+  clientName: { type: DataTypes.STRING, allowNull: false },
+  clientKey: { type: DataTypes.STRING, allowNull: false }, // normalized client name, for clients typed free-hand on estimates
+  clientPartNumber: { type: DataTypes.STRING, allowNull: false }, // as the client writes it
+  partKey: { type: DataTypes.STRING, allowNull: false }, // normalized part number
+  rev: { type: DataTypes.STRING, defaultValue: '' }, // normalized; '' = no rev
+  matchKey: { type: DataTypes.STRING, allowNull: false, unique: true }, // clientKey|partKey|rev
+  partType: { type: DataTypes.STRING, allowNull: false },
+  description: { type: DataTypes.STRING, allowNull: true },
+  part: { type: DataTypes.JSONB, defaultValue: {} }, // part columns (material, dimensions, supplier, pricing inputs)
+  formData: { type: DataTypes.JSONB, defaultValue: {} },
+  files: { type: DataTypes.JSONB, defaultValue: [] }, // drawings: same stored files as the part they came from
+  quantity: { type: DataTypes.INTEGER, defaultValue: 1 }, // last quantity quoted
+  lastPrice: { type: DataTypes.DECIMAL(12, 2), allowNull: true }, // each
+  lastPricedAt: { type: DataTypes.DATE, allowNull: true },
+  lastMaterialCostAt: { type: DataTypes.DATE, allowNull: true }, // when the material cost in `part` was entered
+  lastEstimateId: { type: DataTypes.UUID, allowNull: true },
+  lastEstimateNumber: { type: DataTypes.STRING, allowNull: true },
+  lastWorkOrderId: { type: DataTypes.UUID, allowNull: true },
+  lastDrNumber: { type: DataTypes.INTEGER, allowNull: true },
+  lastOrderedAt: { type: DataTypes.DATE, allowNull: true },
+  timesQuoted: { type: DataTypes.INTEGER, defaultValue: 0 },
+  timesOrdered: { type: DataTypes.INTEGER, defaultValue: 0 },
+  notes: { type: DataTypes.TEXT, allowNull: true },
+  createdBy: { type: DataTypes.STRING, allowNull: true },
+  updatedBy: { type: DataTypes.STRING, allowNull: true },
+}, { tableName: 'client_parts', timestamps: true });
+
+ClientPart.belongsTo(Client, { foreignKey: 'clientId', as: 'client' });
+Client.hasMany(ClientPart, { foreignKey: 'clientId', as: 'catalogParts' });
+
+// ── TaxRate — sales tax rate for a jurisdiction over a period; a new rate is a new row (see services/salesTax.js) ──
+const TaxRate = sequelize.define('TaxRate', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  code: { type: DataTypes.STRING(50), allowNull: false }, // "CA-BELLFLOWER"; the same code across its periods
+  name: { type: DataTypes.STRING, allowNull: false },
+  state: { type: DataTypes.STRING(2), allowNull: false },
+  city: { type: DataTypes.STRING, allowNull: true }, // upper case; null = state-wide or by ZIP
+  zips: { type: DataTypes.JSONB, defaultValue: [] }, // ZIP codes for a district that doesn't follow city lines
+  rate: { type: DataTypes.DECIMAL(7, 4), allowNull: false }, // percent
+  components: { type: DataTypes.JSONB, defaultValue: {} }, // { state, county, city, district } as published
+  taxability: { type: DataTypes.JSONB, defaultValue: {} }, // overrides of tax_settings.taxability by kind
+  effectiveFrom: { type: DataTypes.DATEONLY, allowNull: false },
+  effectiveTo: { type: DataTypes.DATEONLY, allowNull: true },
+  notes: { type: DataTypes.TEXT, allowNull: true },
+  createdBy: { type: DataTypes.STRING, allowNull: true },
+  updatedBy: { type: DataTypes.STRING, allowNull: true },
+}, { tableName: 'tax_rates', timestamps: true });
+
+// ── TaxExemptCertificate — a client's resale / exemption certificate on file, with its expiry ──
+const TaxExemptCertificate = sequelize.define('TaxExemptCertificate', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  clientId: { type: DataTypes.UUID, allowNull: true },
+  clientName: { type: DataTypes.STRING, allowNull: false },
+  kind: { type: DataTypes.STRING(20), defaultValue: 'resale' }, // resale | exempt | government | other
+  certificateNumber: { type: DataTypes.STRING, allowNull: true }, // seller's permit number on a resale certificate
+  state: { type: DataTypes.STRING(2), defaultValue: 'CA' },
+  issuedAt: { type: DataTypes.DATEONLY, allowNull: true },
+  expiresAt: { type: DataTypes.DATEONLY, allowNull: true }, // null = no expiry
+  status: { type: DataTypes.STRING(20), defaultValue: 'active' }, // active | revoked
+  originalName: { type: DataTypes.STRING, allowNull: true },
+  mimeType: { type: DataTypes.STRING, allowNull: true },
+  size: { type: DataTypes.INTEGER, allowNull: true },
+  url: { type: DataTypes.TEXT, allowNull: true },
+  storageId: { type: DataTypes.STRING, allowNull: true },
+  reminderSentAt: { type: DataTypes.DATE, allowNull: true },
+  notes: { type: DataTypes.TEXT, allowNull: true },
+  uploadedBy: { type: DataTypes.STRING, allowNull: true },
+}, { tableName: 'tax_exempt_certificates', timestamps: true });
+
+TaxExemptCertificate.belongsTo(Client, { foreignKey: 'clientId', as: 'client' });
+Client.hasMany(TaxExemptCertificate, { foreignKey: 'clientId', as: 'taxCertificates' });
+
+// ── QboConnection — a connected QuickBooks Online company and its OAuth tokens (see services/quickbooksOnline.js) ──
+const QboConnection = sequelize.define('QboConnection', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  realmId: { type: DataTypes.STRING, allowNull: false, unique: true }, // QuickBooks company id
+  companyName: { type: DataTypes.STRING, allowNull: true },
+  environment: { type: DataTypes.STRING(20), defaultValue: 'sandbox' }, // sandbox | production
+  accessToken: { type: DataTypes.TEXT, allowNull: true },
+  refreshToken: { type: DataTypes.TEXT, allowNull: true },
+  tokenExpiry: { type: DataTypes.DATE, allowNull: true },
+  refreshTokenExpiry: { type: DataTypes.DATE, allowNull: true }, // ~100 days; reconnect before then
+  isActive: { type: DataTypes.BOOLEAN, defaultValue: true },
+  lastSyncedAt: { type: DataTypes.DATE, allowNull: true },
+  lastPulledAt: { type: DataTypes.DATE, allowNull: true },
+  lastError: { type: DataTypes.TEXT, allowNull: true },
+  connectedBy: { type: DataTypes.STRING, allowNull: true },
+}, { tableName: 'qbo_connections', timestamps: true });
+
+// ── QboSyncLink — a local record and the QuickBooks Online entity it was pushed as (or pulled from) ──
+const QboSyncLink = sequelize.define('QboSyncLink', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  realmId: { type: DataTypes.STRING, allowNull: false },
+  entityType: { type: DataTypes.STRING(20), allowNull: false }, // customer | invoice | payment | credit_memo
+  localId: { type: DataTypes.UUID, allowNull: false }, // Client / WorkOrder / ClientPayment / CreditMemo id
+  remoteId: { type: DataTypes.STRING, allowNull: true }, // null until a push succeeds
+  syncToken: { type: DataTypes.STRING, allowNull: true }, // QuickBooks' optimistic-lock version
+  payloadHash: { type: DataTypes.STRING(40), allowNull: true }, // what was last sent; unchanged records aren't re-sent
+  status: { type: DataTypes.STRING(20), defaultValue: 'synced' }, // synced | pulled | voided | skipped | error
+  lastError: { type: DataTypes.TEXT, allowNull: true },
+  syncedAt: { type: DataTypes.DATE, allowNull: true },
+}, { tableName: 'qbo_sync_links', timestamps: true, indexes: [{ unique: true, fields: ['realmId', 'entityType', 'localId'] }] });
+
+// ── LedgerAccount — chart of accounts for the journal (see services/ledger.js) ──
+const LedgerAccount = sequelize.define('LedgerAccount', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  code: { type: DataTypes.STRING(20), allowNull: false, unique: true }, // '1200'
+  name: { type: DataTypes.STRING, allowNull: false }, // QuickBooks account name where there is one
+  type: { type: DataTypes.STRING(20), allowNull: false }, // asset | liability | equity | income | expense
+  systemKey: { type: DataTypes.STRING(40), allowNull: true, unique: true }, // what automatic postings look it up by: ar, cash, sales_taxable…
+  description: { type: DataTypes.TEXT, allowNull: true },
+  isActive: { type: DataTypes.BOOLEAN, defaultValue: true },
+}, { tableName: 'ledger_accounts', timestamps: true });
+
+// ── JournalEntry — one balanced posting, automatic (from a source record) or manual ──
+const JournalEntry = sequelize.define('JournalEntry', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  entryNumber: { type: DataTypes.INTEGER, autoIncrement: true },
+  date: { type: DataTypes.DATEONLY, allowNull: false },
+  memo: { type: DataTypes.TEXT, allowNull: true },
+  sourceType: { type: DataTypes.STRING(30), allowNull: false }, // invoice | client_payment | wo_payment | credit_memo | refund | bill_payment | payroll | manual
+  sourceId: { type: DataTypes.STRING, allowNull: true },
+  clientId: { type: DataTypes.UUID, allowNull: true },
+  linesHash: { type: DataTypes.STRING(40), allowNull: true }, // date + lines, to tell whether a source changed since it was posted
+  reversesEntryId: { type: DataTypes.UUID, allowNull: true }, // set on a reversing entry
+  reversedByEntryId: { type: DataTypes.UUID, allowNull: true }, // set on the entry it reversed
+  reversedAt: { type: DataTypes.DATE, allowNull: true },
+  postedBy: { type: DataTypes.STRING, allowNull: true },
+}, { tableName: 'journal_entries', timestamps: true, indexes: [{ fields: ['sourceType', 'sourceId'] }, { fields: ['date'] }] });
+
+// ── JournalLine — a debit or credit to one account ──
+const JournalLine = sequelize.define('JournalLine', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  journalEntryId: { type: DataTypes.UUID, allowNull: false },
+  accountId: { type: DataTypes.UUID, allowNull: false },
+  debit: { type: DataTypes.DECIMAL(12, 2), defaultValue: 0 },
+  credit: { type: DataTypes.DECIMAL(12, 2), defaultValue: 0 },
+  memo: { type: DataTypes.STRING, allowNull: true },
+}, { tableName: 'journal_lines', timestamps: true, indexes: [{ fields: ['journalEntryId'] }, { fields: ['accountId'] }] });
+
+// ── AccountingPeriod — a close of the books through a date; nothing dated on or before it can post ──
+const AccountingPeriod = sequelize.define('AccountingPeriod', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  closedThrough: { type: DataTypes.DATEONLY, allowNull: false },
+  closedAt: { type: DataTypes.DATE, allowNull: false },
+  closedBy: { type: DataTypes.STRING, allowNull: true },
+  reopenedAt: { type: DataTypes.DATE, allowNull: true }, // a reopened close no longer locks anything
+  reopenedBy: { type: DataTypes.STRING, allowNull: true },
+  notes: { type: DataTypes.TEXT, allowNull: true },
+}, { tableName: 'accounting_periods', timestamps: true });
+
+// ── LedgerPostFailure — a source record whose posting failed; cleared when it posts (see services/ledger.js) ──
+const LedgerPostFailure = sequelize.define('LedgerPostFailure', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  sourceType: { type: DataTypes.STRING(30), allowNull: false },
+  sourceId: { type: DataTypes.STRING, allowNull: false },
+  error: { type: DataTypes.TEXT, allowNull: true }, // the last failure's message
+  attempts: { type: DataTypes.INTEGER, defaultValue: 1 },
+  failedAt: { type: DataTypes.DATE, allowNull: false }, // the last failure
+  failedBy: { type: DataTypes.STRING, allowNull: true },
+}, { tableName: 'ledger_post_failures', timestamps: true, indexes: [{ unique: true, fields: ['sourceType', 'sourceId'] }] });
+
+// ── DunningNotice — every AR reminder and statement emailed to a client, sent or not ──
+const DunningNotice = sequelize.define('DunningNotice', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  clientId: { type: DataTypes.UUID, allowNull: true },
+  clientName: { type: DataTypes.STRING, allowNull: false },
+  stepKey: { type: DataTypes.STRING(40), allowNull: false }, // a dunning step's key, or 'statement'
+  stepName: { type: DataTypes.STRING, allowNull: true },
+  sentTo: { type: DataTypes.STRING, allowNull: true },
+  subject: { type: DataTypes.STRING, allowNull: true },
+  body: { type: DataTypes.TEXT, allowNull: true },
+  channel: { type: DataTypes.STRING(20), allowNull: true }, // gmail, smtp
+  invoices: { type: DataTypes.JSONB, defaultValue: [] }, // [{ workOrderId, drNumber, invoiceNumber, balance, daysOverdue }] at the time
+  overdueTotal: { type: DataTypes.DECIMAL(12, 2), defaultValue: 0 },
+  balance: { type: DataTypes.DECIMAL(12, 2), defaultValue: 0 },
+  status: { type: DataTypes.STRING(20), defaultValue: 'sent' }, // sent, failed, skipped
+  error: { type: DataTypes.TEXT, allowNull: true },
+  placedOnHold: { type: DataTypes.BOOLEAN, defaultValue: false },
+  sentBy: { type: DataTypes.STRING, allowNull: true },
+  sentAt: { type: DataTypes.DATE, allowNull: false },
+}, { tableName: 'dunning_notices', timestamps: true, indexes: [{ fields: ['clientId'] }, { fields: ['sentAt'] }] });
+
+// ── ApPaymentRun — a batch of vendor bills paid by check on one date ──
+const ApPaymentRun = sequelize.define('ApPaymentRun', {
+  id: { type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4, primaryKey: true },
+  payDate: { type: DataTypes.DATEONLY, allowNull: false },
+  throughDate: { type: DataTypes.DATEONLY, allowNull: false }, // bills due on or before it were picked up
+  status: { type: DataTypes.STRING(20), defaultValue: 'draft' }, // draft, issued — a draft can be discarded, an issued check only voided
+  bankAccountNumber: { type: DataTypes.STRING(40), allowNull: true }, // the account the checks draw on, for positive pay
+  checks: { type: DataTypes.JSONB, defaultValue: [] }, // [{ checkNumber, payee, vendorId, amount, discount, status, bills: [{ liabilityId, ... }] }]
+  total: { type: DataTypes.DECIMAL(12, 2), defaultValue: 0 },
+  discountTotal: { type: DataTypes.DECIMAL(12, 2), defaultValue: 0 },
+  createdBy: { type: DataTypes.STRING, allowNull: true },
+  issuedBy: { type: DataTypes.STRING, allowNull: true },
+  issuedAt: { type: DataTypes.DATE, allowNull: true },
+  notes: { type: DataTypes.TEXT, allowNull: true },
+}, { tableName: 'ap_payment_runs', timestamps: true, indexes: [{ fields: ['payDate'] }] });
+
+JournalEntry.hasMany(JournalLine, { foreignKey: 'journalEntryId', as: 'lines' });
+JournalLine.belongsTo(JournalEntry, { foreignKey: 'journalEntryId', as: 'entry' });
+JournalLine.belongsTo(LedgerAccount, { foreignKey: 'accountId', as: 'account' });
+
 module.exports = {
   DeletionArchive,
   sequelize,
@@ -3891,6 +4606,30 @@ module.exports = {
   ShipmentCharge,
   OperatorTask,
   OperatorSignature,
+  WorkCenter,
+  WorkCenterDowntime,
+  LaborSegment,
+  MaterialStock,
+  MaterialStockLog,
+  MillTestReport,
+  MtrHeat,
+  Ncr,
+  EstimateAcceptance,
+  EstimateRevision,
+  PriceBook,
+  MaterialPrice,
+  ClientPart,
+  TaxRate,
+  TaxExemptCertificate,
+  QboConnection,
+  QboSyncLink,
+  LedgerAccount,
+  JournalEntry,
+  JournalLine,
+  AccountingPeriod,
+  LedgerPostFailure,
+  DunningNotice,
+  ApPaymentRun,
   InspectionJob,
   InspectionUnit,
   InspectionTool,
@@ -6,6 +6,9 @@ const path = require('path');
 const fs = require('fs');
 const { Liability, Employee, PayrollWeek, PayrollEntry, WorkOrder, WorkOrderPart, WorkOrderPayment, Vendor, PONumber, InboundOrder, Client, ShipmentCharge, ClientPayment, PaymentApplication, CreditMemo, CreditMemoApplication, Refund, sequelize } = require('../models');
 const fileStorage = require('../utils/storage');
+const ledger = require('../services/ledger');
+const payables = require('../services/payables');
+const clientPayments = require('../services/clientPayments');
 
 // Multer config for bill attachments
 const billUpload = multer({
@@ -241,6 +244,7 @@ router.post('/ledger/:woId/payments', async (req, res, next) => {
       notes: notes || null,
       recordedBy: req.user?.username || 'admin'
     });
+    await ledger.post('wo_payment', payment.id, req.user?.username);
 
     // Check if fully paid — update WO paymentDate for backward compat
     const allPayments = await WOP.findAll({ where: { workOrderId: wo.id, voidedAt: null } });
@@ -269,6 +273,7 @@ router.delete('/ledger/payments/:paymentId', async (req, res, next) => {
     const payment = await WOP.findByPk(req.params.paymentId);
     if (!payment) return res.status(404).json({ error: { message: 'Payment not found' } });
     await payment.update({ voidedAt: new Date() });
+    await ledger.post('wo_payment', payment.id, req.user?.username);
 
     // Clear WO paymentDate if no longer fully paid
     const allPayments = await WOP.findAll({ where: { workOrderId: payment.workOrderId, voidedAt: null } });
@@ -304,10 +309,17 @@ router.get('/liabilities', async (req, res, next) => {
   } catch (error) { next(error); }
 });
 
+// What a person can set on a bill. Status, payment, match, approval and payment-run fields only
+// change through services/payables.js, so the approval limits can't be stepped around here.
+const BILL_FIELDS = ['name', 'category', 'amount', 'dueDate', 'recurring', 'recurringInterval',
+  'vendor', 'vendorId', 'notes', 'referenceNumber', 'vendorInvoiceNumber', 'poNumber', 'linkedPOId', 'lineItems', 'billDate', 'paymentTerms'];
+const billFields = (body = {}) => Object.fromEntries(BILL_FIELDS.filter(f => body[f] !== undefined).map(f => [f, body[f]]));
+
 // POST /api/business/liabilities
 router.post('/liabilities', async (req, res, next) => {
   try {
-    const liability = await Liability.create(req.body);
+    let liability = await Liability.create({ ...billFields(req.body), approvalStatus: 'pending' });
+    liability = (await payables.autoMatch(liability.id)) || liability;
     res.json({ data: liability, message: 'Bill added' });
   } catch (error) { next(error); }
 });
@@ -317,45 +329,22 @@ router.put('/liabilities/:id', async (req, res, next) => {
   try {
     const liability = await Liability.findByPk(req.params.id);
     if (!liability) return res.status(404).json({ error: { message: 'Not found' } });
-    await liability.update(req.body);
+    await liability.update(billFields(req.body));
+    await ledger.post('bill_payment', liability.id, req.user?.username);
+    // What the match looks at changed — check it again (an approval stands unless the amount went up)
+    const MATCHED_FIELDS = ['amount', 'poNumber', 'linkedPOId', 'lineItems', 'vendorId', 'category'];
+    if (liability.status !== 'paid' && MATCHED_FIELDS.some(f => req.body[f] !== undefined)) {
+      await payables.autoMatch(liability.id);
+      await liability.reload();
+    }
     res.json({ data: liability, message: 'Updated' });
   } catch (error) { next(error); }
 });
 
-// POST /api/business/liabilities/:id/pay - Mark as paid
+// POST /api/business/liabilities/:id/pay - Mark an approved bill paid. Body: { paidAmount }
 router.post('/liabilities/:id/pay', async (req, res, next) => {
   try {
-    const liability = await Liability.findByPk(req.params.id);
-    if (!liability) return res.status(404).json({ error: { message: 'Not found' } });
-    await liability.update({
-      status: 'paid',
-      paidAt: new Date(),
-      paidAmount: req.body.paidAmount || liability.amount
-    });
-
-    // If recurring, create next occurrence
-    if (liability.recurring && liability.recurringInterval && liability.dueDate) {
-      const nextDate = new Date(liability.dueDate);
-      switch (liability.recurringInterval) {
-        case 'weekly': nextDate.setDate(nextDate.getDate() + 7); break;
-        case 'monthly': nextDate.setMonth(nextDate.getMonth() + 1); break;
-        case 'quarterly': nextDate.setMonth(nextDate.getMonth() + 3); break;
-        case 'yearly': nextDate.setFullYear(nextDate.getFullYear() + 1); break;
-      }
-      await Liability.create({
-        name: liability.name,
-        category: liability.category,
-        amount: liability.amount,
-        dueDate: nextDate.toISOString().split('T')[0],
-        recurring: true,
-        recurringInterval: liability.recurringInterval,
-        vendor: liability.vendor,
-        notes: liability.notes,
-        referenceNumber: liability.referenceNumber,
-        status: 'unpaid'
-      });
-    }
-
+    const liability = await payables.payBill(req.params.id, { paidAmount: req.body?.paidAmount }, req.user?.username);
     res.json({ data: liability, message: 'Marked as paid' });
   } catch (error) { next(error); }
 });
@@ -370,6 +359,7 @@ router.delete('/liabilities/:id', async (req, res, next) => {
       try { await fileStorage.deleteFile(liability.invoiceFileCloudinaryId); } catch {}
     }
     await liability.destroy();
+    await ledger.post('bill_payment', liability.id, req.user?.username);
     res.json({ message: 'Deleted' });
   } catch (error) { next(error); }
 });
@@ -407,31 +397,31 @@ router.post('/liabilities/:id/upload', (req, res, next) => {
   });
 });
 
-// POST /api/business/liabilities/:id/approve - Approve pending bill
+// POST /api/business/liabilities/:id/approve - Approve a pending bill, with any corrections first.
+// Body: { note, name, amount, dueDate, vendor, category, poNumber, vendorInvoiceNumber, notes }
 router.post('/liabilities/:id/approve', async (req, res, next) => {
   try {
     const liability = await Liability.findByPk(req.params.id);
     if (!liability) return res.status(404).json({ error: { message: 'Not found' } });
-    // Apply any corrections from the request body
-    const updates = { status: 'unpaid' };
+    const updates = {};
     ['name', 'amount', 'dueDate', 'vendor', 'category', 'poNumber', 'vendorInvoiceNumber', 'notes'].forEach(f => {
       if (req.body[f] !== undefined) updates[f] = req.body[f];
     });
-    await liability.update(updates);
-    res.json({ data: liability, message: 'Bill approved' });
+    if (Object.keys(updates).length) {
+      await liability.update(updates);
+      // A corrected amount or PO is matched again before it's approved
+      if (['amount', 'poNumber', 'category'].some(f => updates[f] !== undefined)) await payables.matchBill(liability.id);
+    }
+    const bill = await payables.approveBill(liability.id, { note: req.body?.note }, req.user);
+    res.json({ data: bill, message: 'Bill approved' });
   } catch (error) { next(error); }
 });
 
-// POST /api/business/liabilities/:id/reject - Reject pending bill
+// POST /api/business/liabilities/:id/reject - Reject a pending bill. Body: { reason }
 router.post('/liabilities/:id/reject', async (req, res, next) => {
   try {
-    const liability = await Liability.findByPk(req.params.id);
-    if (!liability) return res.status(404).json({ error: { message: 'Not found' } });
-    if (liability.invoiceFileCloudinaryId) {
-      try { await fileStorage.deleteFile(liability.invoiceFileCloudinaryId); } catch {}
-    }
-    await liability.destroy();
-    res.json({ message: 'Bill rejected and deleted' });
+    const bill = await payables.rejectBill(req.params.id, { reason: req.body?.reason }, req.user);
+    res.json({ data: bill, message: 'Bill rejected' });
   } catch (error) { next(error); }
 });
 
@@ -655,6 +645,8 @@ router.put('/payroll/:id', async (req, res, next) => {
     const payroll = await PayrollWeek.findByPk(req.params.id);
     if (!payroll) return res.status(404).json({ error: { message: 'Not found' } });
     await payroll.update(req.body);
+    // A submitted week's entry follows its dates and totals; a week put back to draft comes off the books
+    await ledger.post('payroll', payroll.id, req.user?.username);
     const full = await PayrollWeek.findByPk(payroll.id, { include: [{ model: PayrollEntry, as: 'entries' }] });
     res.json({ data: full, message: 'Updated' });
   } catch (error) { next(error); }
@@ -677,6 +669,7 @@ router.post('/payroll/:id/submit', async (req, res, next) => {
       if (parseFloat(e.grossPay) !== gross) await e.update({ grossPay: gross });
     }
     await payroll.update({ status: 'submitted', submittedAt: new Date(), submittedBy: req.body.submittedBy || 'admin', totalGross });
+    await ledger.post('payroll', payroll.id, req.body.submittedBy || req.user?.username);
     
     // Update vacation days used for each employee
     for (const entry of (payroll.entries || [])) {
@@ -1315,54 +1308,16 @@ router.get('/client-open-invoices/:clientId', async (req, res, next) => {
   } catch(error) { next(error); }
 });
 
-// POST /api/business/client-payments — record a new payment with applications
+// POST /api/business/client-payments — record a new payment with applications (services/clientPayments.js)
 router.post('/client-payments', async (req, res, next) => {
-  const t = await sequelize.transaction();
   try {
     const { clientId, clientName, paymentDate, amount, method, reference, notes, recordedBy, applications, creditMemoRemainder } = req.body;
-    const totalAmount = parseFloat(amount);
-    if (!totalAmount || totalAmount <= 0) throw new Error('Invalid payment amount');
-
-    // Create the parent payment
-    const payment = await ClientPayment.create({
-      clientId: clientId || null, clientName, paymentDate: paymentDate || new Date(),
-      amount: totalAmount, method: method || 'check', reference: reference || null,
-      notes: notes || null, recordedBy: recordedBy || 'admin'
-    }, { transaction: t });
-
-    // Create applications
-    let totalApplied = 0;
-    for (const app of (applications || [])) {
-      const appAmt = parseFloat(app.amount);
-      if (!appAmt || appAmt <= 0) continue;
-      await PaymentApplication.create({
-        clientPaymentId: payment.id, workOrderId: app.workOrderId, amount: appAmt
-      }, { transaction: t });
-      // Also create legacy WOPayment for backwards compatibility
-      await WorkOrderPayment.create({
-        workOrderId: app.workOrderId, amount: appAmt,
-        paymentDate: paymentDate || new Date(), paymentMethod: method || 'check',
-        paymentReference: reference || null, paymentType: 'partial', recordedBy: recordedBy || 'admin'
-      }, { transaction: t });
-      totalApplied += appAmt;
-    }
-
-    // If remainder and creditMemoRemainder flag, create credit memo
-    const remainder = totalAmount - totalApplied;
-    let creditMemo = null;
-    if (creditMemoRemainder && remainder > 0.01) {
-      creditMemo = await CreditMemo.create({
-        clientId: clientId || null, clientName,
-        date: paymentDate || new Date(),
-        amount: remainder, remainingAmount: remainder,
-        reason: `Overpayment credit from payment of ${totalAmount.toFixed(2)}`,
-        sourceClientPaymentId: payment.id
-      }, { transaction: t });
-    }
-
-    await t.commit();
+    const { payment, creditMemo } = await clientPayments.recordClientPayment({
+      clientId, clientName, paymentDate, amount, method, reference, notes, applications, creditMemoRemainder,
+      recordedBy: recordedBy || req.user?.username,
+    });
     res.json({ data: { payment, creditMemo }, message: 'Payment recorded' });
-  } catch(err) { await t.rollback(); next(err); }
+  } catch(err) { next(err); }
 });
 
 // ── Credit Memos ──
@@ -1392,6 +1347,7 @@ router.post('/credit-memos', async (req, res, next) => {
       date: date || new Date(), amount: parseFloat(amount),
       remainingAmount: parseFloat(amount), reason: reason || null
     });
+    await ledger.post('credit_memo', memo.id, req.user?.username);
     res.json({ data: memo, message: 'Credit memo created' });
   } catch(error) { next(error); }
 });
@@ -1402,6 +1358,7 @@ router.delete('/credit-memos/:id', async (req, res, next) => {
     const memo = await CreditMemo.findByPk(req.params.id);
     if (!memo) return res.status(404).json({ error: { message: 'Not found' } });
     await memo.update({ voidedAt: new Date() });
+    await ledger.post('credit_memo', memo.id, req.user?.username);
     res.json({ data: memo, message: 'Credit memo voided' });
   } catch(error) { next(error); }
 });
@@ -1434,6 +1391,7 @@ router.post('/refunds', async (req, res, next) => {
       sourceClientPaymentId: sourceClientPaymentId || null,
       recordedBy: recordedBy || 'admin'
     });
+    await ledger.post('refund', refund.id, recordedBy || req.user?.username);
     res.json({ data: refund, message: 'Refund recorded' });
   } catch(error) { next(error); }
 });
@@ -1444,156 +1402,19 @@ router.delete('/refunds/:id', async (req, res, next) => {
     const refund = await Refund.findByPk(req.params.id);
     if (!refund) return res.status(404).json({ error: { message: 'Not found' } });
     await refund.update({ voidedAt: new Date() });
+    await ledger.post('refund', refund.id, req.user?.username);
     res.json({ data: refund, message: 'Refund voided' });
   } catch(error) { next(error); }
 });
 
-// GET /api/business/general-ledger — unified chronological ledger of all transactions
+// GET /api/business/general-ledger - Cash in and out, newest first, read from the journal (see services/ledger.js).
+// Query: startDate, endDate, type (payment, expense, refund, or a source)
 router.get('/general-ledger', async (req, res, next) => {
   try {
-    const { Op } = require('sequelize');
     const { startDate, endDate, type } = req.query;
-    const { WorkOrderPayment, ShipmentCharge, ClientPayment, PaymentApplication, CreditMemo, Refund, Liability, Employee, PayrollWeek, PayrollEntry } = require('../models');
-
-    const entries = [];
-
-    // ── Revenue: Client Payments ──
-    try {
-      const payments = await ClientPayment.findAll({
-        where: { voidedAt: null, ...(startDate && { paymentDate: { [Op.gte]: startDate } }), ...(endDate && { paymentDate: { [Op.lte]: endDate } }) },
-        include: [{ model: PaymentApplication, as: 'applications' }],
-        order: [['paymentDate', 'DESC']]
-      });
-      payments.forEach(p => {
-        entries.push({
-          id: p.id, date: p.paymentDate, type: 'payment',
-          category: 'Revenue', description: `Payment — ${p.clientName}`,
-          detail: `${p.method?.replace('_',' ')}${p.reference ? ' #' + p.reference : ''}`,
-          credit: parseFloat(p.amount), debit: 0,
-          clientName: p.clientName, source: 'client_payment'
-        });
-      });
-    } catch(e) {}
-
-    // ── Revenue: Legacy WO Payments (not already in ClientPayments) ──
-    try {
-      const legacyPmts = await WorkOrderPayment.findAll({
-        where: { voidedAt: null, ...(startDate && { paymentDate: { [Op.gte]: startDate } }), ...(endDate && { paymentDate: { [Op.lte]: endDate } }) },
-        order: [['paymentDate', 'DESC']]
-      });
-      // Only include if no ClientPayment application covers this WO
-      const coveredWOIds = new Set();
-      try {
-        const apps = await PaymentApplication.findAll({ attributes: ['workOrderId'] });
-        apps.forEach(a => coveredWOIds.add(a.workOrderId));
-      } catch {}
-      legacyPmts.forEach(p => {
-        if (coveredWOIds.has(p.workOrderId)) return;
-        entries.push({
-          id: p.id, date: p.paymentDate, type: 'payment',
-          category: 'Revenue', description: `Payment received`,
-          detail: `${p.paymentMethod || ''}${p.paymentReference ? ' #' + p.paymentReference : ''}`,
-          credit: parseFloat(p.amount), debit: 0,
-          source: 'legacy_payment'
-        });
-      });
-    } catch(e) {}
-
-    // ── Expense: Paid Liabilities ──
-    try {
-      const liabs = await Liability.findAll({
-        where: { status: 'paid', ...(startDate && { paidAt: { [Op.gte]: startDate } }), ...(endDate && { paidAt: { [Op.lte]: endDate } }) },
-        order: [['paidAt', 'DESC']]
-      });
-      liabs.forEach(b => {
-        entries.push({
-          id: b.id, date: b.paidAt || b.dueDate || b.createdAt, type: 'expense',
-          category: b.category || 'other', description: b.name,
-          detail: b.vendor || '',
-          debit: parseFloat(b.paidAmount || b.amount), credit: 0,
-          source: 'liability'
-        });
-      });
-    } catch(e) {}
-
-    // ── Expense: Submitted Payroll ──
-    try {
-      const payrollWeeks = await PayrollWeek.findAll({
-        where: { status: 'submitted', ...(startDate && { weekEnd: { [Op.gte]: startDate } }), ...(endDate && { weekEnd: { [Op.lte]: endDate } }) },
-        order: [['weekEnd', 'DESC']]
-      });
-      payrollWeeks.forEach(pr => {
-        if (!pr.totalGross || parseFloat(pr.totalGross) === 0) return;
-        const sd = pr.weekStart ? new Date(pr.weekStart + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '';
-        const ed = pr.weekEnd ? new Date(pr.weekEnd + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '';
-        entries.push({
-          id: pr.id, date: pr.weekEnd, type: 'expense',
-          category: 'payroll', description: `Payroll — ${sd} – ${ed}`,
-          detail: `${pr.employeeCount || ''} employees`,
-          debit: parseFloat(pr.totalGross), credit: 0,
-          source: 'payroll'
-        });
-      });
-    } catch(e) {}
-
-    // ── Expense: Contracted Shipping ──
-    try {
-      const charges = await ShipmentCharge.findAll({
-        where: { carrierType: 'contracted' },
-        order: [['createdAt', 'DESC']]
-      });
-      charges.forEach(c => {
-        const cost = (parseFloat(c.shippingCost)||0) + (parseFloat(c.materialsCost)||0);
-        if (cost === 0) return;
-        entries.push({
-          id: c.id, date: c.createdAt, type: 'expense',
-          category: 'shipping', description: `Contracted Shipping — ${c.vendorName || 'Carrier'}`,
-          detail: [c.pickupIsShop ? 'From Shop' : c.pickupLocation, c.dropoffIsShop ? 'To Shop' : c.dropoffLocation].filter(Boolean).join(' → '),
-          debit: cost, credit: 0,
-          source: 'shipment_charge'
-        });
-      });
-    } catch(e) {}
-
-    // ── Contra: Refunds ──
-    try {
-      const refunds = await Refund.findAll({
-        where: { voidedAt: null, ...(startDate && { date: { [Op.gte]: startDate } }), ...(endDate && { date: { [Op.lte]: endDate } }) },
-        order: [['date', 'DESC']]
-      });
-      refunds.forEach(r => {
-        entries.push({
-          id: r.id, date: r.date, type: 'refund',
-          category: 'Refund', description: `Refund — ${r.clientName}`,
-          detail: r.reason || '',
-          debit: parseFloat(r.amount), credit: 0,
-          source: 'refund'
-        });
-      });
-    } catch(e) {}
-
-    // Sort by date descending
-    entries.sort((a, b) => new Date(b.date) - new Date(a.date));
-
-    // Apply type filter
-    const filtered = type ? entries.filter(e => e.type === type || e.source === type) : entries;
-
-    // Calculate running balance (oldest first, then reverse)
-    const chronological = [...filtered].reverse();
-    let running = 0;
-    chronological.forEach(e => { running += e.credit - e.debit; e.runningBalance = running; });
-    filtered.forEach(e => {
-      // find matching running balance
-      const match = chronological.find(c => c.id === e.id && c.source === e.source);
-      if (match) e.runningBalance = match.runningBalance;
-    });
-
-    const totalRevenue = filtered.filter(e => e.credit > 0).reduce((s, e) => s + e.credit, 0);
-    const totalExpenses = filtered.filter(e => e.debit > 0 && e.type !== 'refund').reduce((s, e) => s + e.debit, 0);
-    const totalRefunds = filtered.filter(e => e.type === 'refund').reduce((s, e) => s + e.debit, 0);
-
-    res.json({ data: { entries: filtered, totalRevenue, totalExpenses, totalRefunds, netIncome: totalRevenue - totalExpenses - totalRefunds } });
+    res.json({ data: await ledger.generalLedger({ startDate, endDate, type }) });
   } catch (error) { next(error); }
 });
 
 module.exports = router;
+module.exports.getWOBalance = getWOBalance;
@@ -0,0 +1,72 @@
+const express = require('express');
+const { ClientPart } = require('../models');
+const catalog = require('../services/clientPartCatalog');
+
+const router = express.Router();
+
+// GET /api/client-parts - Catalog entries. Query: clientId, clientName, q (part number, description or client)
+router.get('/', async (req, res, next) => {
+  try {
+    const data = await catalog.listEntries(req.query);
+    res.json({ data });
+  } catch (error) { next(error); }
+});
+
+// GET /api/client-parts/match - Entries for a client's part number, same rev first, with last vs
+// current price for the best one. Query: clientId or clientName, partNumber, rev, quantity
+router.get('/match', async (req, res, next) => {
+  try {
+    const { clientId, clientName, partNumber, rev, quantity } = req.query;
+    if (!partNumber || !(clientId || clientName)) return res.status(400).json({ error: { message: 'partNumber and clientId or clientName are required' } });
+    const matches = await catalog.lookup({ clientId, clientName, clientPartNumber: partNumber, rev });
+    const price = matches.length ? await catalog.priceCheck(matches[0].entry, { quantity }) : null;
+    res.json({ data: matches.map(m => ({ ...m.entry.toJSON(), revChanged: m.revChanged })), price });
+  } catch (error) { next(error); }
+});
+
+// GET /api/client-parts/:id - One entry with last vs current price. Query: quantity (default: last quantity)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const entry = await ClientPart.findByPk(req.params.id);
+    if (!entry) return res.status(404).json({ error: { message: 'Catalog part not found' } });
+    const price = await catalog.priceCheck(entry, { quantity: req.query.quantity });
+    res.json({ data: entry, price });
+  } catch (error) { next(error); }
+});
+
+// POST /api/client-parts - Save an estimate part to its client's catalog (or refresh its entry).
+// Body: { estimatePartId, notes? }
+router.post('/', async (req, res, next) => {
+  try {
+    const { estimatePartId, notes } = req.body || {};
+    if (!estimatePartId) return res.status(400).json({ error: { message: 'estimatePartId is required' } });
+    const entry = await catalog.saveFromEstimatePart(estimatePartId, { by: req.user?.username, notes });
+    res.status(201).json({ data: entry, message: `${entry.clientPartNumber}${entry.rev ? ` rev ${entry.rev}` : ''} saved to the ${entry.clientName} catalog` });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/client-parts/:id - Body: { description?, notes? }. The part itself is refreshed by saving it again from an estimate.
+router.put('/:id', async (req, res, next) => {
+  try {
+    const entry = await ClientPart.findByPk(req.params.id);
+    if (!entry) return res.status(404).json({ error: { message: 'Catalog part not found' } });
+    const updates = { updatedBy: req.user?.username || null };
+    for (const f of ['description', 'notes']) {
+      if (req.body[f] !== undefined) updates[f] = req.body[f] || null;
+    }
+    await entry.update(updates);
+    res.json({ data: entry, message: 'Catalog part updated' });
+  } catch (error) { next(error); }
+});
+
+// DELETE /api/client-parts/:id - Drop an entry. Its drawings stay — estimates and DRs still point at them.
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const entry = await ClientPart.findByPk(req.params.id);
+    if (!entry) return res.status(404).json({ error: { message: 'Catalog part not found' } });
+    await entry.destroy();
+    res.json({ message: 'Catalog part deleted' });
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
@@ -0,0 +1,267 @@
+/**
+ * Client Portal Routes
+ *
+ * Customer self-service, scoped to the client named on the API key (see services/clientPortal.js).
+ * Clients can:
+ *   - Request a quote with drawings (becomes a draft estimate for the estimators)
+ *   - View estimates we have sent and accept or decline them — accepting converts to a work order
+ *   - Follow their orders: status, promised date, parts done, shipments
+ *   - Download invoices and CoCs
+ *   - View their account statement
+ *
+ * Mounted at /api/portal next to the per-DR document routes in index.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const multer = require('multer');
+const { Estimate, EstimatePart, WorkOrder, WorkOrderPart, WorkOrderDocument, TodoItem, User } = require('../models');
+const fileStorage = require('../utils/storage');
+const portal = require('../services/clientPortal');
+const estimateRevisions = require('../services/estimateRevisions');
+const { portalSanitizeWO } = require('./workorders');
+const { buildClientHistory } = require('./clients-vendors');
+const estimateConversion = require('../services/estimateConversion');
+
+// Drawings for quote requests — memory storage, 25 MB each, up to 10
+const rfqUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 25 * 1024 * 1024, files: 10 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/pdf' || file.mimetype.startsWith('image/')) cb(null, true);
+    else cb(new Error('Only PDF or image drawings allowed'));
+  }
+});
+
+/**
+ * Require client-scoped API key.
+ * Must be placed AFTER `authenticate` middleware.
+ */
+const requireClientScope = async (req, res, next) => {
+  if (!req.apiKey) {
+    return res.status(401).json({ error: { message: 'Client portal requires API key authentication' } });
+  }
+  if (!req.apiKey.clientName || req.apiKey.deviceName) {
+    return res.status(403).json({ error: { message: 'This API key is not scoped to a client' } });
+  }
+  try {
+    req.portalClient = await portal.findClient(req.apiKey.clientName);
+    next();
+  } catch (error) { next(error); }
+};
+
+const clientWhere = (req) => portal.clientScope(req.portalClient, req.apiKey.clientName);
+
+async function findOrder(req) {
+  const drNumber = parseInt(req.params.drNumber);
+  if (!drNumber) return null;
+  return WorkOrder.findOne({
+    where: { drNumber, ...clientWhere(req), isVoided: { [Op.ne]: true } },
+    include: [{ model: WorkOrderPart, as: 'parts' }]
+  });
+}
+
+async function findEstimate(req) {
+  const estimate = await Estimate.findOne({
+    where: { estimateNumber: req.params.estimateNumber, ...clientWhere(req), trashedAt: null },
+    include: [{ model: EstimatePart, as: 'parts' }]
+  });
+  // Drafts are ours until they are sent
+  return estimate && estimate.status !== 'draft' ? estimate : null;
+}
+
+// ============= QUOTE REQUESTS =============
+
+// POST /api/portal/rfq - Request a quote. Multipart: drawings[] (PDF/images) plus
+// { reference?, notes?, projectDescription?, contactName?, contactEmail?, contactPhone?, parts? (JSON list) }
+router.post('/rfq', requireClientScope, rfqUpload.array('drawings', 10), async (req, res, next) => {
+  try {
+    const { estimate, partsFound } = await portal.submitRfq(req.apiKey.clientName, req.body, req.files || []);
+    res.status(201).json({
+      data: { estimateNumber: estimate.estimateNumber, status: 'received', parts: partsFound },
+      message: `Request received — reference ${estimate.estimateNumber}. We will send your quote once it is priced.`
+    });
+  } catch (error) { next(error); }
+});
+
+// ============= ESTIMATES =============
+
+// GET /api/portal/estimates - Estimates we have sent. Query: status (sent|accepted|declined)
+router.get('/estimates', requireClientScope, async (req, res, next) => {
+  try {
+    const where = { ...clientWhere(req), trashedAt: null, status: { [Op.ne]: 'draft' } };
+    if (req.query.status && req.query.status !== 'draft') where.status = req.query.status;
+    const estimates = await Estimate.findAll({
+      where,
+      include: [{ model: EstimatePart, as: 'parts' }],
+      order: [['sentAt', 'DESC NULLS LAST'], ['createdAt', 'DESC']],
+      limit: 200
+    });
+    res.json({ data: estimates.map(e => portal.portalEstimate(e)) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/portal/estimates/:estimateNumber - One sent estimate. pdfUrl is the printable quote.
+router.get('/estimates/:estimateNumber', requireClientScope, async (req, res, next) => {
+  try {
+    const estimate = await findEstimate(req);
+    if (!estimate) return res.status(404).json({ error: { message: 'Estimate not found' } });
+    res.json({ data: { ...portal.portalEstimate(estimate), pdfUrl: `/api/portal/estimates/${encodeURIComponent(estimate.estimateNumber)}/pdf` } });
+  } catch (error) { next(error); }
+});
+
+// GET /api/portal/estimates/:estimateNumber/pdf - The printable quote, the same document the office sends
+router.get('/estimates/:estimateNumber/pdf', requireClientScope, async (req, res, next) => {
+  try {
+    const estimate = await findEstimate(req);
+    if (!estimate) return res.status(404).json({ error: { message: 'Estimate not found' } });
+    await require('./estimates').writeEstimatePdf(estimate, res);
+  } catch (error) {
+    console.error('PDF generation error:', error);
+    if (!res.headersSent) next(error);
+    else res.end();
+  }
+});
+
+// POST /api/portal/estimates/:estimateNumber/accept - Accept and place the order.
+// Body: { purchaseOrderNumber, acceptedBy, requestedDueDate?, notes? }
+// Marks the estimate accepted and converts it to a work order the same way the office does.
+router.post('/estimates/:estimateNumber/accept', requireClientScope, async (req, res, next) => {
+  try {
+    const estimate = await findEstimate(req);
+    if (!estimate) return res.status(404).json({ error: { message: 'Estimate not found' } });
+    const problem = portal.acceptProblem(estimate);
+    if (problem) return res.status(400).json({ error: { message: problem } });
+    const { purchaseOrderNumber, acceptedBy, requestedDueDate, notes } = req.body;
+    if (!purchaseOrderNumber || !String(purchaseOrderNumber).trim()) return res.status(400).json({ error: { message: 'Your PO number is required' } });
+    if (!acceptedBy || !String(acceptedBy).trim()) return res.status(400).json({ error: { message: 'Enter your name to accept' } });
+
+    // Claim it: of two submits racing (or the portal and an acceptance link) only the first goes on to convert
+    const acceptedAt = new Date();
+    const [claimed] = await Estimate.update({ status: 'accepted', acceptedAt }, { where: { id: estimate.id, status: estimate.status, workOrderId: null } });
+    if (!claimed) return res.status(409).json({ error: { message: 'This estimate was already accepted' } });
+
+    let acceptedRevision = null;
+    try {
+      acceptedRevision = (await estimateRevisions.recordRevision(estimate.id, { reason: 'accepted', by: String(acceptedBy).trim() })).revision;
+    } catch (e) { console.error('[portal] revision not recorded (non-fatal):', e.message); }
+    await estimate.update({ status: 'accepted', acceptedAt, acceptedRevision });
+    const acceptance = `Accepted through the client portal by ${String(acceptedBy).trim()} on PO ${String(purchaseOrderNumber).trim()}${acceptedRevision ? ` (Rev ${acceptedRevision})` : ''}`;
+    let workOrder;
+    try {
+      ({ workOrder } = await estimateConversion.convertToWorkOrder(estimate.id, {
+        clientPurchaseOrderNumber: String(purchaseOrderNumber).trim(),
+        requestedDueDate: requestedDueDate || null,
+        notes: [estimate.notes, acceptance, notes].filter(Boolean).join('\n')
+      }, String(acceptedBy).trim()));
+    } catch (convertErr) {
+      // The acceptance stands; the office converts by hand
+      console.error(`[portal] Conversion of ${estimate.estimateNumber} failed:`, convertErr.message);
+      const headEstimator = await User.findOne({ where: { isHeadEstimator: true, isActive: true } });
+      await TodoItem.create({
+        title: `Convert accepted estimate: ${estimate.estimateNumber} — ${estimate.clientName}`,
+        description: `${acceptance}. Automatic conversion failed: ${convertErr.message}`,
+        type: 'urgent',
+        priority: 'high',
+        assignedTo: headEstimator?.username || null,
+        estimateId: estimate.id,
+        estimateNumber: estimate.estimateNumber,
+        createdBy: 'Client Portal'
+      });
+      return res.json({ data: { estimateNumber: estimate.estimateNumber, status: 'accepted', drNumber: null }, message: 'Thank you — your order was received and will be confirmed shortly' });
+    }
+    res.json({
+      data: { estimateNumber: estimate.estimateNumber, status: 'accepted', drNumber: workOrder.drNumber },
+      message: `Thank you — your order is DR-${workOrder.drNumber}`
+    });
+  } catch (error) { next(error); }
+});
+
+// POST /api/portal/estimates/:estimateNumber/decline - Body: { reason? }
+router.post('/estimates/:estimateNumber/decline', requireClientScope, async (req, res, next) => {
+  try {
+    const estimate = await findEstimate(req);
+    if (!estimate) return res.status(404).json({ error: { message: 'Estimate not found' } });
+    if (estimate.status !== 'sent') return res.status(400).json({ error: { message: 'This estimate is not open' } });
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
+    await estimate.update({
+      status: 'declined',
+      internalNotes: [estimate.internalNotes, `Declined through the client portal${reason ? ': ' + reason : ''}`].filter(Boolean).join('\n')
+    });
+    res.json({ data: { estimateNumber: estimate.estimateNumber, status: 'declined' }, message: 'Estimate declined' });
+  } catch (error) { next(error); }
+});
+
+// ============= ORDERS =============
+
+// GET /api/portal/orders - Orders with live status. Query: open=true (not yet shipped)
+router.get('/orders', requireClientScope, async (req, res, next) => {
+  try {
+    const where = { ...clientWhere(req), isVoided: { [Op.ne]: true } };
+    if (req.query.open === 'true') where.status = { [Op.notIn]: ['shipped', 'archived'] };
+    const orders = await WorkOrder.findAll({
+      where,
+      include: [{ model: WorkOrderPart, as: 'parts' }],
+      order: [['createdAt', 'DESC']],
+      limit: 200
+    });
+    res.json({ data: orders.map(wo => portal.orderStatus(wo.toJSON(), portalSanitizeWO)) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/portal/orders/:drNumber - One order with status, parts and portal-visible documents
+router.get('/orders/:drNumber', requireClientScope, async (req, res, next) => {
+  try {
+    const workOrder = await findOrder(req);
+    if (!workOrder) return res.status(404).json({ error: { message: 'Order not found' } });
+    const wo = workOrder.toJSON();
+    wo.documents = (await WorkOrderDocument.findAll({ where: { workOrderId: wo.id, portalVisible: true }, order: [['createdAt', 'DESC']] })).map(d => d.toJSON());
+    res.json({ data: portal.orderStatus(wo, portalSanitizeWO) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/portal/orders/:drNumber/invoice - Download link for the invoice PDF
+router.get('/orders/:drNumber/invoice', requireClientScope, async (req, res, next) => {
+  try {
+    const workOrder = await findOrder(req);
+    if (!workOrder) return res.status(404).json({ error: { message: 'Order not found' } });
+    if (!workOrder.invoiceNumber || !workOrder.invoicePdfUrl) return res.status(404).json({ error: { message: 'No invoice available for this order yet' } });
+    const name = `Invoice-${workOrder.invoiceNumber}.pdf`;
+    let url = null;
+    try { url = await fileStorage.getPresignedUrl(workOrder.invoicePdfCloudinaryId || workOrder.invoicePdfUrl, 3600, name); } catch {}
+    res.json({ data: { url: url || workOrder.invoicePdfUrl, name, mimeType: 'application/pdf' } });
+  } catch (error) { next(error); }
+});
+
+// GET /api/portal/orders/:drNumber/coc - Download links for the order's certificates of conformance
+router.get('/orders/:drNumber/coc', requireClientScope, async (req, res, next) => {
+  try {
+    const workOrder = await findOrder(req);
+    if (!workOrder) return res.status(404).json({ error: { message: 'Order not found' } });
+    const cocs = await WorkOrderDocument.findAll({
+      where: { workOrderId: workOrder.id, documentType: 'coc', portalVisible: true },
+      order: [['createdAt', 'DESC']]
+    });
+    if (!cocs.length) return res.status(404).json({ error: { message: 'No certificate of conformance available for this order yet' } });
+    const data = await Promise.all(cocs.map(async (d) => {
+      let url = null;
+      try { url = await fileStorage.getPresignedUrl(d.cloudinaryId || d.url, 3600, d.originalName); } catch {}
+      return { id: d.id, name: d.originalName, date: d.createdAt, url: url || d.url, mimeType: d.mimeType };
+    }));
+    res.json({ data });
+  } catch (error) { next(error); }
+});
+
+// ============= STATEMENT =============
+
+// GET /api/portal/statement - Open invoices, payments and credits on the account
+router.get('/statement', requireClientScope, async (req, res, next) => {
+  try {
+    const client = req.portalClient;
+    if (!client) return res.status(404).json({ error: { message: 'No account found for this portal key' } });
+    res.json({ data: portal.portalStatement(await buildClientHistory(client)) });
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const currency = require('../services/currency');
+
+const router = express.Router();
+
+// GET /api/currencies - Supported currencies with today's stored rate (units per 1 USD) for each foreign one
+router.get('/', async (req, res, next) => {
+  try {
+    const rates = await currency.loadRates();
+    const data = Object.values(currency.CURRENCIES).map(c => ({
+      ...c,
+      base: c.code === currency.BASE_CURRENCY,
+      rate: c.code === currency.BASE_CURRENCY ? 1 : (rates[c.code]?.rate ?? null),
+      asOf: rates[c.code]?.asOf || null,
+      by: rates[c.code]?.by || null
+    }));
+    res.json({ data });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/currencies/:code/rate - Body: { rate, asOf? }. Only quotes and invoices that haven't
+// locked a rate yet pick up the new one.
+router.put('/:code/rate', async (req, res, next) => {
+  try {
+    const code = currency.normalizeCurrency(req.params.code);
+    const rates = await currency.saveRate(code, req.body?.rate, { by: req.user?.username, asOf: req.body?.asOf });
+    res.json({ data: { code, ...rates[code] }, message: `${currency.rateNote(code, rates[code].rate)} saved` });
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
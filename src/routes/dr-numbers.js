@@ -1,6 +1,7 @@
 const express = require('express');
 const { Op } = require('sequelize');
 const { DRNumber, WorkOrder, WorkOrderPart, Estimate, EstimatePart, InboundOrder, DailyActivity, AppSettings, sequelize } = require('../models');
+const ledger = require('../services/ledger');
 
 const router = express.Router();
 
@@ -278,6 +279,7 @@ router.post('/:drNumber/void', async (req, res, next) => {
     );
 
     await transaction.commit();
+    if (drEntry.workOrderId) await ledger.post('invoice', drEntry.workOrderId, voidedBy);
 
     res.json({
       data: drEntry,
@@ -328,6 +330,7 @@ router.post('/:drNumber/unvoid', async (req, res, next) => {
 
     await logActivity('restored', 'dr_number', drEntry.id, `DR-${drNumber}`, drEntry.clientName, `DR-${drNumber} restored from void`);
     await transaction.commit();
+    if (drEntry.workOrderId) await ledger.post('invoice', drEntry.workOrderId, req.user?.username);
 
     res.json({ data: drEntry, message: `DR-${drNumber} has been restored` });
   } catch (error) {
@@ -605,7 +605,7 @@ router.delete('/history/:id', async (req, res, next) => {
   } catch (error) { next(error); }
 });
 
-// POST /api/email-scanner/reply-with-pdf/:estimateId - Create Gmail draft reply with PDF attached
+// POST /api/email-scanner/reply-with-pdf/:estimateId - Create Gmail draft reply with PDF attached (and, optionally, an acceptance link)
 router.post('/reply-with-pdf/:estimateId', async (req, res, next) => {
   try {
     const estimate = await Estimate.findByPk(req.params.estimateId);
@@ -637,6 +637,12 @@ router.post('/reply-with-pdf/:estimateId', async (req, res, next) => {
       console.warn('[Reply] Could not fetch original Message-ID:', e.message);
     }
 
+    // Record the send first so the attached PDF carries this revision's letter
+    try {
+      const { recordRevision } = require('../services/estimateRevisions');
+      await recordRevision(estimate.id, { reason: 'sent', by: req.user?.username, to: scannedEmail.fromEmail, via: 'email' });
+    } catch (e) { console.warn('[Reply] revision not recorded:', e.message); }
+
     // Fetch PDF from our own API
     const http = require('http');
     const port = process.env.PORT || 5001;
@@ -665,7 +671,16 @@ router.post('/reply-with-pdf/:estimateId', async (req, res, next) => {
     const fileName = `Estimate-${estimate.estimateNumber}.pdf`;
     const toEmail = scannedEmail.fromEmail;
     const subject = `Re: ${(scannedEmail.subject || 'Quote').replace(/^Re:\s*/i, '')}`;
-    const bodyText = req.body.message || `Hi,\n\nPlease find the attached quote for your review.\n\nThank you,\nCarolina Rolling Co.`;
+    let bodyText = req.body.message || `Hi,\n\nPlease find the attached quote for your review.\n\nThank you,\nCarolina Rolling Co.`;
+
+    // Optional signed-acceptance link. Body: { includeAcceptanceLink, autoConvert? }
+    let acceptanceUrl = null;
+    if (req.body.includeAcceptanceLink) {
+      const { createLink } = require('../services/estimateAcceptance');
+      const { url } = await createLink(estimate.id, { autoConvert: req.body.autoConvert, sentTo: toEmail }, req.user?.username);
+      acceptanceUrl = url;
+      bodyText += `\n\nTo accept this quote online, review and sign here:\n${url}`;
+    }
 
     // Build proper MIME with In-Reply-To using RFC822 Message-ID
     const headerLines = [
@@ -719,7 +734,7 @@ router.post('/reply-with-pdf/:estimateId', async (req, res, next) => {
 
     console.log(`[Reply] Draft created: id=${draft.data.id}, msgId=${draftMsgId}, thread=${scannedEmail.gmailThreadId}, to=${toEmail}`);
 
-    res.json({ data: { draftUrl, draftId: draft.data.id }, message: 'Draft created with PDF attached' });
+    res.json({ data: { draftUrl, draftId: draft.data.id, acceptanceUrl }, message: 'Draft created with PDF attached' });
   } catch (error) {
     console.error('[EmailScanner] Reply with PDF error:', error.message);
     next(error);
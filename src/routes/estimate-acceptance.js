@@ -0,0 +1,223 @@
+/**
+ * Estimate acceptance links (see services/estimateAcceptance.js).
+ *
+ *   router       — office, mounted at /api/estimate-acceptance behind authenticate
+ *   publicRouter — customer, mounted at /api/accept with no login; the token is the credential
+ */
+
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { EstimateAcceptance } = require('../models');
+const acceptance = require('../services/estimateAcceptance');
+
+const router = express.Router();
+const publicRouter = express.Router();
+
+const fmtPT = (d) => (d ? new Date(d).toLocaleString('en-US', { timeZone: 'America/Los_Angeles', dateStyle: 'medium', timeStyle: 'short' }) + ' PT' : '—');
+const requestMeta = (req) => ({ ip: req.ip || null, userAgent: (req.get('user-agent') || '').slice(0, 500) || null });
+
+// The signed record: what was accepted, by whom, the signature and the audit trail
+function buildAcceptancePdf(link) {
+  const snap = link.estimateSnapshot || {};
+  const logoFile = [path.join(__dirname, '../assets/logo.png'), path.join(__dirname, '../assets/logo.jpg')].find(p => fs.existsSync(p));
+  const PDFDocument = require('pdfkit');
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, size: 'letter' });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    const L = 40, W = 532;
+    if (logoFile) try { doc.image(logoFile, L, 22, { width: 55 }); } catch {}
+    doc.font('Helvetica-Bold').fontSize(15).fillColor('#1a1a1a').text('CAROLINA ROLLING CO. INC.', 110, 30, { lineBreak: false });
+    doc.font('Helvetica').fontSize(10).fillColor('#777').text('9152 Sonrisa St., Bellflower, CA 90706  ·  (562) 633-1044', 110, 50, { lineBreak: false });
+    doc.moveTo(L, 80).lineTo(L + W, 80).lineWidth(1).strokeColor('#e0e0e0').stroke();
+    doc.fontSize(13).font('Helvetica-Bold').fillColor('#2e7d32').text('ESTIMATE ACCEPTANCE', L, 90);
+    doc.fontSize(11).font('Helvetica-Bold').fillColor('#1a1a1a').text(snap.estimateNumber || '', L + W - 200, 90, { width: 200, align: 'right', lineBreak: false });
+
+    let y = 120;
+    const field = (name, value) => {
+      if (value === null || value === undefined || value === '') return;
+      doc.fontSize(9.5).font('Helvetica-Bold').fillColor('#555').text(name, L, y, { width: 120, lineBreak: false });
+      doc.font('Helvetica').fillColor('#1a1a1a').text(String(value), L + 125, y, { width: W - 125 });
+      y = Math.max(y + 15, doc.y + 3);
+    };
+    field('Customer', snap.clientName);
+    field('Project', snap.projectDescription);
+    field('Estimate total', snap.grandTotal != null ? '$' + (parseFloat(snap.grandTotal) || 0).toFixed(2) : null);
+    field('Purchase order', link.purchaseOrderNumber);
+    field('Requested by', link.requestedDueDate);
+    y += 6;
+
+    doc.rect(L, y, W, 16).fill('#1a1a1a');
+    [['#', 30], ['Part', 90], ['Description', 312], ['Qty', 40], ['Price', 60]].reduce((x, [label, w]) => {
+      doc.fontSize(8.5).font('Helvetica-Bold').fillColor('white').text(label, x + 3, y + 4, { width: w - 6, align: ['Qty', 'Price'].includes(label) ? 'right' : 'left', lineBreak: false });
+      return x + w;
+    }, L);
+    y += 18;
+    for (const p of snap.parts || []) {
+      if (y > 600) { doc.addPage(); y = 40; }
+      const cells = [[String(p.partNumber || ''), 30], [p.clientPartNumber || p.partType || '', 90], [p.description || '', 312], [String(p.quantity || ''), 40], [p.partTotal != null ? '$' + (parseFloat(p.partTotal) || 0).toFixed(2) : '', 60]];
+      cells.reduce((x, [val, w], i) => {
+        doc.fontSize(8.5).font('Helvetica').fillColor('#1a1a1a').text(val, x + 3, y, { width: w - 6, align: i >= 3 ? 'right' : 'left', lineBreak: false, ellipsis: true });
+        return x + w;
+      }, L);
+      y += 14;
+    }
+
+    y += 16;
+    if (y > 560) { doc.addPage(); y = 40; }
+    doc.fontSize(9).font('Helvetica').fillColor('#555').text('Accepted electronically. The signer confirmed they agree to the estimate above and its terms.', L, y, { width: W });
+    y += 50;
+    if (typeof link.signature === 'string' && link.signature.startsWith('data:image')) {
+      try { doc.image(Buffer.from(link.signature.split(',')[1], 'base64'), L + 5, y - 42, { fit: [185, 38] }); } catch (e) {}
+    }
+    doc.moveTo(L, y).lineTo(L + 220, y).lineWidth(0.5).strokeColor('#999').stroke();
+    doc.fontSize(9).fillColor('#666').text([link.signerName, link.signerTitle].filter(Boolean).join(', '), L, y + 4, { width: 220 });
+    doc.moveTo(L + 280, y).lineTo(L + 500, y).lineWidth(0.5).strokeColor('#999').stroke();
+    doc.fontSize(9).fillColor('#333').text(fmtPT(link.signedAt), L + 280, y - 12, { width: 220, lineBreak: false });
+    doc.fillColor('#666').text('Date', L + 280, y + 4);
+    y += 34;
+
+    doc.fontSize(10).font('Helvetica-Bold').fillColor('#1a1a1a').text('Audit trail', L, y);
+    y += 15;
+    for (const e of link.events || []) {
+      if (y > 730) { doc.addPage(); y = 40; }
+      const line = `${fmtPT(e.at)}  ${e.event}` + (e.by ? ` — ${e.by}` : '') + (e.detail ? ` (${e.detail})` : '') + (e.ip ? `  ·  IP ${e.ip}` : '');
+      doc.fontSize(8.5).font('Helvetica').fillColor('#333').text(line, L, y, { width: W });
+      y = doc.y + 2;
+    }
+    if (link.signerUserAgent) doc.fontSize(7.5).fillColor('#888').text('Browser: ' + link.signerUserAgent, L, y + 4, { width: W });
+    doc.end();
+  });
+}
+
+// ============= OFFICE =============
+
+// POST /api/estimate-acceptance/estimates/:estimateId - Make an acceptance link.
+// Body: { expiresInDays? (default 30, capped at the estimate's validUntil), autoConvert?, sentTo? }
+router.post('/estimates/:estimateId', async (req, res, next) => {
+  try {
+    const { link, url } = await acceptance.createLink(req.params.estimateId, req.body, req.user?.username);
+    res.status(201).json({ data: { ...link.toJSON(), url }, message: 'Acceptance link created' });
+  } catch (error) { next(error); }
+});
+
+// GET /api/estimate-acceptance/estimates/:estimateId - Links made for an estimate, newest first
+router.get('/estimates/:estimateId', async (req, res, next) => {
+  try {
+    const links = await EstimateAcceptance.findAll({
+      where: { estimateId: req.params.estimateId },
+      attributes: { exclude: ['signature'] },
+      order: [['createdAt', 'DESC']]
+    });
+    res.json({ data: links.map(l => ({ ...l.toJSON(), url: acceptance.acceptanceUrl(l.token) })) });
+  } catch (error) { next(error); }
+});
+
+// POST /api/estimate-acceptance/:id/revoke - Withdraw a pending link
+router.post('/:id/revoke', async (req, res, next) => {
+  try {
+    const link = await EstimateAcceptance.findByPk(req.params.id);
+    if (!link) return res.status(404).json({ error: { message: 'Acceptance link not found' } });
+    if (link.status !== 'pending') return res.status(400).json({ error: { message: `This link was already ${link.status}` } });
+    await link.update({
+      status: 'revoked', revokedBy: req.user?.username || null, revokedAt: new Date(),
+      events: acceptance.addEvent(link.events, 'revoked', { by: req.user?.username, detail: req.body.reason })
+    });
+    res.json({ data: link, message: 'Link revoked' });
+  } catch (error) { next(error); }
+});
+
+// GET /api/estimate-acceptance/:id/pdf - Signed acceptance record with audit trail
+router.get('/:id/pdf', async (req, res, next) => {
+  try {
+    const link = await EstimateAcceptance.findByPk(req.params.id);
+    if (!link) return res.status(404).json({ error: { message: 'Acceptance link not found' } });
+    if (link.status !== 'accepted') return res.status(400).json({ error: { message: 'This estimate has not been accepted through this link' } });
+    const pdf = await buildAcceptancePdf(link);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="Acceptance-${(link.estimateSnapshot || {}).estimateNumber || link.id}.pdf"`);
+    res.send(pdf);
+  } catch (error) { next(error); }
+});
+
+// ============= CUSTOMER (no login) =============
+
+// GET /api/accept/:token - The estimate behind a link, and whether it can still be accepted
+publicRouter.get('/:token', async (req, res, next) => {
+  try {
+    const link = await acceptance.findByToken(req.params.token);
+    if (!link || !link.estimate) return res.status(404).json({ error: { message: 'This link is not valid' } });
+    const problem = acceptance.linkProblem(link, link.estimate);
+    if (!problem) await acceptance.recordView(link, requestMeta(req));
+    const est = link.estimate;
+    res.json({
+      data: {
+        status: link.status,
+        canAccept: !problem,
+        problem,
+        expiresAt: link.expiresAt,
+        contactName: est.contactName || null,
+        notes: est.notes || null,
+        estimate: link.status === 'accepted' && link.estimateSnapshot ? link.estimateSnapshot : acceptance.estimateSnapshot(est),
+        signedBy: link.status === 'accepted' ? link.signerName : null,
+        signedAt: link.signedAt || null
+      }
+    });
+  } catch (error) { next(error); }
+});
+
+// GET /api/accept/:token/pdf - The estimate PDF the office sends, for an open link
+publicRouter.get('/:token/pdf', async (req, res, next) => {
+  try {
+    const link = await acceptance.findByToken(req.params.token);
+    if (!link || !link.estimate) return res.status(404).json({ error: { message: 'This link is not valid' } });
+    if (link.status === 'revoked' || new Date(link.expiresAt) < new Date()) return res.status(410).json({ error: { message: 'This link is no longer active' } });
+    // The same document the office downloads
+    await require('./estimates').writeEstimatePdf(link.estimate, res);
+  } catch (error) {
+    console.error('PDF generation error:', error);
+    if (!res.headersSent) next(error);
+    else res.end();
+  }
+});
+
+// GET /api/accept/:token/receipt - The signed acceptance record, once accepted
+publicRouter.get('/:token/receipt', async (req, res, next) => {
+  try {
+    const link = await acceptance.findByToken(req.params.token);
+    if (!link || link.status !== 'accepted') return res.status(404).json({ error: { message: 'No signed acceptance for this link' } });
+    const pdf = await buildAcceptancePdf(link);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="Acceptance-${(link.estimateSnapshot || {}).estimateNumber || 'estimate'}.pdf"`);
+    res.send(pdf);
+  } catch (error) { next(error); }
+});
+
+// POST /api/accept/:token/accept - Body: { name, title?, email?, purchaseOrderNumber, requestedDueDate?, signature (data URL), agree: true }
+publicRouter.post('/:token/accept', async (req, res, next) => {
+  try {
+    const link = await acceptance.findByToken(req.params.token);
+    if (!link || !link.estimate) return res.status(404).json({ error: { message: 'This link is not valid' } });
+    const { workOrder } = await acceptance.acceptLink(link, req.body, requestMeta(req));
+    res.json({
+      data: { status: 'accepted', estimateNumber: link.estimate.estimateNumber, drNumber: workOrder ? workOrder.drNumber : null, signedAt: link.signedAt },
+      message: workOrder ? `Thank you — your order is DR-${workOrder.drNumber}` : 'Thank you — your acceptance has been recorded'
+    });
+  } catch (error) { next(error); }
+});
+
+// POST /api/accept/:token/decline - Body: { name?, reason? }
+publicRouter.post('/:token/decline', async (req, res, next) => {
+  try {
+    const link = await acceptance.findByToken(req.params.token);
+    if (!link || !link.estimate) return res.status(404).json({ error: { message: 'This link is not valid' } });
+    await acceptance.declineLink(link, req.body, requestMeta(req));
+    res.json({ data: { status: 'declined' }, message: 'Thank you for letting us know' });
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
+module.exports.publicRouter = publicRouter;
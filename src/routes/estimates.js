@@ -1,16 +1,24 @@
 const express = require('express');
-const { allocateDRNumber, reserveCustomDRNumber } = require('../services/numberAllocator');
+const { allocateDRNumber } = require('../services/numberAllocator');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { computeDisplayNumbers } = require('../services/partNumbering');
+const estimateRevisions = require('../services/estimateRevisions');
+const rollingGeometry = require('../services/rollingGeometry');
+const quotePipeline = require('../services/quotePipeline');
+const materialPrices = require('../services/materialPrices');
+const clientPartCatalog = require('../services/clientPartCatalog');
+const currency = require('../services/currency');
+const salesTax = require('../services/salesTax');
+const estimateConversion = require('../services/estimateConversion');
 const https = require('https');
 const http = require('http');
 const { v4: uuidv4 } = require('uuid');
 const cloudinary = require('cloudinary').v2;
 const fileStorage = require('../utils/storage');
 const { Op } = require('sequelize');
-const { Estimate, EstimatePart, EstimatePartFile, EstimateFile, WorkOrder, WorkOrderPart, WorkOrderPartFile, InboundOrder, AppSettings, DRNumber, PONumber, DailyActivity, Client, Vendor, ShipmentCharge, ScannedEmail, sequelize } = require('../models');
+const { Estimate, EstimatePart, EstimatePartFile, EstimateFile, WorkOrder, WorkOrderPart, InboundOrder, AppSettings, DRNumber, PONumber, DailyActivity, Client, Vendor, ShipmentCharge, ScannedEmail, sequelize } = require('../models');
 
 // Spec label matching the other roll forms: ID/ISR, OD/OSR, CLD/CLR.
 function coneSpecLabel(measurePoint, measureType) {
@@ -632,8 +640,9 @@ async function getUnsentDrafts() {
   });
 }
 
-// Digest text for the push — grouped by client, unsent drafts only.
-function buildQuoteDigest(drafts) {
+// Digest text for the push — unsent drafts grouped by client, plus sent quotes with a follow-up due
+// (rows from quotePipeline.openPipeline with dueOnly).
+function buildQuoteDigest(drafts, followUps = []) {
   const m = new Map();
   for (const d of drafts) {
     const key = d.clientName || 'Unknown client';
@@ -647,17 +656,24 @@ function buildQuoteDigest(drafts) {
     .map(([name, g]) => ({ name, ...g }))
     .sort((a, b) => (a.top !== b.top ? (a.top ? -1 : 1) : b.oldest - a.oldest));
 
-  const title = `${drafts.length} quote${drafts.length === 1 ? '' : 's'} not sent yet`;
+  const followUpText = `${followUps.length} follow-up${followUps.length === 1 ? '' : 's'} due`;
+  let title = `${drafts.length} quote${drafts.length === 1 ? '' : 's'} not sent yet`;
+  if (!drafts.length) title = followUpText;
+  else if (followUps.length) title += ` \u00b7 ${followUpText}`;
   const parts = groups.slice(0, 4).map(g =>
     (g.top ? '\u2b50 ' : '') + (g.count > 1 ? `${g.name} (${g.count}, oldest ${g.oldest}d)` : `${g.name} (${g.oldest}d)`)
   );
   let body = parts.join(', ');
   if (groups.length > 4) body += `, +${groups.length - 4} more`;
-  return { title, body, draftCount: drafts.length };
+  if (!drafts.length) {
+    body = followUps.slice(0, 4).map(f => `${f.clientName || 'Unknown client'} ${f.estimateNumber} (sent ${f.ageDays}d ago)`).join(', ');
+    if (followUps.length > 4) body += `, +${followUps.length - 4} more`;
+  }
+  return { title, body, draftCount: drafts.length, followUpCount: followUps.length };
 }
 
-// GET /api/estimates/price-suggestion - recommended labor price from comparable WON jobs
-// Query: partType, material, thickness, diameter, clientName
+// GET /api/estimates/price-suggestion - recommended labor price from the price books and comparable WON jobs
+// Query: partType, material, thickness, diameter, clientName, clientId
 router.get('/price-suggestion', async (req, res, next) => {
   try {
     const { suggestPrice } = require('../services/pricingSuggest');
@@ -676,7 +692,10 @@ router.get('/price-suggestion', async (req, res, next) => {
       length: req.query.length,
       quantity: req.query.quantity,
       diameter: req.query.diameter || req.query.innerDiameter || req.query.outerDiameter,
-      clientName: req.query.clientName
+      arcDegrees: req.query.arcDegrees,
+      _rollMeasurePoint: req.query.measurePoint || (req.query.outerDiameter && !req.query.diameter && !req.query.innerDiameter ? 'outside' : undefined),
+      clientName: req.query.clientName,
+      clientId: req.query.clientId
     }, {
       newClientUpliftPct: cfg.newClientUpliftPct,
       minLaborCharge: partTypeCfg.minCharge || cfg.minLaborCharge,
@@ -684,6 +703,21 @@ router.get('/price-suggestion', async (req, res, next) => {
       materialFactors: cfg.materialFactors || {}
     });
     result.guidance = partTypeCfg.notes || null;
+    // Machine limits — a warning alongside the crane check, never a block
+    try {
+      const { checkPartCapacity } = require('../services/workCenters');
+      result.machineCapacity = await checkPartCapacity({
+        partType: req.query.partType,
+        material: req.query.material,
+        thickness: req.query.thickness,
+        width: req.query.width,
+        length: req.query.length,
+        diameter: req.query.diameter,
+        innerDiameter: req.query.innerDiameter,
+        outerDiameter: req.query.outerDiameter,
+        radius: req.query.radius
+      });
+    } catch (e) { console.warn('[price-suggestion] machine check skipped:', e.message); }
     res.json({ data: result });
   } catch (error) { next(error); }
 });
@@ -698,13 +732,21 @@ router.get('/unsent-drafts', async (req, res, next) => {
 });
 
 // POST /api/estimates/:id/mark-declined - record the real outcome (dead lead). Removes it from reminders permanently.
+// Body (all optional): { reason (see quotePipeline.LOSS_REASONS), detail, competitor, competitorPrice }
 router.post('/:id/mark-declined', async (req, res, next) => {
   try {
     if (!isEstimatorCaller(req)) return res.status(403).json({ error: { message: 'Estimator access required' } });
-    const estimate = await Estimate.findByPk(req.params.id);
-    if (!estimate) return res.status(404).json({ error: { message: 'Estimate not found' } });
-    await estimate.update({ status: 'declined' });
-    res.json({ data: { id: estimate.id, status: 'declined' } });
+    const estimate = await quotePipeline.markDeclined(req.params.id, req.body || {}, req.user?.username);
+    res.json({
+      data: {
+        id: estimate.id,
+        status: 'declined',
+        lossReason: estimate.lossReason,
+        competitor: estimate.competitor,
+        competitorPrice: estimate.competitorPrice,
+        priceGapPct: quotePipeline.priceGapPct(estimate.grandTotal, estimate.competitorPrice)
+      }
+    });
   } catch (error) { next(error); }
 });
 
@@ -745,6 +787,123 @@ router.post('/:id/reminder-restore', async (req, res, next) => {
   } catch (error) { next(error); }
 });
 
+// GET /api/estimates/pipeline - open quotes with forecast and next follow-up
+// Query: estimator, clientName, dueOnly=true (only quotes with a follow-up due now)
+router.get('/pipeline', async (req, res, next) => {
+  try {
+    if (!isEstimatorCaller(req)) return res.status(403).json({ error: { message: 'Estimator access required' } });
+    const data = await quotePipeline.openPipeline({
+      estimator: req.query.estimator,
+      clientName: req.query.clientName,
+      dueOnly: req.query.dueOnly === 'true'
+    });
+    res.json({ data });
+  } catch (error) { next(error); }
+});
+
+// GET /api/estimates/analytics/win-loss - hit rate over sent quotes
+// Query: groupBy (client|partType|estimator|priceBand), interval (month|quarter|year), from, to (YYYY-MM-DD, on sentAt), estimator, clientName
+router.get('/analytics/win-loss', async (req, res, next) => {
+  try {
+    if (!isEstimatorCaller(req)) return res.status(403).json({ error: { message: 'Estimator access required' } });
+    const data = await quotePipeline.winLossReport({
+      from: req.query.from,
+      to: req.query.to,
+      groupBy: req.query.groupBy || 'client',
+      interval: req.query.interval || 'month',
+      estimator: req.query.estimator,
+      clientName: req.query.clientName
+    });
+    res.json({ data });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/estimates/:id/forecast - Body: { expectedCloseDate?, winProbability? (0-100, null = status default), estimator? }
+router.put('/:id/forecast', async (req, res, next) => {
+  try {
+    const estimate = await quotePipeline.updateForecast(req.params.id, req.body || {});
+    res.json({ data: quotePipeline.pipelineRow(estimate), message: 'Forecast updated' });
+  } catch (error) { next(error); }
+});
+
+// GET /api/estimates/:id/follow-ups - the follow-up schedule, made and still due
+router.get('/:id/follow-ups', async (req, res, next) => {
+  try {
+    const estimate = await Estimate.findByPk(req.params.id);
+    if (!estimate) return res.status(404).json({ error: { message: 'Estimate not found' } });
+    res.json({ data: { schedule: quotePipeline.followUpSchedule(estimate), next: quotePipeline.nextFollowUp(estimate) } });
+  } catch (error) { next(error); }
+});
+
+// POST /api/estimates/:id/follow-ups - log a follow-up. Body: { outcome? (reached|left_message|no_answer|email), note? }
+router.post('/:id/follow-ups', async (req, res, next) => {
+  try {
+    const estimate = await quotePipeline.recordFollowUp(req.params.id, req.body || {}, req.user?.username);
+    const upcoming = quotePipeline.nextFollowUp(estimate);
+    res.status(201).json({
+      data: { schedule: quotePipeline.followUpSchedule(estimate), next: upcoming },
+      message: upcoming ? `Follow-up logged — next one ${upcoming.dueAt.slice(0, 10)}` : 'Follow-up logged — no more scheduled'
+    });
+  } catch (error) { next(error); }
+});
+
+// GET /api/estimates/material-review - open estimates whose material cost is stale or has moved
+// against the material price index. Query: staleDays, movePercent (default from material price
+// settings), estimateId, all=true (include parts that are fine)
+router.get('/material-review', async (req, res, next) => {
+  try {
+    const data = await materialPrices.reviewOpenEstimates({
+      estimateIds: req.query.estimateId ? [req.query.estimateId] : null,
+      staleDays: req.query.staleDays,
+      movePercent: req.query.movePercent,
+      flaggedOnly: req.query.all !== 'true'
+    });
+    res.json({ data });
+  } catch (error) { next(error); }
+});
+
+// POST /api/estimates/material-reprice - move flagged parts to the index's proposed material cost.
+// Body: { estimateIds?, partIds?, staleDays?, movePercent? } — partIds narrows to the parts the
+// estimator ticked; without it every flagged part with a proposal on those estimates is re-priced.
+router.post('/material-reprice', async (req, res, next) => {
+  try {
+    const { estimateIds, partIds, staleDays, movePercent } = req.body || {};
+    if (!(Array.isArray(estimateIds) && estimateIds.length) && !(Array.isArray(partIds) && partIds.length)) {
+      return res.status(400).json({ error: { message: 'estimateIds or partIds is required' } });
+    }
+    const ticked = Array.isArray(partIds) && partIds.length ? new Set(partIds) : null;
+    let ids = estimateIds;
+    if (!(Array.isArray(ids) && ids.length)) {
+      const parts = await EstimatePart.findAll({ where: { id: { [Op.in]: partIds } }, attributes: ['estimateId'] });
+      ids = [...new Set(parts.map(p => p.estimateId))];
+    }
+    const review = await materialPrices.reviewOpenEstimates({ estimateIds: ids, staleDays, movePercent, flaggedOnly: !ticked });
+
+    const results = [];
+    for (const est of review.estimates) {
+      const chosen = est.parts.filter(r => r.proposedCost != null && (ticked ? ticked.has(r.partId) : r.flagged));
+      if (!chosen.length) continue;
+      const estimate = await Estimate.findByPk(est.estimateId);
+      const changed = [];
+      for (const r of chosen) {
+        const part = await EstimatePart.findByPk(r.partId);
+        const { updates, costBefore, costAfter, partTotalBefore, partTotalAfter } = materialPrices.repriceFields(part, r.proposedCost);
+        await part.update(updates);
+        changed.push({ partId: part.id, partNumber: part.partNumber, costBefore, costAfter, partTotalBefore, partTotalAfter, basis: r.basis });
+      }
+      const allParts = await EstimatePart.findAll({ where: { estimateId: estimate.id } });
+      const totals = await calculateEstimateTotalsWithMinimums(allParts, estimate);
+      const before = parseFloat(estimate.grandTotal) || 0;
+      await estimate.update(totals);
+      await logActivity('updated', 'estimate', estimate.id, estimate.estimateNumber, estimate.clientName,
+        `Material re-priced on ${changed.length} part(s) from the price index`, { parts: changed, by: req.user?.username || null });
+      results.push({ estimateId: estimate.id, estimateNumber: estimate.estimateNumber, grandTotalBefore: before, grandTotalAfter: parseFloat(totals.grandTotal), parts: changed });
+    }
+    const count = results.reduce((n, r) => n + r.parts.length, 0);
+    res.json({ data: results, message: count ? `Re-priced ${count} part(s) on ${results.length} estimate(s)` : 'Nothing to re-price' });
+  } catch (error) { next(error); }
+});
+
 router.buildQuoteDigest = buildQuoteDigest;
 router.getUnsentDrafts = getUnsentDrafts;
 router.QUOTE_STALE_DAYS = QUOTE_STALE_DAYS;
@@ -952,18 +1111,21 @@ router.post('/', async (req, res, next) => {
       taxExemptCertNumber,
       discountPercent,
       discountAmount,
-      discountReason
+      discountReason,
+      shipToAddress
     } = req.body;
 
     if (!clientName) {
       return res.status(400).json({ error: { message: 'Client name is required' } });
     }
 
-    // Get default tax rate from settings if not provided
+    // Tax rate for the ship-to jurisdiction (the shop's when there's none yet) if not provided
     let effectiveTaxRate = taxRate;
+    let taxJurisdiction = null;
     if (effectiveTaxRate === undefined) {
-      const taxSetting = await AppSettings.findOne({ where: { key: 'tax_settings' } });
-      effectiveTaxRate = taxSetting?.value?.defaultTaxRate || 7.0;
+      const j = await salesTax.rateFor({ address: shipToAddress });
+      effectiveTaxRate = j.rate;
+      taxJurisdiction = j.code;
     }
 
     // Use custom estimate number if provided, otherwise auto-generate
@@ -990,6 +1152,8 @@ router.post('/', async (req, res, next) => {
       internalNotes,
       validUntil: validUntil || null,
       taxRate: effectiveTaxRate,
+      shipToAddress: shipToAddress || null,
+      taxJurisdiction,
       useCustomTax: useCustomTax || false,
       customTaxReason,
       truckingDescription,
@@ -1000,6 +1164,7 @@ router.post('/', async (req, res, next) => {
       discountPercent: parseFloat(discountPercent) || 0,
       discountAmount: parseFloat(discountAmount) || 0,
       discountReason: discountReason || null,
+      estimator: req.body.estimator || req.user?.username || null,
       status: 'draft'
     });
 
@@ -1030,13 +1195,15 @@ router.put('/:id', async (req, res, next) => {
       return res.status(404).json({ error: { message: 'Estimate not found' } });
     }
 
+    const previousStatus = estimate.status;
     const updates = {};
     const fields = ['clientName', 'contactName', 'contactEmail', 'contactPhone', 'contactExtension', 
       'projectDescription', 'notes', 'internalNotes', 'validUntil', 'taxRate',
       'useCustomTax', 'customTaxReason', 'truckingDescription', 'truckingCost', 'status',
       'taxExempt', 'taxExemptCertNumber', 'taxExemptReason',
       'discountPercent', 'discountAmount', 'discountReason',
-      'minimumOverride', 'minimumOverrideReason', 'opTransports', 'workflowStage', 'pricingQuotedNeedsEntry'];
+      'minimumOverride', 'minimumOverrideReason', 'opTransports', 'workflowStage', 'pricingQuotedNeedsEntry',
+      'estimator', 'expectedCloseDate', 'shipToAddress'];
     
     fields.forEach(field => {
       if (req.body[field] !== undefined) {
@@ -1044,6 +1211,23 @@ router.put('/:id', async (req, res, next) => {
       }
     });
 
+    // Currency — a new currency drops the old quote rate; a typed rate is locked as given
+    if (req.body.currency !== undefined) {
+      updates.currency = currency.normalizeCurrency(req.body.currency);
+      if (updates.currency !== estimate.currency) Object.assign(updates, { exchangeRate: null, exchangeRateAt: null });
+    }
+    if (req.body.exchangeRate !== undefined) {
+      const rate = req.body.exchangeRate === null || req.body.exchangeRate === '' ? null : currency.normalizeRate(req.body.exchangeRate);
+      Object.assign(updates, { exchangeRate: rate, exchangeRateAt: rate ? new Date() : null });
+    }
+
+    // A new ship-to re-rates the tax unless the rate was set by hand
+    if (updates.shipToAddress !== undefined && (updates.shipToAddress || null) !== (estimate.shipToAddress || null)
+        && updates.taxRate === undefined && !(updates.useCustomTax ?? estimate.useCustomTax)) {
+      const j = await salesTax.rateFor({ address: updates.shipToAddress });
+      Object.assign(updates, { taxRate: j.rate, taxJurisdiction: j.code });
+    }
+
     // Handle custom estimate number with uniqueness check
     if (req.body.estimateNumber !== undefined && req.body.estimateNumber !== estimate.estimateNumber) {
       const newNum = req.body.estimateNumber.trim();
@@ -1068,11 +1252,20 @@ router.put('/:id', async (req, res, next) => {
       if (updates.status === 'accepted' && !estimate.acceptedAt) {
         updates.acceptedAt = new Date();
       }
+      if (updates.status === 'declined' && !estimate.declinedAt) {
+        updates.declinedAt = new Date();
+      }
       if (updates.status === 'archived' && !estimate.archivedAt) {
         updates.archivedAt = new Date();
       }
     }
 
+    // Going out locks the quote rate (a foreign currency with no rate set stops here, before anything is saved)
+    if (updates.status && updates.status !== previousStatus && ['sent', 'accepted'].includes(updates.status)) {
+      const fx = await currency.lockEstimateRate({ ...estimate.get(), ...updates }, { lock: false });
+      if (currency.isForeign(fx.currency)) Object.assign(updates, { exchangeRate: fx.rate, exchangeRateAt: fx.at });
+    }
+
     await estimate.update(updates);
 
     // When an estimate reaches a state where a pricing review is no longer pending (sent to the
@@ -1098,6 +1291,14 @@ router.put('/:id', async (req, res, next) => {
     const totals = await calculateEstimateTotalsWithMinimums(parts, estimate);
     await estimate.update(totals);
 
+    // Freeze a revision when the estimate goes out or is accepted (after the totals above are final)
+    if (updates.status && updates.status !== previousStatus && ['sent', 'accepted'].includes(updates.status)) {
+      try {
+        const rev = await estimateRevisions.recordRevision(estimate.id, { reason: updates.status, by: req.user?.username, to: estimate.contactEmail });
+        if (updates.status === 'accepted') await estimate.update({ acceptedRevision: rev.revision });
+      } catch (e) { console.warn('[estimate] could not record revision:', e.message); }
+    }
+
     const updatedEstimate = await Estimate.findByPk(estimate.id, {
       include: [
         { model: EstimatePart, as: 'parts' },
@@ -1212,6 +1413,11 @@ router.post('/:id/parts', async (req, res, next) => {
 
     // Extract underscore-prefixed fields into formData JSONB
     partData = extractFormData(partData);
+    if (parseFloat(partData.materialTotal) > 0 || parseFloat(partData.materialUnitCost) > 0) partData.materialCostAt = new Date();
+
+    // Geometry that cannot exist (cone ends reversed, a diameter smaller than the material) is refused
+    const geometryCheck = rollingGeometry.checkPart(partData);
+    if (geometryCheck.errors.length) return res.status(400).json({ error: { message: geometryCheck.errors[0] } });
 
     // Calculate part totals (skip for ea-priced types which compute their own partTotal)
     if (!['plate_roll', 'shaped_plate', 'angle_roll', 'flat_stock', 'pipe_roll', 'tube_roll', 'flat_bar', 'channel_roll', 'beam_roll', 'tee_bar', 'press_brake', 'cone_roll', 'fab_service', 'shop_rate'].includes(partData.partType)) {
@@ -1228,13 +1434,62 @@ router.post('/:id/parts', async (req, res, next) => {
 
     res.status(201).json({
       data: mergeFormData(part),
-      message: 'Part added'
+      message: 'Part added',
+      warnings: geometryCheck.warnings
     });
   } catch (error) {
     next(error);
   }
 });
 
+// POST /api/estimates/:id/parts/from-catalog - Add repeat parts from the client part catalog.
+// Body: { items: [{ clientPartId, quantity?, price?: 'last' | 'current' }] } — 'last' (default) keeps
+// the price the client paid last time; 'current' takes it with today's material index and price books.
+// Every added part comes back with its last vs current price.
+router.post('/:id/parts/from-catalog', async (req, res, next) => {
+  try {
+    const estimate = await Estimate.findByPk(req.params.id);
+    if (!estimate) return res.status(404).json({ error: { message: 'Estimate not found' } });
+    const items = Array.isArray(req.body?.items) ? req.body.items : [];
+    if (!items.length) return res.status(400).json({ error: { message: 'items is required' } });
+    const { ClientPart } = require('../models');
+    const entries = [];
+    for (const item of items) {
+      const entry = await ClientPart.findByPk(item.clientPartId);
+      if (!entry) return res.status(404).json({ error: { message: `Catalog part ${item.clientPartId} not found` } });
+      entries.push(entry);
+    }
+
+    let partNumber = await EstimatePart.count({ where: { estimateId: estimate.id } });
+    const added = [];
+    for (let i = 0; i < items.length; i++) {
+      const entry = entries[i];
+      const { part: currentPart, ...comparison } = await clientPartCatalog.priceCheck(entry, { quantity: items[i].quantity });
+      const pricedAt = items[i].price === 'current' && comparison.current.total ? 'current' : 'last';
+      const base = pricedAt === 'current' ? currentPart : clientPartCatalog.toEstimatePart(entry, { quantity: items[i].quantity });
+      const partData = { ...base, estimateId: estimate.id, partNumber: ++partNumber };
+      if (!['plate_roll', 'shaped_plate', 'angle_roll', 'flat_stock', 'pipe_roll', 'tube_roll', 'flat_bar', 'channel_roll', 'beam_roll', 'tee_bar', 'press_brake', 'cone_roll', 'fab_service', 'shop_rate'].includes(partData.partType)) {
+        Object.assign(partData, calculatePartTotals(partData));
+      }
+      const part = await EstimatePart.create(partData);
+      for (const f of entry.files || []) {
+        await EstimatePartFile.create({ ...f, partId: part.id, portalVisible: false });
+      }
+      added.push({ part: mergeFormData(part), price: comparison, pricedAt });
+    }
+
+    const allParts = await EstimatePart.findAll({ where: { estimateId: estimate.id } });
+    await estimate.update(await calculateEstimateTotalsWithMinimums(allParts, estimate));
+    await logActivity('updated', 'estimate', estimate.id, estimate.estimateNumber, estimate.clientName,
+      `${added.length} repeat part(s) added from the client part catalog`,
+      { parts: entries.map(e => e.clientPartNumber + (e.rev ? ` rev ${e.rev}` : '')), by: req.user?.username || null });
+
+    res.status(201).json({ data: added, message: `${added.length} part(s) added from the catalog` });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // PUT /api/estimates/:id/parts/reorder - Reorder parts
 router.put('/:id/parts/reorder', async (req, res, next) => {
   try {
@@ -1282,8 +1537,16 @@ router.put('/:id/parts/:partId', async (req, res, next) => {
       Object.keys(updates.formData).forEach(k => { if (!k.startsWith('_')) delete updates.formData[k]; });
     }
 
+    // A newly entered material cost restarts the stale-material clock
+    if (['materialTotal', 'materialUnitCost'].some(f => f in updates && (parseFloat(updates[f]) || 0) !== (parseFloat(part[f]) || 0))) {
+      updates.materialCostAt = new Date();
+    }
+
     // Calculate part totals (skip for ea-priced types which compute their own partTotal)
     const mergedPart = { ...part.toJSON(), ...updates };
+
+    const geometryCheck = rollingGeometry.touchesGeometry(req.body) ? rollingGeometry.checkPart(mergedPart) : { errors: [], warnings: [] };
+    if (geometryCheck.errors.length) return res.status(400).json({ error: { message: geometryCheck.errors[0] } });
     if (!['plate_roll', 'shaped_plate', 'angle_roll', 'flat_stock', 'pipe_roll', 'tube_roll', 'flat_bar', 'channel_roll', 'beam_roll', 'tee_bar', 'press_brake', 'cone_roll', 'fab_service', 'shop_rate'].includes(mergedPart.partType)) {
       const totals = calculatePartTotals(mergedPart);
       Object.assign(updates, totals);
@@ -1304,7 +1567,8 @@ router.put('/:id/parts/:partId', async (req, res, next) => {
 
     res.json({
       data: mergeFormData(part),
-      message: 'Part updated'
+      message: 'Part updated',
+      warnings: geometryCheck.warnings
     });
   } catch (error) {
     next(error);
@@ -2287,6 +2551,8 @@ router.post('/:id/duplicate', async (req, res, next) => {
       notes: notes || original.notes,
       internalNotes: `Duplicated from ${original.estimateNumber}. ${original.internalNotes || ''}`,
       taxRate: original.taxRate,
+      shipToAddress: original.shipToAddress,
+      taxJurisdiction: original.taxJurisdiction,
       truckingDescription: original.truckingDescription,
       truckingCost: original.truckingCost,
       status: 'draft'
@@ -2323,6 +2589,7 @@ router.post('/:id/duplicate', async (req, res, next) => {
         specialInstructions: origPart.specialInstructions,
         materialSource: origPart.materialSource,
         materialTotal: origPart.materialTotal,
+        materialCostAt: origPart.materialCostAt,
         laborTotal: origPart.laborTotal,
         partTotal: origPart.partTotal,
         formData: origPart.formData,
@@ -2405,1014 +2672,853 @@ router.post('/archive-old', async (req, res, next) => {
   }
 });
 
-// ============= PDF GENERATION =============
-
-// GET /api/estimates/:id/pdf - Generate estimate PDF
-router.get('/:id/pdf', async (req, res, next) => {
+// GET /api/estimates/:id/machine-check - Parts that no registered machine can run
+router.get('/:id/machine-check', async (req, res, next) => {
   try {
+    const { getActiveCenters, machineCapacityCheck } = require('../services/workCenters');
     const estimate = await Estimate.findByPk(req.params.id, {
-      include: [{ model: EstimatePart, as: 'parts', order: [['partNumber', 'ASC']] }]
+      include: [{ model: EstimatePart, as: 'parts' }]
     });
+    if (!estimate) return res.status(404).json({ error: { message: 'Estimate not found' } });
+    const centers = await getActiveCenters();
+    const parts = (estimate.parts || [])
+      .sort((a, b) => (a.partNumber || 0) - (b.partNumber || 0))
+      .map(p => ({ partId: p.id, partNumber: p.partNumber, partType: p.partType, ...machineCapacityCheck(p, centers) }));
+    res.json({ data: { parts, warnings: parts.filter(p => !p.fits).length } });
+  } catch (error) { next(error); }
+});
 
-    if (!estimate) {
-      return res.status(404).json({ error: { message: 'Estimate not found' } });
-    }
+// ============= PDF GENERATION =============
 
-    // API key client scoping
-    if (req.apiKey && req.apiKey.clientName) {
-      if (!estimate.clientName || !estimate.clientName.toLowerCase().includes(req.apiKey.clientName.toLowerCase())) {
-        return res.status(403).json({ error: { message: 'Access denied' } });
-      }
-    }
+/**
+ * Write an estimate's PDF to `res` — `estimate` loaded with its parts. The office's download and the
+ * customer's copy from an acceptance link (routes/estimate-acceptance.js) both come from here.
+ */
+async function writeEstimatePdf(estimate, res) {
+  // Revision letter: the one last sent, or the next one when the estimate has changed since
+  let revisionLetter = null;
+  try {
+    const charges = await ShipmentCharge.findAll({ where: { estimateId: estimate.id } });
+    revisionLetter = await estimateRevisions.pdfRevision(estimate, estimate.parts, charges);
+  } catch (e) { console.warn('[PDF] revision lookup failed:', e.message); }
+  const numberWithRev = revisionLetter ? `${estimate.estimateNumber}  Rev ${revisionLetter}` : estimate.estimateNumber;
 
-    // Ensure taxExempt is a proper boolean (SQLite stores as 0/1)
-    let isTaxExempt = estimate.taxExempt === true || estimate.taxExempt === 1 || estimate.taxExempt === '1' || estimate.taxExempt === 'true';
-    
-    // Also check the Client record directly - this is the authoritative source
-    if (!isTaxExempt) {
-      isTaxExempt = await isClientTaxExempt(estimate.clientName);
-      if (isTaxExempt) {
-        // Fix the DB while we're at it
-        await estimate.update({ taxExempt: true, taxExemptReason: 'Resale' });
-      }
+  // Ensure taxExempt is a proper boolean (SQLite stores as 0/1)
+  let isTaxExempt = estimate.taxExempt === true || estimate.taxExempt === 1 || estimate.taxExempt === '1' || estimate.taxExempt === 'true';
+  
+  // Also check the Client record directly - this is the authoritative source
+  if (!isTaxExempt) {
+    isTaxExempt = await isClientTaxExempt(estimate.clientName);
+    if (isTaxExempt) {
+      // Fix the DB while we're at it
+      await estimate.update({ taxExempt: true, taxExemptReason: 'Resale' });
     }
-    estimate.taxExempt = isTaxExempt;
+  }
+  estimate.taxExempt = isTaxExempt;
 
-    console.log(`[PDF] Estimate ${estimate.estimateNumber}: taxExempt=${isTaxExempt}, taxRate=${estimate.taxRate}`);
+  console.log(`[PDF] Estimate ${estimate.estimateNumber}: taxExempt=${isTaxExempt}, taxRate=${estimate.taxRate}`);
 
-    // Recalculate totals with minimum charge logic (stored values may not include minimums)
-    const pdfTotals = await calculateEstimateTotalsWithMinimums(estimate.parts, estimate);
-    // Override stored totals with recalculated values for PDF rendering
-    estimate.partsSubtotal = pdfTotals.partsSubtotal;
-    estimate.taxAmount = pdfTotals.taxAmount;
-    estimate.grandTotal = pdfTotals.grandTotal;
+  // Recalculate totals with minimum charge logic (stored values may not include minimums)
+  const pdfTotals = await calculateEstimateTotalsWithMinimums(estimate.parts, estimate);
+  // Override stored totals with recalculated values for PDF rendering
+  estimate.partsSubtotal = pdfTotals.partsSubtotal;
+  estimate.taxAmount = pdfTotals.taxAmount;
+  estimate.grandTotal = pdfTotals.grandTotal;
 
-    console.log(`[PDF] Recalculated: subtotal=${pdfTotals.partsSubtotal}, taxAmount=${pdfTotals.taxAmount}, grandTotal=${pdfTotals.grandTotal}`);
+  console.log(`[PDF] Recalculated: subtotal=${pdfTotals.partsSubtotal}, taxAmount=${pdfTotals.taxAmount}, grandTotal=${pdfTotals.grandTotal}`);
 
-    // Also compute minimum info for display on PDF
-    const pdfLaborMinimums = await loadLaborMinimums();
-    const pdfMinInfo = getMinimumInfo(estimate.parts, estimate.minimumOverride, pdfLaborMinimums);
+  // Quote rate for a foreign-currency client: locked once the estimate has gone out, today's rate on a draft
+  const fx = await currency.lockEstimateRate(estimate, { lock: estimate.status !== 'draft' });
+  const foreign = currency.isForeign(fx.currency);
 
-    // Debug: log minimum calculation details
-    console.log(`[PDF] Minimum check: totalLabor=${pdfMinInfo.totalLabor}, highestMinimum=${pdfMinInfo.highestMinimum}, minimumApplies=${pdfMinInfo.minimumApplies}, override=${estimate.minimumOverride}`);
-    if (pdfMinInfo.minimumApplies) {
-      console.log(`[PDF] Minimum adjustment: adjustedLabor=${pdfMinInfo.adjustedLabor}, laborDifference=${pdfMinInfo.laborDifference}, rule=${pdfMinInfo.highestMinRule?.label}`);
-    }
-    estimate.parts.forEach(p => {
-      const size = getPartSize(p);
-      const matchedRule = getLaborMinimum(p, pdfLaborMinimums);
-      console.log(`[PDF] Part ${p.partNumber}: type=${p.partType}, size=${size}, laborTotal=${p.laborTotal}, partTotal=${p.partTotal}, qty=${p.quantity}, matchedRule=${matchedRule?.label || 'none'} (min=${matchedRule?.minimum || 'N/A'})`);
-    });
+  // Also compute minimum info for display on PDF
+  const pdfLaborMinimums = await loadLaborMinimums();
+  const pdfMinInfo = getMinimumInfo(estimate.parts, estimate.minimumOverride, pdfLaborMinimums);
 
-    // Square fees are hardcoded: In-Person 2.6% + $0.15, Manual 3.5% + $0.15
+  // Debug: log minimum calculation details
+  console.log(`[PDF] Minimum check: totalLabor=${pdfMinInfo.totalLabor}, highestMinimum=${pdfMinInfo.highestMinimum}, minimumApplies=${pdfMinInfo.minimumApplies}, override=${estimate.minimumOverride}`);
+  if (pdfMinInfo.minimumApplies) {
+    console.log(`[PDF] Minimum adjustment: adjustedLabor=${pdfMinInfo.adjustedLabor}, laborDifference=${pdfMinInfo.laborDifference}, rule=${pdfMinInfo.highestMinRule?.label}`);
+  }
+  estimate.parts.forEach(p => {
+    const size = getPartSize(p);
+    const matchedRule = getLaborMinimum(p, pdfLaborMinimums);
+    console.log(`[PDF] Part ${p.partNumber}: type=${p.partType}, size=${size}, laborTotal=${p.laborTotal}, partTotal=${p.partTotal}, qty=${p.quantity}, matchedRule=${matchedRule?.label || 'none'} (min=${matchedRule?.minimum || 'N/A'})`);
+  });
 
-    // Generate PDF using PDFKit
-    const PDFDocument = require('pdfkit');
-    const doc = new PDFDocument({ margin: 50, size: 'LETTER', bufferPages: true });
+  // Square fees are hardcoded: In-Person 2.6% + $0.15, Manual 3.5% + $0.15
 
-    // Register custom font for company name
-    const yellowcakePath = path.join(__dirname, '../assets/fonts/Yellowcake-Regular.ttf');
-    try {
-      if (fs.existsSync(yellowcakePath)) {
-        doc.registerFont('Yellowcake', yellowcakePath);
-      }
-    } catch (e) {
-      console.log('Yellowcake font not found, using Helvetica fallback');
-    }
+  // Generate PDF using PDFKit
+  const PDFDocument = require('pdfkit');
+  const doc = new PDFDocument({ margin: 50, size: 'LETTER', bufferPages: true });
 
-    // Set response headers
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="Estimate-${estimate.estimateNumber}.pdf"`);
+  // Register custom font for company name
+  const yellowcakePath = path.join(__dirname, '../assets/fonts/Yellowcake-Regular.ttf');
+  try {
+    if (fs.existsSync(yellowcakePath)) {
+      doc.registerFont('Yellowcake', yellowcakePath);
+    }
+  } catch (e) {
+    console.log('Yellowcake font not found, using Helvetica fallback');
+  }
 
-    // Pipe to response — must add error handler BEFORE piping
-    doc.on('error', (err) => {
-      console.error('PDF stream error:', err.message);
-      // Don't crash the process — just log it
-    });
-    doc.pipe(res);
+  // Set response headers
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="Estimate-${estimate.estimateNumber}.pdf"`);
 
-    // Helper functions
-    const formatCurrency = (amount) => {
-      const num = parseFloat(amount) || 0;
-      return '$' + num.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
-    };
+  // Pipe to response — must add error handler BEFORE piping
+  doc.on('error', (err) => {
+    console.error('PDF stream error:', err.message);
+    // Don't crash the process — just log it
+  });
+  doc.pipe(res);
 
-    const formatDate = (date) => {
-      if (!date) return '';
-      return new Date(date).toLocaleDateString('en-US', { 
-        year: 'numeric', month: 'long', day: 'numeric',
-        timeZone: 'America/Los_Angeles'
-      });
-    };
+  // Helper functions
+  const formatCurrency = (amount) => {
+    const num = parseFloat(amount) || 0;
+    return '$' + num.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  };
 
-    // Merge formData into parts
-    const mergedParts = estimate.parts.map(p => {
-      const obj = p.toJSON ? p.toJSON() : { ...p };
-      if (obj.formData && typeof obj.formData === 'object') {
-        Object.assign(obj, obj.formData);
-      }
-      return refreshDerivedFields(obj);
+  const formatDate = (date) => {
+    if (!date) return '';
+    return new Date(date).toLocaleDateString('en-US', { 
+      year: 'numeric', month: 'long', day: 'numeric',
+      timeZone: 'America/Los_Angeles'
     });
+  };
 
-    // Part type labels
-    const PART_LABELS = {
-      plate_roll: 'Plate Roll', angle_roll: 'Angle Roll', pipe_roll: 'Pipes / Tubes / Round',
-      tube_roll: 'Square & Rect Tube Roll', channel_roll: 'Channel Roll', beam_roll: 'Beam Roll',
-      flat_bar: 'Flat Bar Roll', flat_stock: 'Flat Stock', cone_roll: 'Cone Roll',
-      tee_bar: 'Tee Bar Roll', press_brake: 'Press Brake', fab_service: 'Fabrication Service',
-      shop_rate: 'Shop Rate', shaped_plate: 'Shaped Plate', rush_service: 'Rush / Emergency Service', other: 'Other'
-    };
-
-    // Spec abbreviation helper
-    const getSpecLabel = (part) => {
-      const mp = part._rollMeasurePoint || 'inside';
-      const isRad = !!part.radius && !part.diameter;
-      if (mp === 'inside') return isRad ? 'ISR' : 'ID';
-      if (mp === 'outside') return isRad ? 'OSR' : 'OD';
-      return isRad ? 'CLR' : 'CLD';
-    };
+  // Merge formData into parts
+  const mergedParts = estimate.parts.map(p => {
+    const obj = p.toJSON ? p.toJSON() : { ...p };
+    if (obj.formData && typeof obj.formData === 'object') {
+      Object.assign(obj, obj.formData);
+    }
+    return refreshDerivedFields(obj);
+  });
 
-    // Roll direction label helper
-    const getRollDirLabel = (part) => {
-      if (!part.rollType) return '';
-      if (part.partType === 'tee_bar') {
-        return part.rollType === 'easy_way' ? 'SO' : part.rollType === 'on_edge' ? 'SU' : 'SI';
-      }
-      return part.rollType === 'easy_way' ? 'EW' : part.rollType === 'on_edge' ? 'OE' : 'HW';
-    };
+  // Part type labels
+  const PART_LABELS = {
+    plate_roll: 'Plate Roll', angle_roll: 'Angle Roll', pipe_roll: 'Pipes / Tubes / Round',
+    tube_roll: 'Square & Rect Tube Roll', channel_roll: 'Channel Roll', beam_roll: 'Beam Roll',
+    flat_bar: 'Flat Bar Roll', flat_stock: 'Flat Stock', cone_roll: 'Cone Roll',
+    tee_bar: 'Tee Bar Roll', press_brake: 'Press Brake', fab_service: 'Fabrication Service',
+    shop_rate: 'Shop Rate', shaped_plate: 'Shaped Plate', rush_service: 'Rush / Emergency Service', other: 'Other'
+  };
 
-    // Colors
-    const primaryColor = '#1976d2';
-    const darkColor = '#333';
-    const grayColor = '#666';
-    const lightGray = '#e0e0e0';
+  // Spec abbreviation helper
+  const getSpecLabel = (part) => {
+    const mp = part._rollMeasurePoint || 'inside';
+    const isRad = !!part.radius && !part.diameter;
+    if (mp === 'inside') return isRad ? 'ISR' : 'ID';
+    if (mp === 'outside') return isRad ? 'OSR' : 'OD';
+    return isRad ? 'CLR' : 'CLD';
+  };
 
-    // ========== HEADER WITH LOGO ==========
-    const logoPath = [path.join(__dirname, '../assets/logo.png'), path.join(__dirname, '../assets/logo.jpg')].find(p => fs.existsSync(p)) || path.join(__dirname, '../assets/logo.png');
-    try {
-      if (fs.existsSync(logoPath)) {
-        doc.image(logoPath, 50, 22, { width: 65 });
-        console.log('[PDF] Logo loaded from:', logoPath);
-      } else {
-        console.log('[PDF] Logo file not found at:', logoPath);
-      }
-    } catch (e) {
-      console.error('[PDF] Logo error:', e.message);
+  // Roll direction label helper
+  const getRollDirLabel = (part) => {
+    if (!part.rollType) return '';
+    if (part.partType === 'tee_bar') {
+      return part.rollType === 'easy_way' ? 'SO' : part.rollType === 'on_edge' ? 'SU' : 'SI';
     }
+    return part.rollType === 'easy_way' ? 'EW' : part.rollType === 'on_edge' ? 'OE' : 'HW';
+  };
 
-    // Company name using custom Yellowcake font
-    let hasYellowcake = false;
-    try {
-      if (fs.existsSync(yellowcakePath)) {
-        hasYellowcake = true;
-      }
-    } catch (e) {}
-    if (hasYellowcake) {
-      doc.fontSize(15).fillColor(darkColor).font('Yellowcake').text('Carolina Rolling Co. Inc.', 130, 32, { lineBreak: false });
+  // Colors
+  const primaryColor = '#1976d2';
+  const darkColor = '#333';
+  const grayColor = '#666';
+  const lightGray = '#e0e0e0';
+
+  // ========== HEADER WITH LOGO ==========
+  const logoPath = [path.join(__dirname, '../assets/logo.png'), path.join(__dirname, '../assets/logo.jpg')].find(p => fs.existsSync(p)) || path.join(__dirname, '../assets/logo.png');
+  try {
+    if (fs.existsSync(logoPath)) {
+      doc.image(logoPath, 50, 22, { width: 65 });
+      console.log('[PDF] Logo loaded from:', logoPath);
     } else {
-      doc.fontSize(15).fillColor(darkColor).font('Helvetica-Bold').text('CAROLINA ROLLING CO. INC.', 130, 32, { lineBreak: false });
+      console.log('[PDF] Logo file not found at:', logoPath);
     }
-    doc.font('Helvetica').fontSize(10.5).fillColor(grayColor);
-    doc.text('9152 Sonrisa St., Bellflower, CA 90706', 130, 52, { lineBreak: false });
-    doc.text('Phone: (562) 633-1044  |  Email: keepitrolling@carolinarolling.com', 130, 63, { lineBreak: false });
-    
-    // ESTIMATE + number + date — top right corner
-    doc.fontSize(16).fillColor(primaryColor).font('Helvetica-Bold');
-    doc.text('ESTIMATE', 350, 32, { width: 212, align: 'right', lineBreak: false });
-    doc.font('Helvetica-Bold').fontSize(10).fillColor(darkColor);
-    doc.text(estimate.estimateNumber, 350, 52, { width: 212, align: 'right', lineBreak: false });
-    doc.font('Helvetica').fontSize(11).fillColor(grayColor);
-    doc.text(`Date: ${formatDate(estimate.createdAt)}`, 350, 65, { width: 212, align: 'right', lineBreak: false });
-    // Quotes are good for 30 days. If no explicit validUntil was set, derive it so every quote
-    // states an expiry — jobs often come back 6-12 months later at old prices otherwise.
-    const validityBasis = estimate.sentAt || estimate.createdAt;
-    const derivedValid = validityBasis ? new Date(new Date(validityBasis).getTime() + 30 * 86400000) : null;
-    const validUntilShown = estimate.validUntil || derivedValid;
-    if (validUntilShown) {
-      doc.text(`Valid Until: ${formatDate(validUntilShown)}`, 350, 76, { width: 212, align: 'right', lineBreak: false });
-    }
-
-    // Divider line
-    doc.strokeColor(lightGray).lineWidth(1).moveTo(50, 90).lineTo(562, 90).stroke();
-
-    // ========== CLIENT INFO ==========
-    let yPos = 102;
-    doc.fontSize(10).fillColor(primaryColor).font('Helvetica-Bold').text('PREPARED FOR:', 50, yPos, { lineBreak: false });
-    doc.font('Helvetica');
-    yPos += 16;
-    doc.fontSize(12).fillColor(darkColor).font('Helvetica-Bold').text(estimate.clientName, 50, yPos, { lineBreak: false });
-    doc.font('Helvetica');
-    yPos += 16;
-    if (estimate.contactName) {
-      doc.fontSize(10).fillColor(grayColor).text(`Attn: ${estimate.contactName}`, 50, yPos, { lineBreak: false });
-      yPos += 13;
-    }
-    if (estimate.contactEmail) { doc.text(estimate.contactEmail, 50, yPos, { lineBreak: false }); yPos += 13; }
-    if (estimate.contactPhone) { doc.text(estimate.contactPhone, 50, yPos, { lineBreak: false }); yPos += 13; }
+  } catch (e) {
+    console.error('[PDF] Logo error:', e.message);
+  }
 
-    // Tax Exempt Badge (right side)
-    if (estimate.taxExempt) {
-      doc.fontSize(10).fillColor('#c62828').font('Helvetica-Bold')
-        .text('TAX EXEMPT', 400, 102, { align: 'right', width: 112, lineBreak: false });
-      doc.font('Helvetica');
+  // Company name using custom Yellowcake font
+  let hasYellowcake = false;
+  try {
+    if (fs.existsSync(yellowcakePath)) {
+      hasYellowcake = true;
     }
+  } catch (e) {}
+  if (hasYellowcake) {
+    doc.fontSize(15).fillColor(darkColor).font('Yellowcake').text('Carolina Rolling Co. Inc.', 130, 32, { lineBreak: false });
+  } else {
+    doc.fontSize(15).fillColor(darkColor).font('Helvetica-Bold').text('CAROLINA ROLLING CO. INC.', 130, 32, { lineBreak: false });
+  }
+  doc.font('Helvetica').fontSize(10.5).fillColor(grayColor);
+  doc.text('9152 Sonrisa St., Bellflower, CA 90706', 130, 52, { lineBreak: false });
+  doc.text('Phone: (562) 633-1044  |  Email: keepitrolling@carolinarolling.com', 130, 63, { lineBreak: false });
+  
+  // ESTIMATE + number + date — top right corner
+  doc.fontSize(16).fillColor(primaryColor).font('Helvetica-Bold');
+  doc.text('ESTIMATE', 350, 32, { width: 212, align: 'right', lineBreak: false });
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(darkColor);
+  doc.text(numberWithRev, 350, 52, { width: 212, align: 'right', lineBreak: false });
+  doc.font('Helvetica').fontSize(11).fillColor(grayColor);
+  doc.text(`Date: ${formatDate(estimate.createdAt)}`, 350, 65, { width: 212, align: 'right', lineBreak: false });
+  // Quotes are good for 30 days. If no explicit validUntil was set, derive it so every quote
+  // states an expiry — jobs often come back 6-12 months later at old prices otherwise.
+  const validityBasis = estimate.sentAt || estimate.createdAt;
+  const derivedValid = validityBasis ? new Date(new Date(validityBasis).getTime() + 30 * 86400000) : null;
+  const validUntilShown = estimate.validUntil || derivedValid;
+  if (validUntilShown) {
+    doc.text(`Valid Until: ${formatDate(validUntilShown)}`, 350, 76, { width: 212, align: 'right', lineBreak: false });
+  }
 
-    // Project description
-    if (estimate.projectDescription) {
-      yPos += 8;
-      doc.fontSize(11).fillColor(grayColor).text('Project:', 50, yPos);
-      doc.fillColor(darkColor).text(estimate.projectDescription, 95, yPos, { width: 400 });
-      yPos += doc.heightOfString(estimate.projectDescription, { width: 400 }) + 5;
-    }
+  // Divider line
+  doc.strokeColor(lightGray).lineWidth(1).moveTo(50, 90).lineTo(562, 90).stroke();
+
+  // ========== CLIENT INFO ==========
+  let yPos = 102;
+  doc.fontSize(10).fillColor(primaryColor).font('Helvetica-Bold').text('PREPARED FOR:', 50, yPos, { lineBreak: false });
+  doc.font('Helvetica');
+  yPos += 16;
+  doc.fontSize(12).fillColor(darkColor).font('Helvetica-Bold').text(estimate.clientName, 50, yPos, { lineBreak: false });
+  doc.font('Helvetica');
+  yPos += 16;
+  if (estimate.contactName) {
+    doc.fontSize(10).fillColor(grayColor).text(`Attn: ${estimate.contactName}`, 50, yPos, { lineBreak: false });
+    yPos += 13;
+  }
+  if (estimate.contactEmail) { doc.text(estimate.contactEmail, 50, yPos, { lineBreak: false }); yPos += 13; }
+  if (estimate.contactPhone) { doc.text(estimate.contactPhone, 50, yPos, { lineBreak: false }); yPos += 13; }
 
-    // ========== PARTS TABLE ==========
-    yPos += 15;
-    doc.strokeColor(lightGray).lineWidth(1).moveTo(50, yPos).lineTo(562, yPos).stroke();
-    yPos += 10;
-
-    doc.fontSize(12).fillColor(primaryColor).text('SERVICES & MATERIALS', 50, yPos, { lineBreak: false });
-    yPos += 25;
-
-    // Table header
-    doc.fontSize(10).fillColor(grayColor);
-    doc.text('ITEM', 50, yPos, { lineBreak: false });
-    doc.text('DESCRIPTION', 85, yPos, { lineBreak: false });
-    doc.text('QTY', 400, yPos, { width: 30, align: 'center', lineBreak: false });
-    doc.text('UNIT', 440, yPos, { width: 50, align: 'right', lineBreak: false });
-    doc.text('AMOUNT', 500, yPos, { width: 62, align: 'right', lineBreak: false });
-    yPos += 12;
-    doc.strokeColor(lightGray).lineWidth(0.5).moveTo(50, yPos).lineTo(562, yPos).stroke();
+  // Tax Exempt Badge (right side)
+  if (estimate.taxExempt) {
+    doc.fontSize(10).fillColor('#c62828').font('Helvetica-Bold')
+      .text('TAX EXEMPT', 400, 102, { align: 'right', width: 112, lineBreak: false });
+    doc.font('Helvetica');
+  }
+
+  // Project description
+  if (estimate.projectDescription) {
     yPos += 8;
+    doc.fontSize(11).fillColor(grayColor).text('Project:', 50, yPos);
+    doc.fillColor(darkColor).text(estimate.projectDescription, 95, yPos, { width: 400 });
+    yPos += doc.heightOfString(estimate.projectDescription, { width: 400 }) + 5;
+  }
 
-    // Parts - group services under their parent part
-    const sortedAll = mergedParts.sort((a, b) => a.partNumber - b.partNumber);
-    const regularParts = sortedAll.filter(p => !['fab_service', 'shop_rate'].includes(p.partType) || !p._linkedPartId);
-    const servicePartsArr = sortedAll.filter(p => ['fab_service', 'shop_rate'].includes(p.partType) && p._linkedPartId);
-    const sortedParts = [];
-    const usedSvcIds = new Set();
-    regularParts.forEach(rp => {
-      sortedParts.push(rp);
-      servicePartsArr.forEach(sp => {
-        if (String(sp._linkedPartId) === String(rp.id) && !usedSvcIds.has(sp.id)) {
-          sortedParts.push(sp);
-          usedSvcIds.add(sp.id);
-        }
-      });
+  // ========== PARTS TABLE ==========
+  yPos += 15;
+  doc.strokeColor(lightGray).lineWidth(1).moveTo(50, yPos).lineTo(562, yPos).stroke();
+  yPos += 10;
+
+  doc.fontSize(12).fillColor(primaryColor).text('SERVICES & MATERIALS', 50, yPos, { lineBreak: false });
+  yPos += 25;
+
+  // Table header
+  doc.fontSize(10).fillColor(grayColor);
+  doc.text('ITEM', 50, yPos, { lineBreak: false });
+  doc.text('DESCRIPTION', 85, yPos, { lineBreak: false });
+  doc.text('QTY', 400, yPos, { width: 30, align: 'center', lineBreak: false });
+  doc.text('UNIT', 440, yPos, { width: 50, align: 'right', lineBreak: false });
+  doc.text('AMOUNT', 500, yPos, { width: 62, align: 'right', lineBreak: false });
+  yPos += 12;
+  doc.strokeColor(lightGray).lineWidth(0.5).moveTo(50, yPos).lineTo(562, yPos).stroke();
+  yPos += 8;
+
+  // Parts - group services under their parent part
+  const sortedAll = mergedParts.sort((a, b) => a.partNumber - b.partNumber);
+  const regularParts = sortedAll.filter(p => !['fab_service', 'shop_rate'].includes(p.partType) || !p._linkedPartId);
+  const servicePartsArr = sortedAll.filter(p => ['fab_service', 'shop_rate'].includes(p.partType) && p._linkedPartId);
+  const sortedParts = [];
+  const usedSvcIds = new Set();
+  regularParts.forEach(rp => {
+    sortedParts.push(rp);
+    servicePartsArr.forEach(sp => {
+      if (String(sp._linkedPartId) === String(rp.id) && !usedSvcIds.has(sp.id)) {
+        sortedParts.push(sp);
+        usedSvcIds.add(sp.id);
+      }
     });
-    servicePartsArr.forEach(sp => { if (!usedSvcIds.has(sp.id)) sortedParts.push(sp); });
-    const { display: dispNum } = computeDisplayNumbers(sortedParts);
+  });
+  servicePartsArr.forEach(sp => { if (!usedSvcIds.has(sp.id)) sortedParts.push(sp); });
+  const { display: dispNum } = computeDisplayNumbers(sortedParts);
 
-    for (const part of sortedParts) {
-      if (yPos > 680) { doc.addPage(); yPos = 50; }
-
-      let partLabel = PART_LABELS[part.partType] || part.partType;
-      if (part.partType === 'flat_bar' && (part.formData?._barShape === 'square' || part._barShape === 'square')) {
-        partLabel = 'Square Bar Roll';
-      }
-      const qty = parseInt(part.quantity) || 1;
-
-      // rush_service: calculate amounts from formData — not laborTotal
-      if (part.partType === 'rush_service') {
-        const rfd = (part.formData && typeof part.formData === 'object') ? part.formData : part;
-        const emergOpts = { 'Saturday': 600, 'Saturday Night': 800, 'Sunday': 600, 'Sunday Night': 800 };
-        let rushExpediteAmt = 0, rushEmergencyAmt = 0;
-        if (rfd._expediteEnabled) {
-          if (rfd._expediteType === 'custom_amt') {
-            rushExpediteAmt = parseFloat(rfd._expediteCustomAmt) || 0;
-          } else {
-            let pct = parseFloat(rfd._expediteType) || 0;
-            if (rfd._expediteType === 'custom_pct') pct = parseFloat(rfd._expediteCustomPct) || 0;
-            // Calculate base (pre-rush) subtotal from non-rush parts to avoid circular inflation
-            let baseSubtotal = 0;
-            for (const bp of sortedParts) {
-              if (bp.partType === 'rush_service') continue;
-              const bqty = parseInt(bp.quantity) || 1;
-              const bmat = (parseFloat(bp.materialTotal) || 0) * (1 + (parseFloat(bp.materialMarkupPercent) || 0) / 100);
-              const blab = parseFloat(bp._baseLaborTotal ?? bp.formData?._baseLaborTotal ?? bp.laborTotal) || 0;
-              baseSubtotal += (bmat + blab) * bqty;
-            }
-            rushExpediteAmt = baseSubtotal * (pct / 100);
-          }
-        }
-        if (rfd._emergencyEnabled) rushEmergencyAmt = emergOpts[rfd._emergencyDay] || 0;
-
-        const rushTotal = rushExpediteAmt + rushEmergencyAmt;
-        const rushLines = [];
-        if (rushExpediteAmt > 0) rushLines.push(`Expedite: ${formatCurrency(rushExpediteAmt)}`);
-        if (rushEmergencyAmt > 0) rushLines.push(`Emergency Off-Hours (${rfd._emergencyDay || ''}): ${formatCurrency(rushEmergencyAmt)}`);
-        const rushDesc = rushLines.join('\n');
-        const rushDescHeight = doc.fontSize(10).heightOfString(rushDesc || 'Rush Service', { width: 300 });
-        const rushRowHeight = Math.max(rushDescHeight, 12) + 8;
-        if (yPos + rushRowHeight > 700) { doc.addPage(); yPos = 50; }
-        doc.fontSize(11).fillColor(primaryColor).font('Helvetica-Bold').text(`#${dispNum[part.id] || part.partNumber}`, 50, yPos, { lineBreak: false });
-        doc.fontSize(10).fillColor(darkColor).font('Helvetica-Bold').text(PART_LABELS['rush_service'], 85, yPos, { lineBreak: false });
-        doc.font('Helvetica').fillColor(grayColor).text(rushDesc, 85, yPos + 11, { width: 300 });
-        doc.fillColor(darkColor).text('1', 400, yPos, { width: 30, align: 'center', lineBreak: false });
-        doc.text(formatCurrency(rushTotal), 440, yPos, { width: 50, align: 'right', lineBreak: false });
-        doc.font('Helvetica-Bold').text(formatCurrency(rushTotal), 500, yPos, { width: 62, align: 'right', lineBreak: false });
-        doc.font('Helvetica');
-        yPos += rushRowHeight + 4;
-        doc.strokeColor('#eee').lineWidth(0.5).moveTo(85, yPos).lineTo(562, yPos).stroke();
-        yPos += 6;
-        continue;
-      }
-
-      const matCost = parseFloat(part.materialTotal) || 0;
-      const matMarkup = parseFloat(part.materialMarkupPercent) || 0;
-      const matEachRaw = matCost * (1 + matMarkup / 100);
-      // Apply rounding
-      const rounding = part.formData?._materialRounding || part._materialRounding || 'none';
-      let matEach = matEachRaw;
-      if (rounding === 'dollar' && matEach > 0) matEach = Math.ceil(matEach);
-      if (rounding === 'five' && matEach > 0) matEach = Math.ceil(matEach / 5) * 5;
-
-      let unitPrice, lineTotal, labEach = 0;
-      const isFabOrService = ['fab_service', 'shop_rate'].includes(part.partType);
-      if (isFabOrService) {
-        // Fabrication / shop-rate lines: the stored partTotal is the authoritative, already-marked-up
-        // LOT price (it's what drives the estimate totals). Derive the per-unit from it directly.
-        // Do NOT reconstruct from outsideProcessing here — _baseLaborTotal already includes the OP
-        // cost, so adding opCost again double-counts (e.g. base 480 + op 576 = 1056 instead of 576).
-        lineTotal = parseFloat(part.partTotal) || 0;
-        unitPrice = qty > 0 ? lineTotal / qty : lineTotal;
-        labEach = unitPrice; // the per-unit service price, for the "Service:" description line
-      } else {
-        // For OP parts, laborTotal is only the profit portion — reconstruct full billed labor
-        // from outsideProcessing array so the PDF shows the correct client-facing price
-        const ops = part.outsideProcessing || part.formData?.outsideProcessing || [];
-        if (ops.length > 0) {
-          let opCostLot = 0, opProfitLot = 0;
-          ops.forEach(op => {
-            const cost = parseFloat(op.costPerPart) || 0;
-            const expedite = parseFloat(op.expediteCost) || 0;
-            const markup = parseFloat(op.markup) || 0;
-            opCostLot += (cost + expedite) * qty;
-            opProfitLot += cost * (markup / 100) * qty;
-          });
-          const opCostPerPart = qty > 0 ? opCostLot / qty : 0;
-          const opProfitPerPart = qty > 0 ? opProfitLot / qty : 0;
-          const baseLabEach = parseFloat(part._baseLaborTotal ?? part.formData?._baseLaborTotal) || 0;
-          const effectiveBase = baseLabEach; // rolling labor (0 for pure OP parts)
-          labEach = effectiveBase + opCostPerPart + opProfitPerPart;
-        } else {
-          labEach = parseFloat(part.laborTotal) || 0;
-        }
-        unitPrice = matEach + labEach;
-        lineTotal = unitPrice * qty;
-      }
-
-      // Build clean description lines
-      const descLines = [];
-
-      // Client part number
-      if (part.clientPartNumber) {
-        descLines.push(`Client Part#: ${part.clientPartNumber}`);
-      }
-
-      // Material description - for cones, always rebuild from fields to avoid stale/garbled data
-      if (part.partType === 'cone_roll') {
-        const fd = part.formData || {};
-        const thk = part.thickness || fd.thickness || '';
-        const ldType = coneSpecLabel(fd._coneLargeDiaType, fd._coneLargeDiaMeasure);
-        const sdType = coneSpecLabel(fd._coneSmallDiaType, fd._coneSmallDiaMeasure);
-        const ld = parseFloat(fd._coneLargeDia) || 0;
-        const sd = parseFloat(fd._coneSmallDia) || 0;
-        const vh = parseFloat(fd._coneHeight) || 0;
-        const grade = part.material || '';
-        const origin = fd._materialOrigin || '';
-        let coneLine = thk ? thk + ' ' : '';
-        coneLine += 'Cone - ';
-        if (ld && sd && vh) coneLine += ld.toFixed(1) + '" ' + ldType + ' x ' + sd.toFixed(1) + '" ' + sdType + ' x ' + vh.toFixed(1) + '" VH';
-        if (grade) coneLine += ' ' + grade;
-        if (origin) coneLine += ' ' + origin;
-        descLines.push(coneLine);
-
-        // If the cone is SPLIT, spell out exactly what the client receives — one line per rolled
-        // section, with its size and how many arc pieces. They need this to quote their welding.
-        const layers = Array.isArray(fd._coneLayers) ? fd._coneLayers : [];
-        if (layers.length > 1) {
-          const totalPieces = layers.reduce((s, L) => s + (parseInt(L.pieces) || 1), 0);
-          descLines.push(`Split into ${layers.length} rolled sections (${totalPieces} piece${totalPieces === 1 ? '' : 's'} per cone):`);
-          layers.forEach((L) => {
-            const pcs = parseInt(L.pieces) || 1;
-            const arc = pcs > 1 ? ` @ ${(360 / pcs).toFixed(0)}\u00b0 each` : ' (full wrap)';
-            descLines.push(
-              `  Section ${L.layer}: ${pcs} pc${pcs === 1 ? '' : 's'}${arc} - ` +
-              `${Number(L.bottomDia).toFixed(3)}" OD x ${Number(L.topDia).toFixed(3)}" OD x ${Number(L.height).toFixed(3)}" VH`
-            );
-          });
-        }
-      } else if (part.materialDescription) {
-        descLines.push(part.materialDescription);
-      } else {
-        // Build from individual fields
-        const specs = [];
-        if (part.material) specs.push(part.material);
-        if (part.sectionSize) {
-          const sizeDisplay = part.partType === 'pipe_roll' && part._schedule ? part.sectionSize.replace(' Pipe', ` Sch ${part._schedule} Pipe`) : part.sectionSize;
-          specs.push(sizeDisplay);
-        }
-        if (part.thickness) specs.push(part.thickness);
-        if (part.width) specs.push(`${part.width}" wide`);
-        if (part.length) specs.push(part.length.toString().includes("'") || part.length.toString().includes('"') ? part.length : `${part.length}" long`);
-        if (part.outerDiameter) specs.push(`${part.outerDiameter}" OD`);
-        if (part.wallThickness && part.wallThickness !== 'SOLID') specs.push(`${part.wallThickness}" wall`);
-        if (part.wallThickness === 'SOLID') specs.push('Solid Bar');
-        if (specs.length) descLines.push(specs.join(' x '));
-      }
-
-      // Rolling info
-      const rollVal = part.diameter || part.radius;
-      if (rollVal) {
-        const specLabel = getSpecLabel(part);
-        const dirLabel = getRollDirLabel(part);
-        let rollLine = `Roll: ${rollVal}" ${specLabel}`;
-        if (dirLabel) rollLine += ` (${dirLabel})`;
-        if (part.arcDegrees) rollLine += ` | Arc: ${part.arcDegrees} deg`;
-        descLines.push(rollLine);
-      }
-
-      // Complete rings note
-      if (part._completeRings && part._ringsNeeded) {
-        descLines.push(`${part._ringsNeeded} complete ring(s) required`);
-      }
-
-      // Pitch (helical) info — for pitched pipe/tube/etc. Shows angle, run/rise, and direction.
-      // Deliberately EXCLUDES the developed radius/diameter (internal-only info).
-      if (part._pitchEnabled) {
-        const pAngle = parseFloat(part._pitchAngle);
-        const pRun = parseFloat(part._pitchRun);
-        const pRise = parseFloat(part._pitchRise);
-        const pitchBits = [];
-        if (Number.isFinite(pAngle) && pAngle > 0) pitchBits.push(`${pAngle.toFixed(2)} deg`);
-        if (Number.isFinite(pRun) && Number.isFinite(pRise) && pRun > 0) {
-          pitchBits.push(`${pRise}" rise over ${pRun}" run`);
-        } else if (Number.isFinite(pRise) && pRise > 0) {
-          pitchBits.push(`${pRise}" rise`);
-        }
-        const pDir = part._pitchDirection === 'counterclockwise' ? 'Counterclockwise'
-          : part._pitchDirection === 'clockwise' ? 'Clockwise' : null;
-        if (pDir) pitchBits.push(pDir);
-        if (pitchBits.length) descLines.push(`Pitch: ${pitchBits.join(' | ')}`);
-      }
+  for (const part of sortedParts) {
+    if (yPos > 680) { doc.addPage(); yPos = 50; }
 
-      // Orientation option text
-      if ((part.partType === 'angle_roll' || part.partType === 'channel_roll') && part._orientationOption) {
-        const combo = part.rollType === 'easy_way' ? 'EW-OD' : 'HW-ID';
-        descLines.push(`Orientation: ${combo} Option ${part._orientationOption}`);
-      }
+    let partLabel = PART_LABELS[part.partType] || part.partType;
+    if (part.partType === 'flat_bar' && (part.formData?._barShape === 'square' || part._barShape === 'square')) {
+      partLabel = 'Square Bar Roll';
+    }
+    const qty = parseInt(part.quantity) || 1;
 
-      // Cone info: type + segments + layout file
-      if (part.partType === 'cone_roll') {
-        const cType = part._coneType || 'concentric';
-        if (cType === 'eccentric') {
-          descLines.push('Eccentric' + (part._coneEccentricAngle ? ' = ' + part._coneEccentricAngle + ' deg' : ''));
+    // rush_service: calculate amounts from formData — not laborTotal
+    if (part.partType === 'rush_service') {
+      const rfd = (part.formData && typeof part.formData === 'object') ? part.formData : part;
+      const emergOpts = { 'Saturday': 600, 'Saturday Night': 800, 'Sunday': 600, 'Sunday Night': 800 };
+      let rushExpediteAmt = 0, rushEmergencyAmt = 0;
+      if (rfd._expediteEnabled) {
+        if (rfd._expediteType === 'custom_amt') {
+          rushExpediteAmt = parseFloat(rfd._expediteCustomAmt) || 0;
         } else {
-          descLines.push('Concentric');
-        }
-        // Segment info only if segmented (>1 radial segments)
-        const rSegs = parseInt(part._coneRadialSegments) || 1;
-        if (rSegs > 1) {
-          const layerPrefix = (part._coneSegmentDetails && part._coneSegmentDetails.length > 1) ? part._coneSegmentDetails.length + ' layers x ' : '';
-          descLines.push(layerPrefix + rSegs + ' @ ' + (360 / rSegs).toFixed(0) + ' deg');
+          let pct = parseFloat(rfd._expediteType) || 0;
+          if (rfd._expediteType === 'custom_pct') pct = parseFloat(rfd._expediteCustomPct) || 0;
+          // Calculate base (pre-rush) subtotal from non-rush parts to avoid circular inflation
+          let baseSubtotal = 0;
+          for (const bp of sortedParts) {
+            if (bp.partType === 'rush_service') continue;
+            const bqty = parseInt(bp.quantity) || 1;
+            const bmat = (parseFloat(bp.materialTotal) || 0) * (1 + (parseFloat(bp.materialMarkupPercent) || 0) / 100);
+            const blab = parseFloat(bp._baseLaborTotal ?? bp.formData?._baseLaborTotal ?? bp.laborTotal) || 0;
+            baseSubtotal += (bmat + blab) * bqty;
+          }
+          rushExpediteAmt = baseSubtotal * (pct / 100);
         }
       }
+      if (rfd._emergencyEnabled) rushEmergencyAmt = emergOpts[rfd._emergencyDay] || 0;
+
+      const rushTotal = rushExpediteAmt + rushEmergencyAmt;
+      const rushLines = [];
+      if (rushExpediteAmt > 0) rushLines.push(`Expedite: ${formatCurrency(rushExpediteAmt)}`);
+      if (rushEmergencyAmt > 0) rushLines.push(`Emergency Off-Hours (${rfd._emergencyDay || ''}): ${formatCurrency(rushEmergencyAmt)}`);
+      const rushDesc = rushLines.join('\n');
+      const rushDescHeight = doc.fontSize(10).heightOfString(rushDesc || 'Rush Service', { width: 300 });
+      const rushRowHeight = Math.max(rushDescHeight, 12) + 8;
+      if (yPos + rushRowHeight > 700) { doc.addPage(); yPos = 50; }
+      doc.fontSize(11).fillColor(primaryColor).font('Helvetica-Bold').text(`#${dispNum[part.id] || part.partNumber}`, 50, yPos, { lineBreak: false });
+      doc.fontSize(10).fillColor(darkColor).font('Helvetica-Bold').text(PART_LABELS['rush_service'], 85, yPos, { lineBreak: false });
+      doc.font('Helvetica').fillColor(grayColor).text(rushDesc, 85, yPos + 11, { width: 300 });
+      doc.fillColor(darkColor).text('1', 400, yPos, { width: 30, align: 'center', lineBreak: false });
+      doc.text(formatCurrency(rushTotal), 440, yPos, { width: 50, align: 'right', lineBreak: false });
+      doc.font('Helvetica-Bold').text(formatCurrency(rushTotal), 500, yPos, { width: 62, align: 'right', lineBreak: false });
+      doc.font('Helvetica');
+      yPos += rushRowHeight + 4;
+      doc.strokeColor('#eee').lineWidth(0.5).moveTo(85, yPos).lineTo(562, yPos).stroke();
+      yPos += 6;
+      continue;
+    }
 
-      // Material source (skip for fab services and shop rate)
-      if (!['fab_service', 'shop_rate'].includes(part.partType)) {
-        if (part.materialSource === 'customer_supplied') {
-          descLines.push(`Material supplied by: ${estimate.clientName || 'Customer'}`);
-        } else if (part.materialSource === 'in_stock') {
-          descLines.push('Material supplied by: Carolina Rolling Company');
-        } else {
-          descLines.push('Material supplied by: Carolina Rolling Company');
-        }
+    const matCost = parseFloat(part.materialTotal) || 0;
+    const matMarkup = parseFloat(part.materialMarkupPercent) || 0;
+    const matEachRaw = matCost * (1 + matMarkup / 100);
+    // Apply rounding
+    const rounding = part.formData?._materialRounding || part._materialRounding || 'none';
+    let matEach = matEachRaw;
+    if (rounding === 'dollar' && matEach > 0) matEach = Math.ceil(matEach);
+    if (rounding === 'five' && matEach > 0) matEach = Math.ceil(matEach / 5) * 5;
+
+    let unitPrice, lineTotal, labEach = 0;
+    const isFabOrService = ['fab_service', 'shop_rate'].includes(part.partType);
+    if (isFabOrService) {
+      // Fabrication / shop-rate lines: the stored partTotal is the authoritative, already-marked-up
+      // LOT price (it's what drives the estimate totals). Derive the per-unit from it directly.
+      // Do NOT reconstruct from outsideProcessing here — _baseLaborTotal already includes the OP
+      // cost, so adding opCost again double-counts (e.g. base 480 + op 576 = 1056 instead of 576).
+      lineTotal = parseFloat(part.partTotal) || 0;
+      unitPrice = qty > 0 ? lineTotal / qty : lineTotal;
+      labEach = unitPrice; // the per-unit service price, for the "Service:" description line
+    } else {
+      // For OP parts, laborTotal is only the profit portion — reconstruct full billed labor
+      // from outsideProcessing array so the PDF shows the correct client-facing price
+      const ops = part.outsideProcessing || part.formData?.outsideProcessing || [];
+      if (ops.length > 0) {
+        let opCostLot = 0, opProfitLot = 0;
+        ops.forEach(op => {
+          const cost = parseFloat(op.costPerPart) || 0;
+          const expedite = parseFloat(op.expediteCost) || 0;
+          const markup = parseFloat(op.markup) || 0;
+          opCostLot += (cost + expedite) * qty;
+          opProfitLot += cost * (markup / 100) * qty;
+        });
+        const opCostPerPart = qty > 0 ? opCostLot / qty : 0;
+        const opProfitPerPart = qty > 0 ? opProfitLot / qty : 0;
+        const baseLabEach = parseFloat(part._baseLaborTotal ?? part.formData?._baseLaborTotal) || 0;
+        const effectiveBase = baseLabEach; // rolling labor (0 for pure OP parts)
+        labEach = effectiveBase + opCostPerPart + opProfitPerPart;
+      } else {
+        labEach = parseFloat(part.laborTotal) || 0;
       }
+      unitPrice = matEach + labEach;
+      lineTotal = unitPrice * qty;
+    }
 
-      // Layout filename (cone cut file reference)
-      if (part.partType === 'cone_roll' && part.cutFileReference) {
-        descLines.push(`Layout Filename: ${part.cutFileReference}`);
-      }
+    // Build clean description lines
+    const descLines = [];
 
-      // Material/Rolling pricing breakdown
-      if (matEach > 0) descLines.push(`Material: ${formatCurrency(matEach)}`);
-      if (labEach > 0) descLines.push(`${part.partType === 'fab_service' ? 'Service' : part.partType === 'shop_rate' ? 'Shop Rate' : (part.partType === 'flat_stock' ? 'Handling' : 'Rolling')}: ${formatCurrency(labEach)}`);
+    // Client part number
+    if (part.clientPartNumber) {
+      descLines.push(`Client Part#: ${part.clientPartNumber}`);
+    }
 
-      // Shop rate warning
-      if (part.partType === 'shop_rate') {
-        descLines.push('* Pricing based on estimated hours - actual cost may vary');
+    // Material description - for cones, always rebuild from fields to avoid stale/garbled data
+    if (part.partType === 'cone_roll') {
+      const fd = part.formData || {};
+      const thk = part.thickness || fd.thickness || '';
+      const ldType = coneSpecLabel(fd._coneLargeDiaType, fd._coneLargeDiaMeasure);
+      const sdType = coneSpecLabel(fd._coneSmallDiaType, fd._coneSmallDiaMeasure);
+      const ld = parseFloat(fd._coneLargeDia) || 0;
+      const sd = parseFloat(fd._coneSmallDia) || 0;
+      const vh = parseFloat(fd._coneHeight) || 0;
+      const grade = part.material || '';
+      const origin = fd._materialOrigin || '';
+      let coneLine = thk ? thk + ' ' : '';
+      coneLine += 'Cone - ';
+      if (ld && sd && vh) coneLine += ld.toFixed(1) + '" ' + ldType + ' x ' + sd.toFixed(1) + '" ' + sdType + ' x ' + vh.toFixed(1) + '" VH';
+      if (grade) coneLine += ' ' + grade;
+      if (origin) coneLine += ' ' + origin;
+      descLines.push(coneLine);
+
+      // If the cone is SPLIT, spell out exactly what the client receives — one line per rolled
+      // section, with its size and how many arc pieces. They need this to quote their welding.
+      const layers = Array.isArray(fd._coneLayers) ? fd._coneLayers : [];
+      if (layers.length > 1) {
+        const totalPieces = layers.reduce((s, L) => s + (parseInt(L.pieces) || 1), 0);
+        descLines.push(`Split into ${layers.length} rolled sections (${totalPieces} piece${totalPieces === 1 ? '' : 's'} per cone):`);
+        layers.forEach((L) => {
+          const pcs = parseInt(L.pieces) || 1;
+          const arc = pcs > 1 ? ` @ ${(360 / pcs).toFixed(0)}\u00b0 each` : ' (full wrap)';
+          descLines.push(
+            `  Section ${L.layer}: ${pcs} pc${pcs === 1 ? '' : 's'}${arc} - ` +
+            `${Number(L.bottomDia).toFixed(3)}" OD x ${Number(L.topDia).toFixed(3)}" OD x ${Number(L.height).toFixed(3)}" VH`
+          );
+        });
       }
-
-      // Special instructions — full text (wraps; row height grows to fit)
-      if (part.specialInstructions) {
-        descLines.push(`Note: ${part.specialInstructions}`);
+    } else if (part.materialDescription) {
+      descLines.push(part.materialDescription);
+    } else {
+      // Build from individual fields
+      const specs = [];
+      if (part.material) specs.push(part.material);
+      if (part.sectionSize) {
+        const sizeDisplay = part.partType === 'pipe_roll' && part._schedule ? part.sectionSize.replace(' Pipe', ` Sch ${part._schedule} Pipe`) : part.sectionSize;
+        specs.push(sizeDisplay);
       }
+      if (part.thickness) specs.push(part.thickness);
+      if (part.width) specs.push(`${part.width}" wide`);
+      if (part.length) specs.push(part.length.toString().includes("'") || part.length.toString().includes('"') ? part.length : `${part.length}" long`);
+      if (part.outerDiameter) specs.push(`${part.outerDiameter}" OD`);
+      if (part.wallThickness && part.wallThickness !== 'SOLID') specs.push(`${part.wallThickness}" wall`);
+      if (part.wallThickness === 'SOLID') specs.push('Solid Bar');
+      if (specs.length) descLines.push(specs.join(' x '));
+    }
 
-      const description = descLines.join('\n');
-      const isLinkedSvc = ['fab_service', 'shop_rate'].includes(part.partType) && part._linkedPartId;
-      const linkedParentPart = isLinkedSvc ? sortedParts.find(p => String(p.id) === String(part._linkedPartId)) : null;
-      const xOffset = isLinkedSvc ? 20 : 0;
-      const partDisp = dispNum[part.id] || String(part.partNumber);
-
-      const descHeight = doc.fontSize(10).heightOfString(description, { width: 300 - xOffset });
-      const rowHeight = Math.max(descHeight, 12) + 8;
+    // Rolling info
+    const rollVal = part.diameter || part.radius;
+    if (rollVal) {
+      const specLabel = getSpecLabel(part);
+      const dirLabel = getRollDirLabel(part);
+      let rollLine = `Roll: ${rollVal}" ${specLabel}`;
+      if (dirLabel) rollLine += ` (${dirLabel})`;
+      if (part.arcDegrees) rollLine += ` | Arc: ${part.arcDegrees} deg`;
+      descLines.push(rollLine);
+    }
 
-      // Check page break with full row height
-      if (yPos + rowHeight > 700) { doc.addPage(); yPos = 50; }
+    // Complete rings note
+    if (part._completeRings && part._ringsNeeded) {
+      descLines.push(`${part._ringsNeeded} complete ring(s) required`);
+    }
 
-      // Service background tint
-      if (isLinkedSvc) {
-        doc.save().rect(50 + xOffset, yPos - 2, 512 - xOffset, rowHeight + 4).fill('#e0e0e0').restore();
+    // Pitch (helical) info — for pitched pipe/tube/etc. Shows angle, run/rise, and direction.
+    // Deliberately EXCLUDES the developed radius/diameter (internal-only info).
+    if (part._pitchEnabled) {
+      const pAngle = parseFloat(part._pitchAngle);
+      const pRun = parseFloat(part._pitchRun);
+      const pRise = parseFloat(part._pitchRise);
+      const pitchBits = [];
+      if (Number.isFinite(pAngle) && pAngle > 0) pitchBits.push(`${pAngle.toFixed(2)} deg`);
+      if (Number.isFinite(pRun) && Number.isFinite(pRise) && pRun > 0) {
+        pitchBits.push(`${pRise}" rise over ${pRun}" run`);
+      } else if (Number.isFinite(pRise) && pRise > 0) {
+        pitchBits.push(`${pRise}" rise`);
       }
+      const pDir = part._pitchDirection === 'counterclockwise' ? 'Counterclockwise'
+        : part._pitchDirection === 'clockwise' ? 'Clockwise' : null;
+      if (pDir) pitchBits.push(pDir);
+      if (pitchBits.length) descLines.push(`Pitch: ${pitchBits.join(' | ')}`);
+    }
 
-      // Part number (services show their sub-number, e.g. 1.1)
-      doc.fontSize(11).fillColor(isLinkedSvc ? '#444' : primaryColor).font('Helvetica-Bold');
-      doc.text(isLinkedSvc ? partDisp : `#${partDisp}`, 50 + xOffset, yPos, { lineBreak: false });
-
-      // Part type + description  
-      doc.fontSize(10).fillColor(isLinkedSvc ? '#444' : darkColor).font('Helvetica-Bold');
-      doc.text(partLabel + (isLinkedSvc && linkedParentPart ? ` (for Part #${dispNum[linkedParentPart.id] || linkedParentPart.partNumber})` : ''), 85 + xOffset, yPos, { lineBreak: false });
-      doc.font('Helvetica').fillColor(grayColor);
-      doc.text(description, 85 + xOffset, yPos + 11, { width: 300 - xOffset });
-      
-      // Quantity
-      doc.fillColor(darkColor).text(qty.toString(), 400, yPos, { width: 30, align: 'center', lineBreak: false });
-      
-      // Unit price
-      doc.text(formatCurrency(unitPrice), 440, yPos, { width: 50, align: 'right', lineBreak: false });
-
-      // Line total
-      doc.font('Helvetica-Bold').text(formatCurrency(lineTotal), 500, yPos, { width: 62, align: 'right', lineBreak: false });
-      doc.font('Helvetica');
-
-      yPos += rowHeight + 4;
+    // Orientation option text
+    if ((part.partType === 'angle_roll' || part.partType === 'channel_roll') && part._orientationOption) {
+      const combo = part.rollType === 'easy_way' ? 'EW-OD' : 'HW-ID';
+      descLines.push(`Orientation: ${combo} Option ${part._orientationOption}`);
+    }
 
-      // Orientation diagram image for angle/channel rolls
-      if ((part.partType === 'angle_roll' || part.partType === 'channel_roll') && part._orientationOption) {
-        const imgPrefix = part.partType === 'channel_roll' ? 'Channel' : '';
-        const imgFile = part.rollType === 'easy_way' 
-          ? `${imgPrefix}EWODOp${part._orientationOption}.png` 
-          : `${imgPrefix}HWIDOp${part._orientationOption}.png`;
-        const imgPath = path.join(__dirname, '..', 'assets', 'angle-orientation', imgFile);
-        try {
-          if (fs.existsSync(imgPath)) {
-            if (yPos + 90 > 700) { doc.addPage(); yPos = 50; }
-            doc.image(imgPath, 85, yPos, { width: 160 });
-            doc.fontSize(10.5).fillColor(grayColor).text(
-              `${part.rollType === 'easy_way' ? 'EW-OD' : 'HW-ID'} Option ${part._orientationOption}`,
-              85, yPos + 72, { width: 160, align: 'center' }
-            );
-            yPos += 88;
-          }
-        } catch (e) { /* image not found, skip */ }
+    // Cone info: type + segments + layout file
+    if (part.partType === 'cone_roll') {
+      const cType = part._coneType || 'concentric';
+      if (cType === 'eccentric') {
+        descLines.push('Eccentric' + (part._coneEccentricAngle ? ' = ' + part._coneEccentricAngle + ' deg' : ''));
+      } else {
+        descLines.push('Concentric');
+      }
+      // Segment info only if segmented (>1 radial segments)
+      const rSegs = parseInt(part._coneRadialSegments) || 1;
+      if (rSegs > 1) {
+        const layerPrefix = (part._coneSegmentDetails && part._coneSegmentDetails.length > 1) ? part._coneSegmentDetails.length + ' layers x ' : '';
+        descLines.push(layerPrefix + rSegs + ' @ ' + (360 / rSegs).toFixed(0) + ' deg');
       }
-      
-      // Light divider
-      doc.strokeColor('#eee').lineWidth(0.5).moveTo(85, yPos).lineTo(562, yPos).stroke();
-      yPos += 6;
     }
 
-    // ========== TRUCKING ==========
-    if (parseFloat(estimate.truckingCost) > 0 || estimate.truckingDescription) {
-      if (yPos > 680) { doc.addPage(); yPos = 50; }
-      
-      doc.fontSize(11).fillColor(darkColor).font('Helvetica-Bold').text('Trucking / Delivery', 85, yPos, { lineBreak: false });
-      doc.font('Helvetica');
-      if (estimate.truckingDescription) {
-        doc.fontSize(10).fillColor(grayColor).text(estimate.truckingDescription, 85, yPos + 11, { width: 300 });
+    // Material source (skip for fab services and shop rate)
+    if (!['fab_service', 'shop_rate'].includes(part.partType)) {
+      if (part.materialSource === 'customer_supplied') {
+        descLines.push(`Material supplied by: ${estimate.clientName || 'Customer'}`);
+      } else if (part.materialSource === 'in_stock') {
+        descLines.push('Material supplied by: Carolina Rolling Company');
+      } else {
+        descLines.push('Material supplied by: Carolina Rolling Company');
       }
-      doc.fontSize(10).fillColor(darkColor).font('Helvetica-Bold')
-        .text(formatCurrency(estimate.truckingCost), 500, yPos, { width: 62, align: 'right', lineBreak: false });
-      doc.font('Helvetica');
-      yPos += 30;
     }
 
-    // ========== TOTALS ==========
-    if (yPos > 620) { doc.addPage(); yPos = 50; }
+    // Layout filename (cone cut file reference)
+    if (part.partType === 'cone_roll' && part.cutFileReference) {
+      descLines.push(`Layout Filename: ${part.cutFileReference}`);
+    }
 
-    yPos += 10;
-    doc.strokeColor(lightGray).lineWidth(1).moveTo(350, yPos).lineTo(562, yPos).stroke();
-    yPos += 15;
+    // Material/Rolling pricing breakdown
+    if (matEach > 0) descLines.push(`Material: ${formatCurrency(matEach)}`);
+    if (labEach > 0) descLines.push(`${part.partType === 'fab_service' ? 'Service' : part.partType === 'shop_rate' ? 'Shop Rate' : (part.partType === 'flat_stock' ? 'Handling' : 'Rolling')}: ${formatCurrency(labEach)}`);
 
-    // Minimum charge adjustment (the difference between minimum and actual labor)
-    if (pdfMinInfo.minimumApplies && pdfMinInfo.laborDifference > 0) {
-      doc.fontSize(10).fillColor('#e65100').text(
-        `Minimum Labor Charge (${pdfMinInfo.highestMinRule?.label || ''})`,
-        350, yPos, { lineBreak: false }
-      );
-      doc.text(`+${formatCurrency(pdfMinInfo.laborDifference)}`, 480, yPos, { align: 'right', width: 82, lineBreak: false });
-      doc.fillColor(darkColor);
-      yPos += 16;
+    // Shop rate warning
+    if (part.partType === 'shop_rate') {
+      descLines.push('* Pricing based on estimated hours - actual cost may vary');
     }
 
-    // Recalculate displayed subtotal from rendered line items to ensure it matches
-    let displaySubtotal = 0;
-    for (const part of sortedParts) {
-      const qty = parseInt(part.quantity) || 1;
-      if (part.partType === 'rush_service') {
-        // Use stored partTotal if available, else partsSubtotal approach
-        displaySubtotal += parseFloat(part.partTotal) || 0;
-      } else if (['fab_service', 'shop_rate'].includes(part.partType)) {
-        displaySubtotal += parseFloat(part.partTotal) || 0;
-      } else {
-        const mat = (parseFloat(part.materialTotal) || 0) * (1 + (parseFloat(part.materialMarkupPercent) || 0) / 100);
-        const lab = parseFloat(part._baseLaborTotal ?? part.formData?._baseLaborTotal ?? part.laborTotal) || 0;
-        const ops = part.outsideProcessing || part.formData?.outsideProcessing || [];
-        let opCost = 0;
-        ops.forEach(op => { opCost += ((parseFloat(op.costPerPart) || 0) + (parseFloat(op.expediteCost) || 0)) * qty; });
-        displaySubtotal += (mat + lab) * qty + opCost;
-      }
+    // Special instructions — full text (wraps; row height grows to fit)
+    if (part.specialInstructions) {
+      descLines.push(`Note: ${part.specialInstructions}`);
     }
-    // Use recalculated value; fall back to stored if calculation gives 0
-    const subtotalDisplay = displaySubtotal > 0 ? displaySubtotal : (parseFloat(estimate.partsSubtotal) || 0);
 
-    // Subtotal
-    doc.fontSize(10).fillColor(grayColor).text('Subtotal:', 350, yPos, { lineBreak: false });
-    doc.fillColor(darkColor).text(formatCurrency(subtotalDisplay), 480, yPos, { align: 'right', width: 82, lineBreak: false });
-    yPos += 18;
+    const description = descLines.join('\n');
+    const isLinkedSvc = ['fab_service', 'shop_rate'].includes(part.partType) && part._linkedPartId;
+    const linkedParentPart = isLinkedSvc ? sortedParts.find(p => String(p.id) === String(part._linkedPartId)) : null;
+    const xOffset = isLinkedSvc ? 20 : 0;
+    const partDisp = dispNum[part.id] || String(part.partNumber);
 
-    // Discount
-    const discPct = parseFloat(estimate.discountPercent) || 0;
-    const discAmt = parseFloat(estimate.discountAmount) || 0;
-    if (discPct > 0 || discAmt > 0) {
-      const discountDisplay = discPct > 0 
-        ? `Discount (${discPct}%):` 
-        : 'Discount:';
-      const discountValue = discPct > 0
-        ? (parseFloat(estimate.partsSubtotal) || 0) * discPct / 100
-        : discAmt;
-      doc.fillColor('#c62828').text(discountDisplay, 350, yPos, { lineBreak: false });
-      doc.text(`-${formatCurrency(discountValue)}`, 480, yPos, { align: 'right', width: 82, lineBreak: false });
-      doc.fillColor(darkColor);
-      yPos += 18;
-    }
-
-    // Trucking
-    if (parseFloat(estimate.truckingCost) > 0) {
-      doc.fillColor(grayColor).text('Trucking:', 350, yPos, { lineBreak: false });
-      doc.fillColor(darkColor).text(formatCurrency(estimate.truckingCost), 480, yPos, { align: 'right', width: 82, lineBreak: false });
-      yPos += 18;
-    }
-
-    // Tax
-    if (estimate.taxExempt) {
-      doc.fillColor(grayColor).text('Tax:', 350, yPos, { lineBreak: false });
-      doc.fillColor('#c62828').text('EXEMPT', 480, yPos, { align: 'right', width: 82, lineBreak: false });
-      yPos += 18;
-    } else if (parseFloat(estimate.taxAmount) > 0) {
-      doc.fillColor(grayColor).text(`Tax (${estimate.taxRate}%):`, 350, yPos, { lineBreak: false });
-      doc.fillColor(darkColor).text(formatCurrency(estimate.taxAmount), 480, yPos, { align: 'right', width: 82, lineBreak: false });
-      yPos += 18;
-    }
-
-    // Grand Total
-    doc.strokeColor(lightGray).lineWidth(1).moveTo(350, yPos).lineTo(562, yPos).stroke();
-    yPos += 10;
-    doc.fontSize(14).fillColor(primaryColor).font('Helvetica-Bold').text('TOTAL:', 350, yPos, { lineBreak: false });
-    doc.text(formatCurrency(estimate.grandTotal), 480, yPos, { align: 'right', width: 82, lineBreak: false });
-    doc.font('Helvetica');
-    yPos += 30;
+    const descHeight = doc.fontSize(10).heightOfString(description, { width: 300 - xOffset });
+    const rowHeight = Math.max(descHeight, 12) + 8;
 
-    // ========== CREDIT CARD SECTION ==========
-    if (yPos > 680) { doc.addPage(); yPos = 50; }
+    // Check page break with full row height
+    if (yPos + rowHeight > 700) { doc.addPage(); yPos = 50; }
 
-    doc.strokeColor(lightGray).lineWidth(0.5).moveTo(50, yPos).lineTo(562, yPos).stroke();
-    yPos += 15;
+    // Service background tint
+    if (isLinkedSvc) {
+      doc.save().rect(50 + xOffset, yPos - 2, 512 - xOffset, rowHeight + 4).fill('#e0e0e0').restore();
+    }
 
-    const grandTotal = parseFloat(estimate.grandTotal) || 0;
-    const ccInPersonFee = (grandTotal * 2.6 / 100) + 0.15;
-    const ccInPersonTotal = grandTotal + ccInPersonFee;
-    const ccManualFee = (grandTotal * 3.5 / 100) + 0.15;
-    const ccManualTotal = grandTotal + ccManualFee;
+    // Part number (services show their sub-number, e.g. 1.1)
+    doc.fontSize(11).fillColor(isLinkedSvc ? '#444' : primaryColor).font('Helvetica-Bold');
+    doc.text(isLinkedSvc ? partDisp : `#${partDisp}`, 50 + xOffset, yPos, { lineBreak: false });
 
-    doc.fontSize(11).font('Helvetica-Bold').fillColor(darkColor);
-    doc.text('Total with Credit Card Fees', 50, yPos, { align: 'right', width: 512, lineBreak: false });
-    doc.font('Helvetica');
-    yPos += 14;
+    // Part type + description  
+    doc.fontSize(10).fillColor(isLinkedSvc ? '#444' : darkColor).font('Helvetica-Bold');
+    doc.text(partLabel + (isLinkedSvc && linkedParentPart ? ` (for Part #${dispNum[linkedParentPart.id] || linkedParentPart.partNumber})` : ''), 85 + xOffset, yPos, { lineBreak: false });
+    doc.font('Helvetica').fillColor(grayColor);
+    doc.text(description, 85 + xOffset, yPos + 11, { width: 300 - xOffset });
     
-    doc.fontSize(11).fillColor(darkColor);
-    doc.text(`In-Person (2.6% + $0.15): ${formatCurrency(ccInPersonTotal)}`, 50, yPos, { align: 'right', width: 512, lineBreak: false });
-    yPos += 13;
-    doc.text(`Manual (3.5% + $0.15): ${formatCurrency(ccManualTotal)}`, 50, yPos, { align: 'right', width: 512, lineBreak: false });
-    yPos += 25;
+    // Quantity
+    doc.fillColor(darkColor).text(qty.toString(), 400, yPos, { width: 30, align: 'center', lineBreak: false });
+    
+    // Unit price
+    doc.text(formatCurrency(unitPrice), 440, yPos, { width: 50, align: 'right', lineBreak: false });
 
-    // ========== DUAL PRICING (Option A / Option B) ==========
-    if (estimate.showDualPricing) {
-      if (yPos > 640) { doc.addPage(); yPos = 50; }
-      
-      // Calculate labor-only total
-      let laborOnlySubtotal = 0;
-      for (const part of sortedParts) {
-        if (['fab_service', 'shop_rate', 'rush_service'].includes(part.partType)) {
-          laborOnlySubtotal += parseFloat(part.partTotal) || 0;
-        } else {
-          const qty = parseInt(part.quantity) || 1;
-          const labEach = parseFloat(part.laborTotal) || 0;
-          const opCost = parseFloat(part.outsideProcessingCost) || 0;
-          const opMarkup = parseFloat(part.outsideProcessingMarkupPercent) || 0;
-          const opEach = Math.round(opCost * (1 + opMarkup / 100) * 100) / 100;
-          const opTransport = parseFloat(part.outsideProcessingTransportCost) || 0;
-          const opTransportMarkup = parseFloat(part.outsideProcessingTransportMarkupPercent) || 0;
-          const opTransportEach = Math.round(opTransport * (1 + opTransportMarkup / 100) * 100) / 100;
-          laborOnlySubtotal += (labEach + opEach + opTransportEach) * qty;
+    // Line total
+    doc.font('Helvetica-Bold').text(formatCurrency(lineTotal), 500, yPos, { width: 62, align: 'right', lineBreak: false });
+    doc.font('Helvetica');
+
+    yPos += rowHeight + 4;
+
+    // Orientation diagram image for angle/channel rolls
+    if ((part.partType === 'angle_roll' || part.partType === 'channel_roll') && part._orientationOption) {
+      const imgPrefix = part.partType === 'channel_roll' ? 'Channel' : '';
+      const imgFile = part.rollType === 'easy_way' 
+        ? `${imgPrefix}EWODOp${part._orientationOption}.png` 
+        : `${imgPrefix}HWIDOp${part._orientationOption}.png`;
+      const imgPath = path.join(__dirname, '..', 'assets', 'angle-orientation', imgFile);
+      try {
+        if (fs.existsSync(imgPath)) {
+          if (yPos + 90 > 700) { doc.addPage(); yPos = 50; }
+          doc.image(imgPath, 85, yPos, { width: 160 });
+          doc.fontSize(10.5).fillColor(grayColor).text(
+            `${part.rollType === 'easy_way' ? 'EW-OD' : 'HW-ID'} Option ${part._orientationOption}`,
+            85, yPos + 72, { width: 160, align: 'center' }
+          );
+          yPos += 88;
         }
-      }
-      const discPct = parseFloat(estimate.discountPercent) || 0;
-      const discAmt = parseFloat(estimate.discountAmount) || 0;
-      const laborDiscount = discPct > 0 ? laborOnlySubtotal * (discPct / 100) : discAmt;
-      const laborAfterDiscount = laborOnlySubtotal - laborDiscount;
-      const laborTax = estimate.taxExempt ? 0 : laborAfterDiscount * (parseFloat(estimate.taxRate) / 100);
-      const laborOnlyTotal = laborAfterDiscount + laborTax + (parseFloat(estimate.truckingCost) || 0);
-
-      doc.strokeColor('#1565c0').lineWidth(1.5).moveTo(50, yPos).lineTo(562, yPos).stroke();
-      yPos += 12;
-
-      // Option A
-      doc.rect(50, yPos, 245, 50).fillAndStroke('#e3f2fd', '#90caf9');
-      doc.fillColor('#1565c0').fontSize(11).font('Helvetica-Bold').text('Option A — With Material', 60, yPos + 6);
-      doc.fillColor('#666').fontSize(9.5).font('Helvetica').text('We supply all material', 60, yPos + 18);
-      doc.fillColor('#1565c0').fontSize(14).font('Helvetica-Bold').text(formatCurrency(grandTotal), 60, yPos + 30, { width: 225 });
-
-      // Option B
-      doc.rect(310, yPos, 252, 50).fillAndStroke('#fff8e1', '#ffcc80');
-      doc.fillColor('#e65100').fontSize(11).font('Helvetica-Bold').text('Option B — Labor Only', 320, yPos + 6);
-      doc.fillColor('#666').fontSize(9.5).font('Helvetica').text('Customer supplies material', 320, yPos + 18);
-      doc.fillColor('#e65100').fontSize(14).font('Helvetica-Bold').text(formatCurrency(laborOnlyTotal), 320, yPos + 30, { width: 232 });
-      
-      doc.font('Helvetica');
-      yPos += 65;
+      } catch (e) { /* image not found, skip */ }
     }
+    
+    // Light divider
+    doc.strokeColor('#eee').lineWidth(0.5).moveTo(85, yPos).lineTo(562, yPos).stroke();
+    yPos += 6;
+  }
 
-    // ========== NOTES ==========
-    if (estimate.notes) {
-      if (yPos > 680) { doc.addPage(); yPos = 50; }
-      
-      doc.strokeColor(lightGray).lineWidth(0.5).moveTo(50, yPos).lineTo(562, yPos).stroke();
-      yPos += 15;
-      
-      doc.fontSize(10).fillColor(primaryColor).text('NOTES:', 50, yPos, { lineBreak: false });
-      yPos += 15;
-      doc.fontSize(11).fillColor(grayColor).text(estimate.notes, 50, yPos, { width: 500 });
-    }
-
-    // ========== FOOTER ==========
-    const pageCount = doc.bufferedPageRange().count;
-    for (let i = 0; i < pageCount; i++) {
-      doc.switchToPage(i);
-      // Temporarily remove bottom margin so writing near page bottom doesn't auto-create pages
-      const savedBottomMargin = doc.page.margins.bottom;
-      doc.page.margins.bottom = 0;
-      // Divider above the footer
-      doc.strokeColor('#e0e0e0').lineWidth(0.5).moveTo(50, 742).lineTo(562, 742).stroke();
-      // Company line (small, gray) then the estimate # / page line below it — spaced so the two
-      // lines don't overlap (each ~9pt line needs ~10pt of vertical room).
-      doc.font('Helvetica').fontSize(8).fillColor('#999');
-      doc.text(
-        'Carolina Rolling Co. Inc.  |  9152 Sonrisa St., Bellflower, CA 90706  |  (562) 633-1044  |  keepitrolling@carolinarolling.com',
-        50, 750, { align: 'center', width: 512, lineBreak: false }
-      );
-      doc.fontSize(7.5).fillColor('#aaa');
-      doc.text(
-        `${estimate.estimateNumber}  |  Page ${i + 1} of ${pageCount}`,
-        50, 762, { align: 'center', width: 512, lineBreak: false }
-      );
-      doc.page.margins.bottom = savedBottomMargin;
+  // ========== TRUCKING ==========
+  if (parseFloat(estimate.truckingCost) > 0 || estimate.truckingDescription) {
+    if (yPos > 680) { doc.addPage(); yPos = 50; }
+    
+    doc.fontSize(11).fillColor(darkColor).font('Helvetica-Bold').text('Trucking / Delivery', 85, yPos, { lineBreak: false });
+    doc.font('Helvetica');
+    if (estimate.truckingDescription) {
+      doc.fontSize(10).fillColor(grayColor).text(estimate.truckingDescription, 85, yPos + 11, { width: 300 });
     }
+    doc.fontSize(10).fillColor(darkColor).font('Helvetica-Bold')
+      .text(formatCurrency(estimate.truckingCost), 500, yPos, { width: 62, align: 'right', lineBreak: false });
+    doc.font('Helvetica');
+    yPos += 30;
+  }
 
-    doc.end();
+  // ========== TOTALS ==========
+  if (yPos > 620) { doc.addPage(); yPos = 50; }
 
-  } catch (error) {
-    console.error('PDF generation error:', error);
-    if (!res.headersSent) {
-      next(error);
+  yPos += 10;
+  doc.strokeColor(lightGray).lineWidth(1).moveTo(350, yPos).lineTo(562, yPos).stroke();
+  yPos += 15;
+
+  // Minimum charge adjustment (the difference between minimum and actual labor)
+  if (pdfMinInfo.minimumApplies && pdfMinInfo.laborDifference > 0) {
+    doc.fontSize(10).fillColor('#e65100').text(
+      `Minimum Labor Charge (${pdfMinInfo.highestMinRule?.label || ''})`,
+      350, yPos, { lineBreak: false }
+    );
+    doc.text(`+${formatCurrency(pdfMinInfo.laborDifference)}`, 480, yPos, { align: 'right', width: 82, lineBreak: false });
+    doc.fillColor(darkColor);
+    yPos += 16;
+  }
+
+  // Recalculate displayed subtotal from rendered line items to ensure it matches
+  let displaySubtotal = 0;
+  for (const part of sortedParts) {
+    const qty = parseInt(part.quantity) || 1;
+    if (part.partType === 'rush_service') {
+      // Use stored partTotal if available, else partsSubtotal approach
+      displaySubtotal += parseFloat(part.partTotal) || 0;
+    } else if (['fab_service', 'shop_rate'].includes(part.partType)) {
+      displaySubtotal += parseFloat(part.partTotal) || 0;
     } else {
-      res.end();
+      const mat = (parseFloat(part.materialTotal) || 0) * (1 + (parseFloat(part.materialMarkupPercent) || 0) / 100);
+      const lab = parseFloat(part._baseLaborTotal ?? part.formData?._baseLaborTotal ?? part.laborTotal) || 0;
+      const ops = part.outsideProcessing || part.formData?.outsideProcessing || [];
+      let opCost = 0;
+      ops.forEach(op => { opCost += ((parseFloat(op.costPerPart) || 0) + (parseFloat(op.expediteCost) || 0)) * qty; });
+      displaySubtotal += (mat + lab) * qty + opCost;
     }
   }
-});
+  // Use recalculated value; fall back to stored if calculation gives 0
+  const subtotalDisplay = displaySubtotal > 0 ? displaySubtotal : (parseFloat(estimate.partsSubtotal) || 0);
+
+  // Subtotal
+  doc.fontSize(10).fillColor(grayColor).text('Subtotal:', 350, yPos, { lineBreak: false });
+  doc.fillColor(darkColor).text(formatCurrency(subtotalDisplay), 480, yPos, { align: 'right', width: 82, lineBreak: false });
+  yPos += 18;
+
+  // Discount
+  const discPct = parseFloat(estimate.discountPercent) || 0;
+  const discAmt = parseFloat(estimate.discountAmount) || 0;
+  if (discPct > 0 || discAmt > 0) {
+    const discountDisplay = discPct > 0 
+      ? `Discount (${discPct}%):` 
+      : 'Discount:';
+    const discountValue = discPct > 0
+      ? (parseFloat(estimate.partsSubtotal) || 0) * discPct / 100
+      : discAmt;
+    doc.fillColor('#c62828').text(discountDisplay, 350, yPos, { lineBreak: false });
+    doc.text(`-${formatCurrency(discountValue)}`, 480, yPos, { align: 'right', width: 82, lineBreak: false });
+    doc.fillColor(darkColor);
+    yPos += 18;
+  }
 
-// ============= CONVERT TO WORK ORDER =============
+  // Trucking
+  if (parseFloat(estimate.truckingCost) > 0) {
+    doc.fillColor(grayColor).text('Trucking:', 350, yPos, { lineBreak: false });
+    doc.fillColor(darkColor).text(formatCurrency(estimate.truckingCost), 480, yPos, { align: 'right', width: 82, lineBreak: false });
+    yPos += 18;
+  }
 
-// POST /api/estimates/:id/convert-to-workorder - Convert estimate to work order
-router.post('/:id/convert-to-workorder', async (req, res, next) => {
-  const transaction = await sequelize.transaction();
-  let committed = false;
-  
-  try {
-    const estimate = await Estimate.findByPk(req.params.id, {
-      include: [
-        { model: EstimatePart, as: 'parts', include: [{ model: EstimatePartFile, as: 'files' }] },
-        { model: EstimateFile, as: 'files' }
-      ]
-    });
+  // Tax
+  if (estimate.taxExempt) {
+    doc.fillColor(grayColor).text('Tax:', 350, yPos, { lineBreak: false });
+    doc.fillColor('#c62828').text('EXEMPT', 480, yPos, { align: 'right', width: 82, lineBreak: false });
+    yPos += 18;
+  } else if (parseFloat(estimate.taxAmount) > 0) {
+    doc.fillColor(grayColor).text(`Tax (${estimate.taxRate}%):`, 350, yPos, { lineBreak: false });
+    doc.fillColor(darkColor).text(formatCurrency(estimate.taxAmount), 480, yPos, { align: 'right', width: 82, lineBreak: false });
+    yPos += 18;
+  }
 
-    if (!estimate) {
-      await transaction.rollback();
-      return res.status(404).json({ error: { message: 'Estimate not found' } });
-    }
+  // Grand Total
+  doc.strokeColor(lightGray).lineWidth(1).moveTo(350, yPos).lineTo(562, yPos).stroke();
+  yPos += 10;
+  doc.fontSize(14).fillColor(primaryColor).font('Helvetica-Bold').text(foreign ? 'TOTAL (USD):' : 'TOTAL:', 350, yPos, { lineBreak: false });
+  doc.text(formatCurrency(estimate.grandTotal), 480, yPos, { align: 'right', width: 82, lineBreak: false });
+  doc.font('Helvetica');
+  yPos += 30;
+  if (foreign) {
+    yPos -= 8;
+    doc.fontSize(12).fillColor(primaryColor).font('Helvetica-Bold').text(`TOTAL (${fx.currency}):`, 350, yPos, { lineBreak: false });
+    doc.text(currency.formatMoney(currency.convert(estimate.grandTotal, fx.rate), fx.currency), 450, yPos, { align: 'right', width: 112, lineBreak: false });
+    yPos += 16;
+    doc.font('Helvetica').fontSize(8).fillColor(grayColor)
+      .text(`${currency.rateNote(fx.currency, fx.rate, fx.at)}${fx.locked ? '' : ' — indicative until sent'}`, 300, yPos, { align: 'right', width: 262, lineBreak: false });
+    yPos += 20;
+  }
 
-    if (estimate.status === 'converted' || estimate.workOrderId) {
-      await transaction.rollback();
-      return res.status(400).json({ error: { message: 'Estimate has already been converted to a work order' } });
-    }
+  // ========== CREDIT CARD SECTION ==========
+  if (yPos > 680) { doc.addPage(); yPos = 50; }
 
-    const { clientPurchaseOrderNumber, requestedDueDate, promisedDate, notes, materialReceived, customDRNumber } = req.body;
+  doc.strokeColor(lightGray).lineWidth(0.5).moveTo(50, yPos).lineTo(562, yPos).stroke();
+  yPos += 15;
 
-    // Get DR number - custom or auto
-    let drNumber;
-    if (customDRNumber) {
-      // Check if custom DR already exists
-      try {
-        drNumber = await reserveCustomDRNumber(require('../models'), transaction, customDRNumber);
-      } catch (reserveErr) {
-        await transaction.rollback();
-        return res.status(reserveErr.status || 400).json({ error: { message: reserveErr.message } });
+  const grandTotal = parseFloat(estimate.grandTotal) || 0;
+  const ccInPersonFee = (grandTotal * 2.6 / 100) + 0.15;
+  const ccInPersonTotal = grandTotal + ccInPersonFee;
+  const ccManualFee = (grandTotal * 3.5 / 100) + 0.15;
+  const ccManualTotal = grandTotal + ccManualFee;
+
+  doc.fontSize(11).font('Helvetica-Bold').fillColor(darkColor);
+  doc.text('Total with Credit Card Fees', 50, yPos, { align: 'right', width: 512, lineBreak: false });
+  doc.font('Helvetica');
+  yPos += 14;
+  
+  doc.fontSize(11).fillColor(darkColor);
+  doc.text(`In-Person (2.6% + $0.15): ${formatCurrency(ccInPersonTotal)}`, 50, yPos, { align: 'right', width: 512, lineBreak: false });
+  yPos += 13;
+  doc.text(`Manual (3.5% + $0.15): ${formatCurrency(ccManualTotal)}`, 50, yPos, { align: 'right', width: 512, lineBreak: false });
+  yPos += 25;
+
+  // ========== DUAL PRICING (Option A / Option B) ==========
+  if (estimate.showDualPricing) {
+    if (yPos > 640) { doc.addPage(); yPos = 50; }
+    
+    // Calculate labor-only total
+    let laborOnlySubtotal = 0;
+    for (const part of sortedParts) {
+      if (['fab_service', 'shop_rate', 'rush_service'].includes(part.partType)) {
+        laborOnlySubtotal += parseFloat(part.partTotal) || 0;
+      } else {
+        const qty = parseInt(part.quantity) || 1;
+        const labEach = parseFloat(part.laborTotal) || 0;
+        const opCost = parseFloat(part.outsideProcessingCost) || 0;
+        const opMarkup = parseFloat(part.outsideProcessingMarkupPercent) || 0;
+        const opEach = Math.round(opCost * (1 + opMarkup / 100) * 100) / 100;
+        const opTransport = parseFloat(part.outsideProcessingTransportCost) || 0;
+        const opTransportMarkup = parseFloat(part.outsideProcessingTransportMarkupPercent) || 0;
+        const opTransportEach = Math.round(opTransport * (1 + opTransportMarkup / 100) * 100) / 100;
+        laborOnlySubtotal += (labEach + opEach + opTransportEach) * qty;
       }
-    } else {
-      drNumber = await getNextDRNumber(transaction);
     }
+    const discPct = parseFloat(estimate.discountPercent) || 0;
+    const discAmt = parseFloat(estimate.discountAmount) || 0;
+    const laborDiscount = discPct > 0 ? laborOnlySubtotal * (discPct / 100) : discAmt;
+    const laborAfterDiscount = laborOnlySubtotal - laborDiscount;
+    const laborTax = estimate.taxExempt ? 0 : laborAfterDiscount * (parseFloat(estimate.taxRate) / 100);
+    const laborOnlyTotal = laborAfterDiscount + laborTax + (parseFloat(estimate.truckingCost) || 0);
 
-    // Create DR number record
-    const drRecord = await DRNumber.create({
-      drNumber,
-      status: 'active'
-    }, { transaction });
+    doc.strokeColor('#1565c0').lineWidth(1.5).moveTo(50, yPos).lineTo(562, yPos).stroke();
+    yPos += 12;
 
-    // Generate order number
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-    const orderNumber = `WO-${year}${month}${day}-${random}`;
+    // Option A
+    doc.rect(50, yPos, 245, 50).fillAndStroke('#e3f2fd', '#90caf9');
+    doc.fillColor('#1565c0').fontSize(11).font('Helvetica-Bold').text('Option A — With Material', 60, yPos + 6);
+    doc.fillColor('#666').fontSize(9.5).font('Helvetica').text('We supply all material', 60, yPos + 18);
+    doc.fillColor('#1565c0').fontSize(14).font('Helvetica-Bold').text(formatCurrency(grandTotal), 60, yPos + 30, { width: 225 });
+
+    // Option B
+    doc.rect(310, yPos, 252, 50).fillAndStroke('#fff8e1', '#ffcc80');
+    doc.fillColor('#e65100').fontSize(11).font('Helvetica-Bold').text('Option B — Labor Only', 320, yPos + 6);
+    doc.fillColor('#666').fontSize(9.5).font('Helvetica').text('Customer supplies material', 320, yPos + 18);
+    doc.fillColor('#e65100').fontSize(14).font('Helvetica-Bold').text(formatCurrency(laborOnlyTotal), 320, yPos + 30, { width: 232 });
+    
+    doc.font('Helvetica');
+    yPos += 65;
+  }
 
-    // Create work order from estimate using shared utility
-    const { buildWorkOrderFromEstimate, buildWorkOrderPartFromEstimate } = require('../services/pricing');
+  // ========== NOTES ==========
+  if (estimate.notes) {
+    if (yPos > 680) { doc.addPage(); yPos = 50; }
     
-    const woData = buildWorkOrderFromEstimate(estimate, {
-      orderNumber,
-      drNumber,
-      clientPurchaseOrderNumber: clientPurchaseOrderNumber || null,
-      notes: notes || estimate.notes,
-      status: materialReceived ? 'received' : 'waiting_for_materials',
-      receivedAt: materialReceived ? new Date() : null,
-      allMaterialReceived: materialReceived ? true : false,
-      requestedDueDate: requestedDueDate || null,
-      promisedDate: promisedDate || null
-    });
+    doc.strokeColor(lightGray).lineWidth(0.5).moveTo(50, yPos).lineTo(562, yPos).stroke();
+    yPos += 15;
+    
+    doc.fontSize(10).fillColor(primaryColor).text('NOTES:', 50, yPos, { lineBreak: false });
+    yPos += 15;
+    doc.fontSize(11).fillColor(grayColor).text(estimate.notes, 50, yPos, { width: 500 });
+  }
 
-    const workOrder = await WorkOrder.create(woData, { transaction });
+  // ========== FOOTER ==========
+  const pageCount = doc.bufferedPageRange().count;
+  for (let i = 0; i < pageCount; i++) {
+    doc.switchToPage(i);
+    // Temporarily remove bottom margin so writing near page bottom doesn't auto-create pages
+    const savedBottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    // Divider above the footer
+    doc.strokeColor('#e0e0e0').lineWidth(0.5).moveTo(50, 742).lineTo(562, 742).stroke();
+    // Company line (small, gray) then the estimate # / page line below it — spaced so the two
+    // lines don't overlap (each ~9pt line needs ~10pt of vertical room).
+    doc.font('Helvetica').fontSize(8).fillColor('#999');
+    doc.text(
+      'Carolina Rolling Co. Inc.  |  9152 Sonrisa St., Bellflower, CA 90706  |  (562) 633-1044  |  keepitrolling@carolinarolling.com',
+      50, 750, { align: 'center', width: 512, lineBreak: false }
+    );
+    doc.fontSize(7.5).fillColor('#aaa');
+    doc.text(
+      `${numberWithRev}  |  Page ${i + 1} of ${pageCount}`,
+      50, 762, { align: 'center', width: 512, lineBreak: false }
+    );
+    doc.page.margins.bottom = savedBottomMargin;
+  }
 
-    // Update DR record with work order ID
-    await drRecord.update({ workOrderId: workOrder.id }, { transaction });
+  doc.end();
+}
 
-    // Create work order parts from estimate parts using shared utility
-    const estimateToWoPartIdMap = {};
-    let displayNums = {};
-    try {
-      displayNums = (computeDisplayNumbers(estimate.parts || []) || {}).display || {};
-    } catch (e) { displayNums = {}; }
-    for (const estimatePart of estimate.parts) {
-      try {
-        const partData = buildWorkOrderPartFromEstimate(estimatePart);
-        partData.workOrderId = workOrder.id;
+// GET /api/estimates/:id/pdf - Generate estimate PDF
+router.get('/:id/pdf', async (req, res, next) => {
+  try {
+    const estimate = await Estimate.findByPk(req.params.id, {
+      include: [{ model: EstimatePart, as: 'parts', order: [['partNumber', 'ASC']] }]
+    });
 
-        // Auto-fill lot number as <DR number>-<production number>. This only ever existed in
-        // the unused /convert handler, so converted work orders have never actually received
-        // lot numbers.
-        if (!partData.lotNumber || !String(partData.lotNumber).trim()) {
-          if (drNumber) partData.lotNumber = `${drNumber}-${displayNums[estimatePart.id] || estimatePart.partNumber}`;
-        }
-        
-        console.log(`[convert] Part #${partData.partNumber} (${partData.partType}): labor=${partData.laborTotal}, material=${partData.materialTotal}, total=${partData.partTotal}`);
-
-        const workOrderPart = await WorkOrderPart.create(partData, { transaction });
-
-        // Track estimate part ID → work order part ID mapping
-        estimateToWoPartIdMap[estimatePart.id] = workOrderPart.id;
-
-        // Copy part files to work order part files
-        if (estimatePart.files && estimatePart.files.length > 0) {
-          for (const file of estimatePart.files) {
-            // Normalize estimate fileType values to work order values
-            let fileType = file.fileType || 'other';
-            const ext = (file.originalName || file.filename || '').toLowerCase();
-            if (ext.endsWith('.pdf') || fileType === 'drawing' || fileType === 'print') {
-              fileType = 'pdf_print';
-            } else if (ext.endsWith('.stp') || ext.endsWith('.step') || fileType === 'step_file') {
-              fileType = 'step_file';
-            } else if (fileType === 'specification') {
-              fileType = 'other';
-            }
-            
-            await WorkOrderPartFile.create({
-              workOrderPartId: workOrderPart.id,
-              filename: file.filename,
-              originalName: file.originalName,
-              mimeType: file.mimeType,
-              size: file.size,
-              url: file.url,
-              cloudinaryId: file.cloudinaryId,
-              fileType
-            }, { transaction });
-          }
-        }
-      } catch (partErr) {
-        console.error(`Failed to create WO part #${estimatePart.partNumber} (type: ${estimatePart.partType}):`, partErr.message);
-        if (partErr.errors) partErr.errors.forEach(e => console.error(`  Validation: ${e.path} - ${e.message}`));
-        throw new Error(`Failed on part #${estimatePart.partNumber} (${estimatePart.partType}): ${partErr.message}`);
-      }
+    if (!estimate) {
+      return res.status(404).json({ error: { message: 'Estimate not found' } });
     }
 
-    // Second pass: remap _linkedPartId in formData for service parts
-    // The estimate's _linkedPartId points to estimate part IDs - we need to update to WO part IDs
-    for (const estimatePart of estimate.parts) {
-      const fd = estimatePart.formData && typeof estimatePart.formData === 'object' ? estimatePart.formData : {};
-      if (fd._linkedPartId && estimateToWoPartIdMap[fd._linkedPartId]) {
-        const woPartId = estimateToWoPartIdMap[estimatePart.id];
-        const newLinkedId = estimateToWoPartIdMap[fd._linkedPartId];
-        const updatedFormData = { ...fd, _linkedPartId: newLinkedId };
-        await WorkOrderPart.update(
-          { formData: updatedFormData },
-          { where: { id: woPartId }, transaction }
-        );
-        console.log(`[convert] Remapped _linkedPartId for part #${estimatePart.partNumber}: ${fd._linkedPartId} → ${newLinkedId}`);
+    // API key client scoping
+    if (req.apiKey && req.apiKey.clientName) {
+      if (!estimate.clientName || !estimate.clientName.toLowerCase().includes(req.apiKey.clientName.toLowerCase())) {
+        return res.status(403).json({ error: { message: 'Access denied' } });
       }
     }
 
-    // Update estimate status - use 'accepted' and link to work order
-    const statusUpdates = {
-      status: 'accepted',
-      workOrderId: workOrder.id
-    };
-    if (!estimate.sentAt) statusUpdates.sentAt = new Date();
-    if (!estimate.acceptedAt) statusUpdates.acceptedAt = new Date();
-    await estimate.update(statusUpdates, { transaction });
-
-    // Copy shipment charges from estimate to work order
-    const estimateCharges = await ShipmentCharge.findAll({ where: { estimateId: estimate.id } });
-    for (const sc of estimateCharges) {
-      await ShipmentCharge.create({
-        workOrderId: workOrder.id,
-        sortOrder: sc.sortOrder,
-        carrierType: sc.carrierType,
-        vendorId: sc.vendorId,
-        vendorName: sc.vendorName,
-        pickupLocation: sc.pickupLocation,
-        pickupIsShop: sc.pickupIsShop,
-        dropoffLocation: sc.dropoffLocation,
-        dropoffIsShop: sc.dropoffIsShop,
-        shippingCost: sc.shippingCost,
-        shippingMarkup: sc.shippingMarkup,
-        materialsCost: sc.materialsCost,
-        materialsMarkup: sc.materialsMarkup,
-        notes: sc.notes,
-      }, { transaction });
+    await writeEstimatePdf(estimate, res);
+  } catch (error) {
+    console.error('PDF generation error:', error);
+    if (!res.headersSent) {
+      next(error);
+    } else {
+      res.end();
     }
+  }
+});
 
-    await transaction.commit();
-    committed = true;
-    console.log(`[convert] ✅ COMMITTED — DR-${drNumber} created from ${estimate.estimateNumber} (${estimate.parts.length} parts). Responding 201.`);
-
-    // From here the work order already exists — post-commit steps must NEVER fail the request.
-    try {
-      await logActivity(
-        'created',
-        'work_order',
-        workOrder.id,
-        `DR-${drNumber}`,
-        estimate.clientName,
-        `Work order created from estimate ${estimate.estimateNumber}`,
-        { estimateNumber: estimate.estimateNumber, partsCount: estimate.parts.length }
-      );
-    } catch (logErr) { console.error('[convert] activity log failed (non-fatal):', logErr.message); }
-
-    // Fetch complete work order (fall back to the created instance if the re-fetch fails)
-    let completeWorkOrder = workOrder;
-    try {
-      completeWorkOrder = await WorkOrder.findByPk(workOrder.id, {
-        include: [{ model: WorkOrderPart, as: 'parts' }]
-      }) || workOrder;
-    } catch (fetchErr) { console.error('[convert] work order re-fetch failed (non-fatal):', fetchErr.message); }
+// ============= CONVERT TO WORK ORDER =============
 
-    console.log(`[convert] ➡️  Sending 201 for DR-${drNumber}`);
-    return res.status(201).json({
+// POST /api/estimates/:id/convert-to-workorder - Convert estimate to work order (services/estimateConversion.js).
+// Body: { clientPurchaseOrderNumber, requestedDueDate, promisedDate, notes, materialReceived, customDRNumber }
+router.post('/:id/convert-to-workorder', async (req, res, next) => {
+  try {
+    const { workOrder, warning } = await estimateConversion.convertToWorkOrder(req.params.id, req.body, req.user?.username);
+    res.status(201).json({
       data: {
-        workOrder: completeWorkOrder
+        workOrder
       },
-      message: `Work order DR-${drNumber} created successfully`
+      message: `Work order DR-${workOrder.drNumber} created successfully`,
+      warning
     });
   } catch (error) {
-    if (!committed) {
-      try { await transaction.rollback(); } catch (rbErr) { console.error('[convert] rollback failed:', rbErr.message); }
-    }
-    console.error('Convert to work order error:', error);
-    // Include validation details if available
-    const details = error.errors ? error.errors.map(e => `${e.path}: ${e.message}`).join(', ') : '';
-    const msg = details 
-      ? `Validation error: ${details}` 
-      : (error.message || 'Failed to convert estimate');
-    res.status(error.message?.includes('Validation') ? 400 : 500).json({ error: { message: msg } });
+    // Conversion errors name the part or field that failed, so the office sees them as they are
+    res.status(error.status || 500).json({ error: { message: error.message || 'Failed to convert estimate' } });
   }
 });
 
@@ -3949,4 +4055,53 @@ router.delete('/:id/shipment-charges/:chargeId', async (req, res, next) => {
   } catch (error) { next(error); }
 });
 
+// ── Revisions — frozen copies of what the customer was sent (see services/estimateRevisions.js) ──
+
+// GET /api/estimates/:id/revisions - Revision letters with their sends, which one was accepted and
+// converted, and whether the estimate has unsent changes
+router.get('/:id/revisions', async (req, res, next) => {
+  try {
+    res.json({ data: await estimateRevisions.listRevisions(req.params.id) });
+  } catch (error) { next(error); }
+});
+
+// POST /api/estimates/:id/revisions - Record that the estimate went out (again).
+// Body: { sentTo?, via? (email|portal|phone|manual), note? }. Unchanged content is logged as a re-send of the same letter.
+router.post('/:id/revisions', async (req, res, next) => {
+  try {
+    const estimate = await Estimate.findByPk(req.params.id);
+    if (!estimate) return res.status(404).json({ error: { message: 'Estimate not found' } });
+    await currency.lockEstimateRate(estimate);
+    const rev = await estimateRevisions.recordRevision(estimate.id, {
+      reason: 'sent',
+      by: req.user?.username,
+      to: req.body.sentTo || estimate.contactEmail,
+      via: req.body.via,
+      note: req.body.note
+    });
+    if (estimate.status === 'draft') await estimate.update({ status: 'sent', sentAt: estimate.sentAt || new Date() });
+    const sends = (rev.sends || []).length;
+    res.status(201).json({
+      data: estimateRevisions.revisionSummary(rev, await Estimate.findByPk(estimate.id)),
+      message: sends > 1 ? `Rev ${rev.revision} re-sent (${sends} sends)` : `Rev ${rev.revision} recorded`
+    });
+  } catch (error) { next(error); }
+});
+
+// GET /api/estimates/:id/revisions/diff?from=A&to=B - Field-level changes between two revisions.
+// `to` defaults to 'current' (the estimate as it is now).
+router.get('/:id/revisions/diff', async (req, res, next) => {
+  try {
+    res.json({ data: await estimateRevisions.diffRevisions(req.params.id, req.query.from, req.query.to || 'current') });
+  } catch (error) { next(error); }
+});
+
+// GET /api/estimates/:id/revisions/:revision - One revision with its full snapshot
+router.get('/:id/revisions/:revision', async (req, res, next) => {
+  try {
+    res.json({ data: await estimateRevisions.getRevision(req.params.id, req.params.revision) });
+  } catch (error) { next(error); }
+});
+
 module.exports = router;
+module.exports.writeEstimatePdf = writeEstimatePdf;
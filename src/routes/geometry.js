@@ -0,0 +1,50 @@
+const express = require('express');
+const { EstimatePart, WorkOrderPart } = require('../models');
+const geometry = require('../services/rollingGeometry');
+
+const router = express.Router();
+
+// POST /api/geometry/plate - Flat blank for a rolled cylinder or arc.
+// Body: { thickness, width?, length?, diameter, measurePoint? (inside|outside|centerline), arcDegrees?, kFactor?, material? }
+router.post('/plate', (req, res, next) => {
+  try {
+    res.json({ data: geometry.plateBlank(req.body) });
+  } catch (error) { next(error); }
+});
+
+// POST /api/geometry/cone - Cone flat pattern.
+// Body: { thickness, largeDiameter, largeMeasurePoint?, smallDiameter, smallMeasurePoint?, height, segments?, kFactor?, material? }
+router.post('/cone', (req, res, next) => {
+  try {
+    res.json({ data: geometry.coneLayout(req.body) });
+  } catch (error) { next(error); }
+});
+
+// POST /api/geometry/section - Cut length for a rolled section.
+// Body: { partType, rollType? (easy_way|hard_way|on_edge), sectionSize, diameter, measurePoint?, arcDegrees?,
+// outerDiameter?, wallThickness?, sectionDepth?, neutralOffset?, weightPerFoot?, material? }
+router.post('/section', (req, res, next) => {
+  try {
+    res.json({ data: geometry.sectionRoll(req.body) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/geometry/estimate-parts/:partId and /work-order-parts/:partId - Geometry of a saved part.
+// data is null when the part isn't rolled or isn't filled in far enough.
+router.get('/estimate-parts/:partId', async (req, res, next) => {
+  try {
+    const part = await EstimatePart.findByPk(req.params.partId);
+    if (!part) return res.status(404).json({ error: { message: 'Part not found' } });
+    res.json({ data: geometry.partGeometry(part) });
+  } catch (error) { next(error); }
+});
+
+router.get('/work-order-parts/:partId', async (req, res, next) => {
+  try {
+    const part = await WorkOrderPart.findByPk(req.params.partId);
+    if (!part) return res.status(404).json({ error: { message: 'Part not found' } });
+    res.json({ data: geometry.partGeometry(part) });
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { traceHeats, toCsv } = require('../services/heatTrace');
+
+const router = express.Router();
+
+// ?heats=A123,B456 (or ?heat=A123) → list of heat numbers
+const askedHeats = (req) => String(req.query.heats || req.query.heat || '').split(',').map(h => h.trim()).filter(Boolean);
+const shortDate = (d) => (d ? new Date(d).toLocaleDateString('en-US', { timeZone: 'America/Los_Angeles' }) : '—');
+const fileSafe = (s) => String(s).replace(/[^A-Za-z0-9_-]+/g, '_').slice(0, 60);
+
+// GET /api/heat-trace - Every DR, client and shipment that received these heats
+// Query: heats (comma-separated) or heat, clientName (only that customer's rows)
+router.get('/', async (req, res, next) => {
+  try {
+    res.json({ data: await traceHeats(askedHeats(req), { clientName: req.query.clientName }) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/heat-trace/export.csv - Same rows as a spreadsheet
+router.get('/export.csv', async (req, res, next) => {
+  try {
+    const heats = askedHeats(req);
+    const trace = await traceHeats(heats, { clientName: req.query.clientName });
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="HeatTrace-${fileSafe(heats.join('_'))}.csv"`);
+    res.send(toCsv(trace.rows));
+  } catch (error) { next(error); }
+});
+
+// GET /api/heat-trace/export.pdf - Notice to send a customer. Pass clientName so it lists only their orders.
+router.get('/export.pdf', async (req, res, next) => {
+  try {
+    const heats = askedHeats(req);
+    const clientName = req.query.clientName ? String(req.query.clientName).trim() : null;
+    const trace = await traceHeats(heats, { clientName });
+    const logoFile = [path.join(__dirname, '../assets/logo.png'), path.join(__dirname, '../assets/logo.jpg')].find(p => fs.existsSync(p));
+    const PDFDocument = require('pdfkit');
+    const pdfBuffer = await new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ margin: 50, size: 'letter', layout: 'landscape' });
+      const chunks = [];
+      doc.on('data', c => chunks.push(c));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+      const L = 40, W = 712;
+      if (logoFile) try { doc.image(logoFile, L, 22, { width: 55 }); } catch {}
+      doc.font('Helvetica-Bold').fontSize(15).fillColor('#1a1a1a').text('CAROLINA ROLLING CO. INC.', 110, 30, { lineBreak: false });
+      doc.font('Helvetica').fontSize(10).fillColor('#777').text('9152 Sonrisa St., Bellflower, CA 90706  ·  (562) 633-1044', 110, 50, { lineBreak: false });
+      doc.moveTo(L, 80).lineTo(L + W, 80).lineWidth(1).strokeColor('#e0e0e0').stroke();
+      doc.fontSize(13).font('Helvetica-Bold').fillColor('#e65100').text('MATERIAL HEAT TRACE', L, 90);
+      doc.fontSize(11).font('Helvetica').fillColor('#555').text('Heat ' + heats.join(', ') + (clientName ? '  ·  ' + clientName : ''), L, 106);
+      doc.fontSize(9.5).fillColor('#888').text('Prepared ' + shortDate(new Date()), L + W - 200, 92, { width: 200, align: 'right', lineBreak: false });
+
+      const cols = [
+        { label: 'Heat', w: 80 },
+        { label: 'DR', w: 60 },
+        ...(clientName ? [] : [{ label: 'Client', w: 110 }]),
+        { label: 'Your PO', w: 90 },
+        { label: 'Part', w: 90 },
+        { label: 'Description', w: clientName ? 262 : 152 },
+        { label: 'Qty', w: 40, align: 'right' },
+        { label: 'Shipped', w: 50, align: 'right' },
+        { label: 'Ship Date', w: 70, align: 'right' },
+      ];
+      let x = L;
+      cols.forEach(c => { c.x = x; x += c.w; });
+      let y = 128;
+      const header = () => {
+        doc.rect(L, y, W, 16).fill('#1a1a1a');
+        cols.forEach(c => doc.fontSize(8.5).font('Helvetica-Bold').fillColor('white').text(c.label, c.x + 3, y + 4, { width: c.w - 6, align: c.align || 'left', lineBreak: false }));
+        y += 16;
+      };
+      header();
+      if (!trace.rows.length) {
+        doc.fontSize(10).font('Helvetica').fillColor('#555').text('No orders on record received material from this heat.', L, y + 8);
+      }
+      trace.rows.forEach((r, idx) => {
+        const rowH = 18;
+        if (y + rowH > 560) { doc.addPage(); y = 40; header(); }
+        if (idx % 2 === 1) doc.rect(L, y, W, rowH).fill('#f7f7f7');
+        const cells = [
+          r.heatNumber,
+          r.drNumber ? 'DR-' + r.drNumber : (r.orderNumber || '—'),
+          ...(clientName ? [] : [r.clientName || '—']),
+          r.clientPurchaseOrderNumber || '—',
+          r.clientPartNumber || '#' + r.partNumber,
+          r.description || '',
+          String(r.quantity),
+          String(r.shippedQty),
+          shortDate(r.shipDate),
+        ];
+        cells.forEach((val, i) => {
+          const c = cols[i];
+          doc.fontSize(8.5).font(i === 0 ? 'Helvetica-Bold' : 'Helvetica').fillColor('#1a1a1a').text(val, c.x + 3, y + 5, { width: c.w - 6, align: c.align || 'left', lineBreak: false, ellipsis: true });
+        });
+        y += rowH;
+      });
+
+      y += 14;
+      if (y > 520) { doc.addPage(); y = 40; }
+      doc.fontSize(8.5).font('Helvetica').fillColor('#888').text(
+        'Quantities are pieces made from the listed heat. Where a part was made from more than one heat, the shipped quantity is the most that could be from this heat.',
+        L, y, { width: W });
+      doc.end();
+    });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="HeatTrace-${fileSafe(heats.join('_'))}${clientName ? '-' + fileSafe(clientName) : ''}.pdf"`);
+    res.send(pdfBuffer);
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
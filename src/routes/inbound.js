@@ -153,7 +153,7 @@ router.post('/scan-po', poUpload.single('po'), async (req, res, next) => {
       const estimates = await Estimate.findAll({
         where: { status: { [Op.in]: ['draft', 'sent', 'accepted'] } },
         attributes: ['id', 'estimateNumber', 'clientName', 'clientPurchaseOrderNumber', 'status'],
-        include: [{ model: EstimatePart, as: 'parts', attributes: ['materialDescription', 'quantity', 'formData'] }],
+        include: [{ model: EstimatePart, as: 'parts', attributes: ['clientPartNumber', 'materialDescription', 'quantity', 'formData'] }],
         order: [['createdAt', 'DESC']],
         limit: 400,
       });
@@ -162,7 +162,19 @@ router.post('/scan-po', poUpload.single('po'), async (req, res, next) => {
       console.warn('[scan-po] estimate matching failed:', e.message);
     }
 
-    res.json({ data: result, matches, fileName: req.file.originalname, mimeType: req.file.mimetype });
+    // Repeat parts: PO lines whose part number is in the client's catalog, with the last price
+    const catalogMatches = [];
+    try {
+      const clientPartCatalog = require('../services/clientPartCatalog');
+      const hits = await clientPartCatalog.matchParts(result.lineItems, { clientName: result.clientName });
+      for (const [i, hit] of hits) {
+        catalogMatches.push({ lineIndex: i, clientPartId: hit.entry.id, revChanged: hit.revChanged, lastPrice: hit.entry.lastPrice, lastDrNumber: hit.entry.lastDrNumber, note: clientPartCatalog.matchNote(hit) });
+      }
+    } catch (e) {
+      console.warn('[scan-po] part catalog lookup failed:', e.message);
+    }
+
+    res.json({ data: result, matches, catalogMatches, fileName: req.file.originalname, mimeType: req.file.mimetype });
   } catch (error) { next(error); }
 });
 
@@ -0,0 +1,144 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const jobCosting = require('../services/jobCosting');
+
+const router = express.Router();
+
+const money = (n) => (n < 0 ? '-$' : '$') + Math.abs(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const pctText = (p) => (p === null || p === undefined ? '—' : p.toFixed(1) + '%');
+
+// GET /api/job-costing/config - Labor cost rate used for quoted and actual labor
+router.get('/config', async (req, res, next) => {
+  try {
+    const config = await jobCosting.getConfig();
+    const effective = await jobCosting.laborCostRate();
+    res.json({ data: { ...config, effectiveLaborCostPerHour: effective.rate, laborCostSource: effective.source } });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/job-costing/config - Body: { laborCostPerHour } (blank = fall back to average employee wage)
+router.put('/config', async (req, res, next) => {
+  try {
+    const raw = req.body.laborCostPerHour;
+    const rate = raw === '' || raw === null || raw === undefined ? null : parseFloat(raw);
+    if (rate !== null && (isNaN(rate) || rate < 0)) return res.status(400).json({ error: { message: 'laborCostPerHour must be a positive number' } });
+    const config = await jobCosting.saveConfig({ ...(await jobCosting.getConfig()), laborCostPerHour: rate });
+    res.json({ data: config, message: 'Job costing settings saved' });
+  } catch (error) { next(error); }
+});
+
+// GET /api/job-costing/rollup - Margin by client and part type for jobs completed in a date range
+// Query: from, to (YYYY-MM-DD; default this month to date). `to` is inclusive.
+router.get('/rollup', async (req, res, next) => {
+  try {
+    const now = new Date();
+    const from = req.query.from ? new Date(req.query.from + 'T00:00:00') : new Date(now.getFullYear(), now.getMonth(), 1);
+    const to = req.query.to ? new Date(req.query.to + 'T00:00:00') : new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) return res.status(400).json({ error: { message: 'Invalid date range' } });
+    to.setDate(to.getDate() + 1);
+    if (to <= from) return res.status(400).json({ error: { message: '"to" must be on or after "from"' } });
+    res.json({ data: await jobCosting.getCostingRollup({ from, to }) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/job-costing/:workOrderId - Quoted vs actual for one work order, per part and total
+router.get('/:workOrderId', async (req, res, next) => {
+  try {
+    res.json({ data: await jobCosting.getJobCost(req.params.workOrderId) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/job-costing/:workOrderId/pdf - Internal job costing sheet
+router.get('/:workOrderId/pdf', async (req, res, next) => {
+  try {
+    const job = await jobCosting.getJobCost(req.params.workOrderId);
+    const logoFile = [path.join(__dirname, '../assets/logo.png'), path.join(__dirname, '../assets/logo.jpg')].find(p => fs.existsSync(p));
+    const PDFDocument = require('pdfkit');
+    const pdfBuffer = await new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ margin: 50, size: 'letter', layout: 'landscape' });
+      const chunks = [];
+      doc.on('data', c => chunks.push(c));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+      const L = 40, W = 712;
+      if (logoFile) try { doc.image(logoFile, L, 22, { width: 55 }); } catch {}
+      doc.font('Helvetica-Bold').fontSize(15).fillColor('#1a1a1a').text('CAROLINA ROLLING CO. INC.', 110, 30, { lineBreak: false });
+      doc.font('Helvetica').fontSize(10).fillColor('#777').text('Internal — not for customer distribution', 110, 50, { lineBreak: false });
+      doc.moveTo(L, 80).lineTo(L + W, 80).lineWidth(1).strokeColor('#e0e0e0').stroke();
+      doc.fontSize(13).font('Helvetica-Bold').fillColor('#e65100').text('JOB COSTING — DR-' + (job.drNumber || '—'), L, 90);
+      doc.fontSize(11).font('Helvetica').fillColor('#555').text((job.clientName || '') + (job.completedAt ? '  ·  Completed ' + new Date(job.completedAt).toLocaleDateString('en-US', { timeZone: 'America/Los_Angeles' }) : ''), L, 106);
+      doc.fontSize(9.5).fillColor('#888').text('Labor at ' + money(job.laborCostPerHour) + '/hr', L + W - 200, 92, { width: 200, align: 'right', lineBreak: false });
+
+      const cols = [
+        { label: 'Part', w: 150 },
+        { label: 'Revenue', w: 62, align: 'right' },
+        { label: 'Matl Q', w: 56, align: 'right' }, { label: 'Matl A', w: 56, align: 'right' },
+        { label: 'Hrs Q', w: 40, align: 'right' }, { label: 'Hrs A', w: 40, align: 'right' },
+        { label: 'Labor A', w: 56, align: 'right' },
+        { label: 'OP Q', w: 52, align: 'right' }, { label: 'OP A', w: 52, align: 'right' },
+        { label: 'Quoted Margin', w: 74, align: 'right' }, { label: 'Actual Margin', w: 74, align: 'right' },
+      ];
+      let x = L;
+      cols.forEach(c => { c.x = x; x += c.w; });
+      let y = 128;
+      const header = () => {
+        doc.rect(L, y, W, 16).fill('#1a1a1a');
+        cols.forEach(c => doc.fontSize(8.5).font('Helvetica-Bold').fillColor('white').text(c.label, c.x + 3, y + 4, { width: c.w - 6, align: c.align || 'left', lineBreak: false }));
+        y += 16;
+      };
+      header();
+      // An asterisk marks a figure that is still the quoted number (no bill / no clocked time yet)
+      const est = (v, source) => money(v) + (source === 'quoted' ? '*' : '');
+      job.parts.forEach((p, idx) => {
+        const rowH = 18;
+        if (y + rowH > 560) { doc.addPage(); y = 40; header(); }
+        if (idx % 2 === 1) doc.rect(L, y, W, rowH).fill('#f7f7f7');
+        const cells = [
+          `#${p.partNumber} ${p.description}`.slice(0, 34),
+          money(p.revenue),
+          money(p.quoted.material), est(p.actual.material, p.actual.materialSource),
+          p.quoted.laborHours.toFixed(1), p.actual.laborHours.toFixed(1) + (p.actual.laborSource === 'quoted' ? '*' : ''),
+          money(p.actual.laborCost),
+          money(p.quoted.outsideProcessing), est(p.actual.outsideProcessing, p.actual.outsideProcessingSource),
+          money(p.quotedMargin) + ' ' + pctText(p.quotedMarginPct), money(p.margin) + ' ' + pctText(p.marginPct),
+        ];
+        cells.forEach((val, i) => {
+          const c = cols[i];
+          const color = i === cells.length - 1 && p.margin < 0 ? '#c62828' : '#1a1a1a';
+          doc.fontSize(8.5).font(i === 0 ? 'Helvetica-Bold' : 'Helvetica').fillColor(color).text(val, c.x + 3, y + 5, { width: c.w - 6, align: c.align || 'left', lineBreak: false });
+        });
+        y += rowH;
+      });
+
+      y += 10;
+      if (y > 470) { doc.addPage(); y = 40; }
+      const t = job.totals;
+      const lines = [
+        ['Revenue (parts + trucking)', money(t.revenue)],
+        ['Material', money(t.material.quoted) + ' quoted  /  ' + money(t.material.actual) + ' actual'],
+        ['Labor hours', t.laborHours.quoted.toFixed(1) + ' quoted  /  ' + t.laborHours.actual.toFixed(1) + ' actual'],
+        ['Outside processing', money(t.outsideProcessing.quoted) + ' quoted  /  ' + money(t.outsideProcessing.actual) + ' actual'],
+        ['Trucking', money(job.trucking.revenue) + ' billed  /  ' + money(job.trucking.cost) + ' cost'],
+      ];
+      if (job.unallocatedBills.length) lines.push(['Bills not matched to a part', money(job.unallocatedBills.reduce((s, b) => s + b.amount, 0))]);
+      lines.push(['Quoted margin', money(t.quotedMargin) + '  (' + pctText(t.quotedMarginPct) + ')']);
+      lines.push(['Actual margin', money(t.margin) + '  (' + pctText(t.marginPct) + ')']);
+      lines.forEach(([label, val], i) => {
+        const bold = i === lines.length - 1;
+        doc.fontSize(10).font(bold ? 'Helvetica-Bold' : 'Helvetica').fillColor('#555').text(label, L + W - 400, y, { width: 180, lineBreak: false });
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(bold && t.margin < 0 ? '#c62828' : '#1a1a1a').text(val, L + W - 220, y, { width: 220, align: 'right', lineBreak: false });
+        y += 15;
+      });
+      if (job.estimatedLines) {
+        doc.fontSize(8.5).font('Helvetica').fillColor('#888').text(`* ${job.estimatedLines} figure(s) still use the quoted amount — no vendor bill or clocked time recorded yet.`, L, y + 6, { width: W });
+      }
+      doc.end();
+    });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="JobCost-DR${job.drNumber || ''}.pdf"`);
+    res.send(pdfBuffer);
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const ledger = require('../services/ledger');
+
+const router = express.Router();
+
+// GET /api/ledger/accounts - Chart of accounts. Query: includeInactive=true
+router.get('/accounts', async (req, res, next) => {
+  try {
+    res.json({ data: await ledger.listAccounts({ includeInactive: req.query.includeInactive === 'true' }) });
+  } catch (error) { next(error); }
+});
+
+// POST /api/ledger/accounts - Body: { code, name, type, description }
+router.post('/accounts', async (req, res, next) => {
+  try {
+    const account = await ledger.saveAccount(req.body || {});
+    res.json({ data: account, message: `Account ${account.code} ${account.name} added` });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/ledger/accounts/:id - Body: { code, name, type, description, isActive }
+router.put('/accounts/:id', async (req, res, next) => {
+  try {
+    const account = await ledger.saveAccount(req.body || {}, req.params.id);
+    res.json({ data: account, message: 'Account updated' });
+  } catch (error) { next(error); }
+});
+
+// GET /api/ledger/accounts/:id/register - One account's activity. Query: from, to
+router.get('/accounts/:id/register', async (req, res, next) => {
+  try {
+    res.json({ data: await ledger.register(req.params.id, { from: req.query.from, to: req.query.to }) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/ledger/entries - Journal. Query: from, to, sourceType, sourceId, accountId, limit
+router.get('/entries', async (req, res, next) => {
+  try {
+    const { from, to, sourceType, sourceId, accountId, limit } = req.query;
+    res.json({ data: await ledger.listEntries({ from, to, sourceType, sourceId, accountId, limit }) });
+  } catch (error) { next(error); }
+});
+
+// POST /api/ledger/entries - Manual entry. Body: { date, memo, lines: [{ accountId, debit, credit, memo }] }
+router.post('/entries', async (req, res, next) => {
+  try {
+    const entry = await ledger.createManualEntry(req.body || {}, req.user?.username);
+    res.json({ data: entry, message: 'Entry posted' });
+  } catch (error) { next(error); }
+});
+
+// POST /api/ledger/entries/:id/reverse - Reverse a manual entry. Body: { date }
+router.post('/entries/:id/reverse', async (req, res, next) => {
+  try {
+    const reversal = await ledger.reverseManualEntry(req.params.id, { date: req.body?.date, by: req.user?.username });
+    res.json({ data: reversal, message: `Reversed on ${reversal.date}` });
+  } catch (error) { next(error); }
+});
+
+// GET /api/ledger/trial-balance - Query: asOf
+router.get('/trial-balance', async (req, res, next) => {
+  try {
+    res.json({ data: await ledger.trialBalance({ asOf: req.query.asOf }) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/ledger/profit-loss - Query: from (default Jan 1), to (default today)
+router.get('/profit-loss', async (req, res, next) => {
+  try {
+    res.json({ data: await ledger.profitAndLoss({ from: req.query.from, to: req.query.to }) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/ledger/balance-sheet - Query: asOf
+router.get('/balance-sheet', async (req, res, next) => {
+  try {
+    res.json({ data: await ledger.balanceSheet({ asOf: req.query.asOf }) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/ledger/periods - Closes of the books, newest first, and what's locked now
+router.get('/periods', async (req, res, next) => {
+  try {
+    res.json({ data: { periods: await ledger.listPeriods(), lockDate: await ledger.lockDate() } });
+  } catch (error) { next(error); }
+});
+
+// POST /api/ledger/periods/close - Body: { through: 'YYYY-MM-DD', notes }
+router.post('/periods/close', async (req, res, next) => {
+  try {
+    const data = await ledger.closePeriod(req.body || {}, req.user?.username);
+    res.json({ data, message: `Books closed through ${data.period.closedThrough}` });
+  } catch (error) { next(error); }
+});
+
+// POST /api/ledger/periods/reopen - Reopen the latest close
+router.post('/periods/reopen', async (req, res, next) => {
+  try {
+    const data = await ledger.reopenPeriod(req.user?.username);
+    res.json({ data, message: data.lockDate ? `Reopened — books now closed through ${data.lockDate}` : 'Reopened — no period is closed' });
+  } catch (error) { next(error); }
+});
+
+// POST /api/ledger/sync - Post everything not yet posted (also back-fills history). Body: { types: [...] }
+router.post('/sync', async (req, res, next) => {
+  try {
+    const types = Array.isArray(req.body?.types) && req.body.types.length ? req.body.types.filter(t => ledger.SOURCE_TYPES.includes(t)) : ledger.SOURCE_TYPES;
+    const data = await ledger.syncAll({ by: req.user?.username, types });
+    const changed = Object.values(data.counts).reduce((s, c) => s + c.posted + c.reposted + c.reversed, 0);
+    res.json({ data, message: `${changed} posting(s) made${data.errors.length ? `, ${data.errors.length} failed` : ''}` });
+  } catch (error) { next(error); }
+});
+
+// GET /api/ledger/failures - Postings that failed and haven't gone through since
+router.get('/failures', async (req, res, next) => {
+  try {
+    res.json({ data: await ledger.listFailures() });
+  } catch (error) { next(error); }
+});
+
+// POST /api/ledger/failures/retry - Post every failed posting again
+router.post('/failures/retry', async (req, res, next) => {
+  try {
+    const data = await ledger.retryFailures(req.user?.username);
+    res.json({ data, message: `${data.results.length - data.failing} of ${data.results.length} posted${data.failing ? `, ${data.failing} still failing` : ''}` });
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { MaterialPrice } = require('../models');
+const materialPrices = require('../services/materialPrices');
+
+const router = express.Router();
+
+// GET /api/material-prices - Current price per grade/shape/size with the change from the one before.
+// Query: grade, shape, q (matches grade, size or supplier description)
+router.get('/', async (req, res, next) => {
+  try {
+    const where = {};
+    if (req.query.grade) where.grade = materialPrices.normalizeGrade(req.query.grade);
+    if (req.query.shape) where.shape = req.query.shape;
+    if (req.query.q) {
+      const q = `%${req.query.q.trim()}%`;
+      where[Op.or] = [{ grade: { [Op.iLike]: q } }, { size: { [Op.iLike]: q } }, { description: { [Op.iLike]: q } }];
+    }
+    const rows = await MaterialPrice.findAll({ where, order: [['quotedAt', 'DESC'], ['createdAt', 'DESC']] });
+    const data = materialPrices.currentPrices(rows).sort((a, b) => a.key.localeCompare(b.key));
+    res.json({ data });
+  } catch (error) { next(error); }
+});
+
+// GET /api/material-prices/history - Every price for one key, newest first.
+// Query: key, or grade + shape + thickness|size
+router.get('/history', async (req, res, next) => {
+  try {
+    const key = req.query.key || materialPrices.priceKey(req.query);
+    if (!key) return res.status(400).json({ error: { message: 'key, or grade, shape and thickness/size, is required' } });
+    const rows = await MaterialPrice.findAll({ where: { key }, order: [['quotedAt', 'DESC'], ['createdAt', 'DESC']] });
+    res.json({ data: rows, key });
+  } catch (error) { next(error); }
+});
+
+// GET /api/material-prices/settings - { staleDays, movePercent } used by the open-estimate check
+router.get('/settings', async (req, res, next) => {
+  try {
+    res.json({ data: await materialPrices.loadConfig() });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/material-prices/settings - Body: { staleDays?, movePercent? }
+router.put('/settings', async (req, res, next) => {
+  try {
+    res.json({ data: await materialPrices.saveConfig(req.body || {}), message: 'Material price settings saved' });
+  } catch (error) { next(error); }
+});
+
+// POST /api/material-prices - Manual entry.
+// Body: { grade, shape, thickness|size, unit, unitPrice, vendorId?, vendorName?, quotedAt?, quantity?, notes? }
+// or { description, unit, unitPrice, ... } to read grade/shape/size from supplier text.
+router.post('/', async (req, res, next) => {
+  try {
+    const price = await materialPrices.savePrice({ ...req.body, source: 'manual', sourceEmailId: null }, req.user?.username);
+    res.status(201).json({ data: price, message: `Price recorded for ${price.key}` });
+  } catch (error) { next(error); }
+});
+
+// POST /api/material-prices/ingest/pending - Read any supplier quotes / materials bills not yet indexed
+router.post('/ingest/pending', async (req, res, next) => {
+  try {
+    const result = await materialPrices.ingestPending({ days: parseInt(req.body?.days) || 45 });
+    res.json({ data: result, message: `${result.created} price(s) added, ${result.skipped} line(s) skipped` });
+  } catch (error) { next(error); }
+});
+
+// POST /api/material-prices/ingest/email/:emailId - Read one supplier quote or bill (replaces its earlier rows)
+router.post('/ingest/email/:emailId', async (req, res, next) => {
+  try {
+    const { created, skipped } = await materialPrices.ingestEmail(req.params.emailId, req.user?.username);
+    res.json({ data: created, skipped, message: `${created.length} price(s) added` + (skipped.length ? `, ${skipped.length} line(s) not recognised` : '') });
+  } catch (error) { next(error); }
+});
+
+// DELETE /api/material-prices/:id - Remove a mistyped entry; the previous price for the key becomes current again
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const price = await MaterialPrice.findByPk(req.params.id);
+    if (!price) return res.status(404).json({ error: { message: 'Price not found' } });
+    await price.destroy();
+    res.json({ message: 'Price deleted' });
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { MaterialStock, MaterialStockLog, WorkOrderPart, WorkOrder } = require('../models');
+const stockService = require('../services/materialStock');
+
+const router = express.Router();
+
+const who = (req) => ({ performedBy: req.user?.username || req.operatorName || 'unknown', deviceName: req.deviceName || null });
+
+const PART_INCLUDE = {
+  model: WorkOrderPart, as: 'part', required: false, attributes: ['id', 'partNumber', 'partType', 'workOrderId'],
+  include: [{ model: WorkOrder, as: 'workOrder', attributes: ['id', 'drNumber', 'clientName'] }]
+};
+
+// GET /api/material-stock - What's on the rack
+// Query: status (default available; "all" for everything), grade, thickness, location, remnants=true
+router.get('/', async (req, res, next) => {
+  try {
+    const where = {};
+    const status = req.query.status || 'available';
+    if (status !== 'all') where.status = status;
+    if (req.query.grade) where.grade = { [Op.iLike]: `%${req.query.grade}%` };
+    if (req.query.location) where.location = req.query.location;
+    if (req.query.remnants === 'true') where.isRemnant = true;
+    if (req.query.thickness) {
+      const { parseNum } = require('../services/pricingSuggest');
+      const t = parseNum(req.query.thickness);
+      if (t == null) return res.status(400).json({ error: { message: 'Invalid thickness' } });
+      where.thickness = { [Op.between]: [t - 0.005, t + 0.005] };
+    }
+    const stock = await MaterialStock.findAll({
+      where,
+      include: [PART_INCLUDE],
+      order: [['grade', 'ASC'], ['thickness', 'ASC'], ['isRemnant', 'DESC'], ['createdAt', 'ASC']]
+    });
+    res.json({ data: stock });
+  } catch (error) { next(error); }
+});
+
+// GET /api/material-stock/qr/:qrCode - Lookup by label scan (tablet)
+router.get('/qr/:qrCode', async (req, res, next) => {
+  try {
+    const stock = await MaterialStock.findOne({ where: { qrCode: req.params.qrCode }, include: [PART_INCLUDE] });
+    if (!stock) return res.status(404).json({ error: { message: 'Stock not found' } });
+    res.json({ data: stock });
+  } catch (error) { next(error); }
+});
+
+// GET /api/material-stock/:id - One stack with its history and remnant lineage
+router.get('/:id', async (req, res, next) => {
+  try {
+    const stock = await MaterialStock.findByPk(req.params.id, {
+      include: [
+        PART_INCLUDE,
+        { model: MaterialStock, as: 'parent', required: false, attributes: ['id', 'qrCode', 'width', 'length', 'status'] },
+        { model: MaterialStockLog, as: 'logs', required: false }
+      ],
+      order: [[{ model: MaterialStockLog, as: 'logs' }, 'createdAt', 'DESC']]
+    });
+    if (!stock) return res.status(404).json({ error: { message: 'Stock not found' } });
+    res.json({ data: stock });
+  } catch (error) { next(error); }
+});
+
+// POST /api/material-stock/receive - Put material on the rack
+// Body: { grade, form, thickness, width, length, sectionSize, quantity, heatNumber, heatCountry, location, supplierName, poNumber, unitCost, notes }
+router.post('/receive', async (req, res, next) => {
+  try {
+    const stock = await stockService.receiveStock(req.body, who(req));
+    res.status(201).json({ data: stock, message: `Received ${stock.quantity} pc ${stock.grade}` });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/material-stock/:id - Correct details or move to another location
+router.put('/:id', async (req, res, next) => {
+  try {
+    const stock = await MaterialStock.findByPk(req.params.id);
+    if (!stock) return res.status(404).json({ error: { message: 'Stock not found' } });
+    const fields = stockService.stockFields(req.body);
+    const problem = stockService.validateFields(fields);
+    if (problem) return res.status(400).json({ error: { message: problem } });
+    if (fields.quantity !== undefined && stock.status !== 'available' && fields.quantity !== stock.quantity) {
+      return res.status(400).json({ error: { message: 'Release this stock before changing its count' } });
+    }
+    await stockService.checkLocation(fields.location);
+    const before = { location: stock.location, quantity: stock.quantity };
+    await stock.update(fields);
+    if (fields.location !== undefined && fields.location !== before.location) {
+      await stockService.log(stock, 'move', { ...who(req), notes: `${before.location || '—'} → ${stock.location || '—'}` });
+    }
+    if (fields.quantity !== undefined && fields.quantity !== before.quantity) {
+      await stockService.log(stock, 'adjust', { ...who(req), quantityChange: fields.quantity - before.quantity, notes: `Count adjusted: ${before.quantity} → ${fields.quantity}` });
+    }
+    res.json({ data: stock, message: 'Stock updated' });
+  } catch (error) { next(error); }
+});
+
+// POST /api/material-stock/:id/allocate - Reserve pieces for a part. Body: { partId, quantity? }
+// The part picks up the stock's heat number and country.
+router.post('/:id/allocate', async (req, res, next) => {
+  try {
+    if (!req.body.partId) return res.status(400).json({ error: { message: 'partId is required' } });
+    const { stock, part } = await stockService.allocateStock(req.params.id, { partId: req.body.partId, quantity: req.body.quantity }, who(req));
+    res.json({ data: { stock, part }, message: `Allocated ${stock.quantity} pc to part #${part.partNumber}` });
+  } catch (error) { next(error); }
+});
+
+// POST /api/material-stock/:id/release - Put allocated stock back on the rack
+router.post('/:id/release', async (req, res, next) => {
+  try {
+    const { stock, part } = await stockService.releaseStock(req.params.id, who(req));
+    res.json({ data: { stock, part }, message: 'Stock released' });
+  } catch (error) { next(error); }
+});
+
+// POST /api/material-stock/:id/consume - Material was cut/used. Body: { partId? } to allocate and consume in one scan.
+router.post('/:id/consume', async (req, res, next) => {
+  try {
+    const stock = await stockService.consumeStock(req.params.id, { partId: req.body.partId }, who(req));
+    res.json({ data: stock, message: `Consumed ${stock.quantity} pc ${stock.grade}` });
+  } catch (error) { next(error); }
+});
+
+// POST /api/material-stock/:id/remnant - Return the offcut to stock. Body: { width, length, quantity?, location, notes }
+router.post('/:id/remnant', async (req, res, next) => {
+  try {
+    const remnant = await stockService.createRemnant(req.params.id, req.body, who(req));
+    res.status(201).json({ data: remnant, message: `Remnant ${remnant.qrCode} added` });
+  } catch (error) { next(error); }
+});
+
+// DELETE /api/material-stock/:id - Scrap it. Kept (status scrapped) so heat history stays traceable.
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const stock = await MaterialStock.findByPk(req.params.id);
+    if (!stock) return res.status(404).json({ error: { message: 'Stock not found' } });
+    if (stock.status === 'allocated') return res.status(400).json({ error: { message: 'Release this stock before scrapping it' } });
+    await stock.update({ status: 'scrapped' });
+    await stockService.log(stock, 'scrap', { ...who(req), quantityChange: -stock.quantity, notes: req.body?.reason || null });
+    res.json({ message: 'Stock scrapped' });
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
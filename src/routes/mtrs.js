@@ -0,0 +1,107 @@
+const express = require('express');
+const multer = require('multer');
+const { Op } = require('sequelize');
+const { MillTestReport, MtrHeat, InboundOrder } = require('../models');
+const mtrService = require('../services/millTestReports');
+
+const router = express.Router();
+const mtrUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
+
+const EXTRACT_MESSAGES = {
+  no_api_key: 'AI extraction is not configured (missing API key) — enter the heats by hand.',
+  unsupported_type: 'Unsupported file type — upload a PDF or an image (JPG/PNG).',
+  budget_exhausted: 'AI budget for today is used up — enter the heats by hand.',
+  empty_response: 'The AI could not read anything from this file — enter the heats by hand.',
+  extract_failed: 'Could not read the MTR — enter the heats by hand.',
+  api_error: 'AI extraction failed — enter the heats by hand.',
+};
+
+// GET /api/mtrs - Uploaded MTRs. Query: status, inboundOrderId, poNumber, heat
+router.get('/', async (req, res, next) => {
+  try {
+    const where = {};
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.inboundOrderId) where.inboundOrderId = req.query.inboundOrderId;
+    if (req.query.poNumber) where.poNumber = { [Op.iLike]: req.query.poNumber.trim() };
+    const heatInclude = { model: MtrHeat, as: 'heats', required: false };
+    if (req.query.heat) Object.assign(heatInclude, { required: true, where: { heatKey: mtrService.normalizeHeat(req.query.heat) } });
+    const reports = await MillTestReport.findAll({
+      where,
+      include: [heatInclude, { model: InboundOrder, as: 'inboundOrder', required: false, attributes: ['id', 'purchaseOrderNumber', 'clientName', 'description'] }],
+      order: [['createdAt', 'DESC']],
+      limit: 200
+    });
+    res.json({ data: reports });
+  } catch (error) { next(error); }
+});
+
+// GET /api/mtrs/heats/:heatNumber/trace - Every MTR, DR and rack stack this heat went into (see /api/heat-trace)
+router.get('/heats/:heatNumber/trace', async (req, res, next) => {
+  try {
+    const { traceHeats } = require('../services/heatTrace');
+    res.json({ data: await traceHeats([req.params.heatNumber]) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/mtrs/:id - One MTR with its heats and the parts on the same inbound order / PO
+router.get('/:id', async (req, res, next) => {
+  try {
+    const report = await mtrService.getReport(req.params.id);
+    const candidates = await mtrService.candidateParts(report);
+    res.json({ data: { ...report.toJSON(), candidateParts: candidates } });
+  } catch (error) { next(error); }
+});
+
+// GET /api/mtrs/:id/file - The MTR file itself
+router.get('/:id/file', async (req, res, next) => {
+  try {
+    const report = await MillTestReport.findByPk(req.params.id);
+    if (!report) return res.status(404).json({ error: { message: 'Mill test report not found' } });
+    const fileStorage = require('../utils/storage');
+    const streamed = await fileStorage.streamToResponse(report.storageId, res, { filename: report.originalName || 'mtr.pdf', contentType: report.mimeType });
+    if (!streamed) res.redirect(report.url);
+  } catch (error) { next(error); }
+});
+
+// POST /api/mtrs/upload - Upload an MTR (field "mtr") and read it. Body: { inboundOrderId?, poNumber? }
+// Always lands in review: nothing read from the file reaches a part until it is verified.
+router.post('/upload', mtrUpload.single('mtr'), async (req, res, next) => {
+  try {
+    const report = await mtrService.uploadReport(req.file, { inboundOrderId: req.body.inboundOrderId, poNumber: req.body.poNumber }, req.user?.username);
+    const message = report.status === 'failed'
+      ? (EXTRACT_MESSAGES[report.extractError] || 'Could not read the MTR — enter the heats by hand.')
+      : `Read ${report.heats.length} heat(s) — check them against the certificate and verify`;
+    res.status(201).json({ data: report, message });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/mtrs/:id - Office review. Body: { millName, certNumber, certDate, poNumber, supplierName, heats?, verify? }
+// Verifying fills in the melt country on parts already carrying these heats and attaches the MTR to their work orders.
+router.put('/:id', async (req, res, next) => {
+  try {
+    const { report, linked } = await mtrService.saveReview(req.params.id, req.body, req.user?.username);
+    let message = report.status === 'verified' ? 'MTR verified' : 'MTR saved';
+    if (linked && linked.filled) message += ` — melt country filled on ${linked.filled} part(s)`;
+    res.json({ data: { report, linked }, message });
+  } catch (error) { next(error); }
+});
+
+// POST /api/mtrs/:id/link - Assign heats to parts. Body: { assignments: [{ partId, heatNumber, qty? }] }
+router.post('/:id/link', async (req, res, next) => {
+  try {
+    const { parts, attached } = await mtrService.linkParts(req.params.id, req.body.assignments);
+    res.json({ data: { parts, attached }, message: `Linked ${parts.length} part(s)` });
+  } catch (error) { next(error); }
+});
+
+// DELETE /api/mtrs/:id - Remove a mistaken upload. Work order copies of the MTR stay.
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const report = await MillTestReport.findByPk(req.params.id);
+    if (!report) return res.status(404).json({ error: { message: 'Mill test report not found' } });
+    await report.destroy();
+    res.json({ message: 'MTR deleted' });
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { Op } = require('sequelize');
+const { Ncr, WorkOrder } = require('../models');
+const ncrService = require('../services/ncr');
+
+const router = express.Router();
+
+const shortDate = (d) => (d ? new Date(d).toLocaleDateString('en-US', { timeZone: 'America/Los_Angeles' }) : '—');
+
+// Filters shared by the list and the rollup
+function ncrWhere(query) {
+  const where = {};
+  if (query.status) where.status = query.status === 'active' ? { [Op.ne]: 'closed' } : query.status;
+  if (query.source) where.source = query.source;
+  if (query.disposition) where.disposition = query.disposition;
+  if (query.rootCauseCategory) where.rootCauseCategory = query.rootCauseCategory;
+  if (query.workOrderId) where.workOrderId = query.workOrderId;
+  if (query.workOrderPartId) where.workOrderPartId = query.workOrderPartId;
+  if (query.inspectionUnitId) where.inspectionUnitId = query.inspectionUnitId;
+  if (query.vendorId) where.vendorId = query.vendorId;
+  if (query.clientName) where.clientName = { [Op.iLike]: query.clientName.trim() };
+  if (query.heat) where.heatNumber = { [Op.iLike]: query.heat.trim() };
+  if (query.from || query.to) {
+    where.createdAt = {};
+    if (query.from) where.createdAt[Op.gte] = new Date(query.from + 'T00:00:00');
+    if (query.to) where.createdAt[Op.lte] = new Date(query.to + 'T23:59:59');
+  }
+  return where;
+}
+
+// GET /api/ncrs - NCR log. Query: status (open|dispositioned|closed|active), source, disposition,
+// rootCauseCategory, workOrderId, workOrderPartId, inspectionUnitId, vendorId, clientName, heat, from, to
+router.get('/', async (req, res, next) => {
+  try {
+    const ncrs = await Ncr.findAll({
+      where: ncrWhere(req.query),
+      include: [{ model: WorkOrder, as: 'workOrder', required: false, attributes: ['id', 'drNumber', 'orderNumber', 'clientName'] }],
+      order: [['createdAt', 'DESC']],
+      limit: 500
+    });
+    res.json({ data: ncrs });
+  } catch (error) { next(error); }
+});
+
+// GET /api/ncrs/rollup - Counts, pieces and cost by root cause, disposition, source and vendor. Same filters as the list.
+router.get('/rollup', async (req, res, next) => {
+  try {
+    const ncrs = await Ncr.findAll({
+      where: ncrWhere(req.query),
+      attributes: ['id', 'status', 'source', 'disposition', 'rootCauseCategory', 'vendorName', 'quantityAffected', 'costImpact', 'createdAt', 'closedAt'],
+      raw: true
+    });
+    res.json({ data: { ...ncrService.rollup(ncrs), from: req.query.from || null, to: req.query.to || null } });
+  } catch (error) { next(error); }
+});
+
+// GET /api/ncrs/:id
+router.get('/:id', async (req, res, next) => {
+  try {
+    res.json({ data: await ncrService.getNcr(req.params.id) });
+  } catch (error) { next(error); }
+});
+
+// POST /api/ncrs - Raise an NCR.
+// Body: { title?, source?, workOrderId?, workOrderPartId?, inspectionUnitId?, vendorId?, heatNumber?, requirement?, finding?, quantityAffected?, costImpact? }
+// From an inspection unit the title and finding are filled in from what the unit failed.
+router.post('/', async (req, res, next) => {
+  try {
+    const ncr = await ncrService.createNcr(req.body, req.user?.username);
+    res.status(201).json({ data: ncr, message: `${ncrService.ncrLabel(ncr.ncrNumber)} opened` });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/ncrs/:id - Edit the description, cost, root cause and corrective action. Disposition, approval
+// and closing have their own endpoints below.
+router.put('/:id', async (req, res, next) => {
+  try {
+    const ncr = await ncrService.getNcr(req.params.id);
+    if (ncr.status === 'closed') return res.status(400).json({ error: { message: 'This NCR is closed — reopen it to make changes' } });
+    const fields = ncrService.ncrFields(req.body);
+    const problem = ncrService.validateFields(fields);
+    if (problem) return res.status(400).json({ error: { message: problem } });
+    await ncr.update(fields);
+    res.json({ data: await ncrService.getNcr(req.params.id), message: 'NCR saved' });
+  } catch (error) { next(error); }
+});
+
+// POST /api/ncrs/:id/disposition - Body: { disposition: use_as_is|rework|scrap|return_to_vendor, notes?, customerApprovalRequired? }
+// Use as is always waits on the customer's approval. A new disposition clears any earlier approval.
+router.post('/:id/disposition', async (req, res, next) => {
+  try {
+    const ncr = await ncrService.getNcr(req.params.id);
+    await ncr.update(ncrService.applyDisposition(ncr, req.body, req.user?.username));
+    const updated = await ncrService.getNcr(req.params.id);
+    const label = ncrService.DISPOSITIONS[updated.disposition];
+    res.json({ data: updated, message: updated.customerApprovalRequired ? `${label} — waiting on customer approval` : label });
+  } catch (error) { next(error); }
+});
+
+// POST /api/ncrs/:id/customer-approval - Body: { approved: boolean, approvedBy, notes? }
+// A rejection reopens the NCR for a different disposition.
+router.post('/:id/customer-approval', async (req, res, next) => {
+  try {
+    const ncr = await ncrService.recordApproval(req.params.id, req.body, req.user?.username);
+    res.json({ data: ncr, message: req.body.approved ? 'Customer approval recorded' : 'Customer rejected the disposition — choose another' });
+  } catch (error) { next(error); }
+});
+
+// POST /api/ncrs/:id/close - Body: any of the root cause / corrective action fields still missing
+router.post('/:id/close', async (req, res, next) => {
+  try {
+    const ncr = await ncrService.closeNcr(req.params.id, req.body, req.user?.username);
+    res.json({ data: ncr, message: `${ncrService.ncrLabel(ncr.ncrNumber)} closed` });
+  } catch (error) { next(error); }
+});
+
+// POST /api/ncrs/:id/reopen
+router.post('/:id/reopen', async (req, res, next) => {
+  try {
+    res.json({ data: await ncrService.reopenNcr(req.params.id), message: 'NCR reopened' });
+  } catch (error) { next(error); }
+});
+
+// GET /api/ncrs/:id/pdf - The NCR form for the customer's quality file
+router.get('/:id/pdf', async (req, res, next) => {
+  try {
+    const ncr = await ncrService.getNcr(req.params.id);
+    const label = ncrService.ncrLabel(ncr.ncrNumber);
+    const wo = ncr.workOrder;
+    const part = ncr.part;
+    const logoFile = [path.join(__dirname, '../assets/logo.png'), path.join(__dirname, '../assets/logo.jpg')].find(p => fs.existsSync(p));
+    const PDFDocument = require('pdfkit');
+    const pdfBuffer = await new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ margin: 50, size: 'letter' });
+      const chunks = [];
+      doc.on('data', c => chunks.push(c));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+      const L = 40, W = 532;
+      if (logoFile) try { doc.image(logoFile, L, 22, { width: 55 }); } catch {}
+      doc.font('Helvetica-Bold').fontSize(15).fillColor('#1a1a1a').text('CAROLINA ROLLING CO. INC.', 110, 30, { lineBreak: false });
+      doc.font('Helvetica').fontSize(10).fillColor('#777').text('9152 Sonrisa St., Bellflower, CA 90706  ·  (562) 633-1044', 110, 50, { lineBreak: false });
+      doc.moveTo(L, 80).lineTo(L + W, 80).lineWidth(1).strokeColor('#e0e0e0').stroke();
+      doc.fontSize(13).font('Helvetica-Bold').fillColor('#e65100').text('NONCONFORMANCE REPORT', L, 90);
+      doc.fontSize(11).font('Helvetica-Bold').fillColor('#1a1a1a').text(label, L + W - 200, 90, { width: 200, align: 'right', lineBreak: false });
+      doc.fontSize(9.5).font('Helvetica').fillColor('#888').text('Status: ' + ncr.status.toUpperCase() + '  ·  Opened ' + shortDate(ncr.createdAt), L + W - 250, 106, { width: 250, align: 'right', lineBreak: false });
+
+      let y = 128;
+      const section = (title) => {
+        if (y > 680) { doc.addPage(); y = 40; }
+        doc.rect(L, y, W, 16).fill('#1a1a1a');
+        doc.fontSize(9).font('Helvetica-Bold').fillColor('white').text(title, L + 4, y + 4, { lineBreak: false });
+        y += 22;
+      };
+      const field = (name, value) => {
+        if (value === null || value === undefined || value === '') return;
+        if (y > 720) { doc.addPage(); y = 40; }
+        doc.fontSize(9).font('Helvetica-Bold').fillColor('#555').text(name, L, y, { width: 130, lineBreak: false });
+        doc.font('Helvetica').fillColor('#1a1a1a').text(String(value), L + 135, y, { width: W - 135 });
+        y = Math.max(y + 14, doc.y + 4);
+      };
+
+      section('NONCONFORMANCE');
+      field('Title', ncr.title);
+      field('Source', ncr.source);
+      field('Client', ncr.clientName);
+      if (wo) field('Work order', (wo.drNumber ? 'DR-' + wo.drNumber : wo.orderNumber) + (wo.clientPurchaseOrderNumber ? '  ·  PO ' + wo.clientPurchaseOrderNumber : ''));
+      if (part) field('Part', (part.clientPartNumber || '#' + part.partNumber) + (part.materialDescription || part.material ? '  ·  ' + (part.materialDescription || part.material) : ''));
+      if (ncr.inspectionUnit) field('Inspection unit', ncr.inspectionUnit.unitId);
+      field('Heat number', ncr.heatNumber);
+      field('Vendor', ncr.vendorName);
+      field('Quantity affected', ncr.quantityAffected);
+      field('Requirement', ncr.requirement);
+      field('Finding', ncr.finding);
+      field('Reported by', ncr.reportedBy);
+      y += 6;
+
+      section('DISPOSITION');
+      if (ncr.disposition) {
+        field('Disposition', ncrService.DISPOSITIONS[ncr.disposition]);
+        field('Notes', ncr.dispositionNotes);
+        field('By', [ncr.dispositionBy, shortDate(ncr.dispositionAt)].filter(Boolean).join('  ·  '));
+        if (ncr.costImpact != null) field('Cost impact', '$' + parseFloat(ncr.costImpact).toFixed(2));
+        if (ncr.customerApprovalRequired) {
+          field('Customer approval', (ncr.customerApprovalStatus || 'pending').toUpperCase());
+          if (ncr.customerApprovedBy) field('Customer contact', ncr.customerApprovedBy + '  ·  ' + shortDate(ncr.customerApprovalAt));
+          field('Customer notes', ncr.customerApprovalNotes);
+        }
+      } else {
+        field('Disposition', 'Pending');
+      }
+      y += 6;
+
+      section('ROOT CAUSE AND CORRECTIVE ACTION');
+      field('Cause category', ncrService.CAUSES[ncr.rootCauseCategory]);
+      field('Root cause', ncr.rootCause);
+      field('Corrective action', ncr.correctiveAction);
+      field('Owner', ncr.correctiveActionOwner);
+      if (ncr.correctiveActionDue) field('Due', shortDate(ncr.correctiveActionDue + 'T12:00:00'));
+      if (ncr.correctiveActionDoneAt) field('Completed', shortDate(ncr.correctiveActionDoneAt));
+      field('Verification', ncr.verification);
+      if (ncr.status === 'closed') field('Closed', [ncr.closedBy, shortDate(ncr.closedAt)].filter(Boolean).join('  ·  '));
+      doc.end();
+    });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${label}.pdf"`);
+    res.send(pdfBuffer);
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+const scheduler = require('../services/productionScheduler');
+
+// GET /api/operations/schedule — the current proposed (or accepted) plan
+router.get('/schedule', async (req, res, next) => {
+  try {
+    const plan = await scheduler.getSchedule();
+    res.json({ data: plan || { generatedAt: null, operators: [], workOrders: [], parts: [], unscheduled: [], lateCount: 0 } });
+  } catch (error) { next(error); }
+});
+
+// POST /api/operations/schedule/run — plan every open part against the operator calendars
+// Body: { start?: ISO date/time, reassign?: bool (ignore current assignments), operators?: [names] }
+router.post('/schedule/run', async (req, res, next) => {
+  try {
+    let start;
+    if (req.body.start) {
+      start = new Date(req.body.start);
+      if (isNaN(start.getTime())) return res.status(400).json({ error: { message: 'Invalid start date' } });
+    }
+    const plan = await scheduler.runSchedule({
+      start,
+      reassign: !!req.body.reassign,
+      operators: Array.isArray(req.body.operators) ? req.body.operators.map(o => String(o).trim()).filter(Boolean) : undefined,
+    });
+    res.json({ data: plan });
+  } catch (error) { next(error); }
+});
+
+// POST /api/operations/schedule/accept — push the stored plan into the operator queues
+router.post('/schedule/accept', async (req, res, next) => {
+  try {
+    const username = req.user?.username || req.operatorName || null;
+    const plan = await scheduler.acceptSchedule(username);
+    res.json({ data: plan, message: `Schedule accepted — ${plan.workOrders.length} work order(s) queued` });
+  } catch (error) { next(error); }
+});
+
+// GET /api/operations/calendar — shop hours plus per-operator overrides
+router.get('/calendar', async (req, res, next) => {
+  try {
+    const calendar = await scheduler.getCalendar();
+    const operators = await scheduler.getSchedulableOperators({ resources: {} });
+    res.json({ data: { ...calendar, operators } });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/operations/calendar — replace the calendar
+// Body: { shop: { workdays, startHour, hoursPerDay, holidays }, resources: { [operator]: {...} } }
+router.put('/calendar', async (req, res, next) => {
+  try {
+    const { shop, resources } = req.body;
+    if (shop && typeof shop !== 'object') return res.status(400).json({ error: { message: 'shop must be an object' } });
+    if (resources && typeof resources !== 'object') return res.status(400).json({ error: { message: 'resources must be an object keyed by operator' } });
+    const hours = [shop?.hoursPerDay, ...Object.values(resources || {}).map(r => r && r.hoursPerDay)]
+      .filter(h => h !== undefined && h !== null);
+    if (hours.some(h => isNaN(parseFloat(h)) || parseFloat(h) < 0 || parseFloat(h) > 24)) {
+      return res.status(400).json({ error: { message: 'hoursPerDay must be between 0 and 24' } });
+    }
+    const calendar = await scheduler.saveCalendar({ shop, resources });
+    res.json({ data: calendar, message: 'Production calendar saved' });
+  } catch (error) { next(error); }
+});
+
+// GET /api/operations/machine-load — routed open work per machine vs available hours
+// Query: start (YYYY-MM-DD, default today), days (default 5)
+router.get('/machine-load', async (req, res, next) => {
+  try {
+    const { getMachineLoad } = require('../services/workCenters');
+    const from = req.query.start ? new Date(req.query.start + 'T00:00:00') : new Date();
+    if (isNaN(from.getTime())) return res.status(400).json({ error: { message: 'Invalid start date' } });
+    const days = Math.min(Math.max(parseInt(req.query.days) || 5, 1), 60);
+    res.json({ data: await getMachineLoad({ from, days }) });
+  } catch (error) { next(error); }
+});
+
+// --- Time clock (operator tablets) ---
+
+// Clocking in/out is per operator, so only tablet keys that carry an operator name may use it
+const requireOperator = (req, res, next) => {
+  if (!req.operatorName) return res.status(403).json({ error: { message: 'The time clock is only available on operator tablets' } });
+  next();
+};
+
+// POST /api/operations/labor/:partId/start — start the clock on a part (closes any other running clock)
+router.post('/labor/:partId/start', requireOperator, async (req, res, next) => {
+  try {
+    const { startLabor } = require('../services/laborTracking');
+    const { segment, switchedFrom } = await startLabor({ partId: req.params.partId, operatorName: req.operatorName, deviceName: req.deviceName });
+    res.json({ data: { segment, switchedFrom }, message: 'Clock started' });
+  } catch (error) { next(error); }
+});
+
+// POST /api/operations/labor/:partId/pause — stop the clock for now (break, waiting on crane)
+router.post('/labor/:partId/pause', requireOperator, async (req, res, next) => {
+  try {
+    const { endLabor } = require('../services/laborTracking');
+    const result = await endLabor({ partId: req.params.partId, operatorName: req.operatorName, reason: 'pause' });
+    res.json({ data: result, message: 'Clock paused' });
+  } catch (error) { next(error); }
+});
+
+// POST /api/operations/labor/:partId/stop — done with this part. Body: { complete?: bool } also marks it completed.
+router.post('/labor/:partId/stop', requireOperator, async (req, res, next) => {
+  try {
+    const { endLabor } = require('../services/laborTracking');
+    const result = await endLabor({ partId: req.params.partId, operatorName: req.operatorName, reason: 'stop', complete: !!req.body.complete });
+    res.json({ data: result, message: req.body.complete ? 'Clock stopped — part completed' : 'Clock stopped' });
+  } catch (error) { next(error); }
+});
+
+// GET /api/operations/labor/active — running clocks. A tablet sees its own; the office sees everyone's.
+router.get('/labor/active', async (req, res, next) => {
+  try {
+    const { LaborSegment, WorkOrderPart, WorkOrder } = require('../models');
+    const { segmentMinutes } = require('../services/laborTracking');
+    const where = { endedAt: null };
+    if (req.operatorName) where.operatorName = req.operatorName;
+    const rows = await LaborSegment.findAll({
+      where,
+      include: [
+        { model: WorkOrderPart, as: 'part', attributes: ['id', 'partNumber', 'partType', 'description', 'laborHours', 'actualRunTimeMin'] },
+        { model: WorkOrder, as: 'workOrder', attributes: ['id', 'drNumber', 'orderNumber', 'clientName'] }
+      ],
+      order: [['startedAt', 'ASC']]
+    });
+    res.json({ data: rows.map(s => ({
+      id: s.id,
+      operatorName: s.operatorName,
+      startedAt: s.startedAt,
+      runningMinutes: segmentMinutes(s),
+      partId: s.workOrderPartId,
+      partNumber: s.part ? s.part.partNumber : null,
+      description: s.part ? (s.part.description || s.part.partType) : null,
+      quotedHours: s.part && s.part.laborHours != null ? parseFloat(s.part.laborHours) : null,
+      priorMinutes: s.part && s.part.actualRunTimeMin != null ? parseFloat(s.part.actualRunTimeMin) : 0,
+      dr: s.workOrder ? (s.workOrder.drNumber || s.workOrder.orderNumber) : null,
+      clientName: s.workOrder ? s.workOrder.clientName : null
+    })) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/operations/labor/parts/:partId — every segment on a part with quoted vs actual
+router.get('/labor/parts/:partId', async (req, res, next) => {
+  try {
+    const { LaborSegment, WorkOrderPart } = require('../models');
+    const { summarizeSegments } = require('../services/laborTracking');
+    const part = await WorkOrderPart.findByPk(req.params.partId, { attributes: ['id', 'partNumber', 'laborHours', 'actualRunTimeMin'] });
+    if (!part) return res.status(404).json({ error: { message: 'Part not found' } });
+    const segments = await LaborSegment.findAll({ where: { workOrderPartId: part.id }, order: [['startedAt', 'ASC']] });
+    const summary = summarizeSegments(segments);
+    const quotedHours = part.laborHours != null ? parseFloat(part.laborHours) : null;
+    res.json({ data: {
+      partId: part.id,
+      quotedHours,
+      actualHours: Math.round((summary.totalMinutes / 60) * 100) / 100,
+      variancePct: quotedHours ? Math.round(((summary.totalMinutes / 60 - quotedHours) / quotedHours) * 1000) / 10 : null,
+      ...summary,
+      segments
+    } });
+  } catch (error) { next(error); }
+});
+
+// PATCH /api/operations/labor/segments/:id — office correction (forgot to stop, wrong part)
+// Body: { startedAt?, endedAt?, notes? }
+router.patch('/labor/segments/:id', async (req, res, next) => {
+  try {
+    if (!req.user) return res.status(403).json({ error: { message: 'Only office users can edit clocked time' } });
+    const { LaborSegment } = require('../models');
+    const { segmentMinutes, recomputePartActual } = require('../services/laborTracking');
+    const seg = await LaborSegment.findByPk(req.params.id);
+    if (!seg) return res.status(404).json({ error: { message: 'Segment not found' } });
+    const startedAt = req.body.startedAt ? new Date(req.body.startedAt) : seg.startedAt;
+    const endedAt = req.body.endedAt ? new Date(req.body.endedAt) : seg.endedAt;
+    if (isNaN(new Date(startedAt).getTime()) || (endedAt && isNaN(new Date(endedAt).getTime()))) {
+      return res.status(400).json({ error: { message: 'Invalid date' } });
+    }
+    if (endedAt && new Date(endedAt) <= new Date(startedAt)) return res.status(400).json({ error: { message: 'endedAt must be after startedAt' } });
+    const updates = { startedAt, endedAt };
+    if (endedAt) {
+      // An explicit edit is trusted as entered — no cap
+      updates.minutes = Math.round(((new Date(endedAt) - new Date(startedAt)) / 60000) * 100) / 100;
+      if (!seg.endedAt || req.body.endedAt) updates.endReason = 'edit';
+    } else {
+      updates.minutes = null;
+    }
+    if (req.body.notes !== undefined) updates.notes = req.body.notes || null;
+    await seg.update(updates);
+    const actualRunTimeMin = await recomputePartActual(seg.workOrderPartId);
+    res.json({ data: { segment: seg, runningMinutes: seg.endedAt ? null : segmentMinutes(seg), actualRunTimeMin } });
+  } catch (error) { next(error); }
+});
+
+// DELETE /api/operations/labor/segments/:id — remove a mistaken segment
+router.delete('/labor/segments/:id', async (req, res, next) => {
+  try {
+    if (!req.user) return res.status(403).json({ error: { message: 'Only office users can edit clocked time' } });
+    const { LaborSegment } = require('../models');
+    const { recomputePartActual } = require('../services/laborTracking');
+    const seg = await LaborSegment.findByPk(req.params.id);
+    if (!seg) return res.status(404).json({ error: { message: 'Segment not found' } });
+    const partId = seg.workOrderPartId;
+    await seg.destroy();
+    const actualRunTimeMin = await recomputePartActual(partId);
+    res.json({ data: { actualRunTimeMin }, message: 'Segment removed' });
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const payables = require('../services/payables');
+
+const router = express.Router();
+
+// GET /api/payables/settings - Match tolerances, approval thresholds, bank account and next check number
+router.get('/settings', async (req, res, next) => {
+  try {
+    res.json({ data: await payables.loadSettings() });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/payables/settings - Body: { priceTolerancePct, priceToleranceAmount, qtyTolerancePct, autoApproveBelow, adminApprovalOver, bankAccountNumber, bankRoutingNumber, nextCheckNumber }
+router.put('/settings', async (req, res, next) => {
+  try {
+    res.json({ data: await payables.saveSettings(req.body || {}, req.user?.username), message: 'AP settings saved' });
+  } catch (error) { next(error); }
+});
+
+// GET /api/payables/bills - Bills with their match and approval. Query: status (open, paid, all), matchStatus, approvalStatus
+router.get('/bills', async (req, res, next) => {
+  try {
+    const { status, matchStatus, approvalStatus } = req.query;
+    res.json({ data: await payables.listBills({ status: status || 'open', matchStatus, approvalStatus }) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/payables/bills/:id/po - The PO lines and receipts a bill is matched against
+router.get('/bills/:id/po', async (req, res, next) => {
+  try {
+    const { Liability } = require('../models');
+    const bill = await Liability.findByPk(req.params.id);
+    if (!bill) return res.status(404).json({ error: { message: 'Bill not found' } });
+    res.json({ data: await payables.loadPurchaseOrder(bill) });
+  } catch (error) { next(error); }
+});
+
+// POST /api/payables/bills/:id/match - Run the three-way match again
+router.post('/bills/:id/match', async (req, res, next) => {
+  try {
+    const bill = await payables.matchBill(req.params.id);
+    const exceptions = bill.matchResult?.exceptions?.length || 0;
+    res.json({ data: bill, message: exceptions ? `${exceptions} exception(s)` : bill.matchStatus === 'matched' ? 'Matches the PO and receipts' : 'No PO to match' });
+  } catch (error) { next(error); }
+});
+
+// POST /api/payables/bills/rematch - Re-match every open bill that's waiting on something
+router.post('/bills/rematch', async (req, res, next) => {
+  try {
+    const data = await payables.rematchOpenBills();
+    res.json({ data, message: `${data.changed} of ${data.checked} bill(s) changed` });
+  } catch (error) { next(error); }
+});
+
+// POST /api/payables/bills/:id/approve - Body: { note } (required when the bill has exceptions)
+router.post('/bills/:id/approve', async (req, res, next) => {
+  try {
+    const bill = await payables.approveBill(req.params.id, { note: req.body?.note }, req.user);
+    res.json({ data: bill, message: `${bill.name} approved` });
+  } catch (error) { next(error); }
+});
+
+// POST /api/payables/bills/:id/reject - Body: { reason }
+router.post('/bills/:id/reject', async (req, res, next) => {
+  try {
+    const bill = await payables.rejectBill(req.params.id, { reason: req.body?.reason }, req.user);
+    res.json({ data: bill, message: `${bill.name} rejected` });
+  } catch (error) { next(error); }
+});
+
+// GET /api/payables/runs/preview - What a run would pay. Query: payDate, throughDate, takeDiscounts
+router.get('/runs/preview', async (req, res, next) => {
+  try {
+    const { payDate, throughDate, takeDiscounts } = req.query;
+    res.json({ data: await payables.previewRun({ payDate, throughDate, takeDiscounts: takeDiscounts !== 'false' }) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/payables/runs - Payment runs, newest first. Query: status, limit
+router.get('/runs', async (req, res, next) => {
+  try {
+    res.json({ data: await payables.listRuns({ status: req.query.status, limit: req.query.limit }) });
+  } catch (error) { next(error); }
+});
+
+// POST /api/payables/runs - Draft a run. Body: { payDate, throughDate, billIds, takeDiscounts, notes }
+router.post('/runs', async (req, res, next) => {
+  try {
+    const run = await payables.createRun(req.body || {}, req.user?.username);
+    res.status(201).json({ data: run, message: `Draft run: ${run.checks.length} check(s), $${parseFloat(run.total).toFixed(2)}` });
+  } catch (error) { next(error); }
+});
+
+// GET /api/payables/runs/:id
+router.get('/runs/:id', async (req, res, next) => {
+  try {
+    res.json({ data: await payables.getRun(req.params.id) });
+  } catch (error) { next(error); }
+});
+
+// DELETE /api/payables/runs/:id - Discard a draft run
+router.delete('/runs/:id', async (req, res, next) => {
+  try {
+    await payables.discardRun(req.params.id);
+    res.json({ message: 'Draft run discarded' });
+  } catch (error) { next(error); }
+});
+
+// POST /api/payables/runs/:id/issue - Number the checks and mark the bills paid
+router.post('/runs/:id/issue', async (req, res, next) => {
+  try {
+    const run = await payables.issueRun(req.params.id, req.user?.username);
+    const numbers = run.checks.map(c => c.checkNumber);
+    res.json({ data: run, message: `Issued check(s) ${numbers[0]}${numbers.length > 1 ? `–${numbers[numbers.length - 1]}` : ''}` });
+  } catch (error) { next(error); }
+});
+
+// POST /api/payables/runs/:id/checks/:checkNumber/void - Body: { reason }
+router.post('/runs/:id/checks/:checkNumber/void', async (req, res, next) => {
+  try {
+    const run = await payables.voidCheck(req.params.id, req.params.checkNumber, { reason: req.body?.reason }, req.user?.username);
+    res.json({ data: run, message: `Check ${req.params.checkNumber} voided — its bills are open again` });
+  } catch (error) { next(error); }
+});
+
+// GET /api/payables/check-register - Query: from, to
+router.get('/check-register', async (req, res, next) => {
+  try {
+    res.json({ data: await payables.getCheckRegister({ from: req.query.from, to: req.query.to }) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/payables/positive-pay - CSV for the bank. Query: runId, or from and to
+router.get('/positive-pay', async (req, res, next) => {
+  try {
+    const { runId, from, to } = req.query;
+    const file = await payables.getPositivePay({ runId, from, to });
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.csv);
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { PriceBook } = require('../models');
+const priceBooks = require('../services/priceBooks');
+
+const router = express.Router();
+
+// GET /api/price-books - Query: clientId ('standard' for books without a client), clientName, active (true|false)
+router.get('/', async (req, res, next) => {
+  try {
+    const where = {};
+    if (req.query.clientId) where.clientId = req.query.clientId === 'standard' ? null : req.query.clientId;
+    if (req.query.clientName) where.clientName = { [Op.iLike]: req.query.clientName.trim() };
+    if (req.query.active === 'true') where.isActive = true;
+    if (req.query.active === 'false') where.isActive = false;
+    const books = await PriceBook.findAll({ where, order: [['clientName', 'ASC NULLS FIRST'], ['priority', 'DESC'], ['effectiveFrom', 'DESC']] });
+    res.json({ data: books });
+  } catch (error) { next(error); }
+});
+
+// POST /api/price-books/quote - Price one part from the books, with the trace of rules used.
+// Body: { part: { partType, material, thickness, width, length, diameter, quantity, clientPartNumber, formData? },
+// clientId?, clientName?, date?, isNewClient? }
+router.post('/quote', async (req, res, next) => {
+  try {
+    const { part, clientId, clientName, date, isNewClient } = req.body || {};
+    if (!part || !part.partType) return res.status(400).json({ error: { message: 'part.partType is required' } });
+    res.json({ data: await priceBooks.priceFor(part, { clientId, clientName, date, isNewClient }) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/price-books/:id
+router.get('/:id', async (req, res, next) => {
+  try {
+    const book = await PriceBook.findByPk(req.params.id);
+    if (!book) return res.status(404).json({ error: { message: 'Price book not found' } });
+    res.json({ data: book });
+  } catch (error) { next(error); }
+});
+
+// POST /api/price-books - Body: { name, clientId?, priority?, isActive?, effectiveFrom?, effectiveTo?, rules, notes? }
+router.post('/', async (req, res, next) => {
+  try {
+    const book = await priceBooks.saveBook(null, req.body || {}, req.user?.username);
+    res.status(201).json({ data: book, message: `Price book "${book.name}" created` });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/price-books/:id - Same body as POST; rules, when sent, replace the whole list.
+router.put('/:id', async (req, res, next) => {
+  try {
+    const book = await priceBooks.saveBook(req.params.id, req.body || {}, req.user?.username);
+    res.json({ data: book, message: 'Price book updated' });
+  } catch (error) { next(error); }
+});
+
+// DELETE /api/price-books/:id - Books that priced quotes are better retired with isActive=false or effectiveTo.
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const book = await PriceBook.findByPk(req.params.id);
+    if (!book) return res.status(404).json({ error: { message: 'Price book not found' } });
+    await book.destroy();
+    res.json({ message: 'Price book deleted' });
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
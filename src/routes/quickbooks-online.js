@@ -0,0 +1,166 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { WorkOrder, ClientPayment, CreditMemo, Client, QboSyncLink } = require('../models');
+const qbo = require('../services/quickbooksOnline');
+
+const router = express.Router();
+// Intuit redirects the browser here after sign-in — no login; the one-time state is the check
+const publicRouter = express.Router();
+
+const adminUrl = (params) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/admin/shop-config?tab=quickbooks&${params}`;
+
+// GET /api/quickbooks-online/oauth/callback - OAuth callback. Query: code, realmId, state
+publicRouter.get('/oauth/callback', async (req, res) => {
+  try {
+    const conn = await qbo.completeConnect({ code: req.query.code, realmId: req.query.realmId, state: req.query.state });
+    res.redirect(adminUrl(`connected=${encodeURIComponent(conn.companyName || conn.realmId)}`));
+  } catch (error) {
+    console.error('[QBO] OAuth callback error:', error.message);
+    res.redirect(adminUrl(`error=${encodeURIComponent(error.message)}`));
+  }
+});
+
+// GET /api/quickbooks-online/status - Whether a company is connected, and the last sync
+router.get('/status', async (req, res, next) => {
+  try {
+    const conn = await qbo.getConnection();
+    const settings = await qbo.loadSettings();
+    let counts = {};
+    if (conn) {
+      const links = await QboSyncLink.findAll({ where: { realmId: conn.realmId }, attributes: ['entityType', 'status'] });
+      for (const l of links) {
+        counts[l.entityType] = counts[l.entityType] || {};
+        counts[l.entityType][l.status] = (counts[l.entityType][l.status] || 0) + 1;
+      }
+    }
+    res.json({
+      data: {
+        configured: qbo.isConfigured(),
+        environment: qbo.endpoints().environment,
+        connected: !!conn,
+        connection: conn ? {
+          realmId: conn.realmId, companyName: conn.companyName, environment: conn.environment, connectedBy: conn.connectedBy,
+          refreshTokenExpiry: conn.refreshTokenExpiry, lastSyncedAt: conn.lastSyncedAt, lastPulledAt: conn.lastPulledAt, lastError: conn.lastError
+        } : null,
+        settings,
+        counts
+      }
+    });
+  } catch (error) { next(error); }
+});
+
+// GET /api/quickbooks-online/oauth/start - The Intuit sign-in URL to send the admin to
+router.get('/oauth/start', async (req, res, next) => {
+  try {
+    res.json({ data: { authUrl: await qbo.startConnect(req.user?.username) } });
+  } catch (error) { next(error); }
+});
+
+// POST /api/quickbooks-online/disconnect - Forget the tokens. Links are kept for a reconnect to the same company.
+router.post('/disconnect', async (req, res, next) => {
+  try {
+    const conn = await qbo.disconnect();
+    res.json({ message: `${conn.companyName || 'QuickBooks Online'} disconnected` });
+  } catch (error) { next(error); }
+});
+
+// GET /api/quickbooks-online/settings
+router.get('/settings', async (req, res, next) => {
+  try {
+    res.json({ data: await qbo.loadSettings() });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/quickbooks-online/settings - Body: { items: { taxable, nontaxable, freight }, customFields: { poNumber, drNumber }, syncFrom }
+router.put('/settings', async (req, res, next) => {
+  try {
+    const data = await qbo.saveSettings(req.body || {}, req.user?.username);
+    res.json({ data, message: 'QuickBooks Online settings saved' });
+  } catch (error) { next(error); }
+});
+
+// GET /api/quickbooks-online/items - Active QBO items, to choose the ones invoice lines post to
+router.get('/items', async (req, res, next) => {
+  try {
+    const conn = await qbo.requireConnection();
+    const items = (await qbo.query(conn, 'select * from Item where Active = true maxresults 1000')).Item || [];
+    res.json({ data: items.map(i => ({ id: i.Id, name: i.Name, type: i.Type, incomeAccount: i.IncomeAccountRef?.name || null, taxable: i.Taxable })) });
+  } catch (error) { next(error); }
+});
+
+// POST /api/quickbooks-online/sync - Push what changed since the cut-over date, then pull payments
+router.post('/sync', async (req, res, next) => {
+  try {
+    const data = await qbo.sync();
+    const pushed = Object.values(data.counts).reduce((s, c) => s + c.created + c.updated + c.voided, 0);
+    let message = `Sent ${pushed} change(s) to QuickBooks Online`;
+    if (data.pulled) message += `, ${data.pulled.imported} payment(s) pulled back, ${data.pulled.paid.length} invoice(s) now paid`;
+    if (data.errors.length) message += ` — ${data.errors.length} failed`;
+    res.json({ data, message });
+  } catch (error) { next(error); }
+});
+
+// POST /api/quickbooks-online/pull-payments - Only read payment status back
+router.post('/pull-payments', async (req, res, next) => {
+  try {
+    const conn = await qbo.requireConnection();
+    const data = await qbo.pullPayments(conn);
+    res.json({ data, message: `${data.imported} payment(s) pulled back, ${data.paid.length} invoice(s) now paid` });
+  } catch (error) { next(error); }
+});
+
+// POST /api/quickbooks-online/push/:entityType/:id - Send one record now (customer, invoice, payment, credit_memo)
+router.post('/push/:entityType/:id', async (req, res, next) => {
+  try {
+    const conn = await qbo.requireConnection();
+    const { entityType, id } = req.params;
+    let result;
+    if (entityType === 'customer') {
+      const client = await Client.findByPk(id);
+      if (!client) return res.status(404).json({ error: { message: 'Client not found' } });
+      result = { id: await qbo.pushCustomer(conn, client), action: 'synced' };
+    } else if (entityType === 'invoice') {
+      const wo = await WorkOrder.findByPk(id);
+      if (!wo) return res.status(404).json({ error: { message: 'Work order not found' } });
+      result = await qbo.pushInvoice(conn, wo);
+    } else if (entityType === 'payment') {
+      const payment = await ClientPayment.findByPk(id);
+      if (!payment) return res.status(404).json({ error: { message: 'Payment not found' } });
+      result = await qbo.pushPayment(conn, payment, { settings: await qbo.loadSettings() });
+    } else if (entityType === 'credit_memo') {
+      const memo = await CreditMemo.findByPk(id);
+      if (!memo) return res.status(404).json({ error: { message: 'Credit memo not found' } });
+      result = await qbo.pushCreditMemo(conn, memo);
+    } else {
+      return res.status(400).json({ error: { message: `entityType must be one of ${qbo.ENTITY_TYPES.join(', ')}` } });
+    }
+    res.json({ data: result, message: `QuickBooks Online ${entityType.replace('_', ' ')} ${result.id || ''} ${result.action}`.replace(/\s+/g, ' ') });
+  } catch (error) { next(error); }
+});
+
+// GET /api/quickbooks-online/links - Sync state per record. Query: entityType, status, localId
+router.get('/links', async (req, res, next) => {
+  try {
+    const conn = await qbo.getConnection();
+    if (!conn) return res.json({ data: [] });
+    const where = { realmId: conn.realmId };
+    if (req.query.entityType) where.entityType = req.query.entityType;
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.localId) where.localId = req.query.localId;
+    const links = await QboSyncLink.findAll({ where, order: [['updatedAt', 'DESC']], limit: 500 });
+    res.json({ data: links });
+  } catch (error) { next(error); }
+});
+
+// GET /api/quickbooks-online/errors - Records whose last push failed
+router.get('/errors', async (req, res, next) => {
+  try {
+    const conn = await qbo.getConnection();
+    if (!conn) return res.json({ data: [] });
+    const links = await QboSyncLink.findAll({ where: { realmId: conn.realmId, status: 'error', lastError: { [Op.ne]: null } }, order: [['updatedAt', 'DESC']] });
+    res.json({ data: links });
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
+module.exports.publicRouter = publicRouter;
@@ -1,19 +1,18 @@
 const express = require('express');
+const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const fileStorage = require('../utils/storage');
 const { WorkOrder, WorkOrderPart, WorkOrderDocument, Client, InvoiceNumber, AppSettings, ShipmentCharge, sequelize } = require('../models');
 const { computeDisplayNumbers } = require('../services/partNumbering');
+const currency = require('../services/currency');
+const iifImport = require('../services/iifImport');
+const ledger = require('../services/ledger');
 
 const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
 
-const QB_CONFIG = {
-  arAccount: 'ACCOUNTS RECEIVABLE',
-  taxableIncomeAccount: 'SALES - TAXABLE',
-  nontaxableIncomeAccount: 'SALES-NONTAXABLE',
-  freightAccount: 'FREIGHT',
-  taxAccount: 'SALES TAX PAYABLE'
-};
+const { QB_CONFIG } = require('../constants');
 
 // Map our payment terms to exact QB terms
 const TERMS_MAP = {
@@ -88,13 +87,15 @@ async function resolveClient(wo) {
     const { Op } = require('sequelize');
     return await Client.findOne({ 
       where: { name: { [Op.iLike]: wo.clientName } },
-      attributes: ['id', 'name', 'taxStatus', 'paymentTerms', 'quickbooksName']
+      attributes: ['id', 'name', 'taxStatus', 'paymentTerms', 'quickbooksName', 'currency']
     });
   }
   return null;
 }
 
-async function buildInvoiceIIF(wo, parts, client, invoiceNum) {
+// Foreign-currency clients are billed in their currency at the invoice rate, which is locked on the
+// order the first time it's exported (pass { lockRate: false } to look without locking — previews).
+async function buildInvoiceIIF(wo, parts, client, invoiceNum, { lockRate = true } = {}) {
   // Skip void work orders
   if (wo.isVoided || wo.status === 'void') {
     console.log(`[IIF] Skipping void WO: DR-${wo.drNumber}`);
@@ -340,18 +341,25 @@ async function buildInvoiceIIF(wo, parts, client, invoiceNum) {
   // DR number for Delivery Receipt field — just the number, no prefix
   const drNum = wo.drNumber ? String(wo.drNumber) : '';
   
-  const memo = clean(`${drLabel} - ${clientName}`).substring(0, 200);
+  // Currency: everything above is USD. A foreign invoice converts each priced line at the invoice
+  // rate and posts to that currency's AR account, so the TRNS debit equals the sum of the SPLs.
+  const fx = await currency.lockInvoiceRate(wo, client, { lock: lockRate });
+  const foreign = currency.isForeign(fx.currency);
+  const billed = foreign ? currency.convertLines(lineItems, fx.rate) : { lines: lineItems, total: grandTotal };
+  const arAccount = currency.arAccountFor(QB_CONFIG.arAccount, fx.currency);
+  
+  const memo = clean(`${drLabel} - ${clientName}${foreign ? ` - ${currency.rateNote(fx.currency, fx.rate)}` : ''}`).substring(0, 200);
   
   // TRNS: debit AR — PONUM=client PO, OTHER1=DR number (Delivery Receipt)
   lines.push([
-    'TRNS', '', 'INVOICE', invoiceDate, QB_CONFIG.arAccount, clientName,
-    grandTotal.toFixed(2), docNum, memo, 'N', 'Y', terms, clientPO, drNum
+    'TRNS', '', 'INVOICE', invoiceDate, arAccount, clientName,
+    billed.total.toFixed(2), docNum, memo, 'N', 'Y', terms, clientPO, drNum
   ].join('\t'));
   
   // SPL: two types of lines per part
   // Priced line: has INVITEM (1 or 2), QTY, PRICE — creates a billable row
   // Filler line: no INVITEM, no amounts — just description text
-  for (const item of lineItems) {
+  for (const item of billed.lines) {
     if (item.isPriced) {
       const account = item.isFreight ? QB_CONFIG.freightAccount
         : isResale ? QB_CONFIG.nontaxableIncomeAccount
@@ -391,7 +399,24 @@ async function buildInvoiceIIF(wo, parts, client, invoiceNum) {
       tax: taxAmount,
       total: grandTotal,
       terms,
-      clientPO
+      clientPO,
+      currency: fx.currency,
+      ...(foreign ? { exchangeRate: fx.rate, rateLocked: fx.locked, arAccount, currencyTotal: billed.total } : {})
+    },
+    // The same invoice as data, for the QuickBooks Online push (services/quickbooksOnline.js)
+    invoice: {
+      date: wo.shippedAt || wo.completedAt || wo.createdAt,
+      docNumber: docNum,
+      clientName,
+      terms,
+      clientPO,
+      drLabel,
+      memo,
+      isResale,
+      currency: fx.currency,
+      exchangeRate: fx.rate,
+      lines: billed.lines,
+      total: billed.total
     }
   };
 }
@@ -424,6 +449,9 @@ async function generateInvoicePDFBuffer(wo, parts, client, payments = [], shipme
       try { if (fs.existsSync(yellowcakePath)) { doc.registerFont('Yellowcake', yellowcakePath); hasYellowcake = true; } } catch {}
 
       const fmtCur = (v) => '$' + (parseFloat(v) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+      // Foreign-currency clients: amounts stay USD, with the total also shown in their currency at the invoice rate
+      const fx = await currency.lockInvoiceRate(wo, client);
+      const foreign = currency.isForeign(fx.currency);
       const fmtDate = (d) => d ? new Date(d).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'America/Los_Angeles' }) : '';
 
       const primaryColor = '#1976d2';
@@ -750,7 +778,7 @@ async function generateInvoicePDFBuffer(wo, parts, client, payments = [], shipme
       // Keep the whole totals block together — if it won't fit in the remaining space, start it on
       // a new page so the TOTAL DUE box never jams against the very bottom edge. The block needs
       // roughly: divider + subtotal + tax + total box + credit-card-fees ≈ 130pt.
-      const TOTALS_BLOCK_H = 150;
+      const TOTALS_BLOCK_H = foreign ? 186 : 150;
       if (yPos + TOTALS_BLOCK_H > 720) { doc.addPage(); yPos = 50; }
       doc.strokeColor(lightGray).lineWidth(1).moveTo(50, yPos).lineTo(562, yPos).stroke();
       yPos += 12;
@@ -797,9 +825,18 @@ async function generateInvoicePDFBuffer(wo, parts, client, payments = [], shipme
       const hasPayments = payments.filter(p => !p.voidedAt).length > 0;
       doc.rect(350, yPos, 212, 26).fill(primaryColor).stroke();
       doc.font('Helvetica-Bold').fontSize(12).fillColor('white');
-      doc.text(hasPayments ? 'INVOICE TOTAL' : 'TOTAL DUE', 355, yPos + 7, { width: 100, lineBreak: false });
+      doc.text(`${hasPayments ? 'INVOICE TOTAL' : 'TOTAL DUE'}${foreign ? ' (USD)' : ''}`, 355, yPos + 7, { width: 120, lineBreak: false });
       doc.text(fmtCur(grandTotal), 458, yPos + 7, { width: 100, align: 'right', lineBreak: false });
       yPos += 34;
+      if (foreign) {
+        doc.rect(350, yPos - 4, 212, 22).fill('#e3f2fd');
+        doc.font('Helvetica-Bold').fontSize(11).fillColor(primaryColor);
+        doc.text(`${hasPayments ? 'INVOICE TOTAL' : 'TOTAL DUE'} (${fx.currency})`, 355, yPos + 2, { width: 120, lineBreak: false });
+        doc.text(currency.formatMoney(currency.convert(grandTotal, fx.rate), fx.currency), 458, yPos + 2, { width: 100, align: 'right', lineBreak: false });
+        yPos += 22;
+        doc.font('Helvetica').fontSize(8).fillColor(grayColor).text(currency.rateNote(fx.currency, fx.rate, fx.at), 350, yPos, { width: 212, align: 'right', lineBreak: false });
+        yPos += 14;
+      }
 
       // ── Credit Card Fee Totals ──
       if (!hasPayments) {
@@ -865,6 +902,7 @@ async function generateInvoicePDFBuffer(wo, parts, client, payments = [], shipme
           doc.rect(50, yPos, 512, 22).fill('#fff3e0');
           doc.font('Helvetica-Bold').fontSize(10).fillColor('#e65100');
           doc.text('BALANCE DUE', 55, yPos + 6, { lineBreak: false });
+          if (foreign) doc.text(`${currency.formatMoney(currency.convert(finalBalance, fx.rate), fx.currency)}  /`, 300, yPos + 6, { width: 190, align: 'right', lineBreak: false });
           doc.text(fmtCur(finalBalance), 498, yPos + 6, { width: 64, align: 'right', lineBreak: false });
         }
         yPos += 26;
@@ -1060,7 +1098,7 @@ router.get('/export/:id', async (req, res, next) => {
     const wo = await WorkOrder.findByPk(req.params.id, {
       include: [
         { model: WorkOrderPart, as: 'parts' },
-        { model: Client, as: 'client', attributes: ['id', 'name', 'taxStatus', 'paymentTerms', 'quickbooksName'] }
+        { model: Client, as: 'client', attributes: ['id', 'name', 'taxStatus', 'paymentTerms', 'quickbooksName', 'currency'] }
       ]
     });
     if (!wo) return res.status(404).json({ error: { message: 'Work order not found' } });
@@ -1092,7 +1130,7 @@ router.post('/export-batch', async (req, res, next) => {
       where: { id: { [Op.in]: workOrderIds } },
       include: [
         { model: WorkOrderPart, as: 'parts' },
-        { model: Client, as: 'client', attributes: ['id', 'name', 'taxStatus', 'paymentTerms', 'quickbooksName'] }
+        { model: Client, as: 'client', attributes: ['id', 'name', 'taxStatus', 'paymentTerms', 'quickbooksName', 'currency'] }
       ],
       order: [['drNumber', 'ASC']]
     });
@@ -1123,13 +1161,13 @@ router.get('/preview/:id', async (req, res, next) => {
     const wo = await WorkOrder.findByPk(req.params.id, {
       include: [
         { model: WorkOrderPart, as: 'parts' },
-        { model: Client, as: 'client', attributes: ['id', 'name', 'taxStatus', 'paymentTerms', 'quickbooksName'] }
+        { model: Client, as: 'client', attributes: ['id', 'name', 'taxStatus', 'paymentTerms', 'quickbooksName', 'currency'] }
       ]
     });
     if (!wo) return res.status(404).json({ error: { message: 'Work order not found' } });
     
     const client = await resolveClient(wo);
-    const result = await buildInvoiceIIF(wo, wo.parts || [], client, wo.invoiceNumber);
+    const result = await buildInvoiceIIF(wo, wo.parts || [], client, wo.invoiceNumber, { lockRate: false });
     if (!result) return res.json({ data: null, message: 'No billable items found' });
     
     // Warn if the client has no quickbooksName set. QuickBooks matches customers by exact name;
@@ -1143,6 +1181,13 @@ router.get('/preview/:id', async (req, res, next) => {
       });
     }
 
+    if (result.summary.exchangeRate && !result.summary.rateLocked) {
+      warnings.push({
+        type: 'exchange_rate_not_locked',
+        message: `This invoice is in ${result.summary.currency}. The preview uses today's rate (${currency.rateNote(result.summary.currency, result.summary.exchangeRate)}); it is locked on the order when the invoice is exported or its PDF is generated.`
+      });
+    }
+
     res.json({ data: { summary: result.summary, config: QB_CONFIG, rawIIF: result.lines.join('\n'), warnings } });
   } catch (error) { next(error); }
 });
@@ -1278,6 +1323,7 @@ router.post('/invoice-numbers/:id/void', async (req, res, next) => {
       const wo = await WorkOrder.findByPk(inv.workOrderId);
       if (wo && wo.invoiceNumber === String(inv.invoiceNumber)) {
         await wo.update({ invoiceNumber: null, invoiceDate: null, invoicedBy: null });
+        await ledger.post('invoice', wo.id, req.user?.username);
       }
     }
     
@@ -1369,6 +1415,7 @@ router.post('/import-invoice-numbers', async (req, res, next) => {
     }
 
     await transaction.commit();
+    for (const m of results.matched) await ledger.post('invoice', m.workOrderId, req.user?.username);
     res.json({
       data: results,
       message: `Imported ${results.matched.length} invoice number(s). ${results.notFound.length} DR number(s) not found. ${results.alreadySet.length} already set. ${results.matched.filter(r => r.qbNameSet || r.termsSet).length} client record(s) updated.`
@@ -1380,6 +1427,36 @@ router.post('/import-invoice-numbers', async (req, res, next) => {
 });
 
 
+// ==================== PAYMENT & CUSTOMER IMPORT ====================
+
+// POST /api/quickbooks/import/preview - Parse a QuickBooks Desktop IIF or CSV export (multipart
+// 'file', or JSON { content, filename }) and propose client matches and invoice applications.
+// Nothing is saved.
+router.post('/import/preview', upload.single('file'), async (req, res, next) => {
+  try {
+    const content = req.file ? req.file.buffer : req.body.content;
+    const filename = req.file ? req.file.originalname : (req.body.filename || '');
+    if (!content) return res.status(400).json({ error: { message: 'Upload an .iif or .csv file' } });
+    const data = await iifImport.preview(content, filename);
+    const s = data.summary;
+    res.json({ data, message: `${s.payments} payment(s): ${s.ready} ready, ${s.duplicates} already recorded, ${s.unmatched} unmatched; ${s.customers} customer(s), ${s.newCustomers} new` });
+  } catch (error) { next(error); }
+});
+
+// POST /api/quickbooks/import/commit - Record the previewed payments and customers the user kept.
+// Body: { payments: [...preview payments, edited], customers: [...preview customers, edited] }
+router.post('/import/commit', async (req, res, next) => {
+  try {
+    const data = await iifImport.commit(req.body || {}, req.user?.username);
+    let message = `Imported ${data.created.length} payment(s) totaling $${data.total.toFixed(2)}`;
+    if (data.customers.created.length || data.customers.updated.length) message += `, ${data.customers.created.length} client(s) created, ${data.customers.updated.length} updated`;
+    if (data.skipped.length) message += `, ${data.skipped.length} skipped`;
+    if (data.errors.length) message += ` — ${data.errors.length} failed`;
+    res.json({ data, message });
+  } catch (error) { next(error); }
+});
+
+
 // ==================== INVOICE PDF ====================
 
 // GET /api/quickbooks/invoice-pdf/:id — Generate + download invoice PDF
@@ -1391,7 +1468,7 @@ router.get('/invoice-pdf/:id', async (req, res, next) => {
       include: [
         { model: WorkOrderPart, as: 'parts' },
         ...paymentInclude,
-        { model: Client, as: 'client', attributes: ['id', 'name', 'taxStatus', 'paymentTerms', 'quickbooksName'] }
+        { model: Client, as: 'client', attributes: ['id', 'name', 'taxStatus', 'paymentTerms', 'quickbooksName', 'currency'] }
       ]
     });
     if (!wo) return res.status(404).json({ error: { message: 'Work order not found' } });
@@ -1418,10 +1495,12 @@ router.get('/invoice-pdf/:id', async (req, res, next) => {
       });
       wo.invoiceNumber = String(result);
       wo.invoiceDate = new Date();
+      await ledger.post('invoice', wo.id, req.user?.username);
     } else if (!wo.invoiceDate) {
       // Has invoice number but no date — set now
       await wo.update({ invoiceDate: new Date() });
       wo.invoiceDate = new Date();
+      await ledger.post('invoice', wo.id, req.user?.username);
     }
     const client = await resolveClient(wo);
     let shipmentCharges1 = [];
@@ -1489,7 +1568,7 @@ router.post('/export-batch-with-reconciliation', async (req, res, next) => {
       where: { id: { [Op.in]: workOrderIds } },
       include: [
         { model: WorkOrderPart, as: 'parts' },
-        { model: Client, as: 'client', attributes: ['id', 'name', 'taxStatus', 'paymentTerms', 'quickbooksName'] }
+        { model: Client, as: 'client', attributes: ['id', 'name', 'taxStatus', 'paymentTerms', 'quickbooksName', 'currency'] }
       ],
       order: [['drNumber', 'ASC']]
     });
@@ -1569,7 +1648,7 @@ async function regenerateInvoicePDF(workOrderId) {
   const wo = await WorkOrder.findByPk(workOrderId, {
     include: [
       { model: WorkOrderPart, as: 'parts' },
-      { model: Client, as: 'client', attributes: ['id', 'name', 'taxStatus', 'paymentTerms', 'quickbooksName'] }
+      { model: Client, as: 'client', attributes: ['id', 'name', 'taxStatus', 'paymentTerms', 'quickbooksName', 'currency'] }
     ]
   });
   if (!wo || !wo.invoiceNumber) return;
@@ -1605,7 +1684,7 @@ router.post('/invoice-email/:id', async (req, res, next) => {
     const wo = await WorkOrder.findByPk(req.params.id, {
       include: [
         { model: WorkOrderPart, as: 'parts' },
-        { model: Client, as: 'client', attributes: ['id','name','apEmail','contactEmail','quickbooksName'] }
+        { model: Client, as: 'client', attributes: ['id','name','apEmail','contactEmail','quickbooksName','currency'] }
       ]
     });
     if (!wo) return res.status(404).json({ error: { message: 'Work order not found' } });
@@ -1813,4 +1892,6 @@ router.put('/invoice-number/:id', async (req, res, next) => {
 });
 
 router.regenerateInvoicePDF = regenerateInvoicePDF;
+router.buildInvoiceIIF = buildInvoiceIIF;
+router.getNetDays = getNetDays;
 module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const receivables = require('../services/receivables');
+
+const router = express.Router();
+
+// GET /api/receivables/aging - Open invoices by client in aging buckets. Query: asOf, clientId
+router.get('/aging', async (req, res, next) => {
+  try {
+    res.json({ data: await receivables.aging({ asOf: req.query.asOf, clientId: req.query.clientId }) });
+  } catch (error) { next(error); }
+});
+
+// GET /api/receivables/settings - Dunning steps, email account and switches
+router.get('/settings', async (req, res, next) => {
+  try {
+    res.json({ data: await receivables.loadSettings() });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/receivables/settings - Body: { enabled, statementsEnabled, defaultNetDays, minBalance, minGapDays, gmailAccountId, cc, steps }
+router.put('/settings', async (req, res, next) => {
+  try {
+    res.json({ data: await receivables.saveSettings(req.body || {}, req.user?.username), message: 'AR settings saved' });
+  } catch (error) { next(error); }
+});
+
+// GET /api/receivables/dunning/preview - Who the next run would email, and with which step
+router.get('/dunning/preview', async (req, res, next) => {
+  try {
+    res.json({ data: await receivables.runDunning({ asOf: req.query.asOf, dryRun: true }) });
+  } catch (error) { next(error); }
+});
+
+// POST /api/receivables/dunning/run - Send every reminder that's due now
+router.post('/dunning/run', async (req, res, next) => {
+  try {
+    const data = await receivables.runDunning({ by: req.user?.username });
+    const sent = data.notices.filter(n => n.status === 'sent').length;
+    res.json({ data, message: `${sent} reminder(s) sent${sent < data.notices.length ? `, ${data.notices.length - sent} not sent` : ''}` });
+  } catch (error) { next(error); }
+});
+
+// GET /api/receivables/notices - Log of reminders and statements. Query: clientId, status, limit
+router.get('/notices', async (req, res, next) => {
+  try {
+    const { clientId, status, limit } = req.query;
+    res.json({ data: await receivables.listNotices({ clientId, status, limit }) });
+  } catch (error) { next(error); }
+});
+
+// POST /api/receivables/statements/send - Email statements now. Body: { clientId } (omit for everyone with a balance)
+router.post('/statements/send', async (req, res, next) => {
+  try {
+    const data = await receivables.sendStatements({ clientId: req.body?.clientId, by: req.user?.username });
+    const sent = data.notices.filter(n => n.status === 'sent').length;
+    res.json({ data, message: `${sent} statement(s) sent${sent < data.notices.length ? `, ${data.notices.length - sent} not sent` : ''}` });
+  } catch (error) { next(error); }
+});
+
+// POST /api/receivables/clients/:id/remind - Send one dunning step now. Body: { stepKey }
+router.post('/clients/:id/remind', async (req, res, next) => {
+  try {
+    const notice = await receivables.sendReminder(req.params.id, req.body?.stepKey, req.user?.username);
+    res.json({ data: notice, message: notice.status === 'sent' ? `${notice.stepName} sent to ${notice.sentTo}` : `Not sent: ${notice.error}` });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/receivables/clients/:id/credit-hold - Body: { hold: true|false, reason }
+router.put('/clients/:id/credit-hold', async (req, res, next) => {
+  try {
+    const client = await receivables.setCreditHold(req.params.id, { hold: !!req.body?.hold, reason: req.body?.reason }, req.user?.username);
+    res.json({ data: client, message: client.creditHold ? `${client.name} is on credit hold` : `${client.name} released from credit hold` });
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const multer = require('multer');
+const { TaxExemptCertificate } = require('../models');
+const salesTax = require('../services/salesTax');
+
+const router = express.Router();
+const certUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
+
+// GET /api/sales-tax/settings - Default rate, taxability by kind, shop address (the pick-up jurisdiction)
+router.get('/settings', async (req, res, next) => {
+  try {
+    res.json({ data: await salesTax.loadSettings() });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/sales-tax/settings - Body: { defaultTaxRate?, taxability?: { material, labor, service, freight }, shopAddress? }
+router.put('/settings', async (req, res, next) => {
+  try {
+    const data = await salesTax.saveSettings(req.body || {}, req.user?.username);
+    res.json({ data, message: 'Sales tax settings saved' });
+  } catch (error) { next(error); }
+});
+
+// GET /api/sales-tax/rates - Every rate period, newest first within each jurisdiction. Query: current=true for today's only
+router.get('/rates', async (req, res, next) => {
+  try {
+    let rows = await salesTax.loadRates();
+    if (req.query.current === 'true') {
+      const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+      rows = rows.filter(r => r.effectiveFrom <= today && (!r.effectiveTo || r.effectiveTo >= today));
+    }
+    res.json({ data: rows });
+  } catch (error) { next(error); }
+});
+
+// POST /api/sales-tax/rates - A new rate period. Body: { code, name, state, city?, zips?, rate, effectiveFrom, effectiveTo?, components?, taxability?, notes? }
+// The period it replaces is closed the day before.
+router.post('/rates', async (req, res, next) => {
+  try {
+    const rate = await salesTax.addRate(req.body || {}, req.user?.username);
+    res.status(201).json({ data: rate, message: `${rate.code} at ${parseFloat(rate.rate)}% from ${rate.effectiveFrom}` });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/sales-tax/rates/:id - Correct a rate period in place
+router.put('/rates/:id', async (req, res, next) => {
+  try {
+    const rate = await salesTax.updateRate(req.params.id, req.body || {}, req.user?.username);
+    res.json({ data: rate, message: 'Tax rate updated' });
+  } catch (error) { next(error); }
+});
+
+// DELETE /api/sales-tax/rates/:id - Remove a period entered by mistake
+router.delete('/rates/:id', async (req, res, next) => {
+  try {
+    const data = await salesTax.removeRate(req.params.id, req.user?.username);
+    res.json({ data, message: data.extended ? `Tax rate removed — ${data.extended.code} from ${data.extended.effectiveFrom} runs on` : 'Tax rate removed' });
+  } catch (error) { next(error); }
+});
+
+// GET /api/sales-tax/lookup - The rate for a ship-to. Query: address, date?
+router.get('/lookup', async (req, res, next) => {
+  try {
+    const place = salesTax.parseAddress(req.query.address);
+    const data = await salesTax.rateFor({ address: req.query.address, date: req.query.date });
+    res.json({ data: { ...data, place } });
+  } catch (error) { next(error); }
+});
+
+// GET /api/sales-tax/certificates - Query: clientId, expiring=true (within the reminder window), status
+router.get('/certificates', async (req, res, next) => {
+  try {
+    const where = {};
+    if (req.query.clientId) where.clientId = req.query.clientId;
+    if (req.query.status) where.status = req.query.status;
+    let certs = await salesTax.loadCertificates(where);
+    if (req.query.expiring === 'true') {
+      const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+      const horizon = new Date(Date.now() + salesTax.REMINDER_DAYS * 86400000).toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+      certs = certs.filter(c => c.status !== 'revoked' && c.expiresAt && c.expiresAt >= today && c.expiresAt <= horizon);
+    }
+    res.json({ data: certs });
+  } catch (error) { next(error); }
+});
+
+// POST /api/sales-tax/certificates - Upload a certificate (field "file"). Body: { clientId | clientName, kind, certificateNumber, state, issuedAt, expiresAt, notes }
+router.post('/certificates', certUpload.single('file'), async (req, res, next) => {
+  try {
+    const cert = await salesTax.uploadCertificate(req.file, req.body || {}, req.user?.username);
+    res.status(201).json({ data: cert, message: `Certificate saved for ${cert.clientName}` });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/sales-tax/certificates/:id - Body: { certificateNumber, kind, state, issuedAt, expiresAt, notes, status: 'active' | 'revoked' }
+router.put('/certificates/:id', async (req, res, next) => {
+  try {
+    const cert = await salesTax.updateCertificate(req.params.id, req.body || {});
+    res.json({ data: cert, message: cert.status === 'revoked' ? 'Certificate revoked' : 'Certificate updated' });
+  } catch (error) { next(error); }
+});
+
+// GET /api/sales-tax/certificates/:id/file - The certificate file itself
+router.get('/certificates/:id/file', async (req, res, next) => {
+  try {
+    const cert = await TaxExemptCertificate.findByPk(req.params.id);
+    if (!cert) return res.status(404).json({ error: { message: 'Certificate not found' } });
+    if (!cert.storageId && !cert.url) return res.status(404).json({ error: { message: 'No file was uploaded for this certificate' } });
+    const fileStorage = require('../utils/storage');
+    const streamed = await fileStorage.streamToResponse(cert.storageId, res, { filename: cert.originalName || 'certificate.pdf', contentType: cert.mimeType });
+    if (!streamed) res.redirect(cert.url);
+  } catch (error) { next(error); }
+});
+
+// DELETE /api/sales-tax/certificates/:id - Remove a mistaken upload. An expired or withdrawn certificate
+// should be revoked instead, so past exempt sales still show what covered them.
+router.delete('/certificates/:id', async (req, res, next) => {
+  try {
+    const cert = await TaxExemptCertificate.findByPk(req.params.id);
+    if (!cert) return res.status(404).json({ error: { message: 'Certificate not found' } });
+    await cert.destroy();
+    res.json({ message: 'Certificate deleted' });
+  } catch (error) { next(error); }
+});
+
+// GET /api/sales-tax/report - The quarterly return. Query: year, quarter
+router.get('/report', async (req, res, next) => {
+  try {
+    const { report, invoices } = await salesTax.quarterlyReport(req.query.year, req.query.quarter);
+    res.json({ data: { ...report, detail: invoices } });
+  } catch (error) { next(error); }
+});
+
+// GET /api/sales-tax/report.csv - The same, one row per invoice
+router.get('/report.csv', async (req, res, next) => {
+  try {
+    const { report, invoices } = await salesTax.quarterlyReport(req.query.year, req.query.quarter);
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="sales-tax-${report.label.replace(' ', '-')}.csv"`);
+    res.send(salesTax.reportCsv(invoices));
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
@@ -1215,3 +1215,4 @@ router.get('/ai-usage', async (req, res, next) => {
 });
 
 module.exports.sendScheduleEmail = sendScheduleEmail;
+module.exports.DEFAULT_LOCATIONS = DEFAULT_LOCATIONS;
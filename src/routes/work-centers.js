@@ -0,0 +1,149 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { WorkCenter, WorkCenterDowntime } = require('../models');
+const { checkPartCapacity } = require('../services/workCenters');
+
+const router = express.Router();
+
+const KINDS = ['plate_roll', 'angle_roll', 'cone_roll', 'press_brake', 'saw', 'other'];
+
+// Pull the editable fields off a request body. Limits are numbers or null (null = no limit recorded).
+function centerFields(body) {
+  const out = {};
+  const dec = (v) => (v === '' || v === null ? null : parseFloat(v));
+  if (body.name !== undefined) out.name = String(body.name).trim();
+  if (body.kind !== undefined) out.kind = body.kind || null;
+  if (body.partTypes !== undefined) out.partTypes = Array.isArray(body.partTypes) ? body.partTypes.filter(Boolean) : [];
+  for (const f of ['maxThickness', 'maxWidth', 'maxLength', 'minDiameter', 'maxWeightLbs', 'hoursPerDay']) {
+    if (body[f] !== undefined) out[f] = dec(body[f]);
+  }
+  if (body.sortOrder !== undefined) out.sortOrder = parseInt(body.sortOrder) || 0;
+  if (body.isActive !== undefined) out.isActive = !!body.isActive;
+  if (body.notes !== undefined) out.notes = body.notes || null;
+  return out;
+}
+
+function validate(fields) {
+  if (fields.name !== undefined && !fields.name) return 'Name is required';
+  if (fields.kind && !KINDS.includes(fields.kind)) return `kind must be one of ${KINDS.join(', ')}`;
+  for (const f of ['maxThickness', 'maxWidth', 'maxLength', 'minDiameter', 'maxWeightLbs', 'hoursPerDay']) {
+    if (fields[f] !== undefined && fields[f] !== null && (isNaN(fields[f]) || fields[f] < 0)) return `${f} must be a positive number`;
+  }
+  if (fields.hoursPerDay != null && fields.hoursPerDay > 24) return 'hoursPerDay cannot exceed 24';
+  return null;
+}
+
+// GET /api/work-centers - List machines (active only unless ?active=false)
+router.get('/', async (req, res, next) => {
+  try {
+    const where = {};
+    if (req.query.active !== 'false') where.isActive = true;
+    const centers = await WorkCenter.findAll({ where, order: [['sortOrder', 'ASC'], ['name', 'ASC']] });
+    res.json({ data: centers });
+  } catch (error) { next(error); }
+});
+
+// GET /api/work-centers/check - Does any machine fit this part?
+// Query: partType, thickness, width, length, diameter, radius, material
+router.get('/check', async (req, res, next) => {
+  try {
+    if (!req.query.partType) return res.status(400).json({ error: { message: 'partType is required' } });
+    const result = await checkPartCapacity(req.query);
+    res.json({ data: result });
+  } catch (error) { next(error); }
+});
+
+// GET /api/work-centers/downtime - Maintenance windows across all machines (upcoming by default)
+router.get('/downtime', async (req, res, next) => {
+  try {
+    const where = {};
+    if (req.query.all !== 'true') where.endAt = { [Op.gte]: new Date() };
+    const rows = await WorkCenterDowntime.findAll({
+      where,
+      include: [{ model: WorkCenter, as: 'workCenter', attributes: ['id', 'name'] }],
+      order: [['startAt', 'ASC']]
+    });
+    res.json({ data: rows });
+  } catch (error) { next(error); }
+});
+
+// GET /api/work-centers/:id - One machine with its upcoming downtime
+router.get('/:id', async (req, res, next) => {
+  try {
+    const center = await WorkCenter.findByPk(req.params.id, {
+      include: [{ model: WorkCenterDowntime, as: 'downtime', required: false, where: { endAt: { [Op.gte]: new Date() } } }],
+      order: [[{ model: WorkCenterDowntime, as: 'downtime' }, 'startAt', 'ASC']]
+    });
+    if (!center) return res.status(404).json({ error: { message: 'Work center not found' } });
+    res.json({ data: center });
+  } catch (error) { next(error); }
+});
+
+// POST /api/work-centers - Register a machine
+router.post('/', async (req, res, next) => {
+  try {
+    const fields = centerFields(req.body);
+    if (!fields.name) return res.status(400).json({ error: { message: 'Name is required' } });
+    const problem = validate(fields);
+    if (problem) return res.status(400).json({ error: { message: problem } });
+    const center = await WorkCenter.create(fields);
+    res.status(201).json({ data: center, message: `${center.name} added` });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/work-centers/:id - Update limits, part types, hours
+router.put('/:id', async (req, res, next) => {
+  try {
+    const center = await WorkCenter.findByPk(req.params.id);
+    if (!center) return res.status(404).json({ error: { message: 'Work center not found' } });
+    const fields = centerFields(req.body);
+    const problem = validate(fields);
+    if (problem) return res.status(400).json({ error: { message: problem } });
+    await center.update(fields);
+    res.json({ data: center, message: `${center.name} updated` });
+  } catch (error) { next(error); }
+});
+
+// DELETE /api/work-centers/:id - Retire a machine. Part routings reference it by id, so it is
+// deactivated rather than deleted; existing routings keep their stamped name.
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const center = await WorkCenter.findByPk(req.params.id);
+    if (!center) return res.status(404).json({ error: { message: 'Work center not found' } });
+    await center.update({ isActive: false });
+    res.json({ message: `${center.name} retired` });
+  } catch (error) { next(error); }
+});
+
+// POST /api/work-centers/:id/downtime - Schedule a maintenance window
+// Body: { startAt, endAt, reason }
+router.post('/:id/downtime', async (req, res, next) => {
+  try {
+    const center = await WorkCenter.findByPk(req.params.id);
+    if (!center) return res.status(404).json({ error: { message: 'Work center not found' } });
+    const startAt = new Date(req.body.startAt);
+    const endAt = new Date(req.body.endAt);
+    if (isNaN(startAt.getTime()) || isNaN(endAt.getTime())) return res.status(400).json({ error: { message: 'startAt and endAt are required dates' } });
+    if (endAt <= startAt) return res.status(400).json({ error: { message: 'endAt must be after startAt' } });
+    const row = await WorkCenterDowntime.create({
+      workCenterId: center.id,
+      startAt,
+      endAt,
+      reason: req.body.reason || null,
+      createdBy: req.user?.username || req.operatorName || null
+    });
+    res.status(201).json({ data: row, message: `Downtime scheduled for ${center.name}` });
+  } catch (error) { next(error); }
+});
+
+// DELETE /api/work-centers/downtime/:downtimeId - Cancel a maintenance window
+router.delete('/downtime/:downtimeId', async (req, res, next) => {
+  try {
+    const row = await WorkCenterDowntime.findByPk(req.params.downtimeId);
+    if (!row) return res.status(404).json({ error: { message: 'Downtime not found' } });
+    await row.destroy();
+    res.json({ message: 'Downtime removed' });
+  } catch (error) { next(error); }
+});
+
+module.exports = router;
@@ -17,6 +17,11 @@ const fs = require('fs');
 const https = require('https');
 const http = require('http');
 const { computeDisplayNumbers } = require('../services/partNumbering');
+const rollingGeometry = require('../services/rollingGeometry');
+const coneLayoutService = require('../services/coneLayout');
+const salesTax = require('../services/salesTax');
+const ledger = require('../services/ledger');
+const { creditHoldWarning } = require('../services/receivables');
 const { v4: uuidv4 } = require('uuid');
 const cloudinary = require('cloudinary').v2;
 const fileStorage = require('../utils/storage');
@@ -455,19 +460,127 @@ function refreshDerivedFields(part) {
   return part;
 }
 
+/**
+ * The lines a material PO prints: parts sorted with their services, each with _poDesc and _poQty
+ * (stock to buy), identical materials merged into one line (_mergedPartNumbers, _mergedPartIds,
+ * _mergedCutFiles). Shared by the PO PDF and the AP three-way match (services/payables.js).
+ */
+function purchaseOrderLines(parts) {
+  const PART_LABELS = {
+    plate_roll: 'Plate Roll', angle_roll: 'Angle Roll', pipe_roll: 'Pipes / Tubes / Round',
+    tube_roll: 'Square & Rect Tube Roll', channel_roll: 'Channel Roll', beam_roll: 'Beam Roll',
+    flat_bar: 'Flat Bar Roll', flat_stock: 'Flat Stock', cone_roll: 'Cone Roll',
+    tee_bar: 'Tee Bar Roll', press_brake: 'Press Brake', fab_service: 'Fabrication Service',
+    shop_rate: 'Shop Rate', shaped_plate: 'Shaped Plate', rush_service: 'Rush / Emergency Service', other: 'Other'
+  };
+
+  const sortedAll = [...parts].sort((a, b) => (a.partNumber || 0) - (b.partNumber || 0));
+  // Group services under parent parts
+  const mergedAll = sortedAll.map(p => {
+    const o = p.toJSON ? p.toJSON() : { ...p };
+    if (o.formData && typeof o.formData === 'object') Object.assign(o, o.formData);
+    return o;
+  });
+  const regParts = mergedAll.filter(p => !['fab_service', 'shop_rate'].includes(p.partType) || !p._linkedPartId);
+  const svcParts = mergedAll.filter(p => ['fab_service', 'shop_rate'].includes(p.partType) && p._linkedPartId);
+  const sortedParts = [];
+  const usedSvc = new Set();
+  regParts.forEach(rp => {
+    sortedParts.push(rp);
+    svcParts.forEach(sp => {
+      if (String(sp._linkedPartId) === String(rp.id) && !usedSvc.has(sp.id)) { sortedParts.push(sp); usedSvc.add(sp.id); }
+    });
+  });
+  svcParts.forEach(sp => { if (!usedSvc.has(sp.id)) sortedParts.push(sp); });
+
+  sortedParts.forEach((partObj, index) => {
+
+    let desc = partObj._materialDescription || partObj.materialDescription || '';
+    // For cones, rebuild from fields to avoid stale/garbled data
+    if (partObj.partType === 'cone_roll') {
+      const thk = partObj.thickness || '';
+      const ldType = coneSpecLabel(partObj._coneLargeDiaType, partObj._coneLargeDiaMeasure);
+      const sdType = coneSpecLabel(partObj._coneSmallDiaType, partObj._coneSmallDiaMeasure);
+      const ld = parseFloat(partObj._coneLargeDia) || 0;
+      const sd = parseFloat(partObj._coneSmallDia) || 0;
+      const vh = parseFloat(partObj._coneHeight) || 0;
+      const grade = partObj.material || '';
+      const origin = partObj._materialOrigin || '';
+      desc = (thk ? thk + ' ' : '') + 'Cone - ';
+      if (ld && sd && vh) desc += ld.toFixed(1) + '" ' + ldType + ' x ' + sd.toFixed(1) + '" ' + sdType + ' x ' + vh.toFixed(1) + '" VH';
+      if (grade) desc += ' ' + grade;
+      if (origin) desc += ' ' + origin;
+    }
+    if (!desc) {
+      const pieces = [];
+      if (partObj.sectionSize) {
+        const sizeDisplay = partObj.partType === 'pipe_roll' && partObj._schedule ? partObj.sectionSize.replace(' Pipe', ` Sch ${partObj._schedule} Pipe`) : partObj.sectionSize;
+        pieces.push(sizeDisplay);
+      }
+      if (partObj.thickness) pieces.push(partObj.thickness);
+      if (partObj.width) pieces.push(`x ${partObj.width}"`);
+      if (partObj.length) pieces.push(`x ${partObj.length}`);
+      if (partObj.outerDiameter) pieces.push(`${partObj.outerDiameter}" OD`);
+      if (partObj.wallThickness && partObj.wallThickness !== 'SOLID') pieces.push(`x ${partObj.wallThickness} wall`);
+      if (partObj.wallThickness === 'SOLID') pieces.push('Solid');
+      if (partObj.material) pieces.push(partObj.material);
+      if (partObj.partType) pieces.push(PART_LABELS[partObj.partType] || partObj.partType.replace(/_/g, ' '));
+      desc = pieces.join(' ') || 'N/A';
+    }
+    partObj._poDesc = desc;
+    // PO quantity = STOCK to buy, not finished-piece count.
+    // For complete-ring parts, `quantity` is the number of finished RINGS, and the raw stock to
+    // purchase is the sticks/lengths count. Different roll forms store that under different keys:
+    // PlateRollForm -> _stockLengthsNeeded; all other roll forms -> _ringSticksNeeded. Prefer the
+    // stock/stick count; only fall back to `quantity` when no stock count exists (non-ring parts
+    // where quantity already IS the stock count).
+    const stockCount = partObj._stockLengthsNeeded || partObj._ringSticksNeeded;
+    partObj._poQty = (partObj._completeRings && stockCount) ? stockCount
+      : (stockCount || partObj.quantity || 1);
+  });
+
+  // Merge identical materials into single PO lines
+  // Build material key from description (strip qty prefix) for mergeable part types
+  const MERGEABLE_TYPES = ['pipe_roll', 'tube_roll', 'flat_bar', 'channel_roll', 'beam_roll', 'tee_bar', 'angle_roll'];
+  const mergedLines = [];
+  const mergeMap = new Map();
+
+  sortedParts.forEach(partObj => {
+    if (!MERGEABLE_TYPES.includes(partObj.partType)) {
+      mergedLines.push(partObj);
+      return;
+    }
+    // Build key from material description without qty prefix
+    const matKey = (partObj._poDesc || '').replace(/^\d+\s*[×x]\s*\d+['"]\s*length\(s\):\s*/i, '').replace(/^\d+pc:\s*/i, '').trim().toLowerCase();
+    if (!matKey) { mergedLines.push(partObj); return; }
+
+    if (mergeMap.has(matKey)) {
+      const existing = mergeMap.get(matKey);
+      existing._poQty += (partObj._poQty || 1);
+      existing._mergedPartNumbers.push(partObj.partNumber);
+      existing._mergedPartIds.push(partObj.id);
+      // Collect all cut files
+      if (partObj.cutFileReference && !existing._mergedCutFiles.includes(partObj.cutFileReference)) {
+        existing._mergedCutFiles.push(partObj.cutFileReference);
+      }
+    } else {
+      partObj._mergedPartNumbers = [partObj.partNumber];
+      partObj._mergedPartIds = [partObj.id];
+      partObj._mergedCutFiles = partObj.cutFileReference ? [partObj.cutFileReference] : [];
+      mergeMap.set(matKey, partObj);
+      mergedLines.push(partObj);
+    }
+  });
+
+  return mergedLines;
+}
+
 // Helper function to generate Purchase Order PDF
 async function generatePurchaseOrderPDF(poNumber, supplier, parts, workOrder) {
   const PDFDocument = require('pdfkit');
   
   return new Promise((resolve, reject) => {
     try {
-      const PART_LABELS = {
-        plate_roll: 'Plate Roll', angle_roll: 'Angle Roll', pipe_roll: 'Pipes / Tubes / Round',
-        tube_roll: 'Square & Rect Tube Roll', channel_roll: 'Channel Roll', beam_roll: 'Beam Roll',
-        flat_bar: 'Flat Bar Roll', flat_stock: 'Flat Stock', cone_roll: 'Cone Roll',
-        tee_bar: 'Tee Bar Roll', press_brake: 'Press Brake', fab_service: 'Fabrication Service',
-        shop_rate: 'Shop Rate', shaped_plate: 'Shaped Plate', rush_service: 'Rush / Emergency Service', other: 'Other'
-      };
       const doc = new PDFDocument({ margin: 50, size: 'letter' });
       const chunks = [];
       const W = 512; // usable width (612 - 100 margins)
@@ -562,101 +675,7 @@ async function generatePurchaseOrderPDF(poNumber, supplier, parts, workOrder) {
       let rowY = tableY + 18;
       doc.font('Helvetica').fillColor('#000');
       
-      const sortedAll = [...parts].sort((a, b) => (a.partNumber || 0) - (b.partNumber || 0));
-      // Group services under parent parts
-      const mergedAll = sortedAll.map(p => {
-        const o = p.toJSON ? p.toJSON() : { ...p };
-        if (o.formData && typeof o.formData === 'object') Object.assign(o, o.formData);
-        return o;
-      });
-      const regParts = mergedAll.filter(p => !['fab_service', 'shop_rate'].includes(p.partType) || !p._linkedPartId);
-      const svcParts = mergedAll.filter(p => ['fab_service', 'shop_rate'].includes(p.partType) && p._linkedPartId);
-      const sortedParts = [];
-      const usedSvc = new Set();
-      regParts.forEach(rp => {
-        sortedParts.push(rp);
-        svcParts.forEach(sp => {
-          if (String(sp._linkedPartId) === String(rp.id) && !usedSvc.has(sp.id)) { sortedParts.push(sp); usedSvc.add(sp.id); }
-        });
-      });
-      svcParts.forEach(sp => { if (!usedSvc.has(sp.id)) sortedParts.push(sp); });
-      
-      sortedParts.forEach((partObj, index) => {
-        
-        let desc = partObj._materialDescription || partObj.materialDescription || '';
-        // For cones, rebuild from fields to avoid stale/garbled data
-        if (partObj.partType === 'cone_roll') {
-          const thk = partObj.thickness || '';
-          const ldType = coneSpecLabel(partObj._coneLargeDiaType, partObj._coneLargeDiaMeasure);
-          const sdType = coneSpecLabel(partObj._coneSmallDiaType, partObj._coneSmallDiaMeasure);
-          const ld = parseFloat(partObj._coneLargeDia) || 0;
-          const sd = parseFloat(partObj._coneSmallDia) || 0;
-          const vh = parseFloat(partObj._coneHeight) || 0;
-          const grade = partObj.material || '';
-          const origin = partObj._materialOrigin || '';
-          desc = (thk ? thk + ' ' : '') + 'Cone - ';
-          if (ld && sd && vh) desc += ld.toFixed(1) + '" ' + ldType + ' x ' + sd.toFixed(1) + '" ' + sdType + ' x ' + vh.toFixed(1) + '" VH';
-          if (grade) desc += ' ' + grade;
-          if (origin) desc += ' ' + origin;
-        }
-        if (!desc) {
-          const pieces = [];
-          if (partObj.sectionSize) {
-            const sizeDisplay = partObj.partType === 'pipe_roll' && partObj._schedule ? partObj.sectionSize.replace(' Pipe', ` Sch ${partObj._schedule} Pipe`) : partObj.sectionSize;
-            pieces.push(sizeDisplay);
-          }
-          if (partObj.thickness) pieces.push(partObj.thickness);
-          if (partObj.width) pieces.push(`x ${partObj.width}"`);
-          if (partObj.length) pieces.push(`x ${partObj.length}`);
-          if (partObj.outerDiameter) pieces.push(`${partObj.outerDiameter}" OD`);
-          if (partObj.wallThickness && partObj.wallThickness !== 'SOLID') pieces.push(`x ${partObj.wallThickness} wall`);
-          if (partObj.wallThickness === 'SOLID') pieces.push('Solid');
-          if (partObj.material) pieces.push(partObj.material);
-          if (partObj.partType) pieces.push(PART_LABELS[partObj.partType] || partObj.partType.replace(/_/g, ' '));
-          desc = pieces.join(' ') || 'N/A';
-        }
-        partObj._poDesc = desc;
-        // PO quantity = STOCK to buy, not finished-piece count.
-        // For complete-ring parts, `quantity` is the number of finished RINGS, and the raw stock to
-        // purchase is the sticks/lengths count. Different roll forms store that under different keys:
-        // PlateRollForm -> _stockLengthsNeeded; all other roll forms -> _ringSticksNeeded. Prefer the
-        // stock/stick count; only fall back to `quantity` when no stock count exists (non-ring parts
-        // where quantity already IS the stock count).
-        const stockCount = partObj._stockLengthsNeeded || partObj._ringSticksNeeded;
-        partObj._poQty = (partObj._completeRings && stockCount) ? stockCount
-          : (stockCount || partObj.quantity || 1);
-      });
-
-      // Merge identical materials into single PO lines
-      // Build material key from description (strip qty prefix) for mergeable part types
-      const MERGEABLE_TYPES = ['pipe_roll', 'tube_roll', 'flat_bar', 'channel_roll', 'beam_roll', 'tee_bar', 'angle_roll'];
-      const mergedLines = [];
-      const mergeMap = new Map();
-      
-      sortedParts.forEach(partObj => {
-        if (!MERGEABLE_TYPES.includes(partObj.partType)) {
-          mergedLines.push(partObj);
-          return;
-        }
-        // Build key from material description without qty prefix
-        const matKey = (partObj._poDesc || '').replace(/^\d+\s*[×x]\s*\d+['"]\s*length\(s\):\s*/i, '').replace(/^\d+pc:\s*/i, '').trim().toLowerCase();
-        if (!matKey) { mergedLines.push(partObj); return; }
-        
-        if (mergeMap.has(matKey)) {
-          const existing = mergeMap.get(matKey);
-          existing._poQty += (partObj._poQty || 1);
-          existing._mergedPartNumbers.push(partObj.partNumber);
-          // Collect all cut files
-          if (partObj.cutFileReference && !existing._mergedCutFiles.includes(partObj.cutFileReference)) {
-            existing._mergedCutFiles.push(partObj.cutFileReference);
-          }
-        } else {
-          partObj._mergedPartNumbers = [partObj.partNumber];
-          partObj._mergedCutFiles = partObj.cutFileReference ? [partObj.cutFileReference] : [];
-          mergeMap.set(matKey, partObj);
-          mergedLines.push(partObj);
-        }
-      });
+      const mergedLines = purchaseOrderLines(parts);
 
       mergedLines.forEach((partObj, index) => {
         const desc = partObj._poDesc || 'N/A';
@@ -740,7 +759,7 @@ async function generatePurchaseOrderPDF(poNumber, supplier, parts, workOrder) {
       
       // Any parts with cut files — add a prominent note
       let lastNoteY = notesY2 + 38;
-      const partsWithCutFiles = sortedParts.filter(p => {
+      const partsWithCutFiles = parts.filter(p => {
         const obj = p.toJSON ? p.toJSON() : { ...p };
         if (obj.formData) Object.assign(obj, obj.formData);
         return obj.cutFileReference;
@@ -1631,7 +1650,8 @@ router.post('/', async (req, res, next) => {
       status = 'received',
       shipmentIds = [],
       assignDRNumber = false,
-      customDRNumber = null
+      customDRNumber = null,
+      shipToAddress = null
     } = req.body;
 
     if (!clientName && !clientId) {
@@ -1649,15 +1669,17 @@ router.post('/', async (req, res, next) => {
       resolvedClient = await Client.findByPk(resolvedClientId);
     }
 
-    // Determine tax rate: client-specific > admin default
+    // Determine tax rate: client-specific > ship-to jurisdiction (the shop's for a pick-up) > admin default
     let effectiveTaxRate = null;
+    let taxJurisdiction = null;
     if (resolvedClient?.customTaxRate) {
       effectiveTaxRate = parseFloat(resolvedClient.customTaxRate) * 100; // stored as decimal, convert to %
     }
     if (!effectiveTaxRate) {
       try {
-        const taxSetting = await AppSettings.findOne({ where: { key: 'tax_settings' } });
-        effectiveTaxRate = taxSetting?.value?.defaultTaxRate || 9.75;
+        const j = await salesTax.rateFor({ address: shipToAddress });
+        effectiveTaxRate = j.rate;
+        taxJurisdiction = j.code;
       } catch (e) { effectiveTaxRate = 9.75; }
     }
 
@@ -1687,6 +1709,8 @@ router.post('/', async (req, res, next) => {
         promisedDate: promisedDate || null,
         status,
         taxRate: effectiveTaxRate,
+        shipToAddress: shipToAddress || null,
+        taxJurisdiction,
         allMaterialReceived: true
       }, { transaction });
 
@@ -1770,7 +1794,8 @@ router.post('/', async (req, res, next) => {
         data: createdOrder,
         message: drNumber 
           ? `Work order created with DR-${drNumber}`
-          : 'Work order created successfully'
+          : 'Work order created successfully',
+        warning: creditHoldWarning(resolvedClient)
       });
     } catch (err) {
       await transaction.rollback();
@@ -1946,6 +1971,7 @@ router.post('/:id/invoice', upload.single('invoicePdf'), async (req, res, next)
         }
       }
     } catch (e) { console.warn('[invoice] could not record InvoiceNumber tracking row:', e.message); }
+    await ledger.post('invoice', workOrder.id, req.user?.username);
     
     const updated = await WorkOrder.findByPk(req.params.id, {
       include: [{ model: WorkOrderPart, as: 'parts', attributes: ['id', 'partNumber', 'partType', 'partTotal', 'quantity'] }]
@@ -2000,6 +2026,7 @@ router.delete('/:id/invoice', async (req, res, next) => {
       invoiceNumber: null, invoiceDate: null, invoicedBy: null,
       invoicePdfUrl: null, invoicePdfCloudinaryId: null
     });
+    await ledger.post('invoice', workOrder.id, req.user?.username);
     res.json({ data: workOrder, message: 'Invoice cleared' });
   } catch (error) { next(error); }
 });
@@ -2060,6 +2087,7 @@ router.post('/:id/mark-invoice-sent', upload.single('invoicePdf'), async (req, r
     }
     
     await workOrder.update(updates);
+    await ledger.post('invoice', workOrder.id, req.user?.username);
     res.json({ data: workOrder, message: 'Invoice marked as sent' });
   } catch (error) { next(error); }
 });
@@ -2206,8 +2234,14 @@ router.post('/:id/mark-complete', async (req, res, next) => {
         // pass acknowledgeOriginIssues, so the endpoint would refuse anyway — checking here
         // turns that into a clear log line and an alert flag instead of a swallowed 409.
         const { checkOrigin } = require('../services/materialOrigin');
+        const { applyMtrOrigins, mtrConflictIssues } = require('../services/millTestReports');
         const certParts = (freshWO.parts || []).filter(p => !['fab_service','shop_rate','rush_service','inspection'].includes(p.partType));
+        const mtrOrigins = await applyMtrOrigins(certParts);
         const originCheck = checkOrigin(certParts);
+        if (mtrOrigins.conflicts.length) {
+          originCheck.issues.push(...mtrConflictIssues(mtrOrigins.conflicts));
+          originCheck.ok = false;
+        }
         if (!originCheck.ok) {
           console.warn('[USMCA] Auto-generate SKIPPED for WO', freshWO.drNumber || freshWO.orderNumber,
             '— origin not established:', originCheck.issues.map(i => i.detail).join(' | '));
@@ -3050,6 +3084,10 @@ router.post('/:id/parts', async (req, res, next) => {
       return res.status(400).json({ error: { message: 'Part type is required' } });
     }
 
+    // Geometry that cannot exist is refused (see services/rollingGeometry.js)
+    const geometryCheck = rollingGeometry.checkPart(req.body);
+    if (geometryCheck.errors.length) return res.status(400).json({ error: { message: geometryCheck.errors[0] } });
+
     // Resolve vendor name from vendorId for backwards compat
     let resolvedVendorId = vendorId || null;
     let resolvedSupplierName = supplierName || null;
@@ -3139,7 +3177,8 @@ router.post('/:id/parts', async (req, res, next) => {
 
     res.status(201).json({
       data: createdPart,
-      message: 'Part added successfully'
+      message: 'Part added successfully',
+      warnings: geometryCheck.warnings
     });
   } catch (error) {
     console.error('Add work order part error:', error);
@@ -3160,6 +3199,160 @@ router.put('/:id/parts/reorder', async (req, res, next) => {
   } catch (error) { next(error); }
 });
 
+/**
+ * What follows a part's status change, wherever it's made (the part PUT below, the labor clock's
+ * stop-and-complete in services/laborTracking.js): completing a part completes its linked services,
+ * the rush charge and the CoC once every regular part is done; setting it back to pending reopens
+ * its services; and any real change moves a received order into processing. `part` is already saved.
+ */
+async function applyPartStatusChange(workOrderId, part, status, previousStatus) {
+  // Auto-complete linked services when a parent part is marked complete
+  // Only run for orders in processing status to avoid unnecessary queries
+  if (status === 'completed') {
+    try {
+      const workOrder = await WorkOrder.findByPk(workOrderId, { attributes: ['id', 'status'] });
+      if (workOrder && ['processing', 'in_progress', 'received'].includes(workOrder.status)) {
+      const allParts = await WorkOrderPart.findAll({ where: { workOrderId } });
+      
+      // 1. Auto-complete fab_service/shop_rate parts linked to this part
+      const serviceParts = allParts.filter(p => ['fab_service', 'shop_rate'].includes(p.partType));
+      const regularPartIds = new Set(allParts.filter(p => !['fab_service', 'shop_rate', 'rush_service'].includes(p.partType)).map(p => p.id));
+      
+      const linkedServices = serviceParts.filter(p => {
+        if (p.status === 'completed') return false; // already done
+        const fd = p.formData && typeof p.formData === 'object' ? p.formData : {};
+        
+        // Match 1: Direct _linkedPartId match
+        if (fd._linkedPartId && String(fd._linkedPartId) === String(part.id)) return true;
+        
+        // Match 2: Part number adjacency — find the closest regular part before this service
+        // This handles: no _linkedPartId, stale _linkedPartId from estimate, etc.
+        const regularBefore = allParts
+          .filter(rp => !['fab_service', 'shop_rate', 'rush_service'].includes(rp.partType) && rp.partNumber < p.partNumber)
+          .sort((a, b) => b.partNumber - a.partNumber);
+        if (regularBefore.length > 0 && regularBefore[0].id === part.id) return true;
+        
+        return false;
+      });
+      
+      for (const svc of linkedServices) {
+        if (svc.status !== 'completed') {
+          await svc.update({ status: 'completed', completedAt: new Date(), completedBy: part.completedBy || svc.completedBy || null });
+          console.log(`[auto-complete] Service #${svc.partNumber} (${svc.partType}) auto-completed with parent #${part.partNumber}`);
+        }
+      }
+      
+      // 2. Auto-complete rush_service when all regular parts are done
+      const SERVICE_TYPES = ['fab_service', 'shop_rate', 'rush_service'];
+      const regularParts = allParts.filter(p => !SERVICE_TYPES.includes(p.partType));
+      const allRegularDone = regularParts.length > 0 && regularParts.every(p => 
+        p.id === part.id ? true : p.status === 'completed'  // include the part we just updated
+      );
+      if (allRegularDone) {
+        const rushParts = allParts.filter(p => p.partType === 'rush_service' && p.status !== 'completed');
+        for (const rush of rushParts) {
+          await rush.update({ status: 'completed', completedAt: new Date(), completedBy: part.completedBy || rush.completedBy || null });
+          console.log(`[auto-complete] Rush service #${rush.partNumber} auto-completed (all regular parts done)`);
+        }
+
+        // Auto-generate COC if client requires it and no COC exists yet
+        setImmediate(async () => {
+          try {
+            const wo = await WorkOrder.findByPk(workOrderId, {
+              include: [{ model: WorkOrderPart, as: 'parts' }]
+            });
+            if (!wo) return;
+            // Check if COC already exists
+            const existingCoc = await WorkOrderDocument.findOne({
+              where: { workOrderId: wo.id, documentType: 'coc' }
+            });
+            if (existingCoc) return;
+            // Check client requires COC
+            const { Client } = require('../models');
+            const client = wo.clientName ? await Client.findOne({ where: { name: wo.clientName } }) : null;
+            if (!client || !client.requiresCoc) return;
+            // Generate COC
+            console.log(`[auto-coc] Generating COC for ${wo.drNumber ? 'DR-' + wo.drNumber : wo.orderNumber} (client: ${wo.clientName})`);
+            const fileStorage = require('../utils/storage');
+            const cocParts = (wo.parts || []).filter(p => !['fab_service', 'shop_rate', 'rush_service', 'inspection'].includes(p.partType));
+            const dateStr = new Date().toLocaleDateString('en-US', { timeZone: 'America/Los_Angeles', month: '2-digit', day: '2-digit', year: 'numeric' });
+            const drLabel = wo.drNumber ? 'DR-' + wo.drNumber : (wo.orderNumber || 'N/A');
+            const { heatIndexForParts, appendMtrPdfs } = require('../services/millTestReports');
+            const mtrIndex = await heatIndexForParts(cocParts);
+            const pdfBuffer = await appendMtrPdfs(await buildCocPdfBuffer(wo, { parts: cocParts, wps: null, certifiedBy: 'Jason Thornton', dateStr, mtrIndex }), mtrIndex);
+            const cocFilename = 'COC-' + drLabel + '.pdf';
+            const uploadResult = await fileStorage.uploadBuffer(pdfBuffer, {
+              folder: 'coc', filename: cocFilename, mimeType: 'application/pdf'
+            });
+            await WorkOrderDocument.create({
+              workOrderId: wo.id,
+              originalName: cocFilename,
+              mimeType: 'application/pdf',
+              size: pdfBuffer.length,
+              url: uploadResult.url,
+              cloudinaryId: uploadResult.storageId,
+              documentType: 'coc',
+              portalVisible: true
+            });
+            console.log(`[auto-coc] COC generated and saved for ${drLabel}`);
+          } catch (cocErr) {
+            console.error('[auto-coc] Failed to auto-generate COC:', cocErr.message);
+          }
+        });
+      }
+      }
+    } catch (autoErr) {
+      console.error('[auto-complete] Error auto-completing linked parts:', autoErr.message);
+    }
+  }
+  
+  // When undoing completion, also undo linked services (only for processing orders)
+  if (status === 'pending') {
+    try {
+      const workOrder = await WorkOrder.findByPk(workOrderId, { attributes: ['id', 'status'] });
+      if (workOrder && ['processing', 'in_progress', 'received'].includes(workOrder.status)) {
+      const allParts = await WorkOrderPart.findAll({ where: { workOrderId } });
+      const serviceParts = allParts.filter(p => ['fab_service', 'shop_rate'].includes(p.partType));
+      const regularPartIds = new Set(allParts.filter(p => !['fab_service', 'shop_rate', 'rush_service'].includes(p.partType)).map(p => p.id));
+      
+      const linkedServices = serviceParts.filter(p => {
+        const fd = p.formData && typeof p.formData === 'object' ? p.formData : {};
+        if (String(fd._linkedPartId) === String(part.id)) return true;
+        if (fd._linkedPartId && !regularPartIds.has(fd._linkedPartId)) {
+          const regularBefore = allParts
+            .filter(rp => !['fab_service', 'shop_rate', 'rush_service'].includes(rp.partType) && rp.partNumber < p.partNumber)
+            .sort((a, b) => b.partNumber - a.partNumber);
+          if (regularBefore.length > 0 && regularBefore[0].id === part.id) return true;
+        }
+        return false;
+      });
+      for (const svc of linkedServices) {
+        if (svc.status === 'completed') {
+          await svc.update({ status: 'pending', completedAt: null });
+          console.log(`[auto-complete] Service #${svc.partNumber} reverted to pending with parent #${part.partNumber}`);
+        }
+      }
+      }
+    } catch (autoErr) {
+      console.error('[auto-complete] Error reverting linked parts:', autoErr.message);
+    }
+  }
+
+  // Auto-advance work order status to "processing" only when a part status ACTUALLY changes
+  // to something meaningful (not just resaved with same value or set to pending)
+  if (status !== undefined && status !== previousStatus && status !== 'pending') {
+    try {
+      const workOrder = await WorkOrder.findByPk(workOrderId);
+      if (workOrder && ['received', 'quoted', 'work_order_generated'].includes(workOrder.status)) {
+        await workOrder.update({ status: 'processing' });
+        console.log(`[auto-status] WO ${workOrder.drNumber || workOrder.orderNumber} → processing (part #${part.partNumber} status: ${previousStatus} → ${status})`);
+      }
+    } catch (woErr) {
+      console.error('[auto-status] Failed to update WO status:', woErr.message);
+    }
+  }
+}
+
 // PUT /api/workorders/:id/parts/:partId - Update a part
 router.put('/:id/parts/:partId', async (req, res, next) => {
   try {
@@ -3347,154 +3540,16 @@ router.put('/:id/parts/:partId', async (req, res, next) => {
       }
     }
 
+    // Operator status updates don't touch geometry; only re-check when the specs change
+    const geometryCheck = rollingGeometry.touchesGeometry(req.body) ? rollingGeometry.checkPart({ ...part.toJSON(), ...req.body }) : { errors: [], warnings: [] };
+    if (geometryCheck.errors.length) return res.status(400).json({ error: { message: geometryCheck.errors[0] } });
+
     // Capture previous status BEFORE update for auto-advance comparison
     const previousStatus = part.status;
 
     await part.update(updates);
 
-    // Auto-complete linked services when a parent part is marked complete
-    // Only run for orders in processing status to avoid unnecessary queries
-    if (status === 'completed') {
-      try {
-        const workOrder = await WorkOrder.findByPk(req.params.id, { attributes: ['id', 'status'] });
-        if (workOrder && ['processing', 'in_progress', 'received'].includes(workOrder.status)) {
-        const allParts = await WorkOrderPart.findAll({ where: { workOrderId: req.params.id } });
-        
-        // 1. Auto-complete fab_service/shop_rate parts linked to this part
-        const serviceParts = allParts.filter(p => ['fab_service', 'shop_rate'].includes(p.partType));
-        const regularPartIds = new Set(allParts.filter(p => !['fab_service', 'shop_rate', 'rush_service'].includes(p.partType)).map(p => p.id));
-        
-        const linkedServices = serviceParts.filter(p => {
-          if (p.status === 'completed') return false; // already done
-          const fd = p.formData && typeof p.formData === 'object' ? p.formData : {};
-          
-          // Match 1: Direct _linkedPartId match
-          if (fd._linkedPartId && String(fd._linkedPartId) === String(part.id)) return true;
-          
-          // Match 2: Part number adjacency — find the closest regular part before this service
-          // This handles: no _linkedPartId, stale _linkedPartId from estimate, etc.
-          const regularBefore = allParts
-            .filter(rp => !['fab_service', 'shop_rate', 'rush_service'].includes(rp.partType) && rp.partNumber < p.partNumber)
-            .sort((a, b) => b.partNumber - a.partNumber);
-          if (regularBefore.length > 0 && regularBefore[0].id === part.id) return true;
-          
-          return false;
-        });
-        
-        for (const svc of linkedServices) {
-          if (svc.status !== 'completed') {
-            await svc.update({ status: 'completed', completedAt: new Date(), completedBy: part.completedBy || svc.completedBy || null });
-            console.log(`[auto-complete] Service #${svc.partNumber} (${svc.partType}) auto-completed with parent #${part.partNumber}`);
-          }
-        }
-        
-        // 2. Auto-complete rush_service when all regular parts are done
-        const SERVICE_TYPES = ['fab_service', 'shop_rate', 'rush_service'];
-        const regularParts = allParts.filter(p => !SERVICE_TYPES.includes(p.partType));
-        const allRegularDone = regularParts.length > 0 && regularParts.every(p => 
-          p.id === part.id ? true : p.status === 'completed'  // include the part we just updated
-        );
-        if (allRegularDone) {
-          const rushParts = allParts.filter(p => p.partType === 'rush_service' && p.status !== 'completed');
-          for (const rush of rushParts) {
-            await rush.update({ status: 'completed', completedAt: new Date(), completedBy: part.completedBy || rush.completedBy || null });
-            console.log(`[auto-complete] Rush service #${rush.partNumber} auto-completed (all regular parts done)`);
-          }
-
-          // Auto-generate COC if client requires it and no COC exists yet
-          setImmediate(async () => {
-            try {
-              const wo = await WorkOrder.findByPk(req.params.id, {
-                include: [{ model: WorkOrderPart, as: 'parts' }]
-              });
-              if (!wo) return;
-              // Check if COC already exists
-              const existingCoc = await WorkOrderDocument.findOne({
-                where: { workOrderId: wo.id, documentType: 'coc' }
-              });
-              if (existingCoc) return;
-              // Check client requires COC
-              const { Client } = require('../models');
-              const client = wo.clientName ? await Client.findOne({ where: { name: wo.clientName } }) : null;
-              if (!client || !client.requiresCoc) return;
-              // Generate COC
-              console.log(`[auto-coc] Generating COC for ${wo.drNumber ? 'DR-' + wo.drNumber : wo.orderNumber} (client: ${wo.clientName})`);
-              const fileStorage = require('../utils/storage');
-              const cocParts = (wo.parts || []).filter(p => !['fab_service', 'shop_rate', 'rush_service', 'inspection'].includes(p.partType));
-              const dateStr = new Date().toLocaleDateString('en-US', { timeZone: 'America/Los_Angeles', month: '2-digit', day: '2-digit', year: 'numeric' });
-              const drLabel = wo.drNumber ? 'DR-' + wo.drNumber : (wo.orderNumber || 'N/A');
-              const pdfBuffer = await buildCocPdfBuffer(wo, { parts: cocParts, wps: null, certifiedBy: 'Jason Thornton', dateStr });
-              const cocFilename = 'COC-' + drLabel + '.pdf';
-              const uploadResult = await fileStorage.uploadBuffer(pdfBuffer, {
-                folder: 'coc', filename: cocFilename, mimeType: 'application/pdf'
-              });
-              await WorkOrderDocument.create({
-                workOrderId: wo.id,
-                originalName: cocFilename,
-                mimeType: 'application/pdf',
-                size: pdfBuffer.length,
-                url: uploadResult.url,
-                cloudinaryId: uploadResult.storageId,
-                documentType: 'coc',
-                portalVisible: true
-              });
-              console.log(`[auto-coc] COC generated and saved for ${drLabel}`);
-            } catch (cocErr) {
-              console.error('[auto-coc] Failed to auto-generate COC:', cocErr.message);
-            }
-          });
-        }
-        }
-      } catch (autoErr) {
-        console.error('[auto-complete] Error auto-completing linked parts:', autoErr.message);
-      }
-    }
-    
-    // When undoing completion, also undo linked services (only for processing orders)
-    if (status === 'pending') {
-      try {
-        const workOrder = await WorkOrder.findByPk(req.params.id, { attributes: ['id', 'status'] });
-        if (workOrder && ['processing', 'in_progress', 'received'].includes(workOrder.status)) {
-        const allParts = await WorkOrderPart.findAll({ where: { workOrderId: req.params.id } });
-        const serviceParts = allParts.filter(p => ['fab_service', 'shop_rate'].includes(p.partType));
-        const regularPartIds = new Set(allParts.filter(p => !['fab_service', 'shop_rate', 'rush_service'].includes(p.partType)).map(p => p.id));
-        
-        const linkedServices = serviceParts.filter(p => {
-          const fd = p.formData && typeof p.formData === 'object' ? p.formData : {};
-          if (String(fd._linkedPartId) === String(part.id)) return true;
-          if (fd._linkedPartId && !regularPartIds.has(fd._linkedPartId)) {
-            const regularBefore = allParts
-              .filter(rp => !['fab_service', 'shop_rate', 'rush_service'].includes(rp.partType) && rp.partNumber < p.partNumber)
-              .sort((a, b) => b.partNumber - a.partNumber);
-            if (regularBefore.length > 0 && regularBefore[0].id === part.id) return true;
-          }
-          return false;
-        });
-        for (const svc of linkedServices) {
-          if (svc.status === 'completed') {
-            await svc.update({ status: 'pending', completedAt: null });
-            console.log(`[auto-complete] Service #${svc.partNumber} reverted to pending with parent #${part.partNumber}`);
-          }
-        }
-        }
-      } catch (autoErr) {
-        console.error('[auto-complete] Error reverting linked parts:', autoErr.message);
-      }
-    }
-
-    // Auto-advance work order status to "processing" only when a part status ACTUALLY changes
-    // to something meaningful (not just resaved with same value or set to pending)
-    if (status !== undefined && status !== previousStatus && status !== 'pending') {
-      try {
-        const workOrder = await WorkOrder.findByPk(req.params.id);
-        if (workOrder && ['received', 'quoted', 'work_order_generated'].includes(workOrder.status)) {
-          await workOrder.update({ status: 'processing' });
-          console.log(`[auto-status] WO ${workOrder.drNumber || workOrder.orderNumber} → processing (part #${part.partNumber} status: ${previousStatus} → ${status})`);
-        }
-      } catch (woErr) {
-        console.error('[auto-status] Failed to update WO status:', woErr.message);
-      }
-    }
+    await applyPartStatusChange(req.params.id, part, status, previousStatus);
 
     // Reload with files
     const updatedPart = await WorkOrderPart.findByPk(part.id, {
@@ -3506,7 +3561,8 @@ router.put('/:id/parts/:partId', async (req, res, next) => {
 
     res.json({
       data: updatedPart,
-      message: 'Part updated successfully'
+      message: 'Part updated successfully',
+      warnings: geometryCheck.warnings
     });
   } catch (error) {
     next(error);
@@ -3904,6 +3960,181 @@ router.delete('/:id/parts/:partId/files/:fileId', async (req, res, next) => {
   }
 });
 
+// ============= CONE LAYOUTS =============
+
+const CONE_LAYOUT_PREFIX = 'Cone-Layout-';
+
+// Cone part + its flat pattern, split to fit the plate. Options come from the query or body:
+// segments (forces a count), plateWidth, plateLength.
+async function loadConeLayout(workOrderId, partId, opts = {}) {
+  const workOrder = await WorkOrder.findByPk(workOrderId);
+  if (!workOrder) throw Object.assign(new Error('Work order not found'), { status: 404 });
+  const part = await WorkOrderPart.findOne({ where: { id: partId, workOrderId } });
+  if (!part) throw Object.assign(new Error('Part not found'), { status: 404 });
+  if (part.partType !== 'cone_roll') throw Object.assign(new Error('Cone layouts are only for cone parts'), { status: 400 });
+  const input = rollingGeometry.coneInput(part);
+  if (!input) throw Object.assign(new Error('Fill in thickness, large diameter and vertical height first'), { status: 400 });
+
+  const layout = coneLayoutService.planLayout(input, { segments: opts.segments, plate: { width: opts.plateWidth, length: opts.plateLength } });
+  const p = { ...(part.formData || {}), ...part.toJSON() };
+  const ld = parseFloat(p._coneLargeDia) || 0;
+  const sd = parseFloat(p._coneSmallDia) || 0;
+  const vh = parseFloat(p._coneHeight) || 0;
+  const spec = (p.thickness ? p.thickness + ' ' : '') + 'Cone - '
+    + ld.toFixed(1) + '" ' + coneSpecLabel(p._coneLargeDiaType, p._coneLargeDiaMeasure) + ' x '
+    + sd.toFixed(1) + '" ' + coneSpecLabel(p._coneSmallDiaType, p._coneSmallDiaMeasure) + ' x '
+    + vh.toFixed(1) + '" VH' + (p.material ? ' ' + p.material : '');
+  const title = `DR-${workOrder.drNumber || workOrder.orderNumber} PART ${part.partNumber}`;
+  const notes = [spec, `QTY ${part.quantity || 1} CONES - ${layout.segments * (part.quantity || 1)} PIECES TOTAL`];
+  return { workOrder, part, layout, title, notes };
+}
+
+// Printable sheet: the segments to scale on a landscape page with the cutting dimensions
+function generateConeLayoutPdf({ layout, title, notes }) {
+  const PDFDocument = require('pdfkit');
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 40, size: 'letter', layout: 'landscape' });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const L = 40, W = 712;
+    const logoFile = [path.join(__dirname, '../assets/logo.png'), path.join(__dirname, '../assets/logo.jpg')].find(p => fs.existsSync(p));
+    if (logoFile) try { doc.image(logoFile, L, 20, { width: 50 }); } catch {}
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#1a1a1a').text('CAROLINA ROLLING CO. INC.', 100, 26, { lineBreak: false });
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#e65100').text('CONE FLAT PATTERN', L + W - 250, 26, { width: 250, align: 'right', lineBreak: false });
+    doc.font('Helvetica').fontSize(10).fillColor('#1a1a1a').text(title, L + W - 250, 44, { width: 250, align: 'right', lineBreak: false });
+    doc.moveTo(L, 72).lineTo(L + W, 72).lineWidth(1).strokeColor('#e0e0e0').stroke();
+
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#1a1a1a').text(notes[0], L, 80, { width: W });
+    const dims = [
+      ['Outer radius', `${layout.outerRadius.toFixed(3)}"`],
+      ['Inner radius', `${layout.innerRadius.toFixed(3)}"`],
+      ['Segment angle', `${layout.segmentAngle.toFixed(3)}°`],
+      ['Outer chord', `${layout.outerChord.toFixed(3)}"`],
+      ['Inner chord', `${layout.innerChord.toFixed(3)}"`],
+      ['Segments', `${layout.segments} per cone`],
+      ['Segment blank', `${layout.blank.width}" x ${layout.blank.length}"`],
+      ['Plate', `${layout.plate.width}" x ${layout.plate.length}"`],
+    ];
+    doc.font('Helvetica').fontSize(8.5);
+    dims.forEach(([k, v], i) => {
+      const x = L + (i % 4) * 178, y = 98 + Math.floor(i / 4) * 13;
+      doc.fillColor('#888').text(k + ':', x, y, { lineBreak: false });
+      doc.fillColor('#1a1a1a').text(v, x + 72, y, { lineBreak: false });
+    });
+    doc.fillColor('#555').text(notes.slice(1).join('  ·  ') + '  ·  Dimensions are to the neutral surface, k = ' + layout.kFactor, L, 126, { width: W });
+
+    // Drawing area, DXF coordinates (y up) scaled into it
+    const placed = coneLayoutService.placeSegments(layout);
+    const last = placed[placed.length - 1].box;
+    const areaTop = 150, areaBottom = 560;
+    const scale = Math.min(W / (last.x + last.width), (areaBottom - areaTop) / last.height);
+    const ox = L + (W - (last.x + last.width) * scale) / 2;
+    const at = (pt) => [ox + pt.x * scale, areaBottom - pt.y * scale];
+    const polar = (c, r, a) => ({ x: c.x + r * Math.cos(a * Math.PI / 180), y: c.y + r * Math.sin(a * Math.PI / 180) });
+    const large = layout.segmentAngle > 180 ? 1 : 0;
+    for (const seg of placed) {
+      const ro = layout.outerRadius * scale, ri = layout.innerRadius * scale;
+      const [x1, y1] = at(polar(seg.apex, layout.outerRadius, seg.startAngle));
+      const [x2, y2] = at(polar(seg.apex, layout.outerRadius, seg.endAngle));
+      let d = `M ${x1} ${y1} A ${ro} ${ro} 0 ${large} 0 ${x2} ${y2}`;
+      if (layout.innerRadius > 0) {
+        const [x3, y3] = at(polar(seg.apex, layout.innerRadius, seg.endAngle));
+        const [x4, y4] = at(polar(seg.apex, layout.innerRadius, seg.startAngle));
+        d += ` L ${x3} ${y3} A ${ri} ${ri} 0 ${large} 1 ${x4} ${y4} Z`;
+      } else {
+        const [ax, ay] = at(seg.apex);
+        d += ` L ${ax} ${ay} Z`;
+      }
+      doc.path(d).lineWidth(1).strokeColor('#1a1a1a').stroke();
+      const [lx, ly] = at({ x: seg.box.x + seg.box.width / 2, y: seg.box.height / 2 });
+      doc.font('Helvetica-Bold').fontSize(9).fillColor('#e65100').text(String(seg.index), lx - 10, ly - 5, { width: 20, align: 'center', lineBreak: false });
+    }
+
+    if (layout.warnings.length) {
+      doc.font('Helvetica').fontSize(8.5).fillColor('#c62828').text(layout.warnings.join('  ·  '), L, 570, { width: W });
+    }
+    doc.font('Helvetica').fontSize(7.5).fillColor('#aaa').text('Not to scale — cut from the DXF. Generated ' + new Date().toLocaleDateString('en-US'), L, 585, { width: W, align: 'right', lineBreak: false });
+    doc.end();
+  });
+}
+
+// GET /api/workorders/:id/parts/:partId/cone-layout - Preview the flat pattern
+// ?format=json (default) | dxf | pdf, &segments=, &plateWidth=, &plateLength=
+router.get('/:id/parts/:partId/cone-layout', async (req, res, next) => {
+  try {
+    const cone = await loadConeLayout(req.params.id, req.params.partId, req.query);
+    const base = `${CONE_LAYOUT_PREFIX}P${cone.part.partNumber}`;
+    if (req.query.format === 'dxf') {
+      res.setHeader('Content-Type', 'application/dxf');
+      res.setHeader('Content-Disposition', `attachment; filename="${base}.dxf"`);
+      return res.send(coneLayoutService.buildDxf(cone.layout, { title: cone.title, notes: cone.notes }));
+    }
+    if (req.query.format === 'pdf') {
+      const pdfBuffer = await generateConeLayoutPdf(cone);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Length', pdfBuffer.length);
+      res.setHeader('Content-Disposition', `inline; filename="${base}.pdf"`);
+      return res.send(pdfBuffer);
+    }
+    res.json({ data: { ...cone.layout, title: cone.title, notes: cone.notes, placement: coneLayoutService.placeSegments(cone.layout) } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/workorders/:id/parts/:partId/cone-layout - Attach the DXF and PDF to the part
+// Body: { segments?, plateWidth?, plateLength?, shareWithVendor? }. Replaces earlier generated layouts.
+router.post('/:id/parts/:partId/cone-layout', async (req, res, next) => {
+  try {
+    const cone = await loadConeLayout(req.params.id, req.params.partId, req.body || {});
+    const { part, layout } = cone;
+    const base = `${CONE_LAYOUT_PREFIX}P${part.partNumber}`;
+    const dxf = Buffer.from(coneLayoutService.buildDxf(layout, { title: cone.title, notes: cone.notes }), 'utf8');
+    const pdfBuffer = await generateConeLayoutPdf(cone);
+    const folder = `work-orders/${req.params.id}/parts/${part.id}`;
+
+    const previous = await WorkOrderPartFile.findAll({
+      where: { workOrderPartId: part.id, originalName: { [Op.like]: `${CONE_LAYOUT_PREFIX}%` } }
+    });
+    for (const old of previous) {
+      if (old.cloudinaryId) {
+        try { await fileStorage.deleteFile(old.cloudinaryId); } catch (e) { console.error('[cone-layout] Failed to delete old file:', e.message); }
+      }
+      await old.destroy();
+    }
+
+    const share = !!(req.body && req.body.shareWithVendor);
+    const files = [];
+    for (const [buffer, ext, fileType, mimeType] of [[dxf, 'dxf', 'cut_file', 'application/dxf'], [pdfBuffer, 'pdf', 'drawing', 'application/pdf']]) {
+      const filename = `${base}.${ext}`;
+      const up = await fileStorage.uploadBuffer(buffer, { folder, filename, mimeType });
+      files.push(await WorkOrderPartFile.create({
+        workOrderPartId: part.id,
+        fileType,
+        filename,
+        originalName: filename,
+        mimeType,
+        size: buffer.length,
+        url: up.url,
+        cloudinaryId: up.storageId,
+        vendorPortalVisible: share
+      }));
+    }
+
+    res.status(201).json({
+      data: { layout, files },
+      warnings: layout.warnings,
+      message: `Cone layout saved (${layout.segments} segment${layout.segments === 1 ? '' : 's'})` + (share ? ' and shared with vendor portal' : '')
+    });
+  } catch (error) {
+    console.error('[cone-layout] Error:', error);
+    next(error);
+  }
+});
+
 // ============= SHIP AND ARCHIVE =============
 
 // POST /api/workorders/:id/ship - Mark work order as shipped (auto-archives)
@@ -4082,6 +4313,8 @@ router.post('/:id/duplicate-to-estimate', async (req, res, next) => {
         notes: sourceEstimate.notes,
         internalNotes: `Reorder from ${drLabel} (copied from ${sourceEstimate.estimateNumber})`,
         taxRate: sourceEstimate.taxRate,
+        shipToAddress: sourceEstimate.shipToAddress,
+        taxJurisdiction: sourceEstimate.taxJurisdiction,
         taxExempt: sourceEstimate.taxExempt,
         truckingDescription: sourceEstimate.truckingDescription,
         truckingCost: sourceEstimate.truckingCost,
@@ -4164,6 +4397,8 @@ router.post('/:id/duplicate-to-estimate', async (req, res, next) => {
         projectDescription: workOrder.notes || '',
         internalNotes: `Reorder from ${drLabel} (no linked estimate found, created from WO)`,
         taxRate: workOrder.taxRate,
+        shipToAddress: workOrder.shipToAddress,
+        taxJurisdiction: workOrder.taxJurisdiction,
         taxExempt: workOrder.taxExempt,
         status: 'draft'
       });
@@ -5637,6 +5872,38 @@ router.put('/:id/parts/:partId/outside-processing-status', async (req, res, next
   } catch (error) { next(error); }
 });
 
+// GET /api/workorders/:id/parts/:partId/routing - Machine steps for a part (stored, or the suggested default)
+router.get('/:id/parts/:partId/routing', async (req, res, next) => {
+  try {
+    const { getActiveCenters, effectiveRouting, machineCapacityCheck } = require('../services/workCenters');
+    const part = await WorkOrderPart.findOne({ where: { id: req.params.partId, workOrderId: req.params.id } });
+    if (!part) return res.status(404).json({ error: { message: 'Part not found' } });
+    const centers = await getActiveCenters();
+    const stored = Array.isArray(part.routing) && part.routing.length > 0;
+    res.json({ data: {
+      routing: effectiveRouting(part, centers),
+      isDefault: !stored,
+      capacity: machineCapacityCheck(part, centers)
+    } });
+  } catch (error) { next(error); }
+});
+
+// PUT /api/workorders/:id/parts/:partId/routing - Replace a part's routing. Empty array = back to default.
+// Body: { routing: [{ workCenterId, operation, hours }] }
+router.put('/:id/parts/:partId/routing', async (req, res, next) => {
+  try {
+    const { WorkCenter } = require('../models');
+    const { normalizeRouting } = require('../services/workCenters');
+    const part = await WorkOrderPart.findOne({ where: { id: req.params.partId, workOrderId: req.params.id } });
+    if (!part) return res.status(404).json({ error: { message: 'Part not found' } });
+    // Inactive machines are allowed here so an existing routing can be re-saved after a retirement
+    const centers = await WorkCenter.findAll();
+    const routing = normalizeRouting(req.body.routing, centers);
+    await part.update({ routing });
+    res.json({ data: { id: part.id, routing: part.routing }, message: routing.length ? 'Routing saved' : 'Routing reset to default' });
+  } catch (error) { next(error); }
+});
+
 // POST /api/workorders/:id/create-po-pdf - Create a PO PDF from scratch (for deleted/missing PO documents)
 router.post('/:id/create-po-pdf', async (req, res, next) => {
   try {
@@ -6020,6 +6287,17 @@ router.post('/:id/print-package', async (req, res, next) => {
 });
 
 
+// GET /api/workorders/:id/orderable-parts - Parts still to order, each with matching stock on the rack
+router.get('/:id/orderable-parts', async (req, res, next) => {
+  try {
+    const { MaterialOrderService } = require('../services');
+    const parts = await new MaterialOrderService(require('../models')).getOrderableParts(req.params.id);
+    res.json({ data: parts });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // POST /api/workorders/:id/order-material - Create purchase orders for work order materials
 router.post('/:id/order-material', async (req, res, next) => {
   const transaction = await sequelize.transaction();
@@ -6213,6 +6491,56 @@ router.post('/:id/order-material', async (req, res, next) => {
   }
 });
 
+// GET /api/workorders/:id/nesting - Proposed nest of the unordered we_order plate parts by grade/thickness.
+// Query: partIds (comma-separated), gap (inches between blanks), format=pdf for the cut sheet
+router.get('/:id/nesting', async (req, res, next) => {
+  try {
+    const plateNesting = require('../services/plateNesting');
+    const workOrder = await WorkOrder.findByPk(req.params.id, { attributes: ['id', 'drNumber', 'clientName'] });
+    if (!workOrder) return res.status(404).json({ error: { message: 'Work order not found' } });
+    const partIds = req.query.partIds ? String(req.query.partIds).split(',').filter(Boolean) : null;
+    const parts = await plateNesting.loadNestableParts(workOrder.id, partIds);
+    const plan = plateNesting.nestParts(parts, {
+      sheetSizes: await plateNesting.loadSheetSizes(),
+      gap: req.query.gap !== undefined ? req.query.gap : plateNesting.DEFAULT_GAP
+    });
+    if (req.query.format === 'pdf') {
+      const pdf = await plateNesting.generateCutSheetPdf(plan, { title: 'Cut Sheet (proposed)', subtitle: `DR-${workOrder.drNumber} · ${workOrder.clientName || ''}` });
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="Cut-Sheet-DR-${workOrder.drNumber}.pdf"`);
+      return res.send(pdf);
+    }
+    res.json({ data: plan });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/workorders/:id/order-material/nested - Order whole sheets for nested plate parts.
+// Body: { purchaseOrderNumber, partIds?, sheetSizes? [{ width, length }], gap? } — one PO per supplier
+router.post('/:id/order-material/nested', async (req, res, next) => {
+  try {
+    const { MaterialOrderService } = require('../services');
+    const { purchaseOrderNumber, partIds, sheetSizes, gap } = req.body || {};
+    const result = await new MaterialOrderService(require('../models')).createNestedPurchaseOrders(
+      req.params.id, partIds, purchaseOrderNumber, { sheetSizes, gap }
+    );
+    const workOrder = await WorkOrder.findByPk(req.params.id, { attributes: ['id', 'drNumber', 'clientName'] });
+    await logActivity(
+      'created',
+      'purchase_order',
+      workOrder.id,
+      result.orders[0].poNumber,
+      workOrder.clientName,
+      `Created ${result.orders.length} nested PO(s) for DR-${workOrder.drNumber}`,
+      { orders: result.orders.map(o => ({ poNumber: o.poNumber, supplier: o.supplier, sheetCount: o.sheetCount })) }
+    );
+    res.status(201).json({ data: result.orders, message: result.message });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // POST /api/workorders/:id/services/auto-bulk
 // Generate POs for Fab Service parts that have a vendor + cost set but no PO yet.
 // Groups by vendor (one PO per vendor regardless of service type).
@@ -6810,8 +7138,13 @@ router.post('/repair-pricing', async (req, res, next) => {
 
 // POST /api/workorders/:id/coc - Generate Certificate of Conformance PDF
 // ===== SHARED COC PDF BUILDER — used by BOTH the manual /:id/coc route and the auto-COC generator =====
-async function buildCocPdfBuffer(workOrder, { parts, wps, certifiedBy, dateStr }) {
+async function buildCocPdfBuffer(workOrder, { parts, wps, certifiedBy, dateStr, mtrIndex }) {
   const PDFDocument = require('pdfkit');
+  const { heatIndexForParts, mtrLinesForPart } = require('../services/millTestReports');
+  // Verified MTRs for the heats on these parts — quoted under each part's heat line
+  if (!mtrIndex) {
+    try { mtrIndex = await heatIndexForParts(parts); } catch (e) { console.warn('[COC] MTR lookup failed:', e.message); mtrIndex = new Map(); }
+  }
   const doc = new PDFDocument({ margin: 50, size: 'letter' });
   const chunks = [];
   doc.on('data', c => chunks.push(c));
@@ -6949,6 +7282,11 @@ async function buildCocPdfBuffer(workOrder, { parts, wps, certifiedBy, dateStr }
       doc.text(trackingLine, 200, y, { width: 360 });
       y += doc.heightOfString(trackingLine, { width: 360 }) + 1;
     }
+    for (const mtrLine of mtrLinesForPart(p, mtrIndex)) {
+      doc.font('Helvetica').fontSize(9).fillColor('#555');
+      doc.text(mtrLine, 200, y, { width: 360 });
+      y += doc.heightOfString(mtrLine, { width: 360 }) + 1;
+    }
 
     // Extreme fiber elongation (UG-79) — ONLY valid for plate rolled into a curved shell (plate/shaped plate/cone).
     // Structural shapes (angle/channel/beam/tee/bar), pipe/tube, and press-brake use different geometry/formulas
@@ -7053,7 +7391,11 @@ router.post('/:id/coc', async (req, res, next) => {
     const allParts = (workOrder.parts || []).filter(p => !['fab_service', 'shop_rate', 'rush_service', 'inspection'].includes(p.partType));
     const { selectedPartIds } = req.body;
     const parts = selectedPartIds && selectedPartIds.length > 0 ? allParts.filter(p => selectedPartIds.includes(p.id)) : allParts;
-    const pdfBuffer = await buildCocPdfBuffer(workOrder, { parts, wps, certifiedBy, dateStr });
+    const { heatIndexForParts, appendMtrPdfs } = require('../services/millTestReports');
+    const mtrIndex = await heatIndexForParts(parts);
+    let pdfBuffer = await buildCocPdfBuffer(workOrder, { parts, wps, certifiedBy, dateStr, mtrIndex });
+    // Verified MTRs for the certified heats follow the CoC unless the caller opts out
+    if (req.body.attachMtrs !== false) pdfBuffer = await appendMtrPdfs(pdfBuffer, mtrIndex);
 
     // Auto-save to WO documents — never overwrite, use numbered filenames
     try {
@@ -7200,7 +7542,15 @@ router.post('/:id/usmca', async (req, res, next) => {
     // records rather than assumed, and a part whose heats came from different countries
     // produces one certificate line per country.
     const { checkOrigin, buildOriginLineItems } = require('../services/materialOrigin');
+    const { applyMtrOrigins, mtrConflictIssues } = require('../services/millTestReports');
+    // Verified MTRs fill in any melt country nobody typed; a recorded country that disagrees
+    // with its MTR is an issue like a missing one.
+    const mtrOrigins = await applyMtrOrigins(parts);
     const originCheck = checkOrigin(parts);
+    if (mtrOrigins.conflicts.length) {
+      originCheck.issues.push(...mtrConflictIssues(mtrOrigins.conflicts));
+      originCheck.ok = false;
+    }
 
     if (!originCheck.ok && req.body.acknowledgeOriginIssues !== true) {
       // Refuse by default. This document is signed under a statement of liability, so
@@ -7504,6 +7854,7 @@ router.post('/:id/shipment-charges', async (req, res, next) => {
       materialsMarkup: parseFloat(req.body.materialsMarkup) || 0,
       notes: req.body.notes || null,
     });
+    await ledger.post('shipment_charge', charge.id, req.user?.username);
     const result = await ShipmentCharge.findByPk(charge.id, { include: [{ model: Vendor, as: 'vendor', attributes: ['id', 'name'] }] });
     res.json({ data: result });
   } catch (error) { next(error); }
@@ -7527,6 +7878,7 @@ router.put('/:id/shipment-charges/:chargeId', async (req, res, next) => {
       materialsMarkup: req.body.materialsMarkup !== undefined ? parseFloat(req.body.materialsMarkup) : charge.materialsMarkup,
       notes: req.body.notes !== undefined ? (req.body.notes || null) : charge.notes,
     });
+    await ledger.post('shipment_charge', charge.id, req.user?.username);
     const result = await ShipmentCharge.findByPk(charge.id, { include: [{ model: Vendor, as: 'vendor', attributes: ['id', 'name'] }] });
     res.json({ data: result });
   } catch (error) { next(error); }
@@ -7537,6 +7889,7 @@ router.delete('/:id/shipment-charges/:chargeId', async (req, res, next) => {
     const charge = await ShipmentCharge.findOne({ where: { id: req.params.chargeId, workOrderId: req.params.id } });
     if (!charge) return res.status(404).json({ error: { message: 'Shipment charge not found' } });
     await charge.destroy();
+    await ledger.post('shipment_charge', charge.id, req.user?.username);
     res.json({ data: { deleted: true } });
   } catch (error) { next(error); }
 });
@@ -7707,3 +8060,6 @@ router.post('/:id/messages', async (req, res, next) => {
 });
 
 module.exports = router;
+module.exports.portalSanitizeWO = portalSanitizeWO;
+module.exports.purchaseOrderLines = purchaseOrderLines;
+module.exports.applyPartStatusChange = applyPartStatusChange;
@@ -9,11 +9,13 @@ class MaterialOrderService {
     this.models = models;
   }
 
-  // Get orderable parts for a work order
+  // Get orderable parts for a work order. Each part carries `stockMatches` — pieces already on the
+  // rack (remnants first) that could be pulled instead of ordering.
   async getOrderableParts(workOrderId) {
     const { WorkOrderPart } = this.models;
+    const { matchStock, loadAvailableStock } = require('./materialStock');
 
-    return WorkOrderPart.findAll({
+    const parts = await WorkOrderPart.findAll({
       where: {
         workOrderId,
         materialSource: 'we_order',
@@ -25,6 +27,11 @@ class MaterialOrderService {
       },
       order: [['partNumber', 'ASC']]
     });
+    if (!parts.length) return parts;
+
+    const stock = await loadAvailableStock();
+    for (const part of parts) part.setDataValue('stockMatches', matchStock(part, stock));
+    return parts;
   }
 
   // Create purchase orders for selected parts
@@ -205,6 +212,156 @@ class MaterialOrderService {
     }
   }
 
+  // Nest the selected we_order plate parts by grade/thickness and order whole sheets: one PO per
+  // supplier listing sheets instead of parts, with the cut sheet PDF filed on the work order.
+  // Options: { sheetSizes?, gap? } — see services/plateNesting.js.
+  async createNestedPurchaseOrders(workOrderId, partIds, basePONumber, options = {}) {
+    const { WorkOrder, WorkOrderDocument, PONumber, InboundOrder, AppSettings, Vendor, sequelize } = this.models;
+    const nesting = require('./plateNesting');
+    const fileStorage = require('../utils/storage');
+
+    const workOrder = await WorkOrder.findByPk(workOrderId);
+    if (!workOrder) throw Object.assign(new Error('Work order not found'), { status: 404 });
+    if (!basePONumber) throw Object.assign(new Error('Purchase order number is required'), { status: 400 });
+
+    const parts = await nesting.loadNestableParts(workOrderId, partIds);
+    if (!parts.length) throw Object.assign(new Error('No unordered plate parts to nest'), { status: 400 });
+    const sheetSizes = options.sheetSizes || await nesting.loadSheetSizes();
+    const gap = options.gap !== undefined ? options.gap : nesting.DEFAULT_GAP;
+
+    // Group parts by vendorId (fall back to supplierName for legacy data), as order-material does
+    const supplierGroups = {};
+    for (const part of parts) {
+      const groupKey = part.vendorId || part.supplierName || 'Unknown Supplier';
+      if (!supplierGroups[groupKey]) {
+        const vendor = part.vendorId ? await Vendor.findByPk(part.vendorId) : null;
+        supplierGroups[groupKey] = {
+          vendorName: part.vendorId ? (vendor ? vendor.name : 'Unknown Supplier') : groupKey,
+          vendorId: part.vendorId || null,
+          parts: []
+        };
+      }
+      supplierGroups[groupKey].parts.push(part);
+    }
+
+    // Plan every group before writing anything, so a bad sheet size fails the whole request
+    const groupKeys = Object.keys(supplierGroups).sort();
+    for (const k of groupKeys) {
+      const group = supplierGroups[k];
+      group.plan = nesting.nestParts(group.parts, { sheetSizes, gap });
+      const nestedIds = new Set(group.plan.groups.flatMap(g => [...g.sheets.flatMap(s => s.placements), ...g.unplaced].map(b => b.partId)));
+      group.parts = group.parts.filter(p => nestedIds.has(p.id));
+    }
+    const orderable = groupKeys.filter(k => supplierGroups[k].parts.length);
+    if (!orderable.length) throw Object.assign(new Error('None of the selected parts has a grade, thickness and blank size to nest'), { status: 400 });
+
+    const transaction = await sequelize.transaction();
+    const createdOrders = [];
+    const poNumberBase = parseInt(basePONumber);
+    const uploads = [];
+
+    try {
+      for (let i = 0; i < orderable.length; i++) {
+        const { vendorName: supplier, vendorId, parts: groupParts, plan } = supplierGroups[orderable[i]];
+        const poNumber = poNumberBase + i;
+        const poNumberFormatted = `PO${poNumber}`;
+        const lines = plan.groups.flatMap(g => g.orderLines);
+        const materialDescriptions = lines.map(l => `${l.quantity} × ${l.description} — ${l.note}`).join('\n');
+
+        const existingPO = await PONumber.findOne({ where: { poNumber }, transaction });
+        if (!existingPO) {
+          await PONumber.create({
+            poNumber,
+            status: 'active',
+            supplier,
+            vendorId,
+            workOrderId: workOrder.id,
+            clientName: workOrder.clientName,
+            description: materialDescriptions
+          }, { transaction });
+        }
+
+        const inboundOrder = await InboundOrder.create({
+          purchaseOrderNumber: poNumberFormatted,
+          supplier,
+          supplierName: supplier,
+          vendorId,
+          description: materialDescriptions,
+          clientName: workOrder.clientName,
+          workOrderId: workOrder.id,
+          status: 'pending',
+          notes: `Nested material order for DR-${workOrder.drNumber}\nClient: ${workOrder.clientName}\n${plan.sheetCount} sheet(s)`
+        }, { transaction });
+
+        await PONumber.update({ inboundOrderId: inboundOrder.id }, { where: { poNumber }, transaction });
+
+        for (const part of groupParts) {
+          await part.update({
+            materialOrdered: true,
+            materialOrderedAt: new Date(),
+            materialPurchaseOrderNumber: poNumberFormatted,
+            inboundOrderId: inboundOrder.id
+          }, { transaction });
+        }
+
+        // PO lists sheets; the cut sheet shows where each part comes from
+        try {
+          const poLines = lines.map((l, n) => ({ partNumber: `S${n + 1}`, materialDescription: l.description, quantity: l.quantity, specialInstructions: l.note }));
+          const poPdf = await this.generatePurchaseOrderPDF(poNumberFormatted, supplier, poLines, workOrder);
+          const cutPdf = await nesting.generateCutSheetPdf(plan, { title: `Cut Sheet — ${poNumberFormatted}`, subtitle: `DR-${workOrder.drNumber} · ${workOrder.clientName || ''} · ${supplier}` });
+          for (const [buffer, name, documentType] of [[poPdf, `${poNumberFormatted} - ${supplier}.pdf`, 'purchase_order'], [cutPdf, `Cut Sheet ${poNumberFormatted}.pdf`, 'cut_sheet']]) {
+            const uploadResult = await fileStorage.uploadBuffer(buffer, {
+              folder: 'purchase-orders',
+              filename: name.replace(/[^\w.-]+/g, '-'),
+              mimeType: 'application/pdf'
+            });
+            uploads.push(uploadResult.storageId);
+            await WorkOrderDocument.create({
+              workOrderId: workOrder.id,
+              originalName: name,
+              mimeType: 'application/pdf',
+              size: buffer.length,
+              url: uploadResult.url,
+              cloudinaryId: uploadResult.storageId,
+              documentType
+            }, { transaction });
+          }
+        } catch (pdfError) {
+          console.error('Nested PO PDF error:', pdfError.message);
+          // Continue even if PDF fails - the PO record is still created
+        }
+
+        createdOrders.push({
+          poNumber: poNumberFormatted,
+          supplier,
+          inboundOrderId: inboundOrder.id,
+          partCount: groupParts.length,
+          sheetCount: plan.sheetCount,
+          lines,
+          groups: plan.groups.map(g => ({ key: g.key, grade: g.grade, thickness: g.thickness, sheetCount: g.sheetCount, utilization: g.utilization })),
+          skipped: plan.skipped
+        });
+      }
+
+      await AppSettings.upsert({
+        key: 'next_po_number',
+        value: { nextNumber: poNumberBase + orderable.length }
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      for (const id of uploads) { try { await fileStorage.deleteFile(id); } catch (e) { /* orphaned file only */ } }
+      throw error;
+    }
+
+    return {
+      success: true,
+      orders: createdOrders,
+      message: `Created ${createdOrders.length} nested purchase order(s) for ${createdOrders.reduce((n, o) => n + o.sheetCount, 0)} sheet(s)`
+    };
+  }
+
   // Generate Purchase Order PDF
   async generatePurchaseOrderPDF(poNumber, supplier, parts, workOrder) {
     const PDFDocument = require('pdfkit');
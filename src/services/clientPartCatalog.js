@@ -0,0 +1,430 @@
+/**
+ * Client part catalog — repeat parts saved by the client's own part number and revision.
+ *
+ * Repeat customers order the same ring under the same part number again and again. An entry keeps
+ * everything needed to quote it again without retyping: the part columns and formData as the
+ * estimator last saved them, the drawings (references to the same stored files, like duplicate),
+ * the last price each and where it came from (estimate, DR).
+ *
+ * One entry per client + part number + rev. Part numbers match with case, spaces, dashes and a
+ * leading "P/N" label ignored; revs match with a leading "Rev" ignored. A different rev of a known
+ * part still comes back as a match, marked revChanged, so the estimator sees the old price but
+ * knows the drawing moved.
+ *
+ * Entries are written when the estimator saves a part to the catalog, and refreshed when an
+ * estimate with catalog part numbers is converted to a DR. The email scanner and the PO scanner
+ * look part numbers up here.
+ *
+ * Last price vs current price: the current price is the last price with its material moved by the
+ * material price index since the part was last priced (materialPrices.reviewPart) and its labor
+ * replaced by the client's price book when a rule covers the part (priceBooks.priceLine). Anything
+ * neither of those covers stays at the last price.
+ */
+
+const { calculatePartTotal, basePartLaborEach, PART_SHARED_FIELDS } = require('./pricing');
+const materialPrices = require('./materialPrices');
+const priceBooks = require('./priceBooks');
+
+const getModels = () => require('../models');
+
+// Part columns an entry keeps — the estimate→DR field list less the per-order ones
+const ORDER_ONLY_FIELDS = [
+  'partNumber', 'heatNumber', 'heatCountry', 'clientJobNumber', 'poLineNumber', 'lotNumber', 'quantity', 'partTotal',
+  'materialReceived', 'materialReceivedAt', 'materialOrdered', 'materialOrderedAt', 'materialPurchaseOrderNumber', 'inboundOrderId',
+  'outsideProcessingPONumber', 'outsideProcessingPOSentAt', 'rfqContactName', 'rfqContactEmail', 'rfqSentAt',
+  'clientPartNumber', 'rev', 'formData',
+];
+const PART_FIELDS = [...PART_SHARED_FIELDS.filter(f => !ORDER_ONLY_FIELDS.includes(f)), 'weSupplyMaterial'];
+const FILE_FIELDS = ['filename', 'originalName', 'mimeType', 'size', 'url', 'cloudinaryId', 'fileType', 'layer', 'fileLastModified'];
+// formData keys that belong to one estimate, not to the part
+const FORM_DATA_SKIP = ['quantity', '_linkedPartId', '_catalogPartId', '_catalogLastPrice', '_catalogRevChanged'];
+
+function catalogError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const money = (v) => Math.round(v * 100) / 100;
+const pct = (v) => Math.round(v * 10) / 10;
+const plain = (row) => (row && typeof row.get === 'function' ? row.get({ plain: true }) : row || {});
+
+// ---------------------------------------------------------------------------------------------
+// Keys
+// ---------------------------------------------------------------------------------------------
+
+// "p/n 127250-535 s1" → "127250535S1" — spaces, dashes and dots are how people type, not the number
+function normalizePartNumber(s) {
+  return String(s || '').trim().toUpperCase().replace(/^(P\/N|PN|PART\s*(NO\.?|NUMBER|#))\s*[:#.]?\s*/, '').replace(/[\s\-_.]+/g, '');
+}
+
+// "Rev. B" → "B", "rev 03" → "03", null → ""
+function normalizeRev(s) {
+  return String(s || '').trim().toUpperCase().replace(/^REV(ISION)?\.?\s*[:#]?\s*/, '').replace(/\s+/g, '');
+}
+
+// Client names as the estimates type them: case, punctuation and a trailing Inc/LLC don't matter
+function clientKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\b(inc|llc|ltd|co|corp|company)\b/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function matchKey({ clientName, clientPartNumber, rev }) {
+  const pn = normalizePartNumber(clientPartNumber);
+  const client = clientKey(clientName);
+  if (!pn || !client) return null;
+  return `${client}|${pn}|${normalizeRev(rev)}`;
+}
+
+// ---------------------------------------------------------------------------------------------
+// Entries
+// ---------------------------------------------------------------------------------------------
+
+// Price each the part was quoted at
+function unitPrice(part) {
+  const qty = parseInt(part.quantity) || 1;
+  const total = calculatePartTotal(part);
+  return total > 0 ? money(total / qty) : null;
+}
+
+/**
+ * The catalog fields for an estimate or work order part: its columns, formData, drawings and price.
+ * `files` are EstimatePartFile / WorkOrderPartFile rows.
+ */
+function snapshotPart(part, files = []) {
+  const p = plain(part);
+  if (!normalizePartNumber(p.clientPartNumber)) throw catalogError(p.partNumber ? `Part ${p.partNumber} has no client part number` : 'The part has no client part number');
+  const columns = {};
+  for (const f of PART_FIELDS) {
+    if (p[f] !== undefined && p[f] !== null && p[f] !== '') columns[f] = p[f];
+  }
+  const fd = { ...(p.formData && typeof p.formData === 'object' ? p.formData : {}) };
+  FORM_DATA_SKIP.forEach(k => delete fd[k]);
+  return {
+    clientPartNumber: String(p.clientPartNumber).trim(),
+    partKey: normalizePartNumber(p.clientPartNumber),
+    rev: normalizeRev(p.rev),
+    partType: p.partType,
+    description: p.materialDescription || fd._materialDescription || null,
+    part: columns,
+    formData: fd,
+    files: files.map(plain).filter(f => f.url).map(f => {
+      const out = {};
+      FILE_FIELDS.forEach(k => { if (f[k] !== undefined && f[k] !== null) out[k] = f[k]; });
+      return out;
+    }),
+    quantity: parseInt(p.quantity) || 1,
+    lastPrice: unitPrice(p),
+    materialCostAt: p.materialCostAt || null,
+  };
+}
+
+/**
+ * Catalog entries for a part number, best first: the same rev, then other revs newest-priced
+ * first (marked revChanged). `entries` are one client's entries.
+ */
+function findMatches(entries, { clientPartNumber, rev }) {
+  const pn = normalizePartNumber(clientPartNumber);
+  if (!pn) return [];
+  const want = normalizeRev(rev);
+  const newest = (e) => new Date(e.lastOrderedAt || e.lastPricedAt || 0).getTime();
+  return entries
+    .filter(e => e.partKey === pn)
+    .map(e => ({ entry: e, revChanged: !!want && (e.rev || '') !== want }))
+    .sort((a, b) => (a.revChanged - b.revChanged) || (newest(b.entry) - newest(a.entry)));
+}
+
+/**
+ * EstimatePart fields for a catalog entry at `quantity`, priced at the entry's last price each.
+ * Drawings are copied separately (entry.files).
+ */
+function toEstimatePart(entry, { estimateId, partNumber, quantity } = {}) {
+  const e = plain(entry);
+  const qty = parseInt(quantity) || parseInt(e.quantity) || 1;
+  const last = parseFloat(e.lastPrice);
+  const data = {
+    ...(e.part || {}),
+    estimateId,
+    partNumber,
+    partType: e.partType,
+    clientPartNumber: e.clientPartNumber,
+    rev: e.rev || null,
+    quantity: qty,
+    formData: {
+      ...(e.formData || {}),
+      quantity: String(qty),
+      _catalogPartId: e.id,
+      _catalogLastPrice: last > 0 ? last : null,
+    },
+  };
+  if (last > 0) data.partTotal = money(last * qty).toFixed(2);
+  if (parseFloat(data.materialTotal) > 0 || parseFloat(data.materialUnitCost) > 0) data.materialCostAt = e.lastMaterialCostAt || e.lastPricedAt || null;
+  return data;
+}
+
+/**
+ * Fill a scanned part (EstimatePart fields) from its catalog match. Columns and formData the email
+ * left empty come from the entry — what the email did say wins — and a part the email gave no price
+ * for is priced at the last price each. A match on another rev is only linked, never copied.
+ */
+function applyMatch(partData, hit) {
+  const e = plain(hit.entry);
+  const fd = partData.formData || {};
+  const last = parseFloat(e.lastPrice);
+  const link = { _catalogPartId: e.id, _catalogLastPrice: last > 0 ? last : null };
+  if (hit.revChanged) return { ...partData, formData: { ...fd, ...link, _catalogRevChanged: true } };
+  const out = { ...partData };
+  for (const [k, v] of Object.entries(e.part || {})) {
+    if (out[k] === undefined || out[k] === null || out[k] === '') out[k] = v;
+  }
+  out.formData = { ...(e.formData || {}), ...fd, ...link };
+  if (last > 0 && !(parseFloat(fd._baseLaborTotal) > 0)) {
+    out.partTotal = money(last * (parseInt(out.quantity) || 1)).toFixed(2);
+    if (parseFloat(out.materialTotal) > 0 || parseFloat(out.materialUnitCost) > 0) out.materialCostAt = e.lastMaterialCostAt || e.lastPricedAt || null;
+  }
+  return out;
+}
+
+/**
+ * Last price vs current price for an entry at `quantity`.
+ * opts: { quantity, history (material index rows for the part's key), books, bookOpts, now }.
+ * Returns { quantity, last: {each, total}, current: {each, total}, change, changePct, steps, part }
+ * where `part` is the estimate part fields at the current price.
+ */
+function comparePrice(entry, { quantity, history = [], books = [], bookOpts = {}, now = new Date() } = {}) {
+  const e = plain(entry);
+  let part = toEstimatePart(e, { quantity });
+  const qty = part.quantity;
+  const lastEach = parseFloat(e.lastPrice) || 0;
+  const steps = [];
+  const out = (current) => ({
+    quantity: qty,
+    last: { each: lastEach || null, total: lastEach ? money(lastEach * qty) : null, pricedAt: e.lastPricedAt || null, estimateNumber: e.lastEstimateNumber || null, drNumber: e.lastDrNumber || null },
+    current: { each: current ? money(current / qty) : null, total: current ? money(current) : null },
+    change: current && lastEach ? money(current - lastEach * qty) : null,
+    changePct: current && lastEach ? pct((current / (lastEach * qty) - 1) * 100) : null,
+    steps,
+    part,
+  });
+  if (!lastEach) {
+    steps.push({ what: 'price', detail: 'No last price on this entry', before: null, after: null });
+    return out(null);
+  }
+
+  const review = materialPrices.reviewPart(part, history, { now, costAt: e.lastMaterialCostAt || e.lastPricedAt, staleDays: Infinity });
+  if (review && review.proposedCost != null && review.proposedCost !== review.currentCost) {
+    const { updates, costBefore, costAfter } = materialPrices.repriceFields(part, review.proposedCost, now);
+    part = { ...part, ...updates };
+    steps.push({ what: 'material', detail: review.basis, before: costBefore, after: costAfter });
+  } else if (review) {
+    steps.push({ what: 'material', detail: review.price ? 'No change in the material price index' : 'Material not in the price index — kept at the last cost', before: review.currentCost, after: review.currentCost });
+  }
+
+  if (books.length) {
+    const priced = priceBooks.priceLine(part, books, bookOpts);
+    const laborBefore = basePartLaborEach(part);
+    if (priced.priced && money(priced.laborEach) !== money(laborBefore)) {
+      const fd = part.formData || {};
+      part = {
+        ...part,
+        laborTotal: priced.laborEach,
+        formData: { ...fd, _baseLaborTotal: priced.laborEach },
+        partTotal: money(parseFloat(part.partTotal) + (priced.laborEach - laborBefore) * qty).toFixed(2),
+      };
+      steps.push({ what: 'labor', detail: priced.trace.map(t => t.detail).join('; '), before: money(laborBefore), after: priced.laborEach });
+    } else if (priced.priced) {
+      steps.push({ what: 'labor', detail: 'Price book gives the same labor', before: money(laborBefore), after: money(laborBefore) });
+    }
+  }
+  return out(parseFloat(part.partTotal));
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+async function resolveClient({ clientId, clientName }) {
+  const { Client } = getModels();
+  if (clientId) {
+    const c = await Client.findByPk(clientId, { attributes: ['id', 'name'] });
+    if (c) return { clientId: c.id, clientName: c.name };
+  }
+  if (!clientName) return { clientId: null, clientName: null };
+  const c = await Client.findOne({ where: { name: clientName }, attributes: ['id', 'name'] });
+  return { clientId: c ? c.id : null, clientName: c ? c.name : clientName };
+}
+
+async function entriesFor({ clientId, clientName }) {
+  const { ClientPart } = getModels();
+  const { Op } = require('sequelize');
+  const key = clientKey(clientName);
+  const or = [];
+  if (clientId) or.push({ clientId });
+  if (key) or.push({ clientKey: key });
+  if (!or.length) return [];
+  return ClientPart.findAll({ where: { [Op.or]: or }, order: [['clientPartNumber', 'ASC'], ['rev', 'ASC']] });
+}
+
+async function listEntries({ clientId, clientName, q, limit = 200 } = {}) {
+  const { ClientPart } = getModels();
+  const { Op } = require('sequelize');
+  const where = {};
+  if (clientId || clientName) {
+    const or = [];
+    if (clientId) or.push({ clientId });
+    if (clientName) or.push({ clientKey: clientKey(clientName) });
+    where[Op.or] = or;
+  }
+  if (q) {
+    const like = `%${q}%`;
+    where[Op.and] = [{ [Op.or]: [{ clientPartNumber: { [Op.iLike]: like } }, { partKey: { [Op.iLike]: `%${normalizePartNumber(q)}%` } }, { description: { [Op.iLike]: like } }, { clientName: { [Op.iLike]: like } }] }];
+  }
+  return ClientPart.findAll({ where, order: [['clientName', 'ASC'], ['clientPartNumber', 'ASC'], ['rev', 'ASC']], limit: Math.min(parseInt(limit) || 200, 1000) });
+}
+
+async function lookup({ clientId, clientName, clientPartNumber, rev }) {
+  if (!normalizePartNumber(clientPartNumber)) return [];
+  const client = await resolveClient({ clientId, clientName });
+  return findMatches(await entriesFor(client), { clientPartNumber, rev });
+}
+
+/**
+ * Create or refresh the entry for a snapshot. `source` carries where it came from:
+ * { clientId, clientName, estimate?, workOrder?, pricedAt, by }.
+ */
+async function upsertEntry(snap, { clientId, clientName, estimate, workOrder, pricedAt, by } = {}, transaction) {
+  const { ClientPart } = getModels();
+  const client = await resolveClient({ clientId, clientName });
+  if (!client.clientName) throw catalogError('A client is needed to catalog a part');
+  const key = matchKey({ clientName: client.clientName, clientPartNumber: snap.clientPartNumber, rev: snap.rev });
+  const existing = await ClientPart.findOne({ where: { matchKey: key }, transaction });
+  const { materialCostAt, ...rest } = snap;
+  const fields = {
+    ...rest,
+    clientId: client.clientId,
+    clientName: client.clientName,
+    clientKey: clientKey(client.clientName),
+    matchKey: key,
+    lastPricedAt: pricedAt || new Date(),
+    lastMaterialCostAt: materialCostAt || pricedAt || new Date(),
+    updatedBy: by || null,
+  };
+  if (!snap.files.length && existing) delete fields.files; // a re-save without drawings keeps the old ones
+  if (!(snap.lastPrice > 0)) { delete fields.lastPrice; delete fields.lastPricedAt; }
+  if (estimate) {
+    fields.lastEstimateId = estimate.id;
+    fields.lastEstimateNumber = estimate.estimateNumber;
+    if (!existing || existing.lastEstimateId !== estimate.id) fields.timesQuoted = (existing ? existing.timesQuoted || 0 : 0) + 1;
+  }
+  if (workOrder) {
+    fields.lastWorkOrderId = workOrder.id;
+    fields.lastDrNumber = workOrder.drNumber || null;
+    fields.lastOrderedAt = new Date();
+    if (!existing || existing.lastWorkOrderId !== workOrder.id) fields.timesOrdered = (existing ? existing.timesOrdered || 0 : 0) + 1;
+  }
+  if (existing) return existing.update(fields, { transaction });
+  return ClientPart.create({ ...fields, createdBy: by || null }, { transaction });
+}
+
+async function saveFromEstimatePart(partId, { by, notes } = {}) {
+  const { EstimatePart, EstimatePartFile, Estimate } = getModels();
+  const part = await EstimatePart.findByPk(partId, { include: [{ model: EstimatePartFile, as: 'files' }] });
+  if (!part) throw catalogError('Part not found', 404);
+  const estimate = await Estimate.findByPk(part.estimateId);
+  if (!estimate) throw catalogError('Estimate not found', 404);
+  const entry = await upsertEntry(snapshotPart(part, part.files || []), {
+    clientId: estimate.clientId, clientName: estimate.clientName, estimate, pricedAt: estimate.updatedAt, by,
+  });
+  if (notes !== undefined) await entry.update({ notes: notes || null });
+  return entry;
+}
+
+/**
+ * Refresh the catalog from a converted DR: every part with a client part number that is already in
+ * the catalog (or came from one) gets its last price and last DR. Parts never cataloged are left
+ * alone — the catalog holds what the estimator chose to keep, not every part ever quoted.
+ */
+async function recordWorkOrder(workOrderId, { estimateId, by } = {}) {
+  const { WorkOrder, WorkOrderPart, WorkOrderPartFile, Estimate } = getModels();
+  const workOrder = await WorkOrder.findByPk(workOrderId, { include: [{ model: WorkOrderPart, as: 'parts', include: [{ model: WorkOrderPartFile, as: 'files' }] }] });
+  if (!workOrder) return [];
+  const estimate = estimateId ? await Estimate.findByPk(estimateId) : null;
+  const clientName = workOrder.clientName || (estimate && estimate.clientName);
+  const client = await resolveClient({ clientId: workOrder.clientId || (estimate && estimate.clientId), clientName });
+  const known = await entriesFor(client);
+  const updated = [];
+  for (const p of workOrder.parts || []) {
+    if (!normalizePartNumber(p.clientPartNumber)) continue;
+    const fd = p.formData && typeof p.formData === 'object' ? p.formData : {};
+    const cataloged = fd._catalogPartId || findMatches(known, { clientPartNumber: p.clientPartNumber, rev: p.rev }).some(m => !m.revChanged);
+    if (!cataloged) continue;
+    updated.push(await upsertEntry(snapshotPart(p, p.files || []), {
+      ...client, estimate, workOrder, pricedAt: estimate ? estimate.updatedAt : new Date(), by,
+    }));
+  }
+  return updated;
+}
+
+/**
+ * Price check for one entry against today's material index and the client's price books.
+ */
+async function priceCheck(entry, { quantity, date, now = new Date() } = {}) {
+  const e = plain(entry);
+  const key = materialPrices.partKey({ ...(e.part || {}), partType: e.partType, formData: e.formData || {} });
+  const history = key ? (await materialPrices.historyFor([key])).get(key) || [] : [];
+  let books = [];
+  let bookOpts = {};
+  try {
+    const cfg = await priceBooks.loadPricingConfig();
+    books = await priceBooks.loadBooks({ clientId: e.clientId, clientName: e.clientName, date });
+    bookOpts = { date, materialFactors: cfg.materialFactors || {} };
+  } catch (err) { books = []; }
+  return comparePrice(e, { quantity, history, books, bookOpts, now });
+}
+
+/**
+ * Catalog matches for parts read by the email or PO scanner, by index. Each hit is
+ * { entry, revChanged }; parts without a part number or a match are left out.
+ */
+async function matchParts(parts, { clientId, clientName }) {
+  const hits = new Map();
+  if (!(parts || []).some(p => normalizePartNumber(p.clientPartNumber || p.partNumber))) return hits;
+  const entries = await entriesFor(await resolveClient({ clientId, clientName }));
+  if (!entries.length) return hits;
+  (parts || []).forEach((p, i) => {
+    const [best] = findMatches(entries, { clientPartNumber: p.clientPartNumber || p.partNumber, rev: p.rev });
+    if (best) hits.set(i, best);
+  });
+  return hits;
+}
+
+// One line for internal notes: "Repeat part 127250-535S1 rev B — last $412.50 ea on EST-… / DR-1234"
+function matchNote(hit) {
+  const e = plain(hit.entry);
+  const last = parseFloat(e.lastPrice);
+  const where = [e.lastEstimateNumber, e.lastDrNumber ? `DR-${e.lastDrNumber}` : null].filter(Boolean).join(' / ');
+  return `Repeat part ${e.clientPartNumber}${e.rev ? ` rev ${e.rev}` : ''}`
+    + (last > 0 ? ` — last $${last.toFixed(2)} ea${where ? ` on ${where}` : ''}` : '')
+    + (hit.revChanged ? ' (catalog has a different rev — check the drawing)' : '');
+}
+
+module.exports = {
+  PART_FIELDS,
+  normalizePartNumber,
+  normalizeRev,
+  clientKey,
+  matchKey,
+  unitPrice,
+  snapshotPart,
+  findMatches,
+  toEstimatePart,
+  applyMatch,
+  comparePrice,
+  matchNote,
+  listEntries,
+  lookup,
+  upsertEntry,
+  saveFromEstimatePart,
+  recordWorkOrder,
+  priceCheck,
+  matchParts,
+};
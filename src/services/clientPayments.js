@@ -0,0 +1,110 @@
+/**
+ * Recording a client payment — one place for the payments screen (POST /api/business/client-payments),
+ * the QuickBooks Desktop import (iifImport.js) and payments pulled from QuickBooks Online
+ * (quickbooksOnline.js), so a fix to how a payment is written lands everywhere.
+ *
+ * One transaction writes the ClientPayment, a PaymentApplication and a legacy WorkOrderPayment per
+ * order it pays, and a CreditMemo for what's left unapplied when asked. The payment is then posted to
+ * the ledger. markPaidInFull sets paymentDate on orders the payment finished paying.
+ */
+const ledger = require('./ledger');
+
+const getModels = () => require('../models');
+const getBusinessRoutes = () => require('../routes/business');
+
+const money = (v) => Math.round((parseFloat(v) || 0) * 100) / 100;
+
+function paymentError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** What an order still owes — getWOBalance in routes/business.js */
+async function openBalance(workOrderId) {
+  const info = await getBusinessRoutes().getWOBalance(workOrderId);
+  return info ? money(info.balance) : 0;
+}
+
+/**
+ * Record a payment. Input: { clientId, clientName, paymentDate, amount, method, reference, notes,
+ * recordedBy, applications: [{ workOrderId, amount }], creditMemoRemainder, creditMemoReason }.
+ * Options: capAtBalance — apply no more to an order than it has open, the rest is unapplied;
+ * within(payment, transaction) — more writes that belong in the same transaction.
+ * Resolves { payment, creditMemo, applications } — applications as recorded.
+ */
+async function recordClientPayment(input = {}, { capAtBalance = false, within } = {}) {
+  const { ClientPayment, PaymentApplication, WorkOrderPayment, CreditMemo, sequelize } = getModels();
+  const amount = money(input.amount);
+  if (!amount || amount <= 0) throw paymentError('Invalid payment amount');
+  const paymentDate = input.paymentDate || new Date();
+  const method = input.method || 'check';
+  const reference = input.reference || null;
+  const recordedBy = input.recordedBy || 'admin';
+
+  const applications = [];
+  const open = new Map();
+  for (const a of input.applications || []) {
+    let applied = money(a.amount);
+    if (!a.workOrderId || applied <= 0) continue;
+    if (capAtBalance) {
+      if (!open.has(a.workOrderId)) open.set(a.workOrderId, await openBalance(a.workOrderId));
+      applied = Math.min(applied, open.get(a.workOrderId));
+      open.set(a.workOrderId, money(open.get(a.workOrderId) - applied));
+      if (applied <= 0) continue;
+    }
+    applications.push({ workOrderId: a.workOrderId, amount: applied });
+  }
+  const totalApplied = money(applications.reduce((s, a) => s + a.amount, 0));
+  if (totalApplied > amount + 0.005) throw paymentError(`Applications total ${totalApplied.toFixed(2)}, more than the ${amount.toFixed(2)} payment`);
+
+  let creditMemo = null;
+  const payment = await sequelize.transaction(async (transaction) => {
+    const created = await ClientPayment.create({
+      clientId: input.clientId || null, clientName: input.clientName, paymentDate, amount, method, reference,
+      notes: input.notes || null, recordedBy
+    }, { transaction });
+    for (const a of applications) {
+      await PaymentApplication.create({ clientPaymentId: created.id, workOrderId: a.workOrderId, amount: a.amount }, { transaction });
+      // Also create legacy WOPayment for backwards compatibility
+      await WorkOrderPayment.create({
+        workOrderId: a.workOrderId, amount: a.amount, paymentDate, paymentMethod: method,
+        paymentReference: reference, paymentType: 'partial', recordedBy
+      }, { transaction });
+    }
+    const remainder = money(amount - totalApplied);
+    if (input.creditMemoRemainder && remainder > 0.01) {
+      creditMemo = await CreditMemo.create({
+        clientId: input.clientId || null, clientName: input.clientName, date: paymentDate, amount: remainder, remainingAmount: remainder,
+        reason: input.creditMemoReason || `Overpayment credit from payment of ${amount.toFixed(2)}`, sourceClientPaymentId: created.id
+      }, { transaction });
+    }
+    if (within) await within(created, transaction);
+    return created;
+  });
+  await ledger.post('client_payment', payment.id, recordedBy);
+  return { payment, creditMemo, applications };
+}
+
+/** Set paymentDate on orders now paid in full, and refresh their invoice PDFs. Returns their DR numbers. */
+async function markPaidInFull(workOrderIds, payment) {
+  const { WorkOrder } = getModels();
+  const paid = [];
+  for (const id of [...new Set(workOrderIds)]) {
+    if (await openBalance(id) > 0.01) continue;
+    const wo = await WorkOrder.findByPk(id);
+    if (!wo || wo.paymentDate) continue;
+    await wo.update({ paymentDate: payment.paymentDate, paymentMethod: payment.method, paymentReference: payment.reference, paymentRecordedBy: payment.recordedBy });
+    paid.push(wo.drNumber);
+    try {
+      const qbRoutes = require('../routes/quickbooks');
+      if (qbRoutes.regenerateInvoicePDF) await qbRoutes.regenerateInvoicePDF(wo.id);
+    } catch (pdfErr) { console.warn('[payments] PDF regen failed:', pdfErr.message); }
+  }
+  return paid;
+}
+
+module.exports = {
+  recordClientPayment,
+  markPaidInFull,
+};
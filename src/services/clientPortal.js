@@ -0,0 +1,280 @@
+/**
+ * Client portal — what a customer's portal key may see and do.
+ *
+ * Scoping is exact: a client key belongs to the active client named exactly as the key's clientName
+ * (ignoring case), and sees records linked to that client by id or carrying exactly its name. The
+ * portal accepts, declines and creates records, so "contains the name" — one customer's key reaching
+ * a similarly named customer's estimates — isn't good enough. Everything returned is whitelisted here
+ * or by portalSanitizeWO — no internal notes, costs, vendor names or markup.
+ *
+ *   RFQ        → drawings are read like an emailed RFQ and land as a draft estimate for review
+ *   Estimates  → sent estimates can be accepted (with their PO) or declined; accepting converts to a DR
+ *   Orders     → live status, promised date, parts done, shipments
+ *   Documents  → invoice PDF and portal-visible CoCs
+ *   Statement  → the same open-balance figures as the office's client history
+ */
+
+const getModels = () => require('../models');
+
+function portalError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Customer-facing names for work order statuses
+const STAGE_LABELS = {
+  waiting_for_materials: 'Waiting for material',
+  received: 'Material received',
+  processing: 'In production',
+  in_progress: 'In production',
+  stored: 'Ready to ship',
+  completed: 'Ready to ship',
+  shipped: 'Shipped',
+  archived: 'Shipped',
+};
+
+const money = (v) => (v === null || v === undefined || v === '' ? null : (parseFloat(v) || 0).toFixed(2));
+const isoDate = (d) => (d ? new Date(d).toISOString().split('T')[0] : null);
+
+/**
+ * Live status for one order: the portalSanitizeWO whitelist plus stage label and part progress.
+ */
+function orderStatus(wo, portalSanitizeWO) {
+  const safe = portalSanitizeWO(wo);
+  const parts = (wo.parts || []).filter(p => !['fab_service', 'shop_rate'].includes(p.partType));
+  const shipped = (wo.pickupHistory || []).reduce((s, e) => s + (e.items || []).reduce((t, i) => t + (parseInt(i.quantity) || 0), 0), 0);
+  return {
+    ...safe,
+    stage: STAGE_LABELS[wo.status] || (wo.status ? wo.status.replace(/_/g, ' ') : null),
+    progress: {
+      parts: parts.length,
+      partsCompleted: parts.filter(p => p.status === 'completed' || p.completedAt).length,
+      pieces: parts.reduce((s, p) => s + (parseInt(p.quantity) || 0), 0),
+      piecesShipped: shipped,
+    },
+    hasInvoice: !!(wo.invoiceNumber && wo.invoicePdfUrl),
+    invoiceNumber: wo.invoiceNumber || null,
+    invoiceDate: wo.invoiceDate || null,
+  };
+}
+
+/**
+ * A sent estimate as the customer sees it: their part descriptions and prices, no cost build-up.
+ */
+function portalEstimate(est, today = new Date()) {
+  const e = est.toJSON ? est.toJSON() : est;
+  return {
+    id: e.id,
+    estimateNumber: e.estimateNumber,
+    revision: e.currentRevision || null,
+    status: e.status,
+    projectDescription: e.projectDescription || null,
+    contactName: e.contactName || null,
+    notes: e.notes || null,
+    sentAt: e.sentAt || null,
+    validUntil: e.validUntil || null,
+    expired: isExpired(e, today),
+    acceptedAt: e.acceptedAt || null,
+    drNumber: e.drNumber || null,
+    partsSubtotal: money(e.partsSubtotal),
+    discountAmount: money(e.discountAmount),
+    truckingCost: money(e.truckingCost),
+    taxAmount: money(e.taxAmount),
+    grandTotal: money(e.grandTotal),
+    parts: (e.parts || [])
+      .slice()
+      .sort((a, b) => (a.partNumber || 0) - (b.partNumber || 0))
+      .map(p => {
+        const fd = p.formData && typeof p.formData === 'object' ? p.formData : {};
+        return {
+          id: p.id,
+          partNumber: p.partNumber,
+          partType: p.partType,
+          clientPartNumber: p.clientPartNumber || null,
+          quantity: p.quantity,
+          description: fd._materialDescription || p.materialDescription || null,
+          rollingDescription: fd._rollingDescription || null,
+          specialInstructions: p.specialInstructions || null,
+          partTotal: money(p.partTotal),
+        };
+      }),
+  };
+}
+
+function isExpired(est, today = new Date()) {
+  return !!(est.validUntil && isoDate(est.validUntil) < isoDate(today));
+}
+
+/**
+ * Why the customer cannot accept this estimate, or null when they can.
+ */
+function acceptProblem(est, today = new Date()) {
+  if (est.status === 'converted' || est.workOrderId) return 'This estimate has already been ordered';
+  if (est.status === 'accepted') return 'This estimate was already accepted';
+  if (est.status !== 'sent') return 'This estimate is not open for acceptance';
+  if (isExpired(est, today)) return 'This estimate has expired — ask us for an updated quote';
+  return null;
+}
+
+/**
+ * The office client history trimmed to a customer statement: invoices with balances, payments, credits.
+ */
+function portalStatement(history) {
+  const invoices = (history.workOrders || [])
+    .filter(w => w.invoiceNumber)
+    .map(w => ({
+      workOrderId: w.id,
+      drNumber: w.drNumber,
+      invoiceNumber: w.invoiceNumber,
+      invoiceDate: w.invoiceDate || null,
+      dueDate: w.dueDate || null,
+      total: w.total,
+      paid: w.paid,
+      balance: w.balance,
+      daysOverdue: w.daysOverdue != null && w.daysOverdue > 0 ? w.daysOverdue : 0,
+      ...(w.currency ? { currency: w.currency, exchangeRate: w.rate, totalInCurrency: w.totalInCurrency, balanceInCurrency: w.balanceInCurrency } : {}),
+    }));
+  return {
+    clientName: history.client ? history.client.name : null,
+    paymentTerms: history.client ? history.client.paymentTerms || null : null,
+    openBalance: history.openBalance,
+    currency: history.currency || 'USD',
+    ...(history.openBalanceInCurrency ? { openBalanceInCurrency: history.openBalanceInCurrency } : {}),
+    overdueBalance: invoices.filter(i => i.daysOverdue > 0).reduce((s, i) => s + (parseFloat(i.balance) || 0), 0).toFixed(2),
+    invoices,
+    payments: (history.payments || []).map(p => ({ date: p.paymentDate, amount: money(p.amount), method: p.method || null, reference: p.reference || null })),
+    credits: (history.creditMemos || []).map(c => ({ date: c.date, amount: money(c.amount), remaining: money(c.remainingAmount), reason: c.reason || null })),
+  };
+}
+
+/**
+ * Parts a customer typed on the RFQ form, in the shape the email parser produces.
+ */
+function rfqParts(raw) {
+  let list = raw;
+  if (typeof raw === 'string') {
+    try { list = JSON.parse(raw); } catch { throw portalError('parts must be a JSON list'); }
+  }
+  if (!list) return [];
+  if (!Array.isArray(list)) throw portalError('parts must be a list');
+  return list.map((p, i) => {
+    const qty = parseInt(p.quantity);
+    if (!(qty > 0)) throw portalError(`Part ${i + 1}: quantity is required`);
+    return {
+      partType: p.partType || 'plate_roll',
+      quantity: qty,
+      clientPartNumber: p.clientPartNumber || null,
+      material: p.material || null,
+      thickness: p.thickness || null,
+      width: p.width || null,
+      length: p.length || null,
+      outerDiameter: p.outerDiameter || null,
+      diameter: p.diameter || null,
+      wallThickness: p.wallThickness || null,
+      sectionSize: p.sectionSize || null,
+      radius: p.radius || null,
+      arcDegrees: p.arcDegrees || null,
+      rollType: p.rollType || null,
+      description: p.description || null,
+      specialInstructions: p.specialInstructions || null,
+    };
+  });
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+// An iLike pattern that matches `name` exactly — its own % and _ are literal
+const exactName = (name) => String(name || '').trim().replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Where clause for the records a portal key may touch: the client's own by clientId, or any carrying
+ * exactly its name (older records have no clientId). Without a client record, the exact key name.
+ */
+function clientScope(client, keyClientName) {
+  const { Op } = require('sequelize');
+  const name = { [Op.iLike]: exactName(client ? client.name : keyClientName) };
+  return { [Op.and]: [client ? { [Op.or]: [{ clientId: client.id }, { clientName: name }] } : { clientName: name }] };
+}
+
+async function findClient(keyClientName) {
+  const { Client } = getModels();
+  const { Op } = require('sequelize');
+  return Client.findOne({ where: { name: { [Op.iLike]: exactName(keyClientName) }, isActive: true } });
+}
+
+/**
+ * Turn an RFQ into a draft estimate exactly as an emailed one would be: drawings are read by the
+ * document parser, merged with any typed parts, and an estimator gets a review todo.
+ * Drawings no part claimed are kept on the estimate so nothing the customer sent is lost.
+ */
+async function submitRfq(keyClientName, body, files) {
+  const { EstimatePart, EstimatePartFile, EstimateFile, Estimate } = getModels();
+  const emailScanner = require('./emailScanner');
+  const fileStorage = require('../utils/storage');
+
+  const parts = rfqParts(body.parts);
+  const notes = [body.reference ? `Customer RFQ ref: ${body.reference}` : null, body.notes || null].filter(Boolean).join('\n') || null;
+  if (!files.length && !parts.length && !notes) throw portalError('Attach a drawing or describe the parts');
+  const client = await findClient(keyClientName);
+  if (!client) throw portalError('Your account is not set up for quote requests — please email us', 403);
+
+  const attachmentFiles = files.map(f => ({ filename: f.originalname, buffer: f.buffer, mimeType: f.mimetype }));
+  const attachmentResults = [];
+  for (const f of attachmentFiles) {
+    try {
+      const docParsed = await Promise.race([
+        emailScanner.parseDocumentWithAI(f.buffer, f.mimeType, client.name, client.emailScanParsingNotes),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('PDF parse timeout')), 25000)),
+      ]);
+      attachmentResults.push({ filename: f.filename, parts: (docParsed && docParsed.parts) || [] });
+    } catch (err) {
+      console.error(`[portal-rfq] Failed to parse "${f.filename}": ${err.message}`);
+      attachmentResults.push({ filename: f.filename, parts: [] });
+    }
+  }
+
+  const parsed = emailScanner.mergeAttachmentParts({ parts, notes, aiNotes: 'Submitted through the client portal.' }, attachmentResults);
+  const contactEmail = (body.contactEmail || '').trim() || null;
+  const result = await emailScanner.createEstimateFromParsed(
+    parsed,
+    { clientName: client.name, clientId: client.id, contacts: client.contacts || [] },
+    { fromEmail: contactEmail, source: 'Client Portal' },
+    attachmentFiles
+  );
+  if (result.error) throw new Error(result.error);
+  if (result.duplicate) throw portalError('This request was already received');
+
+  const estimate = await Estimate.findByPk(result.estimateId);
+  const contact = {};
+  if (body.contactName) contact.contactName = body.contactName;
+  if (contactEmail) contact.contactEmail = contactEmail;
+  if (body.contactPhone) contact.contactPhone = body.contactPhone;
+  if (body.projectDescription) contact.projectDescription = body.projectDescription;
+  if (Object.keys(contact).length) await estimate.update(contact);
+
+  const estParts = await EstimatePart.findAll({ where: { estimateId: estimate.id }, attributes: ['id'] });
+  const saved = new Set((await EstimatePartFile.findAll({ where: { partId: estParts.map(p => p.id) }, attributes: ['originalName'] })).map(f => f.originalName));
+  for (const f of attachmentFiles.filter(a => !saved.has(a.filename))) {
+    try {
+      const up = await fileStorage.uploadBuffer(f.buffer, { folder: `estimates/${estimate.id}`, filename: f.filename, mimeType: f.mimeType });
+      await EstimateFile.create({ estimateId: estimate.id, filename: f.filename, originalName: f.filename, mimeType: f.mimeType, size: f.buffer.length, url: up.url, cloudinaryId: up.storageId, portalVisible: false });
+    } catch (err) { console.error(`[portal-rfq] Failed to keep "${f.filename}": ${err.message}`); }
+  }
+  return { estimate, partsFound: estParts.length };
+}
+
+module.exports = {
+  STAGE_LABELS,
+  orderStatus,
+  portalEstimate,
+  isExpired,
+  acceptProblem,
+  portalStatement,
+  rfqParts,
+  clientScope,
+  findClient,
+  submitRfq,
+};
@@ -316,10 +316,10 @@ async function extractBill(gmail, messageId) {
 
   if (!process.env.ANTHROPIC_API_KEY) return { error: 'no_api_key' };
 
-  const SYS = 'You extract fields from a vendor invoice/bill for a metal fabrication shop. Reply with ONLY JSON, no markdown:\n{"vendorName":string|null,"invoiceNumber":string|null,"invoiceDate":"YYYY-MM-DD"|null,"dueDate":"YYYY-MM-DD"|null,"amount":number|null,"currency":string,"poNumber":string|null,"category":"materials|insurance|supplies|utilities|rent|equipment|payroll|other","summary":string}\nAmount = total amount due as a number (no symbols). dueDate = the payment due date as YYYY-MM-DD; look hard for "due date", "payment due", "please pay by", "net 30", or a due line (if only terms like "Net 30" are given, compute from the invoice date); null only if truly absent. category = the best expense bucket for a metal fabrication shop: materials (steel/metal/consumables/gas), utilities (power/water/internet/phone), rent (building lease), supplies (shop supplies), equipment (machines/tools/repairs), insurance, payroll, or other. summary = one short line of what it is for. Use null when a field is not present.';
+  const SYS = 'You extract fields from a vendor invoice/bill for a metal fabrication shop. Reply with ONLY JSON, no markdown:\n{"vendorName":string|null,"invoiceNumber":string|null,"invoiceDate":"YYYY-MM-DD"|null,"dueDate":"YYYY-MM-DD"|null,"amount":number|null,"currency":string,"poNumber":string|null,"category":"materials|insurance|supplies|utilities|rent|equipment|payroll|other","summary":string,"lineItems":[{"description":string,"quantity":number|null,"unit":"lb|cwt|ft|sqft|each","unitPrice":number}]}\nAmount = total amount due as a number (no symbols). dueDate = the payment due date as YYYY-MM-DD; look hard for "due date", "payment due", "please pay by", "net 30", or a due line (if only terms like "Net 30" are given, compute from the invoice date); null only if truly absent. category = the best expense bucket for a metal fabrication shop: materials (steel/metal/consumables/gas), utilities (power/water/internet/phone), rent (building lease), supplies (shop supplies), equipment (machines/tools/repairs), insurance, payroll, or other. summary = one short line of what it is for. lineItems = for materials bills only, one entry per steel/metal item exactly as described on the bill (shape, size, grade) with its price per unit ("/CWT" is cwt, "/lb" is lb, "/ft" is ft, per piece is each); leave out freight, cutting, surcharges and tax, and use [] for any other category. Use null when a field is not present.';
 
   const callClaude = async (content) => {
-    const reqBody = JSON.stringify({ model: getParsingModel(), max_tokens: 700, system: SYS, messages: [{ role: 'user', content }] });
+    const reqBody = JSON.stringify({ model: getParsingModel(), max_tokens: 1500, system: SYS, messages: [{ role: 'user', content }] });
     const https = require('https');
     const raw = await new Promise((resolve, reject) => {
       const req = https.request({
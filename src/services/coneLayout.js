@@ -0,0 +1,127 @@
+/**
+ * Cone flat-pattern layouts for the cutter.
+ *
+ * The developed blank comes from rollingGeometry.coneLayout (neutral surface). Here it is split
+ * into segments small enough to nest on stock plate, laid out side by side, and written as a DXF
+ * the cutting vendor can load directly: each segment is one closed profile (outer arc, inner arc,
+ * two radial edges) on layer CUT, with labels on layer NOTES. Units are inches.
+ *
+ * When no segment count is asked for, the part's own _coneRadialSegments is used, and raised until
+ * one segment fits the plate in either orientation.
+ */
+
+const { coneLayout, sectorExtents } = require('./rollingGeometry');
+
+const DEFAULT_PLATE = { width: 96, length: 240 };
+const MAX_SEGMENTS = 24;
+const GAP = 2; // inches between segments in the DXF
+
+function layoutError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const fitsPlate = (blank, plate) =>
+  (blank.width <= plate.width && blank.length <= plate.length) || (blank.width <= plate.length && blank.length <= plate.width);
+
+/**
+ * Lay out the cone in the requested number of segments, or the fewest that fit the plate.
+ * Returns the coneLayout result plus { plate, fits, autoSegmented }.
+ */
+function planLayout(input, { segments, plate } = {}) {
+  const stock = {
+    width: parseFloat(plate && plate.width) || DEFAULT_PLATE.width,
+    length: parseFloat(plate && plate.length) || DEFAULT_PLATE.length,
+  };
+  const asked = parseInt(segments) || 0;
+  if (asked) {
+    if (asked > MAX_SEGMENTS) throw layoutError(`No more than ${MAX_SEGMENTS} segments`);
+    const layout = coneLayout({ ...input, segments: asked });
+    const fits = fitsPlate(layout.blank, stock);
+    if (!fits) layout.warnings.push(`A ${layout.blank.width}" x ${layout.blank.length}" segment does not fit ${stock.width}" x ${stock.length}" plate`);
+    return { ...layout, plate: stock, fits, autoSegmented: false };
+  }
+  const start = Math.max(1, parseInt(input.segments) || 1);
+  for (let n = start; n <= MAX_SEGMENTS; n++) {
+    const layout = coneLayout({ ...input, segments: n });
+    if (fitsPlate(layout.blank, stock)) return { ...layout, plate: stock, fits: true, autoSegmented: n !== start };
+  }
+  throw layoutError(`This cone does not fit ${stock.width}" x ${stock.length}" plate even in ${MAX_SEGMENTS} segments`);
+}
+
+/**
+ * Where each segment sits in the drawing: apex, start/end angles (degrees CCW from +X) and its box.
+ */
+function placeSegments(layout) {
+  const ext = sectorExtents(layout.outerRadius, layout.innerRadius, layout.segmentAngle);
+  const start = 90 - layout.segmentAngle / 2;
+  const end = 90 + layout.segmentAngle / 2;
+  return Array.from({ length: layout.segments }, (_, i) => {
+    const x0 = i * (ext.width + GAP);
+    return {
+      index: i + 1,
+      apex: { x: x0 - ext.minX, y: -ext.minY },
+      startAngle: start,
+      endAngle: end,
+      box: { x: x0, y: 0, width: ext.width, height: ext.height },
+    };
+  });
+}
+
+const fmt = (v) => (Math.round(v * 1e6) / 1e6).toString();
+const polar = (c, r, a) => ({ x: c.x + r * Math.cos((a * Math.PI) / 180), y: c.y + r * Math.sin((a * Math.PI) / 180) });
+
+/**
+ * AutoCAD R12 ASCII DXF of the laid-out segments. `notes` are lines printed under each segment.
+ */
+function buildDxf(layout, { title, notes = [] } = {}) {
+  const out = [];
+  const pair = (code, value) => out.push(String(code), String(value));
+  const line = (a, b) => { pair(0, 'LINE'); pair(8, 'CUT'); pair(10, fmt(a.x)); pair(20, fmt(a.y)); pair(30, 0); pair(11, fmt(b.x)); pair(21, fmt(b.y)); pair(31, 0); };
+  const arc = (c, r, s, e) => { pair(0, 'ARC'); pair(8, 'CUT'); pair(10, fmt(c.x)); pair(20, fmt(c.y)); pair(30, 0); pair(40, fmt(r)); pair(50, fmt(s)); pair(51, fmt(e)); };
+  const text = (x, y, h, s) => { pair(0, 'TEXT'); pair(8, 'NOTES'); pair(10, fmt(x)); pair(20, fmt(y)); pair(30, 0); pair(40, fmt(h)); pair(1, String(s).replace(/[\r\n]+/g, ' ')); };
+
+  pair(0, 'SECTION'); pair(2, 'HEADER');
+  pair(9, '$ACADVER'); pair(1, 'AC1009');
+  pair(9, '$INSUNITS'); pair(70, 1);
+  pair(0, 'ENDSEC');
+  pair(0, 'SECTION'); pair(2, 'TABLES');
+  pair(0, 'TABLE'); pair(2, 'LAYER'); pair(70, 2);
+  for (const [name, color] of [['CUT', 7], ['NOTES', 3]]) { pair(0, 'LAYER'); pair(2, name); pair(70, 0); pair(62, color); pair(6, 'CONTINUOUS'); }
+  pair(0, 'ENDTAB');
+  pair(0, 'ENDSEC');
+  pair(0, 'SECTION'); pair(2, 'ENTITIES');
+
+  const textH = Math.max(0.25, Math.min(1, layout.outerRadius / 40));
+  for (const seg of placeSegments(layout)) {
+    const { apex, startAngle: s, endAngle: e } = seg;
+    arc(apex, layout.outerRadius, s, e);
+    if (layout.innerRadius > 0) {
+      arc(apex, layout.innerRadius, s, e);
+      line(polar(apex, layout.innerRadius, s), polar(apex, layout.outerRadius, s));
+      line(polar(apex, layout.innerRadius, e), polar(apex, layout.outerRadius, e));
+    } else {
+      line(apex, polar(apex, layout.outerRadius, s));
+      line(apex, polar(apex, layout.outerRadius, e));
+    }
+    const labels = [
+      `${title ? title + ' - ' : ''}SEGMENT ${seg.index} OF ${layout.segments}`,
+      `R ${layout.outerRadius.toFixed(3)} / R ${layout.innerRadius.toFixed(3)}  ${layout.segmentAngle.toFixed(3)} DEG`,
+      ...notes,
+    ];
+    labels.forEach((l, i) => text(seg.box.x, -(i + 1.5) * textH * 1.6, textH, l));
+  }
+  pair(0, 'ENDSEC');
+  pair(0, 'EOF');
+  return out.join('\n') + '\n';
+}
+
+module.exports = {
+  DEFAULT_PLATE,
+  MAX_SEGMENTS,
+  fitsPlate,
+  planLayout,
+  placeSegments,
+  buildDxf,
+};
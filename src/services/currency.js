@@ -0,0 +1,178 @@
+/**
+ * Currencies — quoting and invoicing Canadian and Mexican customers in their own money.
+ *
+ * Everything we price stays in US dollars: parts, labor, material, minimums, tax and the totals the
+ * rest of the app adds up. A client's currency (Client.currency, copied onto each estimate and work
+ * order when it's created) only changes what the customer is shown and what QuickBooks is told
+ * they owe. The conversion uses a stored rate, never a live one, so a PDF printed twice says the
+ * same thing:
+ *
+ *   quote rate    Estimate.exchangeRate — locked when the estimate goes out (sent, or a revision
+ *                 recorded) and carried onto the work order it converts into
+ *   invoice rate  WorkOrder.invoiceExchangeRate — locked the first time the invoice PDF or the IIF
+ *                 export is produced; the quote rate is what the customer was promised, the
+ *                 invoice rate is what they're billed at
+ *
+ * Rates are kept in AppSettings 'exchange_rates' as { CAD: { rate, asOf, by } } and mean units of
+ * the foreign currency per 1 USD (1 USD = 1.3650 CAD). Changing a rate there only affects quotes
+ * and invoices that haven't locked one yet.
+ *
+ * Converted amounts are rounded line by line, so an IIF invoice in CAD balances: the AR debit is
+ * the sum of the converted income lines, not the converted USD total.
+ */
+
+const getModels = () => require('../models');
+
+const BASE_CURRENCY = 'USD';
+const RATES_KEY = 'exchange_rates';
+
+const CURRENCIES = {
+  USD: { code: 'USD', name: 'US Dollar', prefix: 'US$' },
+  CAD: { code: 'CAD', name: 'Canadian Dollar', prefix: 'CA$' },
+  MXN: { code: 'MXN', name: 'Mexican Peso', prefix: 'MX$' },
+};
+
+function currencyError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const money = (v) => Math.round(v * 100) / 100;
+
+// ---------------------------------------------------------------------------------------------
+// Pure helpers
+// ---------------------------------------------------------------------------------------------
+
+// 'cad ' → 'CAD'; blank → USD. Unknown codes are refused rather than silently billed in dollars.
+function normalizeCurrency(code) {
+  if (code === undefined || code === null || String(code).trim() === '') return BASE_CURRENCY;
+  const c = String(code).trim().toUpperCase();
+  if (!CURRENCIES[c]) throw currencyError(`Unsupported currency "${code}" — use ${Object.keys(CURRENCIES).join(', ')}`);
+  return c;
+}
+
+const isForeign = (code) => normalizeCurrency(code) !== BASE_CURRENCY;
+
+// A rate must be a positive number of foreign units per dollar
+function normalizeRate(rate) {
+  const r = parseFloat(rate);
+  if (!Number.isFinite(r) || r <= 0) throw currencyError('Exchange rate must be a positive number (units of the currency per 1 USD)');
+  return Math.round(r * 1e6) / 1e6;
+}
+
+// USD → the client's currency at a stored rate, to the cent
+function convert(usd, rate) {
+  return money((parseFloat(usd) || 0) * (parseFloat(rate) || 1));
+}
+
+// 1234.5, 'CAD' → 'CA$1,234.50'. USD keeps the plain '$' the rest of our paperwork uses.
+function formatMoney(amount, code = BASE_CURRENCY) {
+  const c = normalizeCurrency(code);
+  const n = parseFloat(amount) || 0;
+  const body = Math.abs(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${n < 0 ? '-' : ''}${c === BASE_CURRENCY ? '$' : CURRENCIES[c].prefix}${body}`;
+}
+
+// "Exchange rate 1 USD = 1.3650 CAD (10/19/2026)"
+function rateNote(code, rate, at) {
+  const date = at ? ` (${new Date(at).toLocaleDateString('en-US', { timeZone: 'America/Los_Angeles' })})` : '';
+  return `Exchange rate 1 USD = ${(parseFloat(rate) || 0).toFixed(4)} ${normalizeCurrency(code)}${date}`;
+}
+
+// The currency a document is in: its own, else its client's, else USD
+function documentCurrency(doc, client) {
+  return normalizeCurrency(doc?.currency || client?.currency);
+}
+
+// Priced IIF lines in the client's currency. Each amount is converted and rounded on its own so the
+// lines sum exactly to the returned total; filler (description-only) lines pass through.
+function convertLines(lineItems, rate) {
+  let total = 0;
+  const lines = lineItems.map(item => {
+    if (!item.isPriced) return item;
+    const amount = convert(item.amount, rate);
+    total += amount;
+    return { ...item, amount, usdAmount: item.amount };
+  });
+  return { lines, total: money(total) };
+}
+
+// The AR account a foreign invoice posts to — QuickBooks keeps one per currency
+const arAccountFor = (base, code) => (isForeign(code) ? `${base} - ${normalizeCurrency(code)}` : base);
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+async function loadRates() {
+  const { AppSettings } = getModels();
+  const row = await AppSettings.findOne({ where: { key: RATES_KEY } });
+  return (row && row.value) || {};
+}
+
+async function saveRate(code, rate, { by, asOf } = {}) {
+  const c = normalizeCurrency(code);
+  if (!isForeign(c)) throw currencyError(`${BASE_CURRENCY} is the base currency — its rate is always 1`);
+  const { AppSettings } = getModels();
+  const rates = await loadRates();
+  rates[c] = { rate: normalizeRate(rate), asOf: asOf ? new Date(asOf).toISOString() : new Date().toISOString(), by: by || null };
+  await AppSettings.upsert({ key: RATES_KEY, value: rates });
+  return rates;
+}
+
+// Today's stored rate for a currency. USD is 1; a foreign currency without a rate is an error —
+// we'd rather stop than quote a Canadian customer in dollars by accident.
+async function currentRate(code) {
+  const c = normalizeCurrency(code);
+  if (!isForeign(c)) return { rate: 1, asOf: null };
+  const entry = (await loadRates())[c];
+  if (!entry || !(parseFloat(entry.rate) > 0)) throw currencyError(`No ${c} exchange rate is set — enter one under Settings → Currencies`);
+  return { rate: parseFloat(entry.rate), asOf: entry.asOf };
+}
+
+// The quote rate for an estimate, locking today's rate onto it if it has none yet.
+// Pass { lock: false } to look without writing (a draft PDF preview).
+async function lockEstimateRate(estimate, { lock = true } = {}) {
+  const code = normalizeCurrency(estimate.currency);
+  if (!isForeign(code)) return { currency: code, rate: 1, at: null, locked: true };
+  if (parseFloat(estimate.exchangeRate) > 0) {
+    return { currency: code, rate: parseFloat(estimate.exchangeRate), at: estimate.exchangeRateAt, locked: true };
+  }
+  const { rate } = await currentRate(code);
+  const at = new Date();
+  if (lock) await estimate.update({ exchangeRate: rate, exchangeRateAt: at });
+  return { currency: code, rate, at, locked: lock };
+}
+
+// The invoice rate for a work order, locked the same way
+async function lockInvoiceRate(wo, client, { lock = true } = {}) {
+  const code = documentCurrency(wo, client);
+  if (!isForeign(code)) return { currency: code, rate: 1, at: null, locked: true };
+  if (parseFloat(wo.invoiceExchangeRate) > 0) {
+    return { currency: code, rate: parseFloat(wo.invoiceExchangeRate), at: wo.invoiceExchangeRateAt, locked: true };
+  }
+  const { rate } = await currentRate(code);
+  const at = new Date();
+  if (lock) await wo.update({ currency: code, invoiceExchangeRate: rate, invoiceExchangeRateAt: at });
+  return { currency: code, rate, at, locked: lock };
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCIES,
+  normalizeCurrency,
+  normalizeRate,
+  isForeign,
+  convert,
+  formatMoney,
+  rateNote,
+  documentCurrency,
+  convertLines,
+  arAccountFor,
+  loadRates,
+  saveRate,
+  currentRate,
+  lockEstimateRate,
+  lockInvoiceRate,
+};
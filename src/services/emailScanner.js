@@ -3,6 +3,7 @@ const { GmailAccount, ScannedEmail, PendingOrder, Client, Vendor, Estimate, Esti
 const { getParsingModel } = require('./aiConfig');
 const { Op } = require('sequelize');
 const fileStorage = require('../utils/storage');
+const clientPartCatalog = require('./clientPartCatalog');
 
 // Google OAuth2 client
 function getOAuth2Client() {
@@ -347,6 +348,7 @@ Respond ONLY with valid JSON (no markdown, no backticks). Format:
       "parentPartIndex": "for fab_service: 0-based index of the parent part in this array (e.g. 0 for first part)",
       "specialInstructions": "Rolled and tack welded, no bevel",
       "clientPartNumber": "127250-535S1",
+      "rev": "drawing revision if given, e.g. B",
       "description": "auto-generated material description",
       "missingFields": ["thickness", "material"],
       "missingFieldNotes": "No thickness specified. No material grade given."
@@ -875,6 +877,7 @@ function mergeAttachmentParts(emailParsed, attachmentResults) {
       const merged = { ...dp };
       if (ep.quantity) merged.quantity = ep.quantity;
       if (ep.clientPartNumber && !merged.clientPartNumber) merged.clientPartNumber = ep.clientPartNumber;
+      if (ep.rev && !merged.rev) merged.rev = ep.rev;
       if (ep.materialSource) merged.materialSource = ep.materialSource;
       merged._sourceFile = attachmentResults[i]?.filename;
       return merged;
@@ -887,7 +890,8 @@ function mergeAttachmentParts(emailParsed, attachmentResults) {
   return emailParsed;
 }
 
-// Create an estimate from parsed email data
+// Create an estimate from parsed email data. The client portal passes a stand-in scannedEmail
+// ({ fromEmail, source: 'Client Portal' }) with no Gmail link or id.
 async function createEstimateFromParsed(parsed, clientInfo, scannedEmail, attachmentFiles = []) {
   try {
     // Use reference number as estimate number for clients like GNB
@@ -905,7 +909,16 @@ async function createEstimateFromParsed(parsed, clientInfo, scannedEmail, attach
       .filter(p => p.missingFieldNotes)
       .map((p, i) => `Part #${i + 1}: ${p.missingFieldNotes}`)
       .join('\n');
-    const internalNotes = [parsed.aiNotes, missingInfo].filter(Boolean).join('\n\n') || null;
+
+    // Repeat parts the client has ordered before, by their part number
+    let catalogHits = new Map();
+    try {
+      catalogHits = await clientPartCatalog.matchParts(parsed.parts || [], clientInfo);
+    } catch (catErr) {
+      console.error('[EmailScanner] Part catalog lookup failed (non-fatal):', catErr.message);
+    }
+    const repeatInfo = [...catalogHits.entries()].map(([i, hit]) => `Part #${i + 1}: ${clientPartCatalog.matchNote(hit)}`).join('\n');
+    const internalNotes = [parsed.aiNotes, missingInfo, repeatInfo].filter(Boolean).join('\n\n') || null;
 
     // Match sender email to a contact in the client's contacts array
     const senderEmail = (scannedEmail.fromEmail || '').toLowerCase().trim();
@@ -941,10 +954,12 @@ async function createEstimateFromParsed(parsed, clientInfo, scannedEmail, attach
     for (let i = 0; i < (parsed.parts || []).length; i++) {
       const p = parsed.parts[i];
       const formData = buildFormData(p);
-      const part = await EstimatePart.create({
+      const hit = catalogHits.get(i);
+      const sameRev = hit && !hit.revChanged;
+      let partData = {
         estimateId: estimate.id,
         partNumber: i + 1,
-        partType: p.partType || 'plate_roll',
+        partType: p.partType || (sameRev ? hit.entry.partType : 'plate_roll'),
         quantity: parseInt(p.quantity) || 1,
         material: p.material || null,
         thickness: p.thickness || null,
@@ -960,10 +975,13 @@ async function createEstimateFromParsed(parsed, clientInfo, scannedEmail, attach
         flangeOut: p.flangeOut || false,
         specialInstructions: p.specialInstructions || null,
         clientPartNumber: p.clientPartNumber || null,
+        rev: p.rev || null,
         materialDescription: p.description || null,
         materialSource: p.materialSource || 'customer_supplied',
         formData: formData
-      });
+      };
+      if (hit) partData = clientPartCatalog.applyMatch(partData, hit);
+      const part = await EstimatePart.create(partData);
       createdPartIds.push(part.id);
 
       // Save the source drawing/PDF to this part if available
@@ -993,6 +1011,12 @@ async function createEstimateFromParsed(parsed, clientInfo, scannedEmail, attach
         } catch (fileErr) {
           console.error(`[EmailScanner] Failed to save attachment to part #${i + 1}: ${fileErr.message}`);
         }
+      } else if (sameRev && (hit.entry.files || []).length) {
+        // No drawing in the email — the catalog's drawings for this rev point at the same stored files
+        for (const f of hit.entry.files) {
+          await EstimatePartFile.create({ ...f, partId: part.id, portalVisible: false });
+        }
+        console.log(`[EmailScanner] Attached ${hit.entry.files.length} catalog drawing(s) to part #${i + 1}`);
       }
     }
 
@@ -1016,13 +1040,13 @@ async function createEstimateFromParsed(parsed, clientInfo, scannedEmail, attach
     const headEstimator = await User.findOne({ where: { isHeadEstimator: true, isActive: true } });
     await TodoItem.create({
       title: `Review pricing: ${estNumber} — ${clientInfo.clientName}`,
-      description: `Auto-created from email. ${(parsed.parts || []).length} part(s). Confidence: ${parsed.confidence || 'unknown'}.${attachmentFiles && attachmentFiles.length > 0 ? ` ${attachmentFiles.length} drawing(s) parsed and attached.` : ''}`,
+      description: `Auto-created from ${scannedEmail.source ? scannedEmail.source.toLowerCase() : 'email'}. ${(parsed.parts || []).length} part(s). Confidence: ${parsed.confidence || 'unknown'}.${attachmentFiles && attachmentFiles.length > 0 ? ` ${attachmentFiles.length} drawing(s) parsed and attached.` : ''}`,
       type: 'estimate_review',
       priority: 'high',
       assignedTo: headEstimator?.username || null,
       estimateId: estimate.id,
       estimateNumber: estNumber,
-      createdBy: 'Email Scanner'
+      createdBy: scannedEmail.source || 'Email Scanner'
     });
 
     console.log(`[EmailScanner] Created estimate ${estNumber} for ${clientInfo.clientName} with ${(parsed.parts || []).length} parts`);
@@ -1684,6 +1708,7 @@ async function _runScanInternal() {
                 poNumber: invoiceData?.poNumber || null,
                 linkedPOId,
                 status: 'pending_review',
+                approvalStatus: 'pending',
                 invoiceFileUrl: fileUrl,
                 invoiceFileCloudinaryId: fileCloudinaryId,
                 createdBy: 'email_scanner',
@@ -1692,6 +1717,7 @@ async function _runScanInternal() {
                 notes: `Auto-detected from email: "${subject}"\n📧 ${gmailLink}`
               });
 
+              await require('./payables').autoMatch(liability.id);
               await scannedEmail.update({ status: 'vendor_invoice', parsedData: invoiceData });
 
               // Create todo
@@ -2325,7 +2351,9 @@ module.exports = {
   parseDocumentWithAI,
   getScanConfig,
   buildFormData,
-  processRetries
+  processRetries,
+  mergeAttachmentParts,
+  createEstimateFromParsed
 };
 
 // Parse an uploaded image or PDF with Claude Vision API
@@ -2504,6 +2532,7 @@ Respond ONLY with valid JSON (no markdown, no backticks). Format:
       "parentPartIndex": null,
       "specialInstructions": "notes about this part",
       "clientPartNumber": "if visible on drawing",
+      "rev": "drawing revision from the title block, if visible",
       "description": "auto-generated material description",
       "measurePoint": "ID or OD or CL — how the diameter was specified on the drawing",
       "unitPrice": 100.00,
@@ -0,0 +1,269 @@
+/**
+ * Signed estimate acceptance links.
+ *
+ * The office makes a link per estimate (usually dropped into the reply-with-pdf email). The customer
+ * opens it without logging in, sees the estimate, and accepts by typing their name and PO number and
+ * signing on screen — the same base64 PNG signature the pickup screen captures. Every view, accept,
+ * decline and revoke is appended to the link's event list, so the record shows who agreed to what
+ * total, when, and from where.
+ *
+ * A link stops working when it expires, is revoked, has been used, or the estimate's total has
+ * changed since it was made (the customer would be accepting a price they were not shown).
+ */
+
+const crypto = require('crypto');
+
+const getModels = () => require('../models');
+
+const DEFAULT_DAYS = 30;
+const MAX_SIGNATURE_LENGTH = 500 * 1024;
+
+function acceptanceError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const newToken = () => crypto.randomBytes(24).toString('hex');
+
+function acceptanceUrl(token) {
+  const baseUrl = process.env.FRONTEND_URL || process.env.BASE_URL || 'http://localhost:3000';
+  return `${baseUrl}/accept/${token}`;
+}
+
+/**
+ * When a new link expires: the estimate's validUntil if that is sooner, else `days` from now.
+ */
+function linkExpiry(estimate, days, now = new Date()) {
+  const n = parseInt(days) > 0 ? Math.min(parseInt(days), 180) : DEFAULT_DAYS;
+  let expires = new Date(now.getTime() + n * 86400000);
+  if (estimate.validUntil) {
+    const valid = new Date(String(estimate.validUntil).slice(0, 10) + 'T23:59:59');
+    if (valid > now && valid < expires) expires = valid;
+  }
+  return expires;
+}
+
+const sameMoney = (a, b) => Math.abs((parseFloat(a) || 0) - (parseFloat(b) || 0)) < 0.005;
+
+/**
+ * Why this link cannot be used right now, or null when it can.
+ */
+function linkProblem(link, estimate, now = new Date()) {
+  if (!link || !estimate || estimate.trashedAt) return 'This link is not valid';
+  if (link.status === 'accepted') return 'This estimate has already been accepted — thank you';
+  if (link.status === 'declined') return 'This estimate was declined';
+  if (link.status === 'revoked') return 'This link has been withdrawn — please contact us for a new one';
+  if (new Date(link.expiresAt) < now) return 'This link has expired — please contact us for an updated quote';
+  if (estimate.workOrderId || ['accepted', 'converted'].includes(estimate.status)) return 'This estimate has already been ordered';
+  if (['declined', 'archived'].includes(estimate.status)) return 'This estimate is no longer open';
+  if (link.quotedTotal != null && !sameMoney(link.quotedTotal, estimate.grandTotal)) return 'This estimate has changed since the link was sent — please contact us for the updated version';
+  return null;
+}
+
+/**
+ * Clean and check what the customer submitted to accept.
+ */
+function readAcceptance(body) {
+  const clean = (v) => (v === undefined || v === null ? '' : String(v).trim());
+  const a = {
+    signerName: clean(body.name),
+    signerTitle: clean(body.title) || null,
+    signerEmail: clean(body.email) || null,
+    purchaseOrderNumber: clean(body.purchaseOrderNumber),
+    requestedDueDate: clean(body.requestedDueDate) || null,
+    signature: typeof body.signature === 'string' ? body.signature : '',
+  };
+  if (!a.signerName) throw acceptanceError('Your name is required');
+  if (!a.purchaseOrderNumber) throw acceptanceError('Your PO number is required');
+  if (!a.signature.startsWith('data:image')) throw acceptanceError('Please sign to accept');
+  if (a.signature.length > MAX_SIGNATURE_LENGTH) throw acceptanceError('Signature image is too large');
+  if (a.requestedDueDate && !/^\d{4}-\d{2}-\d{2}$/.test(a.requestedDueDate)) throw acceptanceError('requestedDueDate must be YYYY-MM-DD');
+  if (a.signerEmail && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(a.signerEmail)) throw acceptanceError('That email address does not look right');
+  if (body.agree !== true && body.agree !== 'true') throw acceptanceError('Please confirm you agree to the estimate and its terms');
+  return a;
+}
+
+/**
+ * The estimate as the customer agreed to it, kept on the link.
+ */
+function estimateSnapshot(estimate) {
+  const e = estimate.toJSON ? estimate.toJSON() : estimate;
+  return {
+    estimateNumber: e.estimateNumber,
+    clientName: e.clientName,
+    projectDescription: e.projectDescription || null,
+    partsSubtotal: e.partsSubtotal,
+    discountAmount: e.discountAmount,
+    truckingCost: e.truckingCost,
+    taxAmount: e.taxAmount,
+    grandTotal: e.grandTotal,
+    validUntil: e.validUntil || null,
+    parts: (e.parts || [])
+      .slice()
+      .sort((a, b) => (a.partNumber || 0) - (b.partNumber || 0))
+      .map(p => {
+        const fd = p.formData && typeof p.formData === 'object' ? p.formData : {};
+        return {
+          partNumber: p.partNumber,
+          partType: p.partType,
+          clientPartNumber: p.clientPartNumber || null,
+          quantity: p.quantity,
+          description: fd._materialDescription || p.materialDescription || null,
+          partTotal: p.partTotal,
+        };
+      }),
+  };
+}
+
+/**
+ * Append one audit event. Returns a new array so Sequelize sees the JSONB change.
+ */
+function addEvent(events, event, meta = {}) {
+  const entry = { at: new Date().toISOString(), event };
+  for (const k of ['by', 'ip', 'userAgent', 'detail']) if (meta[k]) entry[k] = meta[k];
+  return [...(events || []), entry];
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+async function createLink(estimateId, { expiresInDays, autoConvert, sentTo } = {}, username) {
+  const { Estimate, EstimateAcceptance } = getModels();
+  const estimate = await Estimate.findByPk(estimateId);
+  if (!estimate || estimate.trashedAt) throw acceptanceError('Estimate not found', 404);
+  if (estimate.workOrderId || ['accepted', 'converted'].includes(estimate.status)) throw acceptanceError('This estimate has already been accepted');
+  const link = await EstimateAcceptance.create({
+    estimateId: estimate.id,
+    token: newToken(),
+    expiresAt: linkExpiry(estimate, expiresInDays),
+    autoConvert: !!autoConvert,
+    quotedTotal: estimate.grandTotal,
+    sentTo: sentTo || estimate.contactEmail || null,
+    createdBy: username || null,
+    events: addEvent([], 'created', { by: username, detail: sentTo ? `for ${sentTo}` : null }),
+  });
+  return { link, url: acceptanceUrl(link.token) };
+}
+
+async function findByToken(token) {
+  const { Estimate, EstimatePart, EstimateAcceptance } = getModels();
+  if (!token || !/^[a-f0-9]{32,64}$/.test(token)) return null;
+  return EstimateAcceptance.findOne({
+    where: { token },
+    include: [{ model: Estimate, as: 'estimate', include: [{ model: EstimatePart, as: 'parts' }] }]
+  });
+}
+
+async function recordView(link, meta) {
+  const now = new Date();
+  await link.update({
+    viewCount: (link.viewCount || 0) + 1,
+    firstViewedAt: link.firstViewedAt || now,
+    lastViewedAt: now,
+    // One "viewed" event per visit is plenty; skip repeats within the hour
+    events: link.lastViewedAt && now - new Date(link.lastViewedAt) < 3600000 ? link.events : addEvent(link.events, 'viewed', meta),
+  });
+}
+
+/**
+ * Record the signed acceptance, mark the estimate accepted, convert it when the link says so,
+ * and ping the estimators. Conversion failures leave the acceptance in place for the office.
+ *
+ * The link and the estimate are claimed together with conditional updates, so of two submits racing
+ * (or a link and the portal) only the first records an acceptance and converts.
+ */
+async function acceptLink(link, body, meta) {
+  const { Estimate, EstimateAcceptance, sequelize } = getModels();
+  const estimate = link.estimate;
+  const problem = linkProblem(link, estimate);
+  if (problem) throw acceptanceError(problem, 409);
+  const a = readAcceptance(body);
+  const now = new Date();
+
+  await sequelize.transaction(async (transaction) => {
+    const [claimed] = await EstimateAcceptance.update({ status: 'accepted', signedAt: now }, { where: { id: link.id, status: link.status }, transaction });
+    if (!claimed) throw acceptanceError('This estimate has already been accepted — thank you', 409);
+    const [ordered] = await Estimate.update({ status: 'accepted', acceptedAt: estimate.acceptedAt || now }, { where: { id: estimate.id, status: estimate.status, workOrderId: null }, transaction });
+    if (!ordered) throw acceptanceError('This estimate has already been ordered', 409);
+  });
+
+  // Pin the revision letter the customer signed for
+  let revision = null;
+  try {
+    revision = (await require('./estimateRevisions').recordRevision(estimate.id, { reason: 'accepted', by: a.signerName })).revision;
+  } catch (e) {
+    console.error('[acceptance] revision not recorded (non-fatal):', e.message);
+  }
+
+  let events = addEvent(link.events, 'accepted', { ...meta, by: a.signerName, detail: `PO ${a.purchaseOrderNumber}, total $${(parseFloat(estimate.grandTotal) || 0).toFixed(2)}${revision ? `, Rev ${revision}` : ''}` });
+  await link.update({ ...a, status: 'accepted', signedAt: now, signerIp: meta.ip || null, signerUserAgent: meta.userAgent || null, estimateSnapshot: estimateSnapshot(estimate), events });
+  await estimate.update({ status: 'accepted', acceptedAt: estimate.acceptedAt || now, acceptedRevision: revision });
+
+  let workOrder = null;
+  if (link.autoConvert) {
+    try {
+      ({ workOrder } = await require('./estimateConversion').convertToWorkOrder(estimate.id, {
+        clientPurchaseOrderNumber: a.purchaseOrderNumber,
+        requestedDueDate: a.requestedDueDate,
+        notes: [estimate.notes, `Accepted online by ${a.signerName}${a.signerTitle ? ', ' + a.signerTitle : ''} on PO ${a.purchaseOrderNumber}`].filter(Boolean).join('\n')
+      }, a.signerName));
+      events = addEvent(events, 'converted', { detail: `DR-${workOrder.drNumber}` });
+      await link.update({ workOrderId: workOrder.id, events });
+    } catch (err) {
+      console.error(`[acceptance] Conversion of ${estimate.estimateNumber} failed:`, err.message);
+      events = addEvent(events, 'conversion_failed', { detail: err.message });
+      await link.update({ conversionError: err.message, events });
+    }
+  }
+
+  try {
+    const { notifyEstimatorDevices } = require('./push');
+    await notifyEstimatorDevices(
+      `✅ Estimate accepted — ${estimate.clientName || 'Unknown client'}`,
+      `${estimate.estimateNumber} signed by ${a.signerName}, PO ${a.purchaseOrderNumber}.` + (workOrder ? ` Converted to DR-${workOrder.drNumber}.` : (link.autoConvert ? ' Conversion failed — convert by hand.' : ' Ready to convert.')),
+      { type: 'estimate_accepted', estimateId: String(estimate.id) }
+    );
+  } catch (e) {
+    console.error('[acceptance] push failed (non-fatal):', e.message);
+  }
+  return { link, workOrder };
+}
+
+async function declineLink(link, body, meta) {
+  const estimate = link.estimate;
+  const problem = linkProblem(link, estimate);
+  if (problem) throw acceptanceError(problem, 409);
+  const reason = body.reason ? String(body.reason).trim() : null;
+  const name = body.name ? String(body.name).trim() : null;
+  await link.update({ status: 'declined', declineReason: reason, signerName: name, events: addEvent(link.events, 'declined', { ...meta, by: name, detail: reason }) });
+  await estimate.update({ status: 'declined' });
+  try {
+    const { notifyEstimatorDevices } = require('./push');
+    await notifyEstimatorDevices(
+      `Estimate declined — ${estimate.clientName || 'Unknown client'}`,
+      `${estimate.estimateNumber}${reason ? ': ' + reason : ''}`,
+      { type: 'estimate_declined', estimateId: String(estimate.id) }
+    );
+  } catch (e) {
+    console.error('[acceptance] push failed (non-fatal):', e.message);
+  }
+  return link;
+}
+
+module.exports = {
+  DEFAULT_DAYS,
+  newToken,
+  acceptanceUrl,
+  linkExpiry,
+  linkProblem,
+  readAcceptance,
+  estimateSnapshot,
+  addEvent,
+  createLink,
+  findByToken,
+  recordView,
+  acceptLink,
+  declineLink,
+};
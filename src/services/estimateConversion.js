@@ -0,0 +1,237 @@
+/**
+ * Converting an estimate to a work order.
+ *
+ * The office's convert button (POST /api/estimates/:id/convert-to-workorder), an estimate accepted
+ * in the client portal, and a signed acceptance link set to convert all come through here, so a DR
+ * is built the same way whoever asks for it. The DR number is custom or the next one, the work order
+ * and its parts come from the estimate (services/pricing.js builders) with lot numbers, part files,
+ * linked services and shipment charges carried over, and the revision the DR is built from is pinned.
+ *
+ * Everything up to the commit happens in one transaction. After it the work order exists, so the
+ * activity log, the client part catalog and the credit-hold check only log when they fail.
+ */
+
+const { allocateDRNumber, reserveCustomDRNumber } = require('./numberAllocator');
+const { computeDisplayNumbers } = require('./partNumbering');
+const estimateRevisions = require('./estimateRevisions');
+const clientPartCatalog = require('./clientPartCatalog');
+const { creditHoldWarning } = require('./receivables');
+
+const getModels = () => require('../models');
+
+function conversionError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Estimate file types as the work order names them
+function workOrderFileType(file) {
+  const fileType = file.fileType || 'other';
+  const ext = (file.originalName || file.filename || '').toLowerCase();
+  if (ext.endsWith('.pdf') || fileType === 'drawing' || fileType === 'print') return 'pdf_print';
+  if (ext.endsWith('.stp') || ext.endsWith('.step') || fileType === 'step_file') return 'step_file';
+  if (fileType === 'specification') return 'other';
+  return fileType;
+}
+
+/**
+ * Convert an estimate. Options: { clientPurchaseOrderNumber, requestedDueDate, promisedDate, notes,
+ * materialReceived, customDRNumber }. `by` is the username (or signer) the revision is pinned for.
+ * Resolves { workOrder (with parts), warning } — warning is the client's credit hold, if any.
+ */
+async function convertToWorkOrder(estimateId, options = {}, by = null) {
+  const models = getModels();
+  const { Estimate, EstimatePart, EstimatePartFile, EstimateFile, WorkOrder, WorkOrderPart, WorkOrderPartFile, DRNumber, DailyActivity, Client, ShipmentCharge, sequelize } = models;
+
+  const estimate = await Estimate.findByPk(estimateId, {
+    include: [
+      { model: EstimatePart, as: 'parts', include: [{ model: EstimatePartFile, as: 'files' }] },
+      { model: EstimateFile, as: 'files' }
+    ]
+  });
+  if (!estimate) throw conversionError('Estimate not found', 404);
+  if (estimate.status === 'converted' || estimate.workOrderId) throw conversionError('Estimate has already been converted to a work order');
+
+  const { clientPurchaseOrderNumber, requestedDueDate, promisedDate, notes, materialReceived, customDRNumber } = options;
+  const transaction = await sequelize.transaction();
+  let workOrder, drNumber;
+  try {
+    // Get DR number - custom or auto
+    drNumber = customDRNumber
+      ? await reserveCustomDRNumber(models, transaction, customDRNumber)
+      : await allocateDRNumber(models, transaction);
+
+    // Create DR number record
+    const drRecord = await DRNumber.create({
+      drNumber,
+      status: 'active'
+    }, { transaction });
+
+    // Generate order number
+    const date = new Date();
+    const year = date.getFullYear().toString().slice(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+    const orderNumber = `WO-${year}${month}${day}-${random}`;
+
+    // Create work order from estimate using shared utility
+    const { buildWorkOrderFromEstimate, buildWorkOrderPartFromEstimate } = require('./pricing');
+
+    const woData = buildWorkOrderFromEstimate(estimate, {
+      orderNumber,
+      drNumber,
+      clientPurchaseOrderNumber: clientPurchaseOrderNumber || null,
+      notes: notes || estimate.notes,
+      status: materialReceived ? 'received' : 'waiting_for_materials',
+      receivedAt: materialReceived ? new Date() : null,
+      allMaterialReceived: materialReceived ? true : false,
+      requestedDueDate: requestedDueDate || null,
+      promisedDate: promisedDate || null
+    });
+
+    workOrder = await WorkOrder.create(woData, { transaction });
+
+    // Update DR record with work order ID
+    await drRecord.update({ workOrderId: workOrder.id }, { transaction });
+
+    // Create work order parts from estimate parts using shared utility
+    const estimateToWoPartIdMap = {};
+    let displayNums = {};
+    try {
+      displayNums = (computeDisplayNumbers(estimate.parts || []) || {}).display || {};
+    } catch (e) { displayNums = {}; }
+    for (const estimatePart of estimate.parts) {
+      try {
+        const partData = buildWorkOrderPartFromEstimate(estimatePart);
+        partData.workOrderId = workOrder.id;
+
+        // Auto-fill lot number as <DR number>-<production number>
+        if (!partData.lotNumber || !String(partData.lotNumber).trim()) {
+          if (drNumber) partData.lotNumber = `${drNumber}-${displayNums[estimatePart.id] || estimatePart.partNumber}`;
+        }
+
+        console.log(`[convert] Part #${partData.partNumber} (${partData.partType}): labor=${partData.laborTotal}, material=${partData.materialTotal}, total=${partData.partTotal}`);
+
+        const workOrderPart = await WorkOrderPart.create(partData, { transaction });
+
+        // Track estimate part ID → work order part ID mapping
+        estimateToWoPartIdMap[estimatePart.id] = workOrderPart.id;
+
+        // Copy part files to work order part files
+        for (const file of estimatePart.files || []) {
+          await WorkOrderPartFile.create({
+            workOrderPartId: workOrderPart.id,
+            filename: file.filename,
+            originalName: file.originalName,
+            mimeType: file.mimeType,
+            size: file.size,
+            url: file.url,
+            cloudinaryId: file.cloudinaryId,
+            fileType: workOrderFileType(file)
+          }, { transaction });
+        }
+      } catch (partErr) {
+        console.error(`Failed to create WO part #${estimatePart.partNumber} (type: ${estimatePart.partType}):`, partErr.message);
+        if (partErr.errors) partErr.errors.forEach(e => console.error(`  Validation: ${e.path} - ${e.message}`));
+        throw new Error(`Failed on part #${estimatePart.partNumber} (${estimatePart.partType}): ${partErr.message}`);
+      }
+    }
+
+    // Second pass: remap _linkedPartId in formData for service parts
+    // The estimate's _linkedPartId points to estimate part IDs - we need to update to WO part IDs
+    for (const estimatePart of estimate.parts) {
+      const fd = estimatePart.formData && typeof estimatePart.formData === 'object' ? estimatePart.formData : {};
+      if (fd._linkedPartId && estimateToWoPartIdMap[fd._linkedPartId]) {
+        const woPartId = estimateToWoPartIdMap[estimatePart.id];
+        const newLinkedId = estimateToWoPartIdMap[fd._linkedPartId];
+        await WorkOrderPart.update(
+          { formData: { ...fd, _linkedPartId: newLinkedId } },
+          { where: { id: woPartId }, transaction }
+        );
+        console.log(`[convert] Remapped _linkedPartId for part #${estimatePart.partNumber}: ${fd._linkedPartId} → ${newLinkedId}`);
+      }
+    }
+
+    // Update estimate status - use 'accepted' and link to work order
+    const statusUpdates = {
+      status: 'accepted',
+      workOrderId: workOrder.id
+    };
+    if (!estimate.sentAt) statusUpdates.sentAt = new Date();
+    if (!estimate.acceptedAt) statusUpdates.acceptedAt = new Date();
+    // Pin the revision the DR is built from (recorded now if the estimate changed since it was sent)
+    const revision = await estimateRevisions.recordRevision(estimate.id, { reason: 'converted', by }, transaction);
+    statusUpdates.convertedRevision = revision.revision;
+    if (!estimate.acceptedRevision) statusUpdates.acceptedRevision = revision.revision;
+    await estimate.update(statusUpdates, { transaction });
+
+    // Copy shipment charges from estimate to work order
+    const estimateCharges = await ShipmentCharge.findAll({ where: { estimateId: estimate.id } });
+    for (const sc of estimateCharges) {
+      await ShipmentCharge.create({
+        workOrderId: workOrder.id,
+        sortOrder: sc.sortOrder,
+        carrierType: sc.carrierType,
+        vendorId: sc.vendorId,
+        vendorName: sc.vendorName,
+        pickupLocation: sc.pickupLocation,
+        pickupIsShop: sc.pickupIsShop,
+        dropoffLocation: sc.dropoffLocation,
+        dropoffIsShop: sc.dropoffIsShop,
+        shippingCost: sc.shippingCost,
+        shippingMarkup: sc.shippingMarkup,
+        materialsCost: sc.materialsCost,
+        materialsMarkup: sc.materialsMarkup,
+        notes: sc.notes,
+      }, { transaction });
+    }
+
+    await transaction.commit();
+  } catch (error) {
+    try { await transaction.rollback(); } catch (rbErr) { console.error('[convert] rollback failed:', rbErr.message); }
+    if (error.status) throw error;
+    console.error('Convert to work order error:', error);
+    // Include validation details if available
+    const details = error.errors ? error.errors.map(e => `${e.path}: ${e.message}`).join(', ') : '';
+    throw conversionError(details ? `Validation error: ${details}` : (error.message || 'Failed to convert estimate'), error.message?.includes('Validation') ? 400 : 500);
+  }
+  console.log(`[convert] ✅ COMMITTED — DR-${drNumber} created from ${estimate.estimateNumber} (${estimate.parts.length} parts)`);
+
+  // From here the work order already exists — nothing below may fail the conversion
+  try {
+    await DailyActivity.create({
+      activityType: 'created',
+      resourceType: 'work_order',
+      resourceId: workOrder.id,
+      resourceNumber: `DR-${drNumber}`,
+      clientName: estimate.clientName,
+      description: `Work order created from estimate ${estimate.estimateNumber}`,
+      details: { estimateNumber: estimate.estimateNumber, partsCount: estimate.parts.length }
+    });
+  } catch (logErr) { console.error('[convert] activity log failed (non-fatal):', logErr.message); }
+
+  // Repeat parts in the client's catalog get this DR as their last order
+  try {
+    await clientPartCatalog.recordWorkOrder(workOrder.id, { estimateId: estimate.id, by });
+  } catch (catErr) { console.error('[convert] part catalog update failed (non-fatal):', catErr.message); }
+
+  // Fetch complete work order (fall back to the created instance if the re-fetch fails)
+  let completeWorkOrder = workOrder;
+  try {
+    completeWorkOrder = await WorkOrder.findByPk(workOrder.id, {
+      include: [{ model: WorkOrderPart, as: 'parts' }]
+    }) || workOrder;
+  } catch (fetchErr) { console.error('[convert] work order re-fetch failed (non-fatal):', fetchErr.message); }
+
+  let warning = null;
+  if (estimate.clientId) {
+    try { warning = creditHoldWarning(await Client.findByPk(estimate.clientId)); } catch (holdErr) { console.error('[convert] credit hold check failed (non-fatal):', holdErr.message); }
+  }
+  return { workOrder: completeWorkOrder, warning };
+}
+
+module.exports = {
+  convertToWorkOrder,
+};
@@ -0,0 +1,280 @@
+/**
+ * Estimate revisions.
+ *
+ * Estimates are edited in place, so each time one goes out we keep a frozen copy of what the
+ * customer was shown: header, pricing totals, every part and every shipment charge. Copies are
+ * lettered A, B, C… and never change afterwards. Sending the same content again adds a send to
+ * the existing revision instead of making a new letter, so "rev B" always means one set of numbers.
+ *
+ * Acceptance and conversion also pin a revision (recording one first if the estimate was edited
+ * after it was last sent), so the estimate can say which letter the customer accepted and which
+ * one the work order was built from.
+ */
+
+const crypto = require('crypto');
+
+const getModels = () => require('../models');
+
+// Customer-facing header and pricing fields. internalNotes, workflow and reminder fields are ours
+// and editing them is not a new revision.
+const HEADER_FIELDS = [
+  'estimateNumber', 'clientName', 'contactName', 'contactEmail', 'contactPhone', 'contactExtension',
+  'projectDescription', 'notes', 'validUntil', 'truckingDescription', 'truckingCost', 'opTransports',
+  'taxRate', 'useCustomTax', 'customTaxReason', 'taxExempt', 'taxExemptReason', 'taxExemptCertNumber',
+  'discountPercent', 'discountAmount', 'discountReason', 'minimumOverride', 'minimumOverrideReason',
+  'partsSubtotal', 'taxAmount', 'grandTotal',
+];
+
+// Bookkeeping columns left out of part and charge snapshots
+const ROW_SKIP = ['estimateId', 'workOrderId', 'createdAt', 'updatedAt', 'files', 'vendor', 'Estimate'];
+
+function revisionError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * 1 → A, 26 → Z, 27 → AA.
+ */
+function revisionLetter(sequence) {
+  let n = parseInt(sequence);
+  if (!(n > 0)) return null;
+  let s = '';
+  while (n > 0) {
+    const r = (n - 1) % 26;
+    s = String.fromCharCode(65 + r) + s;
+    n = Math.floor((n - 1) / 26);
+  }
+  return s;
+}
+
+const plain = (row) => (row && row.toJSON ? row.toJSON() : row);
+
+function cleanRow(row) {
+  const r = plain(row);
+  const out = {};
+  for (const k of Object.keys(r).sort()) if (!ROW_SKIP.includes(k)) out[k] = r[k];
+  return out;
+}
+
+/**
+ * The revisable content of an estimate: header fields, parts by partNumber, charges by sortOrder.
+ */
+function buildSnapshot(estimate, parts, charges) {
+  const e = plain(estimate);
+  const header = {};
+  for (const f of HEADER_FIELDS) header[f] = e[f] === undefined ? null : e[f];
+  return {
+    header,
+    parts: (parts || e.parts || []).map(cleanRow).sort((a, b) => (a.partNumber || 0) - (b.partNumber || 0)),
+    charges: (charges || []).map(cleanRow).sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0)),
+  };
+}
+
+// JSON with object keys sorted, so the same content always hashes the same
+function stableJson(v) {
+  if (Array.isArray(v)) return '[' + v.map(stableJson).join(',') + ']';
+  if (v && typeof v === 'object' && !(v instanceof Date)) {
+    return '{' + Object.keys(v).sort().map(k => JSON.stringify(k) + ':' + stableJson(v[k])).join(',') + '}';
+  }
+  return JSON.stringify(v === undefined ? null : v);
+}
+
+function contentHash(snapshot) {
+  return crypto.createHash('sha1').update(stableJson(snapshot)).digest('hex');
+}
+
+// Flatten nested objects (formData) to dotted keys so a diff names the exact field
+function flatten(obj, prefix = '', out = {}) {
+  for (const [k, v] of Object.entries(obj || {})) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date)) flatten(v, key, out);
+    else out[key] = v;
+  }
+  return out;
+}
+
+// Numbers stored as DECIMAL come back as strings; "12.5" and "12.50" are the same price
+function sameValue(a, b) {
+  if (a === b) return true;
+  if ((a === null || a === undefined || a === '') && (b === null || b === undefined || b === '')) return true;
+  const na = Number(a), nb = Number(b);
+  if (a !== null && b !== null && a !== '' && b !== '' && !isNaN(na) && !isNaN(nb) && typeof a !== 'boolean' && typeof b !== 'boolean') return na === nb;
+  return stableJson(a) === stableJson(b);
+}
+
+function fieldChanges(from, to) {
+  const a = flatten(from), b = flatten(to);
+  const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+  return keys.filter(k => k !== 'id' && !sameValue(a[k], b[k])).map(k => ({ field: k, from: a[k] === undefined ? null : a[k], to: b[k] === undefined ? null : b[k] }));
+}
+
+// Rows are matched by id (parts and charges are edited in place), or by `key` for rows without one
+function rowChanges(fromRows, toRows, key, label) {
+  const unmatched = [...(toRows || [])];
+  const out = { added: [], removed: [], changed: [] };
+  for (const f of fromRows || []) {
+    const i = f.id ? unmatched.findIndex(t => t.id === f.id) : unmatched.findIndex(t => !t.id && t[key] === f[key]);
+    if (i < 0) { out.removed.push({ id: f.id || null, [key]: f[key], label: label(f) }); continue; }
+    const t = unmatched.splice(i, 1)[0];
+    const changes = fieldChanges(f, t);
+    if (changes.length) out.changed.push({ id: t.id || null, [key]: t[key], label: label(t), changes });
+  }
+  for (const t of unmatched) out.added.push({ id: t.id || null, [key]: t[key], label: label(t) });
+  return out;
+}
+
+const partLabel = (p) => {
+  const fd = p.formData && typeof p.formData === 'object' ? p.formData : {};
+  return [`#${p.partNumber}`, p.clientPartNumber, fd._materialDescription || p.materialDescription || p.partType].filter(Boolean).join(' ');
+};
+const chargeLabel = (c) => [c.carrierType, c.vendorName, c.dropoffLocation].filter(Boolean).join(' · ') || 'Shipment charge';
+
+/**
+ * Field-level differences between two snapshots.
+ */
+function diffSnapshots(from, to) {
+  const header = fieldChanges(from.header, to.header);
+  const parts = rowChanges(from.parts, to.parts, 'partNumber', partLabel);
+  const charges = rowChanges(from.charges, to.charges, 'sortOrder', chargeLabel);
+  const count = (d) => d.added.length + d.removed.length + d.changed.length;
+  const g = (s) => (s.header && s.header.grandTotal != null ? parseFloat(s.header.grandTotal) || 0 : 0);
+  return {
+    identical: header.length + count(parts) + count(charges) === 0,
+    grandTotal: { from: from.header.grandTotal, to: to.header.grandTotal, change: (g(to) - g(from)).toFixed(2) },
+    header,
+    parts,
+    charges,
+  };
+}
+
+/**
+ * A revision without its snapshot, for lists.
+ */
+function revisionSummary(rev, estimate) {
+  const r = plain(rev);
+  const e = estimate ? plain(estimate) : {};
+  return {
+    id: r.id,
+    revision: r.revision,
+    sequence: r.sequence,
+    reason: r.reason,
+    grandTotal: r.grandTotal,
+    createdBy: r.createdBy,
+    createdAt: r.createdAt,
+    note: r.note || null,
+    sends: r.sends || [],
+    accepted: !!e.acceptedRevision && e.acceptedRevision === r.revision,
+    converted: !!e.convertedRevision && e.convertedRevision === r.revision,
+  };
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+async function currentSnapshot(estimateId, transaction) {
+  const { Estimate, EstimatePart, ShipmentCharge } = getModels();
+  const estimate = await Estimate.findByPk(estimateId, { transaction });
+  if (!estimate || estimate.trashedAt) throw revisionError('Estimate not found', 404);
+  const parts = await EstimatePart.findAll({ where: { estimateId }, transaction });
+  const charges = await ShipmentCharge.findAll({ where: { estimateId }, transaction });
+  return { estimate, snapshot: buildSnapshot(estimate, parts, charges) };
+}
+
+async function latestRevision(estimateId, transaction) {
+  const { EstimateRevision } = getModels();
+  return EstimateRevision.findOne({ where: { estimateId }, order: [['sequence', 'DESC']], transaction });
+}
+
+/**
+ * Record the estimate as it is now. Reuses the latest revision when nothing customer-facing changed.
+ * reason: sent | accepted | converted. Sends ({ to, via }) are appended to the revision's send list.
+ */
+async function recordRevision(estimateId, { reason = 'sent', by, to, via, note } = {}, transaction) {
+  const { EstimateRevision } = getModels();
+  const { estimate, snapshot } = await currentSnapshot(estimateId, transaction);
+  const hash = contentHash(snapshot);
+  const send = reason === 'sent' ? [{ at: new Date().toISOString(), by: by || null, to: to || null, via: via || 'manual' }] : [];
+
+  let rev = await latestRevision(estimateId, transaction);
+  if (rev && rev.contentHash === hash) {
+    if (send.length) await rev.update({ sends: [...(rev.sends || []), ...send] }, { transaction });
+  } else {
+    const sequence = rev ? rev.sequence + 1 : 1;
+    rev = await EstimateRevision.create({
+      estimateId,
+      sequence,
+      revision: revisionLetter(sequence),
+      reason,
+      contentHash: hash,
+      snapshot,
+      grandTotal: snapshot.header.grandTotal,
+      createdBy: by || null,
+      note: note || null,
+      sends: send,
+    }, { transaction });
+  }
+  if (estimate.currentRevision !== rev.revision) await estimate.update({ currentRevision: rev.revision }, { transaction });
+  return rev;
+}
+
+/**
+ * The letter the PDF prints: the latest revision when the estimate matches it, otherwise the
+ * letter it will get when sent.
+ */
+async function pdfRevision(estimate, parts, charges) {
+  const rev = await latestRevision(estimate.id);
+  if (!rev) return revisionLetter(1);
+  return rev.contentHash === contentHash(buildSnapshot(estimate, parts, charges)) ? rev.revision : revisionLetter(rev.sequence + 1);
+}
+
+async function listRevisions(estimateId) {
+  const { Estimate, EstimateRevision } = getModels();
+  const estimate = await Estimate.findByPk(estimateId);
+  if (!estimate) throw revisionError('Estimate not found', 404);
+  const revs = await EstimateRevision.findAll({ where: { estimateId }, attributes: { exclude: ['snapshot'] }, order: [['sequence', 'ASC']] });
+  const latest = revs[revs.length - 1];
+  const { snapshot } = await currentSnapshot(estimateId);
+  return {
+    currentRevision: estimate.currentRevision || null,
+    acceptedRevision: estimate.acceptedRevision || null,
+    convertedRevision: estimate.convertedRevision || null,
+    unsentChanges: !latest || latest.contentHash !== contentHash(snapshot),
+    revisions: revs.map(r => revisionSummary(r, estimate)),
+  };
+}
+
+async function getRevision(estimateId, letter) {
+  const { EstimateRevision } = getModels();
+  const rev = await EstimateRevision.findOne({ where: { estimateId, revision: String(letter || '').toUpperCase() } });
+  if (!rev) throw revisionError(`Revision ${letter} not found`, 404);
+  return rev;
+}
+
+/**
+ * Diff two revisions by letter. `to` may be 'current' for the unsent edits.
+ */
+async function diffRevisions(estimateId, fromLetter, toLetter = 'current') {
+  if (!fromLetter) throw revisionError('from is required');
+  const from = await getRevision(estimateId, fromLetter);
+  const to = String(toLetter).toLowerCase() === 'current'
+    ? { revision: 'current', snapshot: (await currentSnapshot(estimateId)).snapshot }
+    : await getRevision(estimateId, toLetter);
+  return { from: from.revision, to: to.revision, ...diffSnapshots(from.snapshot, to.snapshot) };
+}
+
+module.exports = {
+  HEADER_FIELDS,
+  revisionLetter,
+  buildSnapshot,
+  contentHash,
+  diffSnapshots,
+  revisionSummary,
+  recordRevision,
+  pdfRevision,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+};
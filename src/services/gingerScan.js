@@ -3,8 +3,9 @@ const { getParsingModel } = require('./aiConfig');
  * Ginger — daily scheduling / priority scan.
  *
  * Looks across active work orders and flags what's at risk of missing its promised
- * date (overdue, due soon, not enough shop time left for the remaining labor, or
- * material still not in). Produces a ranked list of findings, optionally re-voiced
+ * date (overdue, due soon, not enough shop time left for the remaining labor, a
+ * machine that can't take a part or is down for maintenance, or material still
+ * not in). Produces a ranked list of findings, optionally re-voiced
  * by the AI in Ginger's gentle, Eeyore-ish tone, and stores them in AppSettings under
  * the key `ginger_findings` for the floating Ginger icon to read.
  *
@@ -14,12 +15,15 @@ const { getParsingModel } = require('./aiConfig');
  */
 
 const { Op } = require('sequelize');
-const { WorkOrder, WorkOrderPart, AppSettings } = require('../models');
+const { WorkOrder, WorkOrderPart, WorkCenterDowntime, AppSettings } = require('../models');
+const scheduler = require('./productionScheduler');
+const workCenters = require('./workCenters');
 
 // --- Tunables (could be moved to AppSettings later) ---
 const DUE_SOON_DAYS = 3;          // promised within this many days = "due soon"
 const MATERIAL_WARN_DAYS = 7;     // warn about missing material when due within this window
-const DAILY_LABOR_CAPACITY = 16;  // rough shop labor-hours available per working day
+const PLAN_MAX_AGE_DAYS = 7;      // an older production plan is too stale to judge capacity by
+const FALLBACK_DAILY_CAPACITY = 16; // only used when no operators are set up on the production calendar
 const FINDINGS_KEY = 'ginger_findings';
 
 // Statuses we consider "done" and therefore don't nag about
@@ -55,8 +59,35 @@ function dr(wo) {
   return wo.drNumber || wo.orderNumber || (wo.id ? wo.id.slice(0, 8) : '???');
 }
 
-// Build a single consolidated finding per work order (or null if nothing's wrong)
-function evaluateWorkOrder(wo) {
+// Open parts that either fit no machine, or are routed to a machine that is down between now and
+// the promised date. Parts of a type no machine claims are not checked (see workCenters.js).
+function machineIssues(parts, machines, promised) {
+  const issues = [];
+  const now = new Date();
+  const dueEnd = new Date(promised);
+  dueEnd.setHours(23, 59, 59, 999);
+  for (const p of parts) {
+    if (p.status === 'completed') continue;
+    const fit = workCenters.machineCapacityCheck(p, machines.centers);
+    if (fit.checked && !fit.fits) {
+      issues.push({ partNumber: p.partNumber, problem: 'no_fit', detail: fit.warnings[0] || null });
+      continue;
+    }
+    for (const step of workCenters.effectiveRouting(p, machines.centers)) {
+      const down = machines.downtime.find(d => d.workCenterId === step.workCenterId && new Date(d.startAt) <= dueEnd && new Date(d.endAt) >= now);
+      if (down) {
+        issues.push({ partNumber: p.partNumber, problem: 'down', workCenterName: step.workCenterName, downFrom: down.startAt, downUntil: down.endAt, reason: down.reason || null });
+        break;
+      }
+    }
+  }
+  return issues;
+}
+
+// Build a single consolidated finding per work order (or null if nothing's wrong).
+// ctx.planned is the scheduler's projection for this work order (if a plan exists) and
+// ctx.dailyCapacity the floor's hours per working day from the production calendar.
+function evaluateWorkOrder(wo, ctx = {}) {
   const reasons = [];
   let severity = null;
   const bump = (s) => {
@@ -105,15 +136,31 @@ function evaluateWorkOrder(wo) {
   }
 
   // 3) Capacity — can the remaining work physically fit before it's due?
-  if (haveHours && remainingHours > 0 && daysUntil !== null && daysUntil >= 0) {
+  // With a schedule, the finite-capacity plan already knows (it accounts for everything else
+  // queued ahead on the same operator). Without one, fall back to raw calendar hours.
+  if (ctx.planned && daysUntil !== null && daysUntil >= 0) {
+    if (ctx.planned.late) {
+      bump('capacity');
+      reasons.push({ kind: 'capacity', remainingHours: Math.round(ctx.planned.hours), projectedFinish: ctx.planned.finish, operator: ctx.planned.operator });
+    }
+  } else if (haveHours && remainingHours > 0 && daysUntil !== null && daysUntil >= 0) {
     const wd = Math.max(workingDaysUntil(promised), 0);
-    const capacityHours = wd * DAILY_LABOR_CAPACITY;
+    const capacityHours = wd * (ctx.dailyCapacity || FALLBACK_DAILY_CAPACITY);
     if (remainingHours > capacityHours) {
       bump('capacity');
       reasons.push({ kind: 'capacity', remainingHours: Math.round(remainingHours), capacityHours, workingDays: wd });
     }
   }
 
+  // 3b) Machines — a part no machine can take, or a machine down for maintenance before it's due
+  if (ctx.machines && daysUntil !== null && daysUntil >= 0) {
+    const issues = machineIssues(parts, ctx.machines, promised);
+    if (issues.length) {
+      bump('capacity');
+      reasons.push({ kind: 'machine', issues });
+    }
+  }
+
   // 4) Material not in while the clock is running
   if (materialOutstanding && daysUntil !== null && daysUntil <= MATERIAL_WARN_DAYS) {
     bump('material');
@@ -142,8 +189,17 @@ function defaultLine(wo, severity, reasons, daysUntil) {
     const late = Math.abs(daysUntil);
     return `Oh dear... ${id} is past due — it was meant to ship ${late} day${late === 1 ? '' : 's'} ago. Could we look after it when you get a moment?`;
   }
+  if (severity === 'capacity' && !reasons.some(x => x.kind === 'capacity')) {
+    const m = reasons.find(x => x.kind === 'machine').issues[0];
+    if (m.problem === 'no_fit') return `${id} has part ${m.partNumber} that none of our machines can take, I'm afraid. Someone may want to look before it's due.`;
+    return `${id} needs the ${m.workCenterName}, and it's down for maintenance before the job is due. Maybe plan around it?`;
+  }
   if (severity === 'capacity') {
     const r = reasons.find(x => x.kind === 'capacity');
+    if (r.projectedFinish) {
+      const when = new Date(r.projectedFinish).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+      return `${id} has about ${r.remainingHours}h of work left, and the schedule doesn't get it done until ${when}. That's after it's promised, I'm afraid.`;
+    }
     return `${id} has about ${r.remainingHours}h of work left and only ~${r.capacityHours}h of shop time before it's due. Might be wise to start soon, if we can.`;
   }
   if (severity === 'material') {
@@ -210,12 +266,36 @@ async function runGingerScan({ useAI = true } = {}) {
       status: { [Op.notIn]: DONE_STATUSES },
       isVoided: { [Op.not]: true },
     },
-    include: [{ model: WorkOrderPart, as: 'parts', attributes: ['laborHours', 'status', 'materialReceived', 'quantity'] }],
+    include: [{ model: WorkOrderPart, as: 'parts', attributes: ['partNumber', 'partType', 'laborHours', 'status', 'materialReceived', 'quantity', 'routing',
+      'thickness', 'width', 'length', 'diameter', 'radius', 'innerDiameter', 'outerDiameter', 'material'] }],
   });
 
+  // Capacity context: the latest scheduler plan, or the calendar's daily hours without one
+  const ctx = { plannedByWo: {}, dailyCapacity: FALLBACK_DAILY_CAPACITY };
+  try {
+    const plan = await scheduler.getSchedule();
+    const fresh = plan && plan.generatedAt && (Date.now() - new Date(plan.generatedAt).getTime()) < PLAN_MAX_AGE_DAYS * 86400000;
+    if (fresh && Array.isArray(plan.workOrders)) plan.workOrders.forEach(o => { ctx.plannedByWo[o.workOrderId] = o; });
+    const calendar = await scheduler.getCalendar();
+    const operators = await scheduler.getSchedulableOperators(calendar);
+    if (operators.length) ctx.dailyCapacity = scheduler.dailyCapacityHours(calendar, operators);
+  } catch (e) {
+    console.warn('[Ginger] schedule/calendar unavailable, using fallback capacity:', e.message);
+  }
+  // Machine context: active work centers and any downtime that hasn't ended yet
+  try {
+    const centers = await workCenters.getActiveCenters();
+    if (centers.length) {
+      const downtime = await WorkCenterDowntime.findAll({ where: { endAt: { [Op.gte]: new Date() } } });
+      ctx.machines = { centers, downtime };
+    }
+  } catch (e) {
+    console.warn('[Ginger] work centers unavailable, skipping machine checks:', e.message);
+  }
+
   let findings = [];
   for (const wo of workOrders) {
-    const f = evaluateWorkOrder(wo);
+    const f = evaluateWorkOrder(wo, { planned: ctx.plannedByWo[wo.id] || null, dailyCapacity: ctx.dailyCapacity, machines: ctx.machines || null });
     if (f) findings.push(f);
   }
 
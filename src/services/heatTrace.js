@@ -0,0 +1,265 @@
+/**
+ * Heat recall trace — when a mill issues a nonconformance on a heat, who got it?
+ *
+ * A heat reaches a work order three ways, and the trace reads all of them:
+ *   WorkOrderPart.heatNumber         — single-heat parts
+ *   WorkOrderPart.heatBreakdown[]    — split parts, with the pieces from each heat
+ *   InspectionUnit.preRoll           — the heat an inspector read off the plate (heatNumberConfirmed
+ *                                      when typed, else heatNumber). A unit that only ticks
+ *                                      heatNumberConfirmed is confirming its part's heat, and is
+ *                                      listed against that part.
+ * Shipments come from WorkOrder.pickupHistory, matched to the part by id (older entries by part number).
+ *
+ * A pickup doesn't record which heat the pieces came from, so on a split part the shipped quantity
+ * for a heat is capped at that heat's pieces — an upper bound, which is the safe side for a recall.
+ */
+
+const { normalizeHeat, heatsOnPart, partsWithHeats } = require('./millTestReports');
+
+const getModels = () => require('../models');
+
+// The heat an inspector recorded on a unit, if any
+function unitHeat(preRoll) {
+  const pr = preRoll || {};
+  if (typeof pr.heatNumberConfirmed === 'string' && pr.heatNumberConfirmed.trim()) return pr.heatNumberConfirmed.trim();
+  if (typeof pr.heatNumber === 'string' && pr.heatNumber.trim()) return pr.heatNumber.trim();
+  return null;
+}
+
+/**
+ * Pickups that included this part: [{ date, qty, pickedUpBy }], oldest first.
+ */
+function shipmentsForPart(workOrder, part) {
+  const history = Array.isArray(workOrder && workOrder.pickupHistory) ? workOrder.pickupHistory : [];
+  const out = [];
+  for (const entry of history) {
+    for (const item of entry.items || []) {
+      const hit = item.partId ? item.partId === part.id : String(item.partNumber) === String(part.partNumber);
+      const qty = parseInt(item.quantity) || 0;
+      if (hit && qty > 0) out.push({ date: entry.date || null, qty, pickedUpBy: entry.pickedUpBy || null });
+    }
+  }
+  return out.sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0));
+}
+
+function partDescription(part) {
+  const fd = part.formData && typeof part.formData === 'object' ? part.formData : {};
+  return (fd._materialDescription || part.materialDescription || part.sectionSize || part.partType || '').replace(/^\d+pc:\s*/i, '');
+}
+
+function baseRow(heatNumber, part, workOrder) {
+  const wo = workOrder || {};
+  return {
+    heatNumber,
+    heatKey: normalizeHeat(heatNumber),
+    workOrderId: part.workOrderId || wo.id || null,
+    drNumber: wo.drNumber || null,
+    orderNumber: wo.orderNumber || null,
+    clientName: wo.clientName || null,
+    clientPurchaseOrderNumber: wo.clientPurchaseOrderNumber || null,
+    status: wo.status || null,
+    partId: part.id,
+    partNumber: part.partNumber,
+    clientPartNumber: part.clientPartNumber || null,
+    description: partDescription(part),
+    partQuantity: parseInt(part.quantity) || 1,
+    quantity: 0,
+    sources: [],
+    unitIds: [],
+    _workOrder: wo,
+    _part: part,
+  };
+}
+
+/**
+ * Assemble trace rows, one per heat per part.
+ * @param {string[]} heats  heat numbers asked for
+ * @param {Array} parts  WorkOrderParts carrying any of them, each with `workOrder` (incl. pickupHistory)
+ * @param {Array} units  inspection units: { unitId, preRoll, workOrderPartId, part, workOrder }
+ */
+function buildTrace(heats, parts, units) {
+  const keys = new Set(heats.map(normalizeHeat).filter(Boolean));
+  const rows = new Map();
+
+  for (const part of parts) {
+    const breakdown = Array.isArray(part.heatBreakdown) ? part.heatBreakdown.filter(r => r && r.heat) : [];
+    for (const heat of heatsOnPart(part)) {
+      const key = normalizeHeat(heat);
+      if (!keys.has(key) || rows.has(key + '|' + part.id)) continue;
+      const row = baseRow(heat, part, part.workOrder);
+      if (breakdown.length) {
+        row.quantity = breakdown.filter(r => normalizeHeat(r.heat) === key).reduce((s, r) => s + (parseInt(r.qty) || 0), 0);
+        row.sources.push('breakdown');
+      } else {
+        row.quantity = row.partQuantity;
+        row.sources.push('part');
+      }
+      rows.set(key + '|' + part.id, row);
+    }
+  }
+
+  for (const unit of units) {
+    const typed = unitHeat(unit.preRoll);
+    const key = typed ? normalizeHeat(typed) : null;
+    if (key && keys.has(key)) {
+      let row = rows.get(key + '|' + unit.workOrderPartId);
+      if (!row) {
+        if (!unit.part) continue;
+        row = baseRow(typed, unit.part, unit.workOrder);
+        rows.set(key + '|' + unit.workOrderPartId, row);
+      }
+      if (!row.sources.includes('inspection')) row.sources.push('inspection');
+      row.unitIds.push(unit.unitId);
+      // Inspected plate with no heat on the part: each unit is one piece of this heat
+      if (row.sources[0] === 'inspection') row.quantity = row.unitIds.length;
+    } else if (unit.preRoll && unit.preRoll.heatNumberConfirmed === true) {
+      // Confirms whatever heat its part carries
+      for (const row of rows.values()) {
+        if (row.partId === unit.workOrderPartId && !row.unitIds.includes(unit.unitId)) row.unitIds.push(unit.unitId);
+      }
+    }
+  }
+
+  const out = [];
+  for (const row of rows.values()) {
+    const shipments = shipmentsForPart(row._workOrder, row._part);
+    const shipped = shipments.reduce((s, e) => s + e.qty, 0);
+    row.shipments = shipments;
+    row.shippedQty = Math.min(shipped, row.quantity);
+    row.shipDate = shipments.length ? shipments[shipments.length - 1].date
+      : (['shipped', 'archived'].includes(row.status) ? (row._workOrder.shippedAt || row._workOrder.pickedUpAt || null) : null);
+    if (!shipments.length && row.shipDate) row.shippedQty = row.quantity;
+    delete row._workOrder;
+    delete row._part;
+    out.push(row);
+  }
+  return out.sort((a, b) => a.heatKey.localeCompare(b.heatKey)
+    || String(a.clientName || '').localeCompare(String(b.clientName || ''))
+    || String(a.drNumber || '').localeCompare(String(b.drNumber || ''), undefined, { numeric: true })
+    || (a.partNumber || 0) - (b.partNumber || 0));
+}
+
+/**
+ * Who to call: per client, the work orders and pieces of the traced heats they received.
+ */
+function summarizeByClient(rows) {
+  const byClient = new Map();
+  for (const r of rows) {
+    const name = r.clientName || '(no client)';
+    if (!byClient.has(name)) byClient.set(name, { clientName: name, workOrders: new Set(), quantity: 0, shippedQty: 0, lastShipDate: null });
+    const c = byClient.get(name);
+    c.workOrders.add(r.workOrderId);
+    c.quantity += r.quantity;
+    c.shippedQty += r.shippedQty;
+    if (r.shipDate && (!c.lastShipDate || new Date(r.shipDate) > new Date(c.lastShipDate))) c.lastShipDate = r.shipDate;
+  }
+  return [...byClient.values()]
+    .map(c => ({ ...c, workOrders: c.workOrders.size }))
+    .sort((a, b) => b.shippedQty - a.shippedQty || a.clientName.localeCompare(b.clientName));
+}
+
+const csvCell = (v) => {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+};
+const shortDate = (d) => (d ? new Date(d).toLocaleDateString('en-US', { timeZone: 'America/Los_Angeles' }) : '');
+
+function toCsv(rows) {
+  const header = ['Heat', 'DR', 'Client', 'Client PO', 'Part #', 'Client Part #', 'Description', 'Qty', 'Qty Shipped', 'Ship Date', 'Status', 'Source', 'Inspection Units'];
+  const lines = [header.map(csvCell).join(',')];
+  for (const r of rows) {
+    lines.push([
+      r.heatNumber, r.drNumber ? 'DR-' + r.drNumber : (r.orderNumber || ''), r.clientName, r.clientPurchaseOrderNumber,
+      r.partNumber, r.clientPartNumber, r.description, r.quantity, r.shippedQty, shortDate(r.shipDate), r.status,
+      r.sources.join(' + '), r.unitIds.join(' '),
+    ].map(csvCell).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+const WO_ATTRS = ['id', 'drNumber', 'orderNumber', 'clientName', 'clientPurchaseOrderNumber', 'status', 'shippedAt', 'pickedUpAt', 'pickupHistory'];
+
+async function loadUnits(keys, partIds) {
+  const { InspectionUnit, InspectionJob, WorkOrder, WorkOrderPart, sequelize } = getModels();
+  const { Op } = require('sequelize');
+  const list = keys.map(k => sequelize.escape(k)).join(', ');
+  const norm = (field) => `upper(regexp_replace(coalesce("InspectionUnit"."preRoll"->>'${field}', ''), '[^A-Za-z0-9]', '', 'g'))`;
+  const or = [sequelize.literal(`(${norm('heatNumberConfirmed')} IN (${list}) OR ${norm('heatNumber')} IN (${list}))`)];
+  if (partIds.length) {
+    or.push({ [Op.and]: [sequelize.literal(`("InspectionUnit"."preRoll"->>'heatNumberConfirmed') = 'true'`), { '$InspectionJob.workOrderPartId$': partIds }] });
+  }
+  const units = await InspectionUnit.findAll({
+    where: { [Op.or]: or },
+    attributes: ['id', 'unitId', 'preRoll'],
+    include: [{ model: InspectionJob, attributes: ['id', 'workOrderId', 'workOrderPartId'], include: [{ model: WorkOrder, attributes: WO_ATTRS }] }]
+  });
+  const missing = [...new Set(units.map(u => u.InspectionJob && u.InspectionJob.workOrderPartId).filter(id => id && !partIds.includes(id)))];
+  const extraParts = missing.length ? await WorkOrderPart.findAll({ where: { id: missing } }) : [];
+  const partById = new Map(extraParts.map(p => [p.id, p.toJSON()]));
+  return units.filter(u => u.InspectionJob).map(u => ({
+    unitId: u.unitId,
+    preRoll: u.preRoll || {},
+    workOrderPartId: u.InspectionJob.workOrderPartId,
+    part: partById.get(u.InspectionJob.workOrderPartId) || null,
+    workOrder: u.InspectionJob.WorkOrder ? u.InspectionJob.WorkOrder.toJSON() : null,
+  }));
+}
+
+/**
+ * Trace one or more heats. Options: { clientName } narrows the rows to one customer (for sending
+ * them their list) — the MTR and rack details are still returned for the office.
+ * Returns { heats: [{ heatNumber, mtrs, stock }], rows, byClient, workOrderCount }.
+ */
+async function traceHeats(heats, { clientName } = {}) {
+  const { MtrHeat, MillTestReport, MaterialStock, sequelize } = getModels();
+  const byKey = new Map();
+  for (const h of heats) {
+    const heat = String(h || '').trim();
+    if (normalizeHeat(heat) && !byKey.has(normalizeHeat(heat))) byKey.set(normalizeHeat(heat), heat);
+  }
+  const asked = [...byKey.values()];
+  if (!asked.length) {
+    const err = new Error('Heat number is required');
+    err.status = 400;
+    throw err;
+  }
+  const keys = [...byKey.keys()];
+  const parts = (await partsWithHeats(asked)).map(p => p.toJSON());
+  const units = await loadUnits(keys, parts.map(p => p.id));
+  let rows = buildTrace(asked, parts, units);
+  if (clientName) rows = rows.filter(r => String(r.clientName || '').toLowerCase() === String(clientName).trim().toLowerCase());
+
+  const heatInfo = [];
+  for (const heatNumber of asked) {
+    const key = normalizeHeat(heatNumber);
+    const mtrs = await MtrHeat.findAll({
+      where: { heatKey: key },
+      include: [{ model: MillTestReport, as: 'report', attributes: ['id', 'millName', 'certNumber', 'certDate', 'status', 'poNumber', 'supplierName', 'originalName'] }]
+    });
+    const stock = await MaterialStock.findAll({
+      where: sequelize.where(sequelize.fn('upper', sequelize.fn('regexp_replace', sequelize.fn('coalesce', sequelize.col('heatNumber'), ''), '[^A-Za-z0-9]', '', 'g')), key),
+      attributes: ['id', 'qrCode', 'grade', 'thickness', 'width', 'length', 'quantity', 'status', 'location', 'workOrderPartId']
+    });
+    heatInfo.push({ heatNumber, heatKey: key, mtrs, stock });
+  }
+
+  return {
+    heats: heatInfo,
+    rows,
+    byClient: summarizeByClient(rows),
+    workOrderCount: new Set(rows.map(r => r.workOrderId)).size
+  };
+}
+
+module.exports = {
+  unitHeat,
+  shipmentsForPart,
+  buildTrace,
+  summarizeByClient,
+  toCsv,
+  traceHeats,
+};
@@ -0,0 +1,508 @@
+/**
+ * QuickBooks Desktop import — payments and customers read back from an IIF or CSV export, so
+ * payments received in QuickBooks don't have to be re-keyed through /api/business/client-payments.
+ *
+ * Two steps. preview() parses the file, matches each payment's NAME to a client (quickbooksName
+ * first, then name, then the parent of a "Customer:Job" name) and its invoice numbers to
+ * InvoiceNumber rows, and proposes applications against what's still open — explicit invoice
+ * amounts first, then the referenced invoices in order, then the client's oldest open invoices when
+ * the payment names none. Nothing is written. commit() takes the preview back (as edited by the
+ * user), checks it again and records each payment through services/clientPayments.js, as POST
+ * /client-payments does — no order paid past what it owes, what's left over a CreditMemo. Orders
+ * paid in full get paymentDate like a legacy payment would set.
+ *
+ * A payment already recorded here — same client, date, amount and reference — is flagged as a
+ * duplicate and skipped, so importing the same export twice is harmless.
+ */
+const { Op } = require('sequelize');
+const clientPayments = require('./clientPayments');
+
+const getModels = () => require('../models');
+const getBusinessRoutes = () => require('../routes/business');
+
+const money = (v) => Math.round((parseFloat(v) || 0) * 100) / 100;
+
+function importError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// ── File parsing ──
+
+const unquote = (v) => {
+  const s = String(v ?? '').trim();
+  return s.length > 1 && s.startsWith('"') && s.endsWith('"') ? s.slice(1, -1).replace(/""/g, '"') : s;
+};
+
+/** "$1,234.50" / "(45.00)" / "-45" → number */
+function parseAmount(raw) {
+  const s = String(raw ?? '').trim();
+  if (!s) return null;
+  const negative = /^\(.*\)$/.test(s) || s.includes('-');
+  const n = parseFloat(s.replace(/[^0-9.]/g, ''));
+  if (isNaN(n)) return null;
+  return negative ? -n : n;
+}
+
+/** QuickBooks dates — 10/08/2026, 10/8/26, 2026-10-08 — to YYYY-MM-DD */
+function parseQBDate(raw) {
+  const s = String(raw ?? '').trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`;
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (!m) return null;
+  const year = m[3].length === 2 ? 2000 + parseInt(m[3]) : parseInt(m[3]);
+  return `${year}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+}
+
+/** QuickBooks' free-text payment methods to ClientPayment.method */
+function methodFor(raw, reference) {
+  const s = String(raw || '').toLowerCase();
+  if (/check|chk/.test(s)) return 'check';
+  if (/cash/.test(s)) return 'cash';
+  if (/visa|master|amex|american express|discover|card/.test(s)) return 'credit_card';
+  if (/ach|eft|wire|transfer|zelle/.test(s)) return 'ach';
+  if (s) return 'other';
+  return reference && /^\d+$/.test(reference) ? 'check' : 'other';
+}
+
+/**
+ * Invoice numbers a memo mentions after "inv" / "invoice" ("Inv 41001, 41002", "PMT INV#41007").
+ * A bare "#" isn't enough — that's usually the check number.
+ */
+function invoiceRefsIn(text) {
+  const refs = [];
+  const s = String(text || '');
+  for (const m of s.matchAll(/\binv(?:oice)?s?\b\.?\s*#?\s*((?:\d{3,}(?:\s*(?:,|&|and|\/)\s*#?\s*)?)+)/gi)) {
+    for (const n of m[1].match(/\d{3,}/g)) if (!refs.includes(n)) refs.push(n);
+  }
+  return refs;
+}
+
+/** Split an IIF file into records: { type, fields } per line, TRNS/SPL grouped into transactions */
+function parseIIF(content) {
+  const headers = {};
+  const customers = [];
+  const transactions = [];
+  let current = null;
+  for (const line of String(content || '').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const cells = line.split('\t').map(unquote);
+    const tag = cells[0].toUpperCase();
+    if (tag.startsWith('!')) { headers[tag.slice(1)] = cells.map(c => c.toUpperCase()); continue; }
+    const header = headers[tag];
+    const fields = {};
+    if (header) header.forEach((h, i) => { if (i > 0) fields[h] = cells[i] ?? ''; });
+    if (tag === 'CUST') customers.push(fields);
+    else if (tag === 'TRNS') { current = { trns: fields, splits: [] }; transactions.push(current); }
+    else if (tag === 'SPL' && current) current.splits.push(fields);
+    else if (tag === 'ENDTRNS') current = null;
+  }
+  return { customers, transactions };
+}
+
+/** RFC 4180-ish CSV: quoted fields, doubled quotes, commas and newlines inside quotes */
+function parseCSVRows(content) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  const s = String(content || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && s[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+// The headings QuickBooks reports and customer lists use, per field
+const CSV_COLUMNS = {
+  type: ['type', 'transaction type', 'trans type'],
+  date: ['date', 'payment date', 'txn date'],
+  name: ['name', 'customer', 'received from', 'customer name', 'customer full name', 'source name'],
+  amount: ['amount', 'payment amount', 'total', 'amount received', 'paid amount', 'open balance applied'],
+  reference: ['num', 'no.', 'ref no.', 'ref no', 'reference', 'check no.', 'check no', 'check #', 'check number', 'pmt ref'],
+  memo: ['memo', 'memo/description', 'description'],
+  invoice: ['invoice', 'invoice #', 'invoice no.', 'invoice no', 'invoice number', 'applied to', 'inv #', 'inv'],
+  method: ['payment method', 'pay meth', 'paymeth', 'method'],
+  contactName: ['contact', 'primary contact', 'contact name'],
+  contactPhone: ['phone', 'main phone', 'phone numbers'],
+  contactEmail: ['email', 'main email'],
+  address: ['bill to', 'billing address', 'bill to address', 'address'],
+  paymentTerms: ['terms'],
+  resaleCertificate: ['resale num', 'resale number', 'resale no.'],
+};
+
+function csvColumns(header) {
+  const normalized = header.map(h => String(h).trim().toLowerCase());
+  const cols = {};
+  for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+    const i = normalized.findIndex(h => names.includes(h));
+    if (i >= 0) cols[field] = i;
+  }
+  return cols;
+}
+
+/**
+ * A CSV export: a payment list when it has date and amount columns (report preamble lines above the
+ * header are skipped), otherwise a customer list. Payment rows sharing a name, date and reference
+ * are one payment applied to several invoices — each row's amount is what went to its invoice.
+ */
+function parseCSV(content) {
+  const rows = parseCSVRows(content);
+  const headerAt = rows.findIndex(r => { const c = csvColumns(r); return c.name !== undefined && (c.amount !== undefined || r.length > 1); });
+  if (headerAt < 0) throw importError('No header row found — the CSV needs a Name or Customer column');
+  const cols = csvColumns(rows[headerAt]);
+  const get = (r, f) => (cols[f] === undefined ? '' : String(r[cols[f]] ?? '').trim());
+  const body = rows.slice(headerAt + 1);
+
+  if (cols.date === undefined || cols.amount === undefined) {
+    const customers = body.filter(r => get(r, 'name') && !/^total/i.test(get(r, 'name'))).map(r => ({
+      NAME: get(r, 'name'), CONT1: get(r, 'contactName'), PHONE1: get(r, 'contactPhone'), EMAIL: get(r, 'contactEmail'),
+      BADDR: get(r, 'address'), TERMS: get(r, 'paymentTerms'), RESALENUM: get(r, 'resaleCertificate'),
+    }));
+    return { format: 'csv', payments: [], customers: customers.map(customerFromRecord), skipped: [] };
+  }
+
+  const groups = new Map();
+  const skipped = [];
+  body.forEach((r, i) => {
+    const line = headerAt + i + 2;
+    const type = get(r, 'type');
+    if (type && !/payment/i.test(type)) return skipped.push({ line, reason: `${type} — only payments are imported` });
+    const date = parseQBDate(get(r, 'date'));
+    const amount = parseAmount(get(r, 'amount'));
+    const name = get(r, 'name');
+    if (!date || !amount || !name) return skipped.push({ line, reason: 'Missing date, amount or name' });
+    const reference = get(r, 'reference') || null;
+    const key = `${name.toLowerCase()}|${date}|${reference || ''}`;
+    if (!groups.has(key)) groups.set(key, { line, name, paymentDate: date, amount: 0, reference, method: methodFor(get(r, 'method'), reference), memo: get(r, 'memo') || null, invoiceRefs: [] });
+    const g = groups.get(key);
+    g.amount = money(g.amount + Math.abs(amount));
+    const refs = [...invoiceRefsIn(get(r, 'invoice') ? `inv ${get(r, 'invoice')}` : ''), ...invoiceRefsIn(get(r, 'memo'))];
+    refs.forEach((n, j) => g.invoiceRefs.push({ invoiceNumber: n, amount: j === 0 && refs.length === 1 && get(r, 'invoice') ? Math.abs(amount) : null }));
+  });
+  return { format: 'csv', payments: [...groups.values()], customers: [], skipped };
+}
+
+function customerFromRecord(c) {
+  const name = (c.NAME || '').trim();
+  const addressLines = c.BADDR !== undefined
+    ? [c.BADDR]
+    : ['BADDR1', 'BADDR2', 'BADDR3', 'BADDR4', 'BADDR5'].map(k => (c[k] || '').trim()).filter(Boolean);
+  if (addressLines[0] && (addressLines[0] === name || addressLines[0] === c.COMPANYNAME)) addressLines.shift();
+  const fields = {
+    contactName: c.CONT1 || [c.FIRSTNAME, c.LASTNAME].filter(Boolean).join(' ') || null,
+    contactPhone: c.PHONE1 || null,
+    contactEmail: c.EMAIL || null,
+    address: addressLines.join(', ') || null,
+    paymentTerms: c.TERMS || null,
+    resaleCertificate: c.RESALENUM || null,
+  };
+  if (fields.resaleCertificate) fields.taxStatus = 'resale';
+  return { name, companyName: c.COMPANYNAME || null, fields };
+}
+
+/**
+ * The payments in an IIF file: one per PAYMENT transaction. The TRNS line carries the customer,
+ * date, check number and total; split lines against receivables may name the invoice they pay
+ * in DOCNUM or MEMO, with the split amount as what went to it.
+ */
+function paymentsFromIIF(transactions) {
+  const payments = [];
+  const skipped = [];
+  transactions.forEach((t, i) => {
+    const type = (t.trns.TRNSTYPE || '').toUpperCase();
+    if (type !== 'PAYMENT') return skipped.push({ line: i + 1, reason: `${type || 'Unknown'} transaction — only payments are imported` });
+    const amount = Math.abs(parseAmount(t.trns.AMOUNT) || 0);
+    const paymentDate = parseQBDate(t.trns.DATE);
+    const name = (t.trns.NAME || t.splits.find(s => s.NAME)?.NAME || '').trim();
+    if (!amount || !paymentDate || !name) return skipped.push({ line: i + 1, reason: 'Missing date, amount or name' });
+    const reference = (t.trns.DOCNUM || '').trim() || null;
+    const invoiceRefs = [];
+    const add = (invoiceNumber, amt) => { if (!invoiceRefs.some(r => r.invoiceNumber === invoiceNumber)) invoiceRefs.push({ invoiceNumber, amount: amt }); };
+    for (const s of t.splits) {
+      const splitAmount = Math.abs(parseAmount(s.AMOUNT) || 0) || null;
+      const doc = (s.DOCNUM || '').trim();
+      if (/^\d{3,}$/.test(doc) && doc !== reference) add(doc, splitAmount);
+      else invoiceRefsIn(s.MEMO).forEach((n, j, all) => add(n, all.length === 1 ? splitAmount : null));
+    }
+    invoiceRefsIn(t.trns.MEMO).forEach(n => add(n, null));
+    payments.push({
+      line: i + 1, name, paymentDate, amount: money(amount), reference,
+      method: methodFor(t.trns.PAYMETH, reference), memo: t.trns.MEMO || null, invoiceRefs,
+    });
+  });
+  return { payments, skipped };
+}
+
+/** An uploaded export, IIF or CSV by extension or content */
+function parseFile(content, filename = '') {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+  if (!text.trim()) throw importError('The file is empty');
+  const isIIF = /\.iif$/i.test(filename) || /^\s*!(TRNS|CUST|SPL|HDR|ACCNT)/im.test(text);
+  if (!isIIF) return parseCSV(text);
+  const { customers, transactions } = parseIIF(text);
+  const { payments, skipped } = paymentsFromIIF(transactions);
+  return { format: 'iif', payments, customers: customers.filter(c => c.NAME).map(customerFromRecord), skipped };
+}
+
+/**
+ * Spread a payment over invoices: explicit amounts first (capped at the balance), then what's left
+ * over the rest in order up to each balance. Returns the applications and what stays unapplied.
+ * `balances` is shared across a file so two payments don't both claim the same open amount.
+ */
+function allocate(amount, invoices, balances) {
+  let left = money(amount);
+  const applications = [];
+  const take = (inv, want) => {
+    const open = balances.get(inv.workOrderId) ?? 0;
+    const amt = money(Math.min(want, open, left));
+    if (amt <= 0) return;
+    const existing = applications.find(a => a.workOrderId === inv.workOrderId);
+    if (existing) existing.amount = money(existing.amount + amt);
+    else applications.push({ workOrderId: inv.workOrderId, invoiceNumber: inv.invoiceNumber, drNumber: inv.drNumber, amount: amt, balance: open });
+    balances.set(inv.workOrderId, money(open - amt));
+    left = money(left - amt);
+  };
+  for (const inv of invoices) if (inv.amount) take(inv, inv.amount);
+  for (const inv of invoices) if (!inv.amount) take(inv, left);
+  return { applications, unapplied: left };
+}
+
+// ── Database side ──
+
+/** The client a QuickBooks name means: quickbooksName, then name, then the parent of "Customer:Job" */
+async function resolveClient(name) {
+  const { Client } = getModels();
+  const candidates = [name];
+  if (name.includes(':')) candidates.push(name.split(':')[0].trim());
+  for (const n of candidates) {
+    const byQb = await Client.findOne({ where: { quickbooksName: { [Op.iLike]: n } } });
+    if (byQb) return { client: byQb, matchedBy: 'quickbooksName' };
+    const byName = await Client.findOne({ where: { name: { [Op.iLike]: n } } });
+    if (byName) return { client: byName, matchedBy: 'name' };
+  }
+  return { client: null, matchedBy: null };
+}
+
+async function balanceOf(workOrderId) {
+  const info = await getBusinessRoutes().getWOBalance(workOrderId);
+  return info ? money(info.balance) : 0;
+}
+
+/** Open invoices for a client, oldest first */
+async function openInvoicesFor(clientId) {
+  const { WorkOrder } = getModels();
+  const wos = await WorkOrder.findAll({
+    where: { clientId, invoiceNumber: { [Op.ne]: null }, paymentDate: null },
+    attributes: ['id', 'drNumber', 'invoiceNumber', 'invoiceDate', 'clientId'],
+    order: [['invoiceDate', 'ASC NULLS LAST']]
+  });
+  return wos.map(w => ({ workOrderId: w.id, invoiceNumber: w.invoiceNumber, drNumber: w.drNumber, clientId: w.clientId }));
+}
+
+/** Invoice numbers to the orders they were issued on */
+async function invoicesByNumber(numbers) {
+  const { InvoiceNumber, WorkOrder } = getModels();
+  const ints = [...new Set(numbers.map(n => parseInt(n, 10)).filter(n => n > 0))];
+  if (!ints.length) return {};
+  const rows = await InvoiceNumber.findAll({ where: { invoiceNumber: { [Op.in]: ints }, status: 'active' } });
+  const byNumber = {};
+  for (const r of rows) if (r.workOrderId) byNumber[String(r.invoiceNumber)] = r.workOrderId;
+  // Orders stamped with a number the tracking table never got
+  const missing = ints.map(String).filter(n => !byNumber[n]);
+  if (missing.length) {
+    for (const wo of await WorkOrder.findAll({ where: { invoiceNumber: { [Op.in]: missing } }, attributes: ['id', 'invoiceNumber'] })) byNumber[wo.invoiceNumber] = wo.id;
+  }
+  const wos = await WorkOrder.findAll({ where: { id: { [Op.in]: Object.values(byNumber) } }, attributes: ['id', 'drNumber', 'invoiceNumber', 'clientId', 'clientName'] });
+  const result = {};
+  for (const [n, id] of Object.entries(byNumber)) {
+    const wo = wos.find(w => w.id === id);
+    if (wo) result[n] = { workOrderId: wo.id, invoiceNumber: n, drNumber: wo.drNumber, clientId: wo.clientId, clientName: wo.clientName };
+  }
+  return result;
+}
+
+async function findDuplicate({ clientId, paymentDate, amount, reference }) {
+  const { ClientPayment } = getModels();
+  const same = await ClientPayment.findAll({ where: { clientId, paymentDate, voidedAt: null } });
+  return same.find(p => Math.abs(parseFloat(p.amount) - amount) < 0.005 && (p.reference || null) === (reference || null)) || null;
+}
+
+/** Parse and match a file without writing anything */
+async function preview(content, filename) {
+  const parsed = parseFile(content, filename);
+
+  const customers = [];
+  for (const c of parsed.customers) {
+    const { client, matchedBy } = await resolveClient(c.name);
+    const fills = client ? Object.keys(c.fields).filter(f => c.fields[f] && !client[f]) : [];
+    if (client && !client.quickbooksName && client.name !== c.name) fills.unshift('quickbooksName');
+    customers.push({ ...c, clientId: client?.id || null, clientName: client?.name || null, matchedBy, fills, action: client ? (fills.length ? 'update' : 'unchanged') : 'create' });
+  }
+
+  const invoices = await invoicesByNumber(parsed.payments.flatMap(p => p.invoiceRefs.map(r => r.invoiceNumber)));
+  const balances = new Map();
+  const payments = [];
+  for (const [i, p] of parsed.payments.entries()) {
+    const warnings = [];
+    let { client, matchedBy } = await resolveClient(p.name);
+    const refs = p.invoiceRefs.filter(r => {
+      if (invoices[r.invoiceNumber]) return true;
+      warnings.push(`Invoice ${r.invoiceNumber} not found`);
+      return false;
+    }).map(r => ({ ...invoices[r.invoiceNumber], amount: r.amount }));
+    if (!client) {
+      const ids = [...new Set(refs.map(r => r.clientId).filter(Boolean))];
+      if (ids.length === 1) {
+        client = await getModels().Client.findByPk(ids[0]);
+        if (client) matchedBy = 'invoice';
+      }
+    }
+    const own = client ? refs.filter(r => {
+      if (r.clientId === client.id) return true;
+      warnings.push(`Invoice ${r.invoiceNumber} belongs to ${r.clientName || 'another client'}`);
+      return false;
+    }) : [];
+    const targets = own.length ? own : (client ? await openInvoicesFor(client.id) : []);
+    for (const t of targets) if (!balances.has(t.workOrderId)) balances.set(t.workOrderId, await balanceOf(t.workOrderId));
+    const { applications, unapplied } = client ? allocate(p.amount, targets, balances) : { applications: [], unapplied: p.amount };
+
+    const duplicateOf = client ? await findDuplicate({ clientId: client.id, ...p }) : null;
+    const status = !client ? 'unmatched' : duplicateOf ? 'duplicate' : 'ready';
+    if (client && !own.length && applications.length) warnings.push('No invoice numbers on the payment — applied to the oldest open invoices');
+    if (unapplied > 0.01 && client) warnings.push(`${unapplied.toFixed(2)} left unapplied — becomes a credit memo`);
+
+    payments.push({
+      key: `${parsed.format}-${i + 1}`, line: p.line, name: p.name, clientId: client?.id || null, clientName: client?.name || null, matchedBy,
+      paymentDate: p.paymentDate, amount: p.amount, method: p.method, reference: p.reference, memo: p.memo,
+      invoiceRefs: p.invoiceRefs.map(r => r.invoiceNumber), applications, unapplied, creditMemoRemainder: true,
+      status, duplicateOfId: duplicateOf?.id || null, warnings,
+    });
+  }
+
+  const summary = {
+    payments: payments.length,
+    ready: payments.filter(p => p.status === 'ready').length,
+    duplicates: payments.filter(p => p.status === 'duplicate').length,
+    unmatched: payments.filter(p => p.status === 'unmatched').length,
+    total: money(payments.filter(p => p.status === 'ready').reduce((s, p) => s + p.amount, 0)),
+    customers: customers.length,
+    newCustomers: customers.filter(c => c.action === 'create').length,
+    skippedRows: parsed.skipped.length,
+  };
+  return { format: parsed.format, summary, payments, customers, skipped: parsed.skipped };
+}
+
+/** Link, fill in or create the customers the user kept in the preview */
+async function commitCustomers(customers, by) {
+  const { Client } = getModels();
+  const result = { created: [], updated: [], skipped: [] };
+  for (const c of customers || []) {
+    const name = String(c.name || '').trim();
+    if (!name || c.skip) { result.skipped.push({ name, reason: 'Skipped' }); continue; }
+    const fields = c.fields || {};
+    let client = c.clientId ? await Client.findByPk(c.clientId) : (await resolveClient(name)).client;
+    if (!client) {
+      if (c.action !== 'create' && !c.create) { result.skipped.push({ name, reason: 'No client matched' }); continue; }
+      client = await Client.create({ name, quickbooksName: name, ...Object.fromEntries(Object.entries(fields).filter(([, v]) => v)) });
+      result.created.push({ id: client.id, name });
+      continue;
+    }
+    const updates = {};
+    if (!client.quickbooksName && client.name !== name) updates.quickbooksName = name;
+    for (const [f, v] of Object.entries(fields)) if (v && !client[f]) updates[f] = v;
+    if (Object.keys(updates).length) {
+      await client.update(updates);
+      result.updated.push({ id: client.id, name: client.name, fields: Object.keys(updates) });
+    }
+  }
+  if (result.created.length || result.updated.length) console.log(`[IIF import] ${by || 'admin'}: ${result.created.length} client(s) created, ${result.updated.length} updated`);
+  return result;
+}
+
+/** Record one previewed payment, re-checking it against the database */
+async function commitPayment(p, by) {
+  const { Client, WorkOrder } = getModels();
+  const client = p.clientId ? await Client.findByPk(p.clientId) : (await resolveClient(String(p.name || ''))).client;
+  if (!client) throw importError(`No client matched "${p.name}"`);
+  const amount = money(p.amount);
+  const paymentDate = parseQBDate(p.paymentDate);
+  if (!amount || amount <= 0) throw importError('Invalid payment amount');
+  if (!paymentDate) throw importError('Invalid payment date');
+  const reference = p.reference || null;
+  if (!p.allowDuplicate && await findDuplicate({ clientId: client.id, paymentDate, amount, reference })) {
+    throw importError('Already recorded', 409);
+  }
+
+  const applications = (p.applications || []).map(a => ({ workOrderId: a.workOrderId, amount: money(a.amount) })).filter(a => a.workOrderId && a.amount > 0);
+  for (const a of applications) {
+    const wo = await WorkOrder.findByPk(a.workOrderId, { attributes: ['id', 'clientId', 'drNumber'] });
+    if (!wo) throw importError('Work order not found', 404);
+    if (wo.clientId && wo.clientId !== client.id) throw importError(`DR-${wo.drNumber} belongs to another client`);
+  }
+
+  // An edited application can't pay an order past what it owes; the excess joins the credit
+  const { payment, applications: recorded } = await clientPayments.recordClientPayment({
+    clientId: client.id, clientName: client.name, paymentDate, amount, method: p.method || 'check', reference,
+    notes: p.memo ? `Imported from QuickBooks — ${p.memo}` : 'Imported from QuickBooks', recordedBy: by || 'admin',
+    applications, creditMemoRemainder: p.creditMemoRemainder !== false,
+  }, { capAtBalance: true });
+  const paid = await clientPayments.markPaidInFull(recorded.map(a => a.workOrderId), payment);
+  return { payment, paid };
+}
+
+/**
+ * Write what the user kept from a preview. Customers go first so a payment from a customer created
+ * here finds its client. Each payment stands alone: one that fails is reported, the rest go in.
+ */
+async function commit({ payments = [], customers = [] } = {}, by) {
+  if (!payments.length && !customers.length) throw importError('Nothing to import');
+  const customerResult = await commitCustomers(customers, by);
+  const created = [];
+  const skipped = [];
+  const errors = [];
+  for (const p of payments) {
+    if (p.skip || (p.status === 'unmatched' && !p.clientId) || (p.status === 'duplicate' && !p.allowDuplicate)) {
+      skipped.push({ key: p.key, name: p.name, reason: p.status === 'duplicate' ? 'Already recorded' : 'Skipped' });
+      continue;
+    }
+    try {
+      const { payment, paid } = await commitPayment(p, by);
+      created.push({ key: p.key, id: payment.id, clientName: payment.clientName, amount: parseFloat(payment.amount), paid });
+    } catch (err) {
+      if (err.status === 409) skipped.push({ key: p.key, name: p.name, reason: err.message });
+      else errors.push({ key: p.key, name: p.name, error: err.message });
+    }
+  }
+  return { customers: customerResult, created, skipped, errors, total: money(created.reduce((s, c) => s + c.amount, 0)) };
+}
+
+module.exports = {
+  parseAmount,
+  parseQBDate,
+  methodFor,
+  invoiceRefsIn,
+  parseIIF,
+  parseCSVRows,
+  parseCSV,
+  paymentsFromIIF,
+  customerFromRecord,
+  parseFile,
+  allocate,
+  resolveClient,
+  preview,
+  commitCustomers,
+  commitPayment,
+  commit,
+};
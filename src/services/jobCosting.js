@@ -0,0 +1,352 @@
+/**
+ * Job costing — what a work order was quoted to cost vs. what it actually cost.
+ *
+ * Quoted side comes straight off the parts (the same fields pricing.js prices from): material cost
+ * before markup, laborHours, outside-processing cost + transport. Revenue is calculatePartTotal().
+ *
+ * Actual side:
+ *   - labor     actualRunTimeMin (the time clock, see laborTracking) at the shop labor cost rate
+ *   - material  vendor bills (Liability) against the material PO on the part — linked by
+ *               linkedPOId, or by the PO number typed on the bill
+ *   - outside   vendor bills against the part's outsideProcessingPONumber (OP####)
+ *   - trucking  the work order's ShipmentCharges at cost
+ *
+ * A bill on a PO shared by several parts is split across them by quoted cost (evenly if nothing was
+ * quoted). Where no bill has come in yet the quoted figure stands in and the line is marked so —
+ * a job with every number estimated must not read as a perfect quote.
+ */
+
+const { calculatePartTotal } = require('./pricing');
+
+const getModels = () => require('../models');
+
+const DONE_STATUSES = ['completed', 'stored', 'shipped', 'archived'];
+const CONFIG_KEY = 'job_costing_config';
+
+function num(v) {
+  const n = parseFloat(v);
+  return isNaN(n) ? 0 : n;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function pct(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+// "PO1234", "po 1234", "1234" → { op: false, number: 1234 }; "OP1001" → { op: true, number: 1001 }
+function parsePoRef(ref) {
+  if (ref === null || ref === undefined) return null;
+  const s = String(ref).trim();
+  const digits = s.replace(/\D/g, '');
+  if (!digits) return null;
+  return { op: /^op/i.test(s), number: parseInt(digits, 10) };
+}
+
+function quotedLaborHours(part) {
+  if (part.laborHours !== null && part.laborHours !== undefined && part.laborHours !== '') return num(part.laborHours);
+  // Older parts priced labor as a dollar figure only — back the hours out of the rate
+  const rate = num(part.laborRate);
+  const total = num(part.laborTotal) * (parseInt(part.quantity) || 1);
+  return rate > 0 && total > 0 ? total / rate : 0;
+}
+
+function quotedCosts(part, laborCostPerHour) {
+  const qty = parseInt(part.quantity) || 1;
+  const fd = part.formData && typeof part.formData === 'object' ? part.formData : {};
+  const material = (num(part.materialTotal) || num(fd.materialTotal)) * qty;
+  const outside = (num(part.outsideProcessingCost) + num(part.outsideProcessingTransportCost)) * qty;
+  const laborHours = quotedLaborHours(part);
+  return { material: round2(material), laborHours: round2(laborHours), laborCost: round2(laborHours * laborCostPerHour), outsideProcessing: round2(outside) };
+}
+
+// Split each bill across the parts on its PO, weighted by what those parts were quoted for that cost
+function allocateBills({ parts, bills, pos, quoted }) {
+  const poById = new Map((pos || []).map(p => [p.id, p.poNumber]));
+  const material = {};
+  const outside = {};
+  const unallocated = [];
+  for (const bill of bills || []) {
+    let ref = null;
+    if (bill.linkedPOId && poById.has(bill.linkedPOId)) ref = { op: false, number: parseInt(poById.get(bill.linkedPOId), 10) };
+    else ref = parsePoRef(bill.poNumber);
+    if (!ref) continue;
+    const field = ref.op ? 'outsideProcessingPONumber' : 'materialPurchaseOrderNumber';
+    const matches = parts.filter(p => {
+      const pr = parsePoRef(p[field]);
+      return pr && pr.number === ref.number && pr.op === ref.op;
+    });
+    const amount = num(bill.amount);
+    if (!matches.length) {
+      unallocated.push({ billId: bill.id, vendor: bill.vendor || null, poNumber: bill.poNumber || null, amount: round2(amount) });
+      continue;
+    }
+    const key = ref.op ? 'outsideProcessing' : 'material';
+    const weights = matches.map(p => quoted[p.id][key]);
+    const totalWeight = weights.reduce((s, w) => s + w, 0);
+    const target = ref.op ? outside : material;
+    matches.forEach((p, i) => {
+      const share = totalWeight > 0 ? weights[i] / totalWeight : 1 / matches.length;
+      target[p.id] = (target[p.id] || 0) + amount * share;
+    });
+  }
+  return { material, outside, unallocated };
+}
+
+/**
+ * Cost one work order. Pure.
+ * { workOrder, parts, bills, pos, shipmentCharges, laborCostPerHour }
+ */
+function costJob({ workOrder, parts = [], bills = [], pos = [], shipmentCharges = [], laborCostPerHour = 0 }) {
+  const quoted = {};
+  for (const p of parts) quoted[p.id] = quotedCosts(p, laborCostPerHour);
+  const alloc = allocateBills({ parts, bills, pos, quoted });
+
+  const partRows = parts.map(p => {
+    const q = quoted[p.id];
+    const revenue = round2(calculatePartTotal(p));
+    const clocked = p.actualRunTimeMin !== null && p.actualRunTimeMin !== undefined;
+    const laborHours = clocked ? num(p.actualRunTimeMin) / 60 : q.laborHours;
+    const material = alloc.material[p.id] !== undefined ? alloc.material[p.id] : q.material;
+    const outside = alloc.outside[p.id] !== undefined ? alloc.outside[p.id] : q.outsideProcessing;
+    const actual = {
+      material: round2(material),
+      materialSource: alloc.material[p.id] !== undefined ? 'bills' : 'quoted',
+      laborHours: round2(laborHours),
+      laborCost: round2(laborHours * laborCostPerHour),
+      laborSource: clocked ? 'actual' : 'quoted',
+      outsideProcessing: round2(outside),
+      outsideProcessingSource: alloc.outside[p.id] !== undefined ? 'bills' : 'quoted',
+    };
+    const quotedTotal = round2(q.material + q.laborCost + q.outsideProcessing);
+    const actualTotal = round2(actual.material + actual.laborCost + actual.outsideProcessing);
+    return {
+      id: p.id,
+      partNumber: p.partNumber,
+      partType: p.partType || null,
+      description: p.description || p.materialDescription || p.partType || 'Part',
+      quantity: parseInt(p.quantity) || 1,
+      revenue,
+      quoted: { ...q, total: quotedTotal },
+      actual: { ...actual, total: actualTotal },
+      quotedMargin: round2(revenue - quotedTotal),
+      quotedMarginPct: pct(revenue - quotedTotal, revenue),
+      margin: round2(revenue - actualTotal),
+      marginPct: pct(revenue - actualTotal, revenue),
+    };
+  });
+
+  const sum = (rows, f) => round2(rows.reduce((s, r) => s + f(r), 0));
+  const truckingRevenue = sum(shipmentCharges, c => num(c.shippingCost) * (1 + num(c.shippingMarkup) / 100) + num(c.materialsCost) * (1 + num(c.materialsMarkup) / 100));
+  const truckingCost = sum(shipmentCharges, c => num(c.shippingCost) + num(c.materialsCost));
+  const unallocatedCost = sum(alloc.unallocated, b => b.amount);
+
+  const revenue = round2(sum(partRows, r => r.revenue) + truckingRevenue);
+  const quotedCost = round2(sum(partRows, r => r.quoted.total) + truckingCost);
+  const actualCost = round2(sum(partRows, r => r.actual.total) + truckingCost + unallocatedCost);
+  const estimatedLines = partRows.reduce((n, r) => n
+    + (r.actual.laborSource === 'quoted' && r.quoted.laborHours > 0 ? 1 : 0)
+    + (r.actual.materialSource === 'quoted' && r.quoted.material > 0 ? 1 : 0)
+    + (r.actual.outsideProcessingSource === 'quoted' && r.quoted.outsideProcessing > 0 ? 1 : 0), 0);
+
+  return {
+    workOrderId: workOrder.id,
+    drNumber: workOrder.drNumber || null,
+    orderNumber: workOrder.orderNumber || null,
+    clientName: workOrder.clientName || null,
+    status: workOrder.status || null,
+    completedAt: workOrder.completedAt || workOrder.shippedAt || null,
+    laborCostPerHour,
+    parts: partRows,
+    trucking: { revenue: truckingRevenue, cost: truckingCost, charges: shipmentCharges.length },
+    unallocatedBills: alloc.unallocated,
+    totals: {
+      revenue,
+      quotedCost,
+      actualCost,
+      quotedMargin: round2(revenue - quotedCost),
+      quotedMarginPct: pct(revenue - quotedCost, revenue),
+      margin: round2(revenue - actualCost),
+      marginPct: pct(revenue - actualCost, revenue),
+      material: { quoted: sum(partRows, r => r.quoted.material), actual: round2(sum(partRows, r => r.actual.material) + unallocatedCost) },
+      laborHours: { quoted: sum(partRows, r => r.quoted.laborHours), actual: sum(partRows, r => r.actual.laborHours) },
+      laborCost: { quoted: sum(partRows, r => r.quoted.laborCost), actual: sum(partRows, r => r.actual.laborCost) },
+      outsideProcessing: { quoted: sum(partRows, r => r.quoted.outsideProcessing), actual: sum(partRows, r => r.actual.outsideProcessing) },
+    },
+    estimatedLines,
+  };
+}
+
+/**
+ * Roll costed jobs up by client and by part type. Trucking and unallocated bills belong to the job,
+ * not a part, so they appear in the client rollup only.
+ */
+function rollupJobs(jobs) {
+  const blank = (key) => ({ key, jobs: 0, parts: 0, revenue: 0, quotedCost: 0, actualCost: 0 });
+  const finish = (r) => ({
+    ...r,
+    revenue: round2(r.revenue),
+    quotedCost: round2(r.quotedCost),
+    actualCost: round2(r.actualCost),
+    quotedMargin: round2(r.revenue - r.quotedCost),
+    quotedMarginPct: pct(r.revenue - r.quotedCost, r.revenue),
+    margin: round2(r.revenue - r.actualCost),
+    marginPct: pct(r.revenue - r.actualCost, r.revenue),
+  });
+  const byClient = {};
+  const byPartType = {};
+  const total = blank('all');
+  for (const job of jobs) {
+    const c = byClient[job.clientName || 'Unknown'] || (byClient[job.clientName || 'Unknown'] = blank(job.clientName || 'Unknown'));
+    for (const r of [c, total]) {
+      r.jobs++;
+      r.parts += job.parts.length;
+      r.revenue += job.totals.revenue;
+      r.quotedCost += job.totals.quotedCost;
+      r.actualCost += job.totals.actualCost;
+    }
+    const seen = new Set();
+    for (const p of job.parts) {
+      const pt = p.partType || 'other';
+      const t = byPartType[pt] || (byPartType[pt] = blank(pt));
+      if (!seen.has(pt)) { t.jobs++; seen.add(pt); }
+      t.parts++;
+      t.revenue += p.revenue;
+      t.quotedCost += p.quoted.total;
+      t.actualCost += p.actual.total;
+    }
+  }
+  const sorted = (o) => Object.values(o).map(finish).sort((a, b) => b.revenue - a.revenue);
+  return { totals: finish(total), byClient: sorted(byClient), byPartType: sorted(byPartType) };
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+async function getConfig() {
+  const { AppSettings } = getModels();
+  const row = await AppSettings.findOne({ where: { key: CONFIG_KEY } });
+  return (row && row.value) || {};
+}
+
+async function saveConfig(config) {
+  const { AppSettings } = getModels();
+  await AppSettings.upsert({ key: CONFIG_KEY, value: config });
+  return config;
+}
+
+// The configured burdened rate, else the average active employee wage
+async function laborCostRate() {
+  const { Employee } = getModels();
+  const cfg = await getConfig();
+  if (num(cfg.laborCostPerHour) > 0) return { rate: num(cfg.laborCostPerHour), source: 'config' };
+  const employees = await Employee.findAll({ where: { isActive: true }, attributes: ['hourlyRate'] });
+  const rates = employees.map(e => num(e.hourlyRate)).filter(r => r > 0);
+  if (!rates.length) return { rate: 0, source: 'none' };
+  return { rate: round2(rates.reduce((s, r) => s + r, 0) / rates.length), source: 'employees' };
+}
+
+// Load everything costJob needs for a set of work orders in a handful of queries
+async function loadJobs(workOrders) {
+  const { WorkOrderPart, PONumber, Liability, ShipmentCharge } = getModels();
+  const { Op } = require('sequelize');
+  if (!workOrders.length) return [];
+  const ids = workOrders.map(w => w.id);
+  const [parts, pos, charges] = await Promise.all([
+    WorkOrderPart.findAll({ where: { workOrderId: { [Op.in]: ids } }, order: [['partNumber', 'ASC']] }),
+    PONumber.findAll({ where: { workOrderId: { [Op.in]: ids }, status: { [Op.ne]: 'void' } }, attributes: ['id', 'poNumber', 'workOrderId'] }),
+    ShipmentCharge.findAll({ where: { workOrderId: { [Op.in]: ids } } }),
+  ]);
+
+  // Bills are matched by linked PO, or by any PO number appearing on the parts
+  const refs = new Set();
+  for (const p of parts) {
+    for (const f of ['materialPurchaseOrderNumber', 'outsideProcessingPONumber']) {
+      const r = parsePoRef(p[f]);
+      if (r) refs.add(String(r.number));
+    }
+  }
+  const or = [];
+  if (pos.length) or.push({ linkedPOId: { [Op.in]: pos.map(p => p.id) } });
+  for (const r of refs) or.push({ poNumber: { [Op.iLike]: `%${r}` } });
+  const bills = or.length ? await Liability.findAll({ where: { [Op.or]: or }, attributes: ['id', 'amount', 'poNumber', 'linkedPOId', 'vendor', 'status'] }) : [];
+
+  return workOrders.map(wo => {
+    const woParts = parts.filter(p => p.workOrderId === wo.id);
+    const woPos = pos.filter(p => p.workOrderId === wo.id);
+    const poIds = new Set(woPos.map(p => p.id));
+    const woRefs = new Set(woParts.flatMap(p => ['materialPurchaseOrderNumber', 'outsideProcessingPONumber']
+      .map(f => parsePoRef(p[f])).filter(Boolean).map(r => `${r.op ? 'OP' : 'PO'}${r.number}`)));
+    const woBills = bills.filter(b => {
+      if (b.linkedPOId) return poIds.has(b.linkedPOId);
+      const r = parsePoRef(b.poNumber);
+      return r && woRefs.has(`${r.op ? 'OP' : 'PO'}${r.number}`);
+    });
+    return {
+      workOrder: wo,
+      parts: woParts,
+      pos: woPos,
+      bills: woBills,
+      shipmentCharges: charges.filter(c => c.workOrderId === wo.id),
+    };
+  });
+}
+
+function costingError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function getJobCost(workOrderId) {
+  const { WorkOrder } = getModels();
+  const wo = await WorkOrder.findByPk(workOrderId);
+  if (!wo) throw costingError('Work order not found', 404);
+  const { rate, source } = await laborCostRate();
+  const [input] = await loadJobs([wo]);
+  return { ...costJob({ ...input, laborCostPerHour: rate }), laborCostSource: source };
+}
+
+/**
+ * Completed work orders finished within [from, to) — by completedAt, or shippedAt for orders that
+ * went straight out the door — costed and rolled up.
+ */
+async function getCostingRollup({ from, to }) {
+  const { WorkOrder } = getModels();
+  const { Op } = require('sequelize');
+  const range = { [Op.gte]: from, [Op.lt]: to };
+  const workOrders = await WorkOrder.findAll({
+    where: {
+      status: { [Op.in]: DONE_STATUSES },
+      isVoided: { [Op.not]: true },
+      [Op.or]: [{ completedAt: range }, { completedAt: null, shippedAt: range }],
+    },
+    order: [['completedAt', 'ASC']],
+  });
+  const { rate, source } = await laborCostRate();
+  const inputs = await loadJobs(workOrders);
+  const jobs = inputs.map(i => costJob({ ...i, laborCostPerHour: rate }));
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    laborCostPerHour: rate,
+    laborCostSource: source,
+    ...rollupJobs(jobs),
+    jobs: jobs.map(j => ({ workOrderId: j.workOrderId, drNumber: j.drNumber, clientName: j.clientName, completedAt: j.completedAt, estimatedLines: j.estimatedLines, ...j.totals })),
+  };
+}
+
+module.exports = {
+  parsePoRef,
+  costJob,
+  rollupJobs,
+  getConfig,
+  saveConfig,
+  laborCostRate,
+  getJobCost,
+  getCostingRollup,
+  DONE_STATUSES,
+};
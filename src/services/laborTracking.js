@@ -0,0 +1,158 @@
+/**
+ * Operator time clock per part.
+ *
+ * A tablet starts, pauses and stops labor on a part. Each start opens a LaborSegment; pause or
+ * stop closes it. The part's actualRunTimeMin is always the total of its closed segments, so the
+ * figure the calibration and production reports read is measured rather than typed in afterwards.
+ * (A part nobody clocked keeps whatever was entered by hand — recompute only runs once a part has
+ * segments.)
+ *
+ * Rules:
+ *   - One running clock per operator. Starting a part while another is running closes the other
+ *     one first (endReason 'switch') — an operator can't be on two machines at once.
+ *   - A segment left running past MAX_SEGMENT_HOURS (forgotten at end of shift) is capped at that
+ *     length when it closes, and closeForgottenSegments() sweeps them nightly (endReason 'auto').
+ */
+
+const getModels = () => require('../models');
+const applyPartStatusChange = (...args) => require('../routes/workorders').applyPartStatusChange(...args);
+
+const MAX_SEGMENT_HOURS = 12;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Minutes a segment represents. Open segments run to `now`; anything longer than the cap is cut
+ * back to the cap rather than booking a whole night to the part.
+ */
+function segmentMinutes(seg, now = new Date()) {
+  const start = new Date(seg.startedAt);
+  const end = seg.endedAt ? new Date(seg.endedAt) : now;
+  const mins = (end - start) / 60000;
+  if (!isFinite(mins) || mins <= 0) return 0;
+  return round2(Math.min(mins, MAX_SEGMENT_HOURS * 60));
+}
+
+/**
+ * Summarize a part's segments: closed total, running minutes (if a clock is open) and per-operator
+ * split. Stored `minutes` wins for closed segments so office edits stick.
+ */
+function summarizeSegments(segments, now = new Date()) {
+  let closed = 0;
+  let running = 0;
+  const byOperator = {};
+  for (const s of segments || []) {
+    const m = s.endedAt ? (s.minutes != null ? parseFloat(s.minutes) : segmentMinutes(s, now)) : segmentMinutes(s, now);
+    if (s.endedAt) closed += m; else running += m;
+    byOperator[s.operatorName] = round2((byOperator[s.operatorName] || 0) + m);
+  }
+  return { closedMinutes: round2(closed), runningMinutes: round2(running), totalMinutes: round2(closed + running), byOperator, running: running > 0 };
+}
+
+function laborError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function closeSegment(seg, reason, at = new Date(), transaction) {
+  const endedAt = new Date(at);
+  const capEnd = new Date(new Date(seg.startedAt).getTime() + MAX_SEGMENT_HOURS * 3600000);
+  const end = endedAt > capEnd ? capEnd : endedAt;
+  await seg.update({ endedAt: end, minutes: segmentMinutes({ startedAt: seg.startedAt, endedAt: end }), endReason: reason }, { transaction });
+  return seg;
+}
+
+// Roll a part's closed segments up into actualRunTimeMin
+async function recomputePartActual(partId, transaction) {
+  const { LaborSegment, WorkOrderPart } = getModels();
+  const { Op } = require('sequelize');
+  const total = await LaborSegment.sum('minutes', { where: { workOrderPartId: partId, endedAt: { [Op.ne]: null } }, transaction });
+  const minutes = round2(parseFloat(total) || 0);
+  await WorkOrderPart.update({ actualRunTimeMin: minutes }, { where: { id: partId }, transaction });
+  return minutes;
+}
+
+async function openSegmentFor(operatorName, transaction) {
+  const { LaborSegment } = getModels();
+  return LaborSegment.findOne({ where: { operatorName, endedAt: null }, order: [['startedAt', 'DESC']], transaction });
+}
+
+async function startLabor({ partId, operatorName, deviceName }) {
+  const { LaborSegment, WorkOrderPart, sequelize } = getModels();
+  return sequelize.transaction(async (transaction) => {
+    const part = await WorkOrderPart.findByPk(partId, { transaction });
+    if (!part) throw laborError('Part not found', 404);
+    if (part.status === 'completed') throw laborError('Part is already completed');
+
+    const open = await openSegmentFor(operatorName, transaction);
+    if (open && open.workOrderPartId === part.id) return { segment: open, switchedFrom: null };
+    let switchedFrom = null;
+    if (open) {
+      await closeSegment(open, 'switch', new Date(), transaction);
+      await recomputePartActual(open.workOrderPartId, transaction);
+      switchedFrom = open.workOrderPartId;
+    }
+
+    const segment = await LaborSegment.create({
+      workOrderPartId: part.id,
+      workOrderId: part.workOrderId,
+      operatorName,
+      deviceName: deviceName || null,
+      startedAt: new Date(),
+    }, { transaction });
+    if (part.status === 'pending') await part.update({ status: 'in_progress' }, { transaction });
+    return { segment, switchedFrom };
+  });
+}
+
+// Pause and stop both close the running segment; stop may also complete the part, which then
+// completes its linked services and advances the order the same as completing it from the part screen
+async function endLabor({ partId, operatorName, reason, complete = false }) {
+  const { LaborSegment, WorkOrderPart, sequelize } = getModels();
+  let completed = false, previousStatus = null;
+  const result = await sequelize.transaction(async (transaction) => {
+    const part = await WorkOrderPart.findByPk(partId, { transaction });
+    if (!part) throw laborError('Part not found', 404);
+    const open = await LaborSegment.findOne({ where: { workOrderPartId: part.id, operatorName, endedAt: null }, transaction });
+    if (!open && !complete) throw laborError('No clock running on this part');
+    if (open) await closeSegment(open, reason, new Date(), transaction);
+    const actualRunTimeMin = await recomputePartActual(part.id, transaction);
+    if (complete && part.status !== 'completed') {
+      completed = true;
+      previousStatus = part.status;
+      await part.update({ status: 'completed', completedAt: part.completedAt || new Date(), completedBy: operatorName }, { transaction });
+    }
+    return { part, segment: open, actualRunTimeMin, status: part.status };
+  });
+  const { part, ...labor } = result;
+  if (completed) await applyPartStatusChange(part.workOrderId, part, 'completed', previousStatus);
+  return labor;
+}
+
+// Nightly sweep — close anything still running (capped) so a forgotten clock can't accrue forever
+async function closeForgottenSegments() {
+  const { LaborSegment } = getModels();
+  const open = await LaborSegment.findAll({ where: { endedAt: null } });
+  const touched = new Set();
+  for (const seg of open) {
+    await closeSegment(seg, 'auto');
+    touched.add(seg.workOrderPartId);
+  }
+  for (const partId of touched) await recomputePartActual(partId);
+  return open.length;
+}
+
+module.exports = {
+  segmentMinutes,
+  summarizeSegments,
+  startLabor,
+  endLabor,
+  closeSegment,
+  recomputePartActual,
+  openSegmentFor,
+  closeForgottenSegments,
+  MAX_SEGMENT_HOURS,
+};
@@ -0,0 +1,799 @@
+/**
+ * Double-entry ledger — chart of accounts, journal entries posted from the records that move
+ * money, period closing, and the trial balance / P&L / balance sheet read from the journal.
+ *
+ * Every automatic entry belongs to a source record (sourceType + sourceId) and is derived from it:
+ *
+ *   invoice         Dr AR  /  Cr sales by kind (the sales tax split) + Cr sales tax payable
+ *   client_payment  Dr cash  /  Cr AR — the whole amount, so an overpayment leaves a credit in AR
+ *   wo_payment      the same, for a payment keyed on the order itself (not the copy a ClientPayment makes)
+ *   credit_memo     Dr sales returns  /  Cr AR — not an overpayment credit, the payment already is one
+ *   refund          Dr AR  /  Cr cash
+ *   bill_payment    Dr expense by bill category  /  Cr cash, when the bill is marked paid
+ *   payroll         Dr payroll expense  /  Cr cash, when the week is submitted
+ *   shipment_charge Dr contracted shipping  /  Cr cash, a contracted carrier's cost on a work order
+ *
+ * Posted entries are never edited. Syncing a source works out the entry it should have now; if
+ * that differs from the live one (an invoice re-priced, a payment voided, a bill deleted) the live
+ * entry is reversed and the new one posted, so history stays intact. Routes post right after they
+ * write; a posting that fails is recorded in ledger_post_failures until it goes through, and the
+ * nightly catch-up (syncAll) retries those, posts anything the routes missed and back-fills history.
+ *
+ * Closing the books through a date locks every entry dated on or before it: nothing can be posted
+ * into the closed period. An automatic posting or reversal that belongs there lands on the first
+ * open day instead, and says so in its memo; a manual entry dated there is refused.
+ *
+ * Amounts are USD. Foreign-currency invoices post their USD total, as AR and getWOBalance carry it.
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { QB_CONFIG } = require('../constants');
+const salesTax = require('./salesTax');
+
+const getModels = () => require('../models');
+
+const ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'income', 'expense'];
+const DEBIT_NORMAL = ['asset', 'expense'];
+const SOURCE_TYPES = ['invoice', 'client_payment', 'wo_payment', 'credit_memo', 'refund', 'bill_payment', 'payroll', 'shipment_charge'];
+const DAY_MS = 86400000;
+
+// The accounts automatic postings use, by systemKey. Names follow QuickBooks (QB_CONFIG) for the
+// ones the IIF export already posts to.
+const SYSTEM_ACCOUNTS = [
+  { systemKey: 'cash', code: '1000', name: 'CHECKING', type: 'asset' },
+  { systemKey: 'ar', code: '1200', name: QB_CONFIG.arAccount, type: 'asset' },
+  { systemKey: 'sales_tax', code: '2200', name: QB_CONFIG.taxAccount, type: 'liability' },
+  { systemKey: 'opening_equity', code: '3000', name: 'OPENING BALANCE EQUITY', type: 'equity' },
+  { systemKey: 'retained_earnings', code: '3900', name: 'RETAINED EARNINGS', type: 'equity' },
+  { systemKey: 'sales_taxable', code: '4000', name: QB_CONFIG.taxableIncomeAccount, type: 'income' },
+  { systemKey: 'sales_nontaxable', code: '4010', name: QB_CONFIG.nontaxableIncomeAccount, type: 'income' },
+  { systemKey: 'freight', code: '4020', name: QB_CONFIG.freightAccount, type: 'income' },
+  { systemKey: 'returns', code: '4900', name: 'SALES RETURNS & ALLOWANCES', type: 'income' },
+  { systemKey: 'expense_materials', code: '5000', name: 'MATERIALS', type: 'expense' },
+  { systemKey: 'expense_shipping', code: '5100', name: 'CONTRACTED SHIPPING', type: 'expense' },
+  { systemKey: 'payroll', code: '6000', name: 'PAYROLL EXPENSES', type: 'expense' },
+  { systemKey: 'expense_insurance', code: '6100', name: 'INSURANCE', type: 'expense' },
+  { systemKey: 'expense_supplies', code: '6200', name: 'SHOP SUPPLIES', type: 'expense' },
+  { systemKey: 'expense_utilities', code: '6300', name: 'UTILITIES', type: 'expense' },
+  { systemKey: 'expense_rent', code: '6400', name: 'RENT', type: 'expense' },
+  { systemKey: 'expense_equipment', code: '6500', name: 'EQUIPMENT', type: 'expense' },
+  { systemKey: 'expense_other', code: '6900', name: 'OTHER EXPENSES', type: 'expense' },
+];
+
+function ledgerError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const money = (v) => Math.round((parseFloat(v) || 0) * 100) / 100;
+// Calendar day in the shop's time zone; 'YYYY-MM-DD' strings (DATEONLY columns) pass through
+const dateOnly = (d) => {
+  if (!d) return null;
+  if (typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d)) return d;
+  return new Date(d).toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+};
+const addDays = (day, n) => new Date(new Date(day + 'T00:00:00Z').getTime() + n * DAY_MS).toISOString().slice(0, 10);
+const isDate = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(new Date(s + 'T00:00:00Z'));
+
+// ---------------------------------------------------------------------------------------------
+// Entries from source records (pure — each takes the record as loaded and returns
+// { date, memo, clientId, lines: [{ key, debit | credit, memo }] }, or null for nothing to post)
+// ---------------------------------------------------------------------------------------------
+
+const dr = (key, amount, memo) => ({ key, debit: money(amount), credit: 0, ...(memo ? { memo } : {}) });
+const cr = (key, amount, memo) => ({ key, debit: 0, credit: money(amount), ...(memo ? { memo } : {}) });
+
+// Expense account a bill posts to by its category
+const expenseKeyFor = (category) => {
+  const key = `expense_${String(category || 'other').toLowerCase()}`;
+  return SYSTEM_ACCOUNTS.some(a => a.systemKey === key) ? key : 'expense_other';
+};
+
+/**
+ * An invoice: AR for what was invoiced, sales by account as the sales tax split books it, and the
+ * tax charged to sales tax payable. `tax` is salesTax.taxOn() of `split`.
+ */
+function invoiceEntry(wo, split, tax) {
+  if (!split.total) return null;
+  const byKey = {};
+  for (const l of tax.lines) {
+    const key = l.kind === 'freight' ? 'freight' : l.taxable ? 'sales_taxable' : 'sales_nontaxable';
+    byKey[key] = money((byKey[key] || 0) + l.amount);
+  }
+  // Signed debits; a credit invoice (negative total) just turns every line around
+  const side = (key, amount) => (amount >= 0 ? dr(key, amount) : cr(key, -amount));
+  const lines = [side('ar', split.total)];
+  for (const [key, amount] of Object.entries(byKey)) lines.push(side(key, -amount));
+  if (split.taxCharged) lines.push(side('sales_tax', -split.taxCharged));
+  return { date: dateOnly(wo.invoiceDate), memo: `Invoice ${wo.invoiceNumber} · DR-${wo.drNumber} — ${wo.clientName}`, clientId: wo.clientId || null, lines };
+}
+
+const paymentLabel = (method, reference) => [String(method || '').replace('_', ' '), reference ? `#${reference}` : ''].filter(Boolean).join(' ');
+
+function clientPaymentEntry(payment) {
+  if (payment.voidedAt || !money(payment.amount)) return null;
+  const label = paymentLabel(payment.method, payment.reference);
+  return {
+    date: dateOnly(payment.paymentDate), memo: `Payment — ${payment.clientName}${label ? ` (${label})` : ''}`, clientId: payment.clientId || null,
+    lines: [dr('cash', payment.amount), cr('ar', payment.amount)],
+  };
+}
+
+function woPaymentEntry(wop, wo) {
+  if (wop.voidedAt || !money(wop.amount)) return null;
+  const label = paymentLabel(wop.paymentMethod, wop.paymentReference);
+  return {
+    date: dateOnly(wop.paymentDate), memo: `Payment — ${wo?.clientName || 'Unknown'}${wo ? ` · DR-${wo.drNumber}` : ''}${label ? ` (${label})` : ''}`, clientId: wo?.clientId || null,
+    lines: [dr('cash', wop.amount), cr('ar', wop.amount)],
+  };
+}
+
+function creditMemoEntry(memo) {
+  if (memo.voidedAt || memo.sourceClientPaymentId || !money(memo.amount)) return null;
+  return {
+    date: dateOnly(memo.date), memo: `Credit memo — ${memo.clientName}${memo.reason ? `: ${memo.reason}` : ''}`.substring(0, 500), clientId: memo.clientId || null,
+    lines: [dr('returns', memo.amount), cr('ar', memo.amount)],
+  };
+}
+
+function refundEntry(refund) {
+  if (refund.voidedAt || !money(refund.amount)) return null;
+  const label = paymentLabel(refund.method, refund.reference);
+  return {
+    date: dateOnly(refund.date), memo: `Refund — ${refund.clientName}${label ? ` (${label})` : ''}`, clientId: refund.clientId || null,
+    lines: [dr('ar', refund.amount), cr('cash', refund.amount)],
+  };
+}
+
+function billPaymentEntry(bill) {
+  const amount = money(bill.paidAmount || bill.amount);
+  if (bill.status !== 'paid' || !amount) return null;
+  return {
+    date: dateOnly(bill.paidAt || bill.updatedAt), memo: `Bill paid — ${bill.name}${bill.vendor ? ` (${bill.vendor})` : ''}`, clientId: null,
+    lines: [dr(expenseKeyFor(bill.category), amount), cr('cash', amount)],
+  };
+}
+
+function payrollEntry(week) {
+  const gross = money(week.totalGross);
+  if (week.status !== 'submitted' || !gross) return null;
+  return {
+    date: dateOnly(week.weekEnd), memo: `Payroll — week ${week.weekStart} to ${week.weekEnd}`, clientId: null,
+    lines: [dr('payroll', gross), cr('cash', gross)],
+  };
+}
+
+/** A contracted carrier's cost on a work order — paid out like the old general ledger treated it */
+function shipmentChargeEntry(charge) {
+  const cost = money((parseFloat(charge.shippingCost) || 0) + (parseFloat(charge.materialsCost) || 0));
+  if (charge.carrierType !== 'contracted' || !charge.workOrderId || !cost) return null;
+  return {
+    date: dateOnly(charge.createdAt), memo: `Contracted shipping — ${charge.vendorName || 'Carrier'}`, clientId: null,
+    lines: [dr('expense_shipping', cost), cr('cash', cost)],
+  };
+}
+
+/** Lines checked and tidied: one side each, no zero lines, debits equal credits */
+function balanceLines(lines) {
+  const clean = (lines || []).map(l => ({ ...l, debit: money(l.debit), credit: money(l.credit) })).filter(l => l.debit || l.credit);
+  for (const l of clean) {
+    if (l.debit < 0 || l.credit < 0) throw ledgerError('Amounts must be positive — use the other side instead');
+    if (l.debit && l.credit) throw ledgerError('A line is either a debit or a credit');
+  }
+  if (clean.length < 2) throw ledgerError('An entry needs at least two lines');
+  const debits = money(clean.reduce((s, l) => s + l.debit, 0));
+  const credits = money(clean.reduce((s, l) => s + l.credit, 0));
+  if (Math.abs(debits - credits) > 0.005) throw ledgerError(`Debits (${debits.toFixed(2)}) don't equal credits (${credits.toFixed(2)})`);
+  return clean;
+}
+
+// What an entry says — date and lines — to tell whether a source changed since it was posted
+function entryHash(entry) {
+  const lines = entry.lines.map(l => [l.key || l.accountId, money(l.debit), money(l.credit)]).sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+  return crypto.createHash('sha1').update(JSON.stringify([entry.date, lines])).digest('hex');
+}
+
+// The first day an entry can be dated with the books closed through `lock`
+const openDate = (date, lock) => (lock && date <= lock ? addDays(lock, 1) : date);
+
+// ---------------------------------------------------------------------------------------------
+// Reports (pure — over accounts and posted lines { accountId, date, debit, credit })
+// ---------------------------------------------------------------------------------------------
+
+// Signed balance in the account's normal direction
+const normalBalance = (type, debit, credit) => money(DEBIT_NORMAL.includes(type) ? debit - credit : credit - debit);
+
+function sumByAccount(lines) {
+  const totals = {};
+  for (const l of lines) {
+    const t = totals[l.accountId] || (totals[l.accountId] = { debit: 0, credit: 0 });
+    t.debit += parseFloat(l.debit) || 0;
+    t.credit += parseFloat(l.credit) || 0;
+  }
+  return totals;
+}
+
+const byCode = (a, b) => String(a.code).localeCompare(String(b.code), undefined, { numeric: true });
+
+function trialBalanceFrom(accounts, lines) {
+  const totals = sumByAccount(lines);
+  const rows = accounts.slice().sort(byCode).map(a => {
+    const t = totals[a.id] || { debit: 0, credit: 0 };
+    const net = money(t.debit - t.credit);
+    return { accountId: a.id, code: a.code, name: a.name, type: a.type, debit: net > 0 ? net : 0, credit: net < 0 ? -net : 0 };
+  }).filter(r => r.debit || r.credit);
+  const totalDebits = money(rows.reduce((s, r) => s + r.debit, 0));
+  const totalCredits = money(rows.reduce((s, r) => s + r.credit, 0));
+  return { rows, totalDebits, totalCredits, balanced: Math.abs(totalDebits - totalCredits) < 0.005 };
+}
+
+function sectionFor(accounts, totals, type) {
+  const rows = accounts.filter(a => a.type === type).sort(byCode).map(a => {
+    const t = totals[a.id] || { debit: 0, credit: 0 };
+    return { accountId: a.id, code: a.code, name: a.name, amount: normalBalance(type, t.debit, t.credit) };
+  }).filter(r => r.amount);
+  return { rows, total: money(rows.reduce((s, r) => s + r.amount, 0)) };
+}
+
+function profitAndLossFrom(accounts, lines) {
+  const totals = sumByAccount(lines);
+  const income = sectionFor(accounts, totals, 'income');
+  const expenses = sectionFor(accounts, totals, 'expense');
+  return { income, expenses, netIncome: money(income.total - expenses.total) };
+}
+
+/**
+ * Balance sheet at a date. Income and expense don't sit on it as accounts: what they netted before
+ * the year began is in retained earnings, this year's is shown as net income, as QuickBooks does.
+ */
+function balanceSheetFrom(accounts, lines, asOf) {
+  const yearStart = `${asOf.slice(0, 4)}-01-01`;
+  const totals = sumByAccount(lines);
+  const assets = sectionFor(accounts, totals, 'asset');
+  const liabilities = sectionFor(accounts, totals, 'liability');
+  const equity = sectionFor(accounts, totals, 'equity');
+  const priorYears = profitAndLossFrom(accounts, lines.filter(l => l.date < yearStart)).netIncome;
+  const thisYear = profitAndLossFrom(accounts, lines.filter(l => l.date >= yearStart)).netIncome;
+  const retained = accounts.find(a => a.systemKey === 'retained_earnings');
+  if (priorYears) {
+    const row = equity.rows.find(r => r.accountId === retained?.id);
+    if (row) row.amount = money(row.amount + priorYears);
+    else equity.rows.push({ accountId: retained?.id || null, code: retained?.code || '', name: retained?.name || 'RETAINED EARNINGS', amount: priorYears });
+  }
+  if (thisYear) equity.rows.push({ accountId: null, code: '', name: 'NET INCOME', amount: thisYear });
+  equity.total = money(equity.rows.reduce((s, r) => s + r.amount, 0));
+  const liabilitiesAndEquity = money(liabilities.total + equity.total);
+  return { asOf, assets, liabilities, equity, liabilitiesAndEquity, balanced: Math.abs(assets.total - liabilitiesAndEquity) < 0.005 };
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+let chartCache = null;
+
+/** The system accounts by key, created the first time they're needed */
+async function ensureChart() {
+  if (chartCache) return chartCache;
+  const { LedgerAccount } = getModels();
+  const byKey = {};
+  for (const seed of SYSTEM_ACCOUNTS) {
+    let account = await LedgerAccount.findOne({ where: { systemKey: seed.systemKey } });
+    if (!account) {
+      // A code someone already used for an account of their own moves the seed along
+      let code = seed.code;
+      while (await LedgerAccount.findOne({ where: { code } })) code = String(parseInt(code) + 1);
+      account = await LedgerAccount.create({ ...seed, code });
+    }
+    byKey[seed.systemKey] = account;
+  }
+  chartCache = byKey;
+  return byKey;
+}
+
+async function listAccounts({ includeInactive = false } = {}) {
+  const { LedgerAccount } = getModels();
+  await ensureChart();
+  const accounts = await LedgerAccount.findAll({ where: includeInactive ? {} : { isActive: true } });
+  return accounts.sort(byCode);
+}
+
+/** Add an account, or edit one. A system account keeps its type and key; only its code, name and description change. */
+async function saveAccount(input = {}, id = null) {
+  const { LedgerAccount } = getModels();
+  const fields = {};
+  if (input.code !== undefined) fields.code = String(input.code || '').trim();
+  if (input.name !== undefined) fields.name = String(input.name || '').trim();
+  if (input.description !== undefined) fields.description = input.description || null;
+  if (input.isActive !== undefined) fields.isActive = !!input.isActive;
+  if (input.type !== undefined) {
+    if (!ACCOUNT_TYPES.includes(input.type)) throw ledgerError(`type must be one of ${ACCOUNT_TYPES.join(', ')}`);
+    fields.type = input.type;
+  }
+  if (fields.code === '' || fields.name === '') throw ledgerError('Code and name are required');
+  if (fields.code) {
+    const clash = await LedgerAccount.findOne({ where: { code: fields.code } });
+    if (clash && clash.id !== id) throw ledgerError(`Account ${fields.code} already exists (${clash.name})`, 409);
+  }
+
+  let account;
+  if (id) {
+    account = await LedgerAccount.findByPk(id);
+    if (!account) throw ledgerError('Account not found', 404);
+    if (account.systemKey && fields.type && fields.type !== account.type) throw ledgerError(`${account.name} is used by automatic postings — its type can't change`);
+    if (account.systemKey && fields.isActive === false) throw ledgerError(`${account.name} is used by automatic postings and can't be made inactive`);
+    await account.update(fields);
+  } else {
+    if (!fields.code || !fields.name || !fields.type) throw ledgerError('Code, name and type are required');
+    account = await LedgerAccount.create(fields);
+  }
+  chartCache = null;
+  return account;
+}
+
+/** The date the books are closed through, or null */
+async function lockDate() {
+  const { AccountingPeriod } = getModels();
+  const closes = await AccountingPeriod.findAll({ where: { reopenedAt: null } });
+  return closes.reduce((max, p) => (!max || p.closedThrough > max ? p.closedThrough : max), null);
+}
+
+/** Write one balanced entry. Lines name their account by system `key` or by `accountId`. */
+async function createEntry(entry, { transaction, by } = {}) {
+  const { JournalEntry, JournalLine, LedgerAccount } = getModels();
+  const lines = balanceLines(entry.lines);
+  const chart = await ensureChart();
+  const resolved = [];
+  for (const l of lines) {
+    let accountId = l.accountId;
+    if (l.key) {
+      if (!chart[l.key]) throw ledgerError(`No system account ${l.key}`);
+      accountId = chart[l.key].id;
+    } else if (!accountId || !(await LedgerAccount.findByPk(accountId))) {
+      throw ledgerError('Every line needs an account');
+    }
+    resolved.push({ accountId, debit: l.debit, credit: l.credit, memo: l.memo ? String(l.memo).substring(0, 255) : null });
+  }
+  const created = await JournalEntry.create({
+    date: entry.date, memo: entry.memo || null, sourceType: entry.sourceType, sourceId: entry.sourceId ? String(entry.sourceId) : null,
+    clientId: entry.clientId || null, linesHash: entry.linesHash || null, reversesEntryId: entry.reversesEntryId || null, postedBy: by || 'system',
+  }, { transaction });
+  for (const l of resolved) await JournalLine.create({ journalEntryId: created.id, ...l }, { transaction });
+  return created;
+}
+
+/** Post the mirror image of an entry, on `date` or the first open day after it */
+async function reverseEntry(entry, { date, memo, by, transaction, lock } = {}) {
+  const { JournalLine } = getModels();
+  if (entry.reversedAt) throw ledgerError('That entry is already reversed', 409);
+  const lines = await JournalLine.findAll({ where: { journalEntryId: entry.id } });
+  const want = dateOnly(date || new Date());
+  const on = openDate(want < entry.date ? entry.date : want, lock === undefined ? await lockDate() : lock);
+  const reversal = await createEntry({
+    date: on, memo: memo || `Reverses entry ${entry.entryNumber || entry.id}${on !== want ? ' (books closed)' : ''}`,
+    sourceType: entry.sourceType, sourceId: entry.sourceId, clientId: entry.clientId, reversesEntryId: entry.id,
+    lines: lines.map(l => ({ accountId: l.accountId, debit: l.credit, credit: l.debit, memo: l.memo })),
+  }, { transaction, by });
+  await entry.update({ reversedAt: new Date(), reversedByEntryId: reversal.id }, { transaction });
+  return reversal;
+}
+
+// How each kind of source record is loaded, listed and turned into an entry
+const SOURCES = {
+  invoice: {
+    model: 'WorkOrder',
+    load: async (id) => {
+      const { WorkOrder, WorkOrderPart, Client } = getModels();
+      return WorkOrder.findByPk(id, { include: [{ model: WorkOrderPart, as: 'parts' }, { model: Client, as: 'client', attributes: ['id', 'name', 'taxStatus'] }] });
+    },
+    list: async () => (await getModels().WorkOrder.findAll({ where: { invoiceNumber: { [Op.ne]: null } }, attributes: ['id'] })).map(w => w.id),
+    build: async (wo, ctx) => {
+      if (!wo.invoiceNumber || !wo.invoiceDate || wo.isVoided || wo.status === 'void') return null;
+      const { ShipmentCharge } = getModels();
+      let shipmentCharges = [];
+      try { shipmentCharges = (await ShipmentCharge.findAll({ where: { workOrderId: wo.id } })).map(c => (c.toJSON ? c.toJSON() : c)); } catch (e) { /* table may not exist yet */ }
+      const split = salesTax.splitSale({ wo, parts: wo.parts || [], shipmentCharges });
+      if (!ctx.taxSettings) ctx.taxSettings = await salesTax.loadSettings();
+      const clientStatus = (wo.client?.taxStatus || '').toLowerCase();
+      const exempt = wo.taxExempt === true || clientStatus === 'resale' || clientStatus === 'exempt';
+      const tax = salesTax.taxOn(split, { rate: 0, taxability: salesTax.taxabilityFor(ctx.taxSettings), exempt });
+      return invoiceEntry(wo, split, tax);
+    },
+    voidedOn: (wo) => wo.voidedAt || wo.updatedAt,
+  },
+  client_payment: {
+    model: 'ClientPayment',
+    load: (id) => getModels().ClientPayment.findByPk(id),
+    list: async () => (await getModels().ClientPayment.findAll({ attributes: ['id'] })).map(p => p.id),
+    build: async (p) => clientPaymentEntry(p),
+    voidedOn: (p) => p.voidedAt,
+  },
+  wo_payment: {
+    model: 'WorkOrderPayment',
+    load: (id) => getModels().WorkOrderPayment.findByPk(id),
+    list: async () => (await getModels().WorkOrderPayment.findAll({ attributes: ['id'] })).map(p => p.id),
+    build: async (wop) => {
+      // A ClientPayment writes a WorkOrderPayment per invoice it pays, for the older screens — that
+      // money is already posted through the ClientPayment
+      const { PaymentApplication, ClientPayment, WorkOrder } = getModels();
+      const apps = await PaymentApplication.findAll({ where: { workOrderId: wop.workOrderId } });
+      for (const a of apps) {
+        if (Math.abs(money(a.amount) - money(wop.amount)) > 0.005) continue;
+        const cp = await ClientPayment.findByPk(a.clientPaymentId);
+        if (cp && dateOnly(cp.paymentDate) === dateOnly(wop.paymentDate)) return null;
+      }
+      return woPaymentEntry(wop, await WorkOrder.findByPk(wop.workOrderId));
+    },
+    voidedOn: (p) => p.voidedAt,
+  },
+  credit_memo: {
+    model: 'CreditMemo',
+    load: (id) => getModels().CreditMemo.findByPk(id),
+    list: async () => (await getModels().CreditMemo.findAll({ attributes: ['id'] })).map(m => m.id),
+    build: async (m) => creditMemoEntry(m),
+    voidedOn: (m) => m.voidedAt,
+  },
+  refund: {
+    model: 'Refund',
+    load: (id) => getModels().Refund.findByPk(id),
+    list: async () => (await getModels().Refund.findAll({ attributes: ['id'] })).map(r => r.id),
+    build: async (r) => refundEntry(r),
+    voidedOn: (r) => r.voidedAt,
+  },
+  bill_payment: {
+    model: 'Liability',
+    load: (id) => getModels().Liability.findByPk(id),
+    list: async () => (await getModels().Liability.findAll({ where: { status: 'paid' }, attributes: ['id'] })).map(b => b.id),
+    build: async (b) => billPaymentEntry(b),
+    voidedOn: (b) => b.updatedAt,
+  },
+  payroll: {
+    model: 'PayrollWeek',
+    load: (id) => getModels().PayrollWeek.findByPk(id),
+    list: async () => (await getModels().PayrollWeek.findAll({ where: { status: 'submitted' }, attributes: ['id'] })).map(w => w.id),
+    build: async (w) => payrollEntry(w),
+    voidedOn: (w) => w.updatedAt,
+  },
+  shipment_charge: {
+    model: 'ShipmentCharge',
+    load: (id) => getModels().ShipmentCharge.findByPk(id),
+    list: async () => (await getModels().ShipmentCharge.findAll({ where: { carrierType: 'contracted', workOrderId: { [Op.ne]: null } }, attributes: ['id'] })).map(c => c.id),
+    build: async (c) => shipmentChargeEntry(c),
+    voidedOn: (c) => c.updatedAt,
+  },
+};
+
+async function liveEntryFor(sourceType, sourceId) {
+  const { JournalEntry } = getModels();
+  return JournalEntry.findOne({ where: { sourceType, sourceId: String(sourceId), reversedAt: null, reversesEntryId: null } });
+}
+
+/**
+ * Bring one source record's posting up to date. Returns what happened: posted, reposted,
+ * reversed, unchanged or none (nothing to post and nothing posted).
+ */
+async function syncSource(sourceType, sourceId, { by, ctx = {} } = {}) {
+  const spec = SOURCES[sourceType];
+  if (!spec) throw ledgerError(`sourceType must be one of ${SOURCE_TYPES.join(', ')}`);
+  const { sequelize } = getModels();
+  const record = await spec.load(sourceId);
+  const want = record ? await spec.build(record, ctx) : null;
+  const live = await liveEntryFor(sourceType, sourceId);
+  const hash = want ? entryHash({ date: want.date, lines: balanceLines(want.lines) }) : null;
+  if (!want && !live) return 'none';
+  if (live && live.linesHash === hash) return 'unchanged';
+
+  const lock = ctx.lock !== undefined ? ctx.lock : await lockDate();
+  return sequelize.transaction(async (transaction) => {
+    if (live) {
+      const why = want ? 'changed' : record ? 'voided' : 'deleted';
+      const on = want ? new Date() : (record && spec.voidedOn(record)) || new Date();
+      await reverseEntry(live, { date: on, memo: `Reverses entry ${live.entryNumber || live.id} — ${sourceType.replace('_', ' ')} ${why}`, by, transaction, lock });
+    }
+    if (want) {
+      const date = openDate(want.date, lock);
+      await createEntry({
+        ...want, date, sourceType, sourceId, linesHash: hash,
+        memo: date !== want.date ? `${want.memo} (dated ${want.date}; books closed)` : want.memo,
+      }, { transaction, by });
+    }
+    return !live ? 'posted' : want ? 'reposted' : 'reversed';
+  });
+}
+
+// A failed posting is kept (one row per source, counting attempts) until a sync of it goes through
+async function recordFailure(sourceType, sourceId, err, by) {
+  const { LedgerPostFailure } = getModels();
+  try {
+    const where = { sourceType, sourceId: String(sourceId) };
+    const row = await LedgerPostFailure.findOne({ where });
+    const values = { error: err.message, failedAt: new Date(), failedBy: by || null };
+    if (row) await row.update({ ...values, attempts: (row.attempts || 0) + 1 });
+    else await LedgerPostFailure.create({ ...where, ...values, attempts: 1 });
+  } catch (recordErr) {
+    console.warn(`[ledger] couldn't record the failed posting of ${sourceType} ${sourceId}: ${recordErr.message}`);
+  }
+}
+
+async function clearFailure(sourceType, sourceId) {
+  const { LedgerPostFailure } = getModels();
+  const row = await LedgerPostFailure.findOne({ where: { sourceType, sourceId: String(sourceId) } });
+  if (row) await row.destroy();
+}
+
+/**
+ * For routes, right after they write a source record: post it, and never fail the request over it.
+ * A failure is recorded in ledger_post_failures, where listFailures shows it and retryFailures (or
+ * the nightly catch-up) posts it again.
+ */
+async function post(sourceType, sourceId, by) {
+  let result;
+  try {
+    result = await syncSource(sourceType, sourceId, { by });
+  } catch (err) {
+    console.warn(`[ledger] ${sourceType} ${sourceId} not posted: ${err.message}`);
+    await recordFailure(sourceType, sourceId, err, by);
+    return null;
+  }
+  try { await clearFailure(sourceType, sourceId); } catch (err) { console.warn(`[ledger] ${sourceType} ${sourceId} posted; its failure record wasn't cleared: ${err.message}`); }
+  return result;
+}
+
+/**
+ * Post or correct everything — every source record, every live entry whose source is gone, and every
+ * recorded failure. Failures are recorded or cleared as they go.
+ */
+async function syncAll({ by, types = SOURCE_TYPES } = {}) {
+  const { JournalEntry, LedgerPostFailure } = getModels();
+  const ctx = { lock: await lockDate() };
+  const counts = {};
+  const errors = [];
+  for (const type of types) {
+    const c = counts[type] = { posted: 0, reposted: 0, reversed: 0, unchanged: 0, none: 0, failed: 0 };
+    const live = await JournalEntry.findAll({ where: { sourceType: type, reversedAt: null, reversesEntryId: null }, attributes: ['sourceId'] });
+    const failed = await LedgerPostFailure.findAll({ where: { sourceType: type } });
+    const ids = [...new Set([...(await SOURCES[type].list()).map(String), ...live.map(e => e.sourceId), ...failed.map(f => f.sourceId)])];
+    for (const id of ids) {
+      try {
+        c[await syncSource(type, id, { by, ctx })]++;
+      } catch (err) {
+        c.failed++;
+        if (errors.length < 50) errors.push({ sourceType: type, sourceId: id, error: err.message });
+        await recordFailure(type, id, err, by);
+        continue;
+      }
+      const row = failed.find(f => f.sourceId === id);
+      if (row) await row.destroy();
+    }
+  }
+  return { counts, errors };
+}
+
+/** Postings that failed and haven't gone through since, most recent first */
+async function listFailures() {
+  const { LedgerPostFailure } = getModels();
+  return LedgerPostFailure.findAll({ order: [['failedAt', 'DESC']] });
+}
+
+/** Try every recorded failure again. Returns what happened to each, and how many are still failing. */
+async function retryFailures(by) {
+  const { LedgerPostFailure } = getModels();
+  const lock = await lockDate();
+  const results = [];
+  for (const row of await LedgerPostFailure.findAll()) {
+    try {
+      const result = await syncSource(row.sourceType, row.sourceId, { by, ctx: { lock } });
+      await row.destroy();
+      results.push({ sourceType: row.sourceType, sourceId: row.sourceId, result });
+    } catch (err) {
+      await recordFailure(row.sourceType, row.sourceId, err, by);
+      results.push({ sourceType: row.sourceType, sourceId: row.sourceId, result: 'failed', error: err.message });
+    }
+  }
+  return { results, failing: results.filter(r => r.result === 'failed').length };
+}
+
+/** A manual entry — opening balances, adjustments. Refused in a closed period. */
+async function createManualEntry(input = {}, by) {
+  const { sequelize } = getModels();
+  const date = dateOnly(input.date);
+  if (!isDate(date)) throw ledgerError('A valid date is required');
+  const lock = await lockDate();
+  if (lock && date <= lock) throw ledgerError(`The books are closed through ${lock}`, 409);
+  const lines = (input.lines || []).map(l => ({ accountId: l.accountId, debit: l.debit, credit: l.credit, memo: l.memo }));
+  return sequelize.transaction((transaction) => createEntry({ date, memo: input.memo, sourceType: 'manual', lines }, { transaction, by }));
+}
+
+/** Reverse a manual entry. Automatic entries follow their source — void or edit that instead. */
+async function reverseManualEntry(id, { date, by } = {}) {
+  const { JournalEntry, sequelize } = getModels();
+  const entry = await JournalEntry.findByPk(id);
+  if (!entry) throw ledgerError('Entry not found', 404);
+  if (entry.sourceType !== 'manual') throw ledgerError(`This entry follows its ${entry.sourceType.replace('_', ' ')} — change or void that instead`);
+  if (entry.reversesEntryId) throw ledgerError('A reversing entry can\'t itself be reversed — post a new entry');
+  return sequelize.transaction((transaction) => reverseEntry(entry, { date: date || new Date(), by, transaction }));
+}
+
+/** Entries with their lines, newest first. Filters: from, to, sourceType, sourceId, accountId. */
+async function listEntries({ from, to, sourceType, sourceId, accountId, limit = 200 } = {}) {
+  const { JournalEntry, JournalLine, LedgerAccount } = getModels();
+  const where = {};
+  if (from || to) where.date = { ...(from && { [Op.gte]: from }), ...(to && { [Op.lte]: to }) };
+  if (sourceType) where.sourceType = sourceType;
+  if (sourceId) where.sourceId = String(sourceId);
+  if (accountId) {
+    const ids = (await JournalLine.findAll({ where: { accountId }, attributes: ['journalEntryId'] })).map(l => l.journalEntryId);
+    where.id = { [Op.in]: [...new Set(ids)] };
+  }
+  return JournalEntry.findAll({
+    where,
+    include: [{ model: JournalLine, as: 'lines', include: [{ model: LedgerAccount, as: 'account', attributes: ['id', 'code', 'name', 'type'] }] }],
+    order: [['date', 'DESC'], ['entryNumber', 'DESC']],
+    limit: Math.min(parseInt(limit) || 200, 2000),
+  });
+}
+
+// Every posted line in a date range, with its entry's date
+async function postedLines({ from, to } = {}) {
+  const { JournalEntry, JournalLine } = getModels();
+  const where = {};
+  if (from || to) where.date = { ...(from && { [Op.gte]: from }), ...(to && { [Op.lte]: to }) };
+  const entries = await JournalEntry.findAll({ where, include: [{ model: JournalLine, as: 'lines' }] });
+  return entries.flatMap(e => (e.lines || []).map(l => ({ accountId: l.accountId, date: e.date, debit: l.debit, credit: l.credit, entryId: e.id })));
+}
+
+const today = () => dateOnly(new Date());
+
+async function trialBalance({ asOf } = {}) {
+  const on = asOf || today();
+  if (!isDate(on)) throw ledgerError('asOf must be YYYY-MM-DD');
+  return { asOf: on, ...trialBalanceFrom(await listAccounts({ includeInactive: true }), await postedLines({ to: on })) };
+}
+
+async function profitAndLoss({ from, to } = {}) {
+  const end = to || today();
+  const start = from || `${end.slice(0, 4)}-01-01`;
+  if (!isDate(start) || !isDate(end)) throw ledgerError('from and to must be YYYY-MM-DD');
+  return { from: start, to: end, ...profitAndLossFrom(await listAccounts({ includeInactive: true }), await postedLines({ from: start, to: end })) };
+}
+
+async function balanceSheet({ asOf } = {}) {
+  const on = asOf || today();
+  if (!isDate(on)) throw ledgerError('asOf must be YYYY-MM-DD');
+  return balanceSheetFrom(await listAccounts({ includeInactive: true }), await postedLines({ to: on }), on);
+}
+
+/** One account's activity in a range, with its balance before and running after each line */
+async function register(accountId, { from, to } = {}) {
+  const { LedgerAccount } = getModels();
+  const account = await LedgerAccount.findByPk(accountId);
+  if (!account) throw ledgerError('Account not found', 404);
+  const before = from ? (await postedLines({ to: addDays(from, -1) })).filter(l => l.accountId === accountId) : [];
+  let balance = before.reduce((s, l) => s + normalBalance(account.type, l.debit, l.credit), 0);
+  const opening = money(balance);
+  const entries = await listEntries({ from, to, accountId, limit: 2000 });
+  const rows = [];
+  for (const e of entries.slice().reverse()) {
+    for (const l of (e.lines || []).filter(x => x.accountId === accountId)) {
+      balance += normalBalance(account.type, l.debit, l.credit);
+      rows.push({ entryId: e.id, entryNumber: e.entryNumber, date: e.date, memo: l.memo || e.memo, sourceType: e.sourceType, sourceId: e.sourceId, debit: money(l.debit), credit: money(l.credit), balance: money(balance) });
+    }
+  }
+  return { account, from: from || null, to: to || null, opening, closing: money(balance), rows };
+}
+
+// The old general-ledger view's type and source for each kind of posting
+const CASH_VIEW = {
+  client_payment: { type: 'payment', source: 'client_payment' },
+  wo_payment: { type: 'payment', source: 'legacy_payment' },
+  bill_payment: { type: 'expense', source: 'liability' },
+  payroll: { type: 'expense', source: 'payroll' },
+  shipment_charge: { type: 'expense', source: 'shipment_charge' },
+  refund: { type: 'refund', source: 'refund' },
+  manual: { type: 'manual', source: 'manual' },
+};
+
+/**
+ * GET /api/business/general-ledger, read from the journal: every entry that moved cash, newest
+ * first, with `credit` for money in, `debit` for money out and a running balance over the range. A
+ * void shows as its reversing entry, so the totals are the cash account's movement.
+ */
+async function generalLedger({ startDate, endDate, type } = {}) {
+  const chart = await ensureChart();
+  const cashId = chart.cash.id;
+  const entries = await listEntries({ from: startDate, to: endDate, accountId: cashId, limit: 2000 });
+  const rows = entries.map(e => {
+    const lines = e.lines || [];
+    const cash = lines.filter(l => l.accountId === cashId);
+    const other = lines.find(l => l.accountId !== cashId);
+    const view = CASH_VIEW[e.sourceType] || { type: e.sourceType, source: e.sourceType };
+    return {
+      id: e.sourceId || e.id, entryId: e.id, entryNumber: e.entryNumber, date: e.date, type: view.type, source: view.source,
+      category: view.type === 'payment' ? 'Revenue' : view.type === 'refund' ? 'Refund' : other?.account?.name || 'Other',
+      description: e.memo, reversal: !!e.reversesEntryId,
+      credit: money(cash.reduce((sum, l) => sum + money(l.debit), 0)),
+      debit: money(cash.reduce((sum, l) => sum + money(l.credit), 0)),
+    };
+  }).sort((a, b) => (a.date === b.date ? (b.entryNumber || 0) - (a.entryNumber || 0) : a.date < b.date ? 1 : -1));
+
+  const filtered = type ? rows.filter(r => r.type === type || r.source === type) : rows;
+  let running = 0;
+  for (const r of filtered.slice().reverse()) { running = money(running + r.credit - r.debit); r.runningBalance = running; }
+  const net = (t) => money(filtered.filter(r => r.type === t).reduce((sum, r) => sum + r.credit - r.debit, 0));
+  const totalRevenue = net('payment');
+  const totalExpenses = -net('expense');
+  const totalRefunds = -net('refund');
+  return { entries: filtered, totalRevenue, totalExpenses, totalRefunds, netIncome: money(totalRevenue - totalExpenses - totalRefunds) };
+}
+
+async function listPeriods() {
+  const { AccountingPeriod } = getModels();
+  return AccountingPeriod.findAll({ order: [['closedThrough', 'DESC'], ['closedAt', 'DESC']] });
+}
+
+/**
+ * Close the books through a date. Anything still unposted is posted first, so the closed period
+ * holds everything that belongs to it.
+ */
+async function closePeriod({ through, notes } = {}, by) {
+  const { AccountingPeriod } = getModels();
+  if (!isDate(through)) throw ledgerError('through must be YYYY-MM-DD');
+  if (through >= today()) throw ledgerError('Only a period that has ended can be closed');
+  const lock = await lockDate();
+  if (lock && through <= lock) throw ledgerError(`The books are already closed through ${lock}`, 409);
+  const caughtUp = await syncAll({ by });
+  const period = await AccountingPeriod.create({ closedThrough: through, closedAt: new Date(), closedBy: by || null, notes: notes || null });
+  return { period, caughtUp };
+}
+
+/** Reopen the latest close; the one before it (if any) locks again */
+async function reopenPeriod(by) {
+  const { AccountingPeriod } = getModels();
+  const open = await AccountingPeriod.findAll({ where: { reopenedAt: null } });
+  const latest = open.sort((a, b) => (a.closedThrough < b.closedThrough ? 1 : -1))[0];
+  if (!latest) throw ledgerError('The books aren\'t closed', 409);
+  await latest.update({ reopenedAt: new Date(), reopenedBy: by || null });
+  return { period: latest, lockDate: await lockDate() };
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  SOURCE_TYPES,
+  SYSTEM_ACCOUNTS,
+  expenseKeyFor,
+  invoiceEntry,
+  clientPaymentEntry,
+  woPaymentEntry,
+  creditMemoEntry,
+  refundEntry,
+  billPaymentEntry,
+  payrollEntry,
+  shipmentChargeEntry,
+  balanceLines,
+  entryHash,
+  openDate,
+  trialBalanceFrom,
+  profitAndLossFrom,
+  balanceSheetFrom,
+  ensureChart,
+  listAccounts,
+  saveAccount,
+  lockDate,
+  syncSource,
+  post,
+  listFailures,
+  retryFailures,
+  syncAll,
+  createManualEntry,
+  reverseManualEntry,
+  listEntries,
+  trialBalance,
+  profitAndLoss,
+  balanceSheet,
+  register,
+  listPeriods,
+  closePeriod,
+  reopenPeriod,
+  generalLedger,
+};
@@ -14,6 +14,8 @@
  *   part.heatCountry            — single-heat parts, ISO-2 code
  *   part.heatBreakdown[].country — split parts, one country per heat
  *
+ * Both are filled from verified mill test reports where nobody typed them (millTestReports.js).
+ *
  * A split part whose heats came from different countries produces MULTIPLE certificate lines,
  * one per country, with the quantity from that country. Collapsing them to a single line would
  * misstate the origin of some of the pieces.
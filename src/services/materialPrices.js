@@ -0,0 +1,552 @@
+/**
+ * Material price index — what steel costs us now, by grade / shape / size, with history.
+ *
+ * Every price is a row; nothing is overwritten, so the newest row for a key is the current price
+ * and the older rows are its history. Rows come from three places:
+ *
+ *   manual          typed in from a phone call or a supplier's price sheet
+ *   supplier_quote  lines read out of a vendor email the Comm Center flagged as a supplier quote
+ *   bill            line items read off a materials bill (ScannedEmail.billData.lineItems)
+ *
+ * A key is grade|shape|size: plate by thickness ("A36|plate|0.2500"), sections by their size text
+ * ("A36|angle|2x2x1/4", "A53|pipe|4sch40"). Supplier line text is parsed here, not by the model,
+ * so the same plate always lands on the same key no matter who typed the description.
+ *
+ * Open estimates are checked against the index: a part's material cost is stale when it was
+ * entered more than staleDays ago, and moved when the index now says it should differ by more
+ * than movePercent. The proposed cost scales the estimator's own number by how far the index has
+ * moved since it was entered — that keeps whatever drop and yield they allowed for. Only when the
+ * index has no price from back then is the cost rebuilt from unit price × piece weight (or length,
+ * area). Re-pricing changes the material cost and moves partTotal by the difference in billed
+ * material, rounded the way the part rounds it (formData._materialRounding).
+ */
+
+const { parseNum, plateDims, weightLbs } = require('./pricingSuggest');
+const { roundUpMaterial } = require('./pricing');
+const { mergedPart } = require('./rollingGeometry');
+
+const getModels = () => require('../models');
+
+const SHAPES = ['plate', 'angle', 'channel', 'beam', 'tee', 'flat_bar', 'round_bar', 'square_bar', 'pipe', 'tube'];
+const UNITS = ['lb', 'cwt', 'ft', 'sqft', 'each'];
+const SOURCES = ['manual', 'supplier_quote', 'bill'];
+const OPEN_STATUSES = ['draft', 'sent'];
+const DEFAULT_CONFIG = { staleDays: 30, movePercent: 5 };
+const DAY_MS = 86400000;
+
+const EA_PRICED_TYPES = ['plate_roll', 'shaped_plate', 'angle_roll', 'flat_stock', 'pipe_roll', 'tube_roll', 'flat_bar', 'channel_roll', 'beam_roll', 'tee_bar', 'press_brake', 'cone_roll', 'fab_service', 'shop_rate'];
+
+// What a part type is cut from
+const PART_SHAPES = {
+  plate_roll: 'plate', shaped_plate: 'plate', flat_stock: 'plate', cone_roll: 'plate', press_brake: 'plate',
+  angle_roll: 'angle', channel_roll: 'channel', beam_roll: 'beam', tee_bar: 'tee',
+  flat_bar: 'flat_bar', pipe_roll: 'pipe', tube_roll: 'tube',
+};
+
+function materialError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const money = (v) => Math.round(v * 100) / 100;
+const pct = (v) => Math.round(v * 10) / 10;
+
+// ---------------------------------------------------------------------------------------------
+// Keys
+// ---------------------------------------------------------------------------------------------
+
+// "304 S/S" → 304, "A572 Gr 50" → A572-50, "A53 Gr B" → A53, "a36 steel" → A36
+function normalizeGrade(s) {
+  let v = String(s || '').toUpperCase()
+    .replace(/STAINLESS(\s+STEEL)?|S\s*\/\s*S/g, 'SS')
+    .replace(/\bSTEEL\b|\bPLATE\b|\bHR\b|\bHRPO\b/g, ' ')
+    .replace(/\s*-?\s*GR(ADE)?\.?\s*(?=\d|[A-C]\b)/g, '-')
+    .replace(/[^A-Z0-9-]/g, '')
+    .replace(/^-+|-+$/g, '')
+    .replace(/^(A53|A106)-?B$/, '$1');
+  if (/^\d{3}L?SS$/.test(v)) v = v.slice(0, -2);
+  return v || null;
+}
+
+// "2 x 2 x 1/4\"" → 2x2x1/4, "4\" SCH 40" → 4sch40
+function normalizeSize(s) {
+  const v = String(s || '').toLowerCase().replace(/["″]/g, '').replace(/[×*]/g, 'x').replace(/\s+/g, '');
+  return v || null;
+}
+
+function priceKey({ grade, shape, thickness, size }) {
+  const g = normalizeGrade(grade);
+  if (!g || !SHAPES.includes(shape)) return null;
+  if (shape === 'plate') {
+    const t = parseNum(thickness);
+    return t ? `${g}|plate|${t.toFixed(4)}` : null;
+  }
+  const sz = normalizeSize(size);
+  return sz ? `${g}|${shape}|${sz}` : null;
+}
+
+// The key a part's material is priced under, or null when the part doesn't say enough. Section
+// forms keep their size in formData (_angleSize…); pipe sizes add the schedule ('4" Pipe' + _schedule 40).
+function partKey(part) {
+  const p = mergedPart(part);
+  const shape = PART_SHAPES[p.partType];
+  if (!shape) return null;
+  let size = p._angleSize || p._barSize || p._tubeSize || p._channelSize || p._beamSize || p._teeSize || p.sectionSize;
+  if (shape === 'pipe' && size && !/sch/i.test(size)) {
+    const nominal = String(size).match(/^\s*(\d+(?:[- ]\d+\/\d+|\/\d+|\.\d+)?)/);
+    size = nominal && p._schedule ? `${nominal[1]}sch${p._schedule}` : null;
+  }
+  return priceKey({ grade: p.material, shape, thickness: p.thickness, size: size && String(size).replace(/\s*pipe\b/i, '') });
+}
+
+const GRADE_RE = /\b(A\s?36|A\s?572(?:[- ]?(?:GR\.?\s*)?\d{2})?|A\s?516(?:[- ]?(?:GR\.?\s*)?\d{2})?|A\s?514|A\s?588|A\s?992|A\s?500(?:[- ]?(?:GR\.?\s*)?[A-C])?|A\s?53(?:[- ]?B)?|A\s?106(?:[- ]?B)?|AR\s?[45]\d0|10\d{2}|4140|30[4-9]L?|31[06]L?|321|409|410|430|2205|5052(?:-H\d+)?|5083(?:-H\d+)?|6061(?:-T\d+)?|6063(?:-T\d+)?|3003(?:-H\d+)?)\b/i;
+const DIM = '(?:\\d+\\s*ga\\b|\\d+[- ]\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\.\\d+|\\d+)';
+
+/**
+ * Read grade, shape and size out of a supplier's line text ("PL 1/4 X 96 X 240 A36",
+ * "ANGLE 2 X 2 X 1/4 A36 20'", "PIPE 4\" SCH 40 A53B"). Null when any of the three is missing.
+ */
+function parseMaterialDescription(desc) {
+  const text = String(desc || '').replace(/″/g, '"').replace(/×/g, 'x');
+  const upper = text.toUpperCase();
+  const gradeMatch = upper.match(GRADE_RE);
+  const grade = gradeMatch ? normalizeGrade(gradeMatch[1]) : null;
+
+  let shape = null;
+  if (/\bPIPE\b|\bSCH(EDULE)?\b/.test(upper)) shape = 'pipe';
+  else if (/\bTUBE|\bTUBING\b|\bHSS\b/.test(upper)) shape = 'tube';
+  else if (/\bANGLE\b|\bANG\b|^\s*L\s*\d/.test(upper)) shape = 'angle';
+  else if (/\bCHANNEL\b|\bCHAN\b|\bMC\s*\d|^\s*C\s*\d/.test(upper)) shape = 'channel';
+  else if (/\bBEAM\b|\bWF\b|^\s*W\s*\d/.test(upper)) shape = 'beam';
+  else if (/\bTEE\b|\bWT\s*\d/.test(upper)) shape = 'tee';
+  else if (/\bFLAT\s*BAR\b|\bFB\b|\bFLAT\b/.test(upper)) shape = 'flat_bar';
+  else if (/\bROUND\s*BAR\b|\bRD\b|\bROUND\b/.test(upper)) shape = 'round_bar';
+  else if (/\bSQ(UARE)?\s*BAR\b/.test(upper)) shape = 'square_bar';
+  else if (/\bPL\b|\bPLATE\b|\bSHEET\b|\bSHT\b|\d+\s*GA\b/.test(upper)) shape = 'plate';
+  if (!grade || !shape) return null;
+
+  let thickness = null, size = null;
+  if (shape === 'plate') {
+    const m = text.match(new RegExp('(' + DIM + ')\\s*"?\\s*(?=x)', 'i')) || text.match(new RegExp('(' + DIM + ')\\s*"?\\s*(?:thk|thick)\\b', 'i'));
+    thickness = m ? parseNum(m[1]) : null;
+    if (!thickness) return null;
+  } else if (shape === 'pipe') {
+    const m = text.match(/(\d+(?:[- ]\d+\/\d+|\/\d+|\.\d+)?)\s*"?\s*(?:NPS\s*)?SCH(?:EDULE)?\.?\s*(\d+|XXS|XS|STD)/i);
+    size = m ? normalizeSize(`${m[1]}sch${m[2]}`) : null;
+  } else {
+    const rolled = text.match(/\b(W|WT|MC|C|S|HSS)\s*(\d+(?:\.\d+)?\s*x\s*\d+(?:\.\d+)?)/i);
+    const dims = text.match(new RegExp(DIM + '\\s*"?\\s*x\\s*' + DIM + '(?:\\s*"?\\s*x\\s*' + DIM + ')?', 'i'));
+    if (rolled && ['beam', 'channel', 'tee'].includes(shape)) size = normalizeSize(rolled[1] + rolled[2]);
+    else if (dims) size = normalizeSize(dims[0]);
+    else {
+      const one = text.match(new RegExp('(' + DIM + ')\\s*"?\\s*(?:DIA|RD|ROUND|SQ)\\b', 'i'));
+      size = one ? normalizeSize(one[1]) : null;
+    }
+  }
+  const key = priceKey({ grade, shape, thickness, size });
+  return key ? { grade, shape, thickness, size, key } : null;
+}
+
+// ---------------------------------------------------------------------------------------------
+// Prices
+// ---------------------------------------------------------------------------------------------
+
+/**
+ * Validate one price row from the API or an ingested line. Grade/shape/size may be given outright
+ * or read from `description`.
+ */
+function normalizeEntry(body = {}) {
+  const parsed = (!body.grade || !body.shape) && body.description ? parseMaterialDescription(body.description) : null;
+  const grade = normalizeGrade(body.grade || (parsed && parsed.grade));
+  const shape = body.shape || (parsed && parsed.shape);
+  if (!grade) throw materialError('grade is required (or a description it can be read from)');
+  if (!SHAPES.includes(shape)) throw materialError(`shape must be one of ${SHAPES.join(', ')}`);
+  const thickness = shape === 'plate' ? parseNum(body.thickness != null && body.thickness !== '' ? body.thickness : parsed && parsed.thickness) : null;
+  const size = shape === 'plate' ? null : normalizeSize(body.size || (parsed && parsed.size));
+  const key = priceKey({ grade, shape, thickness, size });
+  if (!key) throw materialError(shape === 'plate' ? 'thickness is required for plate' : `size is required for ${shape}`);
+  const unit = body.unit || 'lb';
+  if (!UNITS.includes(unit)) throw materialError(`unit must be one of ${UNITS.join(', ')}`);
+  const unitPrice = parseFloat(body.unitPrice);
+  if (!(unitPrice > 0)) throw materialError('unitPrice must be a number above zero');
+  const source = body.source || 'manual';
+  if (!SOURCES.includes(source)) throw materialError(`source must be one of ${SOURCES.join(', ')}`);
+  const quotedAt = body.quotedAt ? new Date(body.quotedAt) : new Date();
+  if (isNaN(quotedAt.getTime())) throw materialError('quotedAt is not a date');
+  const quantity = body.quantity != null && body.quantity !== '' ? parseFloat(body.quantity) : null;
+  return {
+    key, grade, shape,
+    thickness: thickness || null,
+    size,
+    description: body.description || null,
+    unit,
+    unitPrice,
+    quantity: isNaN(quantity) ? null : quantity,
+    vendorId: body.vendorId || null,
+    vendorName: body.vendorName || null,
+    source,
+    sourceEmailId: body.sourceEmailId || null,
+    quotedAt: quotedAt.toISOString().slice(0, 10),
+    notes: body.notes || null,
+  };
+}
+
+const byNewest = (a, b) => String(b.quotedAt).localeCompare(String(a.quotedAt)) || new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+
+/**
+ * Current price per key (newest row) with the price before it and the change between them.
+ */
+function currentPrices(rows) {
+  const groups = new Map();
+  [...rows].sort(byNewest).forEach(r => {
+    if (!groups.has(r.key)) groups.set(r.key, []);
+    groups.get(r.key).push(r);
+  });
+  return [...groups.values()].map(list => {
+    const cur = list[0].toJSON ? list[0].toJSON() : { ...list[0] };
+    const prev = list.slice(1).find(r => r.unit === cur.unit);
+    const prevPrice = prev ? parseFloat(prev.unitPrice) : null;
+    return {
+      ...cur,
+      previousUnitPrice: prevPrice,
+      previousQuotedAt: prev ? prev.quotedAt : null,
+      changePct: prevPrice ? pct((parseFloat(cur.unitPrice) / prevPrice - 1) * 100) : null,
+      entries: list.length,
+    };
+  });
+}
+
+// How many of `unit` one piece of the part takes
+function basisFor(part, unit) {
+  if (unit === 'each') return 1;
+  if (unit === 'lb' || unit === 'cwt') {
+    const lbs = weightLbs(part);
+    return lbs ? (unit === 'cwt' ? lbs / 100 : lbs) : null;
+  }
+  if (unit === 'sqft') {
+    if (PART_SHAPES[part.partType] !== 'plate') return null;
+    const { w, l } = plateDims(part);
+    return w && l ? (w * l) / 144 : null;
+  }
+  if (unit === 'ft') {
+    const l = parseNum(part.length);
+    return l ? l / 12 : null;
+  }
+  return null;
+}
+
+// The material cost each a part carries, and which column it lives in. Part-type forms write
+// materialTotal; the estimate's "We Supply Material" panel writes materialUnitCost (see pricing.js).
+function partMaterialCost(part) {
+  if (EA_PRICED_TYPES.includes(part.partType)) {
+    const total = parseFloat(part.materialTotal) || 0;
+    if (total > 0) return { cost: total, field: 'materialTotal' };
+    const unit = parseFloat(part.materialUnitCost) || 0;
+    return unit > 0 ? { cost: unit, field: 'materialUnitCost' } : null;
+  }
+  const weSupply = part.weSupplyMaterial === true || part.weSupplyMaterial === 'true';
+  const unit = parseFloat(part.materialUnitCost) || 0;
+  return weSupply && unit > 0 ? { cost: unit, field: 'materialUnitCost' } : null;
+}
+
+/**
+ * Check one part against the index. `history` is every row for the part's key, any order.
+ * Returns null for parts that carry no material cost.
+ */
+function reviewPart(part, history = [], { now = new Date(), staleDays = DEFAULT_CONFIG.staleDays, movePercent = DEFAULT_CONFIG.movePercent, costAt } = {}) {
+  const current = partMaterialCost(part);
+  if (!current) return null;
+  const enteredAt = new Date(costAt || part.materialCostAt || part.createdAt || now);
+  const ageDays = Math.floor((new Date(now) - enteredAt) / DAY_MS);
+  const rows = [...history].sort(byNewest);
+  const latest = rows[0] || null;
+  const review = {
+    partId: part.id,
+    partNumber: part.partNumber,
+    partType: part.partType,
+    key: partKey(part),
+    field: current.field,
+    currentCost: current.cost,
+    costAt: enteredAt.toISOString(),
+    ageDays,
+    price: latest ? { id: latest.id, unitPrice: parseFloat(latest.unitPrice), unit: latest.unit, vendorName: latest.vendorName, source: latest.source, quotedAt: latest.quotedAt } : null,
+    proposedCost: null,
+    movePct: null,
+    method: null,
+    basis: null,
+    reasons: [],
+  };
+
+  if (latest) {
+    const enteredDay = enteredAt.toISOString().slice(0, 10);
+    const then = rows.find(r => String(r.quotedAt) <= enteredDay && r.unit === latest.unit);
+    if (then) {
+      const ratio = parseFloat(latest.unitPrice) / parseFloat(then.unitPrice);
+      review.proposedCost = money(current.cost * ratio);
+      review.method = 'index_change';
+      review.basis = `index ${then.quotedAt} $${parseFloat(then.unitPrice)}/${then.unit} → ${latest.quotedAt} $${parseFloat(latest.unitPrice)}/${latest.unit}`;
+    } else {
+      const qty = basisFor(part, latest.unit);
+      if (qty) {
+        review.proposedCost = money(parseFloat(latest.unitPrice) * qty);
+        review.method = 'unit_price';
+        review.basis = `${Math.round(qty * 100) / 100} ${latest.unit} × $${parseFloat(latest.unitPrice)}/${latest.unit}`;
+      }
+    }
+    if (review.proposedCost != null) review.movePct = pct((review.proposedCost / current.cost - 1) * 100);
+  }
+
+  if (ageDays > staleDays) review.reasons.push('stale');
+  if (review.movePct != null && Math.abs(review.movePct) >= movePercent) review.reasons.push('moved');
+  if (!latest) review.reasons.push(review.key ? 'no_index_price' : 'no_key');
+  review.flagged = review.reasons.includes('stale') || review.reasons.includes('moved');
+  return review;
+}
+
+/**
+ * Column updates that move a part to `newCost` material each. partTotal shifts by the change in
+ * billed material — cost × markup, rounded per the part's _materialRounding for ea-priced types,
+ * cost × qty × markup for the older per-line types — so labor, outside processing and any hand
+ * edits to the line stay as they were.
+ */
+function repriceFields(part, newCost, now = new Date()) {
+  const current = partMaterialCost(part);
+  if (!current) throw materialError(`Part ${part.partNumber || part.id} has no material cost to re-price`);
+  const cost = money(parseFloat(newCost));
+  if (!(cost > 0)) throw materialError('New material cost must be above zero');
+  const fd = part.formData && typeof part.formData === 'object' ? part.formData : {};
+  const qty = parseInt(part.quantity) || 1;
+  const partTotalBefore = parseFloat(part.partTotal) || 0;
+  const updates = { [current.field]: cost, materialCostAt: now };
+  let billedBefore, billedAfter;
+
+  if (EA_PRICED_TYPES.includes(part.partType)) {
+    const markupRaw = parseFloat(part.materialMarkupPercent);
+    const markup = isNaN(markupRaw) ? (parseFloat(fd.materialMarkupPercent) || 20) : markupRaw;
+    const each = (c) => roundUpMaterial(money(c * (1 + markup / 100)), fd._materialRounding);
+    billedBefore = each(current.cost) * qty;
+    billedAfter = each(cost) * qty;
+  } else {
+    const markup = parseFloat(part.materialMarkupPercent) || 0;
+    billedBefore = current.cost * qty * (1 + markup / 100);
+    billedAfter = cost * qty * (1 + markup / 100);
+    updates.materialTotal = billedAfter.toFixed(2);
+  }
+  const partTotalAfter = money(partTotalBefore + billedAfter - billedBefore);
+  updates.partTotal = partTotalAfter.toFixed(2);
+  return { updates, costBefore: current.cost, costAfter: cost, partTotalBefore, partTotalAfter };
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+async function loadConfig() {
+  const { AppSettings } = getModels();
+  const cfg = { ...DEFAULT_CONFIG };
+  try {
+    const row = await AppSettings.findOne({ where: { key: 'material_price_config' } });
+    if (row && row.value) Object.assign(cfg, row.value);
+  } catch (e) { /* defaults */ }
+  return cfg;
+}
+
+async function saveConfig(body = {}) {
+  const { AppSettings } = getModels();
+  const cfg = await loadConfig();
+  for (const f of ['staleDays', 'movePercent']) {
+    if (body[f] === undefined) continue;
+    const v = parseFloat(body[f]);
+    if (isNaN(v) || v < 0) throw materialError(`${f} must be a number, zero or more`);
+    cfg[f] = v;
+  }
+  const [row] = await AppSettings.findOrCreate({ where: { key: 'material_price_config' }, defaults: { value: cfg } });
+  await row.update({ value: cfg });
+  return cfg;
+}
+
+async function savePrice(body, by) {
+  const { MaterialPrice } = getModels();
+  return MaterialPrice.create({ ...normalizeEntry(body), createdBy: by || null });
+}
+
+async function historyFor(keys) {
+  const { MaterialPrice } = getModels();
+  const { Op } = require('sequelize');
+  const list = [...new Set(keys.filter(Boolean))];
+  const map = new Map(list.map(k => [k, []]));
+  if (!list.length) return map;
+  const rows = await MaterialPrice.findAll({ where: { key: { [Op.in]: list } } });
+  rows.forEach(r => map.get(r.key).push(r));
+  return map;
+}
+
+/**
+ * Open (draft/sent) estimates whose material cost is stale or has moved. flaggedOnly=false also
+ * returns the parts that are fine, for an estimate's own material panel.
+ */
+async function reviewOpenEstimates({ estimateIds, staleDays, movePercent, flaggedOnly = true, now = new Date() } = {}) {
+  const { Estimate, EstimatePart } = getModels();
+  const { Op } = require('sequelize');
+  const cfg = await loadConfig();
+  const opts = {
+    now,
+    staleDays: staleDays != null && staleDays !== '' ? parseFloat(staleDays) : cfg.staleDays,
+    movePercent: movePercent != null && movePercent !== '' ? parseFloat(movePercent) : cfg.movePercent,
+  };
+  const where = { status: { [Op.in]: OPEN_STATUSES }, trashedAt: null };
+  if (estimateIds && estimateIds.length) where.id = { [Op.in]: estimateIds };
+  const estimates = await Estimate.findAll({
+    where,
+    include: [{ model: EstimatePart, as: 'parts' }],
+    order: [['createdAt', 'DESC']],
+  });
+  const history = await historyFor(estimates.flatMap(e => (e.parts || []).map(partKey)));
+
+  const out = [];
+  for (const e of estimates) {
+    const parts = (e.parts || [])
+      .map(p => reviewPart(p, history.get(partKey(p)) || [], opts))
+      .filter(r => r && (!flaggedOnly || r.flagged));
+    if (!parts.length) continue;
+    out.push({
+      estimateId: e.id, estimateNumber: e.estimateNumber, clientName: e.clientName, status: e.status,
+      grandTotal: parseFloat(e.grandTotal) || 0,
+      parts,
+    });
+  }
+  return { settings: { staleDays: opts.staleDays, movePercent: opts.movePercent }, estimates: out };
+}
+
+// ---- Ingestion from email -------------------------------------------------------------------
+
+const QUOTE_SYS = 'You read a steel supplier\'s price quote for a metal rolling shop. Reply with ONLY JSON, no markdown:\n{"vendorName":string|null,"quoteDate":"YYYY-MM-DD"|null,"lines":[{"description":string,"quantity":number|null,"unit":"lb|cwt|ft|sqft|each","unitPrice":number}]}\nOne line per priced material item. description = the item exactly as the supplier wrote it (shape, size, grade). unitPrice = the price per unit as a number (no symbols); "per CWT" or "/100 lbs" is unit cwt, "/lb" or "per #" is lb, "/ft" is ft, a price per piece/sheet/length is each. Leave out freight, cutting, fuel surcharges and tax. lines = [] when no material is priced.';
+
+async function extractQuoteLines(subject, body) {
+  if (!process.env.ANTHROPIC_API_KEY) return { error: 'no_api_key' };
+  const { getParsingModel } = require('./aiConfig');
+  const reqBody = JSON.stringify({
+    model: getParsingModel(), max_tokens: 1500, system: QUOTE_SYS,
+    messages: [{ role: 'user', content: `Subject: ${subject || ''}\n\n${String(body || '').slice(0, 12000)}` }],
+  });
+  const https = require('https');
+  const raw = await new Promise((resolve, reject) => {
+    const req = https.request({
+      hostname: 'api.anthropic.com', path: '/v1/messages', method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-api-key': process.env.ANTHROPIC_API_KEY, 'anthropic-version': '2023-06-01', 'Content-Length': Buffer.byteLength(reqBody) },
+    }, (res) => { let d = ''; res.on('data', c => d += c); res.on('end', () => resolve(d)); });
+    req.on('error', reject);
+    req.setTimeout(45000, () => req.destroy(new Error('supplier quote extract timeout')));
+    req.write(reqBody); req.end();
+  });
+  const data = JSON.parse(raw);
+  const text = (data.content?.[0]?.text || '').replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
+  return JSON.parse(text);
+}
+
+/**
+ * Turn extracted lines into price rows. Lines whose description names no grade, shape and size
+ * are returned in `skipped` rather than guessed at.
+ */
+function linesToEntries(lines, base) {
+  const entries = [], skipped = [];
+  for (const line of lines || []) {
+    try {
+      entries.push(normalizeEntry({ ...base, description: line.description, unit: line.unit || 'lb', unitPrice: line.unitPrice, quantity: line.quantity }));
+    } catch (e) {
+      skipped.push({ description: line.description || null, reason: e.message });
+    }
+  }
+  return { entries, skipped };
+}
+
+/**
+ * Read prices out of one scanned email — a bill's extracted line items, or a supplier quote's body.
+ * Re-running replaces the rows that email produced before.
+ */
+async function ingestEmail(emailId, by) {
+  const { ScannedEmail, MaterialPrice } = getModels();
+  const email = await ScannedEmail.findByPk(emailId);
+  if (!email) throw materialError('Email not found', 404);
+  const bill = email.billData && !email.billData.error ? email.billData : null;
+  let lines, base;
+
+  if (bill && Array.isArray(bill.lineItems)) {
+    lines = bill.lineItems;
+    base = { source: 'bill', vendorName: bill.vendorName || email.fromName || email.fromEmail, quotedAt: bill.invoiceDate || email.receivedAt };
+  } else if (email.commIsSupplierQuote) {
+    const { stripQuoted } = require('./commCenter');
+    const parsed = await extractQuoteLines(email.subject, stripQuoted(email.rawBody || email.commSnippet || ''));
+    if (parsed.error) throw materialError(parsed.error === 'no_api_key' ? 'Supplier quote reading needs ANTHROPIC_API_KEY' : parsed.error, 503);
+    lines = parsed.lines;
+    base = { source: 'supplier_quote', vendorName: parsed.vendorName || email.fromName || email.fromEmail, quotedAt: parsed.quoteDate || email.receivedAt };
+  } else {
+    throw materialError('Email is neither a supplier quote nor a bill with line items');
+  }
+
+  const { entries, skipped } = linesToEntries(lines, { ...base, sourceEmailId: email.id });
+  await MaterialPrice.destroy({ where: { sourceEmailId: email.id } });
+  const created = entries.length ? await MaterialPrice.bulkCreate(entries.map(e => ({ ...e, createdBy: by || null }))) : [];
+  await email.update({ materialPricesIngestedAt: new Date() });
+  return { created, skipped };
+}
+
+/**
+ * Ingest supplier quotes and bills from the last `days` that haven't been read yet. Run after the
+ * bill scan so bills already carry their line items.
+ */
+async function ingestPending({ days = 45, limit = 25 } = {}) {
+  const { ScannedEmail } = getModels();
+  const { Op } = require('sequelize');
+  const emails = await ScannedEmail.findAll({
+    where: {
+      materialPricesIngestedAt: null,
+      receivedAt: { [Op.gte]: new Date(Date.now() - days * DAY_MS) },
+      [Op.or]: [{ commIsSupplierQuote: true }, { commCategory: 'bill', 'billData.category': 'materials' }],
+    },
+    order: [['receivedAt', 'DESC']], limit,
+  });
+  let created = 0, skipped = 0;
+  for (const e of emails) {
+    // Bills the scan hasn't reached yet wait for their line items
+    if (!e.commIsSupplierQuote && !(e.billData && Array.isArray(e.billData.lineItems))) continue;
+    try {
+      const r = await ingestEmail(e.id, 'email');
+      created += r.created.length;
+      skipped += r.skipped.length;
+    } catch (err) {
+      if (err.status === 503) break;
+      console.warn('[MaterialPrices] ingest failed for', e.id, err.message);
+    }
+  }
+  if (created || skipped) console.log(`[MaterialPrices] ${created} price(s) ingested, ${skipped} line(s) skipped`);
+  return { created, skipped };
+}
+
+module.exports = {
+  SHAPES,
+  UNITS,
+  SOURCES,
+  OPEN_STATUSES,
+  normalizeGrade,
+  normalizeSize,
+  priceKey,
+  partKey,
+  parseMaterialDescription,
+  normalizeEntry,
+  currentPrices,
+  basisFor,
+  partMaterialCost,
+  reviewPart,
+  repriceFields,
+  linesToEntries,
+  // database side
+  loadConfig,
+  saveConfig,
+  savePrice,
+  historyFor,
+  reviewOpenEstimates,
+  ingestEmail,
+  ingestPending,
+};
@@ -0,0 +1,360 @@
+/**
+ * Material inventory — plate, bar and remnants on the rack.
+ *
+ * A MaterialStock row is a stack of identical pieces with one QR label. Pieces move
+ * available → allocated (to a WorkOrderPart) → consumed; whatever is left after cutting comes back
+ * as a new remnant row pointing at its parent, carrying the same grade, thickness and heat.
+ *
+ * Allocating fewer pieces than a stack holds splits the stack: the allocated pieces get their own
+ * row and label so the rack count stays true.
+ *
+ * Heat numbers follow the steel. Allocating stock writes its heat (and melt country) onto the part —
+ * heatNumber/heatCountry when the part is a single heat, heatBreakdown rows when pieces come from
+ * more than one — so the CoC and USMCA certificate (see materialOrigin.js) read it without anyone
+ * retyping an MTR.
+ */
+
+const crypto = require('crypto');
+const { parseNum, plateDims } = require('./pricingSuggest');
+
+const getModels = () => require('../models');
+
+const FORMS = ['plate', 'sheet', 'bar', 'angle', 'pipe', 'tube', 'other'];
+const THICKNESS_TOLERANCE = 0.005; // inches — 3/8 entered as .375 vs .3750
+const MAX_SUGGESTIONS = 5;
+
+function stockError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// "304 S/S", "304-SS", "304ss" all compare equal
+function normalizeGrade(s) {
+  return String(s || '').toLowerCase().replace(/stainless/g, 'ss').replace(/[\s\-_/.]/g, '');
+}
+
+function normalizeSection(s) {
+  return String(s || '').toLowerCase().replace(/["\s]/g, '').replace(/×/g, 'x');
+}
+
+/**
+ * Which available stock could supply a part. Grade and thickness must match; a plate piece must be
+ * at least the part's blank in both directions (either orientation); sections must match by size.
+ * Remnants and the smallest adequate pieces come first so offcuts get used before full sheets.
+ */
+function matchStock(part, stock) {
+  const grade = normalizeGrade(part.material);
+  if (!grade) return [];
+  const t = parseNum(part.thickness);
+  const { w, l } = plateDims(part);
+  const section = normalizeSection(part.sectionSize);
+  const need = parseInt(part.quantity) || 1;
+
+  const matches = (stock || []).filter(s => {
+    if (s.status && s.status !== 'available') return false;
+    if (normalizeGrade(s.grade) !== grade) return false;
+    if (section) return normalizeSection(s.sectionSize) === section;
+    const st = parseNum(s.thickness);
+    if (t == null || st == null || Math.abs(st - t) > THICKNESS_TOLERANCE) return false;
+    if (w == null || l == null) return true;
+    const sw = parseNum(s.width);
+    const sl = parseNum(s.length);
+    if (sw == null || sl == null) return false;
+    return (sw >= w && sl >= l) || (sw >= l && sl >= w);
+  });
+
+  const area = (s) => (parseNum(s.width) || 0) * (parseNum(s.length) || 0);
+  return matches
+    .sort((a, b) => (b.isRemnant ? 1 : 0) - (a.isRemnant ? 1 : 0) || area(a) - area(b))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(s => ({
+      stockId: s.id,
+      qrCode: s.qrCode,
+      grade: s.grade,
+      thickness: s.thickness != null ? parseFloat(s.thickness) : null,
+      width: s.width != null ? parseFloat(s.width) : null,
+      length: s.length != null ? parseFloat(s.length) : null,
+      sectionSize: s.sectionSize || null,
+      quantity: s.quantity,
+      coversQuantity: (parseInt(s.quantity) || 0) >= need,
+      isRemnant: !!s.isRemnant,
+      location: s.location || null,
+      heatNumber: s.heatNumber || null,
+      heatCountry: s.heatCountry || null,
+    }));
+}
+
+function breakdownRows(part) {
+  return Array.isArray(part.heatBreakdown)
+    ? part.heatBreakdown.filter(r => r && r.heat).map(r => ({ heat: r.heat, qty: parseInt(r.qty) || 0, country: r.country || '' }))
+    : [];
+}
+
+// Collapse rows back to the single-heat fields when one heat covers the whole part
+function heatFields(rows, partQty) {
+  if (!rows.length) return { heatNumber: null, heatCountry: null, heatBreakdown: null };
+  if (rows.length === 1 && rows[0].qty >= partQty) {
+    return { heatNumber: rows[0].heat, heatCountry: rows[0].country || null, heatBreakdown: null };
+  }
+  return { heatNumber: rows.length === 1 ? rows[0].heat : null, heatCountry: rows.length === 1 ? (rows[0].country || null) : null, heatBreakdown: rows };
+}
+
+/**
+ * The part's heat fields after `qty` pieces of heat `heat` are allocated to it.
+ */
+function mergeHeat(part, { heat, country, qty }) {
+  const partQty = parseInt(part.quantity) || 1;
+  if (!heat) return {};
+  let rows = breakdownRows(part);
+  if (!rows.length && part.heatNumber) {
+    // A single heat already on the part — anything not coming from this allocation stays with it
+    if (part.heatNumber === heat) return {};
+    rows = [{ heat: part.heatNumber, qty: Math.max(partQty - qty, 0), country: part.heatCountry || '' }];
+  }
+  const row = rows.find(r => r.heat === heat);
+  if (row) row.qty += qty;
+  else rows.push({ heat, qty, country: country || '' });
+  return heatFields(rows.filter(r => r.qty > 0), partQty);
+}
+
+/**
+ * The part's heat fields after `qty` pieces of heat `heat` are released back to stock.
+ */
+function releaseHeat(part, { heat, qty }) {
+  const partQty = parseInt(part.quantity) || 1;
+  const rows = breakdownRows(part);
+  if (!rows.length) {
+    return part.heatNumber === heat ? { heatNumber: null, heatCountry: null, heatBreakdown: null } : {};
+  }
+  const row = rows.find(r => r.heat === heat);
+  if (!row) return {};
+  row.qty -= qty;
+  return heatFields(rows.filter(r => r.qty > 0), partQty);
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+function newQrCode() {
+  return `STOCK-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+}
+
+async function getLocations() {
+  const { AppSettings } = getModels();
+  const setting = await AppSettings.findOne({ where: { key: 'warehouse_locations' } });
+  return Array.isArray(setting?.value) ? setting.value : require('../routes/settings').DEFAULT_LOCATIONS;
+}
+
+async function checkLocation(location) {
+  if (!location) return;
+  const locations = await getLocations();
+  if (!locations.some(l => l.id === location)) throw stockError(`Unknown location "${location}"`);
+}
+
+/**
+ * Pull the editable stock fields off a request body. Dimensions accept fractions ("3/8").
+ */
+function stockFields(body) {
+  const out = {};
+  const dim = (v) => (v === '' || v === null ? null : parseNum(v));
+  for (const f of ['grade', 'sectionSize', 'heatNumber', 'location', 'supplierName', 'poNumber', 'notes']) {
+    if (body[f] !== undefined) out[f] = body[f] === '' || body[f] === null ? null : String(body[f]).trim();
+  }
+  if (body.form !== undefined) out.form = body.form || 'plate';
+  if (body.heatCountry !== undefined) out.heatCountry = body.heatCountry ? String(body.heatCountry).trim().toUpperCase() : null;
+  for (const f of ['thickness', 'width', 'length']) {
+    if (body[f] !== undefined) out[f] = dim(body[f]);
+  }
+  if (body.quantity !== undefined) out.quantity = parseInt(body.quantity);
+  if (body.unitCost !== undefined) out.unitCost = body.unitCost === '' || body.unitCost === null ? null : parseFloat(body.unitCost);
+  if (body.vendorId !== undefined) out.vendorId = body.vendorId || null;
+  return out;
+}
+
+function validateFields(fields) {
+  if (fields.grade !== undefined && !fields.grade) return 'Grade is required';
+  if (fields.form && !FORMS.includes(fields.form)) return `form must be one of ${FORMS.join(', ')}`;
+  if (fields.quantity !== undefined && (isNaN(fields.quantity) || fields.quantity < 1)) return 'Quantity must be at least 1';
+  for (const f of ['thickness', 'width', 'length', 'unitCost']) {
+    if (fields[f] !== undefined && fields[f] !== null && (isNaN(fields[f]) || fields[f] < 0)) return `${f} must be a positive number`;
+  }
+  return null;
+}
+
+async function log(stock, action, { quantityChange = 0, workOrderPartId = null, performedBy = null, deviceName = null, notes = null } = {}, transaction) {
+  const { MaterialStockLog } = getModels();
+  return MaterialStockLog.create({ materialStockId: stock.id, action, quantityChange, workOrderPartId, performedBy, deviceName, notes }, { transaction });
+}
+
+async function receiveStock(body, { performedBy, deviceName } = {}) {
+  const { MaterialStock } = getModels();
+  const fields = stockFields(body);
+  if (fields.quantity === undefined) fields.quantity = 1;
+  if (!fields.grade) throw stockError('Grade is required');
+  const problem = validateFields(fields);
+  if (problem) throw stockError(problem);
+  await checkLocation(fields.location);
+  const stock = await MaterialStock.create({
+    ...fields,
+    qrCode: newQrCode(),
+    status: 'available',
+    receivedAt: new Date(),
+    receivedBy: performedBy || null,
+  });
+  await log(stock, 'receive', { quantityChange: stock.quantity, performedBy, deviceName, notes: body.notes || null });
+  return stock;
+}
+
+// Copy of a stack for a split — same steel, new label
+function splitFields(stock) {
+  const { id, qrCode, createdAt, updatedAt, ...rest } = stock.toJSON();
+  return { ...rest, qrCode: newQrCode() };
+}
+
+async function allocateStock(stockId, { partId, quantity }, { performedBy, deviceName } = {}) {
+  const { MaterialStock, WorkOrderPart, sequelize } = getModels();
+  return sequelize.transaction(async (transaction) => {
+    const stock = await MaterialStock.findByPk(stockId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!stock) throw stockError('Stock not found', 404);
+    if (stock.status !== 'available') throw stockError(`This stock is ${stock.status}`);
+    const part = await WorkOrderPart.findByPk(partId, { transaction });
+    if (!part) throw stockError('Part not found', 404);
+    const qty = quantity === undefined || quantity === null || quantity === '' ? Math.min(stock.quantity, parseInt(part.quantity) || 1) : parseInt(quantity);
+    if (!qty || qty < 1) throw stockError('Quantity must be at least 1');
+    if (qty > stock.quantity) throw stockError(`Only ${stock.quantity} piece(s) in this stack`);
+
+    let allocated = stock;
+    if (qty < stock.quantity) {
+      await stock.update({ quantity: stock.quantity - qty }, { transaction });
+      await log(stock, 'allocate', { quantityChange: -qty, workOrderPartId: part.id, performedBy, deviceName, notes: 'Split for allocation' }, transaction);
+      allocated = await MaterialStock.create({ ...splitFields(stock), quantity: qty }, { transaction });
+    }
+    await allocated.update({ status: 'allocated', workOrderPartId: part.id, allocatedAt: new Date() }, { transaction });
+    await log(allocated, 'allocate', { quantityChange: 0, workOrderPartId: part.id, performedBy, deviceName }, transaction);
+
+    const updates = mergeHeat(part, { heat: stock.heatNumber, country: stock.heatCountry, qty });
+    const pieces = await MaterialStock.sum('quantity', { where: { workOrderPartId: part.id, status: ['allocated', 'consumed'] }, transaction });
+    if ((parseInt(pieces) || 0) >= (parseInt(part.quantity) || 1)) {
+      updates.materialSource = 'in_stock';
+      updates.materialReceived = true;
+      if (!part.materialReceivedAt) updates.materialReceivedAt = new Date();
+    }
+    if (Object.keys(updates).length) await part.update(updates, { transaction });
+    return { stock: allocated, part };
+  });
+}
+
+async function releaseStock(stockId, { performedBy, deviceName } = {}) {
+  const { MaterialStock, WorkOrderPart, sequelize } = getModels();
+  return sequelize.transaction(async (transaction) => {
+    const stock = await MaterialStock.findByPk(stockId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!stock) throw stockError('Stock not found', 404);
+    if (stock.status !== 'allocated') throw stockError('Only allocated stock can be released');
+    const partId = stock.workOrderPartId;
+    await stock.update({ status: 'available', workOrderPartId: null, allocatedAt: null }, { transaction });
+    await log(stock, 'release', { workOrderPartId: partId, performedBy, deviceName }, transaction);
+    const part = partId ? await WorkOrderPart.findByPk(partId, { transaction }) : null;
+    if (part) {
+      const updates = releaseHeat(part, { heat: stock.heatNumber, qty: stock.quantity });
+      const remaining = await MaterialStock.count({ where: { workOrderPartId: part.id, status: ['allocated', 'consumed'] }, transaction });
+      if (!remaining && part.materialSource === 'in_stock') {
+        updates.materialSource = 'we_order';
+        updates.materialReceived = false;
+        updates.materialReceivedAt = null;
+      }
+      if (Object.keys(updates).length) await part.update(updates, { transaction });
+    }
+    return { stock, part };
+  });
+}
+
+// Consume allocated stock — or allocate-and-consume in one scan when a partId comes with available stock
+async function consumeStock(stockId, { partId } = {}, who = {}) {
+  const { MaterialStock, sequelize } = getModels();
+  let stock = await MaterialStock.findByPk(stockId);
+  if (!stock) throw stockError('Stock not found', 404);
+  if (stock.status === 'available') {
+    if (!partId) throw stockError('Allocate this stock to a part before consuming it');
+    ({ stock } = await allocateStock(stockId, { partId }, who));
+  }
+  if (stock.status !== 'allocated') throw stockError(`This stock is ${stock.status}`);
+  return sequelize.transaction(async (transaction) => {
+    await stock.update({ status: 'consumed', consumedAt: new Date() }, { transaction });
+    await log(stock, 'consume', { quantityChange: -stock.quantity, workOrderPartId: stock.workOrderPartId, performedBy: who.performedBy, deviceName: who.deviceName }, transaction);
+    return stock;
+  });
+}
+
+/**
+ * Record the offcut left from a piece. The remnant inherits the parent's steel and heat and goes
+ * back on the rack as available.
+ */
+async function createRemnant(stockId, body, { performedBy, deviceName } = {}) {
+  const { MaterialStock, sequelize } = getModels();
+  const parent = await MaterialStock.findByPk(stockId);
+  if (!parent) throw stockError('Stock not found', 404);
+  if (!['allocated', 'consumed'].includes(parent.status)) throw stockError('Remnants come from allocated or consumed stock');
+  const fields = stockFields({ width: body.width, length: body.length, quantity: body.quantity === undefined ? 1 : body.quantity, location: body.location, notes: body.notes });
+  const problem = validateFields(fields);
+  if (problem) throw stockError(problem);
+  if (parent.form === 'plate' || parent.form === 'sheet') {
+    if (!fields.width || !fields.length) throw stockError('Remnant width and length are required');
+    const pw = parseNum(parent.width);
+    const pl = parseNum(parent.length);
+    if (pw && pl && !((fields.width <= pw && fields.length <= pl) || (fields.width <= pl && fields.length <= pw))) {
+      throw stockError(`A ${fields.width}" x ${fields.length}" remnant can't come from a ${pw}" x ${pl}" piece`);
+    }
+  } else if (!fields.length) {
+    throw stockError('Remnant length is required');
+  }
+  await checkLocation(fields.location);
+  return sequelize.transaction(async (transaction) => {
+    const remnant = await MaterialStock.create({
+      qrCode: newQrCode(),
+      form: parent.form,
+      grade: parent.grade,
+      thickness: parent.thickness,
+      sectionSize: parent.sectionSize,
+      heatNumber: parent.heatNumber,
+      heatCountry: parent.heatCountry,
+      supplierName: parent.supplierName,
+      vendorId: parent.vendorId,
+      ...fields,
+      status: 'available',
+      isRemnant: true,
+      parentStockId: parent.id,
+      receivedAt: new Date(),
+      receivedBy: performedBy || null,
+    }, { transaction });
+    await log(remnant, 'remnant', { quantityChange: remnant.quantity, workOrderPartId: parent.workOrderPartId, performedBy, deviceName, notes: `Cut from ${parent.qrCode}` }, transaction);
+    await log(parent, 'remnant', { workOrderPartId: parent.workOrderPartId, performedBy, deviceName, notes: `Remnant ${remnant.qrCode} returned to stock` }, transaction);
+    return remnant;
+  });
+}
+
+// Everything on the rack that can still be allocated — loaded once when matching many parts
+async function loadAvailableStock() {
+  const { MaterialStock } = getModels();
+  return MaterialStock.findAll({ where: { status: 'available' } });
+}
+
+module.exports = {
+  FORMS,
+  normalizeGrade,
+  matchStock,
+  mergeHeat,
+  releaseHeat,
+  stockFields,
+  validateFields,
+  getLocations,
+  checkLocation,
+  receiveStock,
+  allocateStock,
+  releaseStock,
+  consumeStock,
+  createRemnant,
+  loadAvailableStock,
+  log,
+};
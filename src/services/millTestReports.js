@@ -0,0 +1,577 @@
+/**
+ * Mill test reports — supplier MTRs stored against an inbound order or PO, read into heats, and
+ * linked to the parts made from them.
+ *
+ * The point is the USMCA certificate. materialOrigin.js only trusts the melt country recorded on
+ * a part's heat, and until now someone typed that in from the paper cert. Here the cert is read by
+ * the vision model (mtrScanner.js), checked by the office, and only then allowed to fill in
+ * heatCountry. A verified MTR never overwrites a country someone already entered — a disagreement
+ * is reported as a conflict so the certificate stops and a person looks.
+ *
+ * Heat numbers are matched on a normalized key (upper case, letters and digits only) because the
+ * same heat turns up as "A1-2345", "a1 2345" and "A12345" between the cert, the tablet and the
+ * stock label.
+ */
+
+const { COUNTRIES, countryName } = require('../constants/countries');
+
+const getModels = () => require('../models');
+
+const MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+function mtrError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function normalizeHeat(heat) {
+  return String(heat || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// How certs spell countries that are not a plain match for constants/countries.js names
+const COUNTRY_ALIASES = {
+  'USA': 'US', 'UNITED STATES OF AMERICA': 'US', 'AMERICA': 'US',
+  'KOREA': 'KR', 'REPUBLIC OF KOREA': 'KR',
+  'PEOPLES REPUBLIC OF CHINA': 'CN', 'PR CHINA': 'CN', 'PRC': 'CN',
+  'REPUBLIC OF CHINA': 'TW',
+  'GREAT BRITAIN': 'UK', 'ENGLAND': 'UK', 'GB': 'UK',
+  'TURKIYE': 'TR', 'DEUTSCHLAND': 'DE', 'VIET NAM': 'VN',
+};
+
+/**
+ * Country text from a cert ("Melted in U.S.A.", "Korea") → ISO-2 code used by heatCountry.
+ * Text that names no known country comes back as OTHER, never as a guess — OTHER is not USMCA,
+ * so an unreadable origin blocks the certificate instead of passing it.
+ */
+function countryCode(text) {
+  const raw = String(text || '').trim();
+  if (!raw) return null;
+  const upper = raw.toUpperCase();
+  if (COUNTRIES.some(c => c.code === upper)) return upper;
+  const words = upper.replace(/[^A-Z ]/g, '').replace(/\s+/g, ' ').trim();
+  const compact = upper.replace(/[^A-Z]/g, '');
+  if (COUNTRY_ALIASES[words]) return COUNTRY_ALIASES[words];
+  if (COUNTRY_ALIASES[compact]) return COUNTRY_ALIASES[compact];
+
+  // Longest name first so "Republic of China" is not read as "China"
+  const names = [
+    ...Object.entries(COUNTRY_ALIASES).map(([name, code]) => ({ name, code })),
+    ...COUNTRIES.filter(c => c.code !== 'OTHER').map(c => ({ name: c.name.toUpperCase(), code: c.code })),
+  ].sort((a, b) => b.name.length - a.name.length);
+  const padded = ` ${words} `;
+  const hit = names.find(n => padded.includes(` ${n.name} `));
+  return hit ? hit.code : 'OTHER';
+}
+
+// Yield/tensile as printed → ksi. Without a unit: psi above 1000, MPa above 200 (no steel here is 200 ksi).
+function toKsi(value, unit) {
+  const n = parseFloat(value);
+  if (isNaN(n) || n <= 0) return null;
+  const u = String(unit || '').toLowerCase();
+  let ksi;
+  if (u === 'psi') ksi = n / 1000;
+  else if (u === 'mpa') ksi = n * 0.1450377;
+  else if (u === 'ksi') ksi = n;
+  else if (n > 1000) ksi = n / 1000;
+  else if (n > 200) ksi = n * 0.1450377;
+  else ksi = n;
+  return Math.round(ksi * 10) / 10;
+}
+
+function cleanChemistry(chem) {
+  const out = {};
+  if (!chem || typeof chem !== 'object') return out;
+  for (const [el, val] of Object.entries(chem)) {
+    const n = parseFloat(val);
+    if (el && !isNaN(n)) out[el.trim()] = n;
+  }
+  return out;
+}
+
+function cleanMechanicals(mech) {
+  if (!mech || typeof mech !== 'object') return {};
+  const elong = parseFloat(mech.elongationPct);
+  return {
+    yieldKsi: mech.yieldKsi != null ? toKsi(mech.yieldKsi, 'ksi') : toKsi(mech.yield, mech.unit),
+    tensileKsi: mech.tensileKsi != null ? toKsi(mech.tensileKsi, 'ksi') : toKsi(mech.tensile, mech.unit),
+    elongationPct: isNaN(elong) ? null : elong,
+  };
+}
+
+const blankToNull = (v) => (v === undefined || v === null || String(v).trim() === '' ? null : String(v).trim());
+
+/**
+ * Heat rows as read or as edited → MtrHeat fields. Rows without a heat number are dropped and a
+ * heat listed twice is kept once (certs repeat the heat per piece).
+ */
+function cleanHeatRows(list) {
+  const rows = [];
+  const seen = new Set();
+  for (const h of Array.isArray(list) ? list : []) {
+    const heatNumber = blankToNull(h && h.heatNumber);
+    if (!heatNumber) continue;
+    const heatKey = normalizeHeat(heatNumber);
+    if (!heatKey || seen.has(heatKey)) continue;
+    seen.add(heatKey);
+    rows.push({
+      heatNumber,
+      heatKey,
+      grade: blankToNull(h.grade),
+      specification: blankToNull(h.specification),
+      size: blankToNull(h.size),
+      meltCountry: countryCode(h.meltCountry),
+      chemistry: cleanChemistry(h.chemistry),
+      mechanicals: cleanMechanicals(h.mechanicals),
+    });
+  }
+  return rows;
+}
+
+/**
+ * Heats as sent from the review screen. Returns a message when they cannot be saved, else null.
+ */
+function validateHeatRows(list) {
+  if (!Array.isArray(list)) return 'heats must be a list';
+  const keys = new Set();
+  for (const h of list) {
+    const key = normalizeHeat(h && h.heatNumber);
+    if (!key) return 'Every heat needs a heat number';
+    if (keys.has(key)) return `Heat ${h.heatNumber} is listed twice`;
+    keys.add(key);
+    if (h.meltCountry && countryCode(h.meltCountry) === 'OTHER' && String(h.meltCountry).toUpperCase() !== 'OTHER') {
+      return `Unknown country "${h.meltCountry}" on heat ${h.heatNumber}`;
+    }
+  }
+  return null;
+}
+
+// Heats on a part as written: the breakdown when split, else the single heat number
+function heatsOnPart(part) {
+  const rows = Array.isArray(part.heatBreakdown) ? part.heatBreakdown.filter(r => r && r.heat) : [];
+  if (rows.length) return rows.map(r => String(r.heat));
+  return part.heatNumber ? [String(part.heatNumber)] : [];
+}
+
+/**
+ * MtrHeat rows (each with its verified `report`) → Map heatKey → what the CoC and origin fill need.
+ * Rows arrive newest-verified first; if two certs carry the same heat the newest wins.
+ */
+function buildHeatIndex(heatRows) {
+  const index = new Map();
+  for (const h of heatRows) {
+    const key = h.heatKey || normalizeHeat(h.heatNumber);
+    if (!key || index.has(key)) continue;
+    const r = h.report || {};
+    index.set(key, {
+      heatNumber: h.heatNumber,
+      grade: h.grade || null,
+      specification: h.specification || null,
+      meltCountry: h.meltCountry || null,
+      millName: r.millName || null,
+      certNumber: r.certNumber || null,
+      reportId: r.id || h.millTestReportId || null,
+      url: r.url || null,
+      storageId: r.storageId || null,
+      mimeType: r.mimeType || null,
+      originalName: r.originalName || null,
+      size: r.size || null,
+    });
+  }
+  return index;
+}
+
+/**
+ * Fill a part's missing melt countries from verified MTR heats.
+ * Returns { updates, conflicts } — updates is {} when nothing changes; conflicts lists heats whose
+ * recorded country disagrees with the MTR. Recorded countries are never overwritten.
+ */
+function fillMeltCountry(part, index) {
+  const updates = {};
+  const conflicts = [];
+  const check = (heat, recorded) => {
+    const hit = index.get(normalizeHeat(heat));
+    if (!hit || !hit.meltCountry) return null;
+    if (recorded && recorded !== hit.meltCountry) {
+      conflicts.push({ partNumber: part.partNumber, heat, recorded, mtr: hit.meltCountry });
+      return null;
+    }
+    return recorded ? null : hit.meltCountry;
+  };
+
+  const rows = Array.isArray(part.heatBreakdown) ? part.heatBreakdown : [];
+  if (rows.some(r => r && r.heat)) {
+    let changed = false;
+    const next = rows.map(r => {
+      if (!r || !r.heat) return r;
+      const fill = check(r.heat, r.country || '');
+      if (!fill) return r;
+      changed = true;
+      return { ...r, country: fill };
+    });
+    if (changed) {
+      updates.heatBreakdown = next;
+      const heats = next.filter(r => r && r.heat);
+      if (heats.length === 1 && !part.heatCountry) updates.heatCountry = heats[0].country || null;
+    }
+  } else if (part.heatNumber) {
+    const fill = check(part.heatNumber, part.heatCountry || '');
+    if (fill) updates.heatCountry = fill;
+  }
+  return { updates, conflicts };
+}
+
+/**
+ * fillMeltCountry conflicts → materialOrigin.checkOrigin issues, so the certificate refuses them.
+ */
+function mtrConflictIssues(conflicts) {
+  return conflicts.map(c => ({
+    partNumber: c.partNumber,
+    clientPartNumber: null,
+    type: 'mtr_origin_conflict',
+    detail: `#${c.partNumber || '?'} heat ${c.heat}: recorded as ${countryName(c.recorded)} but the MTR says ${countryName(c.mtr)}.`,
+  }));
+}
+
+/**
+ * One CoC line per heat on the part that has a verified MTR, e.g.
+ * "MTR Heat A12345: Nucor Hertford cert 88123 — A36, melted in United States".
+ */
+function mtrLinesForPart(part, index) {
+  const lines = [];
+  for (const heat of heatsOnPart(part)) {
+    const hit = index.get(normalizeHeat(heat));
+    if (!hit) continue;
+    const source = [hit.millName, hit.certNumber ? 'cert ' + hit.certNumber : null].filter(Boolean).join(' ');
+    const facts = [hit.grade || hit.specification, hit.meltCountry ? 'melted in ' + countryName(hit.meltCountry) : null].filter(Boolean).join(', ');
+    lines.push(`MTR Heat ${heat}:` + (source ? ' ' + source : '') + (facts ? ' — ' + facts : ''));
+  }
+  return lines;
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+// SQL matching a part (aliased "WorkOrderPart") whose heatNumber or any heatBreakdown row has one of the keys
+function partHeatCondition(keys) {
+  const { sequelize } = getModels();
+  const list = keys.map(k => sequelize.escape(k)).join(', ');
+  const norm = (expr) => `upper(regexp_replace(coalesce(${expr}, ''), '[^A-Za-z0-9]', '', 'g'))`;
+  return sequelize.literal(`(${norm('"WorkOrderPart"."heatNumber"')} IN (${list}) OR EXISTS (
+    SELECT 1 FROM jsonb_array_elements(CASE WHEN jsonb_typeof("WorkOrderPart"."heatBreakdown") = 'array' THEN "WorkOrderPart"."heatBreakdown" ELSE '[]'::jsonb END) r
+    WHERE ${norm("r->>'heat'")} IN (${list})))`);
+}
+
+/**
+ * Parts carrying any of these heats, with their work order.
+ */
+async function partsWithHeats(heats) {
+  const { WorkOrderPart, WorkOrder } = getModels();
+  const keys = [...new Set(heats.map(normalizeHeat).filter(Boolean))];
+  if (!keys.length) return [];
+  return WorkOrderPart.findAll({
+    where: partHeatCondition(keys),
+    include: [{ model: WorkOrder, as: 'workOrder', attributes: ['id', 'drNumber', 'orderNumber', 'clientName', 'clientPurchaseOrderNumber', 'status', 'shippedAt', 'pickedUpAt', 'pickupHistory'] }],
+    order: [['createdAt', 'ASC']]
+  });
+}
+
+/**
+ * Verified MTR heats for these heat numbers, as a buildHeatIndex map.
+ */
+async function loadHeatIndex(heats) {
+  const { MtrHeat, MillTestReport } = getModels();
+  const keys = [...new Set(heats.map(normalizeHeat).filter(Boolean))];
+  if (!keys.length) return new Map();
+  const rows = await MtrHeat.findAll({
+    where: { heatKey: keys },
+    include: [{ model: MillTestReport, as: 'report', where: { status: 'verified' } }],
+    order: [[{ model: MillTestReport, as: 'report' }, 'verifiedAt', 'DESC']]
+  });
+  return buildHeatIndex(rows.map(r => r.toJSON()));
+}
+
+async function heatIndexForParts(parts) {
+  return loadHeatIndex(parts.flatMap(heatsOnPart));
+}
+
+/**
+ * Before a certificate is built: fill missing melt countries on these parts from verified MTRs
+ * (saved, so the part shows it too) and report heats where the recorded country disagrees.
+ */
+async function applyMtrOrigins(parts) {
+  const index = await heatIndexForParts(parts);
+  const conflicts = [];
+  let filled = 0;
+  for (const part of parts) {
+    const result = fillMeltCountry(part, index);
+    conflicts.push(...result.conflicts);
+    if (Object.keys(result.updates).length) {
+      await part.update(result.updates);
+      filled++;
+    }
+  }
+  return { filled, conflicts, index };
+}
+
+/**
+ * Put the MTR on each work order's documents (type mtr — portal-visible, and picked up by the
+ * print package as a cert). Skips work orders that already have this file.
+ */
+async function attachToWorkOrders(report, workOrderIds) {
+  const { WorkOrderDocument } = getModels();
+  let attached = 0;
+  for (const workOrderId of [...new Set(workOrderIds.filter(Boolean))]) {
+    const existing = await WorkOrderDocument.findOne({ where: { workOrderId, documentType: 'mtr', url: report.url } });
+    if (existing) continue;
+    await WorkOrderDocument.create({
+      workOrderId,
+      originalName: report.originalName || `MTR-${report.certNumber || report.id}.pdf`,
+      mimeType: report.mimeType,
+      size: report.size,
+      url: report.url,
+      cloudinaryId: report.storageId,
+      documentType: 'mtr',
+      description: [report.millName, report.certNumber ? 'cert ' + report.certNumber : null].filter(Boolean).join(' ') || null,
+      portalVisible: true
+    });
+    attached++;
+  }
+  return attached;
+}
+
+/**
+ * Parts that were probably cut from this material: same inbound order or same material PO.
+ */
+async function candidateParts(report) {
+  const { WorkOrderPart, WorkOrder } = getModels();
+  const { Op } = require('sequelize');
+  const or = [];
+  if (report.inboundOrderId) or.push({ inboundOrderId: report.inboundOrderId });
+  if (report.poNumber) or.push({ materialPurchaseOrderNumber: report.poNumber });
+  if (!or.length) return [];
+  return WorkOrderPart.findAll({
+    where: { [Op.or]: or },
+    attributes: ['id', 'workOrderId', 'partNumber', 'partType', 'quantity', 'material', 'thickness', 'heatNumber', 'heatCountry', 'heatBreakdown'],
+    include: [{ model: WorkOrder, as: 'workOrder', attributes: ['id', 'drNumber', 'orderNumber', 'clientName'] }],
+    order: [['createdAt', 'ASC']]
+  });
+}
+
+async function getReport(id) {
+  const { MillTestReport, MtrHeat } = getModels();
+  const report = await MillTestReport.findByPk(id, {
+    include: [{ model: MtrHeat, as: 'heats' }],
+    order: [[{ model: MtrHeat, as: 'heats' }, 'heatNumber', 'ASC']]
+  });
+  if (!report) throw mtrError('Mill test report not found', 404);
+  return report;
+}
+
+/**
+ * Store an uploaded MTR and read it. A failed read still keeps the file (status failed) so the
+ * heats can be typed in on the review screen.
+ */
+async function uploadReport(file, { inboundOrderId, poNumber } = {}, username) {
+  const { MillTestReport, MtrHeat, InboundOrder } = getModels();
+  if (!file || !file.buffer || !file.buffer.length) throw mtrError('No file uploaded');
+  if (!MIME_TYPES.includes(file.mimetype)) throw mtrError('Unsupported file type — upload a PDF or an image (JPG/PNG).');
+
+  const fields = { poNumber: blankToNull(poNumber), inboundOrderId: inboundOrderId || null };
+  if (inboundOrderId) {
+    const inbound = await InboundOrder.findByPk(inboundOrderId);
+    if (!inbound) throw mtrError('Inbound order not found', 404);
+    fields.poNumber = fields.poNumber || inbound.purchaseOrderNumber || null;
+    fields.vendorId = inbound.vendorId || null;
+    fields.supplierName = inbound.supplierName || inbound.supplier || null;
+  }
+
+  const fileStorage = require('../utils/storage');
+  const upload = await fileStorage.uploadBuffer(file.buffer, { folder: 'mill-test-reports', filename: file.originalname || 'mtr.pdf', mimeType: file.mimetype });
+  const report = await MillTestReport.create({
+    ...fields,
+    originalName: file.originalname || null,
+    mimeType: file.mimetype,
+    size: file.size || file.buffer.length,
+    url: upload.url,
+    storageId: upload.storageId,
+    status: 'needs_review',
+    uploadedBy: username || null
+  });
+
+  const { extractMillTestReport } = require('./mtrScanner');
+  const read = await extractMillTestReport(file.buffer, file.mimetype);
+  if (read.error) {
+    await report.update({ status: 'failed', extractError: read.error });
+    return getReport(report.id);
+  }
+  const rows = cleanHeatRows(read.heats);
+  for (const row of rows) await MtrHeat.create({ ...row, millTestReportId: report.id });
+  const certDate = read.certDate && /^\d{4}-\d{2}-\d{2}$/.test(read.certDate) ? read.certDate : null;
+  await report.update({
+    millName: blankToNull(read.millName),
+    certNumber: blankToNull(read.certNumber),
+    certDate,
+    poNumber: report.poNumber || blankToNull(read.poNumber),
+    supplierName: report.supplierName || blankToNull(read.supplierName),
+    confidence: read.confidence,
+    extracted: read
+  });
+  return getReport(report.id);
+}
+
+/**
+ * Parts already carrying these heats (typed in from the paper, or from stock) get their missing
+ * melt country and the MTR document. Runs when a report is verified.
+ */
+async function linkMatchingParts(report) {
+  const heats = (report.heats || []).map(h => h.heatNumber);
+  const parts = await partsWithHeats(heats);
+  if (!parts.length) return { filled: 0, conflicts: [], attached: 0 };
+  const { filled, conflicts } = await applyMtrOrigins(parts);
+  const attached = await attachToWorkOrders(report, parts.map(p => p.workOrderId));
+  return { filled, conflicts, attached };
+}
+
+/**
+ * Office review: correct the header and heats, and optionally mark the report verified.
+ * Body: { millName, certNumber, certDate, poNumber, supplierName, heats?: [...], verify?: bool }
+ */
+async function saveReview(id, body, username) {
+  const { MtrHeat } = getModels();
+  const report = await getReport(id);
+  const updates = {};
+  for (const f of ['millName', 'certNumber', 'poNumber', 'supplierName']) {
+    if (body[f] !== undefined) updates[f] = blankToNull(body[f]);
+  }
+  if (body.certDate !== undefined) {
+    if (body.certDate && !/^\d{4}-\d{2}-\d{2}$/.test(body.certDate)) throw mtrError('certDate must be YYYY-MM-DD');
+    updates.certDate = body.certDate || null;
+  }
+  if (body.heats !== undefined) {
+    const problem = validateHeatRows(body.heats);
+    if (problem) throw mtrError(problem);
+    await MtrHeat.destroy({ where: { millTestReportId: report.id } });
+    for (const row of cleanHeatRows(body.heats)) await MtrHeat.create({ ...row, millTestReportId: report.id });
+  }
+  if (body.verify) {
+    const count = body.heats !== undefined ? cleanHeatRows(body.heats).length : (report.heats || []).length;
+    if (!count) throw mtrError('Add at least one heat before verifying');
+    Object.assign(updates, { status: 'verified', verifiedBy: username || null, verifiedAt: new Date() });
+  } else if (report.status === 'verified' && body.heats !== undefined) {
+    // Changing the heats on a verified cert puts it back in review
+    Object.assign(updates, { status: 'needs_review', verifiedBy: null, verifiedAt: null });
+  }
+  await report.update(updates);
+  const saved = await getReport(report.id);
+  const linked = saved.status === 'verified' && body.verify ? await linkMatchingParts(saved) : null;
+  return { report: saved, linked };
+}
+
+/**
+ * Link heats from a verified MTR to parts. Body rows: { partId, heatNumber, qty? } — qty defaults
+ * to the whole part. Heat fields are merged the same way stock allocation does it.
+ */
+async function linkParts(id, assignments) {
+  const { WorkOrderPart } = getModels();
+  const { mergeHeat } = require('./materialStock');
+  const report = await getReport(id);
+  if (report.status !== 'verified') throw mtrError('Verify the MTR before linking it to parts');
+  if (!Array.isArray(assignments) || !assignments.length) throw mtrError('No parts to link');
+
+  const linked = [];
+  for (const a of assignments) {
+    const heat = (report.heats || []).find(h => h.heatKey === normalizeHeat(a.heatNumber));
+    if (!heat) throw mtrError(`Heat ${a.heatNumber} is not on this MTR`);
+    const part = await WorkOrderPart.findByPk(a.partId);
+    if (!part) throw mtrError('Part not found', 404);
+    const qty = a.qty !== undefined && a.qty !== null && a.qty !== '' ? parseInt(a.qty) : (parseInt(part.quantity) || 1);
+    if (isNaN(qty) || qty < 1) throw mtrError('qty must be a positive whole number');
+    let updates = mergeHeat(part, { heat: heat.heatNumber, country: heat.meltCountry, qty });
+    if (!Object.keys(updates).length) {
+      // Heat already on the part — only the country may be missing
+      updates = fillMeltCountry(part, buildHeatIndex([{ ...heat.toJSON(), report }])).updates;
+    }
+    if (Object.keys(updates).length) await part.update(updates);
+    linked.push(part);
+  }
+  const attached = await attachToWorkOrders(report, linked.map(p => p.workOrderId));
+  return { report, parts: linked, attached };
+}
+
+function fetchBuffer(url, redirects = 5) {
+  return new Promise((resolve) => {
+    const lib = url.startsWith('https') ? require('https') : require('http');
+    const req = lib.get(url, (resp) => {
+      if (resp.statusCode >= 300 && resp.statusCode < 400 && resp.headers.location && redirects > 0) {
+        resp.resume();
+        fetchBuffer(resp.headers.location, redirects - 1).then(resolve);
+      } else if (resp.statusCode === 200) {
+        const chunks = [];
+        resp.on('data', c => chunks.push(c));
+        resp.on('end', () => resolve(Buffer.concat(chunks)));
+      } else {
+        resp.resume();
+        resolve(null);
+      }
+    });
+    req.on('error', () => resolve(null));
+    req.setTimeout(15000, () => { req.destroy(); resolve(null); });
+  });
+}
+
+/**
+ * Append the PDF MTRs behind a certificate. Files that cannot be fetched or read are skipped —
+ * the certificate itself still goes out, with the heat lines quoting each MTR.
+ */
+async function appendMtrPdfs(pdfBuffer, index) {
+  const reports = new Map();
+  for (const hit of index.values()) {
+    if (hit.reportId && hit.mimeType === 'application/pdf' && !reports.has(hit.reportId)) reports.set(hit.reportId, hit);
+  }
+  if (!reports.size) return pdfBuffer;
+  const { PDFDocument } = require('pdf-lib');
+  const fileStorage = require('../utils/storage');
+  const merged = await PDFDocument.load(pdfBuffer);
+  let added = 0;
+  for (const hit of reports.values()) {
+    try {
+      const url = (await fileStorage.getPresignedUrl(hit.storageId)) || hit.url;
+      const bytes = url ? await fetchBuffer(url) : null;
+      if (!bytes) continue;
+      const src = await PDFDocument.load(bytes, { ignoreEncryption: true });
+      const pages = await merged.copyPages(src, src.getPageIndices());
+      pages.forEach(p => merged.addPage(p));
+      added++;
+    } catch (e) {
+      console.warn('[MTR] Could not append', hit.originalName || hit.reportId, e.message);
+    }
+  }
+  return added ? Buffer.from(await merged.save()) : pdfBuffer;
+}
+
+module.exports = {
+  MIME_TYPES,
+  normalizeHeat,
+  countryCode,
+  toKsi,
+  cleanHeatRows,
+  validateHeatRows,
+  heatsOnPart,
+  buildHeatIndex,
+  fillMeltCountry,
+  mtrConflictIssues,
+  mtrLinesForPart,
+  partsWithHeats,
+  loadHeatIndex,
+  heatIndexForParts,
+  applyMtrOrigins,
+  attachToWorkOrders,
+  candidateParts,
+  getReport,
+  uploadReport,
+  saveReview,
+  linkParts,
+  appendMtrPdfs,
+};
@@ -0,0 +1,83 @@
+// mtrScanner.js — read a supplier Mill Test Report (PDF or photo) with the vision model, the same
+// way poScanner.js reads customer POs.
+//
+// Extraction only. The output is what the model read off the page — heats, grades, chemistry,
+// mechanicals and country of melt — and millTestReports.js normalizes it. An MTR feeds the USMCA
+// certificate, so nothing read here is trusted until someone in the office has checked it against
+// the paper and marked the report verified.
+
+const { getParsingModel } = require('./aiConfig');
+
+const MTR_SYS = `You extract fields from a MILL TEST REPORT (MTR / mill certificate / material test report) for steel, stainless or aluminum plate, bar, shapes or pipe. It was sent by a steel supplier to a contract rolling shop. Reply with ONLY JSON, no markdown:
+{"millName":string|null,"certNumber":string|null,"certDate":"YYYY-MM-DD"|null,"supplierName":string|null,"poNumber":string|null,"heats":[{"heatNumber":string,"grade":string|null,"specification":string|null,"size":string|null,"meltCountry":string|null,"chemistry":{"C":number,...},"mechanicals":{"yield":number|null,"tensile":number|null,"unit":"psi|ksi|MPa"|null,"elongationPct":number|null}}],"confidence":"high|medium|low"}
+
+Guidance:
+- millName = the mill that MELTED/produced the steel (the letterhead of the certificate), not the distributor.
+- supplierName = the distributor/service center if a different company appears as seller or "sold to". poNumber = the customer PO / "Cust PO" printed on the cert.
+- heats = one entry per heat number (also called heat no., heat/lot, melt no.). If several pieces share a heat, list it once.
+- grade = the grade as printed (e.g. "A36", "A572-50", "304/304L"). specification = the full spec line if printed (e.g. "ASTM A36/A36M-19, ASME SA36").
+- size = the product size/description for that heat as printed (e.g. "0.375 x 96 x 240", "2 x 2 x 1/4 angle").
+- meltCountry = the country where the steel was MELTED AND POURED ("Melted and manufactured in", "Country of melt", "Origin of melt"). Write the country as printed. If only a country of manufacture/rolling is printed, use that. Null if no country is printed — never infer it from the mill's address.
+- chemistry = weight percent per element symbol exactly as the certificate reports it (C, Mn, P, S, Si, Cu, Ni, Cr, Mo, V, Nb/Cb, Ti, Al, N, B, CE). Omit elements not reported.
+- mechanicals = yield and tensile strength as numbers in the unit printed, with that unit; elongation in percent.
+- confidence = your overall confidence in the read: high for a clean typed certificate, low for a blurry photo or fax.
+- Use null for any field not present. Never invent a heat number.`;
+
+function callClaudeVision(content) {
+  const reqBody = JSON.stringify({ model: getParsingModel(), max_tokens: 3000, system: MTR_SYS, messages: [{ role: 'user', content }] });
+  const https = require('https');
+  return new Promise((resolve, reject) => {
+    const req = https.request({
+      hostname: 'api.anthropic.com', path: '/v1/messages', method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-api-key': process.env.ANTHROPIC_API_KEY, 'anthropic-version': '2023-06-01', 'Content-Length': Buffer.byteLength(reqBody) },
+    }, (res) => { let d = ''; res.on('data', c => d += c); res.on('end', () => resolve(d)); });
+    req.on('error', reject);
+    req.setTimeout(90000, () => req.destroy(new Error('MTR extract timeout')));
+    req.write(reqBody); req.end();
+  });
+}
+
+/**
+ * Extract heats from an MTR file.
+ * @param {Buffer} buffer  the file bytes
+ * @param {string} mimeType  e.g. 'application/pdf', 'image/jpeg', 'image/png'
+ * @returns {Promise<object>} { millName, certNumber, certDate, supplierName, poNumber, heats[], confidence } or { error }
+ */
+async function extractMillTestReport(buffer, mimeType) {
+  if (!process.env.ANTHROPIC_API_KEY) return { error: 'no_api_key' };
+  if (!buffer || !buffer.length) return { error: 'empty_file' };
+
+  const b64 = buffer.toString('base64');
+  let block;
+  if (mimeType === 'application/pdf') {
+    block = { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: b64 } };
+  } else if (/^image\/(jpeg|png|gif|webp)$/.test(mimeType || '')) {
+    block = { type: 'image', source: { type: 'base64', media_type: mimeType, data: b64 } };
+  } else {
+    return { error: 'unsupported_type', mimeType };
+  }
+
+  const aiUsage = require('./aiUsage');
+  try {
+    await aiUsage.assertWithinBudget('mtrScanner.extract');
+  } catch (err) {
+    return { error: 'budget_exhausted', detail: err.message };
+  }
+
+  try {
+    const raw = await callClaudeVision([block, { type: 'text', text: 'Extract the mill test report fields as specified.' }]);
+    const data = JSON.parse(raw);
+    if (data.error) return { error: 'api_error', detail: data.error };
+    await aiUsage.record(data.usage, 'mtrScanner.extract');
+    const text = (data.content?.[0]?.text || '').replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
+    if (!text) return { error: 'empty_response' };
+    const parsed = JSON.parse(text);
+    parsed.heats = Array.isArray(parsed.heats) ? parsed.heats : [];
+    parsed.confidence = parsed.confidence || 'medium';
+    return parsed;
+  } catch (err) {
+    return { error: 'extract_failed', detail: err.message };
+  }
+}
+
+module.exports = { extractMillTestReport };
@@ -0,0 +1,300 @@
+/**
+ * Nonconformance reports (NCR) and corrective action.
+ *
+ * An NCR moves open → dispositioned → closed:
+ *   open          — something is wrong: a part, an inspected unit, a vendor's work or a heat of material
+ *   dispositioned — we decided what to do with the affected pieces (use as is, rework, scrap, return
+ *                   to vendor). Use-as-is always needs the customer's OK, recorded like the
+ *                   clientNotes an inspector writes on a unit ("client approved out-of-square").
+ *   closed        — root cause found, corrective action done and checked. Customer quality audits
+ *                   look for exactly these three, so an NCR cannot close without them.
+ *
+ * A rejected customer approval sends the NCR back to open for a new disposition.
+ */
+
+const getModels = () => require('../models');
+
+const DISPOSITIONS = {
+  use_as_is: 'Use as is',
+  rework: 'Rework',
+  scrap: 'Scrap',
+  return_to_vendor: 'Return to vendor',
+};
+
+// Root cause categories for the rollup — the usual 6M list plus the two outside sources we see
+const CAUSES = {
+  material: 'Material',
+  machine: 'Machine',
+  method: 'Method / procedure',
+  operator: 'Operator',
+  measurement: 'Measurement',
+  design: 'Drawing / design',
+  vendor: 'Vendor',
+  customer_supplied: 'Customer-supplied material',
+  other: 'Other',
+};
+
+const SOURCES = ['shop', 'inspection', 'receiving', 'customer', 'vendor'];
+
+function ncrError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const ncrLabel = (n) => (n ? 'NCR-' + String(n).padStart(4, '0') : 'NCR');
+const blankToNull = (v) => (v === undefined || v === null || String(v).trim() === '' ? null : String(v).trim());
+
+/**
+ * Editable fields from a request body. Only keys present in the body come back.
+ */
+function ncrFields(body) {
+  const out = {};
+  for (const f of ['title', 'source', 'requirement', 'finding', 'heatNumber', 'vendorName', 'rootCauseCategory', 'rootCause', 'correctiveAction', 'correctiveActionOwner', 'verification']) {
+    if (body[f] !== undefined) out[f] = blankToNull(body[f]);
+  }
+  if (body.quantityAffected !== undefined) out.quantityAffected = body.quantityAffected === '' || body.quantityAffected === null ? 1 : Number(body.quantityAffected);
+  if (body.costImpact !== undefined) out.costImpact = body.costImpact === '' || body.costImpact === null ? null : Number(body.costImpact);
+  if (body.correctiveActionDue !== undefined) out.correctiveActionDue = blankToNull(body.correctiveActionDue);
+  if (body.correctiveActionDone !== undefined) out.correctiveActionDoneAt = body.correctiveActionDone ? new Date() : null;
+  return out;
+}
+
+function validateFields(f) {
+  if (f.title !== undefined && !f.title) return 'A short title is required';
+  if (f.source && !SOURCES.includes(f.source)) return `source must be one of ${SOURCES.join(', ')}`;
+  if (f.rootCauseCategory && !CAUSES[f.rootCauseCategory]) return `rootCauseCategory must be one of ${Object.keys(CAUSES).join(', ')}`;
+  if (f.quantityAffected !== undefined && (!Number.isInteger(f.quantityAffected) || f.quantityAffected < 1)) return 'quantityAffected must be a whole number of at least 1';
+  if (f.costImpact !== undefined && f.costImpact !== null && (isNaN(f.costImpact) || f.costImpact < 0)) return 'costImpact must be a positive amount';
+  if (f.correctiveActionDue && !/^\d{4}-\d{2}-\d{2}$/.test(f.correctiveActionDue)) return 'correctiveActionDue must be YYYY-MM-DD';
+  return null;
+}
+
+/**
+ * What an inspection unit failed, in words, for a new NCR raised from it.
+ */
+function describeInspectionUnit(unit) {
+  const pr = unit.preRoll || {};
+  const po = unit.postRoll || {};
+  const problems = [];
+  const findings = [];
+  if (pr.outOfSquare) {
+    problems.push('out of square');
+    findings.push(`Diagonals differ by ${pr.outOfSquareAmount != null ? pr.outOfSquareAmount : '?'}" (limit 3/16").`);
+  }
+  if (po.outOfTolerance) {
+    problems.push('out of round');
+    findings.push(`Diameter spread ${po.diamVariance != null ? po.diamVariance : '?'}"` +
+      (po.diamRatio != null && po.nominalDiameter ? ` is ${po.diamRatio}% of the ${po.nominalDiameter}" nominal (UG-80 limit 1%).` : ' exceeds UG-80 (1% of nominal).'));
+  }
+  if (pr.heatNumberConfirmed === false) {
+    problems.push('heat number not confirmed');
+    findings.push('Heat number on the plate does not match the part.');
+  }
+  if (pr.gradeConfirmed === false) {
+    problems.push('grade not confirmed');
+    findings.push('Material grade on the plate does not match the part.');
+  }
+  return {
+    title: `Unit ${unit.unitId}: ` + (problems.length ? problems.join(', ') : 'nonconformance'),
+    finding: findings.join(' ') || null,
+  };
+}
+
+/**
+ * Updates for recording a disposition. Use-as-is always needs the customer's approval.
+ */
+function applyDisposition(ncr, { disposition, notes, customerApprovalRequired }, username) {
+  if (ncr.status === 'closed') throw ncrError('This NCR is closed — reopen it first');
+  if (!DISPOSITIONS[disposition]) throw ncrError(`disposition must be one of ${Object.keys(DISPOSITIONS).join(', ')}`);
+  const approval = disposition === 'use_as_is' || !!customerApprovalRequired;
+  return {
+    status: 'dispositioned',
+    disposition,
+    dispositionNotes: blankToNull(notes),
+    dispositionBy: username || null,
+    dispositionAt: new Date(),
+    customerApprovalRequired: approval,
+    customerApprovalStatus: approval ? 'pending' : null,
+    customerApprovedBy: null,
+    customerApprovalNotes: null,
+    customerApprovalAt: null,
+    customerApprovalRecordedBy: null,
+  };
+}
+
+/**
+ * Updates for the customer's answer. A rejection puts the NCR back to open for a new disposition.
+ */
+function applyApproval(ncr, { approved, approvedBy, notes }, username) {
+  if (ncr.status !== 'dispositioned') throw ncrError('Record a disposition before the customer\'s approval');
+  if (!blankToNull(approvedBy)) throw ncrError('Who at the customer gave the answer?');
+  const updates = {
+    customerApprovalStatus: approved ? 'approved' : 'rejected',
+    customerApprovedBy: blankToNull(approvedBy),
+    customerApprovalNotes: blankToNull(notes),
+    customerApprovalAt: new Date(),
+    customerApprovalRecordedBy: username || null,
+  };
+  if (!approved) updates.status = 'open';
+  return updates;
+}
+
+/**
+ * Why this NCR cannot close yet, or null when it can.
+ */
+function closeProblem(ncr) {
+  if (ncr.status === 'closed') return 'This NCR is already closed';
+  if (!ncr.disposition || ncr.status !== 'dispositioned') return 'Record a disposition first';
+  if (ncr.customerApprovalRequired && ncr.customerApprovalStatus !== 'approved') return 'Waiting on customer approval of the disposition';
+  if (!ncr.rootCauseCategory || !ncr.rootCause) return 'Record the root cause';
+  if (!ncr.correctiveAction) return 'Record the corrective action';
+  if (!ncr.verification) return 'Record how the corrective action was verified';
+  return null;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Counts, pieces and cost by root cause, disposition, source and vendor, plus time to close.
+ */
+function rollup(ncrs) {
+  const group = (keyFn, labels) => {
+    const map = new Map();
+    for (const n of ncrs) {
+      const key = keyFn(n) || 'unassigned';
+      if (!map.has(key)) map.set(key, { key, label: labels ? (labels[key] || 'Not yet assigned') : key, count: 0, open: 0, quantity: 0, cost: 0 });
+      const g = map.get(key);
+      g.count++;
+      if (n.status !== 'closed') g.open++;
+      g.quantity += parseInt(n.quantityAffected) || 0;
+      g.cost = round2(g.cost + (parseFloat(n.costImpact) || 0));
+    }
+    return [...map.values()].sort((a, b) => b.count - a.count || b.cost - a.cost);
+  };
+  const closed = ncrs.filter(n => n.status === 'closed' && n.closedAt);
+  const days = closed.map(n => (new Date(n.closedAt) - new Date(n.createdAt)) / 86400000);
+  return {
+    total: ncrs.length,
+    open: ncrs.filter(n => n.status !== 'closed').length,
+    cost: round2(ncrs.reduce((s, n) => s + (parseFloat(n.costImpact) || 0), 0)),
+    avgDaysToClose: days.length ? Math.round((days.reduce((s, d) => s + d, 0) / days.length) * 10) / 10 : null,
+    byCause: group(n => n.rootCauseCategory, CAUSES),
+    byDisposition: group(n => n.disposition, DISPOSITIONS),
+    bySource: group(n => n.source),
+    byVendor: group(n => n.vendorName).filter(g => g.key !== 'unassigned'),
+  };
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+async function getNcr(id) {
+  const { Ncr, WorkOrder, WorkOrderPart, InspectionUnit } = getModels();
+  const ncr = await Ncr.findByPk(id, {
+    include: [
+      { model: WorkOrder, as: 'workOrder', required: false, attributes: ['id', 'drNumber', 'orderNumber', 'clientName', 'clientPurchaseOrderNumber'] },
+      { model: WorkOrderPart, as: 'part', required: false, attributes: ['id', 'partNumber', 'partType', 'clientPartNumber', 'quantity', 'material', 'materialDescription', 'heatNumber', 'formData'] },
+      { model: InspectionUnit, as: 'inspectionUnit', required: false, attributes: ['id', 'unitId', 'preRoll', 'postRoll', 'clientNotes'] },
+    ]
+  });
+  if (!ncr) throw ncrError('NCR not found', 404);
+  return ncr;
+}
+
+/**
+ * Raise an NCR. Linking an inspection unit fills in its part and work order and describes what it
+ * failed; linking a part fills in the work order, client and heat.
+ * Body: { title?, workOrderId?, workOrderPartId?, inspectionUnitId?, vendorId?, heatNumber?, ... }
+ */
+async function createNcr(body, username) {
+  const { Ncr, WorkOrder, WorkOrderPart, InspectionUnit, InspectionJob, Vendor } = getModels();
+  const fields = ncrFields(body);
+  const links = { workOrderId: body.workOrderId || null, workOrderPartId: body.workOrderPartId || null, inspectionUnitId: body.inspectionUnitId || null, vendorId: body.vendorId || null };
+
+  if (links.inspectionUnitId) {
+    const unit = await InspectionUnit.findByPk(links.inspectionUnitId, { include: [{ model: InspectionJob, attributes: ['workOrderId', 'workOrderPartId'] }] });
+    if (!unit) throw ncrError('Inspection unit not found', 404);
+    const described = describeInspectionUnit(unit);
+    if (!fields.title) fields.title = described.title;
+    if (!fields.finding) fields.finding = described.finding;
+    if (!fields.source) fields.source = 'inspection';
+    if (unit.InspectionJob) {
+      links.workOrderPartId = links.workOrderPartId || unit.InspectionJob.workOrderPartId;
+      links.workOrderId = links.workOrderId || unit.InspectionJob.workOrderId;
+    }
+  }
+  if (links.workOrderPartId) {
+    const part = await WorkOrderPart.findByPk(links.workOrderPartId, { attributes: ['id', 'workOrderId', 'heatNumber', 'quantity'] });
+    if (!part) throw ncrError('Part not found', 404);
+    links.workOrderId = links.workOrderId || part.workOrderId;
+    if (fields.heatNumber === undefined && part.heatNumber) fields.heatNumber = part.heatNumber;
+  }
+  if (links.workOrderId) {
+    const wo = await WorkOrder.findByPk(links.workOrderId, { attributes: ['id', 'clientName'] });
+    if (!wo) throw ncrError('Work order not found', 404);
+    links.clientName = wo.clientName || null;
+  }
+  if (links.vendorId) {
+    const vendor = await Vendor.findByPk(links.vendorId, { attributes: ['id', 'name'] });
+    if (!vendor) throw ncrError('Vendor not found', 404);
+    if (!fields.vendorName) fields.vendorName = vendor.name;
+  }
+  if (!fields.title) throw ncrError('A short title is required');
+  const problem = validateFields(fields);
+  if (problem) throw ncrError(problem);
+
+  const ncr = await Ncr.create({ ...fields, ...links, status: 'open', reportedBy: username || null });
+  return getNcr(ncr.id);
+}
+
+/**
+ * Store the customer's answer. When the NCR came from an inspection unit with no client note yet,
+ * the approval is written there too so the inspection report shows it.
+ */
+async function recordApproval(id, body, username) {
+  const ncr = await getNcr(id);
+  await ncr.update(applyApproval(ncr, body, username));
+  const unit = ncr.inspectionUnit;
+  if (body.approved && unit && !unit.clientNotes) {
+    const note = `Approved by ${ncr.customerApprovedBy} on ${ncrLabel(ncr.ncrNumber)}` + (ncr.customerApprovalNotes ? ': ' + ncr.customerApprovalNotes : '');
+    await unit.update({ clientNotes: note });
+  }
+  return getNcr(id);
+}
+
+async function closeNcr(id, body, username) {
+  const ncr = await getNcr(id);
+  const fields = ncrFields(body || {});
+  const problem = validateFields(fields) || closeProblem({ ...ncr.toJSON(), ...fields });
+  if (problem) throw ncrError(problem);
+  await ncr.update({ ...fields, status: 'closed', closedBy: username || null, closedAt: new Date(), correctiveActionDoneAt: ncr.correctiveActionDoneAt || new Date() });
+  return getNcr(id);
+}
+
+async function reopenNcr(id) {
+  const ncr = await getNcr(id);
+  if (ncr.status !== 'closed') throw ncrError('This NCR is not closed');
+  await ncr.update({ status: ncr.disposition ? 'dispositioned' : 'open', closedBy: null, closedAt: null });
+  return getNcr(id);
+}
+
+module.exports = {
+  DISPOSITIONS,
+  CAUSES,
+  SOURCES,
+  ncrLabel,
+  ncrFields,
+  validateFields,
+  describeInspectionUnit,
+  applyDisposition,
+  applyApproval,
+  closeProblem,
+  rollup,
+  getNcr,
+  createNcr,
+  recordApproval,
+  closeNcr,
+  reopenNcr,
+};
@@ -0,0 +1,828 @@
+/**
+ * Payables — three-way match, bill approvals, check payment runs, the check register and positive pay.
+ *
+ * A vendor bill (Liability) is matched against what we ordered and what came in. The PO it cites —
+ * its poNumber, else the PONumber the scanner linked — gives the order. A material PO's lines are
+ * the ones its PDF prints (purchaseOrderLines in routes/workorders.js), each costed at its parts'
+ * material cost each × quantity. An outside-processing PO (OP…) has a line per part at the op's cost
+ * per part plus expedite. A PO with neither falls back to its inbound orders and their expected cost.
+ * A line is received when its parts are marked received, the outside work is back, or the PO's
+ * inbound order is received.
+ *
+ * Bill lines pair with PO lines by description. A paired line is flagged when its amount is off the
+ * PO's by more than the price tolerance, or — for bills counted in pieces — its quantity is off by
+ * more than the quantity tolerance. Bill lines with no PO line and PO lines not yet received are
+ * flagged too; a bill without line items is checked on its total. A materials bill with no PO, a
+ * PO we can't find, a voided PO or a PO to another vendor are exceptions as well.
+ *
+ * Approval: a bill with no exceptions under autoApproveBelow approves itself; anything else waits
+ * for a person, and over adminApprovalOver for an admin. Approving past exceptions needs a note. A
+ * person's approval stands through re-matches unless the amount goes up. Only approved bills are
+ * paid, by a run or by hand (payBill), and never for more than was approved; one without an
+ * approval status yet (from before approvals, or a match that failed) waits for the daily re-match.
+ *
+ * A payment run picks up approved, unpaid bills due by its through date — plus bills whose early-pay
+ * discount ("2% 10 Net 30" on the bill, else the vendor's terms) runs out by then — and pays them by
+ * check, one check per vendor. Issuing it numbers the checks from nextCheckNumber in AppSettings
+ * 'ap_settings' and marks the bills paid net of any discount, which posts them to the ledger. Voiding
+ * a check reopens its bills and removes the next recurring bill it started. The positive-pay file is
+ * the issued and voided checks as CSV for the bank.
+ */
+
+const { Op } = require('sequelize');
+
+const getModels = () => require('../models');
+const getLedger = () => require('./ledger');
+const getPurchaseOrderLines = (parts) => require('../routes/workorders').purchaseOrderLines(parts);
+
+const SETTINGS_KEY = 'ap_settings';
+const DAY_MS = 86400000;
+const OPEN_STATUSES = ['unpaid', 'overdue'];
+const MIN_SIMILARITY = 0.4;
+
+const DEFAULT_SETTINGS = {
+  priceTolerancePct: 2,
+  priceToleranceAmount: 5, // a line may be off by this many dollars or priceTolerancePct, whichever is more
+  qtyTolerancePct: 0,
+  autoApproveBelow: 1000, // 0 turns auto-approval off
+  adminApprovalOver: 5000, // null: any user can approve any amount
+  bankAccountNumber: null,
+  bankRoutingNumber: null,
+  nextCheckNumber: 1001,
+};
+
+function apError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const money = (v) => Math.round((parseFloat(v) || 0) * 100) / 100;
+const usd = (v) => (money(v) < 0 ? '-' : '') + '$' + Math.abs(money(v)).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const signedUsd = (v) => (money(v) > 0 ? '+' : '') + usd(v);
+// Calendar day in the shop's time zone; 'YYYY-MM-DD' strings (DATEONLY columns) pass through
+const dateOnly = (d) => {
+  if (!d) return null;
+  if (typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d)) return d;
+  return new Date(d).toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+};
+const isDate = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(new Date(s + 'T00:00:00Z'));
+const addDays = (day, n) => new Date(new Date(day + 'T00:00:00Z').getTime() + n * DAY_MS).toISOString().slice(0, 10);
+const daysBetween = (from, to) => Math.round((new Date(to + 'T00:00:00Z') - new Date(from + 'T00:00:00Z')) / DAY_MS);
+const blankToNull = (v) => (v === undefined || v === null || String(v).trim() === '' ? null : String(v).trim());
+const plain = (r) => (r && r.toJSON ? r.toJSON() : r);
+
+// ---------------------------------------------------------------------------------------------
+// Terms and discounts (pure)
+// ---------------------------------------------------------------------------------------------
+
+/**
+ * Payment terms as { discountPct, discountDays, netDays } — "2% 10 Net 30", "2/10 n/30", "1%10 N45",
+ * "Net 30", "Due on receipt". Null when there's nothing to read; netDays null when only a discount is given.
+ */
+function parseTerms(text) {
+  const s = String(text || '').toLowerCase();
+  const disc = s.match(/(\d+(?:\.\d+)?)\s*(?:%\s*\/?|\/)\s*(\d+)/);
+  const net = s.match(/\bn(?:et)?\s*\/?\s*(\d+)/);
+  const onReceipt = /receipt|\bcod\b|c\.o\.d/.test(s);
+  if (!disc && !net && !onReceipt) return null;
+  return {
+    discountPct: disc ? parseFloat(disc[1]) : 0,
+    discountDays: disc ? parseInt(disc[2]) : 0,
+    netDays: net ? parseInt(net[1]) : (onReceipt ? 0 : null),
+  };
+}
+
+// The day a bill is due: its own due date, else its bill date plus the terms' net days
+function dueDateFor(bill, terms) {
+  if (bill.dueDate) return dateOnly(bill.dueDate);
+  const start = dateOnly(bill.billDate);
+  return start && terms && terms.netDays !== null ? addDays(start, terms.netDays) : null;
+}
+
+/** The early-pay discount on a bill paid on `payDate`: { pct, lastDay, amount, available }, or null without one */
+function discountFor(bill, terms, payDate) {
+  if (!terms || !terms.discountPct || !terms.discountDays) return null;
+  const start = dateOnly(bill.billDate) || dateOnly(bill.createdAt);
+  if (!start) return null;
+  const lastDay = addDays(start, terms.discountDays);
+  return { pct: terms.discountPct, lastDay, amount: money(money(bill.amount) * terms.discountPct / 100), available: payDate <= lastDay };
+}
+
+// ---------------------------------------------------------------------------------------------
+// Three-way match (pure)
+// ---------------------------------------------------------------------------------------------
+
+/** 'PO1234' or 'OP1001' from whatever the vendor wrote ("PO# 1234", "po-1234", "1234"), or null */
+function parsePoRef(text) {
+  const m = String(text || '').toUpperCase().match(/\b(OP|PO)?\s*[#:-]?\s*(\d{3,})\b/);
+  if (!m) return null;
+  return `${m[1] === 'OP' ? 'OP' : 'PO'}${parseInt(m[2])}`;
+}
+
+// The PO PDF prefixes descriptions with a count ("4pc: ", "2 x 240" length(s): "); the vendor doesn't
+const cleanPoDesc = (desc) => String(desc || '').replace(/^\d+\s*[×x]\s*\d+['"]\s*length\(s\):\s*/i, '').replace(/^\d+pc:\s*/i, '').trim();
+
+const STOP_WORDS = new Set(['pc', 'pcs', 'ea', 'each', 'x', 'length', 'lengths', 'the', 'and', 'of', 'for', 'per', 'lb', 'lbs', 'ft', 'cwt', 'sqft']);
+
+function descTokens(text) {
+  return new Set(String(text || '').toLowerCase().replace(/×/g, ' x ').replace(/["']/g, ' ')
+    .split(/[^a-z0-9./-]+/).map(t => t.replace(/^[-.]+|[-.]+$/g, '')).filter(t => t && !STOP_WORDS.has(t)));
+}
+
+/** How alike two descriptions are, 0–1 (shared words over all words) */
+function similarity(a, b) {
+  const A = descTokens(a), B = descTokens(b);
+  if (!A.size || !B.size) return 0;
+  let common = 0;
+  for (const t of A) if (B.has(t)) common++;
+  return (2 * common) / (A.size + B.size);
+}
+
+/**
+ * A bill's line items as { index, description, quantity, unit, unitPrice, amount }. The Com Center
+ * extract gives quantity × unit price, the older scanner just an amount.
+ */
+function billLines(lineItems) {
+  const num = (v) => (v === undefined || v === null || v === '' || !Number.isFinite(parseFloat(v)) ? null : parseFloat(v));
+  return (Array.isArray(lineItems) ? lineItems : []).map((li, index) => {
+    const quantity = num(li.quantity);
+    const unitPrice = num(li.unitPrice);
+    const amount = num(li.amount) !== null ? money(li.amount) : (quantity !== null && unitPrice !== null ? money(quantity * unitPrice) : null);
+    return { index, description: String(li.description || '').trim(), quantity, unit: li.unit || null, unitPrice, amount };
+  }).filter(l => l.description || l.amount);
+}
+
+// Best pairs first; each bill line and PO line used once
+function pairLines(billed, poLines) {
+  const candidates = [];
+  for (const b of billed) {
+    for (const p of poLines) {
+      const score = similarity(b.description, p.description);
+      if (score >= MIN_SIMILARITY) candidates.push({ index: b.index, p, score });
+    }
+  }
+  candidates.sort((x, y) => y.score - x.score);
+  const pairs = new Map();
+  const used = new Set();
+  for (const c of candidates) {
+    if (pairs.has(c.index) || used.has(c.p.key)) continue;
+    pairs.set(c.index, c.p);
+    used.add(c.p.key);
+  }
+  // A one-line bill against a one-line PO is the same thing however it's worded
+  if (!pairs.size && billed.length === 1 && poLines.length === 1) pairs.set(billed[0].index, poLines[0]);
+  return pairs;
+}
+
+/**
+ * Match a bill to its PO and receipts. `po` is { poNumber, found, voided, vendorId, lines: [{ key,
+ * description, quantity, expectedCost, received }], expectedTotal } from loadPurchaseOrder, or null
+ * when the bill cites none. Returns { status: matched|exception|no_po, poNumber, lines, unbilled,
+ * exceptions: [{ type, message }], billedTotal, expectedTotal }.
+ */
+function threeWayMatch(bill, po, settings = DEFAULT_SETTINGS) {
+  const billed = billLines(bill.lineItems);
+  const billedTotal = billed.length ? money(billed.reduce((s, l) => s + (l.amount || 0), 0)) : money(bill.amount);
+  const exceptions = [];
+
+  if (!po || !po.found) {
+    if (po) exceptions.push({ type: 'po_not_found', message: `${po.poNumber} isn't a PO we issued` });
+    else if (bill.category === 'materials') exceptions.push({ type: 'no_po', message: 'Materials bill with no PO number' });
+    return { status: po ? 'exception' : 'no_po', poNumber: po ? po.poNumber : null, lines: [], unbilled: [], exceptions, billedTotal, expectedTotal: null };
+  }
+
+  if (po.voided) exceptions.push({ type: 'po_void', message: `${po.poNumber} was voided` });
+  if (po.vendorId && bill.vendorId && String(po.vendorId) !== String(bill.vendorId)) {
+    exceptions.push({ type: 'vendor', message: `${po.poNumber} was issued to another vendor` });
+  }
+  const allowance = (expected) => Math.max(Math.abs(expected) * settings.priceTolerancePct / 100, settings.priceToleranceAmount);
+
+  const lines = [];
+  const used = new Set();
+  if (billed.length && po.lines.length) {
+    const pairs = pairLines(billed, po.lines);
+    for (const b of billed) {
+      const p = pairs.get(b.index);
+      const row = {
+        billLine: b.index, description: b.description, quantity: b.quantity, unit: b.unit, amount: b.amount,
+        poLine: p ? p.key : null, poDescription: p ? p.description : null, poQuantity: p ? p.quantity : null,
+        expectedCost: p ? p.expectedCost : null, received: p ? p.received : null, priceVariance: null, quantityVariance: null,
+      };
+      lines.push(row);
+      if (!p) {
+        exceptions.push({ type: 'not_on_po', line: b.index, message: `"${b.description}" isn't on ${po.poNumber}` });
+        continue;
+      }
+      used.add(p.key);
+      if (p.expectedCost !== null && b.amount !== null) {
+        row.priceVariance = money(b.amount - p.expectedCost);
+        if (Math.abs(row.priceVariance) > allowance(p.expectedCost)) {
+          exceptions.push({ type: 'price', line: b.index, message: `"${b.description}" billed ${usd(b.amount)}, PO ${usd(p.expectedCost)} (${signedUsd(row.priceVariance)})` });
+        }
+      }
+      // Quantities compare only when the bill counts pieces — steel billed by the cwt or foot won't
+      if (b.quantity !== null && p.quantity && (!b.unit || b.unit === 'each')) {
+        row.quantityVariance = b.quantity - p.quantity;
+        if (Math.abs(row.quantityVariance) > p.quantity * settings.qtyTolerancePct / 100) {
+          exceptions.push({ type: 'quantity', line: b.index, message: `"${b.description}" billed ${b.quantity}, PO ${p.quantity}` });
+        }
+      }
+      if (!p.received) exceptions.push({ type: 'not_received', line: b.index, message: `"${p.description}" on ${po.poNumber} hasn't been received` });
+    }
+  } else {
+    if (!po.lines.length) exceptions.push({ type: 'no_po_lines', message: `${po.poNumber} has no lines or receipts to check against` });
+    else if (!po.lines.every(l => l.received)) exceptions.push({ type: 'not_received', message: `${po.poNumber} hasn't all been received` });
+    if (po.expectedTotal !== null && money(bill.amount) - po.expectedTotal > allowance(po.expectedTotal)) {
+      exceptions.push({ type: 'total', message: `Bill ${usd(bill.amount)} is over ${po.poNumber}'s ${usd(po.expectedTotal)} (${signedUsd(money(bill.amount) - po.expectedTotal)})` });
+    }
+  }
+
+  const unbilled = billed.length ? po.lines.filter(l => !used.has(l.key)).map(l => ({ poLine: l.key, description: l.description, quantity: l.quantity, expectedCost: l.expectedCost })) : [];
+  return { status: exceptions.length ? 'exception' : 'matched', poNumber: po.poNumber, lines, unbilled, exceptions, billedTotal, expectedTotal: po.expectedTotal };
+}
+
+/** PO lines for a material PO from its parts; `poLines` are purchaseOrderLines(parts) */
+function materialPoLines(parts, poLines, inboundReceived) {
+  const byId = new Map(parts.map(p => [String(p.id), plain(p)]));
+  return poLines.map((l, i) => {
+    const members = (l._mergedPartIds || [l.id]).map(id => byId.get(String(id))).filter(Boolean);
+    const costs = members.map(p => (parseFloat(p.materialTotal) || parseFloat(p.materialUnitCost) || 0) * (parseInt(p.quantity) || 1));
+    return {
+      key: `L${i + 1}`, description: cleanPoDesc(l._poDesc), quantity: l._poQty || null,
+      expectedCost: costs.length && costs.every(c => c > 0) ? money(costs.reduce((s, c) => s + c, 0)) : null,
+      received: inboundReceived || (members.length > 0 && members.every(p => p.materialReceived)),
+      partNumbers: l._mergedPartNumbers || [l.partNumber],
+    };
+  });
+}
+
+/** PO lines for an outside-processing PO — a line per part sent out on it */
+function outsideProcessingLines(parts, poNumber, inboundReceived) {
+  const lines = [];
+  for (const part of parts.map(plain)) {
+    const qty = parseInt(part.quantity) || 1;
+    const ops = (Array.isArray(part.outsideProcessing) ? part.outsideProcessing : []).filter(o => o.poNumber === poNumber);
+    // Parts from before multiple ops carry a single op in their own columns
+    const entries = ops.length ? ops : part.outsideProcessingPONumber === poNumber ? [{
+      serviceType: part.outsideProcessingServiceType, costPerPart: part.outsideProcessingCost,
+      expediteCost: part.outsideProcessingExpediteCost, status: part.outsideProcessingStatus,
+    }] : [];
+    for (const op of entries) {
+      const cost = (parseFloat(op.costPerPart) || 0) * qty + (parseFloat(op.expediteCost) || 0);
+      lines.push({
+        key: `L${lines.length + 1}`, description: `${op.serviceType || 'Outside processing'} — part #${part.partNumber}${part.clientPartNumber ? ` (${part.clientPartNumber})` : ''}`,
+        quantity: qty, expectedCost: cost > 0 ? money(cost) : null,
+        received: inboundReceived || op.status === 'returned' || !!op.returnedAt, partNumbers: [part.partNumber],
+      });
+    }
+  }
+  return lines;
+}
+
+// ---------------------------------------------------------------------------------------------
+// Approvals (pure)
+// ---------------------------------------------------------------------------------------------
+
+/** Who has to approve a bill: 'auto' (it approves itself), 'user' or 'admin' */
+function approvalLevel(amount, match, settings) {
+  const a = money(amount);
+  if (settings.adminApprovalOver !== null && settings.adminApprovalOver !== undefined && a > settings.adminApprovalOver) return 'admin';
+  if (!match.exceptions.length && a < settings.autoApproveBelow) return 'auto';
+  return 'user';
+}
+
+/** The approval fields to change after a (re-)match — an empty object when nothing changes */
+function approvalAfterMatch(bill, match, settings, now = new Date()) {
+  if (bill.approvalStatus === 'rejected' || bill.status === 'paid') return {};
+  const byPerson = bill.approvalStatus === 'approved' && bill.approvedBy && bill.approvedBy !== 'auto';
+  if (byPerson && money(bill.amount) <= money(bill.approvedAmount)) return {};
+  if (approvalLevel(bill.amount, match, settings) === 'auto') {
+    if (bill.approvalStatus === 'approved' && bill.approvedBy === 'auto' && money(bill.amount) === money(bill.approvedAmount)) return {};
+    return { approvalStatus: 'approved', approvedBy: 'auto', approvedAt: now, approvedAmount: money(bill.amount), approvalNote: null };
+  }
+  if (bill.approvalStatus === 'pending') return {};
+  return { approvalStatus: 'pending', approvedBy: null, approvedAt: null, approvedAmount: null };
+}
+
+// ---------------------------------------------------------------------------------------------
+// Payment runs, check register and positive pay (pure)
+// ---------------------------------------------------------------------------------------------
+
+// Approved, open, not already in a run
+const isPayable = (b) => OPEN_STATUSES.includes(b.status) && b.approvalStatus === 'approved' && !b.paymentRunId && money(b.amount) > 0;
+
+/**
+ * What a run on `payDate` pays: payable bills due by `throughDate` (or with no due date), and bills
+ * whose discount runs out by then. `bills` carry their vendor's terms as vendorTerms and payee as the
+ * vendor's name. One check per payee, largest first.
+ */
+function scheduleRun(bills, { payDate, throughDate, takeDiscounts = true }) {
+  const items = [];
+  for (const b of bills) {
+    if (!isPayable(b)) continue;
+    const terms = parseTerms(b.paymentTerms) || parseTerms(b.vendorTerms);
+    const dueDate = dueDateFor(b, terms);
+    const discount = takeDiscounts ? discountFor(b, terms, payDate) : null;
+    const discountOpen = !!(discount && discount.available);
+    const due = !dueDate || dueDate <= throughDate;
+    if (!due && !(discountOpen && discount.lastDay <= throughDate)) continue;
+    const amount = money(b.amount);
+    const discountAmount = discountOpen ? discount.amount : 0;
+    items.push({
+      liabilityId: b.id, name: b.name, payee: b.payee || b.vendor || b.name, vendorId: b.vendorId || null,
+      vendorInvoiceNumber: b.vendorInvoiceNumber || null, dueDate, daysUntilDue: dueDate ? daysBetween(payDate, dueDate) : null,
+      amount, discount: discountAmount, discountLastDay: discountOpen ? discount.lastDay : null, pay: money(amount - discountAmount),
+      reason: due ? 'due' : 'discount',
+    });
+  }
+  const checks = new Map();
+  for (const item of items) {
+    const key = item.vendorId || `name:${item.payee.toLowerCase()}`;
+    if (!checks.has(key)) checks.set(key, { checkNumber: null, payee: item.payee, vendorId: item.vendorId, amount: 0, discount: 0, status: 'draft', bills: [] });
+    const check = checks.get(key);
+    check.bills.push(item);
+    check.amount = money(check.amount + item.pay);
+    check.discount = money(check.discount + item.discount);
+  }
+  const list = [...checks.values()].sort((a, b) => b.amount - a.amount || a.payee.localeCompare(b.payee));
+  return {
+    payDate, throughDate, checks: list, billCount: items.length,
+    total: money(list.reduce((s, c) => s + c.amount, 0)), discountTotal: money(list.reduce((s, c) => s + c.discount, 0)),
+  };
+}
+
+/** Every check from issued runs, by check number */
+function checkRegister(runs) {
+  const rows = [];
+  for (const run of runs.map(plain)) {
+    if (run.status !== 'issued') continue;
+    for (const c of run.checks || []) {
+      rows.push({
+        checkNumber: c.checkNumber, date: run.payDate, payee: c.payee, vendorId: c.vendorId, amount: money(c.amount), discount: money(c.discount),
+        status: c.status, voidedAt: c.voidedAt || null, voidReason: c.voidReason || null, runId: run.id, bankAccountNumber: run.bankAccountNumber,
+        memo: c.bills.map(b => b.vendorInvoiceNumber || b.name).join(', '),
+      });
+    }
+  }
+  return rows.sort((a, b) => (parseInt(a.checkNumber) || 0) - (parseInt(b.checkNumber) || 0));
+}
+
+const csvCell = (v) => {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** Positive-pay CSV: one row per check, I for issued and V for void */
+function positivePayCsv(rows) {
+  const lines = ['Account Number,Check Number,Issue Date,Amount,Payee,Issue/Void'];
+  for (const r of rows) {
+    const [y, m, d] = r.date.split('-');
+    lines.push([r.bankAccountNumber || '', r.checkNumber, `${m}/${d}/${y}`, money(r.amount).toFixed(2), r.payee, r.status === 'void' ? 'V' : 'I'].map(csvCell).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/** The next bill of a recurring series once this one is paid, or null */
+function nextOccurrence(bill) {
+  if (!bill.recurring || !bill.recurringInterval || !bill.dueDate) return null;
+  const nextDate = new Date(bill.dueDate);
+  switch (bill.recurringInterval) {
+    case 'weekly': nextDate.setDate(nextDate.getDate() + 7); break;
+    case 'monthly': nextDate.setMonth(nextDate.getMonth() + 1); break;
+    case 'quarterly': nextDate.setMonth(nextDate.getMonth() + 3); break;
+    case 'yearly': nextDate.setFullYear(nextDate.getFullYear() + 1); break;
+  }
+  return {
+    name: bill.name,
+    category: bill.category,
+    amount: bill.amount,
+    dueDate: nextDate.toISOString().split('T')[0],
+    recurring: true,
+    recurringInterval: bill.recurringInterval,
+    vendor: bill.vendor,
+    notes: bill.notes,
+    referenceNumber: bill.referenceNumber,
+    status: 'unpaid',
+    approvalStatus: 'pending'
+  };
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+async function loadSettings() {
+  const { AppSettings } = getModels();
+  const row = await AppSettings.findOne({ where: { key: SETTINGS_KEY } });
+  return { ...DEFAULT_SETTINGS, ...((row && row.value) || {}) };
+}
+
+async function saveSettings(input = {}, by) {
+  const { AppSettings } = getModels();
+  const next = { ...(await loadSettings()) };
+  for (const k of ['priceTolerancePct', 'priceToleranceAmount', 'qtyTolerancePct', 'autoApproveBelow']) {
+    if (input[k] === undefined) continue;
+    const n = parseFloat(input[k]);
+    if (!Number.isFinite(n) || n < 0) throw apError(`${k} must be a number, 0 or more`);
+    next[k] = n;
+  }
+  if (input.adminApprovalOver !== undefined) {
+    const n = blankToNull(input.adminApprovalOver) === null ? null : parseFloat(input.adminApprovalOver);
+    if (n !== null && (!Number.isFinite(n) || n < 0)) throw apError('adminApprovalOver must be a number, 0 or more (blank for none)');
+    next.adminApprovalOver = n;
+  }
+  if (input.nextCheckNumber !== undefined) {
+    const n = parseInt(input.nextCheckNumber);
+    if (!Number.isFinite(n) || n < 1) throw apError('nextCheckNumber must be a whole number, 1 or more');
+    next.nextCheckNumber = n;
+  }
+  for (const k of ['bankAccountNumber', 'bankRoutingNumber']) {
+    if (input[k] === undefined) continue;
+    const v = blankToNull(input[k]);
+    if (v !== null && !/^\d{4,17}$/.test(v)) throw apError(`${k} must be digits only`);
+    next[k] = v;
+  }
+  next.updatedBy = by || null;
+  await AppSettings.upsert({ key: SETTINGS_KEY, value: next });
+  return next;
+}
+
+/** The PO a bill cites (see threeWayMatch for its shape), or null when it cites none */
+async function loadPurchaseOrder(bill) {
+  const { PONumber, WorkOrderPart, InboundOrder } = getModels();
+  let poNumber = parsePoRef(bill.poNumber);
+  let row = null;
+  if (!poNumber && bill.linkedPOId) {
+    row = await PONumber.findByPk(bill.linkedPOId);
+    if (row) poNumber = `PO${row.poNumber}`;
+  }
+  if (!poNumber) return null;
+  if (!row && poNumber.startsWith('PO')) row = await PONumber.findOne({ where: { poNumber: parseInt(poNumber.slice(2)) } });
+
+  const inbound = await InboundOrder.findAll({ where: { purchaseOrderNumber: poNumber } });
+  const inboundReceived = inbound.some(o => o.status === 'received');
+  let lines = [];
+  let vendorId = row?.vendorId || null;
+  if (poNumber.startsWith('OP')) {
+    const parts = (await WorkOrderPart.findAll({ where: { [Op.or]: [{ outsideProcessingPONumber: poNumber }, { outsideProcessing: { [Op.contains]: [{ poNumber }] } }] } }));
+    lines = outsideProcessingLines(parts, poNumber, inboundReceived);
+    vendorId = vendorId || parts.map(plain).flatMap(p => (p.outsideProcessing || []).filter(o => o.poNumber === poNumber).map(o => o.vendorId))[0] || parts[0]?.outsideProcessingVendorId || null;
+  } else {
+    const parts = (await WorkOrderPart.findAll({ where: { materialPurchaseOrderNumber: poNumber } })).filter(p => p.materialPurchaseOrderNumber === poNumber);
+    if (parts.length) lines = materialPoLines(parts, getPurchaseOrderLines(parts), inboundReceived);
+  }
+  if (!lines.length) {
+    lines = inbound.map((o, i) => ({
+      key: `L${i + 1}`, description: o.description, quantity: null,
+      expectedCost: parseFloat(o.expectedCost) > 0 ? money(o.expectedCost) : null, received: o.status === 'received', partNumbers: [],
+    }));
+  }
+  vendorId = vendorId || inbound.find(o => o.vendorId)?.vendorId || null;
+  const found = !!(row || lines.length || inbound.length);
+  return {
+    poNumber, found, voided: !!(row && (row.voidedAt || row.status === 'void')), vendorId, lines,
+    expectedTotal: lines.length && lines.every(l => l.expectedCost !== null) ? money(lines.reduce((s, l) => s + l.expectedCost, 0)) : null,
+  };
+}
+
+/** Run the three-way match on one bill and settle its approval; returns the updated bill */
+async function matchBill(id, { settings } = {}) {
+  const { Liability } = getModels();
+  const bill = await Liability.findByPk(id);
+  if (!bill) throw apError('Bill not found', 404);
+  settings = settings || await loadSettings();
+  const match = threeWayMatch(bill, await loadPurchaseOrder(bill), settings);
+  await bill.update({ matchStatus: match.status, matchResult: match, matchedAt: new Date(), ...approvalAfterMatch(bill, match, settings) });
+  return bill;
+}
+
+/** matchBill for a bill just created or changed — logs instead of throwing, like ledger.post */
+async function autoMatch(id) {
+  try {
+    return await matchBill(id);
+  } catch (err) {
+    console.warn(`[payables] bill ${id} not matched: ${err.message}`);
+    return null;
+  }
+}
+
+/** Re-match open bills still waiting on something — a receipt, a PO fix, an approval, or a match that never ran */
+async function rematchOpenBills() {
+  const { Liability } = getModels();
+  const settings = await loadSettings();
+  const bills = await Liability.findAll({ where: { status: { [Op.in]: [...OPEN_STATUSES, 'pending_review'] } } });
+  let checked = 0, changed = 0;
+  for (const bill of bills) {
+    const waiting = !bill.matchStatus || bill.matchStatus === 'exception' || !bill.approvalStatus || bill.approvalStatus === 'pending';
+    if (!waiting) continue;
+    checked++;
+    const before = `${bill.matchStatus}|${bill.approvalStatus}|${JSON.stringify(bill.matchResult?.exceptions || [])}`;
+    try {
+      const after = await matchBill(bill.id, { settings });
+      if (`${after.matchStatus}|${after.approvalStatus}|${JSON.stringify(after.matchResult?.exceptions || [])}` !== before) changed++;
+    } catch (err) {
+      console.warn(`[payables] bill ${bill.id} not re-matched: ${err.message}`);
+    }
+  }
+  return { checked, changed };
+}
+
+/** Bills for the AP screen. Query: status (open for unpaid + overdue + pending review), matchStatus, approvalStatus */
+async function listBills({ status, matchStatus, approvalStatus } = {}) {
+  const { Liability } = getModels();
+  const where = {};
+  if (status === 'open') where.status = { [Op.in]: [...OPEN_STATUSES, 'pending_review'] };
+  else if (status && status !== 'all') where.status = status;
+  if (matchStatus) where.matchStatus = matchStatus;
+  if (approvalStatus) where.approvalStatus = approvalStatus;
+  const settings = await loadSettings();
+  const bills = await Liability.findAll({ where, order: [['dueDate', 'ASC']] });
+  return bills.map(b => {
+    const bill = plain(b);
+    const needs = bill.approvalStatus === 'pending' ? approvalLevel(bill.amount, bill.matchResult || { exceptions: [] }, settings) : null;
+    return { ...bill, approvalNeeded: needs === 'auto' ? 'user' : needs };
+  });
+}
+
+async function approveBill(id, { note } = {}, user) {
+  const { Liability } = getModels();
+  const bill = await Liability.findByPk(id);
+  if (!bill) throw apError('Bill not found', 404);
+  if (bill.status === 'paid') throw apError('This bill is already paid');
+  const settings = await loadSettings();
+  const match = bill.matchResult || { exceptions: [] };
+  if (approvalLevel(bill.amount, match, settings) === 'admin' && user?.role !== 'admin') {
+    throw apError(`Bills over ${usd(settings.adminApprovalOver)} need an admin's approval`, 403);
+  }
+  if (match.exceptions.length && !blankToNull(note)) throw apError('This bill has match exceptions — add a note saying why it\'s OK to pay');
+  await bill.update({
+    approvalStatus: 'approved', approvedBy: user?.username || 'unknown', approvedAt: new Date(), approvedAmount: money(bill.amount), approvalNote: blankToNull(note),
+    ...(bill.status === 'pending_review' || bill.status === 'rejected' ? { status: 'unpaid' } : {}),
+  });
+  return bill;
+}
+
+async function rejectBill(id, { reason } = {}, user) {
+  const { Liability } = getModels();
+  const bill = await Liability.findByPk(id);
+  if (!bill) throw apError('Bill not found', 404);
+  if (bill.status === 'paid') throw apError('This bill is already paid');
+  if (bill.paymentRunId) throw apError('This bill is in a payment run — take it out first');
+  await bill.update({
+    approvalStatus: 'rejected', approvedBy: user?.username || 'unknown', approvedAt: new Date(), approvedAmount: null,
+    approvalNote: blankToNull(reason), status: 'rejected',
+  });
+  return bill;
+}
+
+/**
+ * Mark one bill paid by hand (paid outside a run — card, ACH). Only an approved bill, for no more than
+ * was approved; a recurring bill starts its next one, as issuing a run does.
+ */
+async function payBill(id, { paidAmount } = {}, by) {
+  const { Liability } = getModels();
+  const bill = await Liability.findByPk(id);
+  if (!bill) throw apError('Bill not found', 404);
+  if (bill.status === 'paid') throw apError('This bill is already paid');
+  if (bill.paymentRunId) throw apError('This bill is in a payment run — pay it by issuing the run');
+  if (bill.approvalStatus !== 'approved') throw apError('This bill isn\'t approved yet', 409);
+  const amount = paidAmount !== undefined && paidAmount !== null && paidAmount !== '' ? money(paidAmount) : money(bill.amount);
+  if (!(amount > 0)) throw apError('paidAmount must be more than 0');
+  if (amount > money(bill.approvedAmount ?? bill.amount)) throw apError(`Only ${usd(bill.approvedAmount ?? bill.amount)} was approved — approve the bill again to pay more`, 409);
+  await bill.update({ status: 'paid', paidAt: new Date(), paidAmount: amount });
+  await getLedger().post('bill_payment', bill.id, by);
+  const next = nextOccurrence(bill);
+  if (next) await autoMatch((await Liability.create(next)).id);
+  return bill;
+}
+
+// Open bills with their vendor's terms and name, for scheduling
+async function payableBills(where = {}) {
+  const { Liability, Vendor } = getModels();
+  const bills = (await Liability.findAll({ where: { status: { [Op.in]: OPEN_STATUSES }, ...where } })).map(plain);
+  const vendorIds = [...new Set(bills.map(b => b.vendorId).filter(Boolean))];
+  const vendors = vendorIds.length ? await Vendor.findAll({ where: { id: { [Op.in]: vendorIds } } }) : [];
+  const byId = new Map(vendors.map(v => [v.id, v]));
+  return bills.map(b => {
+    const v = byId.get(b.vendorId);
+    return { ...b, vendorTerms: v?.paymentTerms || null, payee: v?.name || b.vendor || null };
+  });
+}
+
+function runDates({ payDate, throughDate } = {}) {
+  const pay = dateOnly(payDate) || dateOnly(new Date());
+  const through = dateOnly(throughDate) || addDays(pay, 7);
+  if (!isDate(pay) || !isDate(through)) throw apError('payDate and throughDate must be dates (YYYY-MM-DD)');
+  if (through < pay) throw apError('throughDate can\'t be before payDate');
+  return { payDate: pay, throughDate: through };
+}
+
+/** What a run would pay — nothing is saved. Query: payDate (today), throughDate (a week on), takeDiscounts */
+async function previewRun(input = {}) {
+  const dates = runDates(input);
+  return scheduleRun(await payableBills(), { ...dates, takeDiscounts: input.takeDiscounts !== false });
+}
+
+/**
+ * Save a draft run. With billIds it pays exactly those (if payable), whatever their due dates;
+ * otherwise whatever previewRun shows. Bills in a draft are held out of other runs.
+ */
+async function createRun(input = {}, by) {
+  const { ApPaymentRun, Liability, sequelize } = getModels();
+  const dates = runDates(input);
+  const ids = Array.isArray(input.billIds) && input.billIds.length ? input.billIds.map(String) : null;
+  const bills = await payableBills(ids ? { id: { [Op.in]: ids } } : {});
+  const plan = scheduleRun(bills, { ...dates, throughDate: ids ? '9999-12-31' : dates.throughDate, takeDiscounts: input.takeDiscounts !== false });
+  if (!plan.checks.length) throw apError('Nothing to pay in this run');
+  return sequelize.transaction(async (transaction) => {
+    const run = await ApPaymentRun.create({
+      ...dates, status: 'draft', checks: plan.checks, total: plan.total, discountTotal: plan.discountTotal,
+      createdBy: by || null, notes: blankToNull(input.notes),
+    }, { transaction });
+    const billIds = plan.checks.flatMap(c => c.bills.map(b => b.liabilityId));
+    await Liability.update({ paymentRunId: run.id }, { where: { id: { [Op.in]: billIds }, paymentRunId: null }, transaction });
+    return run;
+  });
+}
+
+async function listRuns({ status, limit = 100 } = {}) {
+  const { ApPaymentRun } = getModels();
+  const where = {};
+  if (status) where.status = status;
+  return ApPaymentRun.findAll({ where, order: [['payDate', 'DESC'], ['createdAt', 'DESC']], limit: Math.min(parseInt(limit) || 100, 500) });
+}
+
+async function getRun(id) {
+  const { ApPaymentRun } = getModels();
+  const run = await ApPaymentRun.findByPk(id);
+  if (!run) throw apError('Payment run not found', 404);
+  return run;
+}
+
+/** Throw away a draft run; its bills go back to waiting */
+async function discardRun(id) {
+  const { Liability, sequelize } = getModels();
+  const run = await getRun(id);
+  if (run.status !== 'draft') throw apError('Only a draft run can be discarded — void its checks instead');
+  await sequelize.transaction(async (transaction) => {
+    await Liability.update({ paymentRunId: null }, { where: { paymentRunId: run.id, status: { [Op.in]: OPEN_STATUSES } }, transaction });
+    await run.destroy({ transaction });
+  });
+}
+
+// The 'ap_settings' row locked for the rest of the transaction, so two runs issued at once can't
+// hand out the same check numbers
+async function lockedSettings(transaction) {
+  const { AppSettings } = getModels();
+  await AppSettings.findOrCreate({ where: { key: SETTINGS_KEY }, defaults: { key: SETTINGS_KEY, value: {} } });
+  const row = await AppSettings.findOne({ where: { key: SETTINGS_KEY }, transaction, lock: transaction.LOCK.UPDATE });
+  return { row, settings: { ...DEFAULT_SETTINGS, ...(row.value || {}) } };
+}
+
+// The run locked for the rest of the transaction, so a check can't be issued or voided twice
+async function lockedRun(id, transaction) {
+  const { ApPaymentRun } = getModels();
+  const run = await ApPaymentRun.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!run) throw apError('Payment run not found', 404);
+  return run;
+}
+
+/**
+ * Issue a draft run: number its checks, mark every bill paid on the pay date net of its discount,
+ * start the next bill of any recurring series, and post the payments to the ledger. A bill paid,
+ * changed or un-approved since the draft stops the run.
+ */
+async function issueRun(id, by) {
+  const { Liability, sequelize } = getModels();
+  const paid = [];
+  const started = [];
+  const run = await sequelize.transaction(async (transaction) => {
+    const run = await lockedRun(id, transaction);
+    if (run.status !== 'draft') throw apError('This run has already been issued');
+    const { row, settings } = await lockedSettings(transaction);
+    let checkNumber = parseInt(settings.nextCheckNumber) || DEFAULT_SETTINGS.nextCheckNumber;
+    const checks = [];
+    for (const check of run.checks) {
+      const number = String(checkNumber++);
+      const bills = [];
+      for (const item of check.bills) {
+        const bill = await Liability.findByPk(item.liabilityId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!bill || bill.paymentRunId !== run.id || !OPEN_STATUSES.includes(bill.status)) throw apError(`"${item.name}" is no longer open in this run — discard the run and start again`, 409);
+        if (bill.approvalStatus !== 'approved') throw apError(`"${item.name}" is no longer approved`, 409);
+        if (money(bill.amount) !== item.amount) throw apError(`"${item.name}" changed amount since the run was drafted — discard the run and start again`, 409);
+        await bill.update({
+          status: 'paid', paidAt: new Date(run.payDate + 'T12:00:00Z'), paidAmount: item.pay,
+          discountTaken: item.discount || null, checkNumber: number,
+        }, { transaction });
+        paid.push(bill);
+        // Remember the next bill of a series, so voiding this check takes it back out
+        const next = nextOccurrence(bill);
+        const created = next ? await Liability.create(next, { transaction }) : null;
+        if (created) started.push(created);
+        bills.push({ ...item, nextBillId: created ? created.id : null });
+      }
+      checks.push({ ...check, bills, checkNumber: number, status: 'issued' });
+    }
+    await row.update({ value: { ...settings, nextCheckNumber: checkNumber } }, { transaction });
+    await run.update({ status: 'issued', checks, bankAccountNumber: settings.bankAccountNumber, issuedBy: by || null, issuedAt: new Date() }, { transaction });
+    return run;
+  });
+  for (const bill of paid) await getLedger().post('bill_payment', bill.id, by);
+  for (const bill of started) await autoMatch(bill.id);
+  return run;
+}
+
+/**
+ * Void one issued check — its bills go back to unpaid, their ledger payments are reversed, and the
+ * next bill of a recurring series that paying them started is removed (if nothing has happened to it since)
+ */
+async function voidCheck(runId, checkNumber, { reason } = {}, by) {
+  const { Liability, sequelize } = getModels();
+  const reopened = [];
+  const run = await sequelize.transaction(async (transaction) => {
+    const run = await lockedRun(runId, transaction);
+    const checks = (run.checks || []).map(c => ({ ...c }));
+    const check = checks.find(c => String(c.checkNumber) === String(checkNumber));
+    if (run.status !== 'issued' || !check) throw apError(`Check ${checkNumber} isn't in this run`, 404);
+    if (check.status === 'void') throw apError(`Check ${checkNumber} is already void`);
+    for (const item of check.bills) {
+      const bill = await Liability.findByPk(item.liabilityId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!bill || bill.checkNumber !== check.checkNumber || bill.paymentRunId !== run.id) continue;
+      await bill.update({ status: 'unpaid', paidAt: null, paidAmount: null, discountTaken: null, checkNumber: null, paymentRunId: null }, { transaction });
+      reopened.push(bill);
+      const next = item.nextBillId ? await Liability.findByPk(item.nextBillId, { transaction, lock: transaction.LOCK.UPDATE }) : null;
+      if (next && OPEN_STATUSES.includes(next.status) && !next.paymentRunId) await next.destroy({ transaction });
+    }
+    Object.assign(check, { status: 'void', voidedAt: new Date().toISOString(), voidedBy: by || null, voidReason: blankToNull(reason) });
+    await run.update({ checks }, { transaction });
+    return run;
+  });
+  for (const bill of reopened) await getLedger().post('bill_payment', bill.id, by);
+  return run;
+}
+
+async function issuedRuns({ from, to, runId } = {}) {
+  const { ApPaymentRun } = getModels();
+  const where = { status: 'issued' };
+  if (runId) where.id = runId;
+  const range = {};
+  if (from) range[Op.gte] = dateOnly(from);
+  if (to) range[Op.lte] = dateOnly(to);
+  if (from || to) where.payDate = range;
+  return ApPaymentRun.findAll({ where, order: [['payDate', 'ASC']] });
+}
+
+/** The check register — every check issued (and voided) in a date range */
+async function getCheckRegister(query = {}) {
+  const rows = checkRegister(await issuedRuns(query));
+  return { rows, total: money(rows.filter(r => r.status !== 'void').reduce((s, r) => s + r.amount, 0)), voided: rows.filter(r => r.status === 'void').length };
+}
+
+/** Positive-pay file for one run, or every run in a date range */
+async function getPositivePay(query = {}) {
+  const rows = checkRegister(await issuedRuns(query));
+  if (!rows.length) throw apError('No issued checks to send', 404);
+  const missing = rows.filter(r => !r.bankAccountNumber);
+  if (missing.length) throw apError(`Check(s) ${missing.map(r => r.checkNumber).join(', ')} were issued with no bank account number on file — set one in AP settings`);
+  const stamp = query.runId ? rows[0].date : `${dateOnly(query.from) || rows[0].date}_to_${dateOnly(query.to) || rows[rows.length - 1].date}`;
+  return { filename: `positive-pay-${stamp}.csv`, csv: positivePayCsv(rows), count: rows.length };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  parseTerms,
+  dueDateFor,
+  discountFor,
+  parsePoRef,
+  similarity,
+  billLines,
+  threeWayMatch,
+  materialPoLines,
+  outsideProcessingLines,
+  approvalLevel,
+  approvalAfterMatch,
+  scheduleRun,
+  checkRegister,
+  positivePayCsv,
+  nextOccurrence,
+  loadSettings,
+  saveSettings,
+  loadPurchaseOrder,
+  matchBill,
+  autoMatch,
+  rematchOpenBills,
+  listBills,
+  approveBill,
+  rejectBill,
+  payBill,
+  previewRun,
+  createRun,
+  listRuns,
+  getRun,
+  discardRun,
+  issueRun,
+  voidCheck,
+  getCheckRegister,
+  getPositivePay,
+};
@@ -0,0 +1,380 @@
+/**
+ * Plate nesting — fit a work order's plate blanks onto as few stock sheets as possible.
+ *
+ * Parts are grouped by grade and thickness (the material price index key, so a nest and its price
+ * line up). Blank sizes come from the part: rolled plate and cones use their developed flat blank
+ * from rollingGeometry (a cone contributes one bounding box per segment), flat parts their width ×
+ * length. Each group is packed with MaxRects — largest blanks first, rotation allowed, best short
+ * side fit — once per stock size; the size that needs the fewest sheets wins, ties going to the
+ * least steel bought. The last sheet is then dropped to the smallest stock size that still takes
+ * its blanks, so a short run doesn't order a full 96 × 240 for two pieces.
+ *
+ * `gap` is the clearance between blanks (kerf plus handling), added to each blank and to the
+ * sheet so edges can be used. Blanks bigger than every stock size come back in `unplaced` — they
+ * are ordered cut to size, not nested. Inches throughout.
+ */
+
+const { parseNum, plateDims } = require('./pricingSuggest');
+const { partGeometry, mergedPart } = require('./rollingGeometry');
+const { normalizeGrade, priceKey } = require('./materialPrices');
+
+const getModels = () => require('../models');
+
+const PLATE_TYPES = ['plate_roll', 'shaped_plate', 'flat_stock', 'cone_roll', 'press_brake'];
+const DEFAULT_SHEETS = [
+  { width: 48, length: 96 }, { width: 48, length: 120 }, { width: 60, length: 120 },
+  { width: 72, length: 144 }, { width: 96, length: 240 }, { width: 96, length: 288 }, { width: 120, length: 240 },
+];
+const DEFAULT_GAP = 0.5;
+const MAX_BLANKS = 500;
+
+function nestingError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const round = (v, places = 3) => Math.round(v * 10 ** places) / 10 ** places;
+const fmt = (v) => String(round(v, 3));
+
+/**
+ * The flat blank one piece of a part is cut from: { width, length, pieces } (pieces > 1 for a
+ * segmented cone). Null when the part doesn't give enough to size it.
+ */
+function partBlank(part) {
+  const p = mergedPart(part);
+  let geo = null;
+  try { geo = partGeometry(p); } catch (e) { /* impossible geometry — fall back on the stated size */ }
+  if (p.partType === 'cone_roll') {
+    return geo && geo.blank && geo.blank.width && geo.blank.length
+      ? { width: geo.blank.width, length: geo.blank.length, pieces: geo.blank.pieces || 1 }
+      : null;
+  }
+  const w = parseNum(p.width);
+  const stated = parseNum(p.length);
+  const developed = geo && geo.blank ? geo.blank.length : null;
+  const l = Math.max(stated || 0, developed || 0) || plateDims(p).l;
+  return w && l ? { width: w, length: round(l), pieces: 1 } : null;
+}
+
+/**
+ * Every blank to nest, one entry per physical piece, grouped by grade|thickness. Parts that can't
+ * be grouped or sized come back in `skipped` with the reason.
+ */
+function collectBlanks(parts) {
+  const groups = new Map();
+  const skipped = [];
+  for (const part of parts) {
+    const p = mergedPart(part);
+    const label = `Part ${p.partNumber}`;
+    if (!PLATE_TYPES.includes(p.partType)) continue;
+    const t = parseNum(p.thickness);
+    const grade = normalizeGrade(p.material);
+    if (!t || !grade) { skipped.push({ partId: p.id, partNumber: p.partNumber, reason: `${label} needs a grade and thickness` }); continue; }
+    const blank = partBlank(p);
+    if (!blank) { skipped.push({ partId: p.id, partNumber: p.partNumber, reason: `${label} has no blank size` }); continue; }
+    const key = priceKey({ grade, shape: 'plate', thickness: t });
+    if (!groups.has(key)) groups.set(key, { key, grade, thickness: t, material: p.material, blanks: [] });
+    const count = (parseInt(p.quantity) || 1) * blank.pieces;
+    for (let i = 0; i < count; i++) {
+      groups.get(key).blanks.push({ partId: p.id, partNumber: p.partNumber, piece: i + 1, width: blank.width, length: blank.length });
+    }
+  }
+  const total = [...groups.values()].reduce((n, g) => n + g.blanks.length, 0);
+  if (total > MAX_BLANKS) throw nestingError(`${total} blanks is more than the ${MAX_BLANKS} one nest will take — nest fewer parts at a time`);
+  return { groups: [...groups.values()], skipped };
+}
+
+// ---------------------------------------------------------------------------------------------
+// MaxRects packer
+// ---------------------------------------------------------------------------------------------
+
+function fits(r, w, h) { return w <= r.w + 1e-9 && h <= r.h + 1e-9; }
+
+function contains(a, b) {
+  return b.x >= a.x - 1e-9 && b.y >= a.y - 1e-9 && b.x + b.w <= a.x + a.w + 1e-9 && b.y + b.h <= a.y + a.h + 1e-9;
+}
+
+function newSheet(W, H) {
+  return { free: [{ x: 0, y: 0, w: W, h: H }], placed: [] };
+}
+
+// Best short side fit over both orientations; null when the blank fits no free rectangle
+function findPosition(sheet, w, h) {
+  let best = null;
+  for (const r of sheet.free) {
+    for (const [bw, bh, rotated] of [[w, h, false], [h, w, true]]) {
+      if (!fits(r, bw, bh)) continue;
+      const shortSide = Math.min(r.w - bw, r.h - bh);
+      const longSide = Math.max(r.w - bw, r.h - bh);
+      if (!best || shortSide < best.shortSide || (shortSide === best.shortSide && longSide < best.longSide)) {
+        best = { x: r.x, y: r.y, w: bw, h: bh, rotated, shortSide, longSide };
+      }
+    }
+  }
+  return best;
+}
+
+function place(sheet, rect) {
+  const next = [];
+  for (const f of sheet.free) {
+    const overlaps = rect.x < f.x + f.w && rect.x + rect.w > f.x && rect.y < f.y + f.h && rect.y + rect.h > f.y;
+    if (!overlaps) { next.push(f); continue; }
+    if (rect.x > f.x) next.push({ x: f.x, y: f.y, w: rect.x - f.x, h: f.h });
+    if (rect.x + rect.w < f.x + f.w) next.push({ x: rect.x + rect.w, y: f.y, w: f.x + f.w - rect.x - rect.w, h: f.h });
+    if (rect.y > f.y) next.push({ x: f.x, y: f.y, w: f.w, h: rect.y - f.y });
+    if (rect.y + rect.h < f.y + f.h) next.push({ x: f.x, y: rect.y + rect.h, w: f.w, h: f.y + f.h - rect.y - rect.h });
+  }
+  sheet.free = next.filter((r, i) => !next.some((o, j) => j !== i && contains(o, r) && (!contains(r, o) || j < i)));
+}
+
+/**
+ * Pack blanks onto sheets of one size. Returns { sheets, unplaced }.
+ */
+function packOnSize(blanks, size, gap = DEFAULT_GAP) {
+  const W = size.width + gap, H = size.length + gap;
+  const order = [...blanks].sort((a, b) => (b.width * b.length) - (a.width * a.length) || Math.max(b.width, b.length) - Math.max(a.width, a.length));
+  const sheets = [];
+  const unplaced = [];
+  for (const b of order) {
+    const w = b.width + gap, h = b.length + gap;
+    if (!fits({ w: W, h: H }, w, h) && !fits({ w: W, h: H }, h, w)) { unplaced.push(b); continue; }
+    let pos = null, sheet = null;
+    for (const s of sheets) {
+      pos = findPosition(s, w, h);
+      if (pos) { sheet = s; break; }
+    }
+    if (!pos) {
+      sheet = newSheet(W, H);
+      sheets.push(sheet);
+      pos = findPosition(sheet, w, h);
+    }
+    place(sheet, pos);
+    sheet.placed.push({ ...b, x: round(pos.x), y: round(pos.y), w: pos.rotated ? b.length : b.width, h: pos.rotated ? b.width : b.length, rotated: pos.rotated });
+  }
+  return { sheets: sheets.map(s => ({ width: size.width, length: size.length, placements: s.placed })), unplaced };
+}
+
+function utilization(sheet) {
+  const used = sheet.placements.reduce((a, p) => a + p.w * p.h, 0);
+  return round((used / (sheet.width * sheet.length)) * 100, 1);
+}
+
+/**
+ * Nest one grade/thickness group. Returns the sheets with placements and utilization %, the
+ * stock size chosen, and the blanks no stock size takes.
+ */
+function nestGroup(blanks, { sheetSizes = DEFAULT_SHEETS, gap = DEFAULT_GAP } = {}) {
+  const sizes = normalizeSheetSizes(sheetSizes);
+  const fitsOn = (b, s) => (b.width <= s.width && b.length <= s.length) || (b.length <= s.width && b.width <= s.length);
+  const unplaced = blanks.filter(b => !sizes.some(s => fitsOn(b, s)));
+  const nestable = blanks.filter(b => !unplaced.includes(b));
+  if (!nestable.length) return { sheets: [], sheetCount: 0, utilization: 0, unplaced };
+
+  let best = null;
+  for (const size of sizes) {
+    if (!nestable.every(b => fitsOn(b, size))) continue;
+    const run = packOnSize(nestable, size, gap);
+    const area = run.sheets.length * size.width * size.length;
+    if (!best || run.sheets.length < best.sheets.length || (run.sheets.length === best.sheets.length && area < best.area)) {
+      best = { size, sheets: run.sheets, area };
+    }
+  }
+  // No one size takes every blank: give the size that takes the most its blanks, then the rest
+  if (!best) {
+    const sheets = [];
+    let left = nestable;
+    while (left.length) {
+      const size = sizes
+        .map(s => ({ s, n: left.filter(b => fitsOn(b, s)).length }))
+        .sort((a, b) => b.n - a.n || b.s.width * b.s.length - a.s.width * a.s.length)[0].s;
+      const take = left.filter(b => fitsOn(b, size));
+      sheets.push(...packOnSize(take, size, gap).sheets);
+      left = left.filter(b => !take.includes(b));
+    }
+    best = { sheets };
+  }
+
+  // Drop the last sheet to the smallest stock that still takes its blanks
+  const sheets = best.sheets;
+  const last = sheets[sheets.length - 1];
+  for (const size of sizes) {
+    if (size.width * size.length >= last.width * last.length) break;
+    const run = packOnSize(last.placements.map(({ x, y, w, h, rotated, ...b }) => b), size, gap);
+    if (run.sheets.length === 1 && !run.unplaced.length) { sheets[sheets.length - 1] = run.sheets[0]; break; }
+  }
+
+  sheets.forEach((s, i) => { s.index = i + 1; s.utilization = utilization(s); });
+  const used = sheets.reduce((a, s) => a + s.placements.reduce((b, p) => b + p.w * p.h, 0), 0);
+  const bought = sheets.reduce((a, s) => a + s.width * s.length, 0);
+  return { sheets, sheetCount: sheets.length, utilization: round((used / bought) * 100, 1), unplaced };
+}
+
+// Smallest area first, each as { width ≤ length }; bad entries are refused
+function normalizeSheetSizes(list) {
+  if (!Array.isArray(list) || !list.length) throw nestingError('sheetSizes must be a list of { width, length }');
+  const seen = new Set();
+  return list.map(s => {
+    const a = parseNum(s.width), b = parseNum(s.length);
+    if (!(a > 0) || !(b > 0)) throw nestingError('Every sheet size needs a width and length above zero');
+    return { width: Math.min(a, b), length: Math.max(a, b) };
+  }).filter(s => { const k = `${s.width}x${s.length}`; if (seen.has(k)) return false; seen.add(k); return true; })
+    .sort((a, b) => a.width * a.length - b.width * b.length || a.width - b.width);
+}
+
+/**
+ * Nest a set of parts. { groups: [{ key, grade, thickness, sheets, sheetCount, utilization,
+ * unplaced, orderLines }], skipped, sheetCount }.
+ */
+function nestParts(parts, { sheetSizes = DEFAULT_SHEETS, gap = DEFAULT_GAP } = {}) {
+  const g = parseFloat(gap);
+  if (isNaN(g) || g < 0 || g > 6) throw nestingError('gap must be between 0 and 6 inches');
+  const { groups, skipped } = collectBlanks(parts);
+  const out = groups.map(group => {
+    const nest = nestGroup(group.blanks, { sheetSizes, gap: g });
+    return {
+      key: group.key, grade: group.grade, thickness: group.thickness, material: group.material,
+      ...nest,
+      orderLines: orderLines(group, nest),
+    };
+  });
+  return { groups: out, skipped, gap: g, sheetCount: out.reduce((n, x) => n + x.sheetCount, 0) };
+}
+
+// One PO line per sheet size in a group, plus one per cut-to-size blank
+function orderLines(group, nest) {
+  const t = `${fmt(group.thickness)}"`;
+  const lines = [];
+  const bySize = new Map();
+  for (const s of nest.sheets) {
+    const k = `${s.width}x${s.length}`;
+    if (!bySize.has(k)) bySize.set(k, { width: s.width, length: s.length, quantity: 0, parts: new Set() });
+    const e = bySize.get(k);
+    e.quantity++;
+    s.placements.forEach(p => e.parts.add(p.partNumber));
+  }
+  for (const e of bySize.values()) {
+    const parts = [...e.parts].sort((a, b) => a - b);
+    lines.push({
+      description: `${t} ${group.grade} plate ${fmt(e.width)}" x ${fmt(e.length)}"`,
+      quantity: e.quantity,
+      note: `Nested: part${parts.length > 1 ? 's' : ''} ${parts.join(', ')}`,
+    });
+  }
+  const cut = new Map();
+  for (const b of nest.unplaced) {
+    const k = `${b.partNumber}|${b.width}x${b.length}`;
+    if (!cut.has(k)) cut.set(k, { ...b, quantity: 0 });
+    cut.get(k).quantity++;
+  }
+  for (const b of cut.values()) {
+    lines.push({ description: `${t} ${group.grade} plate cut to ${fmt(b.width)}" x ${fmt(b.length)}"`, quantity: b.quantity, note: `Part ${b.partNumber} — larger than stock sheets` });
+  }
+  return lines;
+}
+
+// ---------------------------------------------------------------------------------------------
+// Cut sheet PDF
+// ---------------------------------------------------------------------------------------------
+
+/**
+ * One page per sheet: the sheet to scale with each blank outlined, labeled with its part number
+ * and size, plus a summary page up front.
+ */
+function generateCutSheetPdf(plan, { title, subtitle } = {}) {
+  const PDFDocument = require('pdfkit');
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: 'LETTER', layout: 'landscape', margin: 36 });
+      const chunks = [];
+      doc.on('data', c => chunks.push(c));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const pageW = doc.page.width, pageH = doc.page.height;
+      doc.fontSize(18).font('Helvetica-Bold').text(title || 'Cut Sheet', 36, 36);
+      if (subtitle) doc.fontSize(11).font('Helvetica').text(subtitle);
+      doc.moveDown(0.5).fontSize(10).font('Helvetica').text(`Gap between blanks: ${fmt(plan.gap)}"   Sheets: ${plan.sheetCount}`);
+      doc.moveDown(0.5);
+      for (const g of plan.groups) {
+        doc.font('Helvetica-Bold').text(`${fmt(g.thickness)}" ${g.grade} — ${g.sheetCount} sheet(s), ${g.utilization}% used`);
+        doc.font('Helvetica');
+        g.orderLines.forEach(l => doc.text(`   ${l.quantity} × ${l.description}   (${l.note})`));
+        doc.moveDown(0.3);
+      }
+      if (plan.skipped.length) {
+        doc.moveDown(0.3).font('Helvetica-Bold').text('Not nested:');
+        doc.font('Helvetica');
+        plan.skipped.forEach(s => doc.text(`   ${s.reason}`));
+      }
+
+      for (const g of plan.groups) {
+        for (const s of g.sheets) {
+          doc.addPage();
+          doc.fontSize(14).font('Helvetica-Bold').text(`${fmt(g.thickness)}" ${g.grade} — sheet ${s.index} of ${g.sheetCount}: ${fmt(s.width)}" x ${fmt(s.length)}"`, 36, 30);
+          doc.fontSize(10).font('Helvetica').text(`${s.placements.length} blank(s), ${s.utilization}% used`);
+          // Sheet drawn with its length across the page
+          const areaTop = 80, areaW = pageW - 72, areaH = pageH - areaTop - 36;
+          const scale = Math.min(areaW / s.length, areaH / s.width);
+          const ox = 36, oy = areaTop;
+          doc.lineWidth(1.2).rect(ox, oy, s.length * scale, s.width * scale).stroke();
+          doc.lineWidth(0.6);
+          for (const p of s.placements) {
+            const x = ox + p.y * scale, y = oy + p.x * scale, w = p.h * scale, h = p.w * scale;
+            doc.rect(x, y, w, h).fillAndStroke('#e3f2fd', '#1565c0');
+            doc.fillColor('black').fontSize(Math.max(5, Math.min(10, h / 3)));
+            doc.text(`P${p.partNumber}`, x + 2, y + 2, { width: Math.max(w - 4, 1), lineBreak: false });
+            if (h > 20) doc.text(`${fmt(p.width)} x ${fmt(p.length)}${p.rotated ? ' (r)' : ''}`, x + 2, y + 12, { width: Math.max(w - 4, 1), lineBreak: false });
+          }
+        }
+      }
+      doc.end();
+    } catch (e) { reject(e); }
+  });
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+async function loadSheetSizes() {
+  const { AppSettings } = getModels();
+  try {
+    const row = await AppSettings.findOne({ where: { key: 'plate_stock_sizes' } });
+    if (row && Array.isArray(row.value) && row.value.length) return row.value;
+  } catch (e) { /* defaults */ }
+  return DEFAULT_SHEETS;
+}
+
+/**
+ * Work order parts that nesting applies to: plate types we order that aren't ordered yet.
+ * partIds narrows the set.
+ */
+async function loadNestableParts(workOrderId, partIds) {
+  const { WorkOrderPart } = getModels();
+  const { Op } = require('sequelize');
+  const where = {
+    workOrderId,
+    partType: { [Op.in]: PLATE_TYPES },
+    materialSource: 'we_order',
+    [Op.or]: [{ materialOrdered: false }, { materialOrdered: null }],
+  };
+  if (Array.isArray(partIds) && partIds.length) where.id = { [Op.in]: partIds };
+  return WorkOrderPart.findAll({ where, order: [['partNumber', 'ASC']] });
+}
+
+module.exports = {
+  PLATE_TYPES,
+  DEFAULT_SHEETS,
+  DEFAULT_GAP,
+  partBlank,
+  collectBlanks,
+  packOnSize,
+  nestGroup,
+  nestParts,
+  normalizeSheetSizes,
+  generateCutSheetPdf,
+  // database side
+  loadSheetSizes,
+  loadNestableParts,
+};
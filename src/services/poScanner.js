@@ -8,14 +8,15 @@
 // must treat the output as a suggestion for a human to verify, never as ground truth.
 
 const { getParsingModel } = require('./aiConfig');
+const { normalizePartNumber } = require('./clientPartCatalog');
 
 const PO_SYS = `You extract fields from a CUSTOMER PURCHASE ORDER received by a contract steel-rolling shop (they roll steel into rings and bend/roll structural shapes). The PO is from a client ordering parts. Reply with ONLY JSON, no markdown:
-{"clientName":string|null,"poNumber":string|null,"poDate":"YYYY-MM-DD"|null,"lineItems":[{"description":string,"material":string|null,"shape":string|null,"dimensions":string|null,"diameter":string|null,"quantity":number|null,"unit":string|null}],"notes":string|null,"confidence":"high|medium|low"}
+{"clientName":string|null,"poNumber":string|null,"poDate":"YYYY-MM-DD"|null,"lineItems":[{"description":string,"partNumber":string|null,"rev":string|null,"material":string|null,"shape":string|null,"dimensions":string|null,"diameter":string|null,"quantity":number|null,"unit":string|null}],"notes":string|null,"confidence":"high|medium|low"}
 
 Guidance:
 - clientName = the company that ISSUED the PO (the buyer/customer), not the shop.
 - poNumber = the customer's purchase order number (look for "PO", "P.O.", "Purchase Order #", "Order No").
-- lineItems = each distinct item ordered. description = the full item text as written. shape = angle/beam/channel/flat bar/pipe/tube/tee/plate/other if identifiable. dimensions = size text like "1-1/2 x 1-1/2 x 1/4" or "4 x 1/4". diameter = ring/roll diameter or ID if stated (e.g. "24\\" ID"). quantity = number ordered; unit = pcs/rings/lengths/ft if stated.
+- lineItems = each distinct item ordered. description = the full item text as written. partNumber = the customer's own part/item number for the line, rev = its drawing revision, if given. shape = angle/beam/channel/flat bar/pipe/tube/tee/plate/other if identifiable. dimensions = size text like "1-1/2 x 1-1/2 x 1/4" or "4 x 1/4". diameter = ring/roll diameter or ID if stated (e.g. "24\\" ID"). quantity = number ordered; unit = pcs/rings/lengths/ft if stated.
 - Preserve fractions and units exactly as written; do not convert or round.
 - confidence = your overall confidence in the read: high for a clean typed PO, low for a blurry/handwritten photo.
 - Use null for any field not present. Never invent a PO number or client.`;
@@ -117,7 +118,7 @@ function nameSimilarity(a, b) {
 /**
  * Score open estimates against extracted PO data.
  * @param {object} po  extracted PO { clientName, poNumber, lineItems[] }
- * @param {Array} estimates  each { id, estimateNumber, clientName, clientPurchaseOrderNumber, status, parts:[{materialDescription, quantity, formData}] }
+ * @param {Array} estimates  each { id, estimateNumber, clientName, clientPurchaseOrderNumber, status, parts:[{clientPartNumber, materialDescription, quantity, formData}] }
  * @returns {Array} ranked candidates [{ estimateId, estimateNumber, clientName, status, score, reasons[] }]
  */
 function matchEstimates(po, estimates) {
@@ -128,6 +129,7 @@ function matchEstimates(po, estimates) {
     for (const t of numTokens([li.description, li.dimensions, li.diameter].filter(Boolean).join(' '))) poNums.add(t);
   }
   const poPo = normText(po.poNumber);
+  const poPartNums = new Set(poItems.map(li => normalizePartNumber(li.partNumber)).filter(Boolean));
 
   const scored = estimates.map(est => {
     const reasons = [];
@@ -161,7 +163,19 @@ function matchEstimates(po, estimates) {
       reasons.push(`${overlap} of ${poNums.size} dimensions match`);
     }
 
-    // 4) Part-count agreement (soft signal).
+    // 4) Client part numbers: the customer's own numbers on the PO lines against the estimate's parts.
+    //    As strong as a PO number match when every line is found.
+    if (poPartNums.size) {
+      const estPartNums = new Set((est.parts || []).map(p => normalizePartNumber(p.clientPartNumber)).filter(Boolean));
+      let found = 0;
+      for (const pn of poPartNums) if (estPartNums.has(pn)) found++;
+      if (found) {
+        score += (found / poPartNums.size) * 40;
+        reasons.push(`${found} of ${poPartNums.size} part numbers match`);
+      }
+    }
+
+    // 5) Part-count agreement (soft signal).
     if (poItems.length && (est.parts || []).length) {
       if (poItems.length === est.parts.length) { score += 5; reasons.push(`Same number of items (${poItems.length})`); }
     }
@@ -0,0 +1,365 @@
+/**
+ * Price books — declarative labor pricing.
+ *
+ * A book is a dated list of rules. Books without a client are the shop's standard prices; a client's
+ * own books are consulted first, so their contracted prices and discounts win over the standard
+ * ones. Rule kinds:
+ *
+ *   contract  fixed labor each for a client part number or an exact spec. Stops there — no uplift,
+ *             discount or minimum is applied on top of a contracted price.
+ *   rate      setup + $/lb × billable weight × material factor (+ a flat perEach). The rate table
+ *             for a part type is a set of these, one per thickness / width band row.
+ *   adjust    percent up or down on a rate-priced line (client discount, stainless surcharge…).
+ *   minimum   least labor each for matching lines.
+ *
+ * contract and rate rules may carry quantityBreaks; the highest minQty not above the line quantity
+ * applies. Every priced line carries `trace`, one entry per rule that moved the number, so the
+ * estimator can see where a price came from.
+ *
+ * Matching uses the same units as the part forms: thickness/width/diameter in inches (fractions
+ * and gauges parse), billable width per pricingSuggest's width bands, material by grade text or
+ * family (carbon, stainless, aluminum).
+ */
+
+const crypto = require('crypto');
+const { parseNum, materialFamily, materialFactor, billableWeightLbs, widthBand } = require('./pricingSuggest');
+
+const getModels = () => require('../models');
+
+const RULE_KINDS = ['contract', 'rate', 'adjust', 'minimum'];
+const FAMILIES = ['carbon', 'stainless', 'aluminum'];
+const SERVICE_TYPES = ['fab_service', 'shop_rate', 'rush_service'];
+
+function bookError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const money = (v) => Math.round(v * 100) / 100;
+const num = (v) => (v === null || v === undefined || v === '' ? null : parseFloat(v));
+const dateOnly = (d) => (d ? new Date(d).toISOString().slice(0, 10) : new Date().toISOString().slice(0, 10));
+const normGrade = (s) => String(s || '').toLowerCase().replace(/[\s\-_/]/g, '');
+
+function inRange(value, min, max) {
+  if (min == null && max == null) return true;
+  if (value == null) return false;
+  return (min == null || value >= min) && (max == null || value <= max);
+}
+
+function effectiveOn(row, date) {
+  const from = row.effectiveFrom ? dateOnly(row.effectiveFrom) : null;
+  const to = row.effectiveTo ? dateOnly(row.effectiveTo) : null;
+  return (!from || from <= date) && (!to || to >= date);
+}
+
+// Part columns with formData laid under them, as the forms store them
+function partFields(part) {
+  const raw = part && part.dataValues ? part.dataValues : part || {};
+  const fd = raw.formData && typeof raw.formData === 'object' ? raw.formData : {};
+  const p = { ...fd, ...raw };
+  for (const k of Object.keys(fd)) if (p[k] === undefined || p[k] === null || p[k] === '') p[k] = fd[k];
+  const d = parseNum(p.diameter) || (parseNum(p.radius) ? parseNum(p.radius) * 2 : null)
+    || parseNum(p.innerDiameter) || parseNum(p.outerDiameter) || parseNum(p._coneLargeDia);
+  return {
+    partType: p.partType,
+    material: p.material || '',
+    clientPartNumber: p.clientPartNumber ? String(p.clientPartNumber).trim().toLowerCase() : null,
+    thickness: parseNum(p.thickness),
+    width: parseNum(p.width),
+    diameter: d || null,
+    quantity: Math.max(1, parseInt(p.quantity, 10) || 1),
+    part: p,
+  };
+}
+
+function materialMatches(material, list) {
+  if (!list || !list.length) return true;
+  const grade = normGrade(material);
+  const fam = materialFamily(material);
+  return list.some(m => (FAMILIES.includes(String(m).toLowerCase()) ? fam === String(m).toLowerCase() : grade.includes(normGrade(m))));
+}
+
+/**
+ * Whether a rule applies to a part. `f` is partFields(part).
+ */
+function ruleMatches(rule, f, date) {
+  if (rule.partTypes.length && !rule.partTypes.includes(f.partType)) return false;
+  if (!effectiveOn(rule, date)) return false;
+  const m = rule.match;
+  if (m.clientPartNumber && m.clientPartNumber.toLowerCase() !== f.clientPartNumber) return false;
+  if (!inRange(f.thickness, m.thicknessMin, m.thicknessMax)) return false;
+  if (!inRange(f.width, m.widthMin, m.widthMax)) return false;
+  if (!inRange(f.diameter, m.diameterMin, m.diameterMax)) return false;
+  if (!inRange(f.quantity, m.quantityMin, m.quantityMax)) return false;
+  return materialMatches(f.material, m.materials);
+}
+
+// Highest break whose minQty is at or below the quantity
+function quantityBreak(breaks, qty) {
+  let best = null;
+  for (const b of breaks || []) if (qty >= b.minQty && (!best || b.minQty > best.minQty)) best = b;
+  return best;
+}
+
+/**
+ * Validate and clean a book's rules. Unknown kinds and rules that can't price anything are refused.
+ */
+function normalizeRules(rules) {
+  if (rules == null) return [];
+  if (!Array.isArray(rules)) throw bookError('rules must be a list');
+  return rules.map((r, i) => {
+    const at = `Rule ${i + 1}${r && r.label ? ` (${r.label})` : ''}`;
+    if (!r || !RULE_KINDS.includes(r.kind)) throw bookError(`${at}: kind must be one of ${RULE_KINDS.join(', ')}`);
+    const m = r.match || {};
+    const rule = {
+      id: r.id || crypto.randomBytes(6).toString('hex'),
+      kind: r.kind,
+      label: r.label || null,
+      partTypes: [].concat(r.partTypes || r.partType || []).filter(Boolean),
+      match: {
+        clientPartNumber: m.clientPartNumber ? String(m.clientPartNumber).trim() : null,
+        materials: [].concat(m.materials || m.material || []).filter(Boolean),
+        thicknessMin: parseNum(m.thicknessMin), thicknessMax: parseNum(m.thicknessMax),
+        widthMin: parseNum(m.widthMin), widthMax: parseNum(m.widthMax),
+        diameterMin: parseNum(m.diameterMin), diameterMax: parseNum(m.diameterMax),
+        quantityMin: num(m.quantityMin), quantityMax: num(m.quantityMax),
+      },
+      effectiveFrom: r.effectiveFrom || null,
+      effectiveTo: r.effectiveTo || null,
+      notes: r.notes || null,
+    };
+    const breaks = (r.quantityBreaks || []).map(b => ({ minQty: parseInt(b.minQty, 10) || 1, percent: num(b.percent), price: num(b.price) }));
+    if (r.kind === 'contract') {
+      rule.price = num(r.price);
+      rule.quantityBreaks = breaks.filter(b => b.price != null);
+      if (!(rule.price >= 0) || rule.price === null) throw bookError(`${at}: contract price is required`);
+      if (!rule.match.clientPartNumber && !rule.partTypes.length) throw bookError(`${at}: a contract needs a client part number or a part type`);
+    } else if (r.kind === 'rate') {
+      rule.setup = num(r.setup) || 0;
+      rule.ratePerLb = num(r.ratePerLb) || 0;
+      rule.perEach = num(r.perEach) || 0;
+      // true = the shop's material difficulty factors, false = none, a number = that factor
+      rule.materialFactor = r.materialFactor === undefined || r.materialFactor === null ? true : r.materialFactor === false ? false : (num(r.materialFactor) || true);
+      rule.quantityBreaks = breaks.filter(b => b.percent != null);
+      if (!rule.ratePerLb && !rule.perEach && !rule.setup) throw bookError(`${at}: a rate needs ratePerLb, perEach or setup`);
+    } else if (r.kind === 'adjust') {
+      rule.percent = num(r.percent);
+      if (!rule.percent) throw bookError(`${at}: adjust needs a percent`);
+    } else {
+      rule.minimum = num(r.minimum);
+      if (!(rule.minimum > 0)) throw bookError(`${at}: minimum must be above zero`);
+    }
+    return rule;
+  });
+}
+
+/**
+ * Books that apply to a client on a date, client books first, then by priority and newest start.
+ * `books` are plain objects or model rows with { clientId, clientName, isActive, priority, effectiveFrom, effectiveTo, rules }.
+ */
+function applicableBooks(books, { clientId, clientName, date } = {}) {
+  const day = dateOnly(date);
+  const name = clientName ? String(clientName).trim().toLowerCase() : null;
+  const isClients = (b) => (clientId ? b.clientId === clientId : !!(name && b.clientName && b.clientName.trim().toLowerCase() === name));
+  return (books || [])
+    .map(b => (b && b.toJSON ? b.toJSON() : b))
+    .filter(b => b.isActive !== false && effectiveOn(b, day) && (!b.clientId || isClients(b)))
+    .sort((a, b) => (!!b.clientId - !!a.clientId) || ((b.priority || 0) - (a.priority || 0)) || String(b.effectiveFrom || '').localeCompare(String(a.effectiveFrom || '')));
+}
+
+const step = (book, rule, detail, each) => ({
+  step: rule ? rule.kind : 'config',
+  book: book ? book.name : null,
+  bookId: book ? book.id : null,
+  ruleId: rule ? rule.id : null,
+  rule: rule ? rule.label || rule.kind : null,
+  detail,
+  each: each == null ? null : money(each),
+});
+
+function firstMatch(books, kind, f, day) {
+  for (const book of books) {
+    for (const rule of book.rules || []) {
+      if (rule.kind === kind && ruleMatches(rule, f, day)) return { book, rule };
+    }
+  }
+  return null;
+}
+
+/**
+ * Labor price each for one part from the applicable books (see applicableBooks).
+ * opts: { date, materialFactors, isNewClient, newClientUpliftPct, minLaborCharge }.
+ * Returns { priced, source, laborEach, lineTotal, quantity, trace }; priced is false when no
+ * contract or rate rule covers the part.
+ */
+function priceLine(part, books, opts = {}) {
+  const f = partFields(part);
+  const day = dateOnly(opts.date);
+  const trace = [];
+  const result = (extra) => ({ priced: false, source: null, laborEach: null, lineTotal: null, quantity: f.quantity, trace, ...extra });
+
+  if (SERVICE_TYPES.includes(f.partType)) {
+    trace.push(step(null, null, `${f.partType} lines are priced by hand`, null));
+    return result();
+  }
+
+  const contract = firstMatch(books, 'contract', f, day);
+  if (contract) {
+    const { book, rule } = contract;
+    const brk = quantityBreak(rule.quantityBreaks, f.quantity);
+    const each = brk ? brk.price : rule.price;
+    trace.push(step(book, rule, brk
+      ? `Contracted $${each.toFixed(2)} each at ${brk.minQty}+ pcs`
+      : `Contracted $${each.toFixed(2)} each${rule.match.clientPartNumber ? ` for part ${rule.match.clientPartNumber}` : ''}`, each));
+    return result({ priced: true, source: 'contract', laborEach: money(each), lineTotal: money(each * f.quantity) });
+  }
+
+  const rate = firstMatch(books, 'rate', f, day);
+  if (!rate) {
+    trace.push(step(null, null, `No contract or rate rule covers this ${f.partType || 'part'}`, null));
+    return result();
+  }
+  const { book, rule } = rate;
+  let each;
+  if (rule.ratePerLb) {
+    const lbs = billableWeightLbs(f.part);
+    if (!lbs) {
+      trace.push(step(book, rule, 'Needs thickness, width and length (or diameter) to weigh the plate', null));
+      return result();
+    }
+    const factor = rule.materialFactor === false ? 1 : rule.materialFactor === true ? materialFactor(f.material, opts.materialFactors) : rule.materialFactor;
+    const band = widthBand(f.width);
+    each = rule.setup / f.quantity + rule.ratePerLb * lbs * factor + rule.perEach;
+    const parts = [`$${rule.ratePerLb}/lb × ${Math.round(lbs)} lb billable${band !== null ? ` (width band ${band + 1})` : ''}`];
+    if (factor !== 1) parts.push(`× ${factor} material factor${f.material ? ` (${f.material})` : ''}`);
+    if (rule.perEach) parts.push(`+ $${rule.perEach} each`);
+    if (rule.setup) parts.push(`+ $${rule.setup} setup / ${f.quantity} pcs`);
+    trace.push(step(book, rule, parts.join(' '), each));
+  } else {
+    each = rule.setup / f.quantity + rule.perEach;
+    trace.push(step(book, rule, `$${rule.perEach} each${rule.setup ? ` + $${rule.setup} setup / ${f.quantity} pcs` : ''}`, each));
+  }
+
+  const brk = quantityBreak(rule.quantityBreaks, f.quantity);
+  if (brk) {
+    each *= 1 - brk.percent / 100;
+    trace.push(step(book, rule, `Quantity break ${brk.minQty}+ pcs: ${brk.percent}% off`, each));
+  }
+
+  for (const b of books) {
+    for (const r of b.rules || []) {
+      if (r.kind !== 'adjust' || !ruleMatches(r, f, day)) continue;
+      each *= 1 + r.percent / 100;
+      trace.push(step(b, r, `${r.percent > 0 ? '+' : ''}${r.percent}%`, each));
+    }
+  }
+
+  const uplift = parseFloat(opts.newClientUpliftPct) || 0;
+  if (opts.isNewClient && uplift > 0) {
+    each *= 1 + uplift / 100;
+    trace.push(step(null, null, `New client +${uplift}% (pricing config)`, each));
+  }
+
+  let floor = parseFloat(opts.minLaborCharge) || 0;
+  let floorFrom = null;
+  for (const b of books) {
+    for (const r of b.rules || []) {
+      if (r.kind === 'minimum' && r.minimum > floor && ruleMatches(r, f, day)) { floor = r.minimum; floorFrom = { book: b, rule: r }; }
+    }
+  }
+  if (floor > 0 && each < floor) {
+    each = floor;
+    trace.push(floorFrom
+      ? step(floorFrom.book, floorFrom.rule, `Raised to the $${floor.toFixed(2)} minimum`, each)
+      : step(null, null, `Raised to the $${floor.toFixed(2)} minimum labor charge (pricing config)`, each));
+  }
+
+  return result({ priced: true, source: 'rate', laborEach: money(each), lineTotal: money(money(each) * f.quantity) });
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+async function loadPricingConfig() {
+  const { AppSettings } = getModels();
+  const cfg = { newClientUpliftPct: 0, minLaborCharge: 150, partTypes: {}, materialFactors: {} };
+  try {
+    const row = await AppSettings.findOne({ where: { key: 'pricing_config' } });
+    if (row && row.value) Object.assign(cfg, row.value);
+  } catch (e) { /* defaults */ }
+  return cfg;
+}
+
+/**
+ * Active books for a client (by id or name) plus the standard books, effective on `date`.
+ */
+async function loadBooks({ clientId, clientName, date } = {}) {
+  const { PriceBook, Client } = getModels();
+  const { Op } = require('sequelize');
+  let id = clientId || null;
+  if (!id && clientName) {
+    const client = await Client.findOne({ where: { name: clientName }, attributes: ['id'] });
+    if (client) id = client.id;
+  }
+  const rows = await PriceBook.findAll({ where: { isActive: true, clientId: id ? { [Op.or]: [null, id] } : null } });
+  return applicableBooks(rows, { clientId: id, clientName, date });
+}
+
+/**
+ * Price one part for a client: loads the books and the pricing config, then priceLine.
+ * opts.books skips the lookup; opts.isNewClient defaults to false.
+ */
+async function priceFor(part, { clientId, clientName, date, books, config, isNewClient } = {}) {
+  const cfg = config || await loadPricingConfig();
+  const partType = partFields(part).partType;
+  const typeCfg = (cfg.partTypes && cfg.partTypes[partType]) || {};
+  const list = books || await loadBooks({ clientId, clientName, date });
+  return priceLine(part, list, {
+    date,
+    materialFactors: cfg.materialFactors || {},
+    isNewClient: !!isNewClient,
+    newClientUpliftPct: cfg.newClientUpliftPct,
+    minLaborCharge: typeCfg.minCharge || cfg.minLaborCharge,
+  });
+}
+
+async function saveBook(id, body, by) {
+  const { PriceBook, Client } = getModels();
+  const book = id ? await PriceBook.findByPk(id) : null;
+  if (id && !book) throw bookError('Price book not found', 404);
+  const fields = {};
+  for (const k of ['name', 'notes', 'priority', 'isActive', 'effectiveFrom', 'effectiveTo']) if (body[k] !== undefined) fields[k] = body[k] === '' ? null : body[k];
+  if (body.rules !== undefined) fields.rules = normalizeRules(body.rules);
+  if (body.clientId !== undefined) {
+    fields.clientId = body.clientId || null;
+    fields.clientName = null;
+    if (fields.clientId) {
+      const client = await Client.findByPk(fields.clientId);
+      if (!client) throw bookError('Client not found', 404);
+      fields.clientName = client.name;
+    }
+  }
+  if (!id && !fields.name) throw bookError('name is required');
+  const from = fields.effectiveFrom !== undefined ? fields.effectiveFrom : book && book.effectiveFrom;
+  const to = fields.effectiveTo !== undefined ? fields.effectiveTo : book && book.effectiveTo;
+  if (from && to && dateOnly(to) < dateOnly(from)) throw bookError('effectiveTo is before effectiveFrom');
+  if (book) {
+    await book.update({ ...fields, updatedBy: by || null });
+    return book;
+  }
+  return PriceBook.create({ rules: [], ...fields, createdBy: by || null, updatedBy: by || null });
+}
+
+module.exports = {
+  RULE_KINDS,
+  normalizeRules,
+  ruleMatches,
+  applicableBooks,
+  priceLine,
+  loadPricingConfig,
+  loadBooks,
+  priceFor,
+  saveBook,
+};
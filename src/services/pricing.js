@@ -133,19 +133,61 @@ function calculateMinimumAdjustment(parts, minimumOverride, laborMinimums) {
   };
 }
 
-// Calculate full order totals (parts + minimum + discount + tax + trucking)
+// Price one order line, with where its number came from. A line that already has a price keeps it —
+// a quoted price is never re-priced behind the estimator's back. A line with no labor yet is priced
+// from the price books (services/priceBooks.js) when a rule covers it.
+function priceOrderLine(part, books, bookOpts) {
+  const stored = calculatePartTotal(part);
+  const line = { partId: part.id || null, partNumber: part.partNumber || null, partType: part.partType, source: 'stored', total: stored, trace: [] };
+  if (['fab_service', 'shop_rate', 'rush_service'].includes(part.partType) || basePartLaborEach(part) > 0 || !books || !books.length) {
+    line.trace.push({ step: 'stored', detail: 'Price entered on the line', each: null });
+    return { line, part };
+  }
+  const priced = require('./priceBooks').priceLine(part, books, bookOpts);
+  if (!priced.priced) {
+    line.trace = priced.trace;
+    return { line, part };
+  }
+  const fd = part.formData && typeof part.formData === 'object' ? part.formData : {};
+  const pricedPart = { ...part, partTotal: null, laborTotal: priced.laborEach, formData: { ...fd, _baseLaborTotal: priced.laborEach } };
+  return {
+    line: { ...line, source: priced.source, laborEach: priced.laborEach, total: calculatePartTotal(pricedPart), trace: priced.trace },
+    part: pricedPart,
+  };
+}
+
+// Calculate full order totals (parts + minimum + discount + tax + trucking).
+// orderData may carry clientId/clientName and pricingDate for the price books, or `books` already
+// resolved (see priceBooks.applicableBooks). Returns `lines` with each line's total and trace.
 async function calculateOrderTotals(parts, orderData) {
   const minimums = await loadLaborMinimums();
-  
+
+  let books = orderData.books || null;
+  let bookOpts = { date: orderData.pricingDate, materialFactors: {} };
+  if (!books && parts.some(p => !basePartLaborEach(p))) {
+    try {
+      const priceBooks = require('./priceBooks');
+      const cfg = await priceBooks.loadPricingConfig();
+      books = await priceBooks.loadBooks({ clientId: orderData.clientId, clientName: orderData.clientName, date: orderData.pricingDate });
+      // No per-line minLaborCharge here: the order's labor minimums below already cover small jobs
+      bookOpts = { ...bookOpts, materialFactors: cfg.materialFactors || {} };
+    } catch (e) { books = null; }
+  }
+
   // Parts subtotal
+  const lines = [];
+  const pricedParts = [];
   let partsSubtotal = 0;
   for (const part of parts) {
-    partsSubtotal += calculatePartTotal(part);
+    const { line, part: priced } = priceOrderLine(part, books, bookOpts);
+    lines.push(line);
+    pricedParts.push(priced);
+    partsSubtotal += line.total;
   }
   partsSubtotal = Math.round(partsSubtotal * 100) / 100;
 
   // Minimum labor adjustment
-  const minInfo = calculateMinimumAdjustment(parts, orderData.minimumOverride, minimums);
+  const minInfo = calculateMinimumAdjustment(pricedParts, orderData.minimumOverride, minimums);
   if (minInfo.applies) {
     partsSubtotal += minInfo.adjustment;
     partsSubtotal = Math.round(partsSubtotal * 100) / 100;
@@ -183,7 +225,8 @@ async function calculateOrderTotals(parts, orderData) {
     taxableAmount,
     taxRate,
     taxAmount,
-    grandTotal
+    grandTotal,
+    lines
   };
 }
 
@@ -206,12 +249,18 @@ const ORDER_FIELD_MAP = {
   taxExemptReason: 'taxExemptReason',
   taxExemptCertNumber: 'taxExemptCertNumber',
   taxAmount: 'taxAmount',
+  shipToAddress: 'shipToAddress',
+  taxJurisdiction: 'taxJurisdiction',
   // Minimums & discounts
   minimumOverride: 'minimumOverride',
   minimumOverrideReason: 'minimumOverrideReason',
   discountPercent: 'discountPercent',
   discountAmount: 'discountAmount',
   discountReason: 'discountReason',
+  // Currency — the quote rate travels with the order
+  currency: 'currency',
+  exchangeRate: 'exchangeRate',
+  exchangeRateAt: 'exchangeRateAt',
   // Notes
   notes: 'notes',
   internalNotes: 'internalNotes'
@@ -405,10 +454,12 @@ function buildWorkOrderPartFromEstimate(estimatePart) {
 
 module.exports = {
   roundUpMaterial,
+  basePartLaborEach,
   calculatePartTotal,
   partBreakdown,
   loadLaborMinimums,
   calculateMinimumAdjustment,
+  priceOrderLine,
   calculateOrderTotals,
   buildWorkOrderFromEstimate,
   buildWorkOrderPartFromEstimate,
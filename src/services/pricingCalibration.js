@@ -163,4 +163,47 @@ function fitFromWorksheet(partType, rows, answers) {
   };
 }
 
-module.exports = { buildWorksheet, fitFromWorksheet, MATERIALS_TO_CALIBRATE, DEFAULT_MATERIAL_FACTORS };
+// LABOR FROM THE TIME CLOCK
+//
+// The worksheet teaches price from the owner's judgement; the time clock teaches hours from the shop
+// floor. For every completed part that was clocked and had quoted laborHours, compare the two per
+// part type. The median ratio (actual / quoted) is what to multiply quoted hours by — a median so one
+// forgotten clock or one disaster job doesn't swing it.
+
+function median(values) {
+  if (!values.length) return null;
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+/**
+ * parts: [{ partType, laborHours, actualMinutes }]. Parts missing either side are skipped.
+ */
+function laborFromActuals(parts) {
+  const byType = {};
+  for (const p of parts || []) {
+    const quoted = parseFloat(p.laborHours);
+    const actual = parseFloat(p.actualMinutes) / 60;
+    if (!(quoted > 0) || !(actual > 0)) continue;
+    const pt = p.partType || 'other';
+    const t = byType[pt] || (byType[pt] = { partType: pt, parts: 0, quotedHours: 0, actualHours: 0, ratios: [] });
+    t.parts++;
+    t.quotedHours += quoted;
+    t.actualHours += actual;
+    t.ratios.push(actual / quoted);
+  }
+  return Object.values(byType).map(t => {
+    const ratio = median(t.ratios);
+    return {
+      partType: t.partType,
+      parts: t.parts,
+      quotedHours: Math.round(t.quotedHours * 100) / 100,
+      actualHours: Math.round(t.actualHours * 100) / 100,
+      medianRatio: Math.round(ratio * 100) / 100,
+      message: `${t.parts} clocked part${t.parts === 1 ? '' : 's'}: actual runs ${Math.round(ratio * 100)}% of quoted hours (median)`
+    };
+  }).sort((a, b) => b.parts - a.parts);
+}
+
+module.exports = { buildWorksheet, fitFromWorksheet, laborFromActuals, MATERIALS_TO_CALIBRATE, DEFAULT_MATERIAL_FACTORS };
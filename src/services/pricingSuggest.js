@@ -125,6 +125,12 @@ function plateDims(part) {
 }
 
 function weightLbs(part) {
+  // Rolled parts weigh what their blank weighs — cones and sections especially, which the plate
+  // formula below gets badly wrong. Required here, not at the top: rollingGeometry uses this module.
+  try {
+    const geo = require('./rollingGeometry').partGeometry(part);
+    if (geo && geo.weightLbs != null) return geo.weightLbs;
+  } catch (e) { /* impossible geometry — fall back on the plate estimate */ }
   const { t, w, l } = plateDims(part);
   if (!t || !w || !l) return null;
   const d = DENSITY[materialFamily(part.material)] !== undefined ? DENSITY[materialFamily(part.material)] : DENSITY.carbon;
@@ -236,7 +242,37 @@ async function suggestPrice(target, opts = {}) {
     });
   }
 
+  // Price books come first: a contracted price or a rate the owner wrote down beats any fit below.
+  // The history numbers are still returned alongside so the estimator can compare.
+  const fromBook = async (isNewClient) => {
+    try {
+      const { priceFor } = require('./priceBooks');
+      const line = await priceFor(target, {
+        clientId: target.clientId, clientName: target.clientName, date: opts.date, books: opts.books, isNewClient,
+        config: { newClientUpliftPct: upliftPct, minLaborCharge: minCharge, materialFactors: matFactors },
+      });
+      return line.priced ? line : null;
+    } catch (e) {
+      console.warn('[price-suggestion] price book skipped:', e.message);
+      return null;
+    }
+  };
+
   if (!comps.length || !tBillable) {
+    // No wins at all means no prior wins for this client either
+    const book = await fromBook(!!target.clientName && upliftPct > 0);
+    if (book) {
+      return Object.assign({}, base, {
+        found: 0,
+        confidence: 'price_book',
+        suggested: book.laborEach,
+        quantity: book.quantity,
+        jobTotal: book.lineTotal,
+        priceBook: book,
+        explain: book.trace,
+        message: 'Priced from the price book — no comparable won jobs to check it against.'
+      });
+    }
     return Object.assign({}, base, {
       found: 0,
       confidence: 'none',
@@ -324,6 +360,20 @@ async function suggestPrice(target, opts = {}) {
 
   const confidence = rates.length >= 8 ? 'good' : rates.length >= 3 ? 'fair' : 'thin';
 
+  const historyTrace = [
+    { step: 'history', detail: fitted && !ov.enabled
+      ? `$${Math.round(setup)} setup + $${Math.round(rate * 10000) / 10000}/lb fitted on ${top.length} won jobs`
+      : ov.enabled ? 'Setup and $/lb from the part-type override (pricing config)' : `Median $/lb of ${top.length} won jobs`,
+      each: Math.round(predicted * 100) / 100 },
+  ];
+  if (lean > 1) historyTrace.push({ step: 'history', detail: `Leaned +${Math.round((lean - 1) * 100)}% toward what has been won above the line`, each: Math.round(predicted * lean * 100) / 100 });
+  if (predicted * lean < minCharge) historyTrace.push({ step: 'config', detail: `Raised to the $${minCharge.toFixed(2)} minimum labor charge (pricing config)`, each: minCharge });
+  if (isNewClient) historyTrace.push({ step: 'config', detail: `New client +${upliftPct}% (pricing config)`, each: Math.round(suggested * 100) / 100 });
+
+  const book = await fromBook(isNewClient);
+  const historySuggested = suggested;
+  if (book) suggested = book.laborEach;
+
   return Object.assign({}, base, {
     found: rates.length,
     confidence,
@@ -345,6 +395,9 @@ async function suggestPrice(target, opts = {}) {
     minCharge,
     isNewClient,
     upliftPct: isNewClient ? upliftPct : 0,
+    priceBook: book,
+    historySuggested: Math.round(historySuggested * 100) / 100,
+    explain: book ? book.trace : historyTrace,
     samples: top.slice(0, 6).map(c => ({
       labor: c.labor,
       qty: c.qty,
@@ -360,4 +413,4 @@ async function suggestPrice(target, opts = {}) {
   });
 }
 
-module.exports = { suggestPrice, materialFamily, materialFactor, DEFAULT_MATERIAL_FACTORS, parseNum, weightLbs, billableWeightLbs, widthBand };
+module.exports = { suggestPrice, DENSITY, materialFamily, materialFactor, DEFAULT_MATERIAL_FACTORS, parseNum, plateDims, weightLbs, billableWeightLbs, widthBand };
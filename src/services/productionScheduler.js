@@ -0,0 +1,535 @@
+/**
+ * Finite-capacity production scheduler.
+ *
+ * Takes every open WorkOrderPart, the operators who can run them and each operator's working
+ * calendar, and lays the work out hour by hour so every part gets a proposed start and finish.
+ * Anything that finishes after the end of its promised day is flagged late. The office reviews
+ * the plan and, when happy with it, accepts it into the operator queues (assignedOperator /
+ * assignedSequence on the work order) that the tablets already read.
+ *
+ * How it decides:
+ *   - Work orders are taken in priority order, then by promised date (earliest first, undated
+ *     last), then by DR number. The queue on the tablet is per work order, so all of a work
+ *     order's parts go to ONE operator and run back to back in part-number order.
+ *   - A work order already assigned to an operator stays with them (unless `reassign` is set);
+ *     otherwise it goes to whichever operator would finish it soonest.
+ *   - Duration is the sum of the part's routing step hours, else its laborHours. A part with no labor estimate is planned at
+ *     DEFAULT_PART_HOURS and marked `estimated: true` so nobody mistakes the guess for a quote.
+ *     Time already clocked on the part (actualRunTimeMin) comes off, earliest steps first, so only
+ *     what is left to run is planned.
+ *   - Each routed step runs on its work center, so it only lands where the operator's hours and the
+ *     machine's hours (the shop days at the machine's own hoursPerDay) overlap, never inside the
+ *     machine's downtime, and never while the machine is still busy with an earlier job.
+ *
+ * The planning math is pure so it can be unit tested; the only database access is in
+ * runSchedule / acceptSchedule / the calendar helpers at the bottom.
+ */
+
+const getModels = () => require('../models');
+
+const SCHEDULE_KEY = 'production_schedule';
+const CALENDAR_KEY = 'production_calendar';
+
+const DONE_STATUSES = ['completed', 'stored', 'shipped', 'archived'];
+// Lines that put no hours on a machine: rush is a surcharge, fab service goes out to a vendor
+const NON_SHOP_TYPES = ['rush_service', 'fab_service'];
+const PRIORITY_RANK = { urgent: 0, rush: 0, high: 1, normal: 2, low: 3 };
+const DEFAULT_PART_HOURS = 1;
+// Safety stop for a calendar with no working time at all — never loop forever looking for it
+const MAX_PLAN_DAYS = 366;
+
+// Shift hours, workdays and promised dates are the shop's wall clock, whatever zone the server runs in
+const SHOP_TZ = 'America/Los_Angeles';
+const HOUR_MS = 3600000;
+
+const DEFAULT_CALENDAR = {
+  shop: {
+    workdays: [1, 2, 3, 4, 5], // Mon–Fri (0 = Sunday, as Date#getDay)
+    startHour: 7,
+    hoursPerDay: 8,
+    holidays: [],              // 'YYYY-MM-DD'
+  },
+  resources: {},               // { [operatorName]: { hoursPerDay, workdays, startHour, daysOff: [], active } }
+};
+
+const shopFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: SHOP_TZ, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+});
+
+// The shop's wall clock at an instant: { year, month, day, hour, minute, second }
+function shopClock(d) {
+  const parts = {};
+  for (const { type, value } of shopFormat.formatToParts(d)) if (type !== 'literal') parts[type] = parseInt(value, 10);
+  return parts;
+}
+
+// 'YYYY-MM-DD' of an instant, in the shop's time zone
+function ymd(d) {
+  const { year, month, day } = shopClock(d);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Day of the week (0 = Sunday) of a 'YYYY-MM-DD'
+const weekday = (day) => new Date(day + 'T00:00:00Z').getUTCDay();
+const nextDay = (day) => new Date(Date.parse(day + 'T00:00:00Z') + 24 * HOUR_MS).toISOString().slice(0, 10);
+
+/**
+ * The instant the shop's clock reads `hours` past midnight on `day` ('YYYY-MM-DD'). The zone's
+ * offset is read at the guess and again at the answer, so days that change clocks come out right.
+ */
+function shopTime(day, hours) {
+  const wall = Date.parse(day + 'T00:00:00Z') + hours * HOUR_MS;
+  const offsetAt = (t) => {
+    const c = shopClock(new Date(t));
+    return Date.UTC(c.year, c.month - 1, c.day, c.hour, c.minute, c.second) - Math.floor(t / 1000) * 1000;
+  };
+  let t = wall - offsetAt(wall);
+  t = wall - offsetAt(t);
+  return new Date(t);
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Merge the shop defaults with one resource's overrides. Missing fields fall back to the shop.
+ */
+function resourceCalendar(calendar, name) {
+  const shop = Object.assign({}, DEFAULT_CALENDAR.shop, (calendar && calendar.shop) || {});
+  const own = (calendar && calendar.resources && calendar.resources[name]) || {};
+  return {
+    workdays: Array.isArray(own.workdays) ? own.workdays : shop.workdays,
+    startHour: own.startHour != null ? Number(own.startHour) : Number(shop.startHour),
+    hoursPerDay: own.hoursPerDay != null ? Number(own.hoursPerDay) : Number(shop.hoursPerDay),
+    daysOff: new Set([...(shop.holidays || []), ...(own.daysOff || [])]),
+  };
+}
+
+// Working hours a calendar offers on a given day — a 'YYYY-MM-DD' or any instant in it (0 on
+// weekends, holidays and days off)
+function hoursOn(cal, day) {
+  const date = typeof day === 'string' ? day : ymd(day);
+  if (!cal.workdays.includes(weekday(date))) return 0;
+  if (cal.daysOff.has(date)) return 0;
+  return Math.max(0, cal.hoursPerDay);
+}
+
+// A machine keeps the shop's days and start hour, for its own hoursPerDay when it has one
+function machineCalendar(calendar, center) {
+  const cal = resourceCalendar(calendar, null);
+  const own = parseFloat(center && center.hoursPerDay);
+  if (!isNaN(own)) cal.hoursPerDay = own;
+  return cal;
+}
+
+/**
+ * The working stretches of `day` as [{ start, end }] in time order. With a machine
+ * ({ cal, downtime: [{ startAt, endAt }] }) the operator's window is narrowed to the machine's
+ * and cut around its downtime.
+ */
+function windowsOn(cal, day, machine) {
+  const available = hoursOn(cal, day);
+  if (!available) return [];
+  let start = shopTime(day, cal.startHour);
+  let end = shopTime(day, cal.startHour + available);
+  if (!machine) return [{ start, end }];
+
+  const own = hoursOn(machine.cal, day);
+  if (!own) return [];
+  const machineStart = shopTime(day, machine.cal.startHour);
+  const machineEnd = shopTime(day, machine.cal.startHour + own);
+  if (machineStart > start) start = machineStart;
+  if (machineEnd < end) end = machineEnd;
+  if (end <= start) return [];
+
+  let windows = [{ start, end }];
+  for (const d of machine.downtime || []) {
+    const downFrom = new Date(d.startAt);
+    const downUntil = new Date(d.endAt);
+    windows = windows.flatMap(w => {
+      if (downUntil <= w.start || downFrom >= w.end) return [w];
+      const left = [];
+      if (downFrom > w.start) left.push({ start: w.start, end: downFrom });
+      if (downUntil < w.end) left.push({ start: downUntil, end: w.end });
+      return left;
+    });
+  }
+  return windows;
+}
+
+/**
+ * Walk `hours` of work forward from `from` through the calendar's working windows — and the
+ * machine's, when one is given (see windowsOn).
+ * Returns { start, finish } — start is snapped forward to the first working moment.
+ */
+function placeWork(cal, from, hours, machine = null) {
+  let cursor = new Date(from);
+  let day = ymd(cursor);
+  let start = null;
+  let remaining = Math.max(0, hours);
+
+  for (let i = 0; i <= MAX_PLAN_DAYS; i++) {
+    for (const w of windowsOn(cal, day, machine)) {
+      if (cursor >= w.end) continue;
+      const at = cursor < w.start ? w.start : cursor;
+      if (!start) start = at;
+      const free = (w.end - at) / HOUR_MS;
+      if (remaining <= free) {
+        return { start, finish: new Date(at.getTime() + remaining * HOUR_MS) };
+      }
+      remaining -= free;
+    }
+    // Next calendar day, the shop's midnight
+    day = nextDay(day);
+    cursor = shopTime(day, 0);
+  }
+  const err = new Error(`No working time within ${MAX_PLAN_DAYS} days — check the production calendar`);
+  err.status = 400;
+  throw err;
+}
+
+// Latest moment a job can finish and still count as on time: end of the promised day
+function dueBy(promisedDate) {
+  if (!promisedDate) return null;
+  const day = String(promisedDate).slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || isNaN(Date.parse(day + 'T00:00:00Z'))) return null;
+  return new Date(shopTime(nextDay(day), 0).getTime() - 1);
+}
+
+/**
+ * What is left to run on a part, step by step: [{ workCenterId, hours }]. Routed steps carry their
+ * own hours; otherwise the part's laborHours covers the whole job on its first routed machine.
+ * Clocked time comes off the earliest steps first, and finished steps drop out.
+ */
+function partWork(part) {
+  const routing = Array.isArray(part.routing) ? part.routing.filter(Boolean) : [];
+  const routed = routing.reduce((sum, st) => sum + (parseFloat(st.hours) || 0), 0);
+  let estimated = false;
+  let steps;
+  if (routed > 0) {
+    steps = routing.map(st => ({ workCenterId: st.workCenterId || null, hours: parseFloat(st.hours) || 0 }));
+  } else {
+    const h = parseFloat(part.laborHours);
+    estimated = isNaN(h) || h <= 0;
+    steps = [{ workCenterId: (routing[0] && routing[0].workCenterId) || null, hours: estimated ? DEFAULT_PART_HOURS : h }];
+  }
+
+  const clockedHours = Math.max(0, parseFloat(part.actualRunTimeMin) || 0) / 60;
+  let clocked = clockedHours;
+  for (const st of steps) {
+    const done = Math.min(clocked, st.hours);
+    st.hours -= done;
+    clocked -= done;
+  }
+  const left = steps.filter(st => st.hours > 0);
+  return {
+    steps: left,
+    hours: left.reduce((sum, st) => sum + st.hours, 0),
+    clockedHours,
+    estimated,
+  };
+}
+
+function compareWorkOrders(a, b) {
+  const pa = PRIORITY_RANK[a.priority] ?? PRIORITY_RANK.normal;
+  const pb = PRIORITY_RANK[b.priority] ?? PRIORITY_RANK.normal;
+  if (pa !== pb) return pa - pb;
+  const da = a.promisedDate ? String(a.promisedDate) : '9999-12-31';
+  const db = b.promisedDate ? String(b.promisedDate) : '9999-12-31';
+  if (da !== db) return da < db ? -1 : 1;
+  // Keep an operator's existing queue order when everything else ties
+  const sa = a.assignedSequence ?? Infinity;
+  const sb = b.assignedSequence ?? Infinity;
+  if (sa !== sb) return sa - sb;
+  return (Number(a.drNumber) || 0) - (Number(b.drNumber) || 0);
+}
+
+/**
+ * Build a plan. Pure — no database.
+ *
+ * workOrders: [{ id, drNumber, orderNumber, clientName, promisedDate, priority, assignedOperator,
+ *                assignedSequence, parts: [{ id, partNumber, partType, laborHours, status, routing }] }]
+ *                actualRunTimeMin
+ * resources:  ['Ray', 'Luis', ...] — operator names
+ * machines:   [{ id, hoursPerDay, downtime: [{ startAt, endAt }] }] — the work centers routing
+ *             steps name; a step on a machine not listed is planned on the operator's hours alone
+ * calendar:   { shop, resources } as stored under production_calendar
+ * start:      Date the plan starts from (defaults to now)
+ */
+function buildSchedule({ workOrders = [], resources = [], machines = [], calendar = DEFAULT_CALENDAR, start = new Date(), reassign = false } = {}) {
+  const cals = {};
+  const cursor = {};
+  const loadHours = {};
+  for (const name of resources) {
+    cals[name] = resourceCalendar(calendar, name);
+    cursor[name] = new Date(start);
+    loadHours[name] = 0;
+  }
+  const machineCals = new Map(machines.map(m => [m.id, { cal: machineCalendar(calendar, m), downtime: m.downtime || [] }]));
+  // When each machine is next free
+  let machineFree = new Map();
+
+  const plannedParts = [];
+  const plannedOrders = [];
+  const unscheduled = [];
+
+  const ordered = [...workOrders].sort(compareWorkOrders);
+  for (const wo of ordered) {
+    const dr = wo.drNumber || wo.orderNumber || null;
+    const parts = (wo.parts || [])
+      .filter(p => p.status !== 'completed' && !NON_SHOP_TYPES.includes(p.partType))
+      .sort((a, b) => (a.partNumber || 0) - (b.partNumber || 0));
+    if (!parts.length) continue;
+
+    if (!resources.length) {
+      unscheduled.push({ workOrderId: wo.id, dr, reason: 'No operators available to schedule against' });
+      continue;
+    }
+
+    // Keep the current operator if they are still schedulable; otherwise pick the earliest finish
+    let candidates = resources;
+    if (!reassign && wo.assignedOperator && resources.includes(wo.assignedOperator)) {
+      candidates = [wo.assignedOperator];
+    }
+
+    let best = null;
+    for (const name of candidates) {
+      let at = cursor[name];
+      const busy = new Map(machineFree);
+      const placed = [];
+      for (const p of parts) {
+        const { steps, hours, clockedHours, estimated } = partWork(p);
+        let first = null;
+        for (const st of steps.length ? steps : [{ workCenterId: null, hours: 0 }]) {
+          const machine = machineCals.get(st.workCenterId) || null;
+          const from = machine && busy.get(st.workCenterId) > at ? busy.get(st.workCenterId) : at;
+          const slot = placeWork(cals[name], from, st.hours, machine);
+          if (!first) first = slot.start;
+          at = slot.finish;
+          if (machine) busy.set(st.workCenterId, at);
+        }
+        placed.push({ part: p, hours, clockedHours, estimated, start: first, finish: at });
+      }
+      if (!best || at < best.finish) best = { operator: name, finish: at, placed, busy };
+    }
+
+    const due = dueBy(wo.promisedDate);
+    const late = !!(due && best.finish > due);
+    cursor[best.operator] = best.finish;
+    machineFree = best.busy;
+
+    let orderHours = 0;
+    for (const pl of best.placed) {
+      orderHours += pl.hours;
+      plannedParts.push({
+        partId: pl.part.id,
+        workOrderId: wo.id,
+        dr,
+        partNumber: pl.part.partNumber,
+        partType: pl.part.partType || null,
+        workCenter: (Array.isArray(pl.part.routing) && pl.part.routing[0] && pl.part.routing[0].workCenterName) || null,
+        operator: best.operator,
+        hours: round2(pl.hours),
+        clockedHours: round2(pl.clockedHours),
+        estimated: pl.estimated,
+        start: pl.start.toISOString(),
+        finish: pl.finish.toISOString(),
+        late: !!(due && pl.finish > due),
+      });
+    }
+    loadHours[best.operator] += orderHours;
+
+    plannedOrders.push({
+      workOrderId: wo.id,
+      dr,
+      clientName: wo.clientName || null,
+      promisedDate: wo.promisedDate || null,
+      priority: wo.priority || 'normal',
+      operator: best.operator,
+      currentOperator: wo.assignedOperator || null,
+      hours: round2(orderHours),
+      start: best.placed[0].start.toISOString(),
+      finish: best.finish.toISOString(),
+      late,
+      daysLate: late ? Math.ceil((best.finish - due) / 86400000) : 0,
+    });
+  }
+
+  // Sequence per operator in planned start order — this is what accept writes to the queue
+  const seq = {};
+  plannedOrders.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+  for (const o of plannedOrders) {
+    seq[o.operator] = (seq[o.operator] ?? -1) + 1;
+    o.sequence = seq[o.operator];
+  }
+
+  const operators = resources.map(name => ({
+    operator: name,
+    plannedHours: round2(loadHours[name]),
+    freeAt: cursor[name].toISOString(),
+  }));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    start: new Date(start).toISOString(),
+    operators,
+    workOrders: plannedOrders,
+    parts: plannedParts,
+    unscheduled,
+    lateCount: plannedOrders.filter(o => o.late).length,
+  };
+}
+
+/**
+ * Working hours the whole floor offers per working day, from the calendar. Used where a single
+ * rough number is still wanted (Ginger's fallback when no plan has been run).
+ */
+function dailyCapacityHours(calendar, resources) {
+  if (!resources || !resources.length) return 0;
+  return resources.reduce((sum, name) => sum + Math.max(0, resourceCalendar(calendar, name).hoursPerDay), 0);
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+async function getCalendar() {
+  const { AppSettings } = getModels();
+  const row = await AppSettings.findOne({ where: { key: CALENDAR_KEY } });
+  const value = row ? row.value || {} : {};
+  return {
+    shop: Object.assign({}, DEFAULT_CALENDAR.shop, value.shop || {}),
+    resources: value.resources || {},
+  };
+}
+
+async function saveCalendar(calendar) {
+  const { AppSettings } = getModels();
+  const value = {
+    shop: Object.assign({}, DEFAULT_CALENDAR.shop, (calendar && calendar.shop) || {}),
+    resources: (calendar && calendar.resources) || {},
+  };
+  await AppSettings.upsert({ key: CALENDAR_KEY, value });
+  return value;
+}
+
+// Operators are the tablet API keys with an operator name, minus anyone switched off in the calendar
+async function getSchedulableOperators(calendar) {
+  const { ApiKey } = getModels();
+  const keys = await ApiKey.findAll({ where: { isActive: true }, attributes: ['operatorName'] });
+  const names = new Set();
+  keys.forEach(k => { const n = (k.operatorName || '').trim(); if (n) names.add(n); });
+  const res = (calendar && calendar.resources) || {};
+  return [...names].filter(n => !(res[n] && res[n].active === false)).sort((a, b) => a.localeCompare(b));
+}
+
+// Open work with each part routed the way machineLoad routes it (its own routing, else the default machine)
+async function loadOpenWorkOrders(centers) {
+  const { WorkOrder, WorkOrderPart } = getModels();
+  const { Op } = require('sequelize');
+  const { effectiveRouting } = require('./workCenters');
+  const rows = await WorkOrder.findAll({
+    where: { status: { [Op.notIn]: DONE_STATUSES }, isVoided: { [Op.not]: true } },
+    attributes: ['id', 'drNumber', 'orderNumber', 'clientName', 'promisedDate', 'priority', 'assignedOperator', 'assignedSequence'],
+    include: [{
+      model: WorkOrderPart, as: 'parts',
+      attributes: ['id', 'partNumber', 'partType', 'laborHours', 'actualRunTimeMin', 'status', 'routing',
+        'thickness', 'width', 'length', 'diameter', 'radius', 'innerDiameter', 'outerDiameter', 'material'],
+    }],
+  });
+  return rows.map(w => {
+    const order = w.toJSON();
+    order.parts = (order.parts || []).map(p => ({ ...p, routing: effectiveRouting(p, centers) }));
+    return order;
+  });
+}
+
+// Active machines with their downtime from `from` on
+async function loadMachines(centers, from) {
+  const { WorkCenterDowntime } = getModels();
+  const { Op } = require('sequelize');
+  const downtime = await WorkCenterDowntime.findAll({ where: { endAt: { [Op.gt]: from } } });
+  return centers.map(c => ({
+    id: c.id,
+    hoursPerDay: c.hoursPerDay,
+    downtime: downtime.filter(d => d.workCenterId === c.id).map(d => ({ startAt: d.startAt, endAt: d.endAt })),
+  }));
+}
+
+// Compute a fresh plan and store it as the current proposal. Nothing is assigned until accepted.
+async function runSchedule({ start, reassign = false, operators } = {}) {
+  const { AppSettings } = getModels();
+  const { getActiveCenters } = require('./workCenters');
+  const from = start ? new Date(start) : new Date();
+  const calendar = await getCalendar();
+  const resources = Array.isArray(operators) && operators.length ? operators : await getSchedulableOperators(calendar);
+  const centers = await getActiveCenters();
+  const workOrders = await loadOpenWorkOrders(centers);
+  const machines = await loadMachines(centers, from);
+  const plan = buildSchedule({ workOrders, resources, machines, calendar, start: from, reassign });
+  plan.acceptedAt = null;
+  plan.acceptedBy = null;
+  await AppSettings.upsert({ key: SCHEDULE_KEY, value: plan });
+  console.log(`[scheduler] planned ${plan.workOrders.length} work order(s) across ${resources.length} operator(s), ${plan.lateCount} late`);
+  return plan;
+}
+
+async function getSchedule() {
+  const { AppSettings } = getModels();
+  const row = await AppSettings.findOne({ where: { key: SCHEDULE_KEY } });
+  return row ? row.value : null;
+}
+
+/**
+ * Accept the stored plan: write operator + queue position onto each work order, and the
+ * proposed start/finish onto each part so the tablets can show it.
+ */
+async function acceptSchedule(username) {
+  const { AppSettings, WorkOrder, WorkOrderPart, sequelize } = getModels();
+  const plan = await getSchedule();
+  if (!plan || !Array.isArray(plan.workOrders)) {
+    const err = new Error('No schedule to accept — run the scheduler first');
+    err.status = 400;
+    throw err;
+  }
+  const now = new Date();
+  await sequelize.transaction(async (transaction) => {
+    for (const o of plan.workOrders) {
+      const updates = { assignedOperator: o.operator, assignedSequence: o.sequence };
+      if (o.currentOperator !== o.operator) updates.assignedAt = now;
+      await WorkOrder.update(updates, { where: { id: o.workOrderId }, transaction });
+    }
+    for (const p of plan.parts) {
+      await WorkOrderPart.update(
+        { scheduledStart: p.start, scheduledFinish: p.finish },
+        { where: { id: p.partId }, transaction }
+      );
+    }
+  });
+  const accepted = { ...plan, acceptedAt: now.toISOString(), acceptedBy: username || null };
+  await AppSettings.upsert({ key: SCHEDULE_KEY, value: accepted });
+  return accepted;
+}
+
+module.exports = {
+  buildSchedule,
+  placeWork,
+  resourceCalendar,
+  machineCalendar,
+  hoursOn,
+  ymd,
+  nextDay,
+  shopTime,
+  dailyCapacityHours,
+  getCalendar,
+  saveCalendar,
+  getSchedulableOperators,
+  runSchedule,
+  getSchedule,
+  acceptSchedule,
+  SCHEDULE_KEY,
+  CALENDAR_KEY,
+  DEFAULT_CALENDAR,
+  DEFAULT_PART_HOURS,
+};
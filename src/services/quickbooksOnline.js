@@ -0,0 +1,701 @@
+/**
+ * QuickBooks Online — pushing customers, invoices, payments and credit memos to a connected QBO
+ * company and pulling back what was paid there, as the alternative to IIF files for QuickBooks
+ * Desktop (routes/quickbooks.js).
+ *
+ * The connection is OAuth 2.0: an admin connects once (routes/quickbooks-online.js), the tokens
+ * are kept in qbo_connections the way gmail_accounts keeps Gmail's, and the access token is
+ * refreshed when it's within five minutes of expiring or the API says it's no good. The endpoints
+ * come from the environment (QBO_API_BASE / QBO_TOKEN_URL override them), which is how the tests
+ * point this at the mock server in test/qboMockServer.js.
+ *
+ * Every local record pushed has a row in qbo_sync_links holding its QBO id and SyncToken and a hash
+ * of what was sent, so a sync only sends what changed and an edit goes up as an update to the same
+ * entity. What's pushed:
+ *
+ *   customer     a Client, matched to an existing QBO customer by display name the first time
+ *   invoice      an invoiced work order, built by the same code as the IIF export (buildInvoiceIIF),
+ *                so both paths bill the same lines; a voided order voids its QBO invoice
+ *   payment      a ClientPayment and its PaymentApplications, linked to the invoices it pays
+ *   credit_memo  a CreditMemo entered by hand. Overpayment credits aren't sent — QBO keeps the
+ *                unapplied part of the payment as credit already.
+ *
+ * Pulling works the other way for payments: any invoice not yet paid here is read back, payments
+ * recorded against it in QBO that we didn't send become a ClientPayment (recordedBy 'quickbooks'),
+ * and once QBO shows a zero balance the order's paymentDate is set — nobody keys the check twice.
+ *
+ * Only orders invoiced on or after the cut-over date (qbo_settings.syncFrom, default the day the
+ * company was connected) are sent; anything earlier went over by IIF. Foreign-currency payments
+ * and credits are entered in QBO and pulled back (converted to USD at QBO's rate) rather than sent.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { parseAddress } = require('./salesTax');
+const clientPayments = require('./clientPayments');
+
+const getModels = () => require('../models');
+// The IIF invoice builder lives with the IIF routes, which load ../models as soon as they're required
+const getQuickbooksRoutes = () => require('../routes/quickbooks');
+
+const SETTINGS_KEY = 'qbo_settings';
+const STATE_KEY = 'qbo_oauth_state';
+const MINOR_VERSION = 73;
+const SCOPE = 'com.intuit.quickbooks.accounting';
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const BATCH = 30; // ids per "where Id in (...)" query
+const ENTITY_TYPES = ['customer', 'invoice', 'payment', 'credit_memo'];
+
+function qboError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const money = (v) => Math.round((parseFloat(v) || 0) * 100) / 100;
+// Calendar day in the shop's time zone; 'YYYY-MM-DD' strings (DATEONLY columns) pass through
+const qboDate = (d) => {
+  if (!d) return null;
+  if (typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d)) return d;
+  return new Date(d).toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+};
+// A string for a QBO query literal
+const quote = (s) => `'${String(s).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+const hashOf = (payload) => crypto.createHash('sha1').update(JSON.stringify(payload)).digest('hex');
+const chunk = (list, size) => Array.from({ length: Math.ceil(list.length / size) }, (_, i) => list.slice(i * size, (i + 1) * size));
+
+function endpoints() {
+  const production = process.env.QBO_ENVIRONMENT === 'production';
+  return {
+    environment: production ? 'production' : 'sandbox',
+    authorize: process.env.QBO_AUTHORIZE_URL || 'https://appcenter.intuit.com/connect/oauth2',
+    token: process.env.QBO_TOKEN_URL || 'https://oauth.platform.intuit.com/oauth2/v1/tokens/bearer',
+    api: process.env.QBO_API_BASE || (production ? 'https://quickbooks.api.intuit.com' : 'https://sandbox-quickbooks.api.intuit.com'),
+    redirect: process.env.QBO_REDIRECT_URI || `${process.env.BASE_URL || 'http://localhost:5001'}/api/quickbooks-online/oauth/callback`,
+  };
+}
+
+const isConfigured = () => !!(process.env.QBO_CLIENT_ID && process.env.QBO_CLIENT_SECRET);
+
+// ---------------------------------------------------------------------------------------------
+// Payloads — local records as QBO entities
+// ---------------------------------------------------------------------------------------------
+
+// QBO display names are unique per company and can't hold a colon
+const displayNameFor = (client) => String(client.quickbooksName || client.name || '').replace(/:/g, '-').trim().substring(0, 100);
+
+function customerPayload(client) {
+  const status = (client.taxStatus || '').toLowerCase();
+  const exempt = status === 'resale' || status === 'exempt';
+  const email = client.apEmail || client.accountingContactEmail || client.contactEmail;
+  const payload = {
+    DisplayName: displayNameFor(client),
+    CompanyName: String(client.name || '').substring(0, 100),
+    Taxable: !exempt,
+  };
+  if (email) payload.PrimaryEmailAddr = { Address: email };
+  if (client.contactPhone) payload.PrimaryPhone = { FreeFormNumber: client.contactPhone };
+  if (client.address) {
+    const place = parseAddress(client.address) || {};
+    payload.BillAddr = {
+      Line1: String(client.address).split(/\n|,/)[0].trim(),
+      ...(place.city ? { City: place.city } : {}),
+      ...(place.state ? { CountrySubDivisionCode: place.state } : {}),
+      ...(place.zip ? { PostalCode: place.zip } : {}),
+    };
+  }
+  if (exempt && client.resaleCertificate) payload.ResaleNum = client.resaleCertificate;
+  if (client.currency && client.currency !== 'USD') payload.CurrencyRef = { value: client.currency };
+  return payload;
+}
+
+/**
+ * An invoice built by buildInvoiceIIF (its `invoice` part) as a QBO Invoice. Priced lines go on the
+ * taxable / nontaxable / freight items from qbo_settings; description-only lines stay as text;
+ * the discount is QBO's discount line. Amounts are already in the client's currency.
+ */
+function invoicePayload(inv, { customerId, items = {}, termId = null, customFields = {} }) {
+  const Line = [];
+  for (const l of inv.lines) {
+    if (!l.isPriced) {
+      if (l.description) Line.push({ DetailType: 'DescriptionOnly', Description: l.description, DescriptionLineDetail: {} });
+      continue;
+    }
+    if (l.amount < 0) {
+      Line.push({ DetailType: 'DiscountLineDetail', Amount: money(-l.amount), Description: l.description, DiscountLineDetail: { PercentBased: false } });
+      continue;
+    }
+    const kind = l.isFreight ? 'freight' : inv.isResale ? 'nontaxable' : 'taxable';
+    const qty = l.qty || 1;
+    Line.push({
+      DetailType: 'SalesItemLineDetail',
+      Amount: money(l.amount),
+      Description: l.description,
+      SalesItemLineDetail: {
+        ItemRef: { value: String(items[kind]) },
+        Qty: qty,
+        UnitPrice: Math.round(l.amount / qty * 100000) / 100000,
+        TaxCodeRef: { value: l.isFreight || inv.isResale ? 'NON' : 'TAX' },
+      },
+    });
+  }
+  const memo = [inv.clientPO && `PO ${inv.clientPO}`, inv.drLabel].filter(Boolean).join(' · ');
+  const payload = {
+    CustomerRef: { value: String(customerId) },
+    DocNumber: String(inv.docNumber).substring(0, 21),
+    TxnDate: qboDate(inv.date),
+    PrivateNote: inv.memo,
+    Line,
+  };
+  if (memo) payload.CustomerMemo = { value: memo };
+  if (termId) payload.SalesTermRef = { value: String(termId) };
+  const custom = [];
+  if (customFields.poNumber && inv.clientPO) custom.push({ DefinitionId: String(customFields.poNumber), Name: 'P.O. Number', Type: 'StringType', StringValue: inv.clientPO.substring(0, 31) });
+  if (customFields.drNumber && inv.drLabel) custom.push({ DefinitionId: String(customFields.drNumber), Name: 'DR Number', Type: 'StringType', StringValue: inv.drLabel });
+  if (custom.length) payload.CustomField = custom;
+  if (inv.currency && inv.currency !== 'USD') {
+    payload.CurrencyRef = { value: inv.currency };
+    payload.ExchangeRate = Math.round(1e6 / inv.exchangeRate) / 1e6; // QBO wants USD per unit of the foreign currency
+  }
+  return payload;
+}
+
+// A ClientPayment as a QBO Payment, one line per invoice it's applied to. invoiceIds maps work
+// order id → QBO invoice id; any application without one is an error, not a silent drop.
+function paymentPayload(payment, applications, { customerId, invoiceIds }) {
+  const missing = applications.filter(a => !invoiceIds[a.workOrderId]);
+  if (missing.length) throw qboError(`${missing.length} invoice(s) this payment pays aren't in QuickBooks Online yet`);
+  const payload = {
+    CustomerRef: { value: String(customerId) },
+    TxnDate: qboDate(payment.paymentDate),
+    TotalAmt: money(payment.amount),
+    PrivateNote: [payment.notes, payment.method && `Method: ${payment.method}`].filter(Boolean).join(' — ').substring(0, 4000),
+    Line: applications.map(a => ({ Amount: money(a.amount), LinkedTxn: [{ TxnId: String(invoiceIds[a.workOrderId]), TxnType: 'Invoice' }] })),
+  };
+  if (payment.reference) payload.PaymentRefNum = String(payment.reference).substring(0, 21);
+  return payload;
+}
+
+function creditMemoPayload(memo, { customerId, items = {} }) {
+  const amount = money(memo.amount);
+  const description = memo.reason || 'Credit on account';
+  return {
+    CustomerRef: { value: String(customerId) },
+    TxnDate: qboDate(memo.date),
+    PrivateNote: description.substring(0, 4000),
+    Line: [{
+      DetailType: 'SalesItemLineDetail',
+      Amount: amount,
+      Description: description.substring(0, 4000),
+      SalesItemLineDetail: { ItemRef: { value: String(items.nontaxable) }, Qty: 1, UnitPrice: amount, TaxCodeRef: { value: 'NON' } },
+    }],
+  };
+}
+
+// A QBO Payment as the local payment it becomes: USD amounts, split over the invoices we know.
+// invoiceToWorkOrder maps QBO invoice id → work order id.
+function paymentFromRemote(remote, invoiceToWorkOrder) {
+  const rate = parseFloat(remote.ExchangeRate) || 1;
+  const applications = [];
+  for (const line of remote.Line || []) {
+    for (const t of line.LinkedTxn || []) {
+      if (t.TxnType === 'Invoice' && invoiceToWorkOrder[t.TxnId]) {
+        applications.push({ workOrderId: invoiceToWorkOrder[t.TxnId], amount: money(line.Amount * rate) });
+      }
+    }
+  }
+  const amount = money(remote.TotalAmt * rate);
+  const applied = money(applications.reduce((s, a) => s + a.amount, 0));
+  return {
+    paymentDate: remote.TxnDate,
+    amount,
+    reference: remote.PaymentRefNum || null,
+    applications,
+    unapplied: money(amount - applied),
+  };
+}
+
+// Paid in full in QBO? And when: the latest payment against it
+function invoicePaidStatus(remoteInvoice, remotePaymentsById) {
+  const balance = money(remoteInvoice.Balance);
+  const payments = (remoteInvoice.LinkedTxn || [])
+    .filter(t => t.TxnType === 'Payment' && remotePaymentsById[t.TxnId])
+    .map(t => remotePaymentsById[t.TxnId])
+    .sort((a, b) => String(a.TxnDate).localeCompare(String(b.TxnDate)));
+  const last = payments[payments.length - 1] || null;
+  return { paid: balance <= 0.005, balance, paidOn: last ? last.TxnDate : null, reference: last ? last.PaymentRefNum || null : null };
+}
+
+// ---------------------------------------------------------------------------------------------
+// HTTP and OAuth
+// ---------------------------------------------------------------------------------------------
+
+function httpRequest(method, url, { headers = {}, body = null } = {}) {
+  const u = new URL(url);
+  const lib = u.protocol === 'http:' ? require('http') : require('https');
+  return new Promise((resolve, reject) => {
+    const req = lib.request({
+      method, hostname: u.hostname, port: u.port || undefined, path: u.pathname + u.search,
+      headers: { Accept: 'application/json', ...headers, ...(body ? { 'Content-Length': Buffer.byteLength(body) } : {}) },
+    }, (res) => {
+      let d = '';
+      res.setEncoding('utf8');
+      res.on('data', c => { d += c; });
+      res.on('end', () => {
+        let json = null;
+        try { json = d ? JSON.parse(d) : null; } catch (e) { /* not JSON — kept as text */ }
+        resolve({ status: res.statusCode, body: json, text: d });
+      });
+    });
+    req.on('error', (e) => reject(qboError(`QuickBooks Online unreachable: ${e.message}`, 502)));
+    req.setTimeout(30000, () => req.destroy(new Error('timed out')));
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+// The Intuit sign-in URL; state is checked on the way back
+function authorizeUrl(state) {
+  const e = endpoints();
+  const q = new URLSearchParams({ client_id: process.env.QBO_CLIENT_ID || '', response_type: 'code', scope: SCOPE, redirect_uri: e.redirect, state });
+  return `${e.authorize}?${q.toString()}`;
+}
+
+async function tokenRequest(params) {
+  const basic = Buffer.from(`${process.env.QBO_CLIENT_ID}:${process.env.QBO_CLIENT_SECRET}`).toString('base64');
+  const res = await httpRequest('POST', endpoints().token, {
+    headers: { Authorization: `Basic ${basic}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params).toString(),
+  });
+  if (res.status !== 200 || !res.body?.access_token) {
+    const reason = res.body?.error_description || res.body?.error || `HTTP ${res.status}`;
+    throw qboError(`QuickBooks Online sign-in failed: ${reason}`, res.body?.error === 'invalid_grant' ? 401 : 502);
+  }
+  const now = Date.now();
+  return {
+    accessToken: res.body.access_token,
+    refreshToken: res.body.refresh_token,
+    tokenExpiry: new Date(now + (res.body.expires_in || 3600) * 1000),
+    refreshTokenExpiry: res.body.x_refresh_token_expires_in ? new Date(now + res.body.x_refresh_token_expires_in * 1000) : null,
+  };
+}
+
+// A usable access token for a connection, refreshed (and saved) when it's about to run out
+async function accessTokenFor(conn, { force = false } = {}) {
+  if (!force && conn.accessToken && conn.tokenExpiry && new Date(conn.tokenExpiry).getTime() - Date.now() > REFRESH_MARGIN_MS) {
+    return conn.accessToken;
+  }
+  if (!conn.refreshToken) throw qboError('QuickBooks Online needs to be reconnected', 401);
+  try {
+    const tokens = await tokenRequest({ grant_type: 'refresh_token', refresh_token: conn.refreshToken });
+    await conn.update({ ...tokens, refreshToken: tokens.refreshToken || conn.refreshToken, lastError: null });
+    return tokens.accessToken;
+  } catch (err) {
+    if (err.status === 401) {
+      await conn.update({ isActive: false, accessToken: null, lastError: 'Refresh token expired or revoked — reconnect QuickBooks Online' });
+      throw qboError('QuickBooks Online connection expired — reconnect it under Settings → QuickBooks', 401);
+    }
+    throw err;
+  }
+}
+
+// A QBO API call; a rejected token is refreshed once and the call retried
+async function api(conn, method, path, body = null) {
+  const url = `${endpoints().api}/v3/company/${conn.realmId}/${path}${path.includes('?') ? '&' : '?'}minorversion=${MINOR_VERSION}`;
+  for (let attempt = 0; ; attempt++) {
+    const token = await accessTokenFor(conn, { force: attempt > 0 });
+    const res = await httpRequest(method, url, {
+      headers: { Authorization: `Bearer ${token}`, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+      body: body ? JSON.stringify(body) : null,
+    });
+    if (res.status === 401 && attempt === 0) continue;
+    const fault = res.body?.Fault?.Error?.[0];
+    if (res.status >= 400 || fault) {
+      const err = qboError(`QuickBooks Online: ${fault ? (fault.Detail || fault.Message) : `HTTP ${res.status}`}`, res.status === 401 ? 401 : 502);
+      err.code = fault?.code || null;
+      throw err;
+    }
+    return res.body;
+  }
+}
+
+async function query(conn, sql) {
+  const res = await api(conn, 'GET', `query?query=${encodeURIComponent(sql)}`);
+  return (res && res.QueryResponse) || {};
+}
+
+// Create an entity, or update the one a link points at. A stale SyncToken (someone edited it in
+// QBO since) is re-read and the update tried once more.
+async function upsertRemote(conn, entity, link, payload) {
+  const path = entity.toLowerCase();
+  if (!link || !link.remoteId) return (await api(conn, 'POST', path, payload))[entity];
+  const send = (syncToken) => api(conn, 'POST', path, { ...payload, Id: link.remoteId, SyncToken: syncToken, sparse: true });
+  try {
+    return (await send(link.syncToken))[entity];
+  } catch (err) {
+    if (err.code !== '5010') throw err;
+    const current = (await api(conn, 'GET', `${path}/${link.remoteId}`))[entity];
+    return (await send(current.SyncToken))[entity];
+  }
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+async function loadSettings() {
+  const { AppSettings } = getModels();
+  const row = await AppSettings.findOne({ where: { key: SETTINGS_KEY } });
+  const value = (row && row.value) || {};
+  return { items: {}, customFields: {}, syncFrom: null, ...value };
+}
+
+// Body: { items?: { taxable, nontaxable, freight }, customFields?: { poNumber, drNumber }, syncFrom? }
+async function saveSettings(input = {}, by) {
+  const { AppSettings } = getModels();
+  const next = await loadSettings();
+  if (input.items) {
+    for (const k of ['taxable', 'nontaxable', 'freight']) if (input.items[k] !== undefined) next.items[k] = input.items[k] ? String(input.items[k]) : null;
+  }
+  if (input.customFields) {
+    for (const k of ['poNumber', 'drNumber']) if (input.customFields[k] !== undefined) next.customFields[k] = input.customFields[k] ? String(input.customFields[k]) : null;
+  }
+  if (input.syncFrom !== undefined) {
+    if (input.syncFrom && isNaN(new Date(input.syncFrom))) throw qboError('syncFrom is not a date');
+    next.syncFrom = input.syncFrom ? qboDate(input.syncFrom) : null;
+  }
+  next.updatedBy = by || null;
+  await AppSettings.upsert({ key: SETTINGS_KEY, value: next });
+  return next;
+}
+
+async function getConnection() {
+  const { QboConnection } = getModels();
+  return QboConnection.findOne({ where: { isActive: true }, order: [['updatedAt', 'DESC']] });
+}
+
+async function requireConnection() {
+  const conn = await getConnection();
+  if (!conn) throw qboError('QuickBooks Online is not connected — connect it under Settings → QuickBooks');
+  return conn;
+}
+
+// A one-time state for the sign-in round trip
+async function startConnect(by) {
+  if (!isConfigured()) throw qboError('QuickBooks Online is not configured. Set QBO_CLIENT_ID and QBO_CLIENT_SECRET env vars.');
+  const { AppSettings } = getModels();
+  const state = crypto.randomBytes(16).toString('hex');
+  await AppSettings.upsert({ key: STATE_KEY, value: { state, by: by || null, at: new Date().toISOString() } });
+  return authorizeUrl(state);
+}
+
+// The OAuth callback: check the state, trade the code for tokens, and make this the connected company
+async function completeConnect({ code, realmId, state }) {
+  const { AppSettings, QboConnection } = getModels();
+  if (!code || !realmId) throw qboError('QuickBooks did not send an authorization code');
+  const saved = await AppSettings.findOne({ where: { key: STATE_KEY } });
+  const expected = saved && saved.value;
+  if (!expected || expected.state !== state || Date.now() - new Date(expected.at).getTime() > 15 * 60 * 1000) {
+    throw qboError('QuickBooks sign-in expired or did not start here — try connecting again');
+  }
+  await AppSettings.upsert({ key: STATE_KEY, value: {} });
+
+  const tokens = await tokenRequest({ grant_type: 'authorization_code', code, redirect_uri: endpoints().redirect });
+  let conn = await QboConnection.findOne({ where: { realmId } });
+  const fields = { ...tokens, environment: endpoints().environment, isActive: true, lastError: null, connectedBy: expected.by || 'admin' };
+  if (conn) await conn.update(fields);
+  else conn = await QboConnection.create({ realmId, ...fields });
+  await QboConnection.update({ isActive: false }, { where: { realmId: { [Op.ne]: realmId } } });
+
+  try {
+    const info = await api(conn, 'GET', `companyinfo/${realmId}`);
+    if (info?.CompanyInfo?.CompanyName) await conn.update({ companyName: info.CompanyInfo.CompanyName });
+  } catch (e) { console.warn('[QBO] Company name lookup failed:', e.message); }
+  return conn;
+}
+
+async function disconnect() {
+  const conn = await requireConnection();
+  await conn.update({ isActive: false, accessToken: null, refreshToken: null, tokenExpiry: null });
+  return conn;
+}
+
+async function findLink(realmId, entityType, localId) {
+  const { QboSyncLink } = getModels();
+  return QboSyncLink.findOne({ where: { realmId, entityType, localId } });
+}
+
+async function saveLink(realmId, entityType, localId, fields) {
+  const { QboSyncLink } = getModels();
+  const link = await findLink(realmId, entityType, localId);
+  const values = { syncedAt: new Date(), lastError: null, ...fields };
+  if (link) { await link.update(values); return link; }
+  return QboSyncLink.create({ realmId, entityType, localId, ...values });
+}
+
+// The QBO ids for the items invoices and credits post to; nothing is sent until they're chosen
+function requireItems(settings) {
+  const missing = ['taxable', 'nontaxable', 'freight'].filter(k => !settings.items[k]);
+  if (missing.length) throw qboError(`Choose the QuickBooks Online items for ${missing.join(', ')} lines under Settings → QuickBooks first`);
+  return settings.items;
+}
+
+async function pushCustomer(conn, client) {
+  const payload = customerPayload(client);
+  const hash = hashOf(payload);
+  let link = await findLink(conn.realmId, 'customer', client.id);
+  if (link && link.remoteId && link.payloadHash === hash) return link.remoteId;
+  // First push: adopt a customer already there from the IIF days rather than make a duplicate
+  if (!link || !link.remoteId) {
+    const found = (await query(conn, `select * from Customer where DisplayName = ${quote(payload.DisplayName)}`)).Customer || [];
+    if (found.length) link = { remoteId: found[0].Id, syncToken: found[0].SyncToken };
+  }
+  const { CurrencyRef, ...updatable } = payload; // QBO fixes a customer's currency when it's created
+  const remote = await upsertRemote(conn, 'Customer', link, link && link.remoteId ? updatable : payload);
+  await saveLink(conn.realmId, 'customer', client.id, { remoteId: remote.Id, syncToken: remote.SyncToken, payloadHash: hash, status: 'synced' });
+  return remote.Id;
+}
+
+async function clientFor(wo) {
+  const { Client } = getModels();
+  if (wo.client) return wo.client;
+  const client = wo.clientId
+    ? await Client.findByPk(wo.clientId)
+    : (wo.clientName ? await Client.findOne({ where: { name: { [Op.iLike]: wo.clientName } } }) : null);
+  if (!client) throw qboError(`${wo.drNumber ? `DR-${wo.drNumber}` : 'This order'}'s client "${wo.clientName}" isn't in the client list — add it before syncing`);
+  return client;
+}
+
+// Term ids by name, looked up once per sync
+async function termIdFor(conn, name, cache) {
+  if (!name) return null;
+  if (!cache.has(name)) {
+    const found = (await query(conn, `select * from Term where Name = ${quote(name)}`)).Term || [];
+    cache.set(name, found.length ? found[0].Id : null);
+  }
+  return cache.get(name);
+}
+
+async function pushInvoice(conn, wo, { settings, terms = new Map() } = {}) {
+  const { WorkOrderPart } = getModels();
+  settings = settings || await loadSettings();
+  const link = await findLink(conn.realmId, 'invoice', wo.id);
+  if (wo.isVoided || wo.status === 'void') {
+    if (link && link.remoteId && link.status !== 'voided') {
+      const remote = (await api(conn, 'POST', 'invoice?operation=void', { Id: link.remoteId, SyncToken: link.syncToken, sparse: true })).Invoice;
+      await saveLink(conn.realmId, 'invoice', wo.id, { syncToken: remote.SyncToken, status: 'voided' });
+      return { id: link.remoteId, action: 'voided' };
+    }
+    return { id: link?.remoteId || null, action: 'skipped' };
+  }
+  if (!wo.invoiceNumber) throw qboError('Work order has no invoice number yet');
+  const items = requireItems(settings);
+  const client = await clientFor(wo);
+  const customerId = await pushCustomer(conn, client);
+  const parts = wo.parts || await WorkOrderPart.findAll({ where: { workOrderId: wo.id } });
+  const built = await getQuickbooksRoutes().buildInvoiceIIF(wo, parts, client, wo.invoiceNumber, { lockRate: true });
+  if (!built) return { id: link?.remoteId || null, action: 'skipped' };
+  const termId = await termIdFor(conn, built.invoice.terms, terms);
+  const payload = invoicePayload(built.invoice, { customerId, items, termId, customFields: settings.customFields });
+  const hash = hashOf(payload);
+  if (link && link.remoteId && link.payloadHash === hash && link.status === 'synced') return { id: link.remoteId, action: 'unchanged' };
+  const remote = await upsertRemote(conn, 'Invoice', link, payload);
+  await saveLink(conn.realmId, 'invoice', wo.id, { remoteId: remote.Id, syncToken: remote.SyncToken, payloadHash: hash, status: 'synced' });
+  return { id: remote.Id, action: link && link.remoteId ? 'updated' : 'created' };
+}
+
+async function pushPayment(conn, payment, { settings, terms = new Map() } = {}) {
+  const { Client, WorkOrder, PaymentApplication } = getModels();
+  const link = await findLink(conn.realmId, 'payment', payment.id);
+  if (link && link.status === 'pulled') return { id: link.remoteId, action: 'skipped' }; // came from QBO
+  if (payment.voidedAt) {
+    if (link && link.remoteId && link.status !== 'voided') {
+      const remote = (await api(conn, 'POST', 'payment?operation=void', { Id: link.remoteId, SyncToken: link.syncToken, sparse: true })).Payment;
+      await saveLink(conn.realmId, 'payment', payment.id, { syncToken: remote.SyncToken, status: 'voided' });
+      return { id: link.remoteId, action: 'voided' };
+    }
+    return { id: link?.remoteId || null, action: 'skipped' };
+  }
+  const client = payment.clientId ? await Client.findByPk(payment.clientId) : null;
+  if (!client) throw qboError(`Payment from "${payment.clientName}" has no client record — link it to a client before syncing`);
+  if (client.currency && client.currency !== 'USD') {
+    await saveLink(conn.realmId, 'payment', payment.id, { status: 'skipped', lastError: `${client.currency} payments are entered in QuickBooks Online and pulled back` });
+    return { id: null, action: 'skipped' };
+  }
+  const applications = (await PaymentApplication.findAll({ where: { clientPaymentId: payment.id } })).map(a => (a.toJSON ? a.toJSON() : a));
+  const invoiceIds = {};
+  for (const a of applications) {
+    const wo = await WorkOrder.findByPk(a.workOrderId);
+    if (wo) invoiceIds[a.workOrderId] = (await pushInvoice(conn, wo, { settings, terms })).id;
+  }
+  const customerId = await pushCustomer(conn, client);
+  const payload = paymentPayload(payment, applications, { customerId, invoiceIds });
+  const hash = hashOf(payload);
+  if (link && link.remoteId && link.payloadHash === hash && link.status === 'synced') return { id: link.remoteId, action: 'unchanged' };
+  const remote = await upsertRemote(conn, 'Payment', link, payload);
+  await saveLink(conn.realmId, 'payment', payment.id, { remoteId: remote.Id, syncToken: remote.SyncToken, payloadHash: hash, status: 'synced' });
+  return { id: remote.Id, action: link && link.remoteId ? 'updated' : 'created' };
+}
+
+async function pushCreditMemo(conn, memo, { settings } = {}) {
+  const { Client } = getModels();
+  settings = settings || await loadSettings();
+  const link = await findLink(conn.realmId, 'credit_memo', memo.id);
+  if (memo.sourceClientPaymentId) return { id: null, action: 'skipped' }; // the payment's unapplied amount is this credit in QBO
+  if (memo.voidedAt) {
+    if (link && link.remoteId && link.status !== 'voided') {
+      await api(conn, 'POST', 'creditmemo?operation=delete', { Id: link.remoteId, SyncToken: link.syncToken });
+      await saveLink(conn.realmId, 'credit_memo', memo.id, { status: 'voided' });
+      return { id: link.remoteId, action: 'voided' };
+    }
+    return { id: link?.remoteId || null, action: 'skipped' };
+  }
+  const client = memo.clientId ? await Client.findByPk(memo.clientId) : null;
+  if (!client) throw qboError(`Credit memo for "${memo.clientName}" has no client record — link it to a client before syncing`);
+  if (client.currency && client.currency !== 'USD') {
+    await saveLink(conn.realmId, 'credit_memo', memo.id, { status: 'skipped', lastError: `${client.currency} credits are entered in QuickBooks Online` });
+    return { id: null, action: 'skipped' };
+  }
+  const customerId = await pushCustomer(conn, client);
+  const payload = creditMemoPayload(memo, { customerId, items: requireItems(settings) });
+  const hash = hashOf(payload);
+  if (link && link.remoteId && link.payloadHash === hash && link.status === 'synced') return { id: link.remoteId, action: 'unchanged' };
+  const remote = await upsertRemote(conn, 'CreditMemo', link, payload);
+  await saveLink(conn.realmId, 'credit_memo', memo.id, { remoteId: remote.Id, syncToken: remote.SyncToken, payloadHash: hash, status: 'synced' });
+  return { id: remote.Id, action: link && link.remoteId ? 'updated' : 'created' };
+}
+
+// Record a payment entered in QBO through services/clientPayments.js, as the payments screen does,
+// with its sync link in the same transaction. What QBO left unapplied becomes a credit memo.
+async function importRemotePayment(conn, remote, invoiceToWorkOrder) {
+  const { WorkOrder, QboSyncLink } = getModels();
+  const local = paymentFromRemote(remote, invoiceToWorkOrder);
+  if (!local.applications.length) return null;
+  const firstWo = await WorkOrder.findByPk(local.applications[0].workOrderId);
+  const { payment } = await clientPayments.recordClientPayment({
+    clientId: firstWo?.clientId || null, clientName: firstWo?.clientName || 'Unknown', paymentDate: local.paymentDate,
+    amount: local.amount, method: 'other', reference: local.reference,
+    notes: `Recorded in QuickBooks Online (payment ${remote.Id})`, recordedBy: 'quickbooks',
+    applications: local.applications, creditMemoRemainder: true, creditMemoReason: `Unapplied amount of QuickBooks Online payment ${remote.Id}`,
+  }, {
+    within: (created, transaction) => QboSyncLink.create({ realmId: conn.realmId, entityType: 'payment', localId: created.id, remoteId: remote.Id, syncToken: remote.SyncToken, status: 'pulled', syncedAt: new Date() }, { transaction }),
+  });
+  return payment;
+}
+
+/**
+ * Read back every synced invoice not yet paid here: import payments made in QBO, and set
+ * paymentDate on the orders QBO shows paid in full.
+ */
+async function pullPayments(conn) {
+  const { QboSyncLink, WorkOrder } = getModels();
+  const links = await QboSyncLink.findAll({ where: { realmId: conn.realmId, entityType: 'invoice', status: 'synced', remoteId: { [Op.ne]: null } } });
+  const open = await WorkOrder.findAll({ where: { id: { [Op.in]: links.map(l => l.localId) }, paymentDate: null } });
+  const openIds = new Set(open.map(w => w.id));
+  const invoiceToWorkOrder = {};
+  for (const l of links) if (openIds.has(l.localId)) invoiceToWorkOrder[l.remoteId] = l.localId;
+
+  const remoteInvoices = [];
+  for (const ids of chunk(Object.keys(invoiceToWorkOrder), BATCH)) {
+    remoteInvoices.push(...((await query(conn, `select * from Invoice where Id in (${ids.map(quote).join(', ')})`)).Invoice || []));
+  }
+  const paymentIds = [...new Set(remoteInvoices.flatMap(inv => (inv.LinkedTxn || []).filter(t => t.TxnType === 'Payment').map(t => t.TxnId)))];
+  const remotePayments = {};
+  for (const ids of chunk(paymentIds, BATCH)) {
+    for (const p of (await query(conn, `select * from Payment where Id in (${ids.map(quote).join(', ')})`)).Payment || []) remotePayments[p.Id] = p;
+  }
+
+  const known = new Set((await QboSyncLink.findAll({ where: { realmId: conn.realmId, entityType: 'payment', remoteId: { [Op.in]: paymentIds } } })).map(l => l.remoteId));
+  let imported = 0;
+  for (const id of paymentIds) {
+    if (known.has(id) || !remotePayments[id]) continue;
+    if (await importRemotePayment(conn, remotePayments[id], invoiceToWorkOrder)) imported++;
+  }
+
+  const paid = [];
+  for (const inv of remoteInvoices) {
+    const status = invoicePaidStatus(inv, remotePayments);
+    if (!status.paid) continue;
+    const wo = open.find(w => w.id === invoiceToWorkOrder[inv.Id]);
+    await wo.update({ paymentDate: status.paidOn || qboDate(new Date()), paymentMethod: 'other', paymentReference: status.reference, paymentRecordedBy: 'quickbooks' });
+    paid.push(wo.drNumber ? `DR-${wo.drNumber}` : wo.invoiceNumber);
+    try {
+      const qb = getQuickbooksRoutes();
+      if (qb.regenerateInvoicePDF) await qb.regenerateInvoicePDF(wo.id);
+    } catch (e) { console.warn('[QBO] PDF regen failed:', e.message); }
+  }
+  await conn.update({ lastPulledAt: new Date() });
+  return { checked: remoteInvoices.length, imported, paid };
+}
+
+let running = false;
+
+/**
+ * Push everything since the cut-over date that changed, then pull payments. One record failing
+ * (a client missing, QBO refusing a line) is noted on its link and the rest carry on.
+ */
+async function sync({ pull = true } = {}) {
+  if (running) throw qboError('A QuickBooks Online sync is already running', 409);
+  running = true;
+  try {
+    const { WorkOrder, ClientPayment, CreditMemo } = getModels();
+    const conn = await requireConnection();
+    const settings = await loadSettings();
+    requireItems(settings);
+    const since = settings.syncFrom || qboDate(conn.createdAt);
+    const terms = new Map();
+    const counts = Object.fromEntries(ENTITY_TYPES.map(t => [t, { created: 0, updated: 0, voided: 0, unchanged: 0, skipped: 0 }]));
+    const errors = [];
+    const attempt = async (entityType, record, label, push) => {
+      try {
+        const { action } = await push();
+        counts[entityType][action] = (counts[entityType][action] || 0) + 1;
+      } catch (err) {
+        if (err.status === 401) throw err; // the connection itself is gone — stop
+        errors.push({ entityType, localId: record.id, label, message: err.message });
+        await saveLink(conn.realmId, entityType, record.id, { status: 'error', lastError: err.message, syncedAt: new Date() }).catch(() => {});
+      }
+    };
+
+    const invoices = await WorkOrder.findAll({ where: { invoiceNumber: { [Op.ne]: null }, invoiceDate: { [Op.gte]: since } }, order: [['invoiceDate', 'ASC']] });
+    for (const wo of invoices) await attempt('invoice', wo, `Invoice ${wo.invoiceNumber}`, () => pushInvoice(conn, wo, { settings, terms }));
+    const payments = await ClientPayment.findAll({ where: { paymentDate: { [Op.gte]: since } }, order: [['paymentDate', 'ASC']] });
+    for (const p of payments) await attempt('payment', p, `Payment ${p.reference ? p.reference + ' ' : ''}from ${p.clientName}`, () => pushPayment(conn, p, { settings, terms }));
+    const memos = await CreditMemo.findAll({ where: { date: { [Op.gte]: since } }, order: [['date', 'ASC']] });
+    for (const m of memos) await attempt('credit_memo', m, `Credit memo for ${m.clientName}`, () => pushCreditMemo(conn, m, { settings }));
+
+    const pulled = pull ? await pullPayments(conn) : null;
+    await conn.update({ lastSyncedAt: new Date(), lastError: errors.length ? `${errors.length} record(s) failed — ${errors[0].label}: ${errors[0].message}` : null });
+    return { since, counts, errors, pulled };
+  } finally {
+    running = false;
+  }
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  isConfigured,
+  endpoints,
+  displayNameFor,
+  customerPayload,
+  invoicePayload,
+  paymentPayload,
+  creditMemoPayload,
+  paymentFromRemote,
+  invoicePaidStatus,
+  authorizeUrl,
+  loadSettings,
+  saveSettings,
+  getConnection,
+  requireConnection,
+  startConnect,
+  completeConnect,
+  disconnect,
+  query,
+  pushCustomer,
+  pushInvoice,
+  pushPayment,
+  pushCreditMemo,
+  pullPayments,
+  sync,
+};
@@ -0,0 +1,343 @@
+/**
+ * Quote pipeline — follow-ups, loss reasons and win/loss analytics.
+ *
+ * A sent quote gets a follow-up schedule counted from sentAt (3, 7, 14 and 30 days by default).
+ * The schedule isn't stored: only the follow-ups actually made are (estimate.followUps), and each
+ * one clears the earliest step still due. Snoozing the quote reminder pushes the next step out;
+ * dismissing it, or any outcome, ends the schedule.
+ *
+ * Outcomes: accepted/converted are won, declined is lost (with a structured reason, and the
+ * competitor and their price when we know them). A sent quote with neither is still open — the
+ * shop's customers come back months later, so silence is reported as "no reply", never as a loss
+ * (the same rule pricingSuggest.js follows).
+ */
+
+const getModels = () => require('../models');
+
+const FOLLOW_UP_DAYS = (process.env.QUOTE_FOLLOW_UP_DAYS || '3,7,14,30').split(',').map(d => parseInt(d, 10)).filter(d => d > 0);
+const LOSS_REASONS = ['price', 'lead_time', 'went_with_competitor', 'no_longer_needed', 'specs_changed', 'capability', 'quality_concern', 'other'];
+const WON = ['accepted', 'converted'];
+const OPEN = ['draft', 'sent'];
+// Probability when the estimator hasn't set one
+const DEFAULT_PROBABILITY = { draft: 10, sent: 30, accepted: 90, converted: 100, declined: 0, archived: 0 };
+const PRICE_BANDS = [
+  { max: 500, label: 'Under $500' },
+  { max: 2000, label: '$500–2k' },
+  { max: 10000, label: '$2k–10k' },
+  { max: 50000, label: '$10k–50k' },
+  { max: Infinity, label: '$50k+' },
+];
+const GROUPS = ['client', 'partType', 'estimator', 'priceBand'];
+const DAY = 86400000;
+
+function pipelineError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const plain = (row) => (row && row.toJSON ? row.toJSON() : row);
+const money = (v) => Math.round((parseFloat(v) || 0) * 100) / 100;
+
+function outcomeOf(status) {
+  if (WON.includes(status)) return 'won';
+  if (status === 'declined') return 'lost';
+  if (status === 'sent') return 'open';
+  return status === 'draft' ? 'draft' : 'closed';
+}
+
+function priceBand(total) {
+  const v = parseFloat(total) || 0;
+  return PRICE_BANDS.find(b => v < b.max).label;
+}
+
+function probabilityOf(e) {
+  const set = e.winProbability;
+  return set !== null && set !== undefined ? set : DEFAULT_PROBABILITY[e.status] ?? 0;
+}
+
+/**
+ * Follow-up steps for a quote: [{ step, day, dueAt, doneAt?, doneBy?, outcome?, note? }].
+ * Empty until the quote is sent. Recorded follow-ups fill the steps in order; extras past the last
+ * step are returned as extra done steps.
+ */
+function followUpSchedule(e, days = FOLLOW_UP_DAYS) {
+  if (!e.sentAt) return [];
+  const sent = new Date(e.sentAt).getTime();
+  const done = [...(e.followUps || [])].sort((a, b) => new Date(a.at) - new Date(b.at));
+  const steps = days.map((day, i) => ({ step: i + 1, day, dueAt: new Date(sent + day * DAY).toISOString() }));
+  done.forEach((f, i) => {
+    const s = steps[i] || (steps[i] = { step: i + 1, day: null, dueAt: null });
+    Object.assign(s, { doneAt: f.at, doneBy: f.by || null, outcome: f.outcome || null, note: f.note || null });
+  });
+  return steps;
+}
+
+/**
+ * The next follow-up still owed, or null. Only open (sent, undecided) quotes have one.
+ */
+function nextFollowUp(e, now = new Date(), days = FOLLOW_UP_DAYS) {
+  if (e.status !== 'sent' || e.reminderDismissedAt) return null;
+  const step = followUpSchedule(e, days).find(s => !s.doneAt && s.dueAt);
+  if (!step) return null;
+  let due = new Date(step.dueAt);
+  if (e.reminderSnoozeUntil && new Date(e.reminderSnoozeUntil) > due) due = new Date(e.reminderSnoozeUntil);
+  return { step: step.step, day: step.day, dueAt: due.toISOString(), overdueDays: Math.max(0, Math.floor((now - due) / DAY)), due: due <= now };
+}
+
+/**
+ * Validate a loss. reason is one of LOSS_REASONS; competitorPrice is their total if we heard it.
+ * Returns the estimate fields to save.
+ */
+function lossFields(body = {}) {
+  const reason = body.reason || body.lossReason || null;
+  if (reason && !LOSS_REASONS.includes(reason)) throw pipelineError(`reason must be one of ${LOSS_REASONS.join(', ')}`);
+  if (reason === 'other' && !(body.detail || body.lossDetail)) throw pipelineError('Say what the other reason was');
+  const price = body.competitorPrice === undefined || body.competitorPrice === '' || body.competitorPrice === null ? null : parseFloat(body.competitorPrice);
+  if (price !== null && !(price >= 0)) throw pipelineError('competitorPrice must be a number');
+  return {
+    status: 'declined',
+    declinedAt: new Date(),
+    lossReason: reason,
+    lossDetail: body.detail || body.lossDetail || null,
+    competitor: body.competitor || null,
+    competitorPrice: price,
+  };
+}
+
+// How far our total was above (+) or below (−) the competitor's, as a percent of theirs
+function priceGapPct(ourTotal, competitorPrice) {
+  const theirs = parseFloat(competitorPrice);
+  if (!(theirs > 0)) return null;
+  return Math.round(((parseFloat(ourTotal) || 0) - theirs) / theirs * 1000) / 10;
+}
+
+/**
+ * Pipeline view of an estimate.
+ */
+function pipelineRow(estimate, now = new Date()) {
+  const e = plain(estimate);
+  const total = money(e.grandTotal);
+  const probability = probabilityOf(e);
+  return {
+    id: e.id,
+    estimateNumber: e.estimateNumber,
+    clientName: e.clientName,
+    estimator: e.estimator || null,
+    status: e.status,
+    total,
+    probability,
+    weighted: money(total * probability / 100),
+    expectedCloseDate: e.expectedCloseDate || null,
+    sentAt: e.sentAt || null,
+    ageDays: e.sentAt ? Math.floor((now - new Date(e.sentAt)) / DAY) : null,
+    nextFollowUp: nextFollowUp(e, now),
+    followUpsMade: (e.followUps || []).length,
+  };
+}
+
+const periodKey = (d, interval) => {
+  const dt = new Date(d);
+  const y = dt.getUTCFullYear();
+  if (interval === 'year') return String(y);
+  if (interval === 'quarter') return `${y}-Q${Math.floor(dt.getUTCMonth() / 3) + 1}`;
+  return `${y}-${String(dt.getUTCMonth() + 1).padStart(2, '0')}`;
+};
+
+function emptyBucket(key) {
+  return { key, quoted: 0, won: 0, lost: 0, open: 0, quotedValue: 0, wonValue: 0, lostValue: 0, lossReasons: {}, priceGaps: [] };
+}
+
+function addTo(b, outcome, value, e) {
+  b.quoted++;
+  b.quotedValue += value;
+  if (outcome === 'won') { b.won++; b.wonValue += value; }
+  else if (outcome === 'lost') {
+    b.lost++;
+    b.lostValue += value;
+    const r = e.lossReason || 'unrecorded';
+    b.lossReasons[r] = (b.lossReasons[r] || 0) + 1;
+    const gap = priceGapPct(value, e.competitorPrice);
+    if (gap !== null) b.priceGaps.push(gap);
+  } else b.open++;
+}
+
+function finish(b) {
+  const decided = b.won + b.lost;
+  const gaps = b.priceGaps;
+  return {
+    key: b.key,
+    quoted: b.quoted,
+    won: b.won,
+    lost: b.lost,
+    open: b.open,
+    hitRate: decided ? Math.round(b.won / decided * 1000) / 10 : null, // won of decided
+    closeRate: b.quoted ? Math.round(b.won / b.quoted * 1000) / 10 : null, // won of everything sent
+    quotedValue: money(b.quotedValue),
+    wonValue: money(b.wonValue),
+    lostValue: money(b.lostValue),
+    valueHitRate: b.wonValue + b.lostValue ? Math.round(b.wonValue / (b.wonValue + b.lostValue) * 1000) / 10 : null,
+    lossReasons: b.lossReasons,
+    avgPriceGapPct: gaps.length ? Math.round(gaps.reduce((a, c) => a + c, 0) / gaps.length * 10) / 10 : null,
+  };
+}
+
+/**
+ * Hit rate over sent quotes, grouped and by period.
+ * estimates: rows with status, sentAt, grandTotal, clientName, estimator, loss fields and parts
+ * ({ partType, partTotal }). groupBy: client | partType | estimator | priceBand. interval: month |
+ * quarter | year. A part-type group counts each quote once per part type on it, valued at those
+ * parts' totals.
+ */
+function winLossStats(estimates, { groupBy = 'client', interval = 'month' } = {}) {
+  if (!GROUPS.includes(groupBy)) throw pipelineError(`groupBy must be one of ${GROUPS.join(', ')}`);
+  const overall = emptyBucket('all');
+  const groups = new Map();
+  const periods = new Map();
+  const bucket = (map, key) => map.get(key) || map.set(key, emptyBucket(key)).get(key);
+
+  for (const row of estimates) {
+    const e = plain(row);
+    if (!e.sentAt && !WON.includes(e.status) && e.status !== 'declined') continue; // never quoted
+    const outcome = outcomeOf(e.status);
+    if (outcome === 'closed' || outcome === 'draft') continue;
+    const value = money(e.grandTotal);
+    addTo(overall, outcome, value, e);
+    addTo(bucket(periods, periodKey(e.sentAt || e.createdAt, interval)), outcome, value, e);
+
+    if (groupBy === 'partType') {
+      const byType = new Map();
+      for (const p of e.parts || []) byType.set(p.partType, (byType.get(p.partType) || 0) + (parseFloat(p.partTotal) || 0));
+      for (const [type, v] of byType) addTo(bucket(groups, type), outcome, money(v), { ...e, grandTotal: v });
+    } else {
+      const key = groupBy === 'client' ? e.clientName || 'Unknown client'
+        : groupBy === 'estimator' ? e.estimator || 'unassigned'
+          : priceBand(value);
+      addTo(bucket(groups, key), outcome, value, e);
+    }
+  }
+
+  const order = groupBy === 'priceBand'
+    ? (a, b) => PRICE_BANDS.findIndex(p => p.label === a.key) - PRICE_BANDS.findIndex(p => p.label === b.key)
+    : (a, b) => b.quoted - a.quoted;
+  return {
+    groupBy,
+    interval,
+    overall: finish(overall),
+    groups: [...groups.values()].map(finish).sort(order),
+    periods: [...periods.values()].map(finish).sort((a, b) => a.key.localeCompare(b.key)),
+  };
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+async function findEstimate(id) {
+  const { Estimate } = getModels();
+  const estimate = await Estimate.findByPk(id);
+  if (!estimate || estimate.trashedAt) throw pipelineError('Estimate not found', 404);
+  return estimate;
+}
+
+/**
+ * Set the estimator's forecast: { expectedCloseDate?, winProbability?, estimator? }.
+ */
+async function updateForecast(id, body = {}) {
+  const estimate = await findEstimate(id);
+  const updates = {};
+  if (body.expectedCloseDate !== undefined) updates.expectedCloseDate = body.expectedCloseDate || null;
+  if (body.estimator !== undefined) updates.estimator = body.estimator || null;
+  if (body.winProbability !== undefined) {
+    const p = body.winProbability === null || body.winProbability === '' ? null : parseInt(body.winProbability, 10);
+    if (p !== null && !(p >= 0 && p <= 100)) throw pipelineError('winProbability must be 0–100');
+    updates.winProbability = p;
+  }
+  await estimate.update(updates);
+  return estimate;
+}
+
+/**
+ * Log a follow-up made on a sent quote. Body: { note?, outcome? (reached|left_message|no_answer|email) }.
+ */
+async function recordFollowUp(id, body = {}, by) {
+  const estimate = await findEstimate(id);
+  if (estimate.status !== 'sent') throw pipelineError('Only sent quotes awaiting an answer take follow-ups');
+  const entry = { at: new Date().toISOString(), by: by || null, outcome: body.outcome || null, note: body.note || null };
+  await estimate.update({ followUps: [...(estimate.followUps || []), entry], reminderSnoozeUntil: null });
+  return estimate;
+}
+
+async function markDeclined(id, body, by) {
+  const estimate = await findEstimate(id);
+  if (WON.includes(estimate.status)) throw pipelineError(`Estimate is already ${estimate.status}`);
+  const fields = lossFields(body);
+  await estimate.update({ ...fields, lossRecordedBy: by || null });
+  return estimate;
+}
+
+/**
+ * Open quotes with forecast and next follow-up. Filters: estimator, clientName, dueOnly.
+ */
+async function openPipeline({ estimator, clientName, dueOnly } = {}, now = new Date()) {
+  const { Estimate } = getModels();
+  const where = { status: OPEN, trashedAt: null };
+  if (estimator) where.estimator = estimator;
+  if (clientName) where.clientName = clientName;
+  const rows = (await Estimate.findAll({ where, order: [['sentAt', 'ASC']] })).map(e => pipelineRow(e, now));
+  const list = dueOnly ? rows.filter(r => r.nextFollowUp && r.nextFollowUp.due) : rows;
+  const byMonth = {};
+  for (const r of list) {
+    const k = r.expectedCloseDate ? String(r.expectedCloseDate).slice(0, 7) : 'unscheduled';
+    byMonth[k] = byMonth[k] || { total: 0, weighted: 0, count: 0 };
+    byMonth[k].total = money(byMonth[k].total + r.total);
+    byMonth[k].weighted = money(byMonth[k].weighted + r.weighted);
+    byMonth[k].count++;
+  }
+  return {
+    quotes: list,
+    totals: {
+      count: list.length,
+      total: money(list.reduce((a, r) => a + r.total, 0)),
+      weighted: money(list.reduce((a, r) => a + r.weighted, 0)),
+      followUpsDue: list.filter(r => r.nextFollowUp && r.nextFollowUp.due).length,
+    },
+    byExpectedClose: byMonth,
+  };
+}
+
+async function winLossReport({ from, to, groupBy, interval, estimator, clientName } = {}) {
+  const { Estimate, EstimatePart } = getModels();
+  const { Op } = require('sequelize');
+  const where = { trashedAt: null, sentAt: { [Op.ne]: null } };
+  if (from || to) {
+    if (from) where.sentAt[Op.gte] = new Date(from + 'T00:00:00');
+    if (to) where.sentAt[Op.lte] = new Date(to + 'T23:59:59');
+  }
+  if (estimator) where.estimator = estimator;
+  if (clientName) where.clientName = clientName;
+  const rows = await Estimate.findAll({
+    where,
+    attributes: ['id', 'status', 'sentAt', 'createdAt', 'grandTotal', 'clientName', 'estimator', 'lossReason', 'competitor', 'competitorPrice'],
+    include: groupBy === 'partType' ? [{ model: EstimatePart, as: 'parts', attributes: ['partType', 'partTotal'] }] : [],
+  });
+  return { from: from || null, to: to || null, ...winLossStats(rows, { groupBy, interval }) };
+}
+
+module.exports = {
+  FOLLOW_UP_DAYS,
+  LOSS_REASONS,
+  PRICE_BANDS,
+  priceBand,
+  followUpSchedule,
+  nextFollowUp,
+  lossFields,
+  priceGapPct,
+  pipelineRow,
+  winLossStats,
+  updateForecast,
+  recordFollowUp,
+  markDeclined,
+  openPipeline,
+  winLossReport,
+};
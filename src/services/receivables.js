@@ -0,0 +1,488 @@
+/**
+ * Receivables — AR aging, dunning reminders, monthly statements and credit hold.
+ *
+ * An invoice is due its client's net days after its invoice date — getNetDays(paymentTerms), the
+ * terms the invoice PDF prints (COD is 0). Terms it can't read fall back to the default in
+ * AppSettings 'ar_settings' (net 30). What's open on it is getWOBalance's balance, the same number
+ * the payment ledger shows. Aging buckets go by days past due: current, 1–30, 31–60, 61–90, over 90.
+ *
+ * Dunning is a sequence of steps, each with a days-past-due threshold and an email template —
+ * by default a friendly reminder, a past-due notice and a credit hold. A client moves through it one
+ * step at a time: the next step goes out when their oldest past-due invoice has reached its
+ * threshold and at least minGapDays have passed since the last one. Steps already sent count only
+ * while an invoice they listed is still past due — once the client is caught up, the next invoice to
+ * run late starts again at the first step. A client with less than minBalance past due, no billing
+ * email, or dunningPaused set gets nothing.
+ *
+ * Reminders and statements go out through the Gmail account chosen in the settings (the same
+ * Gmail API send payroll uses), else SMTP (the nodemailer settings the invoice email uses), with
+ * the client's statement PDF attached. Every one — sent, failed or skipped — is a DunningNotice row.
+ *
+ * A step marked creditHold also puts the client on credit hold. Releasing it is always a person's
+ * call. Creating a work order for a client on hold still goes through but comes back with a warning.
+ */
+
+const { Op } = require('sequelize');
+
+const getModels = () => require('../models');
+const getNetDays = (terms) => require('../routes/quickbooks').getNetDays(terms);
+
+const SETTINGS_KEY = 'ar_settings';
+const DAY_MS = 86400000;
+const SHOP_NAME = 'Carolina Rolling Co. Inc.';
+
+const BUCKETS = [
+  { key: 'current', label: 'Current', from: -Infinity, to: 0 },
+  { key: 'days1to30', label: '1–30', from: 1, to: 30 },
+  { key: 'days31to60', label: '31–60', from: 31, to: 60 },
+  { key: 'days61to90', label: '61–90', from: 61, to: 90 },
+  { key: 'over90', label: 'Over 90', from: 91, to: Infinity },
+];
+
+const DEFAULT_STEPS = [
+  {
+    key: 'friendly', name: 'Friendly reminder', daysOverdue: 1, creditHold: false,
+    subject: 'Friendly reminder — {{overdueCount}} past-due invoice(s) from {{shopName}}',
+    body: 'Hi {{contact}},\n\nJust a friendly reminder that the invoice(s) below are now past due:\n\n{{invoiceList}}\n\nPast due: {{overdueTotal}}\n\nYour statement is attached. If payment is already on its way, thank you — please disregard this note.\n\nThank you,\n{{shopName}}\n(562) 633-1044',
+  },
+  {
+    key: 'past_due', name: 'Past-due notice', daysOverdue: 30, creditHold: false,
+    subject: 'Past-due notice — {{overdueTotal}} owed to {{shopName}}',
+    body: 'Hi {{contact}},\n\nOur records show the invoice(s) below are past due, the oldest by {{oldestDays}} days:\n\n{{invoiceList}}\n\nPast due: {{overdueTotal}}\nTotal balance: {{balance}}\n\nPlease send payment or let us know when to expect it. Your statement is attached.\n\nThank you,\n{{shopName}}\n(562) 633-1044',
+  },
+  {
+    key: 'credit_hold', name: 'Credit hold', daysOverdue: 60, creditHold: true,
+    subject: 'Account on credit hold — {{client}}',
+    body: 'Hi {{contact}},\n\nThe invoice(s) below are now {{oldestDays}} days past due, and your account has been placed on credit hold:\n\n{{invoiceList}}\n\nPast due: {{overdueTotal}}\nTotal balance: {{balance}}\n\nNew work may be delayed until the account is brought current. Please call us to arrange payment. Your statement is attached.\n\n{{shopName}}\n(562) 633-1044',
+  },
+];
+
+const STATEMENT_TEMPLATE = {
+  subject: 'Statement of account — {{client}}',
+  body: 'Hi {{contact}},\n\nYour statement from {{shopName}} is attached. Balance due: {{balance}}.\n\nThank you for your business,\n{{shopName}}\n(562) 633-1044',
+};
+
+const DEFAULT_SETTINGS = {
+  enabled: false, // automatic reminders; statements have their own switch
+  statementsEnabled: false,
+  defaultNetDays: 30,
+  minBalance: 25,
+  minGapDays: 7,
+  gmailAccountId: null,
+  cc: null,
+  steps: DEFAULT_STEPS,
+};
+
+function arError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const money = (v) => Math.round((parseFloat(v) || 0) * 100) / 100;
+const usd = (v) => '$' + money(v).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+// Calendar day in the shop's time zone; 'YYYY-MM-DD' strings (DATEONLY columns) pass through
+const dateOnly = (d) => {
+  if (!d) return null;
+  if (typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d)) return d;
+  return new Date(d).toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+};
+const addDays = (day, n) => new Date(new Date(day + 'T00:00:00Z').getTime() + n * DAY_MS).toISOString().slice(0, 10);
+const daysBetween = (from, to) => Math.round((new Date(to + 'T00:00:00Z') - new Date(from + 'T00:00:00Z')) / DAY_MS);
+const blankToNull = (v) => (v === undefined || v === null || String(v).trim() === '' ? null : String(v).trim());
+
+// ---------------------------------------------------------------------------------------------
+// Aging (pure)
+// ---------------------------------------------------------------------------------------------
+
+const bucketFor = (daysOverdue) => BUCKETS.find(b => daysOverdue >= b.from && daysOverdue <= b.to).key;
+const emptyBuckets = () => Object.fromEntries([...BUCKETS.map(b => [b.key, 0]), ['total', 0]]);
+
+/** Due date and days past due for one open invoice, `netDays` from its client's terms */
+function ageInvoice(inv, netDays, asOf) {
+  const invoiceDate = dateOnly(inv.invoiceDate);
+  const dueDate = invoiceDate ? addDays(invoiceDate, netDays) : null;
+  const daysOverdue = dueDate ? daysBetween(dueDate, asOf) : 0;
+  return { ...inv, invoiceDate, netDays, dueDate, daysOverdue, bucket: bucketFor(daysOverdue) };
+}
+
+/**
+ * The aging report. `invoices` are open invoices { workOrderId, drNumber, invoiceNumber,
+ * invoiceDate, clientId, clientName, balance }; `clients` the client rows they belong to. A client
+ * per row, largest balance first, with unapplied credit memos shown beside (not netted into) the buckets.
+ */
+function agingFrom(invoices, clients, { asOf, defaultNetDays = DEFAULT_SETTINGS.defaultNetDays, credits = {} } = {}) {
+  const byId = new Map(clients.map(c => [c.id, c]));
+  const groups = new Map();
+  for (const inv of invoices) {
+    if (money(inv.balance) <= 0) continue;
+    const client = byId.get(inv.clientId) || null;
+    const key = client ? client.id : `name:${inv.clientName}`;
+    if (!groups.has(key)) {
+      const terms = client?.paymentTerms || null;
+      const parsed = getNetDays(terms);
+      groups.set(key, {
+        clientId: client?.id || null, clientName: client?.name || inv.clientName, paymentTerms: terms,
+        netDays: parsed === null ? defaultNetDays : parsed, termsAssumed: parsed === null,
+        creditHold: !!client?.creditHold, dunningPaused: !!client?.dunningPaused, email: billingEmail(client),
+        invoices: [], buckets: emptyBuckets(), credits: money(client ? credits[client.id] : 0),
+      });
+    }
+    const g = groups.get(key);
+    const aged = ageInvoice({ ...inv, balance: money(inv.balance) }, g.netDays, asOf);
+    g.invoices.push(aged);
+    g.buckets[aged.bucket] = money(g.buckets[aged.bucket] + aged.balance);
+    g.buckets.total = money(g.buckets.total + aged.balance);
+  }
+
+  const rows = [...groups.values()].map(g => {
+    g.invoices.sort((a, b) => b.daysOverdue - a.daysOverdue);
+    const overdue = g.invoices.filter(i => i.daysOverdue > 0);
+    return { ...g, overdueTotal: money(overdue.reduce((s, i) => s + i.balance, 0)), oldestDaysOverdue: overdue.length ? overdue[0].daysOverdue : 0 };
+  }).sort((a, b) => b.buckets.total - a.buckets.total);
+
+  const totals = emptyBuckets();
+  for (const r of rows) for (const k of Object.keys(totals)) totals[k] = money(totals[k] + r.buckets[k]);
+  totals.credits = money(rows.reduce((s, r) => s + r.credits, 0));
+  return { asOf, buckets: BUCKETS.map(({ key, label }) => ({ key, label })), clients: rows, totals };
+}
+
+// ---------------------------------------------------------------------------------------------
+// Dunning (pure)
+// ---------------------------------------------------------------------------------------------
+
+// Where AR mail for a client goes: their AP address, else their accounting contact, else the main contact
+function billingEmail(client) {
+  if (!client) return null;
+  return blankToNull(client.apEmail) || blankToNull(client.accountingContactEmail) || blankToNull(client.contactEmail);
+}
+
+const sortedSteps = (steps) => steps.slice().sort((a, b) => a.daysOverdue - b.daysOverdue);
+
+/**
+ * The step a client is due for now, or null. `row` is the client's aging row; `notices` their
+ * sent dunning notices, newest first.
+ */
+function nextStep(row, notices, settings, asOf) {
+  if (row.dunningPaused || row.overdueTotal < settings.minBalance || !row.oldestDaysOverdue) return null;
+  const steps = sortedSteps(settings.steps);
+  const overdueIds = new Set(row.invoices.filter(i => i.daysOverdue > 0).map(i => i.workOrderId));
+  // Only notices about invoices that are still past due carry the sequence on
+  const current = notices.filter(n => steps.some(s => s.key === n.stepKey) && (n.invoices || []).some(i => overdueIds.has(i.workOrderId)));
+  const last = current[0];
+  if (last && daysBetween(dateOnly(last.sentAt), asOf) < settings.minGapDays) return null;
+  const reached = last ? Math.max(...current.map(n => steps.findIndex(s => s.key === n.stepKey))) : -1;
+  const step = steps[reached + 1];
+  return step && row.oldestDaysOverdue >= step.daysOverdue ? step : null;
+}
+
+// {{name}} placeholders from `vars`; unknown ones are left as they are
+const renderTemplate = (text, vars) => String(text || '').replace(/\{\{(\w+)\}\}/g, (m, k) => (vars[k] !== undefined && vars[k] !== null ? String(vars[k]) : m));
+
+function templateVars(row, client) {
+  const overdue = row.invoices.filter(i => i.daysOverdue > 0);
+  return {
+    client: row.clientName,
+    contact: blankToNull(client?.accountingContactName) || blankToNull(client?.contactName) || row.clientName,
+    shopName: SHOP_NAME,
+    overdueCount: overdue.length,
+    overdueTotal: usd(row.overdueTotal),
+    balance: usd(row.buckets.total),
+    oldestDays: row.oldestDaysOverdue,
+    invoiceList: overdue.map(i => `  Invoice ${i.invoiceNumber}${i.drNumber ? ` (DR-${i.drNumber})` : ''} — dated ${i.invoiceDate}, due ${i.dueDate}, ${i.daysOverdue} days past due — ${usd(i.balance)}`).join('\n'),
+  };
+}
+
+// RFC 2822 message with attachments, base64url-encoded for the Gmail API
+function mimeMessage({ from, to, cc, subject, text, attachments = [] }) {
+  const boundary = 'ar_boundary_' + Date.now();
+  const parts = [
+    'From: ' + from,
+    'To: ' + to,
+    ...(cc ? ['Cc: ' + cc] : []),
+    'Subject: ' + subject,
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/mixed; boundary="' + boundary + '"',
+    '',
+    '--' + boundary,
+    'Content-Type: text/plain; charset=UTF-8',
+    '',
+    text,
+    '',
+  ];
+  for (const a of attachments) {
+    parts.push(
+      '--' + boundary,
+      'Content-Type: ' + (a.contentType || 'application/pdf') + '; name="' + a.filename + '"',
+      'Content-Disposition: attachment; filename="' + a.filename + '"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      a.content.toString('base64'),
+      ''
+    );
+  }
+  parts.push('--' + boundary + '--');
+  return Buffer.from(parts.join('\r\n')).toString('base64url');
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+async function loadSettings() {
+  const { AppSettings } = getModels();
+  const row = await AppSettings.findOne({ where: { key: SETTINGS_KEY } });
+  const value = (row && row.value) || {};
+  return { ...DEFAULT_SETTINGS, ...value, steps: Array.isArray(value.steps) && value.steps.length ? value.steps : DEFAULT_STEPS };
+}
+
+function cleanStep(s, i) {
+  const key = blankToNull(s.key) || `step_${i + 1}`;
+  if (!/^[a-z0-9_]+$/.test(key) || key === 'statement') throw arError(`Step key "${key}" must be lowercase letters, digits and _ (and not "statement")`);
+  const daysOverdue = parseInt(s.daysOverdue);
+  if (!Number.isFinite(daysOverdue) || daysOverdue < 1) throw arError(`${s.name || key}: days past due must be 1 or more`);
+  if (!blankToNull(s.subject) || !blankToNull(s.body)) throw arError(`${s.name || key}: subject and body are required`);
+  return { key, name: blankToNull(s.name) || key, daysOverdue, creditHold: !!s.creditHold, subject: String(s.subject).trim(), body: String(s.body) };
+}
+
+async function saveSettings(input = {}, by) {
+  const { AppSettings, GmailAccount } = getModels();
+  const next = { ...(await loadSettings()) };
+  for (const k of ['enabled', 'statementsEnabled']) if (input[k] !== undefined) next[k] = !!input[k];
+  for (const [k, min] of [['defaultNetDays', 0], ['minBalance', 0], ['minGapDays', 1]]) {
+    if (input[k] === undefined) continue;
+    const n = parseFloat(input[k]);
+    if (!Number.isFinite(n) || n < min) throw arError(`${k} must be a number, at least ${min}`);
+    next[k] = n;
+  }
+  if (input.cc !== undefined) next.cc = blankToNull(input.cc);
+  if (input.gmailAccountId !== undefined) {
+    next.gmailAccountId = blankToNull(input.gmailAccountId);
+    if (next.gmailAccountId && !(await GmailAccount.findByPk(next.gmailAccountId))) throw arError('Gmail account not found', 404);
+  }
+  if (input.steps !== undefined) {
+    if (!Array.isArray(input.steps) || !input.steps.length) throw arError('At least one dunning step is required');
+    const steps = sortedSteps(input.steps.map(cleanStep));
+    if (new Set(steps.map(s => s.key)).size !== steps.length) throw arError('Step keys must be unique');
+    next.steps = steps;
+  }
+  next.updatedBy = by || null;
+  await AppSettings.upsert({ key: SETTINGS_KEY, value: next });
+  return next;
+}
+
+/** Open invoices — invoiced, unpaid, not voided — with what's left on each */
+async function openInvoices() {
+  const { WorkOrder } = getModels();
+  const { getWOBalance } = require('../routes/business');
+  const wos = await WorkOrder.findAll({
+    where: { invoiceNumber: { [Op.ne]: null }, paymentDate: null, isVoided: { [Op.ne]: true } },
+    attributes: ['id', 'drNumber', 'invoiceNumber', 'invoiceDate', 'createdAt', 'clientId', 'clientName'],
+  });
+  const invoices = [];
+  for (const wo of wos) {
+    const b = await getWOBalance(wo.id);
+    if (!b || b.balance <= 0.01) continue;
+    invoices.push({
+      workOrderId: wo.id, drNumber: wo.drNumber, invoiceNumber: wo.invoiceNumber, invoiceDate: wo.invoiceDate || wo.createdAt,
+      clientId: wo.clientId || null, clientName: wo.clientName, balance: money(b.balance),
+    });
+  }
+  return invoices;
+}
+
+async function unappliedCredits(clientIds) {
+  const { CreditMemo } = getModels();
+  if (!clientIds.length) return {};
+  const memos = await CreditMemo.findAll({ where: { clientId: { [Op.in]: clientIds }, voidedAt: null, remainingAmount: { [Op.gt]: 0 } } });
+  const byClient = {};
+  for (const m of memos) byClient[m.clientId] = money((byClient[m.clientId] || 0) + parseFloat(m.remainingAmount));
+  return byClient;
+}
+
+async function aging({ asOf, clientId } = {}) {
+  const { Client } = getModels();
+  const on = asOf || dateOnly(new Date());
+  const settings = await loadSettings();
+  let invoices = await openInvoices();
+  if (clientId) invoices = invoices.filter(i => i.clientId === clientId);
+  const ids = [...new Set(invoices.map(i => i.clientId).filter(Boolean))];
+  const clients = ids.length ? await Client.findAll({ where: { id: { [Op.in]: ids } } }) : [];
+  return agingFrom(invoices, clients, { asOf: on, defaultNetDays: settings.defaultNetDays, credits: await unappliedCredits(ids) });
+}
+
+/** Send one email through the configured Gmail account, else SMTP. Returns the channel used. */
+async function deliver(message, settings) {
+  const { GmailAccount } = getModels();
+  if (settings.gmailAccountId) {
+    const account = await GmailAccount.findByPk(settings.gmailAccountId);
+    if (!account) throw arError('The Gmail account in AR settings no longer exists');
+    const { getGmailClient } = require('./emailScanner');
+    const gmail = await getGmailClient(account);
+    await gmail.users.messages.send({ userId: 'me', requestBody: { raw: mimeMessage({ ...message, from: account.email }) } });
+    return 'gmail';
+  }
+  if (process.env.SMTP_HOST && process.env.SMTP_USER) {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    });
+    await transporter.sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER, to: message.to, cc: message.cc || undefined,
+      subject: message.subject, text: message.text,
+      attachments: message.attachments.map(a => ({ filename: a.filename, content: a.content, contentType: a.contentType || 'application/pdf' })),
+    });
+    return 'smtp';
+  }
+  throw arError('No email account is set up — choose a Gmail account in AR settings or configure SMTP');
+}
+
+async function setCreditHold(clientId, { hold, reason } = {}, by) {
+  const { Client } = getModels();
+  const client = await Client.findByPk(clientId);
+  if (!client) throw arError('Client not found', 404);
+  await client.update(hold
+    ? { creditHold: true, creditHoldReason: blankToNull(reason), creditHoldAt: new Date(), creditHoldBy: by || null }
+    : { creditHold: false, creditHoldReason: null, creditHoldAt: null, creditHoldBy: null });
+  return client;
+}
+
+/**
+ * Email one client a dunning step (or, with step null, their statement) and log it. A notice that
+ * can't go out is logged as skipped or failed, never thrown — a run carries on to the next client.
+ */
+async function sendNotice(row, client, step, { settings, by } = {}) {
+  const { DunningNotice } = getModels();
+  const template = step || STATEMENT_TEMPLATE;
+  const vars = templateVars(row, client);
+  const notice = {
+    clientId: row.clientId, clientName: row.clientName, stepKey: step ? step.key : 'statement', stepName: step ? step.name : 'Statement',
+    sentTo: row.email, subject: renderTemplate(template.subject, vars).substring(0, 255), body: renderTemplate(template.body, vars),
+    invoices: row.invoices.map(i => ({ workOrderId: i.workOrderId, drNumber: i.drNumber, invoiceNumber: i.invoiceNumber, balance: i.balance, daysOverdue: i.daysOverdue })),
+    overdueTotal: row.overdueTotal, balance: row.buckets.total, sentBy: by || 'system', sentAt: new Date(), status: 'sent',
+  };
+  if (!row.email) {
+    notice.status = 'skipped';
+    notice.error = 'No billing email on the client';
+  } else {
+    try {
+      const { buildStatementPDF } = require('../routes/clients-vendors');
+      const { buffer, filename } = await buildStatementPDF(client);
+      notice.channel = await deliver({ to: row.email, cc: settings.cc, subject: notice.subject, text: notice.body, attachments: [{ filename, content: buffer }] }, settings);
+    } catch (err) {
+      notice.status = 'failed';
+      notice.error = err.message;
+    }
+  }
+  if (notice.status === 'sent' && step?.creditHold && !client.creditHold) {
+    await setCreditHold(client.id, { hold: true, reason: `${step.name}: ${usd(row.overdueTotal)} past due, oldest ${row.oldestDaysOverdue} days` }, by || 'system');
+    notice.placedOnHold = true;
+  }
+  return DunningNotice.create(notice);
+}
+
+async function sentNoticesFor(clientIds) {
+  const { DunningNotice } = getModels();
+  if (!clientIds.length) return {};
+  const rows = await DunningNotice.findAll({ where: { clientId: { [Op.in]: clientIds }, status: 'sent' }, order: [['sentAt', 'DESC']] });
+  const byClient = {};
+  for (const n of rows) (byClient[n.clientId] = byClient[n.clientId] || []).push(n);
+  return byClient;
+}
+
+/**
+ * Work out who's due for which step and, unless `dryRun`, send it. The scheduled run passes
+ * `scheduled` and does nothing while reminders are switched off.
+ */
+async function runDunning({ asOf, dryRun = false, scheduled = false, by } = {}) {
+  const { Client } = getModels();
+  const settings = await loadSettings();
+  if (scheduled && !settings.enabled) return { skipped: 'Automatic reminders are off', planned: [], notices: [] };
+  const on = asOf || dateOnly(new Date());
+  const report = await aging({ asOf: on });
+  const rows = report.clients.filter(r => r.clientId);
+  const history = await sentNoticesFor(rows.map(r => r.clientId));
+  const planned = [];
+  for (const row of rows) {
+    const step = nextStep(row, history[row.clientId] || [], settings, on);
+    if (step) planned.push({ row, step });
+  }
+  const summary = (p) => ({ clientId: p.row.clientId, clientName: p.row.clientName, stepKey: p.step.key, stepName: p.step.name, sentTo: p.row.email, overdueTotal: p.row.overdueTotal, oldestDaysOverdue: p.row.oldestDaysOverdue });
+  if (dryRun) return { asOf: on, planned: planned.map(summary), notices: [] };
+
+  const notices = [];
+  for (const p of planned) {
+    const client = await Client.findByPk(p.row.clientId);
+    notices.push(await sendNotice(p.row, client, p.step, { settings, by }));
+  }
+  return { asOf: on, planned: planned.map(summary), notices };
+}
+
+/** Statements to every client with an open balance (monthly), or just `clientId` */
+async function sendStatements({ clientId, scheduled = false, by } = {}) {
+  const { Client } = getModels();
+  const settings = await loadSettings();
+  if (scheduled && !settings.statementsEnabled) return { skipped: 'Monthly statements are off', notices: [] };
+  const report = await aging({ clientId });
+  const notices = [];
+  for (const row of report.clients.filter(r => r.clientId)) {
+    if (scheduled && (row.dunningPaused || row.buckets.total < settings.minBalance)) continue;
+    const client = await Client.findByPk(row.clientId);
+    notices.push(await sendNotice(row, client, null, { settings, by }));
+  }
+  return { notices };
+}
+
+/** Send one client a chosen step now, outside the schedule */
+async function sendReminder(clientId, stepKey, by) {
+  const { Client } = getModels();
+  const settings = await loadSettings();
+  const step = settings.steps.find(s => s.key === stepKey);
+  if (!step) throw arError(`No dunning step "${stepKey}"`);
+  const client = await Client.findByPk(clientId);
+  if (!client) throw arError('Client not found', 404);
+  const [row] = (await aging({ clientId })).clients;
+  if (!row || !row.overdueTotal) throw arError(`${client.name} has nothing past due`);
+  return sendNotice(row, client, step, { settings, by });
+}
+
+async function listNotices({ clientId, status, limit = 200 } = {}) {
+  const { DunningNotice } = getModels();
+  const where = {};
+  if (clientId) where.clientId = clientId;
+  if (status) where.status = status;
+  return DunningNotice.findAll({ where, order: [['sentAt', 'DESC']], limit: Math.min(parseInt(limit) || 200, 1000) });
+}
+
+// What a new work order for this client should warn about, or null
+function creditHoldWarning(client) {
+  if (!client || !client.creditHold) return null;
+  return `${client.name} is on credit hold${client.creditHoldReason ? ` — ${client.creditHoldReason}` : ''}`;
+}
+
+module.exports = {
+  BUCKETS,
+  DEFAULT_STEPS,
+  bucketFor,
+  ageInvoice,
+  agingFrom,
+  billingEmail,
+  nextStep,
+  renderTemplate,
+  templateVars,
+  mimeMessage,
+  loadSettings,
+  saveSettings,
+  openInvoices,
+  aging,
+  setCreditHold,
+  sendNotice,
+  runDunning,
+  sendStatements,
+  sendReminder,
+  listNotices,
+  creditHoldWarning,
+};
@@ -0,0 +1,399 @@
+/**
+ * Rolling geometry — the flat blank behind a rolled part.
+ *
+ * Everything is measured on the neutral axis, the layer that neither stretches nor compresses
+ * while rolling. For plate that is mid-thickness (k-factor 0.5); for a section it is the
+ * section's centroid in the plane of the bend, which is why an angle rolled leg-out and leg-in
+ * needs different cut lengths for the same ring.
+ *
+ *   plateBlank   — cylinder or arc: developed length = π × neutral diameter × arc / 360
+ *   coneLayout   — cone flat pattern: inner/outer radii, included angle, chords, blank per segment
+ *   sectionRoll  — angle, channel, beam, tee, flat bar, pipe and tube: cut length on the centroid
+ *   partGeometry — any of the above from a stored EstimatePart/WorkOrderPart (formData merged)
+ *   checkPart    — the save-time check: impossible geometry is an error, suspicious is a warning
+ *
+ * Diameters may be given at the inside, outside or centerline of the material, and as a diameter
+ * or radius, matching the roll forms' _rollMeasurePoint / _rollMeasureType.
+ * Lengths are inches, weights pounds.
+ */
+
+const { parseNum, materialFamily, DENSITY } = require('./pricingSuggest');
+
+const DEFAULT_K = 0.5;
+const SECTION_TYPES = ['angle_roll', 'channel_roll', 'beam_roll', 'tee_bar', 'flat_bar', 'pipe_roll', 'tube_roll'];
+
+// Body fields that change a part's geometry — saves that touch none of these skip the check
+const GEOMETRY_FIELDS = [
+  'partType', 'thickness', 'width', 'length', 'diameter', 'radius', 'arcDegrees', 'rollType', 'sectionSize',
+  'outerDiameter', 'wallThickness', 'material', '_rollMeasurePoint', '_rollMeasureType', '_rollValue',
+  '_coneLargeDia', '_coneLargeDiaType', '_coneLargeDiaMeasure', '_coneSmallDia', '_coneSmallDiaType',
+  '_coneSmallDiaMeasure', '_coneHeight', '_coneRadialSegments', '_angleSize', '_barSize', '_tubeSize',
+  '_channelSize', '_beamSize', '_teeSize',
+];
+
+function geometryError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const round = (v, places = 3) => (v == null || !isFinite(v) ? null : Math.round(v * 10 ** places) / 10 ** places);
+const deg = (rad) => (rad * 180) / Math.PI;
+const rad = (d) => (d * Math.PI) / 180;
+
+function density(material) {
+  const fam = materialFamily(material);
+  return DENSITY[fam] !== undefined ? DENSITY[fam] : DENSITY.carbon;
+}
+
+function measurePointOf(v) {
+  const s = String(v || 'inside').toLowerCase();
+  if (s.startsWith('out')) return 'outside';
+  if (s.startsWith('center') || s === 'cl' || s === 'mean') return 'centerline';
+  return 'inside';
+}
+
+/**
+ * Neutral-axis diameter of a ring whose material is `depth` deep in the plane of the bend with
+ * the neutral axis `offset` in from the inside face.
+ */
+function neutralDiameter(diameter, measurePoint, depth, offset) {
+  const mp = measurePointOf(measurePoint);
+  const inside = mp === 'inside' ? diameter : mp === 'outside' ? diameter - 2 * depth : diameter - depth;
+  return inside + 2 * offset;
+}
+
+/**
+ * Flat blank for a rolled cylinder or arc.
+ * { thickness, width?, length?, diameter, measurePoint?, arcDegrees?, kFactor?, material? }
+ */
+function plateBlank(input) {
+  const t = parseNum(input.thickness);
+  const D = parseNum(input.diameter);
+  const w = parseNum(input.width);
+  const givenLength = parseNum(input.length);
+  const arc = input.arcDegrees == null || input.arcDegrees === '' ? 360 : parseNum(input.arcDegrees);
+  const k = input.kFactor != null && input.kFactor !== '' ? parseFloat(input.kFactor) : DEFAULT_K;
+  if (!(t > 0)) throw geometryError('Thickness is required');
+  if (!(D > 0)) throw geometryError('Roll diameter is required');
+  if (!(arc > 0)) throw geometryError('Arc must be more than 0°');
+  if (!(k > 0 && k < 1)) throw geometryError('k-factor must be between 0 and 1');
+
+  const mp = measurePointOf(input.measurePoint);
+  const insideDia = mp === 'inside' ? D : mp === 'outside' ? D - 2 * t : D - t;
+  if (!(insideDia > 0)) throw geometryError(`A ${D}" ${mp} diameter leaves no inside diameter at ${t}" thick`);
+  const dn = neutralDiameter(D, mp, t, k * t);
+  const developed = (Math.PI * dn * arc) / 360;
+
+  const warnings = [];
+  if (arc > 360) warnings.push(`Arc of ${arc}° is more than a full ring`);
+  if (insideDia < 2 * t) warnings.push(`Inside diameter ${round(insideDia)}" is under twice the thickness — check it can be rolled`);
+  if (givenLength && Math.max(givenLength, w || 0) < developed - 0.125) {
+    warnings.push(`Plate ${givenLength}" long is short of the ${round(developed, 2)}" developed length`);
+  }
+  // Weight is the plate actually handled: its own length when given, else the developed blank
+  const plateLength = givenLength || developed;
+  return {
+    type: 'plate',
+    measurePoint: mp,
+    kFactor: k,
+    insideDiameter: round(insideDia),
+    neutralDiameter: round(dn),
+    outsideDiameter: round(insideDia + 2 * t),
+    arcDegrees: arc,
+    developedLength: round(developed),
+    blank: { thickness: t, width: w || null, length: round(developed) },
+    weightLbs: w ? round(t * w * plateLength * density(input.material), 1) : null,
+    warnings,
+  };
+}
+
+/**
+ * Extents of an annular sector of `angle` degrees with its apex at the origin, opening upward
+ * symmetric about the vertical. The cone layout DXF places segments with this.
+ */
+function sectorExtents(outerR, innerR, angle) {
+  const half = rad(angle / 2);
+  const phis = [-half, half, 0];
+  if (half > Math.PI / 2) phis.push(-Math.PI / 2, Math.PI / 2);
+  if (half >= Math.PI) phis.push(Math.PI);
+  const pts = [];
+  for (const r of [outerR, innerR]) for (const p of phis) pts.push([r * Math.sin(p), r * Math.cos(p)]);
+  const xs = pts.map(p => p[0]), ys = pts.map(p => p[1]);
+  const ext = { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+  return { ...ext, width: ext.maxX - ext.minX, height: ext.maxY - ext.minY };
+}
+
+/**
+ * Flat pattern for a concentric cone.
+ * { thickness, largeDiameter, largeMeasurePoint?, smallDiameter, smallMeasurePoint?, height, segments?, kFactor?, material? }
+ * height is the vertical height between the two ends. Diameters follow the measure point of each end.
+ */
+function coneLayout(input) {
+  const t = parseNum(input.thickness);
+  const D1 = parseNum(input.largeDiameter);
+  const D2 = parseNum(input.smallDiameter) || 0;
+  const H = parseNum(input.height);
+  const n = Math.max(1, parseInt(input.segments) || 1);
+  const k = input.kFactor != null && input.kFactor !== '' ? parseFloat(input.kFactor) : DEFAULT_K;
+  if (!(t > 0)) throw geometryError('Thickness is required');
+  if (!(D1 > 0)) throw geometryError('Large diameter is required');
+  if (!(H > 0)) throw geometryError('Vertical height is required');
+  if (!(D1 > D2)) throw geometryError('Large diameter must be bigger than the small diameter');
+
+  // Across the cone wall, thickness measured horizontally is t / cos(half-angle)
+  const alpha0 = Math.atan((D1 - D2) / 2 / H);
+  const neutralR = (D, mp, alpha) => {
+    const tH = t / Math.cos(alpha);
+    const p = measurePointOf(mp);
+    const inside = p === 'inside' ? D / 2 : p === 'outside' ? D / 2 - tH : D / 2 - tH / 2;
+    return inside + k * tH;
+  };
+  let R1 = neutralR(D1, input.largeMeasurePoint, alpha0);
+  let R2 = Math.max(0, neutralR(D2, input.smallMeasurePoint, alpha0));
+  const alpha = Math.atan((R1 - R2) / H);
+  R1 = neutralR(D1, input.largeMeasurePoint, alpha);
+  R2 = D2 ? Math.max(0, neutralR(D2, input.smallMeasurePoint, alpha)) : 0;
+  if (!(R1 > R2)) throw geometryError('At this thickness the two ends are the same size — roll it as a cylinder');
+
+  const slant = Math.sqrt((R1 - R2) ** 2 + H ** 2);
+  const outerR = (R1 * slant) / (R1 - R2);
+  const innerR = outerR - slant;
+  const included = (360 * R1) / outerR;
+  const segAngle = included / n;
+  const box = sectorExtents(outerR, innerR, segAngle);
+  const area = (included / 360) * Math.PI * (outerR ** 2 - innerR ** 2);
+
+  const warnings = [];
+  if (n === 1 && included > 300) warnings.push(`One-piece flat pattern spans ${round(included, 1)}° — consider splitting into segments`);
+  if (deg(alpha) > 75) warnings.push(`Cone is nearly flat (${round(deg(alpha), 1)}° from the axis) — check it is a rolling job`);
+  return {
+    type: 'cone',
+    kFactor: k,
+    halfAngleDegrees: round(deg(alpha), 3),
+    largeNeutralDiameter: round(2 * R1),
+    smallNeutralDiameter: round(2 * R2),
+    slantHeight: round(slant),
+    outerRadius: round(outerR),
+    innerRadius: round(innerR),
+    includedAngle: round(included, 3),
+    segments: n,
+    segmentAngle: round(segAngle, 3),
+    outerChord: round(2 * outerR * Math.sin(rad(Math.min(segAngle, 360) / 2))),
+    innerChord: round(2 * innerR * Math.sin(rad(Math.min(segAngle, 360) / 2))),
+    largeArcLength: round((Math.PI * 2 * R1) / n),
+    smallArcLength: round((Math.PI * 2 * R2) / n),
+    blank: { thickness: t, width: round(box.width), length: round(box.height), pieces: n },
+    weightLbs: round(area * t * density(input.material), 1),
+    warnings,
+  };
+}
+
+// "2 x 2 x 1/4", "L3x2x3/8", "4 x 1/2" → [2, 2, 0.25]
+function sizeParts(size) {
+  if (!size) return [];
+  return String(size).replace(/^[A-Za-z]+\s*(?=\d)/, '').split(/\s*[xX×]\s*/).map(parseNum).filter(v => v != null && v > 0);
+}
+
+// "W8x31", "C6x8.2", "MC8x20" → { depth, lbsPerFoot }
+function designation(size) {
+  const m = String(size || '').trim().match(/^(W|S|M|HP|C|MC|WT|ST)\s*(\d+(?:\.\d+)?)\s*[xX×]\s*(\d+(?:\.\d+)?)/i);
+  return m ? { depth: parseFloat(m[2]), lbsPerFoot: parseFloat(m[3]) } : null;
+}
+
+/**
+ * Depth of a section in the plane of the bend, where its neutral axis sits (from the inside
+ * face), and its cross-section area when the size string gives enough to work it out.
+ * easy_way on an angle is leg-out (heel on the inside), hard_way is leg-in — the EW-OD / HW-ID
+ * orientations on the roll form.
+ */
+function sectionProfile(input) {
+  const type = input.partType;
+  const hardWay = input.rollType === 'hard_way' || input.rollType === 'on_edge';
+  const dims = sizeParts(input.sectionSize);
+  const warnings = [];
+
+  if (input.sectionDepth) {
+    const h = parseNum(input.sectionDepth);
+    const c = input.neutralOffset != null && input.neutralOffset !== '' ? parseNum(input.neutralOffset) : h / 2;
+    return { depth: h, offset: c, area: null, warnings };
+  }
+  if (type === 'pipe_roll') {
+    const od = parseNum(input.outerDiameter);
+    if (!od) return null;
+    const solid = String(input.wallThickness || '').toUpperCase() === 'SOLID';
+    const wall = solid ? od / 2 : parseNum(input.wallThickness);
+    return { depth: od, offset: od / 2, area: wall ? (Math.PI / 4) * (od ** 2 - (od - 2 * wall) ** 2) : null, warnings };
+  }
+  if (type === 'tube_roll') {
+    if (dims.length < 2) return null;
+    const [a, b, wall] = dims.length === 2 ? [dims[0], dims[0], dims[1]] : dims;
+    const h = hardWay ? Math.max(a, b) : Math.min(a, b);
+    return { depth: h, offset: h / 2, area: wall ? 2 * wall * (a + b) - 4 * wall ** 2 : null, warnings };
+  }
+  if (type === 'flat_bar') {
+    const sides = dims.length >= 2 ? dims.slice(0, 2) : [parseNum(input.thickness), parseNum(input.width)].filter(Boolean);
+    if (sides.length < 2) return null;
+    const h = hardWay ? Math.max(...sides) : Math.min(...sides);
+    return { depth: h, offset: h / 2, area: sides[0] * sides[1], warnings };
+  }
+  if (type === 'angle_roll') {
+    if (dims.length < 2) return null;
+    const [a, b, t] = dims.length === 2 ? [dims[0], dims[0], dims[1]] : dims;
+    // Leg `a` lies in the plane of the ring; centroid measured out from the heel
+    const area = t * (a + b - t);
+    const xbar = (a * t * (a / 2) + (b - t) * t * (t / 2)) / area;
+    return { depth: a, offset: hardWay ? a - xbar : xbar, area, warnings };
+  }
+  if (type === 'channel_roll' || type === 'beam_roll' || type === 'tee_bar') {
+    const d = designation(input.sectionSize);
+    if (d && hardWay && type !== 'tee_bar') return { depth: d.depth, offset: d.depth / 2, lbsPerFoot: d.lbsPerFoot, area: null, warnings };
+    // Easy way (and tees) need flange dimensions the size string doesn't carry
+    warnings.push('Section depth for this orientation is not known — rolled on the measured diameter; enter sectionDepth and neutralOffset for an exact cut length');
+    return { depth: 0, offset: 0, lbsPerFoot: d ? d.lbsPerFoot : null, area: null, warnings, centerlineOnly: true };
+  }
+  return null;
+}
+
+/**
+ * Cut length for a rolled section.
+ * { partType, rollType?, sectionSize?, outerDiameter?, wallThickness?, thickness?, width?, diameter,
+ *   measurePoint?, arcDegrees?, sectionDepth?, neutralOffset?, weightPerFoot?, material? }
+ */
+function sectionRoll(input) {
+  const D = parseNum(input.diameter);
+  const arc = input.arcDegrees == null || input.arcDegrees === '' ? 360 : parseNum(input.arcDegrees);
+  if (!(D > 0)) throw geometryError('Roll diameter is required');
+  if (!(arc > 0)) throw geometryError('Arc must be more than 0°');
+  const profile = sectionProfile(input);
+  if (!profile) throw geometryError('Section size is required');
+
+  const mp = profile.centerlineOnly ? 'centerline' : measurePointOf(input.measurePoint);
+  const insideDia = mp === 'inside' ? D : mp === 'outside' ? D - 2 * profile.depth : D - profile.depth;
+  if (!(insideDia > 0)) throw geometryError(`A ${D}" ${mp} diameter is smaller than the section itself`);
+  const dn = profile.centerlineOnly ? D : neutralDiameter(D, mp, profile.depth, profile.offset);
+  const developed = (Math.PI * dn * arc) / 360;
+
+  const warnings = [...profile.warnings];
+  if (arc > 360) warnings.push(`Arc of ${arc}° is more than a full ring`);
+  const lbsPerFoot = parseNum(input.weightPerFoot) || profile.lbsPerFoot || (profile.area ? profile.area * 12 * density(input.material) : null);
+  return {
+    type: 'section',
+    partType: input.partType,
+    rollType: input.rollType || null,
+    measurePoint: mp,
+    sectionDepth: round(profile.depth),
+    neutralOffset: round(profile.offset),
+    neutralDiameter: round(dn),
+    arcDegrees: arc,
+    developedLength: round(developed),
+    blank: { length: round(developed) },
+    lbsPerFoot: round(lbsPerFoot, 2),
+    weightLbs: lbsPerFoot ? round((lbsPerFoot * developed) / 12, 1) : null,
+    warnings,
+  };
+}
+
+// The roll diameter on a stored part: diameter, else radius × 2, else the form's _rollValue
+function partRollDiameter(p) {
+  const d = parseNum(p.diameter);
+  if (d) return d;
+  const r = parseNum(p.radius);
+  if (r) return r * 2;
+  const v = parseNum(p._rollValue);
+  if (v) return p._rollMeasureType === 'radius' ? v * 2 : v;
+  return null;
+}
+
+const coneDia = (value, measure) => {
+  const v = parseNum(value);
+  return v ? (measure === 'radius' ? v * 2 : v) : null;
+};
+
+// Stored part with its formData laid over the columns (blank columns fall back to formData)
+function mergedPart(part) {
+  const raw = part && part.dataValues ? part.dataValues : part || {};
+  const fd = raw.formData && typeof raw.formData === 'object' ? raw.formData : {};
+  const p = { ...fd, ...raw };
+  for (const k of Object.keys(fd)) if (p[k] === undefined || p[k] === null || p[k] === '') p[k] = fd[k];
+  return p;
+}
+
+/**
+ * coneLayout input from a stored cone_roll part, or null when the cone form isn't filled in.
+ */
+function coneInput(part) {
+  const p = mergedPart(part);
+  if (!parseNum(p.thickness) || !parseNum(p._coneLargeDia) || !parseNum(p._coneHeight)) return null;
+  return {
+    thickness: p.thickness,
+    largeDiameter: coneDia(p._coneLargeDia, p._coneLargeDiaMeasure),
+    largeMeasurePoint: p._coneLargeDiaType,
+    smallDiameter: coneDia(p._coneSmallDia, p._coneSmallDiaMeasure),
+    smallMeasurePoint: p._coneSmallDiaType,
+    height: p._coneHeight,
+    segments: p._coneRadialSegments,
+    material: p.material,
+  };
+}
+
+/**
+ * Geometry for a stored EstimatePart or WorkOrderPart. Null when the part isn't rolled or the
+ * form isn't filled in far enough yet; throws for geometry that cannot exist.
+ */
+function partGeometry(part) {
+  const p = mergedPart(part);
+
+  if (p.partType === 'cone_roll') {
+    const input = coneInput(p);
+    return input ? coneLayout(input) : null;
+  }
+  const D = partRollDiameter(p);
+  if (!D) return null;
+  if (p.partType === 'plate_roll' || p.partType === 'shaped_plate') {
+    if (!parseNum(p.thickness)) return null;
+    return plateBlank({ thickness: p.thickness, width: p.width, length: p.length, diameter: D, measurePoint: p._rollMeasurePoint, arcDegrees: p.arcDegrees, material: p.material });
+  }
+  if (SECTION_TYPES.includes(p.partType)) {
+    const size = p._angleSize || p._barSize || p._tubeSize || p._channelSize || p._beamSize || p._teeSize || p.sectionSize;
+    if (!size && !p.outerDiameter && !(p.partType === 'flat_bar' && p.thickness && p.width)) return null;
+    return sectionRoll({
+      partType: p.partType, rollType: p.rollType, sectionSize: size, outerDiameter: p.outerDiameter,
+      wallThickness: p.wallThickness, thickness: p.thickness, width: p.width, diameter: D,
+      measurePoint: p._rollMeasurePoint, arcDegrees: p.arcDegrees, material: p.material,
+    });
+  }
+  return null;
+}
+
+/**
+ * Save-time check. { errors, warnings, geometry } — errors are geometry that cannot exist.
+ */
+function checkPart(part) {
+  try {
+    const geometry = partGeometry(part);
+    return { errors: [], warnings: geometry ? geometry.warnings : [], geometry };
+  } catch (err) {
+    if (!err.status) throw err;
+    return { errors: [err.message], warnings: [], geometry: null };
+  }
+}
+
+const touchesGeometry = (body) => GEOMETRY_FIELDS.some(f => body && body[f] !== undefined);
+
+module.exports = {
+  DEFAULT_K,
+  SECTION_TYPES,
+  GEOMETRY_FIELDS,
+  neutralDiameter,
+  plateBlank,
+  coneLayout,
+  sectorExtents,
+  coneInput,
+  mergedPart,
+  sectionProfile,
+  sectionRoll,
+  partGeometry,
+  checkPart,
+  touchesGeometry,
+};
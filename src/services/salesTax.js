@@ -0,0 +1,597 @@
+/**
+ * Sales tax — rates by ship-to jurisdiction, what part of a sale is taxable, resale / exemption
+ * certificates, and the quarterly return.
+ *
+ * Rates live in tax_rates, one row per jurisdiction per period. A jurisdiction is a state, a city
+ * in it, or a list of ZIP codes (a district that doesn't follow city lines); the most specific row
+ * effective on the date wins — ZIP, then city, then the state-wide row. Rates are never edited in
+ * place: a new rate is a new row from its effective date, and the row it replaces is closed the
+ * day before, so an invoice from last quarter still finds the rate it was billed at. With no row
+ * for a place, the default rate in AppSettings 'tax_settings' applies (DEFAULTS.TAX_RATE without one).
+ *
+ * The ship-to is the order's shipToAddress, else where our delivery dropped it, else our shop —
+ * a customer pick-up is taxed where it's picked up.
+ *
+ * A sale splits the way QuickBooks books it (QB_CONFIG accounts):
+ *
+ *   material  billed material (with markup) and materials on shipment charges
+ *   labor     rolling, forming, outside processing, setup and the minimum-labor adjustment
+ *   service   fab service and shop-rate lines
+ *   freight   trucking and shipping — separately stated, so not taxable by default
+ *
+ * Which kinds are taxable is tax_settings.taxability, overridable per rate row. An order marked
+ * exempt (or a resale / exempt client) is all nontaxable, and the report flags any exempt sale
+ * with no certificate on file that covers its invoice date.
+ *
+ * The quarterly report starts from what was invoiced — the order total AR carries (grand total,
+ * or parts + trucking when it was never totalled, plus shipment charges) — and takes the tax
+ * charged back out, so gross sales + tax charged ties to invoiced totals to the cent. Tax due is
+ * recomputed from the rate tables; any invoice where it differs from what was charged is listed.
+ */
+
+const { QB_CONFIG, DEFAULTS } = require('../constants');
+const { partBreakdown } = require('./pricing');
+
+const getModels = () => require('../models');
+
+const SETTINGS_KEY = 'tax_settings';
+const KINDS = ['material', 'labor', 'service', 'freight'];
+const DEFAULT_TAXABILITY = { material: true, labor: true, service: true, freight: false };
+const SHOP_ADDRESS = '9152 Sonrisa St., Bellflower, CA 90706';
+const CERT_KINDS = ['resale', 'exempt', 'government', 'other'];
+const REMINDER_DAYS = 30;
+const DAY_MS = 86400000;
+
+const SERVICE_TYPES = ['fab_service', 'shop_rate'];
+
+function taxError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const money = (v) => Math.round(v * 100) / 100;
+// Calendar day in the shop's time zone; 'YYYY-MM-DD' strings (DATEONLY columns) pass through
+const dateOnly = (d) => {
+  if (!d) return null;
+  if (typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d)) return d;
+  return new Date(d).toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+};
+const addDays = (day, n) => new Date(new Date(day + 'T00:00:00Z').getTime() + n * DAY_MS).toISOString().slice(0, 10);
+const blankToNull = (v) => (v === undefined || v === null || String(v).trim() === '' ? null : String(v).trim());
+
+// ---------------------------------------------------------------------------------------------
+// Rate tables
+// ---------------------------------------------------------------------------------------------
+
+// "9152 Sonrisa St., Bellflower, CA 90706-1234" → { city: 'BELLFLOWER', state: 'CA', zip: '90706' }
+function parseAddress(text) {
+  if (!text) return null;
+  const flat = String(text).replace(/\s*\n\s*/g, ', ');
+  const m = flat.match(/(?:^|,)\s*([A-Za-z][A-Za-z .'-]*?)\s*,?\s+([A-Za-z]{2})\.?\s+(\d{5})(?:-\d{4})?\s*(?:,?\s*(?:USA?|United States))?\s*$/i);
+  if (m) return { city: m[1].trim().toUpperCase(), state: m[2].toUpperCase(), zip: m[3] };
+  const zip = flat.match(/\b(\d{5})(?:-\d{4})?\b(?!.*\b\d{5}\b)/);
+  return zip ? { city: null, state: null, zip: zip[1] } : null;
+}
+
+// A rate row as typed → validated columns
+function normalizeRateRow(input = {}) {
+  const code = blankToNull(input.code);
+  if (!code) throw taxError('Jurisdiction code is required');
+  const state = blankToNull(input.state);
+  if (!state || !/^[A-Za-z]{2}$/.test(state)) throw taxError('State must be a two-letter code');
+  const rate = parseFloat(input.rate);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 20) throw taxError('Rate must be a percentage between 0 and 20');
+  const effectiveFrom = blankToNull(input.effectiveFrom);
+  if (!effectiveFrom || isNaN(new Date(effectiveFrom))) throw taxError('Effective date is required');
+  const effectiveTo = blankToNull(input.effectiveTo);
+  if (effectiveTo && effectiveTo < effectiveFrom) throw taxError('A rate cannot end before it starts');
+  const zipList = Array.isArray(input.zips) ? input.zips : String(input.zips || '').split(/[\s,]+/);
+  const zips = [...new Set(zipList.map(z => String(z).trim()).filter(Boolean))];
+  const badZip = zips.find(z => !/^\d{5}$/.test(z));
+  if (badZip) throw taxError(`"${badZip}" is not a 5-digit ZIP code`);
+  const taxability = {};
+  for (const kind of KINDS) {
+    if (input.taxability && input.taxability[kind] !== undefined) taxability[kind] = !!input.taxability[kind];
+  }
+  return {
+    code: code.toUpperCase(),
+    name: blankToNull(input.name) || code,
+    state: state.toUpperCase(),
+    city: blankToNull(input.city) ? input.city.trim().toUpperCase() : null,
+    zips,
+    rate: Math.round(rate * 10000) / 10000,
+    effectiveFrom: dateOnly(effectiveFrom),
+    effectiveTo: effectiveTo ? dateOnly(effectiveTo) : null,
+    components: input.components && typeof input.components === 'object' ? input.components : {},
+    taxability,
+    notes: blankToNull(input.notes),
+  };
+}
+
+const effectiveOn = (row, date) => row.effectiveFrom <= date && (!row.effectiveTo || row.effectiveTo >= date);
+
+// The rate row for a ship-to on a date: ZIP beats city beats state-wide. null when none applies.
+function resolveJurisdiction(rows, shipTo, date) {
+  const on = dateOnly(date || new Date());
+  const place = typeof shipTo === 'string' ? parseAddress(shipTo) : shipTo;
+  if (!place) return null;
+  const live = rows.filter(r => effectiveOn(r, on));
+  const byZip = place.zip && live.find(r => (r.zips || []).includes(place.zip));
+  if (byZip) return { row: byZip, matchedBy: 'zip' };
+  const byCity = place.city && place.state && live.find(r => r.state === place.state && r.city === place.city && !(r.zips || []).length);
+  if (byCity) return { row: byCity, matchedBy: 'city' };
+  const byState = place.state && live.find(r => r.state === place.state && !r.city && !(r.zips || []).length);
+  if (byState) return { row: byState, matchedBy: 'state' };
+  return null;
+}
+
+// Rows of the same code as a new one, and the changes that close them off the day before it starts
+function closeSuperseded(existing, next) {
+  const dayBefore = addDays(next.effectiveFrom, -1);
+  return existing
+    .filter(r => r.code === next.code && r.effectiveFrom < next.effectiveFrom && (!r.effectiveTo || r.effectiveTo >= next.effectiveFrom))
+    .map(r => ({ id: r.id, effectiveTo: dayBefore }));
+}
+
+// ---------------------------------------------------------------------------------------------
+// What's taxable
+// ---------------------------------------------------------------------------------------------
+
+// Taxability for a jurisdiction: settings, then the row's overrides
+function taxabilityFor(settings, row) {
+  return { ...DEFAULT_TAXABILITY, ...((settings && settings.taxability) || {}), ...((row && row.taxability) || {}) };
+}
+
+// QuickBooks account a kind of sale posts to
+function accountFor(kind, taxable) {
+  if (kind === 'freight') return QB_CONFIG.freightAccount;
+  return taxable ? QB_CONFIG.taxableIncomeAccount : QB_CONFIG.nontaxableIncomeAccount;
+}
+
+const chargeAmounts = (c) => ({
+  freight: (parseFloat(c.shippingCost) || 0) * (1 + (parseFloat(c.shippingMarkup) || 0) / 100),
+  material: (parseFloat(c.materialsCost) || 0) * (1 + (parseFloat(c.materialsMarkup) || 0) / 100),
+});
+
+/**
+ * An invoiced order split into material / labor / service / freight.
+ *
+ * total is what was invoiced (as AR carries it) and taxCharged the tax on it; sales = total - tax.
+ * Freight is the trucking and shipment shipping as billed; materials on shipment charges are
+ * material. The rest of the sale — whatever minimums, rush and discounts made of it — is shared
+ * out over material, labor and service in proportion to the parts.
+ */
+function splitSale({ wo, parts = [], shipmentCharges = [] }) {
+  const partsTotal = parts.reduce((s, p) => s + (parseFloat(p.partTotal) || 0), 0);
+  const trucking = parseFloat(wo.truckingCost) || 0;
+  const stored = parseFloat(wo.grandTotal) || 0;
+  const base = stored > 0 ? stored : partsTotal + trucking;
+  const taxCharged = stored > 0 ? (parseFloat(wo.taxAmount) || 0) : 0;
+  const charges = shipmentCharges.reduce((acc, c) => {
+    const a = chargeAmounts(c);
+    return { freight: acc.freight + a.freight, material: acc.material + a.material };
+  }, { freight: 0, material: 0 });
+  const total = money(base + charges.freight + charges.material);
+  const sales = money(total - taxCharged);
+
+  const weights = { material: 0, labor: 0, service: 0 };
+  for (const p of parts) {
+    if (p.partType === 'rush_service') continue;
+    const qty = parseInt(p.quantity) || 1;
+    if (SERVICE_TYPES.includes(p.partType)) { weights.service += parseFloat(p.partTotal) || 0; continue; }
+    const { matEach, labEach } = partBreakdown(p);
+    weights.material += matEach * qty;
+    weights.labor += labEach * qty;
+  }
+  const weightSum = weights.material + weights.labor + weights.service;
+
+  const byKind = { material: 0, labor: 0, service: 0, freight: money(trucking + charges.freight) };
+  const rest = money(sales - byKind.freight - charges.material);
+  if (weightSum > 0) {
+    byKind.material = money(rest * weights.material / weightSum);
+    byKind.service = money(rest * weights.service / weightSum);
+    byKind.labor = money(rest - byKind.material - byKind.service); // takes the rounding cent
+  } else {
+    byKind.labor = rest;
+  }
+  byKind.material = money(byKind.material + charges.material);
+  return { total, taxCharged: money(taxCharged), sales, byKind };
+}
+
+// Taxable and nontaxable parts of a split sale, and the tax due on it at a rate
+function taxOn(split, { rate, taxability = DEFAULT_TAXABILITY, exempt = false }) {
+  const lines = KINDS.map(kind => {
+    const taxable = !exempt && !!taxability[kind];
+    return { kind, amount: split.byKind[kind] || 0, taxable, account: accountFor(kind, taxable) };
+  }).filter(l => l.amount !== 0);
+  const taxableSales = money(lines.filter(l => l.taxable).reduce((s, l) => s + l.amount, 0));
+  return {
+    lines,
+    taxableSales,
+    nontaxableSales: money(split.sales - taxableSales),
+    exemptSales: exempt ? split.sales : 0,
+    taxDue: money(taxableSales * (parseFloat(rate) || 0) / 100),
+  };
+}
+
+// ---------------------------------------------------------------------------------------------
+// Exemption certificates
+// ---------------------------------------------------------------------------------------------
+
+// The certificate covering a client on a date: active, issued by then and not yet expired.
+// Certificates are matched by client id, or by name for orders typed free-hand.
+function certificateFor(certs, { clientId, clientName }, date) {
+  const on = dateOnly(date || new Date());
+  const name = (clientName || '').trim().toLowerCase();
+  return certs
+    .filter(c => (clientId && c.clientId === clientId) || (name && (c.clientName || '').trim().toLowerCase() === name))
+    .filter(c => c.status !== 'revoked' && (!c.issuedAt || dateOnly(c.issuedAt) <= on) && (!c.expiresAt || dateOnly(c.expiresAt) >= on))
+    .sort((a, b) => String(b.expiresAt || '9999').localeCompare(String(a.expiresAt || '9999')))[0] || null;
+}
+
+// Active certificates expiring within `days` that haven't had a reminder yet
+function expiringCertificates(certs, now = new Date(), days = REMINDER_DAYS) {
+  const today = dateOnly(now);
+  const horizon = dateOnly(new Date(new Date(now).getTime() + days * DAY_MS));
+  return certs.filter(c => c.status !== 'revoked' && c.expiresAt && !c.reminderSentAt
+    && dateOnly(c.expiresAt) <= horizon && dateOnly(c.expiresAt) >= today);
+}
+
+// ---------------------------------------------------------------------------------------------
+// Quarterly report
+// ---------------------------------------------------------------------------------------------
+
+// 2026, 3 → { from: '2026-07-01', to: '2026-09-30', label: '2026 Q3' }
+function quarterRange(year, quarter) {
+  const y = parseInt(year), q = parseInt(quarter);
+  if (!(y > 2000 && y < 2100) || !(q >= 1 && q <= 4)) throw taxError('year and quarter (1-4) are required');
+  const from = `${y}-${String((q - 1) * 3 + 1).padStart(2, '0')}-01`;
+  const to = new Date(Date.UTC(y, q * 3, 0)).toISOString().slice(0, 10);
+  return { from, to, label: `${y} Q${q}` };
+}
+
+/**
+ * The return for a set of invoices, each already priced: { invoiceNumber, drNumber, clientName,
+ * invoiceDate, split, tax, jurisdiction: { code, name, rate }, exempt, certificate, exemptReason }.
+ * Totals by jurisdiction, the tie-out to invoiced totals, and the invoices that need a look.
+ */
+function buildReport(invoices, range) {
+  const byJurisdiction = new Map();
+  const exceptions = [];
+  let invoicedTotal = 0, grossSales = 0, taxCharged = 0, taxDue = 0, taxableSales = 0, nontaxableSales = 0, exemptSales = 0;
+  const byKind = Object.fromEntries(KINDS.map(k => [k, { taxable: 0, nontaxable: 0 }]));
+
+  for (const inv of invoices) {
+    const { split, tax, jurisdiction } = inv;
+    invoicedTotal += split.total;
+    grossSales += split.sales;
+    taxCharged += split.taxCharged;
+    taxDue += tax.taxDue;
+    taxableSales += tax.taxableSales;
+    nontaxableSales += tax.nontaxableSales;
+    exemptSales += tax.exemptSales;
+    for (const l of tax.lines) byKind[l.kind][l.taxable ? 'taxable' : 'nontaxable'] += l.amount;
+
+    const key = `${jurisdiction.code}|${jurisdiction.rate}`;
+    if (!byJurisdiction.has(key)) byJurisdiction.set(key, { code: jurisdiction.code, name: jurisdiction.name, rate: jurisdiction.rate, invoices: 0, grossSales: 0, taxableSales: 0, nontaxableSales: 0, taxDue: 0, taxCharged: 0 });
+    const j = byJurisdiction.get(key);
+    j.invoices++;
+    j.grossSales += split.sales;
+    j.taxableSales += tax.taxableSales;
+    j.nontaxableSales += tax.nontaxableSales;
+    j.taxDue += tax.taxDue;
+    j.taxCharged += split.taxCharged;
+
+    const label = inv.invoiceNumber ? `Invoice ${inv.invoiceNumber}` : (inv.drNumber ? `DR-${inv.drNumber}` : 'Invoice');
+    if (Math.abs(tax.taxDue - split.taxCharged) > 0.01) {
+      exceptions.push({ type: 'tax_variance', invoiceNumber: inv.invoiceNumber, workOrderId: inv.workOrderId, message: `${label}: charged $${split.taxCharged.toFixed(2)} tax, ${jurisdiction.code} at ${jurisdiction.rate}% says $${tax.taxDue.toFixed(2)}`, difference: money(split.taxCharged - tax.taxDue) });
+    }
+    if (inv.exempt && !inv.certificate) {
+      exceptions.push({ type: 'no_certificate', invoiceNumber: inv.invoiceNumber, workOrderId: inv.workOrderId, message: `${label}: sold exempt to ${inv.clientName || 'client'} with no certificate on file for ${dateOnly(inv.invoiceDate)}` });
+    }
+  }
+
+  const round = (o) => Object.fromEntries(Object.entries(o).map(([k, v]) => [k, typeof v === 'number' && k !== 'rate' && k !== 'invoices' ? money(v) : v]));
+  const reported = money(grossSales + taxCharged);
+  return {
+    ...range,
+    invoices: invoices.length,
+    invoicedTotal: money(invoicedTotal),
+    grossSales: money(grossSales),
+    taxableSales: money(taxableSales),
+    nontaxableSales: money(nontaxableSales),
+    exemptSales: money(exemptSales),
+    byKind: Object.fromEntries(Object.entries(byKind).map(([k, v]) => [k, { taxable: money(v.taxable), nontaxable: money(v.nontaxable) }])),
+    taxCharged: money(taxCharged),
+    taxDue: money(taxDue),
+    jurisdictions: [...byJurisdiction.values()].map(round).sort((a, b) => a.code.localeCompare(b.code) || a.rate - b.rate),
+    tieOut: { invoicedTotal: money(invoicedTotal), grossSalesPlusTax: reported, difference: money(invoicedTotal - reported), ties: Math.abs(invoicedTotal - reported) < 0.005 },
+    exceptions,
+  };
+}
+
+const csvCell = (v) => {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// One row per invoice, for the return's working papers
+function reportCsv(invoices) {
+  const header = ['Invoice', 'DR', 'Invoice Date', 'Client', 'Jurisdiction', 'Rate %', 'Invoiced', 'Gross Sales', 'Material', 'Labor', 'Service', 'Freight', 'Taxable', 'Nontaxable', 'Exempt', 'Certificate', 'Tax Due', 'Tax Charged'];
+  const lines = [header.map(csvCell).join(',')];
+  for (const inv of invoices) {
+    const k = inv.split.byKind;
+    lines.push([
+      inv.invoiceNumber, inv.drNumber ? `DR-${inv.drNumber}` : '', dateOnly(inv.invoiceDate), inv.clientName,
+      inv.jurisdiction.code, inv.jurisdiction.rate, inv.split.total.toFixed(2), inv.split.sales.toFixed(2),
+      k.material.toFixed(2), k.labor.toFixed(2), k.service.toFixed(2), k.freight.toFixed(2),
+      inv.tax.taxableSales.toFixed(2), inv.tax.nontaxableSales.toFixed(2), inv.exempt ? 'Y' : '',
+      inv.certificate ? inv.certificate.certificateNumber || 'on file' : '', inv.tax.taxDue.toFixed(2), inv.split.taxCharged.toFixed(2),
+    ].map(csvCell).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+async function loadSettings() {
+  const { AppSettings } = getModels();
+  const row = await AppSettings.findOne({ where: { key: SETTINGS_KEY } });
+  const value = (row && row.value) || {};
+  // A saved 0% is a rate, not a missing one
+  const rate = parseFloat(value.defaultTaxRate);
+  return { ...value, defaultTaxRate: Number.isFinite(rate) ? rate : DEFAULTS.TAX_RATE, taxability: taxabilityFor(value, null), shopAddress: value.shopAddress || SHOP_ADDRESS };
+}
+
+async function saveSettings(input = {}, by) {
+  const { AppSettings } = getModels();
+  const current = await loadSettings();
+  const next = { ...current };
+  if (input.defaultTaxRate !== undefined) {
+    const rate = parseFloat(input.defaultTaxRate);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 20) throw taxError('Default rate must be a percentage between 0 and 20');
+    next.defaultTaxRate = rate;
+  }
+  if (input.taxability) {
+    for (const kind of KINDS) if (input.taxability[kind] !== undefined) next.taxability[kind] = !!input.taxability[kind];
+  }
+  if (input.shopAddress !== undefined) next.shopAddress = blankToNull(input.shopAddress) || SHOP_ADDRESS;
+  next.updatedBy = by || null;
+  await AppSettings.upsert({ key: SETTINGS_KEY, value: next });
+  return next;
+}
+
+async function loadRates() {
+  const { TaxRate } = getModels();
+  return (await TaxRate.findAll({ order: [['code', 'ASC'], ['effectiveFrom', 'DESC']] })).map(r => r.toJSON());
+}
+
+// Add a rate period, closing the one it replaces
+async function addRate(input, by) {
+  const { TaxRate, sequelize } = getModels();
+  const row = normalizeRateRow(input);
+  return sequelize.transaction(async (transaction) => {
+    const existing = (await TaxRate.findAll({ where: { code: row.code }, transaction })).map(r => r.toJSON());
+    if (existing.some(r => r.effectiveFrom === row.effectiveFrom)) throw taxError(`${row.code} already has a rate from ${row.effectiveFrom} — edit that one`, 409);
+    for (const close of closeSuperseded(existing, row)) {
+      await TaxRate.update({ effectiveTo: close.effectiveTo, updatedBy: by || null }, { where: { id: close.id }, transaction });
+    }
+    // A back-dated row ends where the next one starts
+    const later = existing.filter(r => r.effectiveFrom > row.effectiveFrom).sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom))[0];
+    if (later && !row.effectiveTo) row.effectiveTo = addDays(later.effectiveFrom, -1);
+    return TaxRate.create({ ...row, createdBy: by || null }, { transaction });
+  });
+}
+
+// Correct a rate period in place (a typo, a ZIP list). The code can't change; a new rate for a
+// new period goes through addRate so the old one stays for the invoices billed at it.
+async function updateRate(id, input, by) {
+  const { TaxRate } = getModels();
+  const rate = await TaxRate.findByPk(id);
+  if (!rate) throw taxError('Tax rate not found', 404);
+  const row = normalizeRateRow({ ...rate.toJSON(), ...input, code: rate.code });
+  const clash = await TaxRate.findOne({ where: { code: row.code, effectiveFrom: row.effectiveFrom } });
+  if (clash && clash.id !== rate.id) throw taxError(`${row.code} already has a rate from ${row.effectiveFrom}`, 409);
+  await rate.update({ ...row, updatedBy: by || null });
+  return rate;
+}
+
+// Remove a period entered by mistake; the period before it runs on to where this one ended
+async function removeRate(id, by) {
+  const { TaxRate, sequelize } = getModels();
+  return sequelize.transaction(async (transaction) => {
+    const rate = await TaxRate.findByPk(id, { transaction });
+    if (!rate) throw taxError('Tax rate not found', 404);
+    const before = await TaxRate.findOne({ where: { code: rate.code, effectiveTo: addDays(rate.effectiveFrom, -1) }, transaction });
+    if (before) await before.update({ effectiveTo: rate.effectiveTo || null, updatedBy: by || null }, { transaction });
+    await rate.destroy({ transaction });
+    return { removed: rate.toJSON(), extended: before ? before.toJSON() : null };
+  });
+}
+
+// Where an order's goods go, for tax: its ship-to, else a delivery drop-off, else our shop
+function shipToFor(order, shipmentCharges = [], settings = {}) {
+  if (blankToNull(order.shipToAddress)) return { address: order.shipToAddress, source: 'ship_to' };
+  const drop = shipmentCharges.find(c => !c.dropoffIsShop && blankToNull(c.dropoffLocation) && parseAddress(c.dropoffLocation));
+  if (drop) return { address: drop.dropoffLocation, source: 'delivery' };
+  return { address: settings.shopAddress || SHOP_ADDRESS, source: 'pickup' };
+}
+
+// Rate for a ship-to on a date: { rate, code, name, matchedBy, taxability }. Falls back to the default rate.
+async function rateFor({ address, date, rows, settings } = {}) {
+  settings = settings || await loadSettings();
+  rows = rows || await loadRates();
+  const hit = resolveJurisdiction(rows, address || settings.shopAddress, date);
+  if (!hit) return { rate: settings.defaultTaxRate, code: 'DEFAULT', name: 'Default rate', matchedBy: null, taxability: taxabilityFor(settings, null) };
+  return { rate: parseFloat(hit.row.rate), code: hit.row.code, name: hit.row.name, matchedBy: hit.matchedBy, taxability: taxabilityFor(settings, hit.row) };
+}
+
+async function loadCertificates(where = {}) {
+  const { TaxExemptCertificate } = getModels();
+  return (await TaxExemptCertificate.findAll({ where, order: [['clientName', 'ASC'], ['expiresAt', 'DESC']] })).map(c => c.toJSON());
+}
+
+async function uploadCertificate(file, input = {}, by) {
+  const { TaxExemptCertificate, Client } = getModels();
+  const client = input.clientId ? await Client.findByPk(input.clientId) : null;
+  if (input.clientId && !client) throw taxError('Client not found', 404);
+  const clientName = client ? client.name : blankToNull(input.clientName);
+  if (!clientName) throw taxError('clientId or clientName is required');
+  const kind = blankToNull(input.kind) || 'resale';
+  if (!CERT_KINDS.includes(kind)) throw taxError(`kind must be one of ${CERT_KINDS.join(', ')}`);
+  const expiresAt = blankToNull(input.expiresAt);
+  const issuedAt = blankToNull(input.issuedAt);
+  if (expiresAt && isNaN(new Date(expiresAt))) throw taxError('expiresAt is not a date');
+  if (issuedAt && isNaN(new Date(issuedAt))) throw taxError('issuedAt is not a date');
+
+  const fields = {
+    clientId: client ? client.id : null,
+    clientName,
+    kind,
+    certificateNumber: blankToNull(input.certificateNumber),
+    state: blankToNull(input.state) ? input.state.trim().toUpperCase() : 'CA',
+    issuedAt: issuedAt ? dateOnly(issuedAt) : null,
+    expiresAt: expiresAt ? dateOnly(expiresAt) : null,
+    notes: blankToNull(input.notes),
+    status: 'active',
+    uploadedBy: by || null,
+  };
+  if (file && file.buffer && file.buffer.length) {
+    const fileStorage = require('../utils/storage');
+    const upload = await fileStorage.uploadBuffer(file.buffer, { folder: 'tax-certificates', filename: file.originalname || 'certificate.pdf', mimeType: file.mimetype });
+    Object.assign(fields, { originalName: file.originalname || null, mimeType: file.mimetype, size: file.size || file.buffer.length, url: upload.url, storageId: upload.storageId });
+  }
+  const cert = await TaxExemptCertificate.create(fields);
+  // Keep the client's resale number in step with the newest certificate
+  if (client && fields.certificateNumber && kind === 'resale') await client.update({ resaleCertificate: fields.certificateNumber });
+  return cert;
+}
+
+// Edit a certificate's details or revoke it. A new expiry date re-arms the reminder.
+async function updateCertificate(id, input = {}) {
+  const { TaxExemptCertificate } = getModels();
+  const cert = await TaxExemptCertificate.findByPk(id);
+  if (!cert) throw taxError('Certificate not found', 404);
+  const updates = {};
+  for (const f of ['certificateNumber', 'notes']) if (input[f] !== undefined) updates[f] = blankToNull(input[f]);
+  if (input.state !== undefined) updates.state = blankToNull(input.state) ? input.state.trim().toUpperCase() : 'CA';
+  if (input.kind !== undefined) {
+    if (!CERT_KINDS.includes(input.kind)) throw taxError(`kind must be one of ${CERT_KINDS.join(', ')}`);
+    updates.kind = input.kind;
+  }
+  for (const f of ['issuedAt', 'expiresAt']) {
+    if (input[f] === undefined) continue;
+    const v = blankToNull(input[f]);
+    if (v && isNaN(new Date(v))) throw taxError(`${f} is not a date`);
+    updates[f] = v ? dateOnly(v) : null;
+  }
+  if (updates.expiresAt !== undefined && updates.expiresAt !== cert.expiresAt) updates.reminderSentAt = null;
+  if (input.status !== undefined) {
+    if (!['active', 'revoked'].includes(input.status)) throw taxError('status must be active or revoked');
+    updates.status = input.status;
+  }
+  await cert.update(updates);
+  return cert;
+}
+
+// Daily: a to-do for each certificate expiring within REMINDER_DAYS, once per certificate
+async function sendExpiryReminders(now = new Date()) {
+  const { TaxExemptCertificate, TodoItem } = getModels();
+  const due = expiringCertificates(await loadCertificates(), now);
+  for (const cert of due) {
+    const when = new Date(cert.expiresAt + 'T12:00:00Z').toLocaleDateString('en-US', { timeZone: 'America/Los_Angeles' });
+    await TodoItem.create({
+      title: `${cert.kind === 'resale' ? 'Resale' : 'Exemption'} certificate for ${cert.clientName} expires ${when}`,
+      description: `Certificate ${cert.certificateNumber || '(no number)'} (${cert.state}) expires ${when}. Ask ${cert.clientName} for a current one and upload it under Sales Tax → Certificates — sales after that date are taxable without it.`,
+      type: 'tax_certificate',
+      priority: 'normal',
+      createdBy: 'system'
+    });
+    await TaxExemptCertificate.update({ reminderSentAt: now }, { where: { id: cert.id } });
+  }
+  return due.length;
+}
+
+// Every invoice dated in the quarter, priced for the return
+async function reportInvoices(range) {
+  const { WorkOrder, WorkOrderPart, Client, ShipmentCharge } = getModels();
+  const { Op } = require('sequelize');
+  const wos = await WorkOrder.findAll({
+    where: {
+      invoiceNumber: { [Op.ne]: null },
+      // A day either side in UTC; the quarter itself is cut on the Pacific date below
+      invoiceDate: { [Op.gte]: new Date(addDays(range.from, -1) + 'T00:00:00Z'), [Op.lt]: new Date(addDays(range.to, 2) + 'T00:00:00Z') },
+      isVoided: { [Op.ne]: true },
+    },
+    include: [
+      { model: WorkOrderPart, as: 'parts' },
+      { model: Client, as: 'client', attributes: ['id', 'name', 'taxStatus'] },
+    ],
+    order: [['invoiceDate', 'ASC'], ['invoiceNumber', 'ASC']],
+  });
+  const settings = await loadSettings();
+  const rows = await loadRates();
+  const certs = await loadCertificates();
+  const out = [];
+  for (const wo of wos) {
+    const day = dateOnly(wo.invoiceDate);
+    if (wo.status === 'void' || day < range.from || day > range.to) continue;
+    let shipmentCharges = [];
+    try { shipmentCharges = (await ShipmentCharge.findAll({ where: { workOrderId: wo.id } })).map(c => c.toJSON()); } catch (e) { /* table may not exist yet */ }
+    const split = splitSale({ wo, parts: wo.parts || [], shipmentCharges });
+    const shipTo = shipToFor(wo, shipmentCharges, settings);
+    const j = await rateFor({ address: shipTo.address, date: wo.invoiceDate, rows, settings });
+    const clientStatus = (wo.client?.taxStatus || '').toLowerCase();
+    const exempt = wo.taxExempt === true || clientStatus === 'resale' || clientStatus === 'exempt';
+    const certificate = exempt ? certificateFor(certs, { clientId: wo.clientId, clientName: wo.clientName }, wo.invoiceDate) : null;
+    out.push({
+      workOrderId: wo.id, invoiceNumber: wo.invoiceNumber, drNumber: wo.drNumber, clientName: wo.clientName, invoiceDate: wo.invoiceDate,
+      shipTo, jurisdiction: { code: j.code, name: j.name, rate: j.rate }, exempt, certificate,
+      split, tax: taxOn(split, { rate: j.rate, taxability: j.taxability, exempt }),
+    });
+  }
+  return out;
+}
+
+async function quarterlyReport(year, quarter) {
+  const range = quarterRange(year, quarter);
+  const invoices = await reportInvoices(range);
+  return { report: buildReport(invoices, range), invoices };
+}
+
+module.exports = {
+  KINDS,
+  DEFAULT_TAXABILITY,
+  CERT_KINDS,
+  REMINDER_DAYS,
+  parseAddress,
+  normalizeRateRow,
+  resolveJurisdiction,
+  closeSuperseded,
+  taxabilityFor,
+  accountFor,
+  splitSale,
+  taxOn,
+  certificateFor,
+  expiringCertificates,
+  quarterRange,
+  buildReport,
+  reportCsv,
+  shipToFor,
+  loadSettings,
+  saveSettings,
+  loadRates,
+  addRate,
+  updateRate,
+  removeRate,
+  rateFor,
+  loadCertificates,
+  uploadCertificate,
+  updateCertificate,
+  sendExpiryReminders,
+  reportInvoices,
+  quarterlyReport,
+};
@@ -0,0 +1,240 @@
+/**
+ * Work centers — which machine can run a part, and how loaded each machine is.
+ *
+ * partType has always implied the machine (a plate_roll goes on a plate roll, a press_brake part on
+ * the brake) but nothing knew the machines' limits. A work center records them: thickness, width,
+ * length, tightest diameter, weight. From that:
+ *
+ *   checkFit / machineCapacityCheck — does ANY machine that runs this part type have room for it?
+ *       Used by the estimate price suggestion the same way the crane check is: a warning, not a wall.
+ *   defaultRouting / effectiveRouting — a part with no routing of its own is routed to the first
+ *       active machine that runs its part type and fits it, carrying the part's laborHours.
+ *   machineLoad — routed hours of open work per machine against the hours the machine is actually
+ *       available over a window (shop calendar, the machine's own hours, minus maintenance windows).
+ *
+ * A part type no work center claims is simply unchecked — registering machines is opt-in, and an
+ * empty registry must not start warning on every quote.
+ */
+
+const { WorkCenter, WorkCenterDowntime, WorkOrder, WorkOrderPart } = require('../models');
+const { parseNum, weightLbs } = require('./pricingSuggest');
+const { machineCalendar, hoursOn, getCalendar, ymd, nextDay, shopTime } = require('./productionScheduler');
+
+const DONE_STATUSES = ['completed', 'stored', 'shipped', 'archived'];
+
+function num(v) {
+  const n = parseFloat(v);
+  return isNaN(n) ? null : n;
+}
+
+// The tightest diameter the part asks for — a radius spec counts double
+function partDiameter(part) {
+  const d = [part.diameter, part.innerDiameter, part.outerDiameter].map(parseNum).filter(v => v && v > 0);
+  const r = parseNum(part.radius);
+  if (r && r > 0) d.push(r * 2);
+  return d.length ? Math.min(...d) : null;
+}
+
+function handlesType(center, partType) {
+  const types = Array.isArray(center.partTypes) ? center.partTypes : [];
+  return types.includes(partType);
+}
+
+/**
+ * Where a part exceeds one machine. Returns [] when it fits (or when the limit isn't recorded).
+ */
+function checkFit(part, center) {
+  const issues = [];
+  const t = parseNum(part.thickness);
+  const w = parseNum(part.width);
+  const l = parseNum(part.length);
+  const d = partDiameter(part);
+  const lbs = weightLbs(part);
+  const limit = (field, value, max, label) => {
+    const cap = num(max);
+    if (value != null && cap != null && value > cap) issues.push({ field, value: Math.round(value * 1000) / 1000, limit: cap, message: `${label} ${Math.round(value * 1000) / 1000}" exceeds ${center.name} max ${cap}"` });
+  };
+  limit('thickness', t, center.maxThickness, 'Thickness');
+  limit('width', w, center.maxWidth, 'Width');
+  limit('length', l, center.maxLength, 'Length');
+  const minD = num(center.minDiameter);
+  if (d != null && minD != null && d < minD) {
+    issues.push({ field: 'diameter', value: d, limit: minD, message: `Diameter ${d}" is tighter than ${center.name} minimum ${minD}"` });
+  }
+  const maxLbs = num(center.maxWeightLbs);
+  if (lbs != null && maxLbs != null && lbs > maxLbs) {
+    issues.push({ field: 'weight', value: Math.round(lbs), limit: maxLbs, message: `Weight ~${Math.round(lbs)} lb exceeds ${center.name} max ${maxLbs} lb` });
+  }
+  return issues;
+}
+
+/**
+ * Check a part against every active machine that runs its part type.
+ * { checked, fits, capable: [names], warnings: [messages] } — checked=false means no machine claims
+ * the part type, so there is nothing to warn about.
+ */
+function machineCapacityCheck(part, centers) {
+  const relevant = (centers || []).filter(c => c.isActive !== false && handlesType(c, part.partType));
+  if (!relevant.length) return { checked: false, fits: true, capable: [], warnings: [] };
+  const results = relevant.map(c => ({ center: c, issues: checkFit(part, c) }));
+  const capable = results.filter(r => !r.issues.length).map(r => r.center.name);
+  const warnings = capable.length ? [] : results.flatMap(r => r.issues.map(i => i.message));
+  return { checked: true, fits: capable.length > 0, capable, warnings };
+}
+
+function defaultRouting(part, centers) {
+  const sorted = [...(centers || [])]
+    .filter(c => c.isActive !== false && handlesType(c, part.partType))
+    .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+  const center = sorted.find(c => !checkFit(part, c).length);
+  if (!center) return [];
+  const hours = num(part.laborHours);
+  return [{ seq: 1, workCenterId: center.id, workCenterName: center.name, operation: center.kind || part.partType, hours }];
+}
+
+function effectiveRouting(part, centers) {
+  const own = Array.isArray(part.routing) ? part.routing.filter(s => s && s.workCenterId) : [];
+  return own.length ? own : defaultRouting(part, centers);
+}
+
+/**
+ * Normalize a routing posted by the office: keep known work centers only, renumber seq 1..n,
+ * and stamp the current machine name so the routing still reads sensibly if one is renamed.
+ */
+function normalizeRouting(steps, centers) {
+  if (!Array.isArray(steps)) {
+    const err = new Error('routing must be an array of steps');
+    err.status = 400;
+    throw err;
+  }
+  const byId = new Map((centers || []).map(c => [c.id, c]));
+  return steps.map((st, i) => {
+    const center = byId.get(st && st.workCenterId);
+    if (!center) {
+      const err = new Error(`Step ${i + 1}: unknown work center`);
+      err.status = 400;
+      throw err;
+    }
+    const hours = num(st.hours);
+    return {
+      seq: i + 1,
+      workCenterId: center.id,
+      workCenterName: center.name,
+      operation: (st.operation || center.kind || '').toString().trim() || null,
+      hours: hours != null && hours >= 0 ? hours : null,
+    };
+  });
+}
+
+// Hours of a [start, end) interval that fall inside the machine's working window on `day` ('YYYY-MM-DD', shop time)
+function overlapHours(cal, day, start, end) {
+  const avail = hoursOn(cal, day);
+  if (!avail) return 0;
+  const ws = shopTime(day, cal.startHour);
+  const we = shopTime(day, cal.startHour + avail);
+  const s = start > ws ? start : ws;
+  const e = end < we ? end : we;
+  return e > s ? (e - s) / 3600000 : 0;
+}
+
+/**
+ * Routed load vs available hours per machine over [from, from + days). Pure.
+ * parts: open WorkOrderParts (with routing, laborHours, partType, plus dims for default routing)
+ */
+function machineLoad({ parts = [], centers = [], downtime = [], calendar, from = new Date(), days = 5 }) {
+  const firstDay = ymd(new Date(from));
+  const rows = centers.filter(c => c.isActive !== false).map(c => {
+    const cal = machineCalendar(calendar, c);
+    let available = 0;
+    let down = 0;
+    const windows = downtime.filter(d => d.workCenterId === c.id).map(d => ({ s: new Date(d.startAt), e: new Date(d.endAt) }));
+    for (let i = 0, day = firstDay; i < days; i++, day = nextDay(day)) {
+      available += hoursOn(cal, day);
+      for (const w of windows) down += overlapHours(cal, day, w.s, w.e);
+    }
+    return { workCenterId: c.id, name: c.name, kind: c.kind || null, availableHours: available, downtimeHours: down, loadHours: 0, parts: 0, unestimatedParts: 0 };
+  });
+  const byId = new Map(rows.map(r => [r.workCenterId, r]));
+
+  let unrouted = 0;
+  for (const p of parts) {
+    const steps = effectiveRouting(p, centers);
+    if (!steps.length) { unrouted++; continue; }
+    for (const st of steps) {
+      const row = byId.get(st.workCenterId);
+      if (!row) continue;
+      row.parts++;
+      const h = num(st.hours);
+      if (h == null) row.unestimatedParts++;
+      else row.loadHours += h;
+    }
+  }
+
+  for (const r of rows) {
+    const net = Math.max(0, r.availableHours - r.downtimeHours);
+    r.netHours = Math.round(net * 100) / 100;
+    r.loadHours = Math.round(r.loadHours * 100) / 100;
+    r.downtimeHours = Math.round(r.downtimeHours * 100) / 100;
+    r.utilization = net > 0 ? Math.round((r.loadHours / net) * 1000) / 10 : null; // percent
+    r.overloaded = r.loadHours > net;
+  }
+  return { from: shopTime(firstDay, 0).toISOString(), days, workCenters: rows, unroutedParts: unrouted };
+}
+
+// ---------------------------------------------------------------------------------------------
+// Database side
+// ---------------------------------------------------------------------------------------------
+
+async function getActiveCenters() {
+  return WorkCenter.findAll({ where: { isActive: true }, order: [['sortOrder', 'ASC'], ['name', 'ASC']] });
+}
+
+async function checkPartCapacity(part) {
+  const centers = await getActiveCenters();
+  return machineCapacityCheck(part, centers);
+}
+
+// Open-part attributes needed to route (dimensions for the fit check) and to total hours
+const ROUTING_ATTRS = ['id', 'workOrderId', 'partNumber', 'partType', 'status', 'laborHours', 'routing',
+  'thickness', 'width', 'length', 'diameter', 'radius', 'innerDiameter', 'outerDiameter', 'material'];
+
+async function loadOpenParts() {
+  const { Op } = require('sequelize');
+  return WorkOrderPart.findAll({
+    where: { status: { [Op.ne]: 'completed' } },
+    attributes: ROUTING_ATTRS,
+    include: [{
+      model: WorkOrder, as: 'workOrder', required: true, attributes: ['id', 'drNumber', 'promisedDate'],
+      where: { status: { [Op.notIn]: DONE_STATUSES }, isVoided: { [Op.not]: true } },
+    }],
+  });
+}
+
+async function getMachineLoad({ from = new Date(), days = 5 } = {}) {
+  const { Op } = require('sequelize');
+  // Shop midnight of the first day to shop midnight after the last
+  let day = ymd(new Date(from));
+  const start = shopTime(day, 0);
+  for (let i = 0; i < days; i++) day = nextDay(day);
+  const end = shopTime(day, 0);
+  const [centers, parts, downtime, calendar] = await Promise.all([
+    getActiveCenters(),
+    loadOpenParts(),
+    WorkCenterDowntime.findAll({ where: { startAt: { [Op.lt]: end }, endAt: { [Op.gt]: start } } }),
+    getCalendar(),
+  ]);
+  return machineLoad({ parts, centers, downtime, calendar, from: start, days });
+}
+
+module.exports = {
+  checkFit,
+  machineCapacityCheck,
+  defaultRouting,
+  effectiveRouting,
+  normalizeRouting,
+  machineLoad,
+  getActiveCenters,
+  checkPartCapacity,
+  loadOpenParts,
+  getMachineLoad,
+};
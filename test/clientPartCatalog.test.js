@@ -0,0 +1,137 @@
+/**
+ * Client part catalog — keys, snapshots, matching and last vs current price.
+ *
+ * The rules under test: part numbers and revs match however the client typed them; an entry keeps
+ * the part and its drawings but none of one order's fields; the same rev is the best match and
+ * another rev still matches, flagged; a scanned part keeps what the email said and takes the rest
+ * from the catalog, another rev only links; the current price moves the last price by the material
+ * index and the client's price book; and the PO scanner scores estimates on part numbers.
+ *
+ * Run: node backend/test/clientPartCatalog.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database.
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return {};
+  return originalLoad.apply(this, arguments);
+};
+
+const { normalizePartNumber, normalizeRev, matchKey, snapshotPart, findMatches, toEstimatePart, applyMatch, comparePrice, matchNote } = require('../src/services/clientPartCatalog');
+const { normalizeRules } = require('../src/services/priceBooks');
+const { matchEstimates } = require('../src/services/poScanner');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const NOW = new Date('2026-06-30T12:00:00Z');
+const ring = (over) => ({
+  id: 'ep1', partNumber: 3, partType: 'plate_roll', clientPartNumber: 'AT-100', rev: 'Rev B', quantity: 4,
+  material: 'A36', thickness: '1/4', width: 48, length: 120, diameter: 60, heatNumber: 'H123', lotNumber: 'L9',
+  materialTotal: '100.00', materialMarkupPercent: 20, laborTotal: '100.00', partTotal: '880.00', materialCostAt: '2026-05-01T00:00:00Z',
+  formData: { _rollMeasurePoint: 'inside', _linkedPartId: 'x', quantity: '4' },
+  ...over,
+});
+const entry = (over) => ({
+  id: 'cp1', clientName: 'Acme Tank', ...snapshotPart(ring()), lastPricedAt: '2026-05-02T00:00:00Z', lastMaterialCostAt: '2026-05-01T00:00:00Z',
+  lastEstimateNumber: 'EST-0501', lastDrNumber: 4120, ...over,
+});
+
+test('part numbers and revs match however they were typed', () => {
+  assert.strictEqual(normalizePartNumber(' p/n 127250-535 s1 '), '127250535S1');
+  assert.strictEqual(normalizePartNumber('Part # at-100'), 'AT100');
+  assert.strictEqual(normalizeRev('Rev. b'), 'B');
+  assert.strictEqual(normalizeRev(null), '');
+  assert.strictEqual(matchKey({ clientName: 'Acme Tank, Inc.', clientPartNumber: 'at-100', rev: 'REV B' }), 'acme tank|AT100|B');
+  assert.strictEqual(matchKey({ clientName: 'Acme Tank', clientPartNumber: '' }), null);
+});
+
+test('an entry keeps the part and its drawings, not the order', () => {
+  const snap = snapshotPart(ring(), [{ filename: 'AT-100.pdf', url: 'https://files/at100.pdf', cloudinaryId: 's1', fileType: 'pdf_print', partId: 'ep1', id: 'f1' }, { filename: 'lost', url: null }]);
+  assert.strictEqual(snap.partKey, 'AT100');
+  assert.strictEqual(snap.rev, 'B');
+  assert.strictEqual(snap.lastPrice, 220);
+  assert.strictEqual(snap.part.material, 'A36');
+  for (const f of ['heatNumber', 'lotNumber', 'quantity', 'partTotal', 'partNumber']) assert.ok(!(f in snap.part), `${f} kept`);
+  assert.deepStrictEqual(snap.formData, { _rollMeasurePoint: 'inside' });
+  assert.deepStrictEqual(snap.files, [{ filename: 'AT-100.pdf', url: 'https://files/at100.pdf', cloudinaryId: 's1', fileType: 'pdf_print' }]);
+  assert.throws(() => snapshotPart(ring({ clientPartNumber: ' ' })), e => e.status === 400 && /Part 3/.test(e.message));
+});
+
+test('the same rev matches first; another rev still matches, flagged', () => {
+  const b = entry();
+  const a = entry({ id: 'cp0', rev: 'A', lastPricedAt: '2026-06-01T00:00:00Z' });
+  const other = entry({ id: 'cp9', partKey: 'AT200' });
+  const hits = findMatches([a, other, b], { clientPartNumber: 'at 100', rev: 'b' });
+  assert.deepStrictEqual(hits.map(h => [h.entry.id, h.revChanged]), [['cp1', false], ['cp0', true]]);
+  assert.deepStrictEqual(findMatches([a, b], { clientPartNumber: 'AT-100' }).map(h => h.entry.id), ['cp0', 'cp1']); // no rev: newest first
+  assert.ok(/rev A .*last \$220\.00 ea on EST-0501 \/ DR-4120.*different rev/.test(matchNote(hits[1])));
+});
+
+test('inserted at a new quantity, a part keeps its last price each', () => {
+  const part = toEstimatePart(entry(), { estimateId: 'e2', partNumber: 1, quantity: 10 });
+  assert.strictEqual(part.partTotal, '2200.00');
+  assert.strictEqual(part.quantity, 10);
+  assert.strictEqual(part.formData.quantity, '10');
+  assert.strictEqual(part.formData._catalogPartId, 'cp1');
+  assert.strictEqual(part.rev, 'B');
+  assert.strictEqual(part.materialCostAt, '2026-05-01T00:00:00Z');
+});
+
+test('a scanned part keeps what the email said and fills the rest from the catalog', () => {
+  const scanned = { partType: 'plate_roll', quantity: 6, clientPartNumber: 'AT-100', rev: 'B', material: 'A516-70', thickness: null, width: null, formData: { materialSource: 'we_order' } };
+  const filled = applyMatch(scanned, { entry: entry(), revChanged: false });
+  assert.strictEqual(filled.material, 'A516-70');
+  assert.strictEqual(filled.thickness, '1/4');
+  assert.strictEqual(filled.width, 48);
+  assert.strictEqual(filled.partTotal, '1320.00');
+  assert.strictEqual(filled.formData._rollMeasurePoint, 'inside');
+  assert.strictEqual(filled.formData.materialSource, 'we_order');
+
+  const priced = applyMatch({ ...scanned, formData: { _baseLaborTotal: '150.00' } }, { entry: entry(), revChanged: false });
+  assert.strictEqual(priced.partTotal, undefined);
+
+  const otherRev = applyMatch(scanned, { entry: entry(), revChanged: true });
+  assert.strictEqual(otherRev.thickness, null);
+  assert.deepStrictEqual(otherRev.formData, { materialSource: 'we_order', _catalogPartId: 'cp1', _catalogLastPrice: 220, _catalogRevChanged: true });
+});
+
+test('the current price moves the last price by the material index and the price book', () => {
+  const history = [
+    { id: 'm1', key: 'A36|plate|0.2500', unit: 'cwt', unitPrice: 50, quotedAt: '2026-04-15' },
+    { id: 'm2', key: 'A36|plate|0.2500', unit: 'cwt', unitPrice: 56, quotedAt: '2026-06-25' },
+  ];
+  const books = [{ id: 'acme', name: 'Acme contract', clientId: 'c-acme', rules: normalizeRules([{ kind: 'contract', match: { clientPartNumber: 'AT-100' }, price: 210 }]) }];
+  const r = comparePrice(entry(), { quantity: 4, history, books, bookOpts: { date: '2026-06-30' }, now: NOW });
+  assert.deepStrictEqual(r.last, { each: 220, total: 880, pricedAt: '2026-05-02T00:00:00Z', estimateNumber: 'EST-0501', drNumber: 4120 });
+  assert.deepStrictEqual(r.steps.map(s => [s.what, s.before, s.after]), [['material', 100, 112], ['labor', 100, 210]]);
+  assert.deepStrictEqual(r.current, { each: 344.4, total: 1377.6 }); // 220 + (134.40 - 120) + (210 - 100)
+  assert.strictEqual(r.change, 497.6);
+  assert.strictEqual(r.changePct, 56.5);
+  assert.strictEqual(r.part.laborTotal, 210);
+
+  const same = comparePrice(entry(), { quantity: 2, now: NOW });
+  assert.deepStrictEqual(same.current, { each: 220, total: 440 });
+  assert.strictEqual(same.change, 0);
+  assert.deepStrictEqual(same.steps.map(s => s.what), ['material']);
+});
+
+test('the PO scanner scores estimates on client part numbers', () => {
+  const po = { clientName: 'Zeta Fab', lineItems: [{ description: 'Ring', partNumber: 'P/N at-100' }, { description: 'Ring', partNumber: 'AT-200' }] };
+  const [best] = matchEstimates(po, [
+    { id: 'e1', estimateNumber: 'EST-1', clientName: 'Acme Tank', parts: [{ clientPartNumber: 'AT-100' }, { clientPartNumber: 'AT-200' }] },
+    { id: 'e2', estimateNumber: 'EST-2', clientName: 'Acme Tank', parts: [{ clientPartNumber: 'AT-300' }] },
+  ]);
+  assert.strictEqual(best.estimateId, 'e1');
+  assert.ok(best.reasons.includes('2 of 2 part numbers match'));
+});
+
+let passed = 0, failed = 0;
+for (const { name, fn } of tests) {
+  try { fn(); console.log('  PASS  ' + name); passed++; }
+  catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+}
+console.log('\n' + passed + ' passed, ' + failed + ' failed');
+process.exit(failed ? 1 : 0);
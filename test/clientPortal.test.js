@@ -0,0 +1,112 @@
+/**
+ * Client portal whitelists and acceptance rules.
+ *
+ * The rules under test: an order shows its customer-facing stage and progress but nothing outside
+ * portalSanitizeWO; an estimate shows part prices but no cost build-up; only a sent, unexpired,
+ * unconverted estimate can be accepted; the statement lists invoices only; typed RFQ parts need a
+ * quantity; and a key reaches its client's records by id or exact name, never a name it only contains.
+ *
+ * Run: node backend/test/clientPortal.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database.
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return {};
+  return originalLoad.apply(this, arguments);
+};
+
+const { Op } = require('sequelize');
+const { orderStatus, portalEstimate, acceptProblem, portalStatement, rfqParts, clientScope } = require('../src/services/clientPortal');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// Stand-in for workorders.js portalSanitizeWO: copies a whitelist
+const sanitize = (wo) => ({ id: wo.id, drNumber: wo.drNumber, status: wo.status, promisedDate: wo.promisedDate });
+
+test('an order shows its stage and progress without internal fields', () => {
+  const wo = {
+    id: 'w1', drNumber: 58001, status: 'in_progress', promisedDate: '2026-11-02', internalNotes: 'slow payer', invoiceNumber: '9001', invoicePdfUrl: 'https://x/inv.pdf',
+    parts: [
+      { partType: 'plate_roll', quantity: 4, status: 'completed' },
+      { partType: 'pipe_roll', quantity: 2, status: 'pending' },
+      { partType: 'fab_service', quantity: 1, status: 'pending' },
+    ],
+    pickupHistory: [{ items: [{ quantity: 3 }] }, { items: [{ quantity: 1 }] }],
+  };
+  const s = orderStatus(wo, sanitize);
+  assert.strictEqual(s.stage, 'In production');
+  assert.deepStrictEqual(s.progress, { parts: 2, partsCompleted: 1, pieces: 6, piecesShipped: 4 });
+  assert.strictEqual(s.hasInvoice, true);
+  assert.strictEqual(s.internalNotes, undefined);
+  assert.strictEqual(orderStatus({ status: 'waiting_for_materials' }, sanitize).stage, 'Waiting for material');
+});
+
+test('an estimate shows part prices but no cost build-up', () => {
+  const e = portalEstimate({
+    id: 'e1', estimateNumber: 'EST-1', status: 'sent', internalNotes: 'margin 40%', grandTotal: '1250.5', validUntil: '2026-11-30',
+    parts: [
+      { id: 'b', partNumber: 2, quantity: 1, partTotal: '50', laborTotal: '30', materialUnitCost: '12', formData: {} },
+      { id: 'a', partNumber: 1, quantity: 3, partTotal: 1200.5, materialMarkupPercent: 20, formData: { _materialDescription: '3/8" A36 plate' } },
+    ],
+  }, new Date('2026-10-19T12:00:00Z'));
+  assert.strictEqual(e.internalNotes, undefined);
+  assert.strictEqual(e.grandTotal, '1250.50');
+  assert.strictEqual(e.expired, false);
+  assert.deepStrictEqual(e.parts.map(p => [p.partNumber, p.description, p.partTotal]), [[1, '3/8" A36 plate', '1200.50'], [2, null, '50.00']]);
+  assert.ok(e.parts.every(p => p.laborTotal === undefined && p.materialUnitCost === undefined && p.materialMarkupPercent === undefined));
+});
+
+test('only a sent, unexpired, unconverted estimate can be accepted', () => {
+  const today = new Date('2026-10-19T12:00:00Z');
+  assert.strictEqual(acceptProblem({ status: 'sent', validUntil: '2026-10-19' }, today), null);
+  assert.match(acceptProblem({ status: 'sent', validUntil: '2026-10-18' }, today), /expired/);
+  assert.match(acceptProblem({ status: 'accepted' }, today), /already accepted/);
+  assert.match(acceptProblem({ status: 'sent', workOrderId: 'w1' }, today), /already been ordered/);
+  assert.match(acceptProblem({ status: 'declined' }, today), /not open/);
+});
+
+test('the statement lists invoiced orders with overdue balance', () => {
+  const s = portalStatement({
+    client: { name: 'Acme', paymentTerms: 'Net 30' },
+    openBalance: '700.00',
+    workOrders: [
+      { id: 'w1', drNumber: 1, invoiceNumber: '9001', total: '500.00', paid: '0.00', balance: '500.00', daysOverdue: 12 },
+      { id: 'w2', drNumber: 2, invoiceNumber: '9002', total: '200.00', paid: '0.00', balance: '200.00', daysOverdue: -5 },
+      { id: 'w3', drNumber: 3, invoiceNumber: null, total: '900.00', balance: '900.00' },
+    ],
+    payments: [{ paymentDate: '2026-09-01', amount: '100', method: 'check', reference: '1234', recordedBy: 'amy' }],
+    creditMemos: [],
+  });
+  assert.deepStrictEqual(s.invoices.map(i => [i.invoiceNumber, i.daysOverdue]), [['9001', 12], ['9002', 0]]);
+  assert.strictEqual(s.overdueBalance, '500.00');
+  assert.deepStrictEqual(s.payments, [{ date: '2026-09-01', amount: '100.00', method: 'check', reference: '1234' }]);
+});
+
+test('a key is scoped to its client by id or exact name', () => {
+  const [byClient] = clientScope({ id: 'c1', name: 'Acme Steel' }, 'acme steel ')[Op.and];
+  assert.deepStrictEqual(byClient[Op.or].map(w => w.clientId || w.clientName[Op.iLike]), ['c1', 'Acme Steel']);
+  // No wildcards around the name, and the name's own are literal
+  const [byName] = clientScope(null, ' 100%_Metals ')[Op.and];
+  assert.strictEqual(byName.clientName[Op.iLike], '100\\%\\_Metals');
+});
+
+test('typed RFQ parts are read from JSON and need a quantity', () => {
+  const parts = rfqParts('[{"quantity":"2","material":"A36","thickness":"3/8","description":"Shell"}]');
+  assert.strictEqual(parts[0].quantity, 2);
+  assert.strictEqual(parts[0].partType, 'plate_roll');
+  assert.deepStrictEqual(rfqParts(undefined), []);
+  assert.throws(() => rfqParts([{ material: 'A36' }]), /quantity is required/);
+  assert.throws(() => rfqParts('not json'), /JSON/);
+});
+
+let passed = 0, failed = 0;
+for (const { name, fn } of tests) {
+  try { fn(); console.log('  PASS  ' + name); passed++; }
+  catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+}
+console.log('\n' + passed + ' passed, ' + failed + ' failed');
+process.exit(failed ? 1 : 0);
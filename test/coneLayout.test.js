@@ -0,0 +1,112 @@
+/**
+ * Cone flat-pattern layouts.
+ *
+ * The rules under test: with no count asked for, a cone is split into the fewest segments that
+ * fit the plate (either way round); a forced count that doesn't fit is kept but warned about;
+ * segments are laid out side by side inside the first quadrant; and the DXF is a closed profile
+ * per segment on layer CUT, with a pointed cone drawn without an inner arc.
+ *
+ * Run: node backend/test/coneLayout.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database.
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return {};
+  return originalLoad.apply(this, arguments);
+};
+
+const { planLayout, placeSegments, buildDxf, fitsPlate } = require('../src/services/coneLayout');
+const { coneInput } = require('../src/services/rollingGeometry');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const BIG_CONE = { thickness: 0.5, largeDiameter: 120, smallDiameter: 40, height: 60 };
+
+// DXF as [code, value] pairs
+const pairs = (dxf) => {
+  const lines = dxf.trim().split('\n');
+  const out = [];
+  for (let i = 0; i < lines.length; i += 2) out.push([lines[i], lines[i + 1]]);
+  return out;
+};
+const entities = (dxf, type) => pairs(dxf).filter(([c, v]) => c === '0' && v === type).length;
+
+test('fitsPlate accepts the blank either way round', () => {
+  assert.ok(fitsPlate({ width: 200, length: 90 }, { width: 96, length: 240 }));
+  assert.ok(!fitsPlate({ width: 200, length: 100 }, { width: 96, length: 240 }));
+});
+
+test('fewest segments that fit the plate are chosen', () => {
+  const layout = planLayout(BIG_CONE);
+  assert.strictEqual(layout.segments, 2);
+  assert.ok(layout.fits && layout.autoSegmented);
+  assert.ok(fitsPlate(layout.blank, { width: 96, length: 240 }));
+  // A smaller plate needs more pieces
+  assert.ok(planLayout(BIG_CONE, { plate: { width: 60, length: 120 } }).segments > 2);
+});
+
+test('a forced segment count that does not fit is warned about, not refused', () => {
+  const layout = planLayout(BIG_CONE, { segments: 1 });
+  assert.strictEqual(layout.segments, 1);
+  assert.strictEqual(layout.fits, false);
+  assert.ok(layout.warnings.some(w => /does not fit/.test(w)));
+  assert.throws(() => planLayout(BIG_CONE, { segments: 30 }), e => e.status === 400);
+  assert.throws(() => planLayout({ ...BIG_CONE, largeDiameter: 2000 }, { plate: { width: 48, length: 96 } }), /does not fit/);
+});
+
+test('segments sit side by side in the first quadrant', () => {
+  const layout = planLayout(BIG_CONE, { segments: 3 });
+  const placed = placeSegments(layout);
+  assert.strictEqual(placed.length, 3);
+  for (const seg of placed) {
+    assert.ok(seg.box.x >= 0 && seg.box.y === 0);
+    assert.ok(Math.abs(seg.endAngle - seg.startAngle - layout.segmentAngle) < 1e-9);
+    // Outer arc end points stay inside the segment's box
+    for (const a of [seg.startAngle, seg.endAngle]) {
+      const x = seg.apex.x + layout.outerRadius * Math.cos((a * Math.PI) / 180);
+      const y = seg.apex.y + layout.outerRadius * Math.sin((a * Math.PI) / 180);
+      assert.ok(x >= seg.box.x - 1e-6 && x <= seg.box.x + seg.box.width + 1e-6);
+      assert.ok(y >= -1e-6 && y <= seg.box.height + 1e-6);
+    }
+  }
+  assert.ok(placed[1].box.x >= placed[0].box.x + placed[0].box.width);
+});
+
+test('DXF has two arcs and two radial lines per truncated segment', () => {
+  const layout = planLayout(BIG_CONE, { segments: 2 });
+  const dxf = buildDxf(layout, { title: 'DR-100 PART 1', notes: ['1/2" Cone'] });
+  assert.ok(dxf.startsWith('0\nSECTION\n2\nHEADER'));
+  assert.ok(dxf.endsWith('0\nEOF\n'));
+  assert.strictEqual(entities(dxf, 'ARC'), 4);
+  assert.strictEqual(entities(dxf, 'LINE'), 4);
+  assert.ok(dxf.includes('SEGMENT 2 OF 2'));
+  const radii = pairs(dxf).filter(([c]) => c === '40').map(([, v]) => parseFloat(v));
+  assert.ok(radii.includes(layout.outerRadius) && radii.includes(layout.innerRadius));
+});
+
+test('a pointed cone has no inner arc and stored parts feed the layout', () => {
+  const part = {
+    partType: 'cone_roll',
+    thickness: '0.25',
+    formData: { _coneLargeDia: '15', _coneLargeDiaMeasure: 'radius', _coneLargeDiaType: 'outside', _coneSmallDia: '', _coneHeight: '20' },
+  };
+  const input = coneInput(part);
+  assert.strictEqual(input.largeDiameter, 30);
+  const layout = planLayout(input);
+  assert.strictEqual(layout.innerRadius, 0);
+  const dxf = buildDxf(layout);
+  assert.strictEqual(entities(dxf, 'ARC'), layout.segments);
+  assert.strictEqual(entities(dxf, 'LINE'), 2 * layout.segments);
+});
+
+let passed = 0, failed = 0;
+for (const { name, fn } of tests) {
+  try { fn(); console.log('  PASS  ' + name); passed++; }
+  catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+}
+console.log('\n' + passed + ' passed, ' + failed + ' failed');
+process.exit(failed ? 1 : 0);
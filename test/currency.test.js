@@ -0,0 +1,122 @@
+/**
+ * Currencies — codes, conversion, IIF lines and the quote / invoice rate locks.
+ *
+ * The rules under test: a blank currency is USD and an unknown one is refused; amounts convert at
+ * a stored rate to the cent; converted IIF lines sum exactly to the AR debit, which posts to the
+ * currency's own AR account; a rate is locked once and then reused, USD never needs one, and a
+ * foreign currency with no rate set stops rather than billing in dollars.
+ *
+ * Run: node backend/test/currency.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database. AppSettings holds the stored rates.
+const settings = {};
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') {
+    return {
+      AppSettings: {
+        findOne: async ({ where }) => (settings[where.key] ? { value: settings[where.key] } : null),
+        upsert: async ({ key, value }) => { settings[key] = value; },
+      },
+    };
+  }
+  return originalLoad.apply(this, arguments);
+};
+
+const currency = require('../src/services/currency');
+const { portalStatement } = require('../src/services/clientPortal');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// A model-ish record: update() writes onto it and counts the writes
+const record = (fields) => {
+  const r = { ...fields, writes: 0 };
+  r.update = async (u) => { Object.assign(r, u); r.writes++; };
+  return r;
+};
+
+test('codes are normalized; blank is USD, unknown is refused', () => {
+  assert.strictEqual(currency.normalizeCurrency(' cad '), 'CAD');
+  assert.strictEqual(currency.normalizeCurrency(null), 'USD');
+  assert.throws(() => currency.normalizeCurrency('EUR'), e => e.status === 400 && /USD, CAD, MXN/.test(e.message));
+  assert.throws(() => currency.normalizeRate(0), /positive/);
+  assert.strictEqual(currency.normalizeRate('1.36504219'), 1.365042);
+  assert.strictEqual(currency.documentCurrency({ currency: null }, { currency: 'MXN' }), 'MXN');
+});
+
+test('amounts convert to the cent and print with their currency', () => {
+  assert.strictEqual(currency.convert(1234.56, 1.365), 1685.17);
+  assert.strictEqual(currency.formatMoney(1685.17, 'CAD'), 'CA$1,685.17');
+  assert.strictEqual(currency.formatMoney(-20, 'MXN'), '-MX$20.00');
+  assert.strictEqual(currency.formatMoney(5, 'USD'), '$5.00');
+  assert.ok(/^Exchange rate 1 USD = 17\.2500 MXN \(\d+\/\d+\/2026\)$/.test(currency.rateNote('mxn', 17.25, '2026-10-19T18:00:00Z')));
+});
+
+test('converted IIF lines sum exactly to the AR debit', () => {
+  const lines = [
+    { description: 'Ring', amount: 333.33, qty: 3, isPriced: true },
+    { description: 'Material supplied by: customer' },
+    { description: 'Ring', amount: 333.33, qty: 3, isPriced: true },
+    { description: 'Discount', amount: -10.01, qty: 1, isPriced: true },
+  ];
+  const { lines: out, total } = currency.convertLines(lines, 1.3333);
+  assert.deepStrictEqual(out.map(l => l.amount), [444.43, undefined, 444.43, -13.35]);
+  assert.strictEqual(total, 875.51);
+  assert.strictEqual(out.filter(l => l.isPriced).reduce((s, l) => s + l.amount, 0).toFixed(2), total.toFixed(2));
+  assert.strictEqual(out[0].usdAmount, 333.33);
+  assert.strictEqual(currency.arAccountFor('ACCOUNTS RECEIVABLE', 'CAD'), 'ACCOUNTS RECEIVABLE - CAD');
+  assert.strictEqual(currency.arAccountFor('ACCOUNTS RECEIVABLE', 'USD'), 'ACCOUNTS RECEIVABLE');
+});
+
+test('a foreign currency with no rate set stops; USD never needs one', async () => {
+  await assert.rejects(currency.currentRate('CAD'), e => e.status === 400 && /No CAD exchange rate/.test(e.message));
+  assert.deepStrictEqual(await currency.lockEstimateRate(record({ currency: 'USD' })), { currency: 'USD', rate: 1, at: null, locked: true });
+  await assert.rejects(currency.saveRate('USD', 1), /base currency/);
+});
+
+test('rates lock once and are reused after the stored rate changes', async () => {
+  await currency.saveRate('cad', 1.365, { by: 'amy' });
+  assert.strictEqual(settings.exchange_rates.CAD.by, 'amy');
+
+  const draft = record({ currency: 'CAD' });
+  const peek = await currency.lockEstimateRate(draft, { lock: false });
+  assert.deepStrictEqual([peek.rate, peek.locked, draft.writes], [1.365, false, 0]);
+
+  const est = record({ currency: 'CAD' });
+  await currency.lockEstimateRate(est);
+  await currency.saveRate('CAD', 1.41);
+  const again = await currency.lockEstimateRate(est);
+  assert.deepStrictEqual([again.rate, est.writes], [1.365, 1]);
+
+  // The invoice takes the rate of the day it's billed, in the client's currency if the order has none
+  const wo = record({ currency: null, exchangeRate: 1.365 });
+  const inv = await currency.lockInvoiceRate(wo, { currency: 'CAD' });
+  assert.deepStrictEqual([inv.rate, wo.invoiceExchangeRate, wo.currency], [1.41, 1.41, 'CAD']);
+});
+
+test('the portal statement carries each invoice in the client currency', () => {
+  const s = portalStatement({
+    client: { name: 'Maple Tank', paymentTerms: 'Net 30' },
+    currency: 'CAD',
+    openBalance: '100.00',
+    openBalanceInCurrency: '136.50',
+    workOrders: [{ id: 'w1', drNumber: 1, invoiceNumber: '9001', total: '100.00', paid: '0.00', balance: '100.00', currency: 'CAD', rate: 1.365, totalInCurrency: '136.50', balanceInCurrency: '136.50' }],
+  });
+  assert.strictEqual(s.currency, 'CAD');
+  assert.strictEqual(s.openBalanceInCurrency, '136.50');
+  assert.deepStrictEqual([s.invoices[0].exchangeRate, s.invoices[0].balanceInCurrency], [1.365, '136.50']);
+});
+
+(async () => {
+  let passed = 0, failed = 0;
+  for (const { name, fn } of tests) {
+    try { await fn(); console.log('  PASS  ' + name); passed++; }
+    catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+  }
+  console.log('\n' + passed + ' passed, ' + failed + ' failed');
+  process.exit(failed ? 1 : 0);
+})();
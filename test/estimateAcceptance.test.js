@@ -0,0 +1,117 @@
+/**
+ * Estimate acceptance link rules.
+ *
+ * The rules under test: a link expires at the estimate's validUntil when that is sooner than the
+ * default; a link stops working once used, revoked, expired, or when the estimate total changed
+ * after it was sent; acceptance needs a name, PO, drawn signature and agreement; and the snapshot
+ * keeps what the customer saw without internal cost fields; and of two submits racing only one accepts.
+ *
+ * Run: node backend/test/estimateAcceptance.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database. The link and estimate claims are conditional updates on one row each.
+const claimable = (row) => ({ update: async (values, { where }) => (Object.entries(where).every(([k, v]) => k === 'id' || (row[k] ?? null) === v) ? (Object.assign(row, values), [1]) : [0]) });
+const rows = { link: { status: 'pending' }, estimate: { status: 'sent', workOrderId: null } };
+const models = {
+  sequelize: { transaction: async (fn) => fn({}) },
+  EstimateAcceptance: claimable(rows.link),
+  Estimate: claimable(rows.estimate),
+};
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return models;
+  if (request === './push') return { notifyEstimatorDevices: async () => {} };
+  if (request === './estimateRevisions') return { recordRevision: async () => ({ revision: 'A' }) };
+  return originalLoad.apply(this, arguments);
+};
+
+const { newToken, linkExpiry, linkProblem, readAcceptance, estimateSnapshot, addEvent, acceptLink } = require('../src/services/estimateAcceptance');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const NOW = new Date('2026-10-19T17:00:00Z');
+const SIG = 'data:image/png;base64,iVBORw0KGgo=';
+const open = (over = {}) => ({ status: 'pending', expiresAt: '2026-11-18T17:00:00Z', quotedTotal: '1250.00', ...over });
+const est = (over = {}) => ({ status: 'sent', grandTotal: '1250.00', ...over });
+
+test('tokens are long and unguessable', () => {
+  const a = newToken(), b = newToken();
+  assert.match(a, /^[a-f0-9]{48}$/);
+  assert.notStrictEqual(a, b);
+});
+
+test('a link lasts 30 days unless the estimate runs out sooner', () => {
+  assert.strictEqual(linkExpiry({}, undefined, NOW).toISOString(), '2026-11-18T17:00:00.000Z');
+  assert.strictEqual(linkExpiry({}, 7, NOW).toISOString(), '2026-10-26T17:00:00.000Z');
+  const capped = linkExpiry({ validUntil: '2026-10-31' }, 30, NOW);
+  assert.strictEqual(capped.getDate(), 31);
+  // A validUntil already past does not make the link dead on arrival
+  assert.strictEqual(linkExpiry({ validUntil: '2026-10-01' }, 30, NOW).toISOString(), '2026-11-18T17:00:00.000Z');
+});
+
+test('a link works once, until it expires, and only for the total it was sent with', () => {
+  assert.strictEqual(linkProblem(open(), est(), NOW), null);
+  assert.strictEqual(linkProblem(open(), est({ status: 'draft' }), NOW), null);
+  assert.match(linkProblem(open({ status: 'accepted' }), est(), NOW), /already been accepted/);
+  assert.match(linkProblem(open({ status: 'revoked' }), est(), NOW), /withdrawn/);
+  assert.match(linkProblem(open({ expiresAt: '2026-10-19T16:59:00Z' }), est(), NOW), /expired/);
+  assert.match(linkProblem(open(), est({ workOrderId: 'w1' }), NOW), /already been ordered/);
+  assert.match(linkProblem(open(), est({ grandTotal: '1300.00' }), NOW), /changed since/);
+  assert.match(linkProblem(open(), est({ trashedAt: NOW }), NOW), /not valid/);
+});
+
+test('acceptance needs name, PO, signature and agreement', () => {
+  const ok = readAcceptance({ name: ' Pat Lee ', title: 'Buyer', purchaseOrderNumber: ' 4410 ', signature: SIG, agree: true });
+  assert.strictEqual(ok.signerName, 'Pat Lee');
+  assert.strictEqual(ok.purchaseOrderNumber, '4410');
+  assert.strictEqual(ok.signerEmail, null);
+  assert.throws(() => readAcceptance({ purchaseOrderNumber: '1', signature: SIG, agree: true }), /name/);
+  assert.throws(() => readAcceptance({ name: 'P', signature: SIG, agree: true }), /PO number/);
+  assert.throws(() => readAcceptance({ name: 'P', purchaseOrderNumber: '1', signature: 'x', agree: true }), /sign/);
+  assert.throws(() => readAcceptance({ name: 'P', purchaseOrderNumber: '1', signature: SIG }), /agree/);
+  assert.throws(() => readAcceptance({ name: 'P', purchaseOrderNumber: '1', signature: SIG, agree: true, email: 'nope' }), /email/);
+});
+
+test('the snapshot keeps prices and descriptions, not cost build-up', () => {
+  const s = estimateSnapshot({
+    estimateNumber: 'EST-1', clientName: 'Acme', grandTotal: '1250.00', internalNotes: 'x',
+    parts: [
+      { partNumber: 2, quantity: 1, partTotal: '50.00', laborTotal: '30.00', formData: {} },
+      { partNumber: 1, quantity: 3, partTotal: '1200.00', materialUnitCost: '99', formData: { _materialDescription: '3/8" A36' } },
+    ],
+  });
+  assert.strictEqual(s.internalNotes, undefined);
+  assert.deepStrictEqual(s.parts.map(p => [p.partNumber, p.description, p.partTotal]), [[1, '3/8" A36', '1200.00'], [2, null, '50.00']]);
+  assert.ok(s.parts.every(p => p.laborTotal === undefined && p.materialUnitCost === undefined));
+});
+
+test('of two submits racing, only the first accepts', async () => {
+  const estimate = { id: 'e1', estimateNumber: 'EST-1', status: 'sent', grandTotal: '1250.00', parts: [], update: async () => {} };
+  // Each request loads its own copy of the link, both still pending
+  const link = () => ({ id: 'l1', ...open({ expiresAt: '2099-01-01T00:00:00Z' }), estimate, events: [], autoConvert: false, update: async function (v) { Object.assign(this, v); } });
+  const body = { name: 'Pat Lee', purchaseOrderNumber: '4410', signature: SIG, agree: true };
+  const [first, second] = await Promise.allSettled([acceptLink(link(), body, {}), acceptLink(link(), body, {})]);
+  assert.strictEqual(first.status, 'fulfilled');
+  assert.match(second.reason.message, /already been accepted/);
+  assert.strictEqual(second.reason.status, 409);
+  assert.deepStrictEqual([rows.link.status, rows.estimate.status], ['accepted', 'accepted']);
+});
+
+test('audit events append without mutating and drop empty fields', () => {
+  const first = [{ at: 'x', event: 'created' }];
+  const next = addEvent(first, 'viewed', { ip: '1.2.3.4', by: null });
+  assert.strictEqual(first.length, 1);
+  assert.strictEqual(next.length, 2);
+  assert.deepStrictEqual(Object.keys(next[1]).sort(), ['at', 'event', 'ip']);
+});
+
+let passed = 0, failed = 0;
+for (const { name, fn } of tests) {
+  try { fn(); console.log('  PASS  ' + name); passed++; }
+  catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+}
+console.log('\n' + passed + ' passed, ' + failed + ' failed');
+process.exit(failed ? 1 : 0);
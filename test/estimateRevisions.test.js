@@ -0,0 +1,88 @@
+/**
+ * Estimate revision snapshots and diffs.
+ *
+ * The rules under test: letters run A…Z then AA; the content hash ignores key order and internal
+ * fields, so only a customer-facing change makes a new revision; and the diff names each header
+ * field, part field (including formData) and shipment charge that changed, matching rows by id.
+ *
+ * Run: node backend/test/estimateRevisions.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database.
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return {};
+  return originalLoad.apply(this, arguments);
+};
+
+const { revisionLetter, buildSnapshot, contentHash, diffSnapshots, revisionSummary } = require('../src/services/estimateRevisions');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const estimate = (over = {}) => ({ id: 'e1', estimateNumber: 'EST-100', clientName: 'Acme', grandTotal: '1250.00', partsSubtotal: '1250.00', internalNotes: 'watch margin', status: 'sent', ...over });
+const part = (over = {}) => ({ id: 'p1', estimateId: 'e1', partNumber: 1, partType: 'plate_roll', quantity: 2, partTotal: '1250.00', formData: { _materialDescription: '3/8" A36', radius: '24' }, updatedAt: new Date(), ...over });
+const charge = (over = {}) => ({ id: 'c1', estimateId: 'e1', sortOrder: 1, carrierType: 'contracted', vendorName: 'Fast Freight', shippingCost: '150.00', ...over });
+
+test('revision letters run A to Z then AA', () => {
+  assert.deepStrictEqual([1, 2, 26, 27, 28, 52, 53].map(revisionLetter), ['A', 'B', 'Z', 'AA', 'AB', 'AZ', 'BA']);
+  assert.strictEqual(revisionLetter(0), null);
+});
+
+test('only customer-facing changes change the hash', () => {
+  const base = contentHash(buildSnapshot(estimate(), [part()], [charge()]));
+  // internal notes, status and timestamps are not a new revision
+  assert.strictEqual(contentHash(buildSnapshot(estimate({ internalNotes: 'x', status: 'accepted' }), [part({ updatedAt: new Date(0) })], [charge()])), base);
+  // key order does not matter
+  assert.strictEqual(contentHash(buildSnapshot(estimate(), [part({ formData: { radius: '24', _materialDescription: '3/8" A36' } })], [charge()])), base);
+  assert.notStrictEqual(contentHash(buildSnapshot(estimate({ notes: 'FOB shop' }), [part()], [charge()])), base);
+  assert.notStrictEqual(contentHash(buildSnapshot(estimate(), [part({ quantity: 3 })], [charge()])), base);
+  assert.notStrictEqual(contentHash(buildSnapshot(estimate(), [part()], [])), base);
+});
+
+test('diff names changed header, part and formData fields', () => {
+  const a = buildSnapshot(estimate(), [part(), part({ id: 'p2', partNumber: 2, quantity: 1, partTotal: '80.00', formData: {} })], []);
+  const b = buildSnapshot(estimate({ grandTotal: '1400.00', notes: 'Rush' }), [part({ quantity: 3, formData: { _materialDescription: '3/8" A36', radius: '30' } }), part({ id: 'p3', partNumber: 3, formData: {} })], []);
+  const d = diffSnapshots(a, b);
+  assert.strictEqual(d.identical, false);
+  assert.strictEqual(d.grandTotal.change, '150.00');
+  assert.deepStrictEqual(d.header.map(h => h.field), ['grandTotal', 'notes']);
+  assert.strictEqual(d.parts.changed.length, 1);
+  assert.deepStrictEqual(d.parts.changed[0].changes.map(c => [c.field, c.from, c.to]), [['formData.radius', '24', '30'], ['quantity', 2, 3]]);
+  assert.deepStrictEqual(d.parts.removed.map(p => p.partNumber), [2]);
+  assert.deepStrictEqual(d.parts.added.map(p => p.partNumber), [3]);
+});
+
+test('decimal formatting alone is not a change', () => {
+  const a = buildSnapshot(estimate({ grandTotal: '1250.00' }), [part()], [charge()]);
+  const b = buildSnapshot(estimate({ grandTotal: '1250.0' }), [part()], [charge({ shippingCost: 150 })]);
+  assert.strictEqual(diffSnapshots(a, b).identical, true);
+});
+
+test('renumbered parts are matched by id, not part number', () => {
+  const a = buildSnapshot(estimate(), [part({ id: 'p1', partNumber: 1 }), part({ id: 'p2', partNumber: 2, quantity: 5 })], [charge()]);
+  const b = buildSnapshot(estimate(), [part({ id: 'p2', partNumber: 1, quantity: 5 }), part({ id: 'p1', partNumber: 2 })], [charge({ shippingCost: '175.00' })]);
+  const d = diffSnapshots(a, b);
+  assert.deepStrictEqual(d.parts.added, []);
+  assert.deepStrictEqual(d.parts.removed, []);
+  assert.deepStrictEqual(d.parts.changed.map(p => [p.id, p.changes.map(c => c.field)]), [['p1', ['partNumber']], ['p2', ['partNumber']]]);
+  assert.deepStrictEqual(d.charges.changed[0].changes, [{ field: 'shippingCost', from: '150.00', to: '175.00' }]);
+});
+
+test('summaries flag the accepted and converted letters', () => {
+  const s = revisionSummary({ id: 'r2', revision: 'B', sequence: 2, reason: 'sent', grandTotal: '1400.00', snapshot: {}, sends: [{ at: 'x' }, { at: 'y' }] }, { acceptedRevision: 'B', convertedRevision: 'C' });
+  assert.strictEqual(s.snapshot, undefined);
+  assert.strictEqual(s.accepted, true);
+  assert.strictEqual(s.converted, false);
+  assert.strictEqual(s.sends.length, 2);
+});
+
+let passed = 0, failed = 0;
+for (const { name, fn } of tests) {
+  try { fn(); console.log('  PASS  ' + name); passed++; }
+  catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+}
+console.log('\n' + passed + ' passed, ' + failed + ' failed');
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,120 @@
+/**
+ * Heat recall trace assembly.
+ *
+ * The rules under test: a heat is found on single-heat parts, split-heat rows and inspection units
+ * alike (matched regardless of spacing and case); each row carries the DR, client, PO and the pieces
+ * from that heat; shipped quantity comes from the pickup history and never exceeds the heat's pieces
+ * on a split part; and the per-client summary is what the office needs to start calling customers.
+ *
+ * Run: node backend/test/heatTrace.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database.
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return {};
+  return originalLoad.apply(this, arguments);
+};
+
+const { unitHeat, shipmentsForPart, buildTrace, summarizeByClient, toCsv } = require('../src/services/heatTrace');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const WO_A = {
+  id: 'wo-a', drNumber: 58001, clientName: 'Acme Tank', clientPurchaseOrderNumber: 'PO-77', status: 'shipped',
+  pickupHistory: [
+    { date: '2026-03-02T18:00:00Z', type: 'partial', pickedUpBy: 'Dave', items: [{ partId: 'p1', partNumber: 1, quantity: 2 }, { partId: 'p2', partNumber: 2, quantity: 5 }] },
+    { date: '2026-03-09T18:00:00Z', type: 'full', pickedUpBy: 'Dave', items: [{ partId: 'p1', partNumber: 1, quantity: 2 }] },
+  ],
+};
+const WO_B = { id: 'wo-b', drNumber: 58010, clientName: 'Baker Fab', clientPurchaseOrderNumber: '4410', status: 'in_progress', pickupHistory: [] };
+const WO_C = { id: 'wo-c', drNumber: 57990, clientName: 'Acme Tank', status: 'archived', shippedAt: '2026-02-01T20:00:00Z', pickupHistory: [] };
+
+const P1 = { id: 'p1', workOrderId: 'wo-a', partNumber: 1, quantity: 4, heatNumber: 'H-100', materialDescription: '4pc: 3/8" A36 plate', workOrder: WO_A };
+const P2 = { id: 'p2', workOrderId: 'wo-a', partNumber: 2, quantity: 8, heatBreakdown: [{ heat: 'h100', qty: 3, country: 'US' }, { heat: 'K9', qty: 5, country: 'KR' }], workOrder: WO_A };
+const P3 = { id: 'p3', workOrderId: 'wo-b', partNumber: 1, quantity: 6, heatNumber: 'OTHER', workOrder: WO_B };
+const P4 = { id: 'p4', workOrderId: 'wo-c', partNumber: 1, quantity: 2, clientPartNumber: 'TK-4', heatNumber: null };
+
+test('an inspector-typed heat is read from heatNumberConfirmed or heatNumber', () => {
+  assert.strictEqual(unitHeat({ heatNumberConfirmed: ' H100 ' }), 'H100');
+  assert.strictEqual(unitHeat({ heatNumberConfirmed: true, heatNumber: 'H7' }), 'H7');
+  assert.strictEqual(unitHeat({ heatNumberConfirmed: true }), null);
+  assert.strictEqual(unitHeat(null), null);
+});
+
+test('pickups match the part by id, older entries by part number', () => {
+  const wo = { pickupHistory: [{ date: '2026-01-05', items: [{ partNumber: 3, quantity: 1 }, { partId: 'x', partNumber: 3, quantity: 9 }] }] };
+  assert.deepStrictEqual(shipmentsForPart(wo, { id: 'p', partNumber: 3 }), [{ date: '2026-01-05', qty: 1, pickedUpBy: null }]);
+  assert.deepStrictEqual(shipmentsForPart({}, { id: 'p' }), []);
+});
+
+test('single-heat and split parts both trace, matched regardless of spelling', () => {
+  const rows = buildTrace(['H 100'], [P1, P2, P3], []);
+  assert.deepStrictEqual(rows.map(r => [r.partId, r.quantity, r.sources.join()]), [['p1', 4, 'part'], ['p2', 3, 'breakdown']]);
+  assert.strictEqual(rows[0].drNumber, 58001);
+  assert.strictEqual(rows[0].clientPurchaseOrderNumber, 'PO-77');
+  assert.strictEqual(rows[0].description, '3/8" A36 plate');
+});
+
+test('shipped quantity comes from pickups and is capped at the heat pieces on a split part', () => {
+  const rows = buildTrace(['H100'], [P1, P2], []);
+  const p1 = rows.find(r => r.partId === 'p1');
+  const p2 = rows.find(r => r.partId === 'p2');
+  assert.strictEqual(p1.shippedQty, 4);
+  assert.strictEqual(p1.shipDate, '2026-03-09T18:00:00Z');
+  assert.strictEqual(p1.shipments.length, 2);
+  assert.strictEqual(p2.shippedQty, 3); // 5 shipped of the part, only 3 pieces were heat H100
+});
+
+test('an inspection unit finds a heat the part never recorded', () => {
+  const units = [
+    { unitId: '57990-1A', preRoll: { heatNumberConfirmed: 'H100' }, workOrderPartId: 'p4', part: P4, workOrder: WO_C },
+    { unitId: '57990-1B', preRoll: { heatNumber: 'h-100' }, workOrderPartId: 'p4', part: P4, workOrder: WO_C },
+  ];
+  const [row] = buildTrace(['H100'], [], units);
+  assert.strictEqual(row.partId, 'p4');
+  assert.deepStrictEqual(row.sources, ['inspection']);
+  assert.deepStrictEqual(row.unitIds, ['57990-1A', '57990-1B']);
+  assert.strictEqual(row.quantity, 2);
+  // No pickup entries, but the order is archived — everything counts as shipped on the WO date
+  assert.strictEqual(row.shippedQty, 2);
+  assert.strictEqual(row.shipDate, '2026-02-01T20:00:00Z');
+});
+
+test('a unit that only confirms its part heat is listed on that part', () => {
+  const units = [{ unitId: '58001-1A', preRoll: { heatNumberConfirmed: true }, workOrderPartId: 'p1', part: P1, workOrder: WO_A }];
+  const rows = buildTrace(['H100'], [P1], units);
+  assert.deepStrictEqual(rows[0].unitIds, ['58001-1A']);
+  assert.deepStrictEqual(rows[0].sources, ['part']);
+  assert.strictEqual(rows[0].quantity, 4);
+});
+
+test('the client summary adds up pieces and work orders per customer', () => {
+  const units = [{ unitId: '57990-1A', preRoll: { heatNumberConfirmed: 'H100' }, workOrderPartId: 'p4', part: P4, workOrder: WO_C }];
+  const rows = buildTrace(['H100', 'OTHER'], [P1, P2, P3], units);
+  const summary = summarizeByClient(rows);
+  assert.deepStrictEqual(summary.map(c => [c.clientName, c.workOrders, c.quantity, c.shippedQty]), [
+    ['Acme Tank', 2, 8, 8],
+    ['Baker Fab', 1, 6, 0],
+  ]);
+  assert.strictEqual(summary[0].lastShipDate, '2026-03-09T18:00:00Z');
+});
+
+test('CSV quotes commas and quotes', () => {
+  const csv = toCsv(buildTrace(['H100'], [P1], []));
+  const lines = csv.trim().split('\r\n');
+  assert.strictEqual(lines.length, 2);
+  assert.ok(lines[0].startsWith('Heat,DR,Client,Client PO'));
+  assert.ok(lines[1].startsWith('H-100,DR-58001,Acme Tank,PO-77,1,,"3/8"" A36 plate",4,4,'));
+});
+
+let passed = 0, failed = 0;
+for (const { name, fn } of tests) {
+  try { fn(); console.log('  PASS  ' + name); passed++; }
+  catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+}
+console.log('\n' + passed + ' passed, ' + failed + ' failed');
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,226 @@
+/**
+ * QuickBooks Desktop import — IIF / CSV parsing, matching, preview and commit.
+ *
+ * The rules under test: PAYMENT transactions and CUST records come out of an IIF file and other
+ * transaction types are skipped; a CSV report's preamble is skipped and rows of one payment are
+ * grouped; a name matches a client by quickbooksName, then name, then the parent of "Customer:Job";
+ * a payment goes to the invoices it names (explicit amounts first), or to the client's oldest open
+ * invoices when it names none, never past what's open — across the whole file, and an edit can't
+ * push it past either; what's left becomes a credit memo; a payment already recorded is a duplicate
+ * and isn't imported twice; and an order paid in full gets its paymentDate.
+ *
+ * Run: node backend/test/iifImport.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+const { Op } = require('sequelize');
+
+// In-memory tables standing in for ../models — equality, null, Op.ne, Op.in and Op.iLike only
+let seq = 0;
+const matches = (row, where = {}) => Object.entries(where).every(([k, v]) => {
+  const value = row[k];
+  if (v && typeof v === 'object') {
+    if (Op.ne in v) return v[Op.ne] === null ? value !== null && value !== undefined : value !== v[Op.ne];
+    if (Op.in in v) return v[Op.in].includes(value);
+    if (Op.iLike in v) return String(value || '').toLowerCase() === String(v[Op.iLike]).toLowerCase();
+  }
+  return v === null ? value === null || value === undefined : value === v;
+});
+function table(defaults = {}) {
+  const rows = [];
+  const wrap = (r) => Object.defineProperty(r, 'update', { value: async (u) => Object.assign(r, u), enumerable: false });
+  return {
+    rows,
+    create: async (values) => { const r = wrap({ id: `id-${++seq}`, ...defaults, ...values }); rows.push(r); return r; },
+    findAll: async ({ where } = {}) => rows.filter(r => matches(r, where)),
+    findOne: async ({ where } = {}) => rows.find(r => matches(r, where)) || null,
+    findByPk: async (id) => rows.find(r => r.id === id) || null,
+  };
+}
+const models = {
+  sequelize: { transaction: async (fn) => fn({}) },
+  Client: table({ quickbooksName: null }),
+  WorkOrder: table({ paymentDate: null }),
+  InvoiceNumber: table({ status: 'active' }),
+  ClientPayment: table({ voidedAt: null, reference: null }),
+  PaymentApplication: table(),
+  WorkOrderPayment: table(),
+  CreditMemo: table(),
+  // The ledger, which a recorded payment posts to
+  LedgerAccount: table({ isActive: true, systemKey: null }),
+  JournalEntry: table({ reversedAt: null, reversesEntryId: null }),
+  JournalLine: table(),
+  AccountingPeriod: table({ reopenedAt: null }),
+  LedgerPostFailure: table(),
+};
+// The balance: the order's total less what's been applied to it
+const getWOBalance = async (id) => {
+  const wo = models.WorkOrder.rows.find(w => w.id === id);
+  if (!wo) return null;
+  const paid = models.PaymentApplication.rows.filter(a => a.workOrderId === id).reduce((s, a) => s + a.amount, 0);
+  return { wo, total: wo.total, paid, balance: Math.max(0, wo.total - paid) };
+};
+
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return models;
+  if (request === '../routes/business') return { getWOBalance };
+  if (request === '../routes/quickbooks') return { regenerateInvoicePDF: async () => {} };
+  return originalLoad.apply(this, arguments);
+};
+
+const iif = require('../src/services/iifImport');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const IIF = [
+  '!CUST\tNAME\tBADDR1\tBADDR2\tBADDR3\tPHONE1\tEMAIL\tCONT1\tTERMS\tRESALENUM',
+  'CUST\tDelta Fab\tDelta Fab\t400 Harbor Blvd\tLong Beach, CA 90802\t562-555-0100\tap@delta.test\tRuth\tNet 30\tSR-88',
+  'CUST\tBasin Works\t\t\t\t661-555-0199\t\t\t\t',
+  '!TRNS\tTRNSID\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO\tPAYMETH',
+  '!SPL\tSPLID\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO',
+  '!ENDTRNS',
+  'TRNS\t\tPAYMENT\t10/08/2026\tUndeposited Funds\tACME TANK CO\t1,000.00\t10452\t\tCheck',
+  'SPL\t\tPAYMENT\t10/08/2026\tAccounts Receivable\tACME TANK CO\t-900.00\t41001\t',
+  'SPL\t\tPAYMENT\t10/08/2026\tAccounts Receivable\tACME TANK CO\t-100.00\t\tinv 41002',
+  'ENDTRNS',
+  'TRNS\t\tPAYMENT\t10/9/26\tUndeposited Funds\tBasin Works:Job 7\t700.00\tACH-5521\t\tACH',
+  'SPL\t\tPAYMENT\t10/9/26\tAccounts Receivable\tBasin Works:Job 7\t-700.00\tACH-5521\t',
+  'ENDTRNS',
+  'TRNS\t\tPAYMENT\t10/10/2026\tUndeposited Funds\tNobody Inc\t50.00\t77\t\tCheck',
+  'ENDTRNS',
+  'TRNS\t\tINVOICE\t10/10/2026\tAccounts Receivable\tACME TANK CO\t300.00\t41010\t',
+  'ENDTRNS',
+  'TRNS\t\tPAYMENT\t10/11/2026\tUndeposited Funds\tBasin Works\t125.00\t3301\tChk #3301\tCheck',
+  'ENDTRNS',
+].join('\r\n');
+
+test('amounts, dates, methods and invoice references parse the way QuickBooks writes them', () => {
+  assert.deepStrictEqual(['$1,234.50', '(45.00)', '-45', ''].map(iif.parseAmount), [1234.5, -45, -45, null]);
+  assert.deepStrictEqual(['10/08/2026', '10/8/26', '2026-10-08', 'soon'].map(iif.parseQBDate), ['2026-10-08', '2026-10-08', '2026-10-08', null]);
+  assert.deepStrictEqual([iif.methodFor('Visa'), iif.methodFor('EFT'), iif.methodFor('', '10452'), iif.methodFor('', 'WIRE-9')], ['credit_card', 'ach', 'check', 'other']);
+  assert.deepStrictEqual(iif.invoiceRefsIn('Chk #10452 pays Inv 41001, 41002 & 41003'), ['41001', '41002', '41003']);
+  assert.deepStrictEqual(iif.invoiceRefsIn('PMT INV#41007'), ['41007']);
+  assert.deepStrictEqual(iif.invoiceRefsIn('Check #3301'), []);
+});
+
+test('an IIF file gives its payments and customers, and skips other transactions', () => {
+  const parsed = iif.parseFile(IIF, 'export.iif');
+  assert.strictEqual(parsed.format, 'iif');
+  assert.deepStrictEqual(parsed.payments.map(p => [p.name, p.paymentDate, p.amount, p.reference, p.method]), [
+    ['ACME TANK CO', '2026-10-08', 1000, '10452', 'check'],
+    ['Basin Works:Job 7', '2026-10-09', 700, 'ACH-5521', 'ach'],
+    ['Nobody Inc', '2026-10-10', 50, '77', 'check'],
+    ['Basin Works', '2026-10-11', 125, '3301', 'check'],
+  ]);
+  assert.deepStrictEqual(parsed.payments[0].invoiceRefs, [{ invoiceNumber: '41001', amount: 900 }, { invoiceNumber: '41002', amount: 100 }]);
+  assert.deepStrictEqual(parsed.payments[1].invoiceRefs, []); // the split DOCNUM is the ACH number
+  assert.deepStrictEqual(parsed.skipped, [{ line: 4, reason: 'INVOICE transaction — only payments are imported' }]);
+  assert.deepStrictEqual(parsed.customers[0], {
+    name: 'Delta Fab', companyName: null,
+    fields: { contactName: 'Ruth', contactPhone: '562-555-0100', contactEmail: 'ap@delta.test', address: '400 Harbor Blvd, Long Beach, CA 90802', paymentTerms: 'Net 30', resaleCertificate: 'SR-88', taxStatus: 'resale' },
+  });
+});
+
+test('a CSV report skips its preamble and groups the rows of one payment', () => {
+  const csv = [
+    'Rolling Co',
+    'Payments Received,,,,',
+    'Type,Date,Num,Name,Memo,Invoice,Amount,Payment Method',
+    'Payment,10/08/2026,10452,ACME TANK CO,,41001,900.00,Check',
+    'Payment,10/08/2026,10452,ACME TANK CO,,41002,"1,100.00",Check',
+    'Deposit,10/08/2026,,,,,"2,000.00",',
+    'Payment,10/09/2026,,"Basin Works, Inc.",Inv 41003,,125.00,Visa',
+    'Payment,,,,,,,',
+  ].join('\n');
+  const parsed = iif.parseFile(csv, 'payments.csv');
+  assert.deepStrictEqual(parsed.payments.map(p => [p.name, p.amount, p.method, p.invoiceRefs]), [
+    ['ACME TANK CO', 2000, 'check', [{ invoiceNumber: '41001', amount: 900 }, { invoiceNumber: '41002', amount: 1100 }]],
+    ['Basin Works, Inc.', 125, 'credit_card', [{ invoiceNumber: '41003', amount: null }]],
+  ]);
+  assert.deepStrictEqual(parsed.skipped.map(s => s.line), [6, 8]);
+
+  const customers = iif.parseFile('Customer,Main Phone,Main Email,Terms\nDelta Fab,562-555-0100,ap@delta.test,Net 30\n', 'customers.csv');
+  assert.deepStrictEqual([customers.payments.length, customers.customers[0].name, customers.customers[0].fields.contactPhone], [0, 'Delta Fab', '562-555-0100']);
+  assert.throws(() => iif.parseFile('a,b\n1,2\n', 'x.csv'), /No header row/);
+});
+
+test('allocation takes explicit amounts first and never goes past what is open', () => {
+  const balances = new Map([['w1', 500], ['w2', 300]]);
+  const a = iif.allocate(700, [{ workOrderId: 'w1' }, { workOrderId: 'w2', amount: 250 }], balances);
+  assert.deepStrictEqual(a.applications.map(x => [x.workOrderId, x.amount]), [['w2', 250], ['w1', 450]]);
+  assert.strictEqual(a.unapplied, 0);
+  const b = iif.allocate(200, [{ workOrderId: 'w1' }, { workOrderId: 'w2' }], balances);
+  assert.deepStrictEqual(b.applications.map(x => [x.workOrderId, x.amount]), [['w1', 50], ['w2', 50]]);
+  assert.strictEqual(b.unapplied, 100);
+});
+
+test('preview matches clients and invoices; commit records payments once and marks orders paid', async () => {
+  const acme = await models.Client.create({ name: 'Acme Tank', quickbooksName: 'ACME TANK CO' });
+  const basin = await models.Client.create({ name: 'Basin Works', contactPhone: null });
+  const wo1 = await models.WorkOrder.create({ clientId: acme.id, clientName: 'Acme Tank', drNumber: 3301, invoiceNumber: '41001', invoiceDate: '2026-09-30', total: 900 });
+  const wo2 = await models.WorkOrder.create({ clientId: acme.id, clientName: 'Acme Tank', drNumber: 3302, invoiceNumber: '41002', invoiceDate: '2026-10-01', total: 400 });
+  const wo3 = await models.WorkOrder.create({ clientId: basin.id, clientName: 'Basin Works', drNumber: 3303, invoiceNumber: '41003', invoiceDate: '2026-09-15', total: 500 });
+  const wo4 = await models.WorkOrder.create({ clientId: basin.id, clientName: 'Basin Works', drNumber: 3304, invoiceNumber: '41004', invoiceDate: '2026-09-20', total: 600 });
+  await models.InvoiceNumber.create({ invoiceNumber: 41001, workOrderId: wo1.id });
+  await models.InvoiceNumber.create({ invoiceNumber: 41002, workOrderId: wo2.id });
+  // Basin's check 3301 was already keyed in by hand
+  await models.ClientPayment.create({ clientId: basin.id, clientName: 'Basin Works', paymentDate: '2026-10-11', amount: '125.00', reference: '3301' });
+
+  const preview = await iif.preview(IIF, 'export.iif');
+  assert.deepStrictEqual(preview.summary, { payments: 4, ready: 2, duplicates: 1, unmatched: 1, total: 1700, customers: 2, newCustomers: 1, skippedRows: 1 });
+  const [p1, p2, p3, p4] = preview.payments;
+  assert.deepStrictEqual([p1.clientId, p1.matchedBy, p2.clientId, p2.matchedBy, p3.status, p4.status], [acme.id, 'quickbooksName', basin.id, 'name', 'unmatched', 'duplicate']);
+  assert.deepStrictEqual(p1.applications.map(a => [a.drNumber, a.amount]), [[3301, 900], [3302, 100]]);
+  assert.deepStrictEqual(p2.applications.map(a => [a.drNumber, a.amount]), [[3303, 500], [3304, 200]]); // oldest first
+  assert.ok(p2.warnings[0].includes('oldest open invoices'));
+  assert.deepStrictEqual(preview.customers.map(c => [c.name, c.action, c.fills]), [['Delta Fab', 'create', []], ['Basin Works', 'update', ['contactPhone']]]);
+  assert.strictEqual(models.ClientPayment.rows.length, 1); // nothing written yet
+
+  // The user keeps the Acme payment but sends 50 of it to credit instead of 41002
+  p1.applications[1].amount = 50;
+  const result = await iif.commit({ payments: preview.payments, customers: preview.customers }, 'dana');
+  assert.deepStrictEqual([result.created.length, result.skipped.length, result.errors.length, result.total], [2, 2, 0, 1700]);
+  assert.deepStrictEqual(result.created[0].paid, [3301]);
+  assert.deepStrictEqual([result.customers.created[0].name, result.customers.updated[0].fields], ['Delta Fab', ['contactPhone']]);
+  assert.strictEqual(models.Client.rows.find(c => c.name === 'Delta Fab').quickbooksName, 'Delta Fab');
+  assert.strictEqual(basin.contactPhone, '661-555-0199');
+
+  const payment = models.ClientPayment.rows.find(p => p.reference === '10452');
+  assert.deepStrictEqual([payment.clientId, payment.amount, payment.method, payment.recordedBy], [acme.id, 1000, 'check', 'dana']);
+  assert.deepStrictEqual(models.PaymentApplication.rows.filter(a => a.clientPaymentId === payment.id).map(a => a.amount), [900, 50]);
+  assert.strictEqual(models.WorkOrderPayment.rows.length, 4);
+  const posted = models.JournalEntry.rows.find(e => e.sourceType === 'client_payment' && e.sourceId === payment.id);
+  assert.deepStrictEqual(models.JournalLine.rows.filter(l => l.journalEntryId === posted.id).map(l => [l.debit, l.credit]), [[1000, 0], [0, 1000]]);
+  assert.deepStrictEqual(models.CreditMemo.rows.map(m => [m.clientId, m.amount, m.sourceClientPaymentId]), [[acme.id, 50, payment.id]]);
+  assert.deepStrictEqual([wo1.paymentDate, wo1.paymentReference, wo2.paymentDate, wo3.paymentDate, wo4.paymentDate], ['2026-10-08', '10452', null, '2026-10-09', null]);
+
+  // The same file again: everything is already in
+  const again = await iif.preview(IIF, 'export.iif');
+  assert.deepStrictEqual([again.summary.ready, again.summary.duplicates], [0, 3]);
+  const twice = await iif.commit({ payments: again.payments.map(p => ({ ...p, status: 'ready' })) }, 'dana');
+  assert.deepStrictEqual([twice.created.length, twice.skipped.filter(s => s.reason === 'Already recorded').length], [0, 3]);
+
+  await assert.rejects(iif.commit({}), /Nothing to import/);
+  const over = await iif.commit({ payments: [{ key: 'x', clientId: acme.id, paymentDate: '2026-10-20', amount: 10, applications: [{ workOrderId: wo2.id, amount: 20 }] }] });
+  assert.match(over.errors[0].error, /more than the 10.00 payment/);
+  // An application edited past what the order owes is capped there; the rest is credit
+  const capped = await iif.commit({ payments: [{ key: 'z', clientId: acme.id, paymentDate: '2026-10-21', amount: 400, reference: '10470', applications: [{ workOrderId: wo2.id, amount: 400 }] }] }, 'dana');
+  const cappedId = capped.created[0].id;
+  assert.deepStrictEqual(models.PaymentApplication.rows.filter(a => a.clientPaymentId === cappedId).map(a => a.amount), [350]);
+  assert.deepStrictEqual(models.CreditMemo.rows.filter(m => m.sourceClientPaymentId === cappedId).map(m => m.amount), [50]);
+  assert.deepStrictEqual([capped.created[0].paid, wo2.paymentDate], [[3302], '2026-10-21']);
+  const wrong = await iif.commit({ payments: [{ key: 'y', clientId: acme.id, paymentDate: '2026-10-20', amount: 10, applications: [{ workOrderId: wo3.id, amount: 10 }] }] });
+  assert.match(wrong.errors[0].error, /DR-3303 belongs to another client/);
+});
+
+(async () => {
+  let passed = 0, failed = 0;
+  for (const { name, fn } of tests) {
+    try { await fn(); console.log('  PASS  ' + name); passed++; }
+    catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+  }
+  console.log('\n' + passed + ' passed, ' + failed + ' failed');
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,111 @@
+/**
+ * Job costing — quoted vs actual per part and per job, and the client / part-type rollup.
+ *
+ * The rules under test: vendor bills land on the parts that share their PO (split by quoted cost),
+ * OP bills only hit outside processing, anything without a bill or clocked time falls back to the
+ * quoted figure and is counted as estimated, and trucking stays at job level.
+ *
+ * Run: node backend/test/jobCosting.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database.
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return {};
+  return originalLoad.apply(this, arguments);
+};
+
+const { parsePoRef, costJob, rollupJobs } = require('../src/services/jobCosting');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const WO = { id: 'wo1', drNumber: 4100, clientName: 'Acme Tank', status: 'completed' };
+const partA = { id: 'a', partNumber: 1, partType: 'plate_roll', quantity: 1, materialTotal: '300', materialMarkupPercent: '0', laborTotal: '400', laborRate: '100', laborHours: '4', partTotal: '1000', materialPurchaseOrderNumber: 'PO1500', actualRunTimeMin: '360' };
+const partB = { id: 'b', partNumber: 2, partType: 'plate_roll', quantity: 1, materialTotal: '100', materialMarkupPercent: '0', laborHours: '1', partTotal: '500', materialPurchaseOrderNumber: 'PO1500', outsideProcessingCost: '50', outsideProcessingPONumber: 'OP1500' };
+const partC = { id: 'c', partNumber: 3, partType: 'press_brake', quantity: 2, materialTotal: '20', laborHours: '2', partTotal: '300' };
+
+test('PO references are read with or without the prefix', () => {
+  assert.deepStrictEqual(parsePoRef('PO1500'), { op: false, number: 1500 });
+  assert.deepStrictEqual(parsePoRef('1500'), { op: false, number: 1500 });
+  assert.deepStrictEqual(parsePoRef(' op 1001'), { op: true, number: 1001 });
+  assert.strictEqual(parsePoRef(''), null);
+});
+
+test('a material bill is split across its PO by quoted material cost', () => {
+  const job = costJob({ workOrder: WO, parts: [partA, partB], bills: [{ id: 'bill1', amount: '500', poNumber: 'PO 1500' }], laborCostPerHour: 50 });
+  const a = job.parts.find(p => p.id === 'a');
+  const b = job.parts.find(p => p.id === 'b');
+  assert.strictEqual(a.actual.material, 375);
+  assert.strictEqual(b.actual.material, 125);
+  assert.strictEqual(a.actual.materialSource, 'bills');
+});
+
+test('a bill linked to the PO record counts even without a typed PO number', () => {
+  const job = costJob({ workOrder: WO, parts: [partA], pos: [{ id: 'po-1', poNumber: 1500 }], bills: [{ id: 'bill1', amount: '280', linkedPOId: 'po-1' }] });
+  assert.strictEqual(job.parts[0].actual.material, 280);
+});
+
+test('an OP bill with the same number only hits outside processing', () => {
+  const job = costJob({ workOrder: WO, parts: [partA, partB], bills: [{ id: 'bill2', amount: '80', poNumber: 'OP1500' }] });
+  const b = job.parts.find(p => p.id === 'b');
+  assert.strictEqual(b.actual.outsideProcessing, 80);
+  assert.strictEqual(b.actual.material, 100);
+  assert.strictEqual(b.actual.materialSource, 'quoted');
+  assert.strictEqual(job.parts.find(p => p.id === 'a').actual.outsideProcessing, 0);
+});
+
+test('clocked time replaces quoted hours; unclocked parts stay estimated', () => {
+  const job = costJob({ workOrder: WO, parts: [partA, partB], laborCostPerHour: 50 });
+  const a = job.parts.find(p => p.id === 'a');
+  assert.strictEqual(a.quoted.laborCost, 200);
+  assert.strictEqual(a.actual.laborHours, 6);
+  assert.strictEqual(a.actual.laborCost, 300);
+  assert.strictEqual(a.margin, 1000 - 300 - 300);
+  assert.strictEqual(a.marginPct, 40);
+  // B: material + labor + OP all quoted; A: material quoted
+  assert.strictEqual(job.estimatedLines, 4);
+});
+
+test('hours are backed out of the labor dollars when laborHours is blank', () => {
+  const job = costJob({ workOrder: WO, parts: [{ ...partA, laborHours: null, actualRunTimeMin: null }], laborCostPerHour: 10 });
+  assert.strictEqual(job.parts[0].quoted.laborHours, 4);
+});
+
+test('trucking and unmatched bills land on the job, not a part', () => {
+  const job = costJob({
+    workOrder: WO,
+    parts: [partC],
+    bills: [{ id: 'stray', amount: '40', poNumber: 'PO9999' }],
+    shipmentCharges: [{ shippingCost: '200', shippingMarkup: '25' }],
+    laborCostPerHour: 0,
+  });
+  assert.strictEqual(job.trucking.revenue, 250);
+  assert.strictEqual(job.trucking.cost, 200);
+  assert.strictEqual(job.unallocatedBills.length, 1);
+  assert.strictEqual(job.totals.revenue, 550);
+  assert.strictEqual(job.totals.actualCost, 40 + 200 + 40);
+});
+
+test('rollup groups by client and part type', () => {
+  const j1 = costJob({ workOrder: WO, parts: [partA, partC], laborCostPerHour: 50 });
+  const j2 = costJob({ workOrder: { id: 'wo2', clientName: 'Beta Fab' }, parts: [partB], laborCostPerHour: 50 });
+  const r = rollupJobs([j1, j2]);
+  assert.strictEqual(r.totals.jobs, 2);
+  assert.strictEqual(r.totals.revenue, 1800);
+  assert.deepStrictEqual(r.byClient.map(c => c.key), ['Acme Tank', 'Beta Fab']);
+  const roll = r.byPartType.find(t => t.key === 'plate_roll');
+  assert.strictEqual(roll.jobs, 2);
+  assert.strictEqual(roll.parts, 2);
+  assert.strictEqual(roll.revenue, 1500);
+});
+
+let passed = 0, failed = 0;
+for (const { name, fn } of tests) {
+  try { fn(); console.log('  PASS  ' + name); passed++; }
+  catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+}
+console.log('\n' + passed + ' passed, ' + failed + ' failed');
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,94 @@
+/**
+ * Time clock minute math and the quoted-vs-actual labor calibration.
+ *
+ * The rules under test: a segment left running is capped rather than booking the night to the part,
+ * stored minutes win over the timestamps (office edits stick), and calibration uses the median
+ * actual/quoted ratio and skips parts missing either side.
+ *
+ * Run: node backend/test/laborTracking.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database.
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return {};
+  return originalLoad.apply(this, arguments);
+};
+
+const { segmentMinutes, summarizeSegments, MAX_SEGMENT_HOURS } = require('../src/services/laborTracking');
+const { laborFromActuals } = require('../src/services/pricingCalibration');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const at = (hhmm) => new Date(`2026-03-02T${hhmm}:00`);
+
+test('a closed segment counts its own span', () => {
+  assert.strictEqual(segmentMinutes({ startedAt: at('07:00'), endedAt: at('08:30') }), 90);
+});
+
+test('an open segment runs to now', () => {
+  assert.strictEqual(segmentMinutes({ startedAt: at('07:00'), endedAt: null }, at('07:45')), 45);
+});
+
+test('a forgotten clock is capped', () => {
+  const overnight = { startedAt: at('07:00'), endedAt: new Date('2026-03-03T07:00:00') };
+  assert.strictEqual(segmentMinutes(overnight), MAX_SEGMENT_HOURS * 60);
+});
+
+test('an end before the start counts nothing', () => {
+  assert.strictEqual(segmentMinutes({ startedAt: at('09:00'), endedAt: at('08:00') }), 0);
+});
+
+test('summary splits closed and running time per operator', () => {
+  const s = summarizeSegments([
+    { operatorName: 'Ray', startedAt: at('07:00'), endedAt: at('08:00'), minutes: '60.00' },
+    { operatorName: 'Ray', startedAt: at('08:15'), endedAt: null },
+    { operatorName: 'Dan', startedAt: at('09:00'), endedAt: at('09:30'), minutes: null },
+  ], at('09:15'));
+  assert.strictEqual(s.closedMinutes, 90);
+  assert.strictEqual(s.runningMinutes, 60);
+  assert.strictEqual(s.totalMinutes, 150);
+  assert.strictEqual(s.running, true);
+  assert.deepStrictEqual(s.byOperator, { Ray: 120, Dan: 30 });
+});
+
+test('stored minutes win over the timestamps', () => {
+  const s = summarizeSegments([{ operatorName: 'Ray', startedAt: at('07:00'), endedAt: at('09:00'), minutes: '45' }]);
+  assert.strictEqual(s.totalMinutes, 45);
+});
+
+test('calibration takes the median ratio per part type', () => {
+  const rows = laborFromActuals([
+    { partType: 'plate_roll', laborHours: '2', actualMinutes: '180' },   // 1.5
+    { partType: 'plate_roll', laborHours: '4', actualMinutes: '240' },   // 1.0
+    { partType: 'plate_roll', laborHours: '1', actualMinutes: '600' },   // 10 — the outlier
+    { partType: 'press_brake', laborHours: '1', actualMinutes: '30' },
+  ]);
+  const roll = rows.find(r => r.partType === 'plate_roll');
+  assert.strictEqual(roll.parts, 3);
+  assert.strictEqual(roll.medianRatio, 1.5);
+  assert.strictEqual(roll.quotedHours, 7);
+  assert.strictEqual(roll.actualHours, 17);
+  assert.strictEqual(rows[0].partType, 'plate_roll');
+  assert.strictEqual(rows.find(r => r.partType === 'press_brake').medianRatio, 0.5);
+});
+
+test('calibration skips parts with no quote or no clocked time', () => {
+  const rows = laborFromActuals([
+    { partType: 'plate_roll', laborHours: null, actualMinutes: '60' },
+    { partType: 'plate_roll', laborHours: '2', actualMinutes: null },
+    { partType: 'plate_roll', laborHours: '2', actualMinutes: '0' },
+  ]);
+  assert.deepStrictEqual(rows, []);
+});
+
+let passed = 0, failed = 0;
+for (const { name, fn } of tests) {
+  try { fn(); console.log('  PASS  ' + name); passed++; }
+  catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+}
+console.log('\n' + passed + ' passed, ' + failed + ' failed');
+process.exit(failed ? 1 : 0);
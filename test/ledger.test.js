@@ -0,0 +1,266 @@
+/**
+ * Double-entry ledger — entries built from source records, posting, reports and period closing.
+ *
+ * The rules under test: every entry balances; an invoice books AR against sales by account and
+ * sales tax payable; a payment moves AR to cash; an overpayment's credit memo posts nothing of its
+ * own; posting a source twice changes nothing, changing it reverses and reposts, voiding or deleting
+ * it reverses; a posting that fails is recorded until a retry or the catch-up posts it; the trial balance balances and the balance sheet carries prior years in retained
+ * earnings; and once the books are closed automatic postings land on the first open day while
+ * manual entries into the closed period are refused.
+ *
+ * Run: node backend/test/ledger.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+const { Op } = require('sequelize');
+
+// In-memory tables standing in for ../models — equality, null, Op.ne, Op.in, Op.gte and Op.lte only
+let seq = 0;
+const compare = (value, v) => {
+  if (Op.ne in v) return v[Op.ne] === null ? value !== null && value !== undefined : value !== v[Op.ne];
+  if (Op.in in v) return v[Op.in].includes(value);
+  return (!(Op.gte in v) || value >= v[Op.gte]) && (!(Op.lte in v) || value <= v[Op.lte]);
+};
+const matches = (row, where = {}) => Object.entries(where).every(([k, v]) => {
+  if (v && typeof v === 'object') return compare(row[k], v);
+  return v === null ? row[k] === null || row[k] === undefined : row[k] === v;
+});
+function table(defaults = {}, withLines = false) {
+  const rows = [];
+  const wrap = (r) => {
+    Object.defineProperty(r, 'update', { value: async (u) => Object.assign(r, u), enumerable: false });
+    Object.defineProperty(r, 'destroy', { value: async () => rows.splice(rows.indexOf(r), 1), enumerable: false });
+    return r;
+  };
+  // Journal entries come back with their lines, and their lines with the account, when asked to include them
+  const dress = (r) => (withLines ? Object.assign(Object.create(r), {
+    lines: models.JournalLine.rows.filter(l => l.journalEntryId === r.id).map(l => ({ ...l, account: models.LedgerAccount.rows.find(a => a.id === l.accountId) })),
+  }) : r);
+  return {
+    rows,
+    create: async (values) => { const r = wrap({ id: `id-${++seq}`, ...defaults, ...values }); rows.push(r); return r; },
+    findAll: async ({ where, include } = {}) => rows.filter(r => matches(r, where)).map(r => (include ? dress(r) : r)),
+    findOne: async ({ where } = {}) => rows.find(r => matches(r, where)) || null,
+    findByPk: async (id) => rows.find(r => r.id === id) || null,
+  };
+}
+let entryNumber = 0;
+const models = {
+  sequelize: { transaction: async (fn) => fn({}) },
+  LedgerAccount: table({ isActive: true, systemKey: null }),
+  JournalEntry: table({ reversedAt: null, reversesEntryId: null }, true),
+  JournalLine: table(),
+  AccountingPeriod: table({ reopenedAt: null }),
+  LedgerPostFailure: table({ attempts: 1 }),
+  ClientPayment: table({ voidedAt: null }),
+  CreditMemo: table({ voidedAt: null, sourceClientPaymentId: null }),
+  WorkOrder: table(),
+  WorkOrderPayment: table({ voidedAt: null }),
+  Refund: table({ voidedAt: null }),
+  Liability: table(),
+  PayrollWeek: table(),
+  ShipmentCharge: table(),
+};
+const numbered = models.JournalEntry.create;
+models.JournalEntry.create = (values) => numbered({ ...values, entryNumber: ++entryNumber });
+
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return models;
+  return originalLoad.apply(this, arguments);
+};
+
+const ledger = require('../src/services/ledger');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const keys = (entry) => entry.lines.map(l => [l.key, l.debit, l.credit]);
+const live = (sourceType, sourceId) => models.JournalEntry.rows.filter(e => e.sourceType === sourceType && e.sourceId === sourceId && !e.reversedAt && !e.reversesEntryId);
+const linesOf = (entry) => models.JournalLine.rows.filter(l => l.journalEntryId === entry.id);
+const accountKey = (accountId) => models.LedgerAccount.rows.find(a => a.id === accountId).systemKey;
+
+test('entries built from source records balance and land on the right accounts', () => {
+  const wo = { id: 'wo-1', drNumber: 3100, invoiceNumber: '41001', invoiceDate: '2026-03-10', clientName: 'Acme Tank', clientId: 'c-1' };
+  const split = { total: 1087.5, taxCharged: 87.5 };
+  const tax = { lines: [{ kind: 'part', taxable: true, amount: 600 }, { kind: 'labor', taxable: false, amount: 200 }, { kind: 'freight', taxable: false, amount: 200 }] };
+  const invoice = ledger.invoiceEntry(wo, split, tax);
+  assert.strictEqual(invoice.date, '2026-03-10');
+  assert.deepStrictEqual(keys(invoice), [['ar', 1087.5, 0], ['sales_taxable', 0, 600], ['sales_nontaxable', 0, 200], ['freight', 0, 200], ['sales_tax', 0, 87.5]]);
+  assert.strictEqual(ledger.balanceLines(invoice.lines).length, 5);
+
+  // A credit invoice turns every line around instead of posting negatives
+  const credit = ledger.invoiceEntry(wo, { total: -50, taxCharged: 0 }, { lines: [{ kind: 'part', taxable: false, amount: -50 }] });
+  assert.deepStrictEqual(keys(credit), [['ar', 0, 50], ['sales_nontaxable', 50, 0]]);
+
+  assert.deepStrictEqual(keys(ledger.clientPaymentEntry({ paymentDate: '2026-03-20', amount: 500, clientName: 'Acme Tank' })), [['cash', 500, 0], ['ar', 0, 500]]);
+  assert.strictEqual(ledger.clientPaymentEntry({ paymentDate: '2026-03-20', amount: 500, voidedAt: new Date() }), null);
+  assert.deepStrictEqual(keys(ledger.creditMemoEntry({ date: '2026-03-21', amount: 40, clientName: 'Acme Tank' })), [['returns', 40, 0], ['ar', 0, 40]]);
+  assert.strictEqual(ledger.creditMemoEntry({ date: '2026-03-21', amount: 40, sourceClientPaymentId: 'p-1' }), null, 'an overpayment credit is already in the payment');
+  assert.deepStrictEqual(keys(ledger.refundEntry({ date: '2026-03-22', amount: 40, clientName: 'Acme Tank' })), [['ar', 40, 0], ['cash', 0, 40]]);
+
+  assert.deepStrictEqual(keys(ledger.billPaymentEntry({ status: 'paid', amount: 900, paidAt: '2026-03-05', name: 'Policy', category: 'Insurance' })), [['expense_insurance', 900, 0], ['cash', 0, 900]]);
+  assert.strictEqual(ledger.billPaymentEntry({ status: 'paid', amount: 30, paidAt: '2026-03-05', name: 'Coffee', category: 'Misc' }).lines[0].key, 'expense_other');
+  assert.strictEqual(ledger.billPaymentEntry({ status: 'pending', amount: 900, name: 'Policy' }), null);
+  assert.deepStrictEqual(keys(ledger.payrollEntry({ status: 'submitted', totalGross: 4200, weekStart: '2026-03-02', weekEnd: '2026-03-08' })), [['payroll', 4200, 0], ['cash', 0, 4200]]);
+  assert.strictEqual(ledger.payrollEntry({ status: 'draft', totalGross: 4200 }), null);
+  assert.deepStrictEqual(keys(ledger.shipmentChargeEntry({ carrierType: 'contracted', workOrderId: 'wo-1', shippingCost: 120, materialsCost: 30, createdAt: '2026-03-09' })), [['expense_shipping', 150, 0], ['cash', 0, 150]]);
+  assert.strictEqual(ledger.shipmentChargeEntry({ carrierType: 'contracted', estimateId: 'e-1', shippingCost: 120 }), null, 'a quoted charge is not a cost yet');
+
+  assert.throws(() => ledger.balanceLines([{ key: 'cash', debit: 10 }, { key: 'ar', credit: 9 }]), /Debits \(10.00\) don't equal credits \(9.00\)/);
+  assert.throws(() => ledger.balanceLines([{ key: 'cash', debit: -10 }, { key: 'ar', debit: 10 }]), /positive/);
+  assert.throws(() => ledger.balanceLines([{ key: 'cash', debit: 10 }]), /at least two lines/);
+  assert.strictEqual(
+    ledger.entryHash({ date: '2026-03-20', lines: [{ key: 'cash', debit: 5, credit: 0 }, { key: 'ar', debit: 0, credit: 5 }] }),
+    ledger.entryHash({ date: '2026-03-20', lines: [{ key: 'ar', debit: 0, credit: 5 }, { key: 'cash', debit: 5, credit: 0 }] })
+  );
+  assert.deepStrictEqual([ledger.openDate('2026-03-20', '2026-03-31'), ledger.openDate('2026-04-02', '2026-03-31'), ledger.openDate('2026-03-20', null)], ['2026-04-01', '2026-04-02', '2026-03-20']);
+});
+
+test('trial balance, P&L and balance sheet tie out', () => {
+  const accounts = [
+    { id: 'cash', code: '1000', name: 'CHECKING', type: 'asset' },
+    { id: 'ar', code: '1200', name: 'ACCOUNTS RECEIVABLE', type: 'asset' },
+    { id: 'tax', code: '2200', name: 'SALES TAX PAYABLE', type: 'liability' },
+    { id: 're', code: '3900', name: 'RETAINED EARNINGS', type: 'equity', systemKey: 'retained_earnings' },
+    { id: 'sales', code: '4000', name: 'SALES', type: 'income' },
+    { id: 'rent', code: '6400', name: 'RENT', type: 'expense' },
+  ];
+  const l = (accountId, date, debit, credit) => ({ accountId, date, debit, credit });
+  const lines = [
+    l('ar', '2025-11-01', 1000, 0), l('sales', '2025-11-01', 0, 1000),
+    l('cash', '2025-12-01', 1000, 0), l('ar', '2025-12-01', 0, 1000),
+    l('ar', '2026-02-01', 1080, 0), l('sales', '2026-02-01', 0, 1000), l('tax', '2026-02-01', 0, 80),
+    l('rent', '2026-02-15', 300, 0), l('cash', '2026-02-15', 0, 300),
+  ];
+  const tb = ledger.trialBalanceFrom(accounts, lines);
+  assert.deepStrictEqual([tb.totalDebits, tb.totalCredits, tb.balanced], [2080, 2080, true]);
+  assert.deepStrictEqual(tb.rows.map(r => [r.code, r.debit, r.credit]), [['1000', 700, 0], ['1200', 1080, 0], ['2200', 0, 80], ['4000', 0, 2000], ['6400', 300, 0]]);
+
+  const pl = ledger.profitAndLossFrom(accounts, lines.filter(x => x.date >= '2026-01-01'));
+  assert.deepStrictEqual([pl.income.total, pl.expenses.total, pl.netIncome], [1000, 300, 700]);
+
+  const bs = ledger.balanceSheetFrom(accounts, lines, '2026-03-31');
+  assert.deepStrictEqual([bs.assets.total, bs.liabilities.total, bs.balanced], [1780, 80, true]);
+  assert.deepStrictEqual(bs.equity.rows.map(r => [r.name, r.amount]), [['RETAINED EARNINGS', 1000], ['NET INCOME', 700]]);
+});
+
+test('a source posts once, reposts when it changes and reverses when voided or deleted', async () => {
+  const payment = await models.ClientPayment.create({ clientId: 'c-1', clientName: 'Acme Tank', paymentDate: '2026-04-10', amount: 500, method: 'check', reference: '1201' });
+  assert.strictEqual(await ledger.syncSource('client_payment', payment.id, { by: 'dana' }), 'posted');
+  const [first] = live('client_payment', payment.id);
+  assert.deepStrictEqual(linesOf(first).map(l => [accountKey(l.accountId), l.debit, l.credit]), [['cash', 500, 0], ['ar', 0, 500]]);
+  assert.strictEqual(first.memo, 'Payment — Acme Tank (check #1201)');
+  assert.strictEqual(await ledger.syncSource('client_payment', payment.id), 'unchanged');
+
+  await payment.update({ amount: 450 });
+  assert.strictEqual(await ledger.syncSource('client_payment', payment.id), 'reposted');
+  assert.ok(first.reversedAt, 'the old entry is marked reversed');
+  const reversal = models.JournalEntry.rows.find(e => e.reversesEntryId === first.id);
+  assert.deepStrictEqual(linesOf(reversal).map(l => [accountKey(l.accountId), l.debit, l.credit]), [['cash', 0, 500], ['ar', 500, 0]]);
+  assert.strictEqual(live('client_payment', payment.id).length, 1);
+
+  await payment.update({ voidedAt: '2026-04-12' });
+  assert.strictEqual(await ledger.post('client_payment', payment.id), 'reversed');
+  assert.strictEqual(live('client_payment', payment.id).length, 0);
+  assert.strictEqual(await ledger.syncSource('client_payment', payment.id), 'none');
+
+  // A deleted source is found by the catch-up from its live entry
+  const memo = await models.CreditMemo.create({ clientId: 'c-1', clientName: 'Acme Tank', date: '2026-04-15', amount: 75 });
+  const before = await ledger.syncAll({ types: ['credit_memo'] });
+  assert.strictEqual(before.counts.credit_memo.posted, 1);
+  await memo.destroy();
+  const after = await ledger.syncAll({ types: ['credit_memo'] });
+  assert.deepStrictEqual([after.counts.credit_memo.reversed, after.errors.length], [1, 0]);
+
+  const tb = await ledger.trialBalance({ asOf: '2026-12-31' });
+  assert.ok(tb.balanced);
+  assert.deepStrictEqual(tb.rows, [], 'everything posted has been reversed out');
+  await assert.rejects(ledger.syncSource('bogus', 'x'), /sourceType must be one of/);
+});
+
+test('a failed posting is recorded and cleared once a retry or the catch-up posts it', async () => {
+  const refund = await models.Refund.create({ clientId: 'c-1', clientName: 'Acme Tank', date: '2026-04-20', amount: 60 });
+  const load = models.Refund.findByPk;
+  models.Refund.findByPk = async () => { throw new Error('connection reset'); };
+  assert.strictEqual(await ledger.post('refund', refund.id, 'dana'), null, 'the request isn\'t failed over it');
+  assert.strictEqual(await ledger.post('refund', refund.id, 'dana'), null);
+  const [failure] = await ledger.listFailures();
+  assert.deepStrictEqual([failure.sourceType, failure.sourceId, failure.error, failure.attempts, failure.failedBy], ['refund', refund.id, 'connection reset', 2, 'dana']);
+  const stillDown = await ledger.retryFailures('dana');
+  assert.deepStrictEqual([stillDown.failing, failure.attempts], [1, 3]);
+
+  models.Refund.findByPk = load;
+  const retried = await ledger.retryFailures('dana');
+  assert.deepStrictEqual(retried.results.map(r => [r.sourceId, r.result]), [[refund.id, 'posted']]);
+  assert.strictEqual(models.LedgerPostFailure.rows.length, 0);
+  assert.strictEqual(live('refund', refund.id).length, 1);
+
+  // The nightly catch-up clears a failure it posts
+  const later = await models.Refund.create({ clientId: 'c-1', clientName: 'Acme Tank', date: '2026-04-21', amount: 10 });
+  models.Refund.findByPk = async () => { throw new Error('connection reset'); };
+  await ledger.post('refund', later.id);
+  models.Refund.findByPk = load;
+  const synced = await ledger.syncAll({ types: ['refund'] });
+  assert.deepStrictEqual([synced.counts.refund.posted, synced.errors.length, models.LedgerPostFailure.rows.length], [1, 0, 0]);
+});
+
+test('the general-ledger view is the cash account, with voids as their reversals', async () => {
+  const payment = await models.ClientPayment.create({ clientId: 'c-2', clientName: 'Basin Works', paymentDate: '2026-07-01', amount: 800, method: 'ach' });
+  const bill = await models.Liability.create({ name: 'Policy', category: 'Insurance', status: 'paid', amount: 300, paidAmount: 300, paidAt: '2026-07-02' });
+  const refund = await models.Refund.create({ clientId: 'c-2', clientName: 'Basin Works', date: '2026-07-03', amount: 50 });
+  const bounced = await models.ClientPayment.create({ clientId: 'c-2', clientName: 'Basin Works', paymentDate: '2026-07-04', amount: 120, method: 'check' });
+  for (const [t, id] of [['client_payment', payment.id], ['bill_payment', bill.id], ['refund', refund.id], ['client_payment', bounced.id]]) await ledger.post(t, id);
+  await bounced.update({ voidedAt: '2026-07-05' });
+  await ledger.post('client_payment', bounced.id);
+
+  const gl = await ledger.generalLedger({ startDate: '2026-07-01', endDate: '2026-07-31' });
+  assert.deepStrictEqual(gl.entries.map(e => [e.date, e.type, e.source, e.category, e.credit, e.debit, e.runningBalance]), [
+    ['2026-07-05', 'payment', 'client_payment', 'Revenue', 0, 120, 450],
+    ['2026-07-04', 'payment', 'client_payment', 'Revenue', 120, 0, 570],
+    ['2026-07-03', 'refund', 'refund', 'Refund', 0, 50, 450],
+    ['2026-07-02', 'expense', 'liability', 'INSURANCE', 0, 300, 500],
+    ['2026-07-01', 'payment', 'client_payment', 'Revenue', 800, 0, 800],
+  ]);
+  assert.deepStrictEqual([gl.totalRevenue, gl.totalExpenses, gl.totalRefunds, gl.netIncome], [800, 300, 50, 450]);
+  assert.strictEqual(gl.entries[0].reversal, true);
+  assert.deepStrictEqual((await ledger.generalLedger({ startDate: '2026-07-01', endDate: '2026-07-31', type: 'expense' })).entries.map(e => e.id), [bill.id]);
+});
+
+test('closed periods push automatic postings forward and refuse manual entries', async () => {
+  const chart = await ledger.ensureChart();
+  await assert.rejects(ledger.closePeriod({ through: '2999-01-01' }), /has ended/);
+  const { period } = await ledger.closePeriod({ through: '2026-05-31', notes: 'May' }, 'dana');
+  assert.strictEqual(await ledger.lockDate(), '2026-05-31');
+  await assert.rejects(ledger.closePeriod({ through: '2026-05-15' }), /already closed through 2026-05-31/);
+
+  // A payment recorded late for May is booked on June 1 and says so
+  const late = await models.ClientPayment.create({ clientId: 'c-2', clientName: 'Basin Works', paymentDate: '2026-05-20', amount: 300, method: 'ach' });
+  assert.strictEqual(await ledger.syncSource('client_payment', late.id), 'posted');
+  const [entry] = live('client_payment', late.id);
+  assert.strictEqual(entry.date, '2026-06-01');
+  assert.match(entry.memo, /\(dated 2026-05-20; books closed\)$/);
+
+  const opening = { date: '2026-05-01', memo: 'Opening balance', lines: [{ accountId: chart.cash.id, debit: 2500 }, { accountId: chart.opening_equity.id, credit: 2500 }] };
+  await assert.rejects(ledger.createManualEntry(opening, 'dana'), (err) => err.status === 409 && /closed through 2026-05-31/.test(err.message));
+  await assert.rejects(ledger.reverseManualEntry(entry.id), /follows its client payment/);
+
+  const reopened = await ledger.reopenPeriod('dana');
+  assert.deepStrictEqual([reopened.period.id, reopened.lockDate], [period.id, null]);
+  const manual = await ledger.createManualEntry(opening, 'dana');
+  assert.strictEqual(manual.sourceType, 'manual');
+  const reversal = await ledger.reverseManualEntry(manual.id, { date: '2026-05-02', by: 'dana' });
+  assert.strictEqual(reversal.reversesEntryId, manual.id);
+  await assert.rejects(ledger.reverseManualEntry(manual.id), /already reversed/);
+  await assert.rejects(ledger.reopenPeriod(), /aren't closed/);
+});
+
+(async () => {
+  let passed = 0, failed = 0;
+  for (const { name, fn } of tests) {
+    try { await fn(); console.log('  PASS  ' + name); passed++; }
+    catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+  }
+  console.log('\n' + passed + ' passed, ' + failed + ' failed');
+  process.exit(failed ? 1 : 0);
+})();
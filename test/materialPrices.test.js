@@ -0,0 +1,124 @@
+/**
+ * Material price index — keys, supplier line parsing, stale checks and re-pricing.
+ *
+ * The rules under test: supplier text and estimate parts land on the same grade|shape|size key;
+ * a part's cost is stale after staleDays and moved when the index has shifted by movePercent since
+ * it was entered; the proposal scales the estimator's own cost by the index change, falling back
+ * on unit price × weight only when the index has nothing from back then; and a re-price moves
+ * partTotal by the change in billed material, rounded per the part's _materialRounding.
+ *
+ * Run: node backend/test/materialPrices.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database.
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return {};
+  return originalLoad.apply(this, arguments);
+};
+
+const { normalizeGrade, partKey, parseMaterialDescription, normalizeEntry, currentPrices, reviewPart, repriceFields, linesToEntries } = require('../src/services/materialPrices');
+const { weightLbs } = require('../src/services/pricingSuggest');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const near = (actual, expected, tol = 0.01) => assert.ok(Math.abs(actual - expected) <= tol, `expected ${expected}, got ${actual}`);
+
+const NOW = new Date('2026-06-30T12:00:00Z');
+const daysAgo = (d) => new Date(NOW.getTime() - d * 86400000);
+const row = (id, quotedAt, unitPrice, over) => ({ id, key: 'A36|plate|0.2500', unit: 'cwt', unitPrice, quotedAt, vendorName: 'Metals Co', source: 'supplier_quote', ...over });
+const plate = (over) => ({ id: 'p1', partNumber: 1, partType: 'plate_roll', material: 'A36', thickness: '1/4', width: 48, length: 120, quantity: 4, materialTotal: '100.00', materialMarkupPercent: 20, partTotal: '880.00', formData: {}, ...over });
+
+test('supplier lines and estimate parts share one key', () => {
+  assert.strictEqual(parseMaterialDescription('PL 1/4 X 96 X 240 A36').key, 'A36|plate|0.2500');
+  assert.strictEqual(partKey(plate()), 'A36|plate|0.2500');
+  assert.strictEqual(parseMaterialDescription('304 S/S SHEET 10GA X 48 X 120').key, '304|plate|0.1345');
+  assert.strictEqual(parseMaterialDescription("ANGLE 2 X 2 X 1/4 A36 20'").key, 'A36|angle|2x2x1/4');
+  assert.strictEqual(partKey({ partType: 'angle_roll', material: 'A36', formData: { _angleSize: '2" x 2" x 1/4"' } }), 'A36|angle|2x2x1/4');
+  assert.strictEqual(parseMaterialDescription('PIPE 4" SCH 40 A53 GR B').key, 'A53|pipe|4sch40');
+  assert.strictEqual(partKey({ partType: 'pipe_roll', material: 'A53', sectionSize: '4" Pipe', formData: { _schedule: '40' } }), 'A53|pipe|4sch40');
+  assert.strictEqual(parseMaterialDescription('W8X31 BEAM A992').key, 'A992|beam|w8x31');
+  assert.strictEqual(normalizeGrade('A572 Gr 50'), 'A572-50');
+  assert.strictEqual(parseMaterialDescription('FUEL SURCHARGE'), null);
+});
+
+test('entries are validated and unreadable lines are skipped, not guessed', () => {
+  const e = normalizeEntry({ description: 'PL 3/8 X 96 X 240 A36', unit: 'cwt', unitPrice: '58.50', quotedAt: '2026-06-01' });
+  assert.strictEqual(e.key, 'A36|plate|0.3750');
+  assert.strictEqual(e.unitPrice, 58.5);
+  assert.strictEqual(e.source, 'manual');
+  assert.throws(() => normalizeEntry({ grade: 'A36', shape: 'plate', unitPrice: 1 }), e => e.status === 400 && /thickness/.test(e.message));
+  assert.throws(() => normalizeEntry({ grade: 'A36', shape: 'plate', thickness: '1/4', unit: 'ton', unitPrice: 1 }), /unit must be/);
+  assert.throws(() => normalizeEntry({ grade: 'A36', shape: 'plate', thickness: '1/4', unitPrice: 0 }), /above zero/);
+  const { entries, skipped } = linesToEntries([
+    { description: 'PL 1/4 X 96 X 240 A36', unit: 'cwt', unitPrice: 52 },
+    { description: 'Cutting charge', unit: 'each', unitPrice: 45 },
+  ], { source: 'bill', vendorName: 'Metals Co', quotedAt: '2026-06-01' });
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].source, 'bill');
+  assert.strictEqual(skipped[0].description, 'Cutting charge');
+});
+
+test('the newest row is current and carries the change from the one before', () => {
+  const [cur] = currentPrices([row('a', '2026-04-01', 50), row('b', '2026-06-01', 55), row('c', '2026-05-01', 52)]);
+  assert.strictEqual(cur.id, 'b');
+  assert.strictEqual(cur.previousUnitPrice, 52);
+  assert.strictEqual(cur.changePct, 5.8);
+  assert.strictEqual(cur.entries, 3);
+});
+
+test('stale by age, moved by the index change since the cost was entered', () => {
+  const history = [row('a', '2026-05-01', 50), row('b', '2026-06-25', 56)];
+  const moved = reviewPart(plate({ materialCostAt: daysAgo(40) }), history, { now: NOW, staleDays: 30, movePercent: 5 });
+  assert.deepStrictEqual(moved.reasons, ['stale', 'moved']);
+  assert.strictEqual(moved.method, 'index_change');
+  assert.strictEqual(moved.proposedCost, 112);
+  assert.strictEqual(moved.movePct, 12);
+  assert.ok(moved.flagged);
+
+  const fresh = reviewPart(plate({ materialCostAt: daysAgo(2) }), history, { now: NOW, staleDays: 30, movePercent: 5 });
+  assert.strictEqual(fresh.proposedCost, 100);
+  assert.deepStrictEqual(fresh.reasons, []);
+  assert.strictEqual(fresh.flagged, false);
+
+  const unknown = reviewPart(plate({ materialCostAt: daysAgo(45) }), [], { now: NOW });
+  assert.deepStrictEqual(unknown.reasons, ['stale', 'no_index_price']);
+  assert.strictEqual(reviewPart(plate({ materialTotal: 0, materialUnitCost: 0 }), history, { now: NOW }), null);
+});
+
+test('with nothing from back then the cost is rebuilt from unit price × weight', () => {
+  const r = reviewPart(plate({ materialCostAt: daysAgo(3) }), [row('b', '2026-06-29', 56)], { now: NOW, movePercent: 5 });
+  const lbs = weightLbs(plate());
+  assert.strictEqual(r.method, 'unit_price');
+  near(r.proposedCost, 56 * lbs / 100);
+  assert.ok(/cwt × \$56\/cwt/.test(r.basis));
+});
+
+test('re-pricing moves partTotal by the billed material and keeps the rounding', () => {
+  const r = repriceFields(plate(), 112, NOW);
+  assert.strictEqual(r.updates.materialTotal, 112);
+  assert.strictEqual(r.updates.partTotal, '937.60'); // 880 + (134.40 - 120) × 4
+  assert.strictEqual(r.updates.materialCostAt, NOW);
+
+  const five = repriceFields(plate({ formData: { _materialRounding: 'five' } }), 112, NOW);
+  assert.strictEqual(five.updates.partTotal, '940.00'); // 880 + (135 - 120) × 4
+
+  const panel = repriceFields(plate({ materialTotal: 0, materialUnitCost: '100.00', formData: { _materialRounding: 'dollar' } }), 101.3, NOW);
+  assert.strictEqual(panel.updates.materialUnitCost, 101.3);
+  assert.strictEqual(panel.updates.partTotal, '888.00'); // 880 + (122 - 120) × 4
+
+  const legacy = repriceFields({ id: 'x', partType: 'other', weSupplyMaterial: true, materialUnitCost: '10.00', materialMarkupPercent: 10, quantity: 3, partTotal: '133.00' }, 12, NOW);
+  assert.strictEqual(legacy.updates.materialTotal, '39.60');
+  assert.strictEqual(legacy.updates.partTotal, '139.60');
+  assert.throws(() => repriceFields(plate({ materialTotal: 0 }), 50), e => e.status === 400);
+});
+
+let passed = 0, failed = 0;
+for (const { name, fn } of tests) {
+  try { fn(); console.log('  PASS  ' + name); passed++; }
+  catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+}
+console.log('\n' + passed + ' passed, ' + failed + ' failed');
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,110 @@
+/**
+ * Material stock matching and heat-number flow.
+ *
+ * The rules under test: stock only matches on the same grade and thickness and when the piece is at
+ * least the part's blank (either way round), remnants are offered first, and allocating stock keeps
+ * the part's heat fields consistent — single heat when one heat covers the part, heatBreakdown rows
+ * when it doesn't — and releasing undoes exactly that.
+ *
+ * Run: node backend/test/materialStock.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database.
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return {};
+  return originalLoad.apply(this, arguments);
+};
+
+const { normalizeGrade, matchStock, mergeHeat, releaseHeat, stockFields, validateFields } = require('../src/services/materialStock');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const SHEET = { id: 's1', qrCode: 'STOCK-1', grade: 'A36', thickness: '0.3750', width: '96.000', length: '240.000', quantity: 3, status: 'available', isRemnant: false };
+const REMNANT = { id: 's2', qrCode: 'STOCK-2', grade: 'a-36', thickness: '0.3750', width: '40.000', length: '200.000', quantity: 1, status: 'available', isRemnant: true, heatNumber: 'H77', heatCountry: 'US' };
+const SMALL = { id: 's3', qrCode: 'STOCK-3', grade: 'A36', thickness: '0.3750', width: '20.000', length: '30.000', quantity: 1, status: 'available', isRemnant: true };
+const SS = { id: 's4', qrCode: 'STOCK-4', grade: '304 S/S', thickness: '0.2500', width: '48', length: '120', quantity: 2, status: 'available' };
+const ALLOCATED = { ...SHEET, id: 's5', status: 'allocated' };
+
+test('grade spellings compare equal', () => {
+  assert.strictEqual(normalizeGrade('304 S/S'), normalizeGrade('304ss'));
+  assert.strictEqual(normalizeGrade('A-36'), normalizeGrade('a36'));
+  assert.notStrictEqual(normalizeGrade('A572'), normalizeGrade('A36'));
+});
+
+test('a part matches big-enough stock of its grade and thickness, remnants first', () => {
+  const part = { material: 'A36', thickness: '3/8', width: '36', length: '180', quantity: 2 };
+  const m = matchStock(part, [SHEET, REMNANT, SMALL, SS, ALLOCATED]);
+  assert.deepStrictEqual(m.map(s => s.stockId), ['s2', 's1']);
+  assert.strictEqual(m[0].coversQuantity, false);
+  assert.strictEqual(m[1].coversQuantity, true);
+});
+
+test('a rolled part is matched on its developed blank length', () => {
+  // 60" dia → ~188.5" blank; the 200" remnant is long enough, a 150" piece is not
+  const part = { material: 'A36', thickness: '.375', width: '30', diameter: '60' };
+  const short = { ...REMNANT, id: 's6', length: '150' };
+  assert.deepStrictEqual(matchStock(part, [REMNANT, short]).map(s => s.stockId), ['s2']);
+});
+
+test('a piece turned sideways still fits', () => {
+  const part = { material: 'A36', thickness: '0.375', width: '180', length: '36' };
+  assert.strictEqual(matchStock(part, [REMNANT]).length, 1);
+});
+
+test('sections match by size rather than plate dimensions', () => {
+  const angle = { id: 'a1', grade: 'A36', sectionSize: '2 x 2 x 1/4', quantity: 4, status: 'available' };
+  assert.strictEqual(matchStock({ material: 'A36', sectionSize: '2" x 2" x 1/4"' }, [angle]).length, 1);
+  assert.strictEqual(matchStock({ material: 'A36', sectionSize: '3 x 3 x 1/4' }, [angle]).length, 0);
+});
+
+test('first allocation sets the single heat', () => {
+  const u = mergeHeat({ quantity: 2 }, { heat: 'H1', country: 'US', qty: 2 });
+  assert.deepStrictEqual(u, { heatNumber: 'H1', heatCountry: 'US', heatBreakdown: null });
+});
+
+test('a partial allocation is recorded as a breakdown row', () => {
+  const u = mergeHeat({ quantity: 5 }, { heat: 'H1', country: 'US', qty: 3 });
+  assert.deepStrictEqual(u.heatBreakdown, [{ heat: 'H1', qty: 3, country: 'US' }]);
+  assert.strictEqual(u.heatNumber, 'H1');
+});
+
+test('a second heat splits the part into a breakdown', () => {
+  const part = { quantity: 5, heatNumber: 'H1', heatCountry: 'US', heatBreakdown: [{ heat: 'H1', qty: 3, country: 'US' }] };
+  const u = mergeHeat(part, { heat: 'H2', country: 'KR', qty: 2 });
+  assert.deepStrictEqual(u.heatBreakdown, [{ heat: 'H1', qty: 3, country: 'US' }, { heat: 'H2', qty: 2, country: 'KR' }]);
+  assert.strictEqual(u.heatNumber, null);
+});
+
+test('a hand-entered heat keeps the pieces not coming from stock', () => {
+  const u = mergeHeat({ quantity: 4, heatNumber: 'OLD', heatCountry: 'MX' }, { heat: 'H2', country: 'US', qty: 1 });
+  assert.deepStrictEqual(u.heatBreakdown, [{ heat: 'OLD', qty: 3, country: 'MX' }, { heat: 'H2', qty: 1, country: 'US' }]);
+});
+
+test('releasing one heat collapses back to the other', () => {
+  const part = { quantity: 5, heatBreakdown: [{ heat: 'H1', qty: 5, country: 'US' }, { heat: 'H2', qty: 2, country: 'KR' }] };
+  assert.deepStrictEqual(releaseHeat(part, { heat: 'H2', qty: 2 }), { heatNumber: 'H1', heatCountry: 'US', heatBreakdown: null });
+  assert.deepStrictEqual(releaseHeat({ quantity: 1, heatNumber: 'H1' }, { heat: 'H1', qty: 1 }), { heatNumber: null, heatCountry: null, heatBreakdown: null });
+  assert.deepStrictEqual(releaseHeat({ quantity: 1, heatNumber: 'OTHER' }, { heat: 'H1', qty: 1 }), {});
+});
+
+test('received fields accept fractions and reject bad counts', () => {
+  const f = stockFields({ grade: ' A36 ', thickness: '3/8"', width: '96', heatCountry: 'us', quantity: '2' });
+  assert.strictEqual(f.grade, 'A36');
+  assert.strictEqual(f.thickness, 0.375);
+  assert.strictEqual(f.heatCountry, 'US');
+  assert.strictEqual(validateFields(f), null);
+  assert.ok(validateFields(stockFields({ grade: 'A36', quantity: '0' })));
+  assert.ok(validateFields(stockFields({ grade: 'A36', form: 'coil' })));
+});
+
+let passed = 0, failed = 0;
+for (const { name, fn } of tests) {
+  try { fn(); console.log('  PASS  ' + name); passed++; }
+  catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+}
+console.log('\n' + passed + ' passed, ' + failed + ' failed');
+process.exit(failed ? 1 : 0);
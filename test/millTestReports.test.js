@@ -0,0 +1,120 @@
+/**
+ * Mill test report parsing and heat-to-part origin fill.
+ *
+ * The rules under test: heat numbers match regardless of spacing, dashes and case; cert country text
+ * becomes an ISO-2 code, and text naming no known country becomes OTHER rather than a guess; strengths
+ * land in ksi whatever unit the mill printed; and a verified MTR fills only a MISSING melt country —
+ * a recorded country that disagrees is reported as a conflict, never overwritten.
+ *
+ * Run: node backend/test/millTestReports.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database.
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return {};
+  return originalLoad.apply(this, arguments);
+};
+
+const {
+  normalizeHeat, countryCode, toKsi, cleanHeatRows, validateHeatRows,
+  buildHeatIndex, fillMeltCountry, mtrConflictIssues, mtrLinesForPart,
+} = require('../src/services/millTestReports');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const REPORT = { id: 'r1', millName: 'Nucor Hertford', certNumber: '88123', url: 'https://x/mtr.pdf', mimeType: 'application/pdf' };
+const INDEX = buildHeatIndex([
+  { heatNumber: 'A1-2345', heatKey: 'A12345', grade: 'A36', meltCountry: 'US', report: REPORT },
+  { heatNumber: 'K777', heatKey: 'K777', grade: 'A572-50', meltCountry: 'KR', report: { ...REPORT, id: 'r2', certNumber: '555' } },
+]);
+
+test('heat numbers match across spacing, dashes and case', () => {
+  assert.strictEqual(normalizeHeat('a1 2345'), 'A12345');
+  assert.strictEqual(normalizeHeat('A1-2345'), normalizeHeat('A12345'));
+  assert.strictEqual(normalizeHeat(null), '');
+});
+
+test('cert country text becomes an ISO-2 code', () => {
+  assert.strictEqual(countryCode('U.S.A.'), 'US');
+  assert.strictEqual(countryCode('Melted and manufactured in the United States'), 'US');
+  assert.strictEqual(countryCode('Republic of Korea'), 'KR');
+  assert.strictEqual(countryCode("People's Republic of China"), 'CN');
+  assert.strictEqual(countryCode('mx'), 'MX');
+  assert.strictEqual(countryCode(''), null);
+});
+
+test('unrecognized country text is OTHER, not a guess', () => {
+  assert.strictEqual(countryCode('Atlantis'), 'OTHER');
+  assert.ok(validateHeatRows([{ heatNumber: 'H1', meltCountry: 'Atlantis' }]));
+  assert.strictEqual(validateHeatRows([{ heatNumber: 'H1', meltCountry: 'Canada' }]), null);
+});
+
+test('strengths convert to ksi from psi, MPa or no unit', () => {
+  assert.strictEqual(toKsi(36000, 'psi'), 36);
+  assert.strictEqual(toKsi(250, 'MPa'), 36.3);
+  assert.strictEqual(toKsi(58, 'ksi'), 58);
+  assert.strictEqual(toKsi(50800), 50.8);
+  assert.strictEqual(toKsi(400), 58);
+  assert.strictEqual(toKsi('n/a'), null);
+});
+
+test('extracted heats are cleaned and a repeated heat is kept once', () => {
+  const rows = cleanHeatRows([
+    { heatNumber: ' A1-2345 ', grade: 'A36', meltCountry: 'USA', chemistry: { C: '0.18', Mn: 0.82, Cu: 'n/a' }, mechanicals: { yield: 52000, tensile: 71000, unit: 'psi', elongationPct: '24' } },
+    { heatNumber: 'a12345', grade: 'A36' },
+    { heatNumber: '', grade: 'A36' },
+  ]);
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].heatNumber, 'A1-2345');
+  assert.strictEqual(rows[0].heatKey, 'A12345');
+  assert.strictEqual(rows[0].meltCountry, 'US');
+  assert.deepStrictEqual(rows[0].chemistry, { C: 0.18, Mn: 0.82 });
+  assert.deepStrictEqual(rows[0].mechanicals, { yieldKsi: 52, tensileKsi: 71, elongationPct: 24 });
+});
+
+test('review input rejects a missing or duplicated heat', () => {
+  assert.ok(validateHeatRows([{ heatNumber: '' }]));
+  assert.ok(validateHeatRows([{ heatNumber: 'H1' }, { heatNumber: 'h-1' }]));
+  assert.ok(validateHeatRows('H1'));
+});
+
+test('a verified MTR fills a missing country on a single-heat part', () => {
+  const { updates, conflicts } = fillMeltCountry({ partNumber: 1, heatNumber: 'a1 2345', heatCountry: null }, INDEX);
+  assert.deepStrictEqual(updates, { heatCountry: 'US' });
+  assert.strictEqual(conflicts.length, 0);
+});
+
+test('split parts fill per heat and keep what was recorded', () => {
+  const part = { partNumber: 2, heatBreakdown: [{ heat: 'A12345', qty: 2, country: '' }, { heat: 'K777', qty: 1, country: 'KR' }, { heat: 'H9', qty: 1, country: '' }] };
+  const { updates, conflicts } = fillMeltCountry(part, INDEX);
+  assert.deepStrictEqual(updates.heatBreakdown.map(r => r.country), ['US', 'KR', '']);
+  assert.strictEqual(updates.heatCountry, undefined);
+  assert.strictEqual(conflicts.length, 0);
+});
+
+test('a recorded country that disagrees with the MTR is a conflict, not overwritten', () => {
+  const { updates, conflicts } = fillMeltCountry({ partNumber: 3, heatNumber: 'K777', heatCountry: 'US' }, INDEX);
+  assert.deepStrictEqual(updates, {});
+  assert.deepStrictEqual(conflicts, [{ partNumber: 3, heat: 'K777', recorded: 'US', mtr: 'KR' }]);
+  const issues = mtrConflictIssues(conflicts);
+  assert.strictEqual(issues[0].type, 'mtr_origin_conflict');
+  assert.ok(issues[0].detail.includes('South Korea'));
+});
+
+test('the CoC quotes mill, cert, grade and melt country per heat', () => {
+  const lines = mtrLinesForPart({ heatBreakdown: [{ heat: 'A1-2345', qty: 1 }, { heat: 'NOPE', qty: 1 }] }, INDEX);
+  assert.deepStrictEqual(lines, ['MTR Heat A1-2345: Nucor Hertford cert 88123 — A36, melted in United States']);
+  assert.deepStrictEqual(mtrLinesForPart({ heatNumber: null }, INDEX), []);
+});
+
+let passed = 0, failed = 0;
+for (const { name, fn } of tests) {
+  try { fn(); console.log('  PASS  ' + name); passed++; }
+  catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+}
+console.log('\n' + passed + ' passed, ' + failed + ' failed');
+process.exit(failed ? 1 : 0);
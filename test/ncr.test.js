@@ -0,0 +1,110 @@
+/**
+ * NCR workflow rules.
+ *
+ * The rules under test: a unit that failed inspection describes itself on a new NCR; use-as-is always
+ * waits on the customer; a rejected approval sends the NCR back for a new disposition; an NCR closes
+ * only with a root cause, corrective action and verification; and the rollup groups by cause.
+ *
+ * Run: node backend/test/ncr.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database.
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return {};
+  return originalLoad.apply(this, arguments);
+};
+
+const { ncrLabel, ncrFields, validateFields, describeInspectionUnit, applyDisposition, applyApproval, closeProblem, rollup } = require('../src/services/ncr');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test('NCR numbers print zero-padded', () => {
+  assert.strictEqual(ncrLabel(7), 'NCR-0007');
+  assert.strictEqual(ncrLabel(12345), 'NCR-12345');
+});
+
+test('fields are trimmed and validated', () => {
+  const f = ncrFields({ title: '  Dent on shell ', quantityAffected: '3', costImpact: '', rootCauseCategory: 'operator', ignored: 'x' });
+  assert.deepStrictEqual(f, { title: 'Dent on shell', rootCauseCategory: 'operator', quantityAffected: 3, costImpact: null });
+  assert.strictEqual(validateFields(f), null);
+  assert.match(validateFields(ncrFields({ rootCauseCategory: 'gremlins' })), /rootCauseCategory/);
+  assert.match(validateFields(ncrFields({ quantityAffected: '1.5' })), /whole number/);
+  assert.match(validateFields(ncrFields({ title: '  ' })), /title/);
+});
+
+test('a unit out of square and out of round describes both', () => {
+  const d = describeInspectionUnit({
+    unitId: '58001-1A',
+    preRoll: { outOfSquare: true, outOfSquareAmount: 0.25 },
+    postRoll: { outOfTolerance: true, diamVariance: 0.75, diamRatio: 1.25, nominalDiameter: 60 },
+  });
+  assert.strictEqual(d.title, 'Unit 58001-1A: out of square, out of round');
+  assert.ok(d.finding.includes('0.25"'));
+  assert.ok(d.finding.includes('1.25% of the 60" nominal'));
+  assert.deepStrictEqual(describeInspectionUnit({ unitId: 'X' }), { title: 'Unit X: nonconformance', finding: null });
+});
+
+test('use as is always waits on the customer', () => {
+  const u = applyDisposition({ status: 'open' }, { disposition: 'use_as_is', notes: ' ok by eng ' }, 'amy');
+  assert.strictEqual(u.status, 'dispositioned');
+  assert.strictEqual(u.customerApprovalRequired, true);
+  assert.strictEqual(u.customerApprovalStatus, 'pending');
+  assert.strictEqual(u.dispositionNotes, 'ok by eng');
+  const scrap = applyDisposition({ status: 'open' }, { disposition: 'scrap' }, 'amy');
+  assert.strictEqual(scrap.customerApprovalRequired, false);
+  assert.strictEqual(scrap.customerApprovalStatus, null);
+  assert.throws(() => applyDisposition({ status: 'open' }, { disposition: 'ship_it' }), /disposition must be/);
+  assert.throws(() => applyDisposition({ status: 'closed' }, { disposition: 'scrap' }), /closed/);
+});
+
+test('a rejected approval reopens the NCR; approval needs a disposition and a name', () => {
+  const ncr = { status: 'dispositioned', disposition: 'use_as_is', customerApprovalRequired: true };
+  assert.strictEqual(applyApproval(ncr, { approved: true, approvedBy: 'J. Smith' }, 'amy').status, undefined);
+  const rejected = applyApproval(ncr, { approved: false, approvedBy: 'J. Smith', notes: 'rework it' }, 'amy');
+  assert.strictEqual(rejected.status, 'open');
+  assert.strictEqual(rejected.customerApprovalStatus, 'rejected');
+  assert.throws(() => applyApproval(ncr, { approved: true, approvedBy: ' ' }), /Who at the customer/);
+  assert.throws(() => applyApproval({ status: 'open' }, { approved: true, approvedBy: 'J' }), /disposition/);
+});
+
+test('closing needs approval, root cause, corrective action and verification', () => {
+  const base = { status: 'dispositioned', disposition: 'use_as_is', customerApprovalRequired: true, customerApprovalStatus: 'pending' };
+  assert.match(closeProblem({ status: 'open' }), /disposition/);
+  assert.match(closeProblem(base), /customer approval/);
+  const approved = { ...base, customerApprovalStatus: 'approved' };
+  assert.match(closeProblem(approved), /root cause/);
+  assert.match(closeProblem({ ...approved, rootCauseCategory: 'machine', rootCause: 'Worn top roll' }), /corrective action/);
+  const done = { ...approved, rootCauseCategory: 'machine', rootCause: 'Worn top roll', correctiveAction: 'Regrind roll' };
+  assert.match(closeProblem(done), /verified/);
+  assert.strictEqual(closeProblem({ ...done, verification: 'Next 5 shells in tolerance' }), null);
+});
+
+test('the rollup groups by cause with open counts, pieces, cost and days to close', () => {
+  const r = rollup([
+    { status: 'closed', rootCauseCategory: 'vendor', vendorName: 'Coast Steel', disposition: 'return_to_vendor', source: 'receiving', quantityAffected: 4, costImpact: '120.50', createdAt: '2026-03-01T00:00:00Z', closedAt: '2026-03-05T00:00:00Z' },
+    { status: 'open', rootCauseCategory: 'vendor', vendorName: 'Coast Steel', source: 'receiving', quantityAffected: 1, costImpact: null, createdAt: '2026-03-02T00:00:00Z' },
+    { status: 'closed', rootCauseCategory: 'operator', disposition: 'rework', source: 'inspection', quantityAffected: 2, costImpact: '80', createdAt: '2026-03-01T00:00:00Z', closedAt: '2026-03-03T00:00:00Z' },
+  ]);
+  assert.strictEqual(r.total, 3);
+  assert.strictEqual(r.open, 1);
+  assert.strictEqual(r.cost, 200.5);
+  assert.strictEqual(r.avgDaysToClose, 3);
+  assert.deepStrictEqual(r.byCause.map(g => [g.key, g.label, g.count, g.open, g.quantity, g.cost]), [
+    ['vendor', 'Vendor', 2, 1, 5, 120.5],
+    ['operator', 'Operator', 1, 0, 2, 80],
+  ]);
+  assert.deepStrictEqual(r.byVendor.map(g => [g.key, g.count]), [['Coast Steel', 2]]);
+  assert.ok(r.byDisposition.some(g => g.key === 'unassigned' && g.count === 1));
+});
+
+let passed = 0, failed = 0;
+for (const { name, fn } of tests) {
+  try { fn(); console.log('  PASS  ' + name); passed++; }
+  catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+}
+console.log('\n' + passed + ' passed, ' + failed + ' failed');
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,282 @@
+/**
+ * Payables — terms and discounts, the three-way match, approvals, and a payment run end to end.
+ *
+ * The rules under test: terms read "2% 10 Net 30" and its variants, and a discount is good through
+ * the bill date plus its days; bill lines pair with PO lines by description and are flagged for price
+ * outside tolerance, piece counts off the PO, lines not on the PO and goods not received; a clean
+ * match under the threshold approves itself, exceptions need a note and large bills an admin; a run
+ * pays what's due or about to lose its discount, one check per vendor, numbers the checks, marks the
+ * bills paid net and posts them; only approved bills are paid, and ones never approved wait for the
+ * re-match; voiding a check reopens its bills and drops the recurring bill it started; positive pay
+ * lists every check.
+ *
+ * Run: node backend/test/payables.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+const { Op } = require('sequelize');
+
+// In-memory tables standing in for ../models — equality, null, Op.in, Op.gte/lte and Op.or only
+let seq = 0;
+const matches = (row, where = {}) => {
+  if (where[Op.or] && !where[Op.or].some(w => matches(row, w))) return false;
+  return Object.entries(where).every(([k, v]) => {
+    const value = row[k];
+    if (v && typeof v === 'object' && !Array.isArray(v)) {
+      if (Op.in in v) return v[Op.in].includes(value);
+      if (Op.contains in v) return v[Op.contains].every(want => (value || []).some(have => Object.entries(want).every(([wk, wv]) => have[wk] === wv)));
+      return (!(Op.gte in v) || value >= v[Op.gte]) && (!(Op.lte in v) || value <= v[Op.lte]);
+    }
+    return v === null ? value === null || value === undefined : value === v;
+  });
+};
+function table(defaults = {}) {
+  const rows = [];
+  const wrap = (r) => Object.defineProperties(r, {
+    update: { value: async (u) => Object.assign(r, u), enumerable: false },
+    reload: { value: async () => r, enumerable: false },
+    destroy: { value: async () => rows.splice(rows.indexOf(r), 1), enumerable: false },
+  });
+  return {
+    rows,
+    create: async (values) => { const r = wrap({ id: `id-${++seq}`, ...defaults, ...values }); rows.push(r); return r; },
+    findAll: async ({ where } = {}) => rows.filter(r => matches(r, where)),
+    findOne: async ({ where } = {}) => rows.find(r => matches(r, where)) || null,
+    findByPk: async (id) => rows.find(r => r.id === id) || null,
+    update: async (values, { where }) => { const hit = rows.filter(r => matches(r, where)); hit.forEach(r => Object.assign(r, values)); return [hit.length]; },
+  };
+}
+const settings = {};
+const models = {
+  AppSettings: {
+    findOne: async ({ where }) => (settings[where.key] ? { value: settings[where.key], update: async ({ value }) => { settings[where.key] = value; } } : null),
+    findOrCreate: async ({ where, defaults }) => { settings[where.key] = settings[where.key] || defaults.value; },
+    upsert: async ({ key, value }) => { settings[key] = value; },
+  },
+  Liability: table({ status: 'unpaid', category: 'materials', approvalStatus: null, paymentRunId: null, lineItems: null }),
+  Vendor: table(),
+  PONumber: table({ voidedAt: null, status: 'active' }),
+  WorkOrderPart: table({ materialReceived: false, outsideProcessing: [] }),
+  InboundOrder: table({ status: 'pending' }),
+  ApPaymentRun: table({ status: 'draft' }),
+  sequelize: { transaction: async (fn) => fn({ LOCK: { UPDATE: 'UPDATE' } }) },
+};
+// As routes/workorders.js builds PO lines: one per part here, its description and stock count
+const purchaseOrderLines = (parts) => parts.map(p => ({ id: p.id, partNumber: p.partNumber, _poDesc: `${p.quantity}pc: ${p.materialDescription}`, _poQty: p.quantity, _mergedPartIds: [p.id] }));
+const posted = [];
+const ledger = { post: async (type, id) => { posted.push(`${type}:${id}`); } };
+
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return models;
+  if (request === '../routes/workorders') return { purchaseOrderLines };
+  if (request === './ledger') return ledger;
+  return originalLoad.apply(this, arguments);
+};
+
+const ap = require('../src/services/payables');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test('terms read the common spellings and the discount runs from the bill date', () => {
+  assert.deepStrictEqual(ap.parseTerms('2% 10 Net 30'), { discountPct: 2, discountDays: 10, netDays: 30 });
+  assert.deepStrictEqual(ap.parseTerms('2/10 n/30'), { discountPct: 2, discountDays: 10, netDays: 30 });
+  assert.deepStrictEqual(ap.parseTerms('1.5%10 N45'), { discountPct: 1.5, discountDays: 10, netDays: 45 });
+  assert.deepStrictEqual(ap.parseTerms('Net 30'), { discountPct: 0, discountDays: 0, netDays: 30 });
+  assert.deepStrictEqual(ap.parseTerms('Due on receipt'), { discountPct: 0, discountDays: 0, netDays: 0 });
+  assert.strictEqual(ap.parseTerms('see contract'), null);
+
+  const terms = ap.parseTerms('2% 10 Net 30');
+  const bill = { amount: '1250.00', billDate: '2026-10-01', dueDate: null };
+  assert.strictEqual(ap.dueDateFor(bill, terms), '2026-10-31');
+  assert.deepStrictEqual(ap.discountFor(bill, terms, '2026-10-11'), { pct: 2, lastDay: '2026-10-11', amount: 25, available: true });
+  assert.strictEqual(ap.discountFor(bill, terms, '2026-10-12').available, false);
+  assert.strictEqual(ap.discountFor(bill, ap.parseTerms('Net 30'), '2026-10-05'), null);
+  assert.deepStrictEqual(['PO# 4012', 'po-4012', '4012', 'OP1007'].map(ap.parsePoRef), ['PO4012', 'PO4012', 'PO4012', 'OP1007']);
+});
+
+test('bill lines pair with PO lines and variances outside tolerance are flagged', () => {
+  const po = {
+    poNumber: 'PO4012', found: true, voided: false, vendorId: 'v-1', expectedTotal: 1700,
+    lines: [
+      { key: 'L1', description: '3/8 x 48 x 96 A36 Plate', quantity: 4, expectedCost: 800, received: true },
+      { key: 'L2', description: '4 Sch 40 Pipe A53 x 20\'', quantity: 2, expectedCost: 600, received: false },
+      { key: 'L3', description: '2 x 2 x 1/4 Angle A36', quantity: 6, expectedCost: 300, received: true },
+    ],
+  };
+  const bill = {
+    amount: 1500, vendorId: 'v-1', category: 'materials',
+    lineItems: [
+      { description: 'PL 3/8 x 48 x 96 A36', quantity: 4, unit: 'each', unitPrice: 203 },  // 812 — within $16 (2%)
+      { description: '4" SCH 40 A53 PIPE 20\'', quantity: 3, unit: 'each', unitPrice: 230 }, // 690 vs 600, 3 vs 2, not received
+      { description: 'Fuel surcharge', amount: 35 },
+    ],
+  };
+  const m = ap.threeWayMatch(bill, po, ap.DEFAULT_SETTINGS);
+  assert.strictEqual(m.status, 'exception');
+  assert.deepStrictEqual(m.lines.map(l => [l.poLine, l.priceVariance]), [['L1', 12], ['L2', 90], [null, null]]);
+  assert.deepStrictEqual(m.exceptions.map(e => e.type), ['price', 'quantity', 'not_received', 'not_on_po']);
+  assert.match(m.exceptions[0].message, /billed \$690\.00, PO \$600\.00 \(\+\$90\.00\)/);
+  assert.deepStrictEqual(m.unbilled.map(l => l.poLine), ['L3']);
+  assert.strictEqual(m.billedTotal, 1537);
+
+  // Steel billed by the cwt isn't counted against the PO's pieces
+  const byWeight = ap.threeWayMatch({ ...bill, lineItems: [{ description: 'A36 plate 3/8 x 48 x 96', quantity: 7.84, unit: 'cwt', unitPrice: 102 }] }, po, ap.DEFAULT_SETTINGS);
+  assert.deepStrictEqual([byWeight.status, byWeight.lines[0].quantityVariance], ['matched', null]);
+
+  // No line items: the total against the PO, and every line received
+  const header = ap.threeWayMatch({ amount: 1790, vendorId: 'v-1', lineItems: null }, po, ap.DEFAULT_SETTINGS);
+  assert.deepStrictEqual(header.exceptions.map(e => e.type), ['not_received', 'total']);
+
+  const noPo = ap.threeWayMatch({ amount: 90, category: 'materials' }, null, ap.DEFAULT_SETTINGS);
+  const utility = ap.threeWayMatch({ amount: 90, category: 'utilities' }, null, ap.DEFAULT_SETTINGS);
+  assert.deepStrictEqual([noPo.status, noPo.exceptions[0].type, utility.status, utility.exceptions.length], ['no_po', 'no_po', 'no_po', 0]);
+  const other = ap.threeWayMatch({ amount: 90, vendorId: 'v-9' }, { ...po, lines: po.lines.map(l => ({ ...l, received: true })) }, ap.DEFAULT_SETTINGS);
+  assert.deepStrictEqual(other.exceptions.map(e => e.type), ['vendor']);
+});
+
+test('a bill is matched against its PO parts and receipts, and approval follows the thresholds', async () => {
+  settings.ap_settings = { autoApproveBelow: 1000, adminApprovalOver: 5000 };
+  const vendor = await models.Vendor.create({ name: 'Pacific Steel', paymentTerms: '2% 10 Net 30' });
+  const po = await models.PONumber.create({ poNumber: 4100, vendorId: vendor.id, supplier: 'Pacific Steel' });
+  const p1 = await models.WorkOrderPart.create({ partNumber: 1, quantity: 4, materialDescription: '3/8 x 48 x 96 A36 Plate', materialTotal: '200.00', materialPurchaseOrderNumber: 'PO4100' });
+  await models.WorkOrderPart.create({ partNumber: 2, quantity: 2, materialDescription: '1/2 x 60 x 120 A36 Plate', materialTotal: '100.00', materialPurchaseOrderNumber: 'PO4100', materialReceived: true });
+  await models.InboundOrder.create({ purchaseOrderNumber: 'PO9999', status: 'received' }); // someone else's PO
+
+  const bill = await models.Liability.create({
+    name: 'Invoice 88120', vendor: 'Pacific Steel', vendorId: vendor.id, linkedPOId: po.id, amount: '1000.00', billDate: '2026-10-01',
+    lineItems: [{ description: 'A36 PL 3/8 x 48 x 96', quantity: 4, unit: 'each', unitPrice: 200 }, { description: 'A36 PL 1/2 x 60 x 120', quantity: 2, unit: 'each', unitPrice: 100 }],
+  });
+  let matched = await ap.matchBill(bill.id);
+  assert.deepStrictEqual([matched.matchStatus, matched.matchResult.poNumber, matched.matchResult.exceptions.map(e => e.type)], ['exception', 'PO4100', ['not_received']]);
+  assert.strictEqual(matched.approvalStatus, 'pending');
+
+  // A note is needed to approve past an exception
+  await assert.rejects(ap.approveBill(bill.id, {}, { username: 'dana', role: 'user' }), /add a note/);
+
+  // Material in: the re-match clears it, but $1,000 isn't under the auto-approve limit
+  p1.materialReceived = true;
+  assert.deepStrictEqual(await ap.rematchOpenBills(), { checked: 1, changed: 1 });
+  assert.deepStrictEqual([bill.matchStatus, bill.approvalStatus], ['matched', 'pending']);
+
+  settings.ap_settings.autoApproveBelow = 1500;
+  await ap.matchBill(bill.id);
+  assert.deepStrictEqual([bill.approvalStatus, bill.approvedBy, bill.approvedAmount], ['approved', 'auto', 1000]);
+
+  // Over the admin limit it takes an admin, and a person's approval holds unless the amount goes up
+  const big = await models.Liability.create({ name: 'Invoice 88200', vendor: 'Pacific Steel', vendorId: vendor.id, poNumber: 'PO 4100', amount: '6000.00' });
+  await ap.matchBill(big.id);
+  assert.strictEqual(big.approvalStatus, 'pending');
+  await assert.rejects(ap.approveBill(big.id, { note: 'ok' }, { username: 'dana', role: 'user' }), /need an admin/);
+  await ap.approveBill(big.id, { note: 'Price change agreed by phone' }, { username: 'lee', role: 'admin' });
+  await ap.matchBill(big.id);
+  assert.deepStrictEqual([big.approvalStatus, big.approvedBy], ['approved', 'lee']);
+  big.amount = '6400.00';
+  await ap.matchBill(big.id);
+  assert.deepStrictEqual([big.approvalStatus, big.approvedBy], ['pending', null]);
+  await ap.rejectBill(big.id, { reason: 'Duplicate' }, { username: 'lee' });
+  assert.deepStrictEqual([big.status, big.approvalStatus], ['rejected', 'rejected']);
+
+  const missing = await models.Liability.create({ name: 'Invoice 1', vendor: 'Pacific Steel', poNumber: 'PO 5555', amount: '40.00' });
+  await ap.matchBill(missing.id);
+  assert.deepStrictEqual([missing.matchStatus, missing.matchResult.exceptions[0].type], ['exception', 'po_not_found']);
+});
+
+test('a payment run pays what is due or losing its discount, by check, and voids cleanly', async () => {
+  models.Liability.rows.length = 0;
+  settings.ap_settings = { nextCheckNumber: 5001, bankAccountNumber: '000123456789' };
+  const steel = models.Vendor.rows.find(v => v.name === 'Pacific Steel');
+  const gas = await models.Vendor.create({ name: 'Airgas, Inc.' });
+  const L = models.Liability;
+  const a = await L.create({ name: 'Steel 1', vendor: 'Pacific Steel', vendorId: steel.id, vendorInvoiceNumber: 'S-1', amount: '1000.00', billDate: '2026-10-02', approvalStatus: 'approved' });  // 2% through 10-12
+  const b = await L.create({ name: 'Steel 2', vendor: 'Pacific Steel', vendorId: steel.id, vendorInvoiceNumber: 'S-2', amount: '300.00', billDate: '2026-09-10', dueDate: '2026-10-10', approvalStatus: 'approved' });
+  const c = await L.create({ name: 'Cylinders', category: 'supplies', vendor: 'Airgas, Inc.', vendorId: gas.id, vendorInvoiceNumber: 'G-7', amount: '80.00', dueDate: '2026-10-14', recurring: true, recurringInterval: 'monthly', approvalStatus: 'approved' });
+  const old = await L.create({ name: 'Old', category: 'supplies', vendor: 'Airgas, Inc.', vendorId: gas.id, amount: '60.00', dueDate: '2026-10-01' }); // never approved
+  await L.create({ name: 'Later', vendor: 'Airgas, Inc.', vendorId: gas.id, amount: '50.00', dueDate: '2026-11-20' });
+  await L.create({ name: 'Waiting', vendor: 'Airgas, Inc.', vendorId: gas.id, amount: '70.00', dueDate: '2026-10-09', approvalStatus: 'pending' });
+  await L.create({ name: 'Paid', vendor: 'Airgas, Inc.', amount: '20.00', dueDate: '2026-10-09', status: 'paid' });
+
+  const preview = await ap.previewRun({ payDate: '2026-10-09', throughDate: '2026-10-16' });
+  assert.deepStrictEqual(preview.checks.map(ch => [ch.payee, ch.amount, ch.discount, ch.bills.map(x => x.name)]), [
+    ['Pacific Steel', 1280, 20, ['Steel 1', 'Steel 2']],
+    ['Airgas, Inc.', 80, 0, ['Cylinders']],
+  ]);
+  assert.deepStrictEqual([preview.checks[0].bills[0].reason, preview.checks[0].bills[0].discountLastDay], ['discount', '2026-10-12']);
+  assert.deepStrictEqual([preview.total, preview.discountTotal, preview.billCount], [1360, 20, 3]);
+
+  const run = await ap.createRun({ payDate: '2026-10-09', throughDate: '2026-10-16' }, 'dana');
+  assert.deepStrictEqual([a.paymentRunId, b.paymentRunId, c.paymentRunId], [run.id, run.id, run.id]);
+  assert.strictEqual((await ap.previewRun({ payDate: '2026-10-09', throughDate: '2026-10-16' })).billCount, 0);
+
+  await ap.issueRun(run.id, 'dana');
+  assert.deepStrictEqual(run.checks.map(ch => [ch.checkNumber, ch.status]), [['5001', 'issued'], ['5002', 'issued']]);
+  assert.deepStrictEqual([a.status, a.paidAmount, a.discountTaken, a.checkNumber, b.paidAmount, c.checkNumber], ['paid', 980, 20, '5001', 300, '5002']);
+  assert.strictEqual(settings.ap_settings.nextCheckNumber, 5003);
+  assert.deepStrictEqual(posted.splice(0), [a.id, b.id, c.id].map(id => `bill_payment:${id}`));
+  const nextCylinders = L.rows.find(r => r.name === 'Cylinders' && r.dueDate === '2026-11-14');
+  assert.deepStrictEqual([nextCylinders.status, nextCylinders.approvalStatus, nextCylinders.approvedBy], ['unpaid', 'approved', 'auto']);
+  await assert.rejects(ap.issueRun(run.id, 'dana'), /already been issued/);
+
+  await ap.voidCheck(run.id, '5002', { reason: 'Misprinted' }, 'dana');
+  assert.deepStrictEqual([c.status, c.paidAmount, c.checkNumber, c.paymentRunId], ['unpaid', null, null, null]);
+  assert.deepStrictEqual(posted.splice(0), [`bill_payment:${c.id}`]);
+  assert.strictEqual(L.rows.includes(nextCylinders), false);
+  await assert.rejects(ap.voidCheck(run.id, '5002', {}, 'dana'), /already void/);
+
+  const register = await ap.getCheckRegister({ from: '2026-10-01', to: '2026-10-31' });
+  assert.deepStrictEqual(register.rows.map(r => [r.checkNumber, r.payee, r.amount, r.status, r.memo]), [['5001', 'Pacific Steel', 1280, 'issued', 'S-1, S-2'], ['5002', 'Airgas, Inc.', 80, 'void', 'G-7']]);
+  assert.deepStrictEqual([register.total, register.voided], [1280, 1]);
+
+  const file = await ap.getPositivePay({ runId: run.id });
+  assert.strictEqual(file.filename, 'positive-pay-2026-10-09.csv');
+  assert.strictEqual(file.csv, 'Account Number,Check Number,Issue Date,Amount,Payee,Issue/Void\r\n000123456789,5001,10/09/2026,1280.00,Pacific Steel,I\r\n000123456789,5002,10/09/2026,80.00,"Airgas, Inc.",V\r\n');
+
+  // A draft can be thrown away; its bills go back to waiting
+  const again = await ap.createRun({ payDate: '2026-10-20', billIds: [c.id] }, 'dana');
+  assert.strictEqual(c.paymentRunId, again.id);
+  await ap.discardRun(again.id);
+  assert.deepStrictEqual([c.paymentRunId, models.ApPaymentRun.rows.length], [null, 1]);
+  await assert.rejects(ap.discardRun(run.id), /Only a draft run can be discarded/);
+
+  // The bill with no approval was never paid; the re-match matches it and, under the limit, approves it
+  assert.deepStrictEqual([old.status, old.paymentRunId], ['unpaid', null]);
+  await ap.rematchOpenBills();
+  assert.deepStrictEqual([old.matchStatus, old.approvalStatus], ['no_po', 'approved']);
+});
+
+test('a bill paid by hand must be approved, for no more than was approved', async () => {
+  const L = models.Liability;
+  const rent = await L.create({ name: 'Rent', category: 'rent', amount: '4200.00', dueDate: '2026-10-01', recurring: true, recurringInterval: 'monthly', approvalStatus: 'pending' });
+  await assert.rejects(ap.payBill(rent.id, {}, 'dana'), /isn't approved yet/);
+  await ap.approveBill(rent.id, {}, { username: 'lee', role: 'admin' });
+  await assert.rejects(ap.payBill(rent.id, { paidAmount: 4500 }, 'dana'), /Only \$4,200.00 was approved/);
+  await ap.payBill(rent.id, {}, 'dana');
+  assert.deepStrictEqual([rent.status, rent.paidAmount], ['paid', 4200]);
+  assert.deepStrictEqual(posted.splice(0), [`bill_payment:${rent.id}`]);
+  const next = L.rows.find(r => r.name === 'Rent' && r.dueDate === '2026-11-01');
+  assert.deepStrictEqual([next.status, next.approvalStatus], ['unpaid', 'pending'], 'the next one waits for its own approval');
+  await assert.rejects(ap.payBill(rent.id, {}, 'dana'), /already paid/);
+});
+
+test('settings validate and recurring bills roll forward', async () => {
+  await assert.rejects(ap.saveSettings({ priceTolerancePct: -1 }), /priceTolerancePct must be a number/);
+  await assert.rejects(ap.saveSettings({ bankAccountNumber: '12-34' }), /digits only/);
+  const saved = await ap.saveSettings({ adminApprovalOver: '', nextCheckNumber: '7000' }, 'lee');
+  assert.deepStrictEqual([saved.adminApprovalOver, saved.nextCheckNumber, saved.bankAccountNumber], [null, 7000, '000123456789']);
+  assert.strictEqual(ap.approvalLevel(1e6, { exceptions: [] }, saved), 'user');
+
+  const next = ap.nextOccurrence({ name: 'Rent', category: 'rent', amount: '4200.00', dueDate: '2026-10-01', recurring: true, recurringInterval: 'monthly', vendor: 'Landlord' });
+  assert.deepStrictEqual([next.dueDate, next.status, next.recurring], ['2026-11-01', 'unpaid', true]);
+  assert.strictEqual(ap.nextOccurrence({ recurring: false }), null);
+});
+
+(async () => {
+  let passed = 0, failed = 0;
+  for (const { name, fn } of tests) {
+    try { await fn(); console.log('  PASS  ' + name); passed++; }
+    catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+  }
+  console.log('\n' + passed + ' passed, ' + failed + ' failed');
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,130 @@
+/**
+ * Plate nesting — blanks, packing and the order it produces.
+ *
+ * The rules under test: parts are grouped by grade and thickness and every piece (and every cone
+ * segment) is its own blank; no blank overlaps another or runs off its sheet, gap included; the
+ * stock size needing the fewest sheets wins and the last sheet drops to the smallest size that
+ * takes its blanks; blanks bigger than any stock are ordered cut to size; and bad sheet sizes are
+ * refused.
+ *
+ * Run: node backend/test/plateNesting.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database.
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return {};
+  return originalLoad.apply(this, arguments);
+};
+
+const { partBlank, collectBlanks, packOnSize, nestGroup, nestParts, normalizeSheetSizes, generateCutSheetPdf } = require('../src/services/plateNesting');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const blank = (width, length, partNumber = 1) => ({ partId: 'p' + partNumber, partNumber, width, length });
+
+// Every placement inside its sheet and at least `gap` clear of every other
+function assertValid(sheets, gap) {
+  for (const s of sheets) {
+    for (const p of s.placements) {
+      assert.ok(p.x >= 0 && p.y >= 0 && p.x + p.w <= s.width + 1e-6 && p.y + p.h <= s.length + 1e-6, `P${p.partNumber} runs off the sheet`);
+      for (const q of s.placements) {
+        if (p === q) continue;
+        const apart = p.x + p.w + gap <= q.x + 1e-6 || q.x + q.w + gap <= p.x + 1e-6 || p.y + p.h + gap <= q.y + 1e-6 || q.y + q.h + gap <= p.y + 1e-6;
+        assert.ok(apart, `P${p.partNumber} and P${q.partNumber} overlap`);
+      }
+    }
+  }
+}
+
+test('blanks come from the part: stated size, developed length, cone segments', () => {
+  assert.deepStrictEqual(partBlank({ partType: 'flat_stock', thickness: '1/4', width: 24, length: 36 }), { width: 24, length: 36, pieces: 1 });
+  const rolled = partBlank({ partType: 'plate_roll', thickness: '1/2', width: 48, diameter: 60, material: 'A36' });
+  assert.ok(Math.abs(rolled.length - Math.PI * 60.5) < 0.01); // inside diameter 60 → neutral 60.5
+  const cone = partBlank({ partType: 'cone_roll', thickness: '1/4', material: 'A36', formData: { _coneLargeDia: 96, _coneSmallDia: 48, _coneHeight: 36, _coneRadialSegments: 3 } });
+  assert.strictEqual(cone.pieces, 3);
+  assert.strictEqual(partBlank({ partType: 'flat_stock', thickness: '1/4' }), null);
+});
+
+test('parts group by grade and thickness; every piece is a blank', () => {
+  const { groups, skipped } = collectBlanks([
+    { id: 'a', partNumber: 1, partType: 'flat_stock', material: 'A36', thickness: '1/4', width: 24, length: 36, quantity: 3 },
+    { id: 'b', partNumber: 2, partType: 'flat_stock', material: 'a36 steel', thickness: '0.25', width: 12, length: 12, quantity: 2 },
+    { id: 'c', partNumber: 3, partType: 'flat_stock', material: '304 S/S', thickness: '1/4', width: 12, length: 12, quantity: 1 },
+    { id: 'd', partNumber: 4, partType: 'flat_stock', thickness: '1/4', width: 12, length: 12 },
+    { id: 'e', partNumber: 5, partType: 'angle_roll', material: 'A36' },
+  ]);
+  assert.deepStrictEqual(groups.map(g => [g.key, g.blanks.length]), [['A36|plate|0.2500', 5], ['304|plate|0.2500', 1]]);
+  assert.strictEqual(skipped.length, 1);
+  assert.ok(/Part 4 needs a grade/.test(skipped[0].reason));
+});
+
+test('packing keeps blanks on the sheet and apart by the gap', () => {
+  const blanks = [];
+  for (let i = 0; i < 60; i++) blanks.push(blank(6 + (i * 7) % 31, 8 + (i * 13) % 47, i + 1));
+  const run = packOnSize(blanks, { width: 60, length: 120 }, 0.5);
+  assert.strictEqual(run.unplaced.length, 0);
+  assert.strictEqual(run.sheets.reduce((n, s) => n + s.placements.length, 0), 60);
+  assertValid(run.sheets, 0.5);
+  assert.ok(packOnSize([blank(20, 20)], { width: 48, length: 96 }, 0).sheets[0].placements[0].rotated === false);
+  assert.ok(packOnSize([blank(100, 40)], { width: 48, length: 120 }, 0).sheets[0].placements[0].rotated);
+});
+
+test('fewest sheets wins, and the last sheet shrinks to fit', () => {
+  // Four 48 x 120 blanks: one 96 x 240 sheet rather than four 48 x 120s
+  const four = nestGroup([1, 2, 3, 4].map(n => blank(48, 120, n)), { gap: 0 });
+  assert.strictEqual(four.sheetCount, 1);
+  assert.deepStrictEqual([four.sheets[0].width, four.sheets[0].length], [96, 240]);
+  assert.strictEqual(four.utilization, 100);
+
+  // Five fit one 120 x 240 turned; without that stock it's a full 96 x 240 plus a 48 x 120
+  assert.strictEqual(nestGroup([1, 2, 3, 4, 5].map(n => blank(48, 120, n)), { gap: 0 }).sheets[0].width, 120);
+  const sheetSizes = [{ width: 48, length: 96 }, { width: 48, length: 120 }, { width: 96, length: 240 }];
+  const five = nestGroup([1, 2, 3, 4, 5].map(n => blank(48, 120, n)), { gap: 0, sheetSizes });
+  assert.strictEqual(five.sheetCount, 2);
+  assert.deepStrictEqual(five.sheets.map(s => `${s.width}x${s.length}`), ['96x240', '48x120']);
+  assertValid(five.sheets, 0);
+});
+
+test('oversize blanks are ordered cut to size; the plan lists sheets per group', () => {
+  const plan = nestParts([
+    { id: 'a', partNumber: 1, partType: 'flat_stock', material: 'A36', thickness: '3/8', width: 40, length: 90, quantity: 2 },
+    { id: 'b', partNumber: 2, partType: 'shaped_plate', material: 'A36', thickness: '3/8', width: 130, length: 300, quantity: 1 },
+  ], { sheetSizes: [{ width: 48, length: 96 }, { width: 96, length: 240 }], gap: 0.25 });
+  const g = plan.groups[0];
+  assert.strictEqual(g.unplaced.length, 1);
+  assert.strictEqual(g.sheetCount, 1);
+  assert.deepStrictEqual(g.orderLines.map(l => [l.quantity, l.description]), [
+    [1, '0.375" A36 plate 96" x 240"'],
+    [1, '0.375" A36 plate cut to 130" x 300"'],
+  ]);
+  assert.ok(/Part 2/.test(g.orderLines[1].note));
+});
+
+test('bad sheet sizes and gaps are refused', () => {
+  assert.throws(() => normalizeSheetSizes([]), e => e.status === 400);
+  assert.throws(() => normalizeSheetSizes([{ width: 48 }]), /width and length/);
+  assert.deepStrictEqual(normalizeSheetSizes([{ width: 240, length: 96 }, { width: 48, length: 96 }, { width: 96, length: 240 }]), [{ width: 48, length: 96 }, { width: 96, length: 240 }]);
+  assert.throws(() => nestParts([], { gap: -1 }), /gap/);
+});
+
+test('the cut sheet renders a page per sheet', async () => {
+  const plan = nestParts([{ id: 'a', partNumber: 1, partType: 'flat_stock', material: 'A36', thickness: '1/4', width: 30, length: 50, quantity: 7 }]);
+  const pdf = await generateCutSheetPdf(plan, { title: 'Cut Sheet' });
+  assert.strictEqual(pdf.slice(0, 5).toString(), '%PDF-');
+  const pages = (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+  assert.strictEqual(pages, 1 + plan.sheetCount);
+});
+
+(async () => {
+  let passed = 0, failed = 0;
+  for (const { name, fn } of tests) {
+    try { await fn(); console.log('  PASS  ' + name); passed++; }
+    catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+  }
+  console.log('\n' + passed + ' passed, ' + failed + ' failed');
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,151 @@
+/**
+ * Price books — rule engine.
+ *
+ * The rules under test: a client's contracted price beats the standard rate table and takes no
+ * adjustments; rate rows are chosen by thickness and width and scaled by the material factor;
+ * quantity breaks, client discounts and minimums each show up in the trace; books outside their
+ * effective dates or for another client are ignored; bad rules are refused on save; and order
+ * totals price only the lines that have no labor yet.
+ *
+ * Run: node backend/test/priceBooks.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database.
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return {};
+  return originalLoad.apply(this, arguments);
+};
+
+const { normalizeRules, applicableBooks, priceLine } = require('../src/services/priceBooks');
+const { billableWeightLbs } = require('../src/services/pricingSuggest');
+const { calculateOrderTotals } = require('../src/services/pricing');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const near = (actual, expected, tol = 0.01) => assert.ok(Math.abs(actual - expected) <= tol, `expected ${expected}, got ${actual}`);
+
+const STANDARD = {
+  id: 'std', name: 'Standard 2026', clientId: null, effectiveFrom: '2026-01-01',
+  rules: normalizeRules([
+    { kind: 'rate', label: 'Plate to 3/8"', partTypes: ['plate_roll'], match: { thicknessMax: '3/8' }, setup: 100, ratePerLb: 0.1,
+      quantityBreaks: [{ minQty: 10, percent: 10 }, { minQty: 25, percent: 15 }] },
+    { kind: 'rate', label: 'Plate over 3/8"', partTypes: ['plate_roll'], match: { thicknessMin: 0.376 }, setup: 150, ratePerLb: 0.12 },
+    { kind: 'adjust', label: 'Stainless surcharge', match: { materials: ['stainless'] }, percent: 10 },
+    { kind: 'minimum', label: 'Plate minimum', partTypes: ['plate_roll'], minimum: 125 },
+  ]),
+};
+const ACME = {
+  id: 'acme', name: 'Acme contract', clientId: 'c-acme', clientName: 'Acme Tank',
+  rules: normalizeRules([
+    { kind: 'contract', label: 'Acme head blank', match: { clientPartNumber: 'AT-100' }, price: 210, quantityBreaks: [{ minQty: 20, price: 190 }] },
+    { kind: 'adjust', label: 'Acme 5% off', percent: -5 },
+  ]),
+};
+const OLD = { id: 'old', name: 'Standard 2024', clientId: null, effectiveTo: '2024-12-31', rules: normalizeRules([{ kind: 'rate', partTypes: ['plate_roll'], perEach: 1 }]) };
+const OTHER = { id: 'oth', name: 'Other client', clientId: 'c-other', clientName: 'Other', rules: normalizeRules([{ kind: 'rate', partTypes: ['plate_roll'], perEach: 2 }]) };
+const ALL = [STANDARD, ACME, OLD, OTHER];
+
+const plate = (over) => ({ partType: 'plate_roll', material: 'A36', thickness: '1/4', width: 48, length: 120, quantity: 1, ...over });
+
+test('client books come first; dated and other clients\' books drop out', () => {
+  assert.deepStrictEqual(applicableBooks(ALL, { clientId: 'c-acme', date: '2026-06-01' }).map(b => b.id), ['acme', 'std']);
+  assert.deepStrictEqual(applicableBooks(ALL, { clientName: 'acme tank', date: '2026-06-01' }).map(b => b.id), ['acme', 'std']);
+  assert.deepStrictEqual(applicableBooks(ALL, { date: '2024-06-01' }).map(b => b.id), ['old']);
+  assert.deepStrictEqual(applicableBooks([{ ...STANDARD, isActive: false }], { date: '2026-06-01' }), []);
+});
+
+test('a contracted price wins and takes no adjustments', () => {
+  const books = applicableBooks(ALL, { clientId: 'c-acme', date: '2026-06-01' });
+  const line = priceLine(plate({ clientPartNumber: 'at-100', material: '304 S/S', quantity: 5 }), books, { date: '2026-06-01', minLaborCharge: 500 });
+  assert.strictEqual(line.source, 'contract');
+  assert.strictEqual(line.laborEach, 210);
+  assert.strictEqual(line.lineTotal, 1050);
+  assert.strictEqual(line.trace.length, 1);
+  assert.strictEqual(line.trace[0].book, 'Acme contract');
+  assert.strictEqual(priceLine(plate({ clientPartNumber: 'AT-100', quantity: 20 }), books, { date: '2026-06-01' }).laborEach, 190);
+});
+
+test('rate rows pick by thickness and scale by weight and material factor', () => {
+  const books = applicableBooks(ALL, { date: '2026-06-01' });
+  const thin = plate();
+  const lbs = billableWeightLbs(thin);
+  const line = priceLine(thin, books, { date: '2026-06-01' });
+  assert.strictEqual(line.source, 'rate');
+  assert.strictEqual(line.trace[0].rule, 'Plate to 3/8"');
+  near(line.laborEach, 100 + 0.1 * lbs);
+
+  const ar = priceLine(plate({ material: 'AR400' }), books, { date: '2026-06-01' });
+  near(ar.laborEach, 100 + 0.1 * lbs * 2.2);
+  assert.ok(/material factor/.test(ar.trace[0].detail));
+
+  const thick = priceLine(plate({ thickness: '1/2' }), books, { date: '2026-06-01' });
+  assert.strictEqual(thick.trace[0].rule, 'Plate over 3/8"');
+});
+
+test('quantity breaks, adjustments and minimums each leave a trace step', () => {
+  const std = applicableBooks(ALL, { date: '2026-06-01' });
+  const lbs = billableWeightLbs(plate());
+  const big = plate({ width: 96, length: 240, quantity: 12 });
+  const run = priceLine(big, std, { date: '2026-06-01' });
+  near(run.laborEach, (100 / 12 + 0.1 * billableWeightLbs(big)) * 0.9);
+  assert.ok(run.trace.some(s => /10\+ pcs: 10% off/.test(s.detail)));
+
+  const acme = applicableBooks(ALL, { clientId: 'c-acme', date: '2026-06-01' });
+  const disc = priceLine(plate(), acme, { date: '2026-06-01' });
+  near(disc.laborEach, (100 + 0.1 * lbs) * 0.95);
+  assert.ok(disc.trace.some(s => s.rule === 'Acme 5% off'));
+
+  const small = priceLine(plate({ width: 12, length: 24, quantity: 30 }), std, { date: '2026-06-01' });
+  assert.strictEqual(small.laborEach, 125);
+  assert.strictEqual(small.trace[small.trace.length - 1].rule, 'Plate minimum');
+
+  const uplift = priceLine(plate(), std, { date: '2026-06-01', isNewClient: true, newClientUpliftPct: 10 });
+  near(uplift.laborEach, (100 + 0.1 * lbs) * 1.1);
+});
+
+test('unpriceable lines say why', () => {
+  const std = applicableBooks(ALL, { date: '2026-06-01' });
+  assert.strictEqual(priceLine({ partType: 'cone_roll', thickness: '1/4' }, std, {}).priced, false);
+  const noSize = priceLine({ partType: 'plate_roll', thickness: '1/4' }, std, { date: '2026-06-01' });
+  assert.strictEqual(noSize.priced, false);
+  assert.ok(/Needs thickness/.test(noSize.trace[0].detail));
+  assert.strictEqual(priceLine({ partType: 'fab_service' }, std, {}).priced, false);
+});
+
+test('bad rules are refused', () => {
+  assert.throws(() => normalizeRules([{ kind: 'discount' }]), e => e.status === 400 && /kind must be/.test(e.message));
+  assert.throws(() => normalizeRules([{ kind: 'contract', price: 10 }]), /client part number or a part type/);
+  assert.throws(() => normalizeRules([{ kind: 'rate', partTypes: ['plate_roll'] }]), /ratePerLb, perEach or setup/);
+  assert.throws(() => normalizeRules([{ kind: 'minimum', minimum: 0 }]), /above zero/);
+  const [r] = normalizeRules([{ kind: 'rate', partType: 'plate_roll', perEach: '5', match: { thicknessMax: '3/8"' } }]);
+  assert.deepStrictEqual(r.partTypes, ['plate_roll']);
+  assert.strictEqual(r.match.thicknessMax, 0.375);
+  assert.ok(r.id);
+});
+
+test('order totals price only lines without labor, with a trace per line', async () => {
+  const books = applicableBooks(ALL, { date: '2026-06-01' });
+  const lbs = billableWeightLbs(plate());
+  const totals = await calculateOrderTotals([
+    plate({ id: 'a', partNumber: 1, partTotal: '300.00', laborTotal: '300.00' }),
+    plate({ id: 'b', partNumber: 2 }),
+  ], { books, pricingDate: '2026-06-01', minimumOverride: true, taxRate: 0 });
+  assert.strictEqual(totals.lines[0].source, 'stored');
+  assert.strictEqual(totals.lines[0].total, 300);
+  assert.strictEqual(totals.lines[1].source, 'rate');
+  near(totals.lines[1].total, 100 + 0.1 * lbs);
+  near(totals.partsSubtotal, 300 + 100 + 0.1 * lbs);
+});
+
+(async () => {
+  let passed = 0, failed = 0;
+  for (const { name, fn } of tests) {
+    try { await fn(); console.log('  PASS  ' + name); passed++; }
+    catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+  }
+  console.log('\n' + passed + ' passed, ' + failed + ' failed');
+  process.exit(failed ? 1 : 0);
+})();
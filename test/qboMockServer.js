@@ -0,0 +1,181 @@
+/**
+ * A local stand-in for QuickBooks Online — the OAuth token endpoint and the slice of the
+ * accounting API services/quickbooksOnline.js uses — for tests.
+ *
+ * It keeps entities in memory and behaves like QBO where the connector depends on it: ids and
+ * SyncTokens are assigned on create, an update with an old SyncToken is refused (code 5010), a
+ * duplicate customer DisplayName is refused (6240), payments reduce the Balance of the invoices
+ * they're linked to and show up in the invoice's LinkedTxn, voiding reverses that, and a revoked
+ * or expired access token gets a 401. Queries understand "select * from X [where F = v | F in (…)]
+ * [maxresults n]", which is all the connector sends.
+ *
+ * const mock = await startMockQbo();  // point QBO_API_BASE at mock.url, QBO_TOKEN_URL at mock.tokenUrl
+ * mock.receivePayment({ invoiceId, amount, date })  // a customer paying in QBO
+ * await mock.close();
+ */
+const http = require('http');
+
+const ENTITIES = { customer: 'Customer', invoice: 'Invoice', payment: 'Payment', creditmemo: 'CreditMemo', item: 'Item', term: 'Term' };
+const money = (v) => Math.round((parseFloat(v) || 0) * 100) / 100;
+
+function parseValue(raw) {
+  raw = raw.trim();
+  if (raw.startsWith('(')) return raw.slice(1, -1).split(/,(?=(?:[^']*'[^']*')*[^']*$)/).map(parseValue);
+  if (raw.startsWith("'")) return raw.slice(1, -1).replace(/\\(.)/g, '$1');
+  if (raw === 'true' || raw === 'false') return raw === 'true';
+  return raw;
+}
+
+function startMockQbo({ realmId = '4620816365', clientId = 'test-client', clientSecret = 'test-secret', companyName = 'Mock Rolling Co' } = {}) {
+  const store = Object.fromEntries(Object.values(ENTITIES).map(e => [e, {}]));
+  let nextId = 100;
+  const tokens = { access: new Set(), refresh: new Set() };
+  const log = { requests: [], grants: [] };
+  let issued = 0;
+
+  const issue = () => {
+    issued++;
+    const t = { access_token: `access-${issued}`, refresh_token: `refresh-${issued}`, token_type: 'bearer', expires_in: 3600, x_refresh_token_expires_in: 8726400 };
+    tokens.access.add(t.access_token);
+    tokens.refresh.add(t.refresh_token);
+    return t;
+  };
+
+  const fault = (res, status, code, detail) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ Fault: { Error: [{ Message: detail, Detail: detail, code }], type: 'ValidationFault' } }));
+  };
+  const send = (res, body) => { res.writeHead(200, { 'Content-Type': 'application/json' }); res.end(JSON.stringify(body)); };
+
+  const invoiceTotal = (inv) => {
+    const lines = inv.Line || [];
+    const sales = lines.filter(l => l.DetailType === 'SalesItemLineDetail').reduce((s, l) => s + l.Amount, 0);
+    const discount = lines.filter(l => l.DetailType === 'DiscountLineDetail').reduce((s, l) => s + l.Amount, 0);
+    return money(sales - discount);
+  };
+  const paidOn = (invoiceId) => Object.values(store.Payment)
+    .filter(p => !p.voided)
+    .reduce((s, p) => s + (p.Line || []).filter(l => (l.LinkedTxn || []).some(t => t.TxnId === invoiceId && t.TxnType === 'Invoice')).reduce((a, l) => a + l.Amount, 0), 0);
+  const refreshInvoice = (inv) => {
+    inv.TotalAmt = inv.voided ? 0 : invoiceTotal(inv);
+    inv.Balance = inv.voided ? 0 : money(inv.TotalAmt - paidOn(inv.Id));
+    inv.LinkedTxn = Object.values(store.Payment)
+      .filter(p => !p.voided && (p.Line || []).some(l => (l.LinkedTxn || []).some(t => t.TxnId === inv.Id)))
+      .map(p => ({ TxnId: p.Id, TxnType: 'Payment' }));
+  };
+  const refreshInvoicesFor = (payment) => {
+    for (const l of payment.Line || []) for (const t of l.LinkedTxn || []) if (store.Invoice[t.TxnId]) refreshInvoice(store.Invoice[t.TxnId]);
+  };
+
+  function create(entity, body) {
+    const obj = { ...body, Id: String(nextId++), SyncToken: '0', MetaData: { CreateTime: new Date().toISOString() } };
+    store[entity][obj.Id] = obj;
+    if (entity === 'Invoice') refreshInvoice(obj);
+    if (entity === 'Payment') refreshInvoicesFor(obj);
+    return obj;
+  }
+
+  function query(sql) {
+    const m = sql.trim().match(/^select \* from (\w+)(?: where (\w+) (=|in) (\(.*\)|'(?:[^'\\]|\\.)*'|\w+))?(?: maxresults (\d+))?$/i);
+    if (!m) return null;
+    const entity = Object.values(ENTITIES).find(e => e.toLowerCase() === m[1].toLowerCase());
+    let rows = Object.values(store[entity] || {});
+    if (m[2]) {
+      const value = parseValue(m[4]);
+      const field = m[2];
+      const get = (r) => (field === 'Active' ? r.Active !== false : r[field]);
+      rows = m[3].toLowerCase() === 'in' ? rows.filter(r => value.includes(get(r))) : rows.filter(r => get(r) === value);
+    }
+    if (m[5]) rows = rows.slice(0, parseInt(m[5]));
+    return rows.length ? { [entity]: rows, startPosition: 1, maxResults: rows.length } : {};
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', c => { raw += c; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      log.requests.push({ method: req.method, path: url.pathname, search: url.search });
+
+      if (url.pathname === '/oauth2/v1/tokens/bearer') {
+        const expected = 'Basic ' + Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+        if (req.headers.authorization !== expected) return fault(res, 401, '401', 'invalid_client');
+        const form = new URLSearchParams(raw);
+        log.grants.push(form.get('grant_type'));
+        if (form.get('grant_type') === 'authorization_code' && form.get('code') === 'good-code') return send(res, issue());
+        if (form.get('grant_type') === 'refresh_token' && tokens.refresh.has(form.get('refresh_token'))) {
+          tokens.refresh.delete(form.get('refresh_token'));
+          return send(res, issue());
+        }
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'invalid_grant' }));
+      }
+
+      const m = url.pathname.match(/^\/v3\/company\/([^/]+)\/(\w+)(?:\/([^/]+))?$/);
+      if (!m || m[1] !== realmId) return fault(res, 404, '610', 'Object Not Found');
+      if (!tokens.access.has((req.headers.authorization || '').replace(/^Bearer /, ''))) return fault(res, 401, '3200', 'AuthenticationFailed');
+      const [, , resource, id] = m;
+
+      if (req.method === 'GET' && resource === 'query') {
+        const result = query(url.searchParams.get('query'));
+        return result ? send(res, { QueryResponse: result }) : fault(res, 400, '4000', 'Error parsing query');
+      }
+      if (req.method === 'GET' && resource === 'companyinfo') return send(res, { CompanyInfo: { CompanyName: companyName, Id: realmId } });
+
+      const entity = ENTITIES[resource];
+      if (!entity) return fault(res, 400, '2010', `Unsupported resource ${resource}`);
+      if (req.method === 'GET') {
+        return store[entity][id] ? send(res, { [entity]: store[entity][id] }) : fault(res, 400, '610', 'Object Not Found');
+      }
+
+      const body = raw ? JSON.parse(raw) : {};
+      const operation = url.searchParams.get('operation');
+      if (!body.Id) {
+        if (entity === 'Customer' && Object.values(store.Customer).some(c => c.DisplayName === body.DisplayName)) {
+          return fault(res, 400, '6240', 'Duplicate Name Exists Error');
+        }
+        return send(res, { [entity]: create(entity, body) });
+      }
+      const current = store[entity][body.Id];
+      if (!current) return fault(res, 400, '610', 'Object Not Found');
+      if (String(body.SyncToken) !== current.SyncToken) return fault(res, 400, '5010', 'Stale Object Error');
+      if (operation === 'delete') {
+        delete store[entity][body.Id];
+        return send(res, { [entity]: { Id: body.Id, status: 'Deleted' } });
+      }
+      const { sparse, ...fields } = body;
+      const next = operation === 'void'
+        ? { ...current, voided: true, PrivateNote: `Voided${current.PrivateNote ? ' - ' + current.PrivateNote : ''}` }
+        : { ...current, ...fields };
+      next.SyncToken = String(parseInt(current.SyncToken) + 1);
+      store[entity][body.Id] = next;
+      if (entity === 'Invoice') refreshInvoice(next);
+      if (entity === 'Payment') { refreshInvoicesFor(current); refreshInvoicesFor(next); }
+      send(res, { [entity]: next });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const base = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url: base,
+        tokenUrl: `${base}/oauth2/v1/tokens/bearer`,
+        realmId,
+        store,
+        log,
+        seed: (entity, body) => create(entity, body),
+        // A customer paying in QBO itself
+        receivePayment: ({ invoiceId, amount, date, reference }) => create('Payment', {
+          CustomerRef: store.Invoice[invoiceId].CustomerRef, TxnDate: date, TotalAmt: amount, PaymentRefNum: reference,
+          Line: [{ Amount: amount, LinkedTxn: [{ TxnId: invoiceId, TxnType: 'Invoice' }] }],
+        }),
+        // Make every access token issued so far unusable, as if it expired early
+        expireAccessTokens: () => tokens.access.clear(),
+        close: () => new Promise(r => server.close(r)),
+      });
+    });
+  });
+}
+
+module.exports = { startMockQbo };
@@ -0,0 +1,231 @@
+/**
+ * QuickBooks Online sync — payloads, and a connect / push / pull round trip against the mock
+ * server in qboMockServer.js.
+ *
+ * The rules under test: customers, invoices, payments and credit memos map onto QBO's entities
+ * (items by kind, text lines as description-only, the discount as a discount line, foreign
+ * invoices with QBO's exchange rate); connecting checks the sign-in state and a rejected token is
+ * refreshed and the call retried; a customer already in QBO is adopted, not duplicated; a second
+ * sync sends nothing that didn't change; an overpayment credit isn't sent twice; a payment entered
+ * in QBO comes back as a ClientPayment and sets paymentDate once the invoice is paid, only once;
+ * and voiding a payment here voids it there.
+ *
+ * Run: node backend/test/quickbooksOnline.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+const { Op } = require('sequelize');
+const { startMockQbo } = require('./qboMockServer');
+
+// In-memory tables standing in for ../models. Only what the connector queries with is understood:
+// equality, null, and Op.ne / Op.in / Op.gte / Op.iLike.
+let seq = 0;
+const matches = (row, where = {}) => Object.entries(where).every(([k, v]) => {
+  const value = row[k];
+  if (v && typeof v === 'object' && !(v instanceof Date)) {
+    if (Op.ne in v) return v[Op.ne] === null ? value !== null && value !== undefined : value !== v[Op.ne];
+    if (Op.in in v) return v[Op.in].includes(value);
+    if (Op.gte in v) return value !== null && value !== undefined && String(value) >= String(v[Op.gte]);
+    if (Op.iLike in v) return String(value || '').toLowerCase() === String(v[Op.iLike]).toLowerCase();
+  }
+  return v === null ? value === null || value === undefined : value === v;
+});
+function table(defaults = {}) {
+  const rows = [];
+  const wrap = (r) => {
+    Object.defineProperties(r, {
+      update: { value: async (u) => { Object.assign(r, u, { updatedAt: new Date(Date.now() + seq++) }); return r; }, enumerable: false },
+      toJSON: { value: () => ({ ...r }), enumerable: false },
+      destroy: { value: async () => { rows.splice(rows.indexOf(r), 1); }, enumerable: false },
+    });
+    return r;
+  };
+  return {
+    rows,
+    create: async (values) => { const r = wrap({ id: `id-${++seq}`, ...defaults, ...values, createdAt: new Date(), updatedAt: new Date(Date.now() + seq) }); rows.push(r); return r; },
+    findAll: async ({ where } = {}) => rows.filter(r => matches(r, where)),
+    findOne: async ({ where, order } = {}) => {
+      const found = rows.filter(r => matches(r, where));
+      if (order) found.sort((a, b) => b.updatedAt - a.updatedAt);
+      return found[0] || null;
+    },
+    findByPk: async (id) => rows.find(r => r.id === id) || null,
+    update: async (values, { where }) => { rows.filter(r => matches(r, where)).forEach(r => Object.assign(r, values)); },
+  };
+}
+const settings = {};
+const models = {
+  sequelize: { transaction: async (fn) => fn({}) },
+  AppSettings: {
+    findOne: async ({ where }) => (settings[where.key] ? { value: JSON.parse(JSON.stringify(settings[where.key])) } : null),
+    upsert: async ({ key, value }) => { settings[key] = value; },
+  },
+  QboConnection: table({ isActive: true, lastError: null }),
+  QboSyncLink: table({ status: 'synced' }),
+  Client: table({ currency: 'USD' }),
+  WorkOrder: table({ paymentDate: null, isVoided: false }),
+  WorkOrderPart: table(),
+  ClientPayment: table({ voidedAt: null }),
+  PaymentApplication: table(),
+  WorkOrderPayment: table({ voidedAt: null }),
+  CreditMemo: table({ voidedAt: null, sourceClientPaymentId: null }),
+  // The ledger, which a recorded payment posts to
+  LedgerAccount: table({ isActive: true, systemKey: null }),
+  JournalEntry: table({ reversedAt: null, reversesEntryId: null }),
+  JournalLine: table(),
+  AccountingPeriod: table({ reopenedAt: null }),
+  LedgerPostFailure: table(),
+};
+
+// The IIF builder, reduced to the structured invoice it returns: one taxable line, a text line,
+// trucking, and a discount when the order has one
+const quickbooksRoutes = {
+  buildInvoiceIIF: async (wo, parts, client, invoiceNum) => {
+    const lines = [
+      { description: 'PL 1/2 x 48 x 96 A36', amount: wo.lineAmount, qty: 2, invItem: '2', isPriced: true },
+      { description: 'Roll to 60in. ID', amount: 0, qty: 0, isPriced: false },
+      { description: '', amount: 0, qty: 0, isPriced: false },
+    ];
+    if (wo.truckingCost) lines.push({ description: 'Trucking / Delivery', amount: wo.truckingCost, qty: 1, isFreight: true, isPriced: true });
+    if (wo.discountAmount) lines.push({ description: 'Discount', amount: -wo.discountAmount, qty: 1, isPriced: true });
+    return { invoice: { date: wo.shippedAt, docNumber: invoiceNum, clientName: client.name, terms: 'NET 30', clientPO: wo.clientPurchaseOrderNumber, drLabel: `DR-${wo.drNumber}`, memo: `DR-${wo.drNumber} - ${client.name}`, isResale: false, currency: 'USD', exchangeRate: 1, lines } };
+  },
+  regenerateInvoicePDF: async () => {},
+};
+
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return models;
+  if (request === '../routes/quickbooks') return quickbooksRoutes;
+  return originalLoad.apply(this, arguments);
+};
+
+const qbo = require('../src/services/quickbooksOnline');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test('customers and invoices map onto QBO entities', () => {
+  const c = qbo.customerPayload({ name: 'Acme: Tank', taxStatus: 'Resale', resaleCertificate: 'SR-1', apEmail: 'ap@acme.test', address: '12 Main St, Downey, CA 90241', currency: 'CAD' });
+  assert.deepStrictEqual([c.DisplayName, c.Taxable, c.ResaleNum, c.CurrencyRef.value], ['Acme- Tank', false, 'SR-1', 'CAD']);
+  assert.deepStrictEqual(c.BillAddr, { Line1: '12 Main St', City: 'DOWNEY', CountrySubDivisionCode: 'CA', PostalCode: '90241' });
+
+  const inv = {
+    date: '2026-10-02', docNumber: '41007', clientPO: '7781', drLabel: 'DR-3312', memo: 'DR-3312 - Maple', isResale: false, currency: 'CAD', exchangeRate: 1.365,
+    lines: [
+      { description: 'Ring', amount: 409.5, qty: 3, isPriced: true },
+      { description: 'Roll to 24in. OD', isPriced: false },
+      { description: '', isPriced: false },
+      { description: 'Trucking', amount: 68.25, qty: 1, isFreight: true, isPriced: true },
+      { description: 'Discount', amount: -13.65, qty: 1, isPriced: true },
+    ],
+  };
+  const p = qbo.invoicePayload(inv, { customerId: 58, items: { taxable: 1, nontaxable: 2, freight: 3 }, termId: 4, customFields: { poNumber: 1 } });
+  assert.deepStrictEqual(p.Line.map(l => l.DetailType), ['SalesItemLineDetail', 'DescriptionOnly', 'SalesItemLineDetail', 'DiscountLineDetail']);
+  assert.deepStrictEqual(p.Line[0].SalesItemLineDetail, { ItemRef: { value: '1' }, Qty: 3, UnitPrice: 136.5, TaxCodeRef: { value: 'TAX' } });
+  assert.deepStrictEqual([p.Line[2].SalesItemLineDetail.ItemRef.value, p.Line[2].SalesItemLineDetail.TaxCodeRef.value, p.Line[3].Amount], ['3', 'NON', 13.65]);
+  assert.deepStrictEqual([p.CustomerMemo.value, p.SalesTermRef.value, p.CustomField[0].StringValue], ['PO 7781 · DR-3312', '4', '7781']);
+  assert.deepStrictEqual([p.CurrencyRef.value, p.ExchangeRate], ['CAD', 0.732601]);
+});
+
+test('payments map to the invoices they pay, and come back in dollars', () => {
+  const pay = { paymentDate: '2026-10-10', amount: '500.00', reference: '10452', method: 'check' };
+  assert.throws(() => qbo.paymentPayload(pay, [{ workOrderId: 'w1', amount: '500' }], { customerId: 1, invoiceIds: {} }), /aren't in QuickBooks Online yet/);
+  const p = qbo.paymentPayload(pay, [{ workOrderId: 'w1', amount: '500' }], { customerId: 1, invoiceIds: { w1: '77' } });
+  assert.deepStrictEqual(p.Line, [{ Amount: 500, LinkedTxn: [{ TxnId: '77', TxnType: 'Invoice' }] }]);
+
+  const remote = { Id: '90', TxnDate: '2026-10-12', TotalAmt: 150, ExchangeRate: 0.73, PaymentRefNum: 'EFT', Line: [{ Amount: 136.5, LinkedTxn: [{ TxnId: '77', TxnType: 'Invoice' }] }, { Amount: 5, LinkedTxn: [{ TxnId: '999', TxnType: 'Invoice' }] }] };
+  assert.deepStrictEqual(qbo.paymentFromRemote(remote, { 77: 'w1' }), { paymentDate: '2026-10-12', amount: 109.5, reference: 'EFT', applications: [{ workOrderId: 'w1', amount: 99.65 }], unapplied: 9.85 });
+
+  const status = qbo.invoicePaidStatus({ Balance: 0, LinkedTxn: [{ TxnId: '1', TxnType: 'Payment' }, { TxnId: '2', TxnType: 'Payment' }] }, { 1: { TxnDate: '2026-10-03' }, 2: { TxnDate: '2026-10-09', PaymentRefNum: '88' } });
+  assert.deepStrictEqual(status, { paid: true, balance: 0, paidOn: '2026-10-09', reference: '88' });
+});
+
+test('connect, push, re-sync and pull against the mock server', async () => {
+  const mock = await startMockQbo();
+  Object.assign(process.env, { QBO_CLIENT_ID: 'test-client', QBO_CLIENT_SECRET: 'test-secret', QBO_API_BASE: mock.url, QBO_TOKEN_URL: mock.tokenUrl });
+  try {
+    // Connecting: the state has to be the one handed out
+    const authUrl = await qbo.startConnect('amy');
+    const state = new URL(authUrl).searchParams.get('state');
+    await assert.rejects(qbo.completeConnect({ code: 'good-code', realmId: mock.realmId, state: 'forged' }), /try connecting again/);
+    const conn = await qbo.completeConnect({ code: 'good-code', realmId: mock.realmId, state });
+    assert.deepStrictEqual([conn.companyName, conn.connectedBy, conn.accessToken], ['Mock Rolling Co', 'amy', 'access-1']);
+    await assert.rejects(qbo.completeConnect({ code: 'good-code', realmId: mock.realmId, state }), /try connecting again/); // one use only
+
+    await assert.rejects(qbo.sync(), /Choose the QuickBooks Online items/);
+    await qbo.saveSettings({ items: { taxable: '1', nontaxable: '2', freight: '3' }, syncFrom: '2026-10-01' });
+
+    // Acme is already in QBO from the IIF days; Basin isn't
+    const existing = mock.seed('Customer', { DisplayName: 'Acme Tank' });
+    const acme = await models.Client.create({ name: 'Acme Tank', contactEmail: 'ap@acme.test' });
+    const basin = await models.Client.create({ name: 'Basin Works' });
+    const wo1 = await models.WorkOrder.create({ clientId: acme.id, clientName: 'Acme Tank', drNumber: 3301, invoiceNumber: '41001', invoiceDate: '2026-10-05', shippedAt: '2026-10-05', lineAmount: 800, truckingCost: 100, clientPurchaseOrderNumber: 'A-77' });
+    const wo2 = await models.WorkOrder.create({ clientId: basin.id, clientName: 'Basin Works', drNumber: 3302, invoiceNumber: '41002', invoiceDate: '2026-10-06', shippedAt: '2026-10-06', lineAmount: 500, discountAmount: 50 });
+    await models.WorkOrder.create({ clientId: acme.id, clientName: 'Acme Tank', drNumber: 3100, invoiceNumber: '40900', invoiceDate: '2026-09-20', lineAmount: 300 }); // before cut-over
+    const pay = await models.ClientPayment.create({ clientId: acme.id, clientName: 'Acme Tank', paymentDate: '2026-10-08', amount: 950, method: 'check', reference: '10452' });
+    await models.PaymentApplication.create({ clientPaymentId: pay.id, workOrderId: wo1.id, amount: 900 });
+    await models.CreditMemo.create({ clientId: acme.id, clientName: 'Acme Tank', date: '2026-10-08', amount: 50, remainingAmount: 50, sourceClientPaymentId: pay.id });
+    await models.CreditMemo.create({ clientId: basin.id, clientName: 'Basin Works', date: '2026-10-07', amount: 25, remainingAmount: 25, reason: 'Scratched finish' });
+
+    mock.expireAccessTokens(); // the first call gets a 401 and refreshes
+    const first = await qbo.sync();
+    assert.deepStrictEqual(first.errors, []);
+    assert.deepStrictEqual([first.counts.invoice.created, first.counts.payment.created, first.counts.credit_memo.created, first.counts.credit_memo.skipped], [2, 1, 1, 1]);
+    assert.ok(mock.log.grants.includes('refresh_token'));
+    assert.strictEqual(Object.keys(mock.store.Customer).length, 2);
+    const acmeLink = models.QboSyncLink.rows.find(l => l.entityType === 'customer' && l.localId === acme.id);
+    assert.strictEqual(acmeLink.remoteId, existing.Id);
+
+    const inv1 = Object.values(mock.store.Invoice).find(i => i.DocNumber === '41001');
+    const inv2 = Object.values(mock.store.Invoice).find(i => i.DocNumber === '41002');
+    assert.deepStrictEqual([inv1.TotalAmt, inv1.Balance, inv1.CustomerMemo.value], [900, 0, 'PO A-77 · DR-3301']);
+    assert.deepStrictEqual([inv2.TotalAmt, inv2.Balance], [450, 450]);
+    assert.strictEqual(first.pulled.paid[0], 'DR-3301'); // paid here and pushed — paymentDate follows QBO
+    assert.strictEqual(wo1.paymentDate, '2026-10-08');
+
+    // Nothing changed: nothing sent
+    const apiWrites = () => mock.log.requests.filter(r => r.method === 'POST' && !r.path.includes('tokens')).length;
+    const writes = apiWrites();
+    const second = await qbo.sync();
+    assert.deepStrictEqual([second.counts.invoice.unchanged, second.counts.payment.unchanged, second.counts.credit_memo.unchanged], [2, 1, 1]);
+    assert.strictEqual(apiWrites(), writes);
+
+    // An edit goes up as an update to the same invoice, even after someone touched it in QBO
+    mock.store.Invoice[inv2.Id].SyncToken = '3';
+    await wo2.update({ lineAmount: 520 });
+    const third = await qbo.sync({ pull: false });
+    assert.strictEqual(third.counts.invoice.updated, 1);
+    assert.strictEqual(mock.store.Invoice[inv2.Id].TotalAmt, 470);
+
+    // Basin pays in QBO: the payment comes back once, and the order is paid
+    mock.receivePayment({ invoiceId: inv2.Id, amount: 470, date: '2026-10-15', reference: 'ACH 5521' });
+    const pulled = await qbo.pullPayments(conn);
+    assert.deepStrictEqual([pulled.imported, pulled.paid], [1, ['DR-3302']]);
+    const imported = models.ClientPayment.rows.find(p => p.recordedBy === 'quickbooks');
+    assert.deepStrictEqual([imported.clientId, imported.amount, imported.reference, imported.paymentDate], [basin.id, 470, 'ACH 5521', '2026-10-15']);
+    assert.deepStrictEqual([wo2.paymentDate, wo2.paymentReference, wo2.paymentRecordedBy], ['2026-10-15', 'ACH 5521', 'quickbooks']);
+    assert.ok(models.JournalEntry.rows.find(e => e.sourceType === 'client_payment' && e.sourceId === imported.id && e.postedBy === 'quickbooks'), 'the pulled payment is posted');
+    assert.deepStrictEqual(await qbo.pullPayments(conn), { checked: 0, imported: 0, paid: [] });
+    const fourth = await qbo.sync({ pull: false });
+    assert.strictEqual(fourth.counts.payment.skipped, 1); // the pulled one isn't sent back
+
+    // Voiding here voids there, and the invoice is open again
+    await pay.update({ voidedAt: new Date() });
+    const fifth = await qbo.sync({ pull: false });
+    assert.strictEqual(fifth.counts.payment.voided, 1);
+    assert.strictEqual(mock.store.Invoice[inv1.Id].Balance, 900);
+  } finally {
+    await mock.close();
+  }
+});
+
+(async () => {
+  let passed = 0, failed = 0;
+  for (const { name, fn } of tests) {
+    try { await fn(); console.log('  PASS  ' + name); passed++; }
+    catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+  }
+  console.log('\n' + passed + ' passed, ' + failed + ' failed');
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,117 @@
+/**
+ * Quote pipeline — follow-up schedule, loss capture and win/loss stats.
+ *
+ * The rules under test: follow-ups fall due at fixed days after sentAt and each one logged clears
+ * the earliest step; snooze pushes the next step out, dismiss and any outcome end it; loss
+ * reasons are validated and the price gap is measured against the competitor's price; and hit rate
+ * counts only decided quotes — silence is open, never lost.
+ *
+ * Run: node backend/test/quotePipeline.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database.
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return {};
+  return originalLoad.apply(this, arguments);
+};
+
+const { followUpSchedule, nextFollowUp, lossFields, priceGapPct, pipelineRow, winLossStats, priceBand } = require('../src/services/quotePipeline');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const SENT = '2026-03-02T16:00:00.000Z';
+const at = (days) => new Date(new Date(SENT).getTime() + days * 86400000);
+
+test('follow-ups fall due at 3, 7, 14 and 30 days and fill in order', () => {
+  const e = { status: 'sent', sentAt: SENT, followUps: [] };
+  assert.deepStrictEqual(followUpSchedule(e).map(s => s.day), [3, 7, 14, 30]);
+  assert.strictEqual(nextFollowUp(e, at(1)).due, false);
+  const due = nextFollowUp(e, at(5));
+  assert.strictEqual(due.step, 1);
+  assert.strictEqual(due.overdueDays, 2);
+
+  e.followUps = [{ at: at(4).toISOString(), by: 'estimator', outcome: 'left_message' }];
+  const next = nextFollowUp(e, at(5));
+  assert.strictEqual(next.step, 2);
+  assert.strictEqual(next.due, false);
+  assert.strictEqual(followUpSchedule(e)[0].outcome, 'left_message');
+
+  e.followUps = [1, 2, 3, 4].map(d => ({ at: at(d).toISOString() }));
+  assert.strictEqual(nextFollowUp(e, at(40)), null);
+});
+
+test('snooze pushes the next follow-up out; dismiss, drafts and outcomes have none', () => {
+  const e = { status: 'sent', sentAt: SENT, followUps: [], reminderSnoozeUntil: at(6).toISOString() };
+  assert.strictEqual(nextFollowUp(e, at(5)).due, false);
+  assert.strictEqual(nextFollowUp(e, at(6.5)).due, true);
+  assert.strictEqual(nextFollowUp({ ...e, reminderDismissedAt: at(1) }, at(10)), null);
+  assert.strictEqual(nextFollowUp({ ...e, status: 'accepted' }, at(10)), null);
+  assert.deepStrictEqual(followUpSchedule({ status: 'draft', sentAt: null }), []);
+});
+
+test('loss reasons are validated and the price gap is against their price', () => {
+  const f = lossFields({ reason: 'price', competitor: 'Acme Rolling', competitorPrice: '4000' });
+  assert.strictEqual(f.status, 'declined');
+  assert.strictEqual(f.lossReason, 'price');
+  assert.strictEqual(f.competitorPrice, 4000);
+  assert.ok(f.declinedAt instanceof Date);
+  assert.strictEqual(lossFields({}).lossReason, null); // the phone's one-tap decline still works
+  assert.throws(() => lossFields({ reason: 'too_expensive' }), e => e.status === 400);
+  assert.throws(() => lossFields({ reason: 'other' }), /other reason/);
+  assert.throws(() => lossFields({ competitorPrice: 'lots' }), /number/);
+  assert.strictEqual(priceGapPct(5000, 4000), 25);
+  assert.strictEqual(priceGapPct(3600, 4000), -10);
+  assert.strictEqual(priceGapPct(3600, null), null);
+});
+
+test('pipeline rows weight the total by probability', () => {
+  const row = pipelineRow({ id: 'e1', status: 'sent', grandTotal: '2000.00', sentAt: SENT, followUps: [] }, at(8));
+  assert.strictEqual(row.probability, 30);
+  assert.strictEqual(row.weighted, 600);
+  assert.strictEqual(row.nextFollowUp.step, 1);
+  assert.strictEqual(pipelineRow({ status: 'sent', grandTotal: 1000, winProbability: 75 }).weighted, 750);
+  assert.strictEqual(pipelineRow({ status: 'sent', grandTotal: 1000, winProbability: 0 }).weighted, 0);
+});
+
+test('hit rate counts decided quotes; silence stays open', () => {
+  const rows = [
+    { status: 'converted', sentAt: '2026-01-10', grandTotal: 1000, clientName: 'A', estimator: 'jo', parts: [{ partType: 'plate_roll', partTotal: 1000 }] },
+    { status: 'accepted', sentAt: '2026-01-20', grandTotal: 300, clientName: 'A', estimator: 'jo', parts: [{ partType: 'angle_roll', partTotal: 300 }] },
+    { status: 'declined', sentAt: '2026-02-03', grandTotal: 5000, clientName: 'B', estimator: 'sam', lossReason: 'price', competitorPrice: 4000, parts: [{ partType: 'plate_roll', partTotal: 5000 }] },
+    { status: 'sent', sentAt: '2026-02-10', grandTotal: 800, clientName: 'B', parts: [{ partType: 'cone_roll', partTotal: 800 }] },
+    { status: 'draft', sentAt: null, grandTotal: 99, clientName: 'C' },
+  ];
+  const byClient = winLossStats(rows, { groupBy: 'client' });
+  assert.strictEqual(byClient.overall.quoted, 4);
+  assert.strictEqual(byClient.overall.open, 1);
+  assert.strictEqual(byClient.overall.hitRate, 66.7);
+  assert.strictEqual(byClient.overall.closeRate, 50);
+  const b = byClient.groups.find(g => g.key === 'B');
+  assert.strictEqual(b.hitRate, 0);
+  assert.deepStrictEqual(b.lossReasons, { price: 1 });
+  assert.strictEqual(b.avgPriceGapPct, 25);
+  assert.deepStrictEqual(byClient.periods.map(p => p.key), ['2026-01', '2026-02']);
+
+  const byType = winLossStats(rows, { groupBy: 'partType' });
+  const plate = byType.groups.find(g => g.key === 'plate_roll');
+  assert.strictEqual(plate.won + plate.lost, 2);
+  assert.strictEqual(plate.valueHitRate, 16.7);
+
+  assert.deepStrictEqual(winLossStats(rows, { groupBy: 'estimator' }).groups.map(g => g.key).sort(), ['jo', 'sam', 'unassigned']);
+  assert.deepStrictEqual(winLossStats(rows, { groupBy: 'priceBand' }).groups.map(g => g.key), ['Under $500', '$500–2k', '$2k–10k']);
+  assert.strictEqual(priceBand(2000), '$2k–10k');
+  assert.deepStrictEqual(winLossStats(rows, { interval: 'quarter' }).periods.map(p => p.key), ['2026-Q1']);
+  assert.throws(() => winLossStats(rows, { groupBy: 'color' }), e => e.status === 400);
+});
+
+let passed = 0, failed = 0;
+for (const { name, fn } of tests) {
+  try { fn(); console.log('  PASS  ' + name); passed++; }
+  catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+}
+console.log('\n' + passed + ' passed, ' + failed + ' failed');
+process.exit(failed ? 1 : 0);
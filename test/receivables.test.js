@@ -0,0 +1,215 @@
+/**
+ * Receivables — aging buckets, the dunning sequence, and a reminder run end to end.
+ *
+ * The rules under test: an invoice is due its client's net days after its invoice date (COD the
+ * same day, unreadable terms the default); buckets go by days past due; a client moves through the
+ * dunning steps one at a time, no sooner than minGapDays apart, and starts over once the invoices
+ * a step listed are paid; small balances, paused clients and clients with no email get nothing;
+ * the credit hold step puts the client on hold; and every notice is logged, sent or not.
+ *
+ * Run: node backend/test/receivables.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+const { Op } = require('sequelize');
+
+// In-memory tables standing in for ../models — equality, null, Op.ne, Op.in and Op.gt only
+let seq = 0;
+const matches = (row, where = {}) => Object.entries(where).every(([k, v]) => {
+  const value = row[k];
+  if (v && typeof v === 'object') {
+    if (Op.ne in v) return v[Op.ne] === null ? value !== null && value !== undefined : value !== v[Op.ne];
+    if (Op.in in v) return v[Op.in].includes(value);
+    if (Op.gt in v) return value > v[Op.gt];
+  }
+  return v === null ? value === null || value === undefined : value === v;
+});
+function table(defaults = {}) {
+  const rows = [];
+  const wrap = (r) => Object.defineProperty(r, 'update', { value: async (u) => Object.assign(r, u), enumerable: false });
+  return {
+    rows,
+    create: async (values) => { const r = wrap({ id: `id-${++seq}`, ...defaults, ...values }); rows.push(r); return r; },
+    findAll: async ({ where } = {}) => rows.filter(r => matches(r, where)).sort((a, b) => (b.sentAt || 0) - (a.sentAt || 0)),
+    findOne: async ({ where } = {}) => rows.find(r => matches(r, where)) || null,
+    findByPk: async (id) => rows.find(r => r.id === id) || null,
+  };
+}
+const settings = {};
+const models = {
+  AppSettings: { findOne: async ({ where }) => (settings[where.key] ? { value: settings[where.key] } : null), upsert: async ({ key, value }) => { settings[key] = value; } },
+  GmailAccount: table(),
+  Client: table({ creditHold: false, dunningPaused: false }),
+  WorkOrder: table({ paymentDate: null, isVoided: false }),
+  CreditMemo: table({ voidedAt: null }),
+  DunningNotice: table(),
+};
+const balances = {};
+const getWOBalance = async (id) => ({ balance: balances[id] || 0 });
+// As routes/quickbooks.js reads terms
+const getNetDays = (terms) => {
+  if (!terms) return null;
+  const t = terms.toUpperCase();
+  if (t.includes('COD')) return 0;
+  const m = t.match(/NET\s+(\d+)/);
+  return m ? parseInt(m[1]) : null;
+};
+const mail = [];
+let mailFails = false;
+const nodemailer = { createTransport: () => ({ sendMail: async (m) => { if (mailFails) throw new Error('SMTP refused'); mail.push(m); } }) };
+
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return models;
+  if (request === '../routes/business') return { getWOBalance };
+  if (request === '../routes/quickbooks') return { getNetDays };
+  if (request === '../routes/clients-vendors') return { buildStatementPDF: async (c) => ({ buffer: Buffer.from('%PDF'), filename: `Statement-${c.name}.pdf` }) };
+  if (request === 'nodemailer') return nodemailer;
+  return originalLoad.apply(this, arguments);
+};
+process.env.SMTP_HOST = 'smtp.test';
+process.env.SMTP_USER = 'ar@shop.test';
+
+const ar = require('../src/services/receivables');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const SETTINGS = { minBalance: 25, minGapDays: 7, steps: ar.DEFAULT_STEPS };
+const inv = (workOrderId, invoiceDate, balance, clientId = 'c-1') => ({ workOrderId, drNumber: null, invoiceNumber: workOrderId, invoiceDate, clientId, clientName: 'Acme Tank', balance });
+
+test('aging honors each client\'s terms and buckets by days past due', () => {
+  const clients = [
+    { id: 'c-1', name: 'Acme Tank', paymentTerms: 'Net 30', apEmail: 'ap@acme.test' },
+    { id: 'c-2', name: 'Basin Works', paymentTerms: 'COD', contactEmail: 'owner@basin.test' },
+    { id: 'c-3', name: 'Delta Fab', paymentTerms: 'Due whenever', creditHold: true },
+  ];
+  const report = ar.agingFrom([
+    inv('a1', '2026-06-01', 100),          // due 07-01 → 61 days past due
+    inv('a2', '2026-06-30', 200),          // due 07-30 → 32
+    inv('a3', '2026-08-25', 300),          // due 09-24 → current
+    inv('a4', '2026-08-01', 0),            // paid off — not listed
+    { ...inv('b1', '2026-04-01', 400), clientId: 'c-2', clientName: 'Basin Works' }, // COD → 152
+    { ...inv('d1', '2026-07-03', 50), clientId: 'c-3', clientName: 'Delta Fab' },    // default net 45 → 14
+  ], clients, { asOf: '2026-08-31', defaultNetDays: 45, credits: { 'c-1': 75 } });
+
+  const acme = report.clients.find(c => c.clientId === 'c-1');
+  assert.deepStrictEqual(acme.invoices.map(i => [i.workOrderId, i.dueDate, i.daysOverdue, i.bucket]), [
+    ['a1', '2026-07-01', 61, 'days61to90'], ['a2', '2026-07-30', 32, 'days31to60'], ['a3', '2026-09-24', -24, 'current'],
+  ]);
+  assert.deepStrictEqual([acme.netDays, acme.overdueTotal, acme.oldestDaysOverdue, acme.credits, acme.email], [30, 300, 61, 75, 'ap@acme.test']);
+  const basin = report.clients.find(c => c.clientId === 'c-2');
+  assert.deepStrictEqual([basin.netDays, basin.invoices[0].bucket, basin.email], [0, 'over90', 'owner@basin.test']);
+  const delta = report.clients.find(c => c.clientId === 'c-3');
+  assert.deepStrictEqual([delta.netDays, delta.termsAssumed, delta.invoices[0].daysOverdue, delta.creditHold, delta.email], [45, true, 14, true, null]);
+
+  assert.deepStrictEqual(report.clients.map(c => c.clientName), ['Acme Tank', 'Basin Works', 'Delta Fab'], 'largest balance first');
+  assert.deepStrictEqual(report.totals, { current: 300, days1to30: 50, days31to60: 200, days61to90: 100, over90: 400, total: 1050, credits: 75 });
+  assert.deepStrictEqual([0, 1, 30, 31, 90, 91].map(ar.bucketFor), ['current', 'days1to30', 'days1to30', 'days31to60', 'days61to90', 'over90']);
+});
+
+test('the dunning sequence goes a step at a time and starts over once caught up', () => {
+  const row = (days, total = 500, extra = {}) => ({
+    overdueTotal: total, oldestDaysOverdue: days, dunningPaused: false, ...extra,
+    invoices: [{ workOrderId: 'w1', daysOverdue: days }, { workOrderId: 'w2', daysOverdue: -5 }],
+  });
+  const sent = (stepKey, sentAt, ids = ['w1']) => ({ stepKey, sentAt: new Date(sentAt + 'T16:00:00Z'), invoices: ids.map(workOrderId => ({ workOrderId })) });
+  const step = (r, notices, asOf = '2026-09-15') => ar.nextStep(r, notices, SETTINGS, asOf)?.key || null;
+
+  assert.strictEqual(step(row(0), []), null, 'nothing past due');
+  assert.strictEqual(step(row(3), []), 'friendly');
+  assert.strictEqual(step(row(75), []), 'friendly', 'a late start still begins with the friendly reminder');
+  assert.strictEqual(step(row(75), [sent('friendly', '2026-09-10')]), null, 'too soon after the last one');
+  assert.strictEqual(step(row(75), [sent('friendly', '2026-09-08')]), 'past_due');
+  assert.strictEqual(step(row(35), [sent('past_due', '2026-09-01'), sent('friendly', '2026-08-20')]), null, 'not yet 60 days for the hold');
+  assert.strictEqual(step(row(61), [sent('past_due', '2026-09-01'), sent('friendly', '2026-08-20')]), 'credit_hold');
+  assert.strictEqual(step(row(90), [sent('credit_hold', '2026-09-01'), sent('past_due', '2026-08-01')]), null, 'the sequence ends at its last step');
+  assert.strictEqual(step(row(3), [sent('past_due', '2026-08-01', ['w0'])]), 'friendly', 'paid invoices don\'t carry the sequence on');
+  assert.strictEqual(step(row(3), [{ ...sent('friendly', '2026-08-01'), stepKey: 'statement' }]), 'friendly', 'statements aren\'t steps');
+  assert.strictEqual(step(row(40, 20), []), null, 'under the minimum balance');
+  assert.strictEqual(step(row(40, 500, { dunningPaused: true }), []), null);
+
+  assert.strictEqual(ar.renderTemplate('Hi {{contact}}, {{overdueTotal}} is late. {{unknown}}', { contact: 'Ruth', overdueTotal: '$1,250.00' }), 'Hi Ruth, $1,250.00 is late. {{unknown}}');
+});
+
+test('a run emails what\'s due with the statement, places holds and logs every notice', async () => {
+  const acme = await models.Client.create({ name: 'Acme Tank', paymentTerms: 'Net 30', apEmail: 'ap@acme.test', accountingContactName: 'Ruth' });
+  const basin = await models.Client.create({ name: 'Basin Works', paymentTerms: 'Net 30' });
+  const delta = await models.Client.create({ name: 'Delta Fab', paymentTerms: 'Net 30', contactEmail: 'x@delta.test', dunningPaused: true });
+  const wo = async (client, invoiceDate, balance, invoiceNumber) => {
+    const w = await models.WorkOrder.create({ clientId: client.id, clientName: client.name, invoiceNumber, invoiceDate, drNumber: parseInt(invoiceNumber) - 40000 });
+    balances[w.id] = balance;
+    return w;
+  };
+  await wo(acme, '2026-07-01', 800, '41001');   // 31 days past due on 08-31
+  await wo(acme, '2026-08-20', 200, '41002');   // current
+  await wo(basin, '2026-07-15', 300, '41003');  // past due, no email
+  await wo(delta, '2026-05-01', 900, '41004');  // paused
+
+  const preview = await ar.runDunning({ asOf: '2026-08-31', dryRun: true });
+  assert.deepStrictEqual(preview.planned.map(p => [p.clientName, p.stepKey]), [['Acme Tank', 'friendly'], ['Basin Works', 'friendly']]);
+  assert.strictEqual(models.DunningNotice.rows.length, 0, 'a preview sends nothing');
+  assert.deepStrictEqual(await ar.runDunning({ scheduled: true }), { skipped: 'Automatic reminders are off', planned: [], notices: [] });
+
+  const first = await ar.runDunning({ asOf: '2026-08-31', by: 'dana' });
+  assert.deepStrictEqual(first.notices.map(n => [n.clientName, n.stepKey, n.status, n.error || null]), [
+    ['Acme Tank', 'friendly', 'sent', null], ['Basin Works', 'friendly', 'skipped', 'No billing email on the client'],
+  ]);
+  assert.strictEqual(mail.length, 1);
+  assert.strictEqual(mail[0].to, 'ap@acme.test');
+  assert.strictEqual(mail[0].subject, 'Friendly reminder — 1 past-due invoice(s) from Carolina Rolling Co. Inc.');
+  assert.match(mail[0].text, /^Hi Ruth,/);
+  assert.match(mail[0].text, /Invoice 41001 \(DR-1001\) — dated 2026-07-01, due 2026-07-31, 31 days past due — \$800\.00/);
+  assert.doesNotMatch(mail[0].text, /41002/, 'invoices not yet due aren\'t listed');
+  assert.deepStrictEqual(mail[0].attachments.map(a => a.filename), ['Statement-Acme Tank.pdf']);
+
+  // Same day again: Acme just got one, Basin still has no email (skips don't count as sent)
+  const again = await ar.runDunning({ asOf: '2026-08-31' });
+  assert.deepStrictEqual(again.notices.map(n => [n.clientName, n.status]), [['Basin Works', 'skipped']]);
+
+  // Later it escalates, and the hold step puts Acme on hold
+  models.DunningNotice.rows.find(n => n.clientName === 'Acme Tank').sentAt = new Date('2026-08-31T16:00:00Z');
+  const second = await ar.runDunning({ asOf: '2026-09-10' });
+  assert.deepStrictEqual(second.notices.filter(n => n.clientName === 'Acme Tank').map(n => n.stepKey), ['past_due']);
+  models.DunningNotice.rows.filter(n => n.stepKey === 'past_due').forEach(n => { n.sentAt = new Date('2026-09-10T16:00:00Z'); });
+  const third = await ar.runDunning({ asOf: '2026-10-01' });
+  const hold = third.notices.find(n => n.clientName === 'Acme Tank');
+  assert.deepStrictEqual([hold.stepKey, hold.placedOnHold, acme.creditHold], ['credit_hold', true, true]);
+  assert.match(acme.creditHoldReason, /^Credit hold: \$1,000\.00 past due, oldest 62 days$/); // 41002 fell due in the meantime
+  assert.strictEqual(ar.creditHoldWarning(acme), `Acme Tank is on credit hold — ${acme.creditHoldReason}`);
+  assert.strictEqual(ar.creditHoldWarning(basin), null);
+
+  // A failed send is logged and doesn't advance the sequence
+  mailFails = true;
+  const failed = await ar.sendReminder(acme.id, 'friendly', 'dana');
+  assert.deepStrictEqual([failed.status, failed.error], ['failed', 'SMTP refused']);
+  mailFails = false;
+  await assert.rejects(ar.sendReminder(acme.id, 'nope'), /No dunning step "nope"/);
+
+  const released = await ar.setCreditHold(acme.id, { hold: false }, 'dana');
+  assert.deepStrictEqual([released.creditHold, released.creditHoldReason], [false, null]);
+  assert.strictEqual((await ar.listNotices({ clientId: acme.id })).length, 4);
+});
+
+test('settings validate the steps and keep them in order', async () => {
+  await assert.rejects(ar.saveSettings({ steps: [] }), /At least one dunning step/);
+  await assert.rejects(ar.saveSettings({ steps: [{ key: 'statement', daysOverdue: 5, subject: 's', body: 'b' }] }), /not "statement"/);
+  await assert.rejects(ar.saveSettings({ steps: [{ key: 'a', daysOverdue: 0, subject: 's', body: 'b' }] }), /days past due must be 1 or more/);
+  await assert.rejects(ar.saveSettings({ minGapDays: 0 }), /minGapDays must be a number, at least 1/);
+  const saved = await ar.saveSettings({
+    enabled: true, minBalance: '50',
+    steps: [{ key: 'final', name: 'Final', daysOverdue: 45, subject: 'Final', body: 'Pay', creditHold: true }, { key: 'nudge', daysOverdue: 5, subject: 'Nudge', body: 'Hi' }],
+  }, 'dana');
+  assert.deepStrictEqual([saved.enabled, saved.minBalance, saved.steps.map(s => s.key), saved.steps[1].creditHold], [true, 50, ['nudge', 'final'], true]);
+  assert.deepStrictEqual((await ar.loadSettings()).steps.map(s => s.daysOverdue), [5, 45]);
+});
+
+(async () => {
+  let passed = 0, failed = 0;
+  for (const { name, fn } of tests) {
+    try { await fn(); console.log('  PASS  ' + name); passed++; }
+    catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+  }
+  console.log('\n' + passed + ' passed, ' + failed + ' failed');
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,117 @@
+/**
+ * Rolling geometry — blank sizes on the neutral axis.
+ *
+ * The rules under test: plate develops on mid-thickness from any measure point; a cone's flat
+ * pattern radii and included angle follow from its neutral diameters and vertical height; an
+ * angle's cut length moves with its centroid between leg-out and leg-in; impossible geometry is
+ * refused on save while unfinished forms are left alone; and the price-suggestion weight uses the
+ * rolled blank.
+ *
+ * Run: node backend/test/rollingGeometry.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database.
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return {};
+  return originalLoad.apply(this, arguments);
+};
+
+const { plateBlank, coneLayout, sectionRoll, partGeometry, checkPart, touchesGeometry } = require('../src/services/rollingGeometry');
+const { weightLbs } = require('../src/services/pricingSuggest');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+const near = (actual, expected, tol = 0.01) => assert.ok(Math.abs(actual - expected) <= tol, `expected ${expected}, got ${actual}`);
+
+test('plate develops on mid-thickness from ID, OD or centerline', () => {
+  // 1/2" plate to 48" ID → neutral 48.5", developed π × 48.5
+  const id = plateBlank({ thickness: '1/2', width: 48, diameter: 48, measurePoint: 'inside' });
+  near(id.neutralDiameter, 48.5);
+  near(id.developedLength, Math.PI * 48.5, 0.001);
+  near(id.weightLbs, 0.5 * 48 * Math.PI * 48.5 * 0.2836, 0.1);
+  near(plateBlank({ thickness: 0.5, diameter: 49, measurePoint: 'outside' }).neutralDiameter, 48.5);
+  near(plateBlank({ thickness: 0.5, diameter: 48.5, measurePoint: 'centerline' }).neutralDiameter, 48.5);
+  near(plateBlank({ thickness: 0.5, diameter: 48, arcDegrees: 90 }).developedLength, Math.PI * 48.5 / 4, 0.001);
+});
+
+test('plate warnings and refusals', () => {
+  assert.throws(() => plateBlank({ thickness: 1, diameter: 1.5, measurePoint: 'outside' }), /no inside diameter/);
+  assert.throws(() => plateBlank({ thickness: 0.25, diameter: 24, arcDegrees: 0 }), /Arc/);
+  const short = plateBlank({ thickness: 0.25, width: 24, length: 60, diameter: 24 });
+  assert.match(short.warnings[0], /short of the 76.1/);
+});
+
+test('cone flat pattern: radii, included angle, chord and blank', () => {
+  const c = coneLayout({ thickness: 0.25, largeDiameter: 48, smallDiameter: 24, height: 24, largeMeasurePoint: 'centerline', smallMeasurePoint: 'centerline' });
+  near(c.slantHeight, Math.sqrt(12 ** 2 + 24 ** 2), 0.001);
+  near(c.outerRadius, 24 * c.slantHeight / 12, 0.001);
+  near(c.innerRadius, c.outerRadius - c.slantHeight, 0.001);
+  near(c.includedAngle, 360 * 24 / c.outerRadius, 0.005);
+  near(c.outerChord, 2 * c.outerRadius * Math.sin((c.includedAngle / 2) * Math.PI / 180), 0.005);
+  near(c.blank.width, c.outerChord, 0.001);
+  near(c.largeArcLength, Math.PI * 48, 0.001);
+});
+
+test('cone inside diameters move out by half the thickness across the wall', () => {
+  const c = coneLayout({ thickness: 0.5, largeDiameter: 48, smallDiameter: 24, height: 24 });
+  const cos = Math.cos(Math.atan(12 / 24));
+  near(c.largeNeutralDiameter, 48 + 0.5 / cos, 0.01);
+  // Splitting halves the angle per piece and shrinks the blank
+  const split = coneLayout({ thickness: 0.5, largeDiameter: 48, smallDiameter: 24, height: 24, segments: 2 });
+  near(split.segmentAngle, c.includedAngle / 2, 0.001);
+  assert.ok(split.blank.width < c.blank.width);
+  assert.throws(() => coneLayout({ thickness: 0.5, largeDiameter: 24, smallDiameter: 48, height: 10 }), /bigger than the small/);
+});
+
+test('angle cut length follows the centroid: leg-out vs leg-in', () => {
+  const out = sectionRoll({ partType: 'angle_roll', sectionSize: '2 x 2 x 1/4', diameter: 60, rollType: 'easy_way' });
+  const inn = sectionRoll({ partType: 'angle_roll', sectionSize: '2 x 2 x 1/4', diameter: 60, rollType: 'hard_way' });
+  near(out.neutralOffset, 0.592, 0.001); // AISC: L2x2x1/4 x̄ = 0.592"
+  near(inn.neutralOffset, 2 - 0.592, 0.001);
+  near(out.lbsPerFoot, 3.19, 0.01);
+  near(inn.developedLength - out.developedLength, Math.PI * 2 * (1.408 - 0.592), 0.01);
+});
+
+test('beams hard way use the designation; easy way warns', () => {
+  const hw = sectionRoll({ partType: 'beam_roll', sectionSize: 'W8x31', diameter: 240, rollType: 'hard_way' });
+  near(hw.neutralDiameter, 248);
+  near(hw.weightLbs, 31 * Math.PI * 248 / 12, 0.1);
+  const ew = sectionRoll({ partType: 'beam_roll', sectionSize: 'W8x31', diameter: 240, rollType: 'easy_way' });
+  near(ew.neutralDiameter, 240);
+  assert.match(ew.warnings[0], /sectionDepth/);
+});
+
+test('stored parts: formData cones, radius specs, unfinished forms', () => {
+  const cone = partGeometry({ partType: 'cone_roll', thickness: '3/8', formData: { _coneLargeDia: '30', _coneLargeDiaMeasure: 'radius', _coneSmallDia: '30', _coneHeight: '20' } });
+  near(cone.largeNeutralDiameter - cone.smallNeutralDiameter, 30, 0.001);
+  near(partGeometry({ partType: 'plate_roll', thickness: 0.25, radius: 12, formData: { _rollMeasurePoint: 'outside' } }).neutralDiameter, 23.75);
+  assert.strictEqual(partGeometry({ partType: 'plate_roll', thickness: 0.25 }), null);
+  assert.strictEqual(partGeometry({ partType: 'fab_service' }), null);
+});
+
+test('save check refuses impossible geometry only when specs are touched', () => {
+  const bad = checkPart({ partType: 'cone_roll', thickness: 0.25, _coneLargeDia: 20, _coneSmallDia: 30, _coneHeight: 10 });
+  assert.deepStrictEqual(bad.errors, ['Large diameter must be bigger than the small diameter']);
+  assert.deepStrictEqual(checkPart({ partType: 'plate_roll' }).errors, []);
+  assert.strictEqual(touchesGeometry({ status: 'completed', completedBy: 'op' }), false);
+  assert.strictEqual(touchesGeometry({ _coneHeight: '12' }), true);
+});
+
+test('price-suggestion weight uses the rolled blank', () => {
+  // Cone: sector area × thickness, not a plate of π × diameter
+  const part = { partType: 'cone_roll', thickness: 0.25, material: 'A36', formData: { _coneLargeDia: 48, _coneLargeDiaType: 'centerline', _coneSmallDia: 24, _coneSmallDiaType: 'centerline', _coneHeight: 24 } };
+  near(weightLbs(part), coneLayout({ thickness: 0.25, largeDiameter: 48, largeMeasurePoint: 'centerline', smallDiameter: 24, smallMeasurePoint: 'centerline', height: 24 }).weightLbs, 0.01);
+  // Unrolled plate keeps the plain plate formula
+  near(weightLbs({ thickness: 0.5, width: 48, length: 120, material: 'A36' }), 0.5 * 48 * 120 * 0.2836, 0.01);
+});
+
+let passed = 0, failed = 0;
+for (const { name, fn } of tests) {
+  try { fn(); console.log('  PASS  ' + name); passed++; }
+  catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+}
+console.log('\n' + passed + ' passed, ' + failed + ' failed');
+process.exit(failed ? 1 : 0);
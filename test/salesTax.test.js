@@ -0,0 +1,175 @@
+/**
+ * Sales tax — jurisdiction lookup, rate periods, the taxable split, certificates and the quarterly tie-out.
+ *
+ * The rules under test: the most specific rate row effective on the date wins (ZIP, then city,
+ * then state) and a place with none falls back to the default rate; a new period closes the one
+ * before it the day before it starts; a sale splits into material / labor / service / freight
+ * summing to what was invoiced less its tax, with freight untaxed by default; a certificate only
+ * covers dates it was live for; and the quarterly report's gross sales plus tax charged ties to
+ * invoiced totals, flagging tax variances and exempt sales with no certificate.
+ *
+ * Run: node backend/test/salesTax.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database. TaxRate keeps rows in memory for addRate, AppSettings the settings.
+const taxRates = [];
+const settingsRows = {};
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') {
+    return {
+      sequelize: { transaction: async (fn) => fn({}) },
+      AppSettings: {
+        findOne: async ({ where }) => (settingsRows[where.key] ? { value: settingsRows[where.key] } : null),
+        upsert: async ({ key, value }) => { settingsRows[key] = value; },
+      },
+      TaxRate: {
+        findAll: async ({ where }) => taxRates.filter(r => r.code === where.code).map(r => ({ toJSON: () => ({ ...r }) })),
+        update: async (fields, { where }) => { Object.assign(taxRates.find(r => r.id === where.id), fields); },
+        create: async (row) => { const r = { id: 'r' + (taxRates.length + 1), ...row }; taxRates.push(r); return r; },
+      },
+    };
+  }
+  return originalLoad.apply(this, arguments);
+};
+
+const salesTax = require('../src/services/salesTax');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const ROWS = [
+  { code: 'CA', name: 'California', state: 'CA', city: null, zips: [], rate: '7.2500', effectiveFrom: '2017-01-01', effectiveTo: null },
+  { code: 'CA-BELLFLOWER', name: 'Bellflower', state: 'CA', city: 'BELLFLOWER', zips: [], rate: '9.5000', effectiveFrom: '2024-01-01', effectiveTo: '2025-03-31' },
+  { code: 'CA-BELLFLOWER', name: 'Bellflower', state: 'CA', city: 'BELLFLOWER', zips: [], rate: '10.2500', effectiveFrom: '2025-04-01', effectiveTo: null },
+  { code: 'CA-LB-DIST', name: 'Long Beach district', state: 'CA', city: null, zips: ['90802', '90813'], rate: '10.7500', effectiveFrom: '2024-01-01', effectiveTo: null, taxability: { labor: false } },
+];
+
+test('addresses parse to city, state and ZIP', () => {
+  assert.deepStrictEqual(salesTax.parseAddress('9152 Sonrisa St., Bellflower, CA 90706-1234'), { city: 'BELLFLOWER', state: 'CA', zip: '90706' });
+  assert.deepStrictEqual(salesTax.parseAddress('Dock 4\n1200 Harbor Plaza\nLong Beach CA 90802\nUSA'), { city: 'LONG BEACH', state: 'CA', zip: '90802' });
+  assert.strictEqual(salesTax.parseAddress('Will call'), null);
+});
+
+test('ZIP beats city beats state, on the date asked for', () => {
+  const at = (address, date) => salesTax.resolveJurisdiction(ROWS, address, date);
+  assert.deepStrictEqual([at('1 Pier T, Long Beach, CA 90802', '2026-08-01').row.code, at('1 Pier T, Long Beach, CA 90802', '2026-08-01').matchedBy], ['CA-LB-DIST', 'zip']);
+  assert.strictEqual(at('Bellflower, CA 90706', '2025-03-31').row.rate, '9.5000');
+  assert.strictEqual(at('Bellflower, CA 90706', '2025-04-01').row.rate, '10.2500');
+  assert.strictEqual(at('Fresno, CA 93701', '2026-08-01').matchedBy, 'state');
+  assert.strictEqual(at('Reno, NV 89501', '2026-08-01'), null);
+});
+
+test('the rate falls back to the default, and rows override taxability', async () => {
+  const settings = { defaultTaxRate: 9.75, taxability: salesTax.DEFAULT_TAXABILITY, shopAddress: '9152 Sonrisa St., Bellflower, CA 90706' };
+  const nv = await salesTax.rateFor({ address: 'Reno, NV 89501', date: '2026-08-01', rows: ROWS, settings });
+  assert.deepStrictEqual([nv.rate, nv.code], [9.75, 'DEFAULT']);
+  const pickup = await salesTax.rateFor({ address: null, date: '2026-08-01', rows: ROWS, settings });
+  assert.deepStrictEqual([pickup.rate, pickup.code], [10.25, 'CA-BELLFLOWER']);
+  const lb = await salesTax.rateFor({ address: 'Long Beach, CA 90813', date: '2026-08-01', rows: ROWS, settings });
+  assert.deepStrictEqual(lb.taxability, { material: true, labor: false, service: true, freight: false });
+});
+
+test('a saved 0% default rate stays 0; no saved rate is the default', async () => {
+  assert.strictEqual((await salesTax.loadSettings()).defaultTaxRate, 9.75);
+  await salesTax.saveSettings({ defaultTaxRate: 0 }, 'dana');
+  assert.strictEqual((await salesTax.loadSettings()).defaultTaxRate, 0);
+});
+
+test('a new period closes the old one; a back-dated one ends where the next starts', async () => {
+  assert.throws(() => salesTax.normalizeRateRow({ code: 'x', state: 'California', rate: 9, effectiveFrom: '2026-01-01' }), /two-letter/);
+  assert.throws(() => salesTax.normalizeRateRow({ code: 'x', state: 'CA', rate: 9, effectiveFrom: '2026-01-01', zips: '9070' }), /5-digit/);
+  assert.deepStrictEqual(salesTax.normalizeRateRow({ code: 'ca-lb', state: 'ca', rate: '10.75', effectiveFrom: '2026-01-01', zips: '90802, 90813 90802' }).zips, ['90802', '90813']);
+
+  await salesTax.addRate({ code: 'ca-norwalk', name: 'Norwalk', state: 'CA', city: 'Norwalk', rate: 10.25, effectiveFrom: '2024-01-01' }, 'amy');
+  await salesTax.addRate({ code: 'CA-NORWALK', name: 'Norwalk', state: 'CA', city: 'Norwalk', rate: 10.75, effectiveFrom: '2026-04-01' }, 'amy');
+  assert.deepStrictEqual(taxRates.map(r => [r.rate, r.effectiveFrom, r.effectiveTo]), [[10.25, '2024-01-01', '2026-03-31'], [10.75, '2026-04-01', null]]);
+  await salesTax.addRate({ code: 'CA-NORWALK', name: 'Norwalk', state: 'CA', city: 'Norwalk', rate: 10.5, effectiveFrom: '2025-07-01' }, 'amy');
+  assert.deepStrictEqual(taxRates.map(r => r.effectiveTo), ['2025-06-30', null, '2026-03-31']);
+  await assert.rejects(salesTax.addRate({ code: 'CA-NORWALK', state: 'CA', rate: 11, effectiveFrom: '2026-04-01' }), e => e.status === 409);
+});
+
+// Two rolled rings (material 100 each at no markup, labor 150 each) and a fab service line, with
+// $100 trucking and a shipment charge of $50 shipping + 10% and $20 materials
+const WO = { grandTotal: '1000.00', taxAmount: '60.00', truckingCost: '100.00' };
+const PARTS = [
+  { partType: 'plate_roll', quantity: 2, materialTotal: '100', materialMarkupPercent: '0', laborTotal: '150', partTotal: '500' },
+  { partType: 'fab_service', quantity: 1, partTotal: '100' },
+  { partType: 'rush_service', quantity: 1, partTotal: '75' },
+];
+const CHARGES = [{ shippingCost: '50', shippingMarkup: '10', materialsCost: '20', materialsMarkup: '0' }];
+
+test('a sale splits by kind and sums to what was invoiced less its tax', () => {
+  const split = salesTax.splitSale({ wo: WO, parts: PARTS, shipmentCharges: CHARGES });
+  assert.deepStrictEqual([split.total, split.taxCharged, split.sales], [1075, 60, 1015]);
+  assert.deepStrictEqual(split.byKind, { material: 300, labor: 420, service: 140, freight: 155 });
+  const kinds = Object.values(split.byKind).reduce((s, v) => s + v, 0);
+  assert.strictEqual(kinds, split.sales);
+
+  const tax = salesTax.taxOn(split, { rate: 7.5 });
+  assert.deepStrictEqual([tax.taxableSales, tax.nontaxableSales, tax.taxDue], [860, 155, 64.5]);
+  assert.deepStrictEqual(tax.lines.map(l => l.account), ['SALES - TAXABLE', 'SALES - TAXABLE', 'SALES - TAXABLE', 'FREIGHT']);
+  const exempt = salesTax.taxOn(split, { rate: 7.5, exempt: true });
+  assert.deepStrictEqual([exempt.taxableSales, exempt.exemptSales, exempt.taxDue, exempt.lines[0].account], [0, 1015, 0, 'SALES-NONTAXABLE']);
+
+  // Never totalled: parts + trucking, no tax charged
+  const open = salesTax.splitSale({ wo: { truckingCost: '25' }, parts: [{ partType: 'plate_roll', quantity: 1, laborTotal: '200', partTotal: '200' }] });
+  assert.deepStrictEqual([open.total, open.taxCharged, open.byKind.labor, open.byKind.freight], [225, 0, 200, 25]);
+});
+
+test('a certificate covers only the dates it was live; reminders go once', () => {
+  const certs = [
+    { id: 'c1', clientId: 'k1', clientName: 'Acme Tank', status: 'active', issuedAt: '2024-01-01', expiresAt: '2026-06-30', certificateNumber: 'SR-1' },
+    { id: 'c2', clientId: null, clientName: 'Harbor Steel', status: 'revoked', expiresAt: null },
+    { id: 'c3', clientId: 'k3', clientName: 'Basin Works', status: 'active', expiresAt: '2026-11-10' },
+    { id: 'c4', clientId: 'k4', clientName: 'Delta Fab', status: 'active', expiresAt: '2026-11-05', reminderSentAt: '2026-10-06' },
+  ];
+  assert.strictEqual(salesTax.certificateFor(certs, { clientId: 'k1' }, '2026-06-30').id, 'c1');
+  assert.strictEqual(salesTax.certificateFor(certs, { clientId: 'k1' }, '2026-07-01'), null);
+  assert.strictEqual(salesTax.certificateFor(certs, { clientName: ' acme tank ' }, '2025-02-01').id, 'c1');
+  assert.strictEqual(salesTax.certificateFor(certs, { clientName: 'Harbor Steel' }, '2025-02-01'), null);
+  assert.deepStrictEqual(salesTax.expiringCertificates(certs, new Date('2026-10-19T17:00:00Z')).map(c => c.id), ['c3']);
+});
+
+test('the quarterly report ties to invoiced totals and lists what needs a look', () => {
+  const range = salesTax.quarterRange(2026, 3);
+  assert.deepStrictEqual(range, { from: '2026-07-01', to: '2026-09-30', label: '2026 Q3' });
+  assert.strictEqual(salesTax.quarterRange(2024, 1).to, '2024-03-31');
+  assert.throws(() => salesTax.quarterRange(2026, 5), /quarter/);
+
+  const price = (n, split, { rate, code, exempt = false, certificate = null }) => ({
+    invoiceNumber: n, clientName: 'Client ' + n, invoiceDate: '2026-08-0' + n, jurisdiction: { code, name: code, rate }, exempt, certificate,
+    split, tax: salesTax.taxOn(split, { rate, exempt }),
+  });
+  const a = salesTax.splitSale({ wo: WO, parts: PARTS, shipmentCharges: CHARGES });
+  const b = salesTax.splitSale({ wo: { grandTotal: '1082.50', taxAmount: '82.50', truckingCost: '0' }, parts: [{ partType: 'plate_roll', quantity: 1, laborTotal: '1000', partTotal: '1000' }] });
+  const c = salesTax.splitSale({ wo: { grandTotal: '400.00', taxAmount: '0', truckingCost: '0' }, parts: [{ partType: 'plate_roll', quantity: 1, materialTotal: '400', materialMarkupPercent: '0', partTotal: '400' }] });
+  const invoices = [
+    price(1, a, { rate: 7.5, code: 'CA-A' }),
+    price(2, b, { rate: 8.25, code: 'CA-B' }),
+    price(3, c, { rate: 8.25, code: 'CA-B', exempt: true }),
+  ];
+  const report = salesTax.buildReport(invoices, range);
+  assert.deepStrictEqual(report.tieOut, { invoicedTotal: 2557.5, grossSalesPlusTax: 2557.5, difference: 0, ties: true });
+  assert.deepStrictEqual([report.grossSales, report.taxableSales, report.exemptSales, report.taxCharged, report.taxDue], [2415, 1860, 400, 142.5, 147]);
+  assert.deepStrictEqual(report.byKind.freight, { taxable: 0, nontaxable: 155 });
+  assert.deepStrictEqual(report.jurisdictions.map(j => [j.code, j.invoices, j.taxableSales]), [['CA-A', 1, 860], ['CA-B', 2, 1000]]);
+  assert.deepStrictEqual(report.exceptions.map(e => [e.type, e.invoiceNumber]), [['tax_variance', 1], ['no_certificate', 3]]);
+  assert.strictEqual(report.exceptions[0].difference, -4.5);
+
+  const csv = salesTax.reportCsv(invoices).split('\r\n');
+  assert.strictEqual(csv.length, 5);
+  assert.ok(csv[3].startsWith('3,,2026-08-03,Client 3,CA-B,8.25,400.00,400.00,400.00'));
+});
+
+(async () => {
+  let passed = 0, failed = 0;
+  for (const { name, fn } of tests) {
+    try { await fn(); console.log('  PASS  ' + name); passed++; }
+    catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+  }
+  console.log('\n' + passed + ' passed, ' + failed + ' failed');
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,163 @@
+/**
+ * Production scheduler planning math.
+ *
+ * The rules under test: work only lands inside an operator's working hours, one operator never
+ * runs two jobs at once, an existing assignment is kept unless told otherwise, and anything
+ * finishing after its promised day is flagged late rather than quietly squeezed in. Routed work
+ * also keeps to its machine's hours, around its downtime, one job at a time, and only the hours
+ * not yet clocked are planned. Shift hours are the shop's Pacific time whatever zone the server
+ * runs in, across clock changes too.
+ *
+ * Run: node backend/test/scheduler.test.js
+ */
+const assert = require('assert');
+const { buildSchedule, placeWork, resourceCalendar } = require('../src/services/productionScheduler');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// Monday 2026-10-19, 06:00 at the shop — before the 07:00 shift start
+const MONDAY = new Date('2026-10-19T06:00:00-07:00');
+const CAL = { shop: { workdays: [1, 2, 3, 4, 5], startHour: 7, hoursPerDay: 8, holidays: [] }, resources: {} };
+
+// The shop's wall clock, to compare with
+const shop = (d) => {
+  const p = Object.fromEntries(new Intl.DateTimeFormat('en-US', { timeZone: 'America/Los_Angeles', hourCycle: 'h23', day: 'numeric', hour: 'numeric', minute: 'numeric' })
+    .formatToParts(d).filter(x => x.type !== 'literal').map(x => [x.type, parseInt(x.value, 10)]));
+  return { date: p.day, hours: p.hour, minutes: p.minute };
+};
+
+const wo = (id, promisedDate, parts, extra = {}) => ({
+  id, drNumber: id, clientName: 'Acme', promisedDate, priority: 'normal', ...extra,
+  parts: parts.map((h, i) => ({ id: `${id}-${i + 1}`, partNumber: i + 1, partType: 'plate_roll', laborHours: h, status: 'pending' })),
+});
+
+test('work snaps to the start of the shift', () => {
+  const { start, finish } = placeWork(resourceCalendar(CAL, 'Ray'), MONDAY, 2);
+  assert.strictEqual(shop(start).hours, 7);
+  assert.strictEqual(shop(finish).hours, 9);
+});
+
+test('work that overruns the day carries into the next working day', () => {
+  const { finish } = placeWork(resourceCalendar(CAL, 'Ray'), MONDAY, 10);
+  assert.strictEqual(shop(finish).date, 20);
+  assert.strictEqual(shop(finish).hours, 9);
+});
+
+test('weekends and days off are skipped', () => {
+  const cal = { ...CAL, resources: { Ray: { daysOff: ['2026-10-26'] } } };
+  const friday = new Date('2026-10-23T07:00:00-07:00');
+  const { finish } = placeWork(resourceCalendar(cal, 'Ray'), friday, 12);
+  // 8h Friday, Sat/Sun off, Monday the 26th off -> lands Tuesday the 27th at 11:00
+  assert.strictEqual(shop(finish).date, 27);
+  assert.strictEqual(shop(finish).hours, 11);
+});
+
+test('a shift after the clocks change still starts at 07:00 shop time', () => {
+  // Daylight saving ends Sunday 2026-11-01: Friday is UTC-7, Monday UTC-8
+  const friday = new Date('2026-10-30T07:00:00-07:00');
+  const { finish } = placeWork(resourceCalendar(CAL, 'Ray'), friday, 10);
+  assert.deepStrictEqual(shop(finish), { date: 2, hours: 9, minutes: 0 });
+  assert.strictEqual(finish.toISOString(), '2026-11-02T17:00:00.000Z');
+});
+
+test('one operator runs jobs back to back, never overlapping', () => {
+  const plan = buildSchedule({ workOrders: [wo(1, '2026-10-30', [4]), wo(2, '2026-10-30', [4])], resources: ['Ray'], calendar: CAL, start: MONDAY });
+  const [a, b] = plan.parts;
+  assert.ok(new Date(b.start) >= new Date(a.finish));
+  assert.strictEqual(plan.workOrders.find(o => o.workOrderId === 2).sequence, 1);
+});
+
+test('unassigned work goes to whoever finishes it first', () => {
+  const plan = buildSchedule({ workOrders: [wo(1, '2026-10-30', [6]), wo(2, '2026-10-30', [6])], resources: ['Luis', 'Ray'], calendar: CAL, start: MONDAY });
+  const ops = plan.workOrders.map(o => o.operator).sort();
+  assert.deepStrictEqual(ops, ['Luis', 'Ray']);
+});
+
+test('an existing assignment is kept unless reassign is set', () => {
+  const orders = [wo(1, '2026-10-30', [6]), wo(2, '2026-10-30', [6], { assignedOperator: 'Ray' })];
+  const kept = buildSchedule({ workOrders: orders, resources: ['Luis', 'Ray'], calendar: CAL, start: MONDAY });
+  assert.strictEqual(kept.workOrders.find(o => o.workOrderId === 2).operator, 'Ray');
+});
+
+test('finishing after the promised day is flagged late', () => {
+  const plan = buildSchedule({ workOrders: [wo(1, '2026-10-19', [12])], resources: ['Ray'], calendar: CAL, start: MONDAY });
+  assert.strictEqual(plan.workOrders[0].late, true);
+  assert.strictEqual(plan.workOrders[0].daysLate, 1);
+  assert.strictEqual(plan.lateCount, 1);
+});
+
+test('earliest promised date is scheduled first', () => {
+  const plan = buildSchedule({ workOrders: [wo(1, '2026-11-05', [2]), wo(2, '2026-10-21', [2])], resources: ['Ray'], calendar: CAL, start: MONDAY });
+  assert.strictEqual(plan.parts[0].workOrderId, 2);
+});
+
+test('completed parts and rush lines take no time', () => {
+  const order = wo(1, '2026-10-30', [3, 3]);
+  order.parts[0].status = 'completed';
+  order.parts.push({ id: '1-rush', partNumber: 3, partType: 'rush_service', laborHours: 5, status: 'pending' });
+  const plan = buildSchedule({ workOrders: [order], resources: ['Ray'], calendar: CAL, start: MONDAY });
+  assert.strictEqual(plan.parts.length, 1);
+  assert.strictEqual(plan.workOrders[0].hours, 3);
+});
+
+test('a part without a labor estimate is planned at the default and marked estimated', () => {
+  const plan = buildSchedule({ workOrders: [wo(1, '2026-10-30', [null])], resources: ['Ray'], calendar: CAL, start: MONDAY });
+  assert.strictEqual(plan.parts[0].estimated, true);
+});
+
+test('no operators -> reported unscheduled, not dropped', () => {
+  const plan = buildSchedule({ workOrders: [wo(1, '2026-10-30', [2])], resources: [], calendar: CAL, start: MONDAY });
+  assert.strictEqual(plan.unscheduled.length, 1);
+});
+
+test('a calendar with no working time fails loudly instead of looping', () => {
+  const dead = { shop: { workdays: [], startHour: 7, hoursPerDay: 8 } };
+  assert.throws(() => placeWork(resourceCalendar(dead, 'Ray'), MONDAY, 1), /No working time/);
+});
+
+test('hours already clocked come off the plan', () => {
+  const order = wo(1, '2026-10-30', [4]);
+  order.parts[0].actualRunTimeMin = 180;
+  const plan = buildSchedule({ workOrders: [order], resources: ['Ray'], calendar: CAL, start: MONDAY });
+  assert.strictEqual(plan.parts[0].hours, 1);
+  assert.strictEqual(plan.parts[0].clockedHours, 3);
+  assert.strictEqual(shop(new Date(plan.parts[0].finish)).hours, 8);
+});
+
+// A 10' plate roll, and an order routed to it
+const ROLL = { id: 'roll', hoursPerDay: null, downtime: [] };
+const routed = (id, hours, extra) => {
+  const order = wo(id, '2026-10-30', [hours], extra);
+  order.parts[0].routing = [{ seq: 1, workCenterId: 'roll', workCenterName: "10' Plate Roll", hours }];
+  return order;
+};
+
+test('work waits out the machine\'s downtime', () => {
+  const roll = { ...ROLL, downtime: [{ startAt: '2026-10-19T07:00:00-07:00', endAt: '2026-10-19T12:00:00-07:00' }] };
+  const plan = buildSchedule({ workOrders: [routed(1, 2)], resources: ['Ray'], machines: [roll], calendar: CAL, start: MONDAY });
+  assert.deepStrictEqual(shop(new Date(plan.parts[0].start)), { date: 19, hours: 12, minutes: 0 });
+  assert.deepStrictEqual(shop(new Date(plan.parts[0].finish)), { date: 19, hours: 14, minutes: 0 });
+});
+
+test('a machine with shorter hours than the operator carries work into the next day', () => {
+  const plan = buildSchedule({ workOrders: [routed(1, 6)], resources: ['Ray'], machines: [{ ...ROLL, hoursPerDay: 4 }], calendar: CAL, start: MONDAY });
+  // 07:00–11:00 Monday on the roll, the last 2h Tuesday morning
+  assert.deepStrictEqual(shop(new Date(plan.parts[0].finish)), { date: 20, hours: 9, minutes: 0 });
+});
+
+test('two operators never run the same machine at once', () => {
+  const orders = [routed(1, 3, { assignedOperator: 'Luis' }), routed(2, 3, { assignedOperator: 'Ray' })];
+  const plan = buildSchedule({ workOrders: orders, resources: ['Luis', 'Ray'], machines: [ROLL], calendar: CAL, start: MONDAY });
+  const [a, b] = plan.parts;
+  assert.notStrictEqual(a.operator, b.operator);
+  assert.ok(new Date(b.start) >= new Date(a.finish));
+});
+
+let passed = 0, failed = 0;
+for (const { name, fn } of tests) {
+  try { fn(); console.log('  PASS  ' + name); passed++; }
+  catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+}
+console.log('\n' + passed + ' passed, ' + failed + ' failed');
+process.exit(failed ? 1 : 0);
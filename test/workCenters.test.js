@@ -0,0 +1,111 @@
+/**
+ * Work center fit checks, default routing and machine load.
+ *
+ * The rules under test: a part is flagged only when NO machine that runs its part type can take it,
+ * a part type no machine claims is never flagged, maintenance windows come off the available hours,
+ * and a routing step's own hours beat the part's laborHours.
+ *
+ * Run: node backend/test/workCenters.test.js
+ */
+const assert = require('assert');
+const Module = require('module');
+
+// Stub ../models so this runs without a database.
+const originalLoad = Module._load;
+Module._load = function (request, parent, isMain) {
+  if (request === '../models') return {};
+  return originalLoad.apply(this, arguments);
+};
+
+const { checkFit, machineCapacityCheck, defaultRouting, effectiveRouting, normalizeRouting, machineLoad } = require('../src/services/workCenters');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+const BIG_ROLL = { id: 'wc1', name: "10' Plate Roll", kind: 'plate_roll', partTypes: ['plate_roll', 'cone_roll'], maxThickness: '1.0000', maxWidth: '120.00', minDiameter: '18.00', sortOrder: 1, isActive: true };
+const SMALL_ROLL = { id: 'wc2', name: "6' Plate Roll", kind: 'plate_roll', partTypes: ['plate_roll'], maxThickness: '0.3750', maxWidth: '72.00', minDiameter: '8.00', sortOrder: 0, isActive: true };
+const BRAKE = { id: 'wc3', name: 'Press Brake', kind: 'press_brake', partTypes: ['press_brake'], maxThickness: '0.5000', maxWidth: '144.00', sortOrder: 2, isActive: true };
+const CENTERS = [BIG_ROLL, SMALL_ROLL, BRAKE];
+const CAL = { shop: { workdays: [1, 2, 3, 4, 5], startHour: 7, hoursPerDay: 8, holidays: [] }, resources: {} };
+
+test('fractions and inch marks are read when checking limits', () => {
+  const issues = checkFit({ partType: 'plate_roll', thickness: '1/2"', width: '60', diameter: '48' }, SMALL_ROLL);
+  assert.strictEqual(issues.length, 1);
+  assert.strictEqual(issues[0].field, 'thickness');
+});
+
+test('a part only one machine can take still fits', () => {
+  const r = machineCapacityCheck({ partType: 'plate_roll', thickness: '3/4', width: '96', diameter: '60' }, CENTERS);
+  assert.strictEqual(r.fits, true);
+  assert.deepStrictEqual(r.capable, ["10' Plate Roll"]);
+  assert.strictEqual(r.warnings.length, 0);
+});
+
+test('a part no machine can take warns with every reason', () => {
+  const r = machineCapacityCheck({ partType: 'plate_roll', thickness: '1-1/4', width: '96', diameter: '60' }, CENTERS);
+  assert.strictEqual(r.fits, false);
+  assert.strictEqual(r.warnings.length, 3); // thick for both, and too wide for the small roll
+});
+
+test('too tight a diameter is caught, including a radius spec', () => {
+  const r = machineCapacityCheck({ partType: 'cone_roll', thickness: '1/4', width: '48', radius: '6' }, CENTERS);
+  assert.strictEqual(r.fits, false);
+  assert.ok(r.warnings[0].includes('tighter'));
+});
+
+test('a part type no machine claims is unchecked, not flagged', () => {
+  const r = machineCapacityCheck({ partType: 'angle_roll', thickness: '3' }, CENTERS);
+  assert.strictEqual(r.checked, false);
+  assert.strictEqual(r.fits, true);
+});
+
+test('retired machines are ignored', () => {
+  const r = machineCapacityCheck({ partType: 'plate_roll', thickness: '3/4', width: '96' }, [{ ...BIG_ROLL, isActive: false }, SMALL_ROLL]);
+  assert.strictEqual(r.fits, false);
+});
+
+test('default routing picks the first machine (by sort order) that fits', () => {
+  const small = defaultRouting({ partType: 'plate_roll', thickness: '1/4', width: '48', laborHours: '2.50' }, CENTERS);
+  assert.strictEqual(small[0].workCenterId, 'wc2');
+  assert.strictEqual(small[0].hours, 2.5);
+  const heavy = defaultRouting({ partType: 'plate_roll', thickness: '3/4', width: '48' }, CENTERS);
+  assert.strictEqual(heavy[0].workCenterId, 'wc1');
+});
+
+test('a stored routing wins over the default', () => {
+  const steps = effectiveRouting({ partType: 'plate_roll', thickness: '1/4', routing: [{ seq: 1, workCenterId: 'wc3', workCenterName: 'Press Brake', hours: 1 }] }, CENTERS);
+  assert.strictEqual(steps[0].workCenterId, 'wc3');
+});
+
+test('posted routing is renumbered and unknown machines are rejected', () => {
+  const r = normalizeRouting([{ workCenterId: 'wc1', hours: '2' }, { workCenterId: 'wc3', operation: 'flange' }], CENTERS);
+  assert.deepStrictEqual(r.map(s => s.seq), [1, 2]);
+  assert.strictEqual(r[1].workCenterName, 'Press Brake');
+  assert.throws(() => normalizeRouting([{ workCenterId: 'nope' }], CENTERS), /unknown work center/);
+});
+
+test('machine load takes maintenance out of the available hours', () => {
+  // Shop (Pacific) time, whatever zone the test runs in
+  const monday = new Date('2026-10-19T00:00:00-07:00');
+  const downtime = [{ workCenterId: 'wc1', startAt: new Date('2026-10-19T00:00:00-07:00'), endAt: new Date('2026-10-20T12:00:00-07:00') }];
+  const parts = [
+    { partType: 'plate_roll', thickness: '3/4', width: '96', laborHours: '30' },
+    { partType: 'plate_roll', thickness: '1/4', width: '48', routing: [{ seq: 1, workCenterId: 'wc1', hours: 4 }], laborHours: '10' },
+  ];
+  const load = machineLoad({ parts, centers: CENTERS, downtime, calendar: CAL, from: monday, days: 5 });
+  const big = load.workCenters.find(w => w.workCenterId === 'wc1');
+  // 5 days x 8h = 40h, minus all of Monday (8h) and Tuesday 7:00-12:00 (5h)
+  assert.strictEqual(big.availableHours, 40);
+  assert.strictEqual(big.downtimeHours, 13);
+  assert.strictEqual(big.netHours, 27);
+  assert.strictEqual(big.loadHours, 34);
+  assert.strictEqual(big.overloaded, true);
+});
+
+let passed = 0, failed = 0;
+for (const { name, fn } of tests) {
+  try { fn(); console.log('  PASS  ' + name); passed++; }
+  catch (e) { console.log('  FAIL  ' + name + '\n        ' + e.message); failed++; }
+}
+console.log('\n' + passed + ' passed, ' + failed + ' failed');
+process.exit(failed ? 1 : 0);